@@ -2,8 +2,47 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import dbConnect from './config/db.js';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import courseRoutes from './routes/courses.js';
+import categoryRoutes from './routes/categories.js';
+import searchRoutes from './routes/search.js';
+import enrollmentRoutes from './routes/enrollments.js';
+import checkoutRoutes from './routes/checkout.js';
+import wishlistRoutes from './routes/wishlist.js';
+import mediaRoutes from './routes/media.js';
+import progressRoutes from './routes/progress.js';
+import quizRoutes from './routes/quizzes.js';
+import questionRoutes from './routes/questions.js';
+import certificateRoutes from './routes/certificates.js';
+import learningPathRoutes from './routes/learningPath.js';
+import recommendationRoutes from './routes/recommendations.js';
+import cohortRoutes from './routes/cohorts.js';
+import mentorSlotRoutes from './routes/mentorSlots.js';
+import assignmentRoutes from './routes/assignments.js';
+import submissionRoutes from './routes/submissions.js';
+import forumRoutes from './routes/forums.js';
+import groupRoutes from './routes/groups.js';
+import notificationRoutes from './routes/notifications.js';
+import billingRoutes from './routes/billing.js';
+import organizationRoutes from './routes/organizations.js';
+import analyticsRoutes from './routes/analytics.js';
+import statsRoutes from './routes/stats.js';
+import reviewRoutes from './routes/reviews.js';
+import { attachRealtime } from './services/realtime.js';
+import { startSessionReminders } from './services/notifications.js';
+import { startBillingCycle } from './services/billing.js';
+import { startStatsRefresh } from './services/stats.js';
+import { errorHandler, notFound } from './middleware/error.js';
+import { negotiateLocale } from './middleware/locale.js';
 
 dotenv.config();
+
+if (!process.env.JWT_SECRET) {
+  console.error("❌ JWT_SECRET is not set");
+  process.exit(1);
+}
+
 const app = express();
 
 dbConnect();
@@ -14,12 +53,50 @@ app.use(cors({
   credentials: true
 }));
 app.use(express.json());
+app.use(negotiateLocale);
 
 app.get("/api/data", (req, res) => {
   res.json({message: "Welcome to EduSphare"});
 });
 
+app.use("/api/auth", authRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/courses", courseRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/enrollments", enrollmentRoutes);
+app.use("/api/checkout", checkoutRoutes);
+app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/progress", progressRoutes);
+app.use("/api/quizzes", quizRoutes);
+app.use("/api/questions", questionRoutes);
+app.use("/api/certificates", certificateRoutes);
+app.use("/api/learning-path", learningPathRoutes);
+app.use("/api/recommendations", recommendationRoutes);
+app.use("/api/cohorts", cohortRoutes);
+app.use("/api/mentor-slots", mentorSlotRoutes);
+app.use("/api/assignments", assignmentRoutes);
+app.use("/api/submissions", submissionRoutes);
+app.use("/api/forums", forumRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/billing", billingRoutes);
+app.use("/api/orgs", organizationRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/stats", statsRoutes);
+app.use("/api/reviews", reviewRoutes);
+
+app.use(notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// WebSockets (chat, presence, live notifications) share the HTTP port
+attachRealtime(server);
+startSessionReminders();
+startBillingCycle();
+startStatsRefresh();
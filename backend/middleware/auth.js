@@ -0,0 +1,46 @@
+import HttpError from '../utils/HttpError.js';
+import { verifyAccessToken } from '../utils/tokens.js';
+import { can } from '../utils/permissions.js';
+
+const readBearer = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+const toRequestUser = (payload) => ({ id: payload.sub, name: payload.name, role: payload.role });
+
+// Rejects the request unless it carries a valid access token.
+export const requireAuth = (req, res, next) => {
+  const token = readBearer(req);
+  if (!token) return next(new HttpError(401, "Authentication required"));
+  try {
+    req.user = toRequestUser(verifyAccessToken(token));
+    next();
+  } catch {
+    next(new HttpError(401, "Invalid or expired token"));
+  }
+};
+
+// Attaches req.user when a valid token is present, but never rejects.
+export const optionalAuth = (req, res, next) => {
+  const token = readBearer(req);
+  if (token) {
+    try {
+      req.user = toRequestUser(verifyAccessToken(token));
+    } catch {
+      // anonymous
+    }
+  }
+  next();
+};
+
+// Must run after requireAuth. Allows the request if the user's role grants
+// any of the given permissions (see utils/permissions.js).
+export const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) return next(new HttpError(401, "Authentication required"));
+  if (!permissions.some((p) => can(req.user.role, p))) {
+    return next(new HttpError(403, "You do not have permission to do that"));
+  }
+  next();
+};
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+export const notFound = (req, res) => {
+  res.status(404).json({ message: `Not found: ${req.method} ${req.originalUrl}` });
+};
+
+// Express 5 forwards rejected promises here, so routes can simply throw.
+// The unused `next` keeps the 4-arity signature Express uses to spot error handlers.
+export const errorHandler = (err, req, res, next) => {
+  // e.g. a media stream that failed half-way; nothing sensible left to send
+  if (res.headersSent) return next(err);
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.fromEntries(
+      Object.entries(err.errors).map(([field, e]) => [field, e.message])
+    );
+    return res.status(400).json({ message: "Validation failed", details });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ message: `Invalid ${err.path}` });
+  }
+  if (err?.code === 11000) {
+    const field = Object.keys(err.keyValue || {})[0] || "value";
+    return res.status(409).json({ message: `${field} already exists` });
+  }
+
+  const status = err.status || 500;
+  if (status >= 500) console.error(err);
+  res.status(status).json({
+    message: status >= 500 ? "Internal server error" : err.message,
+    ...(err.details && { details: err.details }),
+  });
+};
@@ -0,0 +1,13 @@
+import { LOCALE_PATTERN, parseAcceptLanguage } from '../utils/locale.js';
+
+// Sets req.locales, the caller's languages by preference: an explicit
+// ?lang= first, then Accept-Language (which the web client fills in from the
+// language the user picked). Translated responses differ per language, so
+// caches must key on the header.
+export const negotiateLocale = (req, res, next) => {
+  const lang = String(req.query.lang ?? "").toLowerCase();
+  const accepted = parseAcceptLanguage(req.headers["accept-language"]);
+  req.locales = [...new Set([...(LOCALE_PATTERN.test(lang) ? [lang] : []), ...accepted])];
+  res.vary("Accept-Language");
+  next();
+};
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const REVIEW_MODES = ["mentor", "peer"];
+
+const criterionSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, maxlength: 1000 },
+    maxPoints: { type: Number, required: true, min: 1, max: 100 },
+  },
+  { toJSON: { virtuals: true } }
+);
+
+// A course project. Learners submit files and/or a repository link; the work
+// is scored against `rubric` by the learner's mentor or by `peerReviewers`
+// randomly picked classmates (services/submissions.js).
+const assignmentSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    instructions: { type: String, trim: true, maxlength: 10000 },
+    rubric: {
+      type: [criterionSchema],
+      validate: { validator: (v) => v.length > 0, message: "Add at least one rubric criterion" },
+    },
+    reviewMode: { type: String, enum: REVIEW_MODES, default: "mentor" },
+    // peer mode: reviews needed before a grade is given
+    peerReviewers: { type: Number, default: 2, min: 1, max: 5 },
+    // allowed extensions, e.g. [".zip", ".pdf"]; empty = anything
+    fileTypes: [{ type: String, trim: true, lowercase: true, match: /^\.[a-z0-9]+$/ }],
+    maxFiles: { type: Number, default: 5, min: 0, max: 20 },
+    // first submissions close at dueAt (none = open-ended)
+    dueAt: { type: Date },
+    // attempts allowed after a failing grade; each within resubmitDays of it
+    maxResubmissions: { type: Number, default: 2, min: 0, max: 10 },
+    resubmitDays: { type: Number, default: 7, min: 1, max: 90 },
+    // percent needed to pass
+    passingScore: { type: Number, default: 60, min: 0, max: 100 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+assignmentSchema.virtual("maxPoints").get(function maxPoints() {
+  return this.rubric.reduce((sum, c) => sum + c.maxPoints, 0);
+});
+
+const Assignment = mongoose.model("Assignment", assignmentSchema);
+
+export default Assignment;
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import { slugify } from '../utils/slug.js';
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true, maxlength: 60 },
+    slug: { type: String, unique: true, lowercase: true, trim: true },
+    description: { type: String, maxlength: 500 },
+    order: { type: Number, default: 0 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+categorySchema.pre("validate", function setSlug() {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+});
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
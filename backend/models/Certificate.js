@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Issued when a learner completes a course. Names and titles are copied in
+// at issue time so the certificate reads the same even if the profile or
+// course is renamed later; `signature` covers exactly those fields.
+const certificateSchema = new mongoose.Schema(
+  {
+    certId: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    recipientName: { type: String, required: true },
+    courseTitle: { type: String, required: true },
+    instructorName: { type: String },
+    issuedAt: { type: Date, required: true },
+    // signed JWT over the fields above (services/certificates.js)
+    signature: { type: String, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String, trim: true, maxlength: 500 },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+certificateSchema.index({ user: 1, course: 1 }, { unique: true });
+
+const Certificate = mongoose.model("Certificate", certificateSchema);
+
+export default Certificate;
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// A message in a cohort's chat room. Sent over the WebSocket
+// (services/realtime.js); history is read back through the cohort routes.
+const chatMessageSchema = new mongoose.Schema(
+  {
+    cohort: { type: mongoose.Schema.Types.ObjectId, ref: "Cohort", required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    body: { type: String, required: true, trim: true, maxlength: 2000 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+chatMessageSchema.index({ cohort: 1, createdAt: -1 });
+
+const ChatMessage = mongoose.model("ChatMessage", chatMessageSchema);
+
+export default ChatMessage;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+export const COHORT_STATUSES = ["scheduled", "cancelled"];
+
+export const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// A live session on the cohort's schedule (a class, a project review...)
+const sessionSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, maxlength: 2000 },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    // rendered as a link and written to calendar files, so web links only
+    meetingUrl: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      match: [/^https?:\/\/\S+$/i, "Meeting links must be a single http:// or https:// address"],
+    },
+  },
+  { toJSON: { virtuals: true } }
+);
+
+// A mentor-led run of a course with fixed dates and a seat limit. Learners
+// who join once it is full wait in line (CohortMember) and move up as seats
+// free; services/cohorts.js keeps `seatsTaken` in step with the members.
+// Dates are stored in UTC; `timezone` (IANA, e.g. "Asia/Kolkata") is the one
+// the schedule is planned and shown in.
+const cohortSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    mentor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    timezone: {
+      type: String,
+      default: "UTC",
+      validate: { validator: isTimeZone, message: "Unknown time zone" },
+    },
+    capacity: { type: Number, required: true, min: 1, max: 10000 },
+    seatsTaken: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: COHORT_STATUSES, default: "scheduled" },
+    sessions: { type: [sessionSchema], default: [] },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+cohortSchema.virtual("seatsLeft").get(function seatsLeft() {
+  return Math.max(this.capacity - this.seatsTaken, 0);
+});
+
+cohortSchema.pre("validate", function checkDates() {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "A cohort must end after it starts");
+  }
+  this.sessions.forEach((s, i) => {
+    if (s.startsAt && s.endsAt && s.endsAt <= s.startsAt) {
+      this.invalidate(`sessions.${i}.endsAt`, "A session must end after it starts");
+    }
+  });
+});
+
+const Cohort = mongoose.model("Cohort", cohortSchema);
+
+export default Cohort;
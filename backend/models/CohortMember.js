@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+export const MEMBER_STATUSES = ["enrolled", "waitlisted", "left"];
+
+// A learner's place in a cohort. Waitlisted members are promoted in
+// `waitlistedAt` order; leaving keeps the record so rejoining reuses it.
+const cohortMemberSchema = new mongoose.Schema(
+  {
+    cohort: { type: mongoose.Schema.Types.ObjectId, ref: "Cohort", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    status: { type: String, enum: MEMBER_STATUSES, default: "waitlisted" },
+    waitlistedAt: { type: Date },
+    enrolledAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+cohortMemberSchema.index({ cohort: 1, user: 1 }, { unique: true });
+cohortMemberSchema.index({ cohort: 1, status: 1, waitlistedAt: 1 });
+
+const CohortMember = mongoose.model("CohortMember", cohortMemberSchema);
+
+export default CohortMember;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { DEFAULT_LOCALE, LOCALE_PATTERN } from '../utils/locale.js';
+import { slugify } from '../utils/slug.js';
+
+export const LEVELS = ["beginner", "intermediate", "advanced"];
+export const BILLING = ["one_time", "monthly"];
+export const COURSE_STATUSES = ["draft", "published", "archived"];
+
+// The catalog text that can be translated (see utils/courses.js localizeCourse)
+export const TRANSLATED_FIELDS = ["title", "subtitle", "description"];
+
+const translationSchema = new mongoose.Schema(
+  {
+    locale: { type: String, required: true, lowercase: true, trim: true, match: [LOCALE_PATTERN, "Use a language code like hi or ta"] },
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    subtitle: { type: String, trim: true, maxlength: 200 },
+    description: { type: String, maxlength: 5000 },
+  },
+  { _id: false }
+);
+
+const courseSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    slug: { type: String, unique: true, lowercase: true, trim: true },
+    subtitle: { type: String, trim: true, maxlength: 200 },
+    description: { type: String, maxlength: 5000 },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", index: true },
+    instructor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    level: { type: String, enum: LEVELS, default: "beginner" },
+    tags: { type: [String], default: [] },
+    // 0 means free; amounts are in major currency units
+    price: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: "USD", uppercase: true },
+    billing: { type: String, enum: BILLING, default: "one_time" },
+    durationMinutes: { type: Number, default: 0, min: 0 },
+    thumbnailUrl: { type: String },
+    // the language the course is written in; `translations` carry its catalog
+    // text in others (lesson videos have per-language captions instead)
+    language: {
+      type: String,
+      default: DEFAULT_LOCALE,
+      lowercase: true,
+      trim: true,
+      match: [LOCALE_PATTERN, "Use a language code like hi or ta"],
+    },
+    translations: {
+      type: [translationSchema],
+      default: [],
+      validate: {
+        validator: function onePerLanguage(translations) {
+          const locales = translations.map((t) => t.locale);
+          return new Set(locales).size === locales.length && !locales.includes(this.language);
+        },
+        message: "Add at most one translation per language, other than the course's own",
+      },
+    },
+    status: { type: String, enum: COURSE_STATUSES, default: "draft", index: true },
+    publishedAt: { type: Date },
+    // last studio change to the course or its curriculum, and the latest
+    // published version (see models/CourseVersion.js); the studio compares
+    // them to flag unpublished changes
+    editedAt: { type: Date },
+    version: { type: Number, default: 0 },
+    rating: { type: Number, default: 0, min: 0, max: 5 },
+    ratingCount: { type: Number, default: 0 },
+    enrollmentCount: { type: Number, default: 0 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+// Full-text index used by /api/search. language_override is renamed so a
+// future per-course `language` field is not treated as a stemming hint.
+courseSchema.index(
+  { title: "text", tags: "text", subtitle: "text", description: "text" },
+  {
+    name: "course_text",
+    weights: { title: 10, tags: 6, subtitle: 4, description: 1 },
+    language_override: "textLanguage",
+  }
+);
+courseSchema.index({ price: 1 });
+courseSchema.index({ rating: -1 });
+courseSchema.index({ enrollmentCount: -1 });
+
+courseSchema.virtual("isFree").get(function isFree() {
+  return this.price === 0;
+});
+
+courseSchema.pre("validate", function setSlug() {
+  if (!this.slug && this.title) {
+    this.slug = `${slugify(this.title)}-${this._id.toString().slice(-6)}`;
+  }
+  if (this.isModified("status") && this.status === "published" && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+});
+
+const Course = mongoose.model("Course", courseSchema);
+
+export default Course;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// A snapshot of a course taken each time it is published: its details,
+// modules, lessons (with their media paths and attachments) and quiz
+// settings, so the studio can list the history and restore an older one.
+// Question banks are shared across versions and not part of the snapshot.
+const courseVersionSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    number: { type: Number, required: true, min: 1 },
+    note: { type: String, trim: true, maxlength: 500 },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    snapshot: {
+      type: {
+        _id: false,
+        course: { type: mongoose.Schema.Types.Mixed },
+        modules: [{ type: mongoose.Schema.Types.Mixed }],
+        lessons: [{ type: mongoose.Schema.Types.Mixed }],
+        quizzes: [{ type: mongoose.Schema.Types.Mixed }],
+      },
+      required: true,
+      select: false,
+    },
+    // headline counts, so the history can be listed without the snapshots
+    moduleCount: { type: Number, default: 0 },
+    lessonCount: { type: Number, default: 0 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+courseVersionSchema.index({ course: 1, number: -1 }, { unique: true });
+
+const CourseVersion = mongoose.model("CourseVersion", courseVersionSchema);
+
+export default CourseVersion;
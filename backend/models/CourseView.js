@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Course page views per day, one row per signed-in viewer and one shared row
+// (user: null) for visitors. Feeds the views → enrollments funnel in the
+// instructor analytics (services/analytics.js).
+const courseViewSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    // UTC midnight
+    day: { type: Date, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    views: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+courseViewSchema.index({ course: 1, day: 1, user: 1 }, { unique: true });
+
+const CourseView = mongoose.model("CourseView", courseViewSchema);
+
+export default CourseView;
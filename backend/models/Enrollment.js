@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const enrollmentSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    status: { type: String, enum: ["active", "completed", "cancelled"], default: "active", index: true },
+    // how access was granted
+    source: { type: String, enum: ["free", "purchase", "subscription", "admin"], default: "free" },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    lastLesson: { type: mongoose.Schema.Types.ObjectId, ref: "Lesson" },
+    completedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+enrollmentSchema.index({ user: 1, course: 1 }, { unique: true });
+
+const Enrollment = mongoose.model("Enrollment", enrollmentSchema);
+
+export default Enrollment;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Stops a user posting, replying and voting on one course's board, one study
+// group's, or (neither set; admins only) everywhere. Lifts at expiresAt.
+const forumBanSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
+    group: { type: mongoose.Schema.Types.ObjectId, ref: "StudyGroup" },
+    reason: { type: String, trim: true, maxlength: 500 },
+    bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+forumBanSchema.index({ course: 1, createdAt: -1 });
+forumBanSchema.index({ group: 1, createdAt: -1 });
+
+const ForumBan = mongoose.model("ForumBan", forumBanSchema);
+
+export default ForumBan;
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+export const GROUP_ROLES = ["owner", "moderator", "member"];
+
+// Membership of a study group. "pending" is a request to join a private group.
+const groupMemberSchema = new mongoose.Schema(
+  {
+    group: { type: mongoose.Schema.Types.ObjectId, ref: "StudyGroup", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    role: { type: String, enum: GROUP_ROLES, default: "member" },
+    status: { type: String, enum: ["active", "pending"], default: "active" },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+groupMemberSchema.index({ group: 1, user: 1 }, { unique: true });
+groupMemberSchema.index({ group: 1, status: 1, role: 1 });
+
+const GroupMember = mongoose.model("GroupMember", groupMemberSchema);
+
+export default GroupMember;
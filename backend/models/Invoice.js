@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const INVOICE_STATUSES = ["open", "paid", "failed", "void"];
+export const INVOICE_REASONS = ["subscribe", "renewal", "change"];
+
+// One charge line; credits (unused time, balance applied) are negative
+const lineSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true, maxlength: 200 },
+    amount: { type: Number, required: true },
+    periodStart: { type: Date },
+    periodEnd: { type: Date },
+  },
+  { _id: false }
+);
+
+// A bill for a subscription: the first period, a renewal or a prorated plan
+// change. `key` makes a renewal happen once even when several sweeps race.
+const invoiceSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription", required: true, index: true },
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: "Plan", required: true },
+    number: { type: String, required: true, unique: true },
+    reason: { type: String, enum: INVOICE_REASONS, required: true },
+    lines: { type: [lineSchema], default: [] },
+    total: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "USD", uppercase: true },
+    status: { type: String, enum: INVOICE_STATUSES, default: "open", index: true },
+    key: { type: String },
+    provider: { type: String },
+    providerRef: { type: String },
+    attempts: { type: Number, default: 0 },
+    paidAt: { type: Date },
+    failureReason: { type: String },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+invoiceSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: "string" } } });
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+export default Invoice;
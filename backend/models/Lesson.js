@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { renderContent } from '../utils/markup.js';
+
+export const LESSON_TYPES = ["video", "text", "quiz"];
+// plain text, Markdown, or HTML from the studio's rich text editor
+export const CONTENT_FORMATS = ["plain", "markdown", "html"];
+
+const lessonSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    module: { type: mongoose.Schema.Types.ObjectId, ref: "Module", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    type: { type: String, enum: LESSON_TYPES, default: "video" },
+    order: { type: Number, default: 0 },
+    durationMinutes: { type: Number, default: 0, min: 0 },
+    // free preview lessons are viewable without enrolling
+    isPreview: { type: Boolean, default: false },
+    // skills taught (or, for quizzes, tested), e.g. ["react hooks"]
+    skills: { type: [{ type: String, trim: true, lowercase: true, maxlength: 60 }], default: [] },
+    // lessons to finish first, on top of the ones implied by shared skills
+    prerequisites: [{ type: mongoose.Schema.Types.ObjectId, ref: "Lesson" }],
+    content: { type: String },
+    contentFormat: { type: String, enum: CONTENT_FORMATS, default: "plain" },
+    // sanitized HTML rendered from content (not for plain text); see utils/markup.js
+    contentHtml: { type: String },
+    // externally hosted video; used when there is no videoFile
+    videoUrl: { type: String },
+    // path under MEDIA_DIR, streamed by /api/media (never sent to clients)
+    videoFile: { type: String, select: false },
+    captions: {
+      type: [
+        {
+          _id: false,
+          lang: { type: String, required: true, trim: true, lowercase: true, maxlength: 12 },
+          label: { type: String, required: true, trim: true, maxlength: 40 },
+          file: { type: String, required: true },
+        },
+      ],
+      select: false,
+    },
+    // downloads offered with the lesson (slides, starter code), kept by services/storage.js
+    attachments: [
+      {
+        name: { type: String, required: true, trim: true, maxlength: 200 },
+        // storage key (never sent to clients)
+        key: { type: String, required: true },
+        size: { type: Number, required: true },
+        contentType: { type: String },
+      },
+    ],
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+lessonSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.attachments?.forEach((a) => {
+      a.id = String(a._id);
+      delete a._id;
+      delete a.key;
+    });
+    return ret;
+  },
+});
+
+lessonSchema.pre("validate", function renderHtml() {
+  if (this.isModified("content") || this.isModified("contentFormat")) {
+    this.contentHtml = renderContent(this.content, this.contentFormat) ?? undefined;
+    // the studio loads HTML back into its editor as markup, so keep only the sanitized copy
+    if (this.contentFormat === "html" && this.content != null) this.content = this.contentHtml;
+  }
+});
+
+// Fields safe to show in a public syllabus
+export const OUTLINE_FIELDS = "title type order durationMinutes isPreview module skills";
+
+const Lesson = mongoose.model("Lesson", lessonSchema);
+
+export default Lesson;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// A block of time a mentor offers for one-to-one sessions. Learners in one of
+// the mentor's cohorts book it (first come, first served); `cohort` limits
+// the slot to that cohort's members. A booked slot the mentor withdraws is
+// kept with `cancelledAt` so the learner can see what happened.
+const mentorSlotSchema = new mongoose.Schema(
+  {
+    mentor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    cohort: { type: mongoose.Schema.Types.ObjectId, ref: "Cohort" },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    // rendered as a link and written to calendar files, so web links only
+    meetingUrl: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      match: [/^https?:\/\/\S+$/i, "Meeting links must be a single http:// or https:// address"],
+    },
+    bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    bookedAt: { type: Date },
+    // what the learner wants to talk about
+    note: { type: String, trim: true, maxlength: 1000 },
+    cancelledAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+mentorSlotSchema.index({ mentor: 1, startsAt: 1 });
+
+mentorSlotSchema.pre("validate", function checkDates() {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "A slot must end after it starts");
+  }
+});
+
+const MentorSlot = mongoose.model("MentorSlot", mentorSlotSchema);
+
+export default MentorSlot;
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+const moduleSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, maxlength: 1000 },
+    order: { type: Number, default: 0 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+const Module = mongoose.model("Module", moduleSchema);
+
+export default Module;
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_KINDS = ["review", "grade", "session", "billing", "assignment"];
+
+// Something that happened for a user: a project review assigned or finished,
+// a quiz or project graded, a live session about to start, a subscription
+// payment failing, a course assigned by an organization. Pushed over the
+// WebSocket when the user is online and kept for the bell's history. `key`
+// makes reminders idempotent (one per user and session).
+const notificationSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    kind: { type: String, enum: NOTIFICATION_KINDS, required: true },
+    title: { type: String, required: true, maxlength: 200 },
+    body: { type: String, maxlength: 1000 },
+    // app path to open, e.g. /reviews/:id
+    link: { type: String, maxlength: 500 },
+    key: { type: String },
+    readAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ user: 1, key: 1 }, { unique: true, partialFilterExpression: { key: { $type: "string" } } });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
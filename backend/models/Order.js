@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const orderSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "USD", uppercase: true },
+    status: { type: String, enum: ["pending", "paid", "failed", "refunded"], default: "pending", index: true },
+    provider: { type: String, required: true },
+    // payment id on the provider side
+    providerRef: { type: String, index: true },
+    paidAt: { type: Date },
+    failureReason: { type: String },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+const Order = mongoose.model("Order", orderSchema);
+
+export default Order;
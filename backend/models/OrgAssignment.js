@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A course an organization asks its people to finish by a date: one team's
+// members, or everyone when `team` is empty.
+const orgAssignmentSchema = new mongoose.Schema(
+  {
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    team: { type: mongoose.Schema.Types.ObjectId, ref: "OrgTeam" },
+    dueAt: { type: Date, required: true },
+    note: { type: String, trim: true, maxlength: 500 },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+orgAssignmentSchema.index({ org: 1, dueAt: 1 });
+orgAssignmentSchema.index({ org: 1, course: 1, team: 1 }, { unique: true });
+
+const OrgAssignment = mongoose.model("OrgAssignment", orgAssignmentSchema);
+
+export default OrgAssignment;
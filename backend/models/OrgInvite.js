@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import { ORG_ROLES } from './OrgMember.js';
+
+export const INVITE_STATUSES = ["pending", "accepted", "revoked"];
+
+// An emailed link to take a seat. Only the token's hash is stored; a pending
+// invite holds its seat until it is accepted, revoked or expires.
+const orgInviteSchema = new mongoose.Schema(
+  {
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    email: { type: String, required: true, lowercase: true, trim: true, match: [/^\S+@\S+\.\S+$/, "Invalid email"] },
+    role: { type: String, enum: ORG_ROLES, default: "member" },
+    teams: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "OrgTeam" }], default: [] },
+    tokenHash: { type: String, required: true, unique: true, select: false },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: INVITE_STATUSES, default: "pending" },
+    expiresAt: { type: Date, required: true },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    acceptedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+orgInviteSchema.index({ org: 1, email: 1 }, { unique: true, partialFilterExpression: { status: "pending" } });
+
+const OrgInvite = mongoose.model("OrgInvite", orgInviteSchema);
+
+export default OrgInvite;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+export const ORG_ROLES = ["admin", "member"];
+
+// A seat in an organization. Admins manage seats, teams and assignments;
+// the owner is always an admin.
+const orgMemberSchema = new mongoose.Schema(
+  {
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    role: { type: String, enum: ORG_ROLES, default: "member" },
+    teams: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "OrgTeam" }], default: [] },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+orgMemberSchema.index({ org: 1, user: 1 }, { unique: true });
+orgMemberSchema.index({ org: 1, teams: 1 });
+
+const OrgMember = mongoose.model("OrgMember", orgMemberSchema);
+
+export default OrgMember;
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// A named group of members inside an organization ("Data team", "Batch 7")
+// that courses can be assigned to.
+const orgTeamSchema = new mongoose.Schema(
+  {
+    org: { type: mongoose.Schema.Types.ObjectId, ref: "Organization", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+orgTeamSchema.index({ org: 1, name: 1 }, { unique: true });
+
+const OrgTeam = mongoose.model("OrgTeam", orgTeamSchema);
+
+export default OrgTeam;
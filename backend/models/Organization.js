@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// A company or bootcamp workspace on the Teams plan. Its seats come from the
+// owner's subscription (the plan's `seats`); members are OrgMember rows and
+// everything else (teams, invites, assignments) hangs off `org`, so every
+// query is scoped to one organization.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription", required: true, unique: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+export default Organization;
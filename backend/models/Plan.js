@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+export const BILLING_CYCLES = ["monthly", "yearly"];
+
+// What a plan unlocks. Only "paid_courses" is enforced today (see
+// services/billing.js); the rest describe the plan for the pricing page.
+export const ENTITLEMENTS = ["paid_courses", "mentor_sessions", "certificates", "team_management"];
+
+// A subscription tier on the pricing page (Free, Pro, Teams). Prices are in
+// major currency units per billing cycle; a plan with no prices is free and
+// needs no subscription.
+const planSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9-]+$/ },
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    tagline: { type: String, trim: true, maxlength: 120 },
+    features: { type: [String], default: [] },
+    prices: {
+      monthly: { type: Number, default: 0, min: 0 },
+      yearly: { type: Number, default: 0, min: 0 },
+    },
+    currency: { type: String, default: "USD", uppercase: true },
+    // free days before the first charge, once per user
+    trialDays: { type: Number, default: 0, min: 0, max: 90 },
+    // people who can use one subscription
+    seats: { type: Number, default: 1, min: 1 },
+    entitlements: { type: [{ type: String, enum: ENTITLEMENTS }], default: [] },
+    // display order, and the upgrade direction between plans
+    order: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+planSchema.virtual("isFree").get(function () {
+  return !this.prices.monthly && !this.prices.yearly;
+});
+
+const Plan = mongoose.model("Plan", planSchema);
+
+export default Plan;
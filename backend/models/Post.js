@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A reply in a thread. Replies to a reply (`parent`) nest one level deep.
+const postSchema = new mongoose.Schema(
+  {
+    thread: { type: mongoose.Schema.Types.ObjectId, ref: "Thread", required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "Post" },
+    body: { type: String, required: true, trim: true, maxlength: 10000 },
+    score: { type: Number, default: 0 },
+    hiddenAt: { type: Date },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    hiddenReason: { type: String, trim: true, maxlength: 500 },
+    editedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+postSchema.index({ thread: 1, createdAt: 1 });
+
+const Post = mongoose.model("Post", postSchema);
+
+export default Post;
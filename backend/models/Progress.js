@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One row per learner per lesson: where they are in it and whether it's done.
+const progressSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    lesson: { type: mongoose.Schema.Types.ObjectId, ref: "Lesson", required: true },
+    // seconds into the video (0 for text lessons)
+    position: { type: Number, default: 0, min: 0 },
+    duration: { type: Number, default: 0, min: 0 },
+    completed: { type: Boolean, default: false },
+    completedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+progressSchema.index({ user: 1, lesson: 1 }, { unique: true });
+progressSchema.index({ user: 1, course: 1 });
+
+const Progress = mongoose.model("Progress", progressSchema);
+
+export default Progress;
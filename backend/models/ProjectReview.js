@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// One reviewer's assessment of a submission: a score per rubric criterion,
+// an overall comment and comments pinned to a file (and optionally a path
+// inside an archive and a line). Peers stay anonymous to the author.
+const projectReviewSchema = new mongoose.Schema(
+  {
+    submission: { type: mongoose.Schema.Types.ObjectId, ref: "Submission", required: true, index: true },
+    assignment: { type: mongoose.Schema.Types.ObjectId, ref: "Assignment", required: true },
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    role: { type: String, enum: ["mentor", "peer"], required: true },
+    status: { type: String, enum: ["assigned", "completed"], default: "assigned" },
+    scores: [
+      {
+        _id: false,
+        criterion: { type: mongoose.Schema.Types.ObjectId, required: true },
+        points: { type: Number, required: true, min: 0 },
+        comment: { type: String, trim: true, maxlength: 2000 },
+      },
+    ],
+    summary: { type: String, trim: true, maxlength: 4000 },
+    comments: [
+      {
+        file: { type: mongoose.Schema.Types.ObjectId },
+        path: { type: String, trim: true, maxlength: 300 },
+        line: { type: Number, min: 1 },
+        body: { type: String, required: true, trim: true, maxlength: 2000 },
+      },
+    ],
+    completedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+projectReviewSchema.index({ submission: 1, reviewer: 1 }, { unique: true });
+
+const ProjectReview = mongoose.model("ProjectReview", projectReviewSchema);
+
+export default ProjectReview;
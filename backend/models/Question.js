@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+export const QUESTION_TYPES = ["single", "multiple", "numeric", "short_text", "code_output"];
+
+const CHOICE_TYPES = ["single", "multiple"];
+
+// Bank questions. `answer` is the key used for grading and is never selected
+// by default, so learner-facing queries can't leak it by accident.
+const questionSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    // bank name within the course, e.g. "module-1"; quizzes draw from banks
+    bank: { type: String, trim: true, lowercase: true, default: "general", maxlength: 60 },
+    type: { type: String, enum: QUESTION_TYPES, required: true },
+    prompt: { type: String, required: true, trim: true, maxlength: 4000 },
+    // snippet shown with code_output questions ("what does this print?")
+    code: { type: String, maxlength: 10000 },
+    options: [{ text: { type: String, required: true, trim: true, maxlength: 500 } }],
+    points: { type: Number, default: 1, min: 0 },
+    // skills this question tests; defaults to the quiz lesson's skills
+    skills: { type: [{ type: String, trim: true, lowercase: true, maxlength: 60 }], default: [] },
+    answer: {
+      type: {
+        _id: false,
+        // correct option ids (single / multiple)
+        options: [{ type: mongoose.Schema.Types.ObjectId }],
+        // numeric
+        value: { type: Number },
+        tolerance: { type: Number, default: 0, min: 0 },
+        // accepted strings (short_text / code_output)
+        accepted: [{ type: String }],
+        caseSensitive: { type: Boolean, default: false },
+      },
+      required: true,
+      select: false,
+    },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+questionSchema.index({ course: 1, bank: 1 });
+
+// The key has to make sense for the question type.
+questionSchema.pre("validate", function checkAnswer() {
+  if (!this.isSelected("answer") || !this.answer) return;
+  const { options = [], value, accepted = [] } = this.answer;
+
+  if (CHOICE_TYPES.includes(this.type)) {
+    const ids = new Set(this.options.map((o) => String(o._id)));
+    if (this.options.length < 2) this.invalidate("options", "Choice questions need at least two options");
+    if (!options.length || options.some((id) => !ids.has(String(id)))) {
+      this.invalidate("answer", "Correct options must be chosen from the question's options");
+    }
+    if (this.type === "single" && options.length !== 1) {
+      this.invalidate("answer", "Single-choice questions have exactly one correct option");
+    }
+  } else if (this.type === "numeric") {
+    if (!Number.isFinite(value)) this.invalidate("answer", "Numeric questions need a numeric answer");
+  } else if (!accepted.some((a) => a.trim())) {
+    this.invalidate("answer", "Give at least one accepted answer");
+  }
+  if (this.type === "code_output" && !this.code) this.invalidate("code", "Code output questions need a snippet");
+});
+
+const Question = mongoose.model("Question", questionSchema);
+
+export default Question;
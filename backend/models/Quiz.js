@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Settings for a quiz lesson. Each attempt draws its questions from the
+// course's question banks (see services/quizzes.js).
+const quizSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    lesson: { type: mongoose.Schema.Types.ObjectId, ref: "Lesson", required: true, unique: true },
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    instructions: { type: String, trim: true, maxlength: 4000 },
+    // banks to draw from; empty = every question in the course
+    banks: [{ type: String, trim: true, lowercase: true }],
+    // questions per attempt; 0 = the whole pool
+    questionCount: { type: Number, default: 0, min: 0 },
+    shuffleQuestions: { type: Boolean, default: true },
+    shuffleOptions: { type: Boolean, default: true },
+    // 0 = untimed / unlimited
+    timeLimitMinutes: { type: Number, default: 0, min: 0 },
+    maxAttempts: { type: Number, default: 0, min: 0 },
+    // percent needed to pass (and complete the lesson)
+    passingScore: { type: Number, default: 70, min: 0, max: 100 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+const Quiz = mongoose.model("Quiz", quizSchema);
+
+export default Quiz;
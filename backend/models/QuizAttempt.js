@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+export const ATTEMPT_STATUSES = ["in_progress", "submitted", "expired"];
+
+const attemptSchema = new mongoose.Schema(
+  {
+    quiz: { type: mongoose.Schema.Types.ObjectId, ref: "Quiz", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    // 1, 2, 3… per learner and quiz; unique, so two starts at once can't both count
+    number: { type: Number, min: 1 },
+    // questions drawn for this attempt, with the option order the learner saw
+    questions: [
+      {
+        _id: false,
+        question: { type: mongoose.Schema.Types.ObjectId, ref: "Question", required: true },
+        optionOrder: [{ type: mongoose.Schema.Types.ObjectId }],
+      },
+    ],
+    status: { type: String, enum: ATTEMPT_STATUSES, default: "in_progress" },
+    startedAt: { type: Date, default: Date.now },
+    // null for untimed quizzes
+    expiresAt: { type: Date },
+    submittedAt: { type: Date },
+    answers: [
+      {
+        _id: false,
+        question: { type: mongoose.Schema.Types.ObjectId, ref: "Question", required: true },
+        response: { type: mongoose.Schema.Types.Mixed },
+        correct: { type: Boolean, default: false },
+        points: { type: Number, default: 0 },
+      },
+    ],
+    score: { type: Number, default: 0 },
+    maxScore: { type: Number, default: 0 },
+    percent: { type: Number, default: 0 },
+    passed: { type: Boolean, default: false },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+attemptSchema.index({ quiz: 1, user: 1, createdAt: -1 });
+// attempts from before numbering have none
+attemptSchema.index({ quiz: 1, user: 1, number: 1 }, { unique: true, partialFilterExpression: { number: { $exists: true } } });
+
+const QuizAttempt = mongoose.model("QuizAttempt", attemptSchema);
+
+export default QuizAttempt;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export const REPORT_STATUSES = ["open", "hidden", "dismissed"];
+
+// A user flagging a thread or reply for the board's moderators. The board
+// (course or group) is copied here so each moderation queue is one query.
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    targetKind: { type: String, enum: ["thread", "post"], required: true },
+    target: { type: mongoose.Schema.Types.ObjectId, required: true },
+    thread: { type: mongoose.Schema.Types.ObjectId, ref: "Thread", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
+    group: { type: mongoose.Schema.Types.ObjectId, ref: "StudyGroup" },
+    reason: { type: String, required: true, trim: true, maxlength: 500 },
+    status: { type: String, enum: REPORT_STATUSES, default: "open" },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+reportSchema.index({ reporter: 1, target: 1 }, { unique: true });
+reportSchema.index({ course: 1, status: 1, createdAt: 1 });
+reportSchema.index({ group: 1, status: 1, createdAt: 1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
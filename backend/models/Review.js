@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// A learner's star rating and comment on a course. Only learners enrolled in
+// the course may write one (services/reviews.js).
+const reviewSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: { validator: Number.isInteger, message: "Ratings are whole stars from 1 to 5" },
+    },
+    comment: { type: String, trim: true, maxlength: 2000 },
+    // "helpful" votes (models/Vote.js, targetKind "review")
+    helpfulCount: { type: Number, default: 0, min: 0 },
+    // the instructor's public answer
+    reply: {
+      type: {
+        _id: false,
+        body: { type: String, required: true, trim: true, maxlength: 2000 },
+        author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now },
+      },
+      default: undefined,
+    },
+    // hidden by a moderator: kept, but no longer listed or counted
+    hiddenAt: { type: Date },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    hiddenReason: { type: String, trim: true, maxlength: 500 },
+    // picked by an admin for the landing page testimonials
+    featuredAt: { type: Date, index: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+// one review per learner per course
+reviewSchema.index({ course: 1, user: 1 }, { unique: true });
+
+// Recomputes the stored rating / ratingCount on the course from its visible
+// reviews. Called after every write that can change them.
+reviewSchema.statics.refreshCourseRating = async function refreshCourseRating(courseId) {
+  const [agg] = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(String(courseId)), hiddenAt: null } },
+    { $group: { _id: null, avg: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  await mongoose.model("Course").updateOne(
+    { _id: courseId },
+    { rating: agg ? Math.round(agg.avg * 10) / 10 : 0, ratingCount: agg?.count || 0 }
+  );
+};
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
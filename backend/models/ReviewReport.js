@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+import { REPORT_STATUSES } from './Report.js';
+
+// A user flagging a course review for the site moderators (review:moderate).
+// Discussion board reports live in models/Report.js.
+const reviewReportSchema = new mongoose.Schema(
+  {
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    review: { type: mongoose.Schema.Types.ObjectId, ref: "Review", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    reason: { type: String, required: true, trim: true, maxlength: 500 },
+    status: { type: String, enum: REPORT_STATUSES, default: "open" },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+reviewReportSchema.index({ reporter: 1, review: 1 }, { unique: true });
+reviewReportSchema.index({ status: 1, createdAt: 1 });
+
+const ReviewReport = mongoose.model("ReviewReport", reviewReportSchema);
+
+export default ReviewReport;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A learner's estimated mastery of one skill in one course, from 0 to 1.
+// Lesson completion moves it a little; quiz answers move it most
+// (services/learningPath.js).
+const skillMasterySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    skill: { type: String, required: true },
+    score: { type: Number, default: 0, min: 0, max: 1 },
+    // number of quiz attempts that have tested this skill
+    quizEvidence: { type: Number, default: 0 },
+    lastQuizAt: { type: Date },
+    // quiz lesson that last tested the skill, for "retake" suggestions
+    assessedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Lesson" },
+    // last time a lesson teaching the skill was opened again
+    reviewedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+skillMasterySchema.index({ user: 1, course: 1, skill: 1 }, { unique: true });
+
+const SkillMastery = mongoose.model("SkillMastery", skillMasterySchema);
+
+export default SkillMastery;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { isTimeZone } from './Cohort.js';
+
+export const GROUP_VISIBILITIES = ["public", "private"];
+
+// A learner-run study group with its own discussion board. Public groups can
+// be joined straight away; private ones need a moderator to approve.
+const studyGroupSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    description: { type: String, trim: true, maxlength: 2000 },
+    // optional: the course the group studies together
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", index: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    visibility: { type: String, enum: GROUP_VISIBILITIES, default: "public" },
+    // where most members meet, so others can pick a group that suits them
+    timezone: {
+      type: String,
+      default: "UTC",
+      validate: { validator: isTimeZone, message: "Unknown time zone" },
+    },
+    tags: { type: [{ type: String, trim: true, lowercase: true, maxlength: 40 }], default: [] },
+    maxMembers: { type: Number, default: 50, min: 2, max: 500 },
+    // active members, kept in step by services/groups.js
+    memberCount: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+studyGroupSchema.index({ visibility: 1, memberCount: -1 });
+
+const StudyGroup = mongoose.model("StudyGroup", studyGroupSchema);
+
+export default StudyGroup;
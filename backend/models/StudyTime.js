@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Seconds a learner spent on a course, bucketed into 15-minute windows.
+// Dashboards add the windows up into days and weeks in the learner's own
+// time zone at read time; 15 minutes lines up with every UTC offset in use
+// (India's +5:30 and Nepal's +5:45 included). See services/analytics.js.
+const studyTimeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    // start of the window
+    at: { type: Date, required: true },
+    seconds: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+studyTimeSchema.index({ user: 1, course: 1, at: 1 }, { unique: true });
+studyTimeSchema.index({ user: 1, at: 1 });
+
+const StudyTime = mongoose.model("StudyTime", studyTimeSchema);
+
+export default StudyTime;
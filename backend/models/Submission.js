@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const SUBMISSION_STATUSES = ["draft", "submitted", "graded"];
+
+// One attempt at an assignment. Drafts collect files until submitted, then
+// reviewers are assigned; once enough reviews are in the attempt is graded.
+// A failing grade may allow another attempt (a new Submission).
+const submissionSchema = new mongoose.Schema(
+  {
+    assignment: { type: mongoose.Schema.Types.ObjectId, ref: "Assignment", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    attempt: { type: Number, default: 1, min: 1 },
+    status: { type: String, enum: SUBMISSION_STATUSES, default: "draft" },
+    files: [
+      {
+        name: { type: String, required: true, trim: true, maxlength: 200 },
+        // where services/storage.js keeps it (never sent to clients)
+        key: { type: String, required: true },
+        size: { type: Number, required: true },
+        contentType: { type: String },
+      },
+    ],
+    repositoryUrl: { type: String, trim: true, maxlength: 500, match: [/^https?:\/\/\S+$/, "Invalid URL"] },
+    notes: { type: String, trim: true, maxlength: 4000 },
+    submittedAt: { type: Date },
+    // the reviews the grade was based on and its result
+    grade: {
+      points: { type: Number },
+      maxPoints: { type: Number },
+      percent: { type: Number },
+      passed: { type: Boolean },
+      gradedAt: { type: Date },
+    },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+submissionSchema.index({ assignment: 1, user: 1, attempt: 1 }, { unique: true });
+submissionSchema.index({ assignment: 1, status: 1 });
+
+submissionSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.files?.forEach((f) => {
+      f.id = String(f._id);
+      delete f._id;
+      delete f.key;
+    });
+    return ret;
+  },
+});
+
+const Submission = mongoose.model("Submission", submissionSchema);
+
+export default Submission;
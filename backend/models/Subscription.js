@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { BILLING_CYCLES } from './Plan.js';
+
+// trialing, active and past_due keep the plan's entitlements; past_due is
+// the grace period while a failed renewal is retried.
+export const SUBSCRIPTION_STATUSES = ["trialing", "active", "past_due", "cancelled"];
+export const LIVE_STATUSES = ["trialing", "active", "past_due"];
+
+// A user's paid plan — one document per user, reused when they resubscribe.
+// The current period runs from currentPeriodStart to currentPeriodEnd (the
+// trial's end while trialing); services/billing.js renews it when it ends.
+// Downgrades wait for the renewal in pendingPlan / pendingCycle.
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: "Plan", required: true },
+    cycle: { type: String, enum: BILLING_CYCLES, required: true },
+    status: { type: String, enum: SUBSCRIPTION_STATUSES, default: "active", index: true },
+    currentPeriodStart: { type: Date, required: true },
+    currentPeriodEnd: { type: Date, required: true, index: true },
+    trialEndsAt: { type: Date },
+    trialUsed: { type: Boolean, default: false },
+    cancelAtPeriodEnd: { type: Boolean, default: false },
+    cancelledAt: { type: Date },
+    endedAt: { type: Date },
+    pendingPlan: { type: mongoose.Schema.Types.ObjectId, ref: "Plan" },
+    pendingCycle: { type: String, enum: BILLING_CYCLES },
+    // what the current period cost, for proration
+    periodAmount: { type: Number, default: 0, min: 0 },
+    // unused proration, taken off the next invoices
+    credit: { type: Number, default: 0, min: 0 },
+    pastDueSince: { type: Date },
+    // card saved with the provider for renewals
+    paymentMethod: {
+      provider: { type: String },
+      token: { type: String, select: false },
+      last4: { type: String },
+    },
+  },
+  { timestamps: true }
+);
+
+// the saved-card token never leaves the server
+subscriptionSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.paymentMethod) delete ret.paymentMethod.token;
+    return ret;
+  },
+});
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+
+export default Subscription;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+export const THREAD_KINDS = ["discussion", "question"];
+
+// A discussion topic on a board: a course (optionally about one of its
+// lessons) or a study group. Questions can have an accepted answer.
+// Moderators hide rather than delete, so reports keep their context.
+const threadSchema = new mongoose.Schema(
+  {
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
+    lesson: { type: mongoose.Schema.Types.ObjectId, ref: "Lesson" },
+    group: { type: mongoose.Schema.Types.ObjectId, ref: "StudyGroup" },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    kind: { type: String, enum: THREAD_KINDS, default: "discussion" },
+    title: { type: String, required: true, trim: true, maxlength: 160 },
+    body: { type: String, required: true, trim: true, maxlength: 10000 },
+    // upvotes (see Vote)
+    score: { type: Number, default: 0 },
+    replyCount: { type: Number, default: 0 },
+    lastActivityAt: { type: Date, default: Date.now },
+    acceptedPost: { type: mongoose.Schema.Types.ObjectId, ref: "Post" },
+    pinned: { type: Boolean, default: false },
+    // no new replies
+    locked: { type: Boolean, default: false },
+    hiddenAt: { type: Date },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    hiddenReason: { type: String, trim: true, maxlength: 500 },
+    editedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+threadSchema.index({ course: 1, pinned: -1, lastActivityAt: -1 });
+threadSchema.index({ course: 1, lesson: 1, pinned: -1, lastActivityAt: -1 });
+threadSchema.index({ group: 1, pinned: -1, lastActivityAt: -1 });
+
+threadSchema.pre("validate", function checkBoard() {
+  if (Boolean(this.course) === Boolean(this.group)) {
+    this.invalidate("course", "A thread belongs to a course or a study group");
+  }
+  if (this.lesson && !this.course) this.invalidate("lesson", "Lesson threads belong to a course");
+});
+
+const Thread = mongoose.model("Thread", threadSchema);
+
+export default Thread;
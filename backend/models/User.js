@@ -0,0 +1,57 @@
+import bcrypt from 'bcrypt';
+import mongoose from 'mongoose';
+import { LOCALE_PATTERN } from '../utils/locale.js';
+import { ROLES } from '../utils/permissions.js';
+
+const SALT_ROUNDS = 12;
+
+const userSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Invalid email"],
+    },
+    password: { type: String, required: true, minlength: 8, select: false },
+    avatarUrl: { type: String },
+    headline: { type: String, trim: true, maxlength: 120 },
+    bio: { type: String, trim: true, maxlength: 2000 },
+    // ISO 3166-1 alpha-2 code, e.g. "IN"
+    country: { type: String, trim: true, uppercase: true, match: [/^[A-Z]{2}$/, "Use a two-letter country code"] },
+    // preferred language for the interface and course content, e.g. "hi";
+    // unset means the browser's
+    locale: { type: String, trim: true, lowercase: true, match: [LOCALE_PATTERN, "Use a language code like hi or ta"] },
+    role: { type: String, enum: ROLES, default: "learner", index: true },
+    // jti of every refresh token that is still allowed to be exchanged
+    refreshTokens: { type: [String], select: false, default: [] },
+  },
+  { timestamps: true }
+);
+
+userSchema.pre("save", async function hashPassword() {
+  if (!this.isModified("password")) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+userSchema.methods.comparePassword = function comparePassword(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    delete ret.password;
+    delete ret.refreshTokens;
+    return ret;
+  },
+});
+
+const User = mongoose.model("User", userSchema);
+
+export default User;
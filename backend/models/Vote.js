@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// One user's upvote on a thread or a reply (the target's `score` counts
+// them), or a "helpful" on a course review (its `helpfulCount`).
+const voteSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    targetKind: { type: String, enum: ["thread", "post", "review"], required: true },
+    target: { type: mongoose.Schema.Types.ObjectId, required: true },
+  },
+  { timestamps: true }
+);
+
+voteSchema.index({ user: 1, target: 1 }, { unique: true });
+
+const Vote = mongoose.model("Vote", voteSchema);
+
+export default Vote;
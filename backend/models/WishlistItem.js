@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: "Course", required: true },
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+wishlistItemSchema.index({ user: 1, course: 1 }, { unique: true });
+
+const WishlistItem = mongoose.model("WishlistItem", wishlistItemSchema);
+
+export default WishlistItem;
@@ -0,0 +1,112 @@
+import express from 'express';
+import { isTimeZone } from '../models/Cohort.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { findEditableCourse } from '../utils/courses.js';
+import { toCsv } from '../utils/csv.js';
+import { parsePagination } from '../utils/query.js';
+import {
+  courseDropOff,
+  courseFunnel,
+  courseQuizItems,
+  courseVideoStats,
+  learnerActivity,
+  learnerCourses,
+  learnerQuizTrend,
+} from '../services/analytics.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/* ===========
+   Learner dashboard
+   =========== */
+
+// Enrolled courses with percent complete, time spent and where to resume
+router.get("/me/courses", async (req, res) => {
+  res.json({ items: await learnerCourses(req.user.id) });
+});
+
+// GET /api/analytics/me/activity?tz=Asia/Kolkata&weeks=8
+// Daily and weekly study time plus the learning streak, in the learner's time zone
+router.get("/me/activity", async (req, res) => {
+  const timezone = req.query.tz ? String(req.query.tz) : "UTC";
+  if (!isTimeZone(timezone)) throw new HttpError(400, "Unknown time zone");
+  const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 8, 1), 26);
+  res.json(await learnerActivity(req.user.id, { timezone, weeks }));
+});
+
+// GET /api/analytics/me/quizzes?limit=20
+router.get("/me/quizzes", async (req, res) => {
+  const { limit } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+  res.json(await learnerQuizTrend(req.user.id, { limit }));
+});
+
+/* ===========
+   Course analytics (the course's instructor and admins)
+   =========== */
+
+// Each report answers JSON, or CSV with ?format=csv: `csv` turns the report
+// into a header row and data rows.
+const sendReport = (req, res, course, name, report, csv) => {
+  if (req.query.format !== "csv") return res.json(report);
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${course.slug}-${name}.csv"`,
+  });
+  res.send(toCsv(csv(report)));
+};
+
+// GET /api/analytics/courses/:courseId/funnel?days=90
+// Views → enrollments → started → completed over the last `days` (1–365)
+router.get("/courses/:courseId/funnel", async (req, res) => {
+  const course = await findEditableCourse(req.params.courseId, req.user);
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+  const report = await courseFunnel(course, { since: new Date(Date.now() - days * 24 * 60 * 60 * 1000) });
+  sendReport(req, res, course, "funnel", { days, ...report }, (r) => [
+    ["Step", "Learners", "Conversion from previous step (%)"],
+    ...r.steps.map((s) => [s.label, s.count, s.rate ?? ""]),
+    [],
+    ["Date", "Views", "Enrollments"],
+    ...r.daily.map((d) => [d.date, d.views, d.enrollments]),
+  ]);
+});
+
+// Per lesson: learners who started and finished it, and who stopped there
+router.get("/courses/:courseId/drop-off", async (req, res) => {
+  const course = await findEditableCourse(req.params.courseId, req.user);
+  sendReport(req, res, course, "drop-off", await courseDropOff(course), (r) => [
+    ["#", "Lesson", "Type", "Started", "Completed", "Reached (% of enrolled)", "Stopped here"],
+    ...r.items.map((i) => [i.position, i.lesson.title, i.lesson.type, i.started, i.completed, i.reachedPercent, i.stopped]),
+  ]);
+});
+
+// Median watch time per video lesson
+router.get("/courses/:courseId/videos", async (req, res) => {
+  const course = await findEditableCourse(req.params.courseId, req.user);
+  sendReport(req, res, course, "videos", await courseVideoStats(course), (r) => [
+    ["Lesson", "Length (s)", "Viewers", "Completion (%)", "Median watched (s)", "Median watched (%)"],
+    ...r.items.map((i) => [i.lesson.title, i.duration, i.viewers, i.completionRate, i.medianSeconds, i.medianPercent]),
+  ]);
+});
+
+// Difficulty and discrimination per quiz question
+router.get("/courses/:courseId/quiz-items", async (req, res) => {
+  const course = await findEditableCourse(req.params.courseId, req.user);
+  sendReport(req, res, course, "quiz-items", await courseQuizItems(course), (r) => [
+    ["Quiz", "Question", "Type", "Bank", "Learners", "Answered", "Difficulty", "Discrimination"],
+    ...r.items.map((i) => [
+      i.quiz.title,
+      i.question.prompt,
+      i.question.type,
+      i.question.bank,
+      i.takers,
+      i.answered,
+      i.difficulty,
+      i.discrimination,
+    ]),
+  ]);
+});
+
+export default router;
@@ -0,0 +1,130 @@
+import express from 'express';
+import Assignment from '../models/Assignment.js';
+import ProjectReview from '../models/ProjectReview.js';
+import Submission from '../models/Submission.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, optionalAuth, requireAuth } from '../middleware/auth.js';
+import { canEditCourse, findEditableCourse, findVisibleCourse } from '../utils/courses.js';
+import { pick } from '../utils/pick.js';
+import { attemptRules, startDraft } from '../services/submissions.js';
+
+const router = express.Router();
+
+const ASSIGNMENT_FIELDS = [
+  "title",
+  "instructions",
+  "rubric",
+  "reviewMode",
+  "peerReviewers",
+  "fileTypes",
+  "maxFiles",
+  "dueAt",
+  "maxResubmissions",
+  "resubmitDays",
+  "passingScore",
+];
+
+// Loads an assignment of a course the user can see
+const loadAssignment = async (assignmentId, user) => {
+  const assignment = await Assignment.findById(assignmentId);
+  if (!assignment) throw new HttpError(404, "Project not found");
+  const course = await findVisibleCourse(assignment.course, user);
+  return { assignment, course };
+};
+
+// The caller's attempts (newest first), what they may do next and their best
+// grade, which is the one that counts
+const progressOf = async (assignment, userId) => {
+  const attempts = await Submission.find({ assignment: assignment._id, user: userId }).sort({ attempt: -1 });
+  const best = attempts
+    .filter((s) => s.status === "graded")
+    .sort((a, b) => b.grade.percent - a.grade.percent)[0];
+  return { attempts, rules: attemptRules(assignment, attempts), grade: best?.grade ?? null };
+};
+
+// Projects of a course, with the caller's latest attempt when signed in.
+// GET /api/assignments?course=<id or slug>
+router.get("/", optionalAuth, async (req, res) => {
+  if (!req.query.course) throw new HttpError(400, "Pass ?course=<id or slug>");
+  const course = await findVisibleCourse(req.query.course, req.user);
+  const assignments = await Assignment.find({ course: course._id }).sort({ dueAt: 1, createdAt: 1 });
+  const mine = req.user
+    ? await Submission.find({ course: course._id, user: req.user.id }).sort({ attempt: -1 })
+    : [];
+  const items = assignments.map((a) => {
+    const latest = mine.find((s) => String(s.assignment) === a.id);
+    return {
+      ...a.toJSON(),
+      latest: latest ? pick(latest.toJSON(), ["id", "attempt", "status", "grade"]) : null,
+    };
+  });
+  res.json({ items });
+});
+
+router.post("/", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.body?.course, req.user);
+  const assignment = await Assignment.create({ ...pick(req.body, ASSIGNMENT_FIELDS), course: course._id });
+  res.status(201).json({ assignment });
+});
+
+router.get("/:assignmentId", optionalAuth, async (req, res) => {
+  const { assignment, course } = await loadAssignment(req.params.assignmentId, req.user);
+  res.json({
+    assignment,
+    course: pick(course.toJSON(), ["id", "title", "slug"]),
+    canEdit: canEditCourse(course, req.user),
+    ...(req.user ? await progressOf(assignment, req.user.id) : {}),
+  });
+});
+
+router.put("/:assignmentId", requireAuth, async (req, res) => {
+  const { assignment, course } = await loadAssignment(req.params.assignmentId, req.user);
+  if (!canEditCourse(course, req.user)) throw new HttpError(403, "You can only edit your own courses");
+  assignment.set(pick(req.body, ASSIGNMENT_FIELDS));
+  await assignment.save();
+  res.json({ assignment });
+});
+
+// Only while nobody has handed anything in
+router.delete("/:assignmentId", requireAuth, async (req, res) => {
+  const { assignment, course } = await loadAssignment(req.params.assignmentId, req.user);
+  if (!canEditCourse(course, req.user)) throw new HttpError(403, "You can only edit your own courses");
+  if (await Submission.exists({ assignment: assignment._id, status: { $ne: "draft" } })) {
+    throw new HttpError(409, "Learners have already submitted work for this project");
+  }
+  await Submission.deleteMany({ assignment: assignment._id });
+  await assignment.deleteOne();
+  res.status(204).end();
+});
+
+/* ===========
+   Submissions
+   =========== */
+
+// The caller's open draft, starting a new attempt when the rules allow one
+router.post("/:assignmentId/submissions", requireAuth, async (req, res) => {
+  const { assignment } = await loadAssignment(req.params.assignmentId, req.user);
+  const submission = await startDraft(assignment, req.user.id);
+  res.status(201).json({ submission });
+});
+
+// Everything handed in, newest first, with review progress. Course editors only.
+router.get("/:assignmentId/submissions", requireAuth, async (req, res) => {
+  const { assignment, course } = await loadAssignment(req.params.assignmentId, req.user);
+  if (!canEditCourse(course, req.user)) throw new HttpError(403, "You can only view your own courses’ projects");
+  const submissions = await Submission.find({ assignment: assignment._id, status: { $ne: "draft" } })
+    .sort({ submittedAt: -1 })
+    .populate("user", "name email avatarUrl");
+  const reviews = await ProjectReview.find({ submission: { $in: submissions.map((s) => s._id) } })
+    .populate("reviewer", "name")
+    .lean();
+  const items = submissions.map((s) => ({
+    ...s.toJSON(),
+    reviews: reviews
+      .filter((r) => String(r.submission) === s.id)
+      .map((r) => ({ id: String(r._id), role: r.role, status: r.status, reviewer: r.reviewer?.name })),
+  }));
+  res.json({ items });
+});
+
+export default router;
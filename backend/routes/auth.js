@@ -0,0 +1,81 @@
+import express from 'express';
+import User from '../models/User.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { signAccessToken, signRefreshToken, verifyRefreshToken } from '../utils/tokens.js';
+
+const router = express.Router();
+
+const MAX_SESSIONS = 5;
+
+// Issues a fresh access/refresh pair and records the refresh jti on the user.
+const issueSession = async (user, revokeJti) => {
+  const { token: refreshToken, jti } = signRefreshToken(user);
+  const active = user.refreshTokens.filter((t) => t !== revokeJti);
+  user.refreshTokens = [...active, jti].slice(-MAX_SESSIONS);
+  await user.save();
+  return { user, accessToken: signAccessToken(user), refreshToken };
+};
+
+router.post("/register", async (req, res) => {
+  const { name, email, password } = req.body || {};
+  if (!name || !email || !password) {
+    throw new HttpError(400, "name, email and password are required");
+  }
+  if (await User.exists({ email: String(email).toLowerCase() })) {
+    throw new HttpError(409, "An account with this email already exists");
+  }
+  const user = new User({ name, email, password });
+  res.status(201).json(await issueSession(user));
+});
+
+router.post("/login", async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) throw new HttpError(400, "email and password are required");
+
+  const user = await User.findOne({ email: String(email).toLowerCase() }).select(
+    "+password +refreshTokens"
+  );
+  if (!user || !(await user.comparePassword(password))) {
+    throw new HttpError(401, "Invalid email or password");
+  }
+  res.json(await issueSession(user));
+});
+
+router.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) throw new HttpError(400, "refreshToken is required");
+
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken);
+  } catch {
+    throw new HttpError(401, "Invalid or expired refresh token");
+  }
+  const user = await User.findById(payload.sub).select("+refreshTokens");
+  if (!user || !user.refreshTokens.includes(payload.jti)) {
+    throw new HttpError(401, "Refresh token has been revoked");
+  }
+  res.json(await issueSession(user, payload.jti));
+});
+
+router.post("/logout", async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (refreshToken) {
+    try {
+      const { sub, jti } = verifyRefreshToken(refreshToken);
+      await User.updateOne({ _id: sub }, { $pull: { refreshTokens: jti } });
+    } catch {
+      // already invalid; nothing to revoke
+    }
+  }
+  res.status(204).end();
+});
+
+router.get("/me", requireAuth, async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new HttpError(404, "User not found");
+  res.json({ user });
+});
+
+export default router;
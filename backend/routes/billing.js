@@ -0,0 +1,107 @@
+import express from 'express';
+import Invoice from '../models/Invoice.js';
+import Plan from '../models/Plan.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { paginated, parsePagination } from '../utils/query.js';
+import {
+  cancelSubscription,
+  changeSubscription,
+  checkCycle,
+  findLiveSubscription,
+  findPlan,
+  quoteChange,
+  resumeSubscription,
+  startSubscription,
+  updatePaymentMethod,
+} from '../services/billing.js';
+
+const router = express.Router();
+
+// Card fields the payment gateway needs; anything else in the body is ignored
+const CARD_FIELDS = ["cardNumber", "expiry", "cvc"];
+const cardFrom = (body = {}) => Object.fromEntries(CARD_FIELDS.map((f) => [f, body[f]]));
+
+const loadSubscription = async (userId, options) => {
+  const subscription = await findLiveSubscription(userId, options);
+  if (!subscription) throw new HttpError(404, "You have no subscription");
+  return subscription;
+};
+
+/* ===========
+   Plans
+   =========== */
+
+// The pricing page: active plans in display order
+router.get("/plans", async (req, res) => {
+  res.json({ items: await Plan.find({ active: true }).sort({ order: 1 }) });
+});
+
+/* ===========
+   The signed-in user's subscription
+   =========== */
+
+router.get("/subscription", requireAuth, async (req, res) => {
+  res.json({ subscription: await findLiveSubscription(req.user.id) });
+});
+
+// Body: { plan (code), cycle, cardNumber, expiry, cvc }
+router.post("/subscription", requireAuth, async (req, res) => {
+  const plan = await findPlan(req.body?.plan);
+  const cycle = checkCycle(req.body?.cycle);
+  const { subscription, invoice } = await startSubscription(req.user.id, plan, cycle, cardFrom(req.body));
+  await subscription.populate("plan pendingPlan");
+  res.status(201).json({ subscription, invoice });
+});
+
+// What a plan change would cost today, without making it. Body: { plan, cycle }
+router.post("/subscription/quote", requireAuth, async (req, res) => {
+  const subscription = await loadSubscription(req.user.id);
+  const plan = await findPlan(req.body?.plan);
+  res.json({ quote: quoteChange(subscription, plan, checkCycle(req.body?.cycle)) });
+});
+
+// Upgrades now (prorated, charged to the saved card); downgrades at renewal
+router.put("/subscription", requireAuth, async (req, res) => {
+  const subscription = await loadSubscription(req.user.id, { withCard: true });
+  const plan = await findPlan(req.body?.plan);
+  res.json(await changeSubscription(subscription, plan, checkCycle(req.body?.cycle)));
+});
+
+router.post("/subscription/cancel", requireAuth, async (req, res) => {
+  const subscription = await loadSubscription(req.user.id);
+  res.json({ subscription: await cancelSubscription(subscription) });
+});
+
+router.post("/subscription/resume", requireAuth, async (req, res) => {
+  const subscription = await loadSubscription(req.user.id);
+  res.json({ subscription: await resumeSubscription(subscription) });
+});
+
+// Body: { cardNumber, expiry, cvc }. An overdue payment is retried on the new card.
+router.put("/subscription/payment-method", requireAuth, async (req, res) => {
+  const subscription = await loadSubscription(req.user.id, { withCard: true });
+  res.json(await updatePaymentMethod(subscription, cardFrom(req.body)));
+});
+
+/* ===========
+   Invoices
+   =========== */
+
+router.get("/invoices", requireAuth, async (req, res) => {
+  const paging = parsePagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const filter = { user: req.user.id, status: { $ne: "open" } };
+  const [items, total] = await Promise.all([
+    Invoice.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit).populate("plan", "name"),
+    Invoice.countDocuments(filter),
+  ]);
+  res.json(paginated(items, total, paging));
+});
+
+router.get("/invoices/:invoiceId", requireAuth, async (req, res) => {
+  const invoice = await Invoice.findOne({ _id: req.params.invoiceId, user: req.user.id }).populate("plan", "name");
+  if (!invoice) throw new HttpError(404, "Invoice not found");
+  res.json({ invoice });
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import Category from '../models/Category.js';
+import Course from '../models/Course.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, requireAuth } from '../middleware/auth.js';
+import { pick } from '../utils/pick.js';
+
+const router = express.Router();
+
+const EDITABLE = ["name", "slug", "description", "order"];
+
+// Categories with the number of published courses in each
+router.get("/", async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find().sort({ order: 1, name: 1 }),
+    Course.aggregate([
+      { $match: { status: "published" } },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const byId = new Map(counts.map((c) => [String(c._id), c.count]));
+  res.json({
+    items: categories.map((c) => ({ ...c.toJSON(), courseCount: byId.get(String(c._id)) || 0 })),
+  });
+});
+
+router.post("/", requireAuth, authorize("category:manage"), async (req, res) => {
+  const category = await Category.create(pick(req.body, EDITABLE));
+  res.status(201).json({ category });
+});
+
+router.put("/:id", requireAuth, authorize("category:manage"), async (req, res) => {
+  const category = await Category.findByIdAndUpdate(req.params.id, pick(req.body, EDITABLE), {
+    new: true,
+    runValidators: true,
+  });
+  if (!category) throw new HttpError(404, "Category not found");
+  res.json({ category });
+});
+
+router.delete("/:id", requireAuth, authorize("category:manage"), async (req, res) => {
+  if (await Course.exists({ category: req.params.id })) {
+    throw new HttpError(409, "Category still has courses");
+  }
+  const category = await Category.findByIdAndDelete(req.params.id);
+  if (!category) throw new HttpError(404, "Category not found");
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import Certificate from '../models/Certificate.js';
+import Enrollment from '../models/Enrollment.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, requireAuth } from '../middleware/auth.js';
+import { can } from '../utils/permissions.js';
+import { issueCertificate, publicView, verifyCertificate, writeCertificatePdf } from '../services/certificates.js';
+
+const router = express.Router();
+
+// Public: lets anyone (e.g. an employer) check a certificate ID.
+// GET /api/certificates/verify/ES-7K2M-Q9XD-4HRT
+router.get("/verify/:certId", async (req, res) => {
+  const { status, certificate } = await verifyCertificate(req.params.certId);
+  res.json({ status, certificate: certificate && status !== "invalid" ? publicView(certificate) : null });
+});
+
+router.use(requireAuth);
+
+// The signed-in learner's certificates
+router.get("/", async (req, res) => {
+  const items = await Certificate.find({ user: req.user.id }).sort({ issuedAt: -1 });
+  res.json({ items: items.map(publicView) });
+});
+
+// Issues the certificate for a completed course if it is missing (e.g. the
+// course was completed before certificates existed). Body: { course }.
+router.post("/", async (req, res) => {
+  const enrollment = await Enrollment.findOne({ user: req.user.id, course: req.body?.course, status: "completed" });
+  if (!enrollment) throw new HttpError(409, "Complete the course to earn its certificate");
+  const cert = await issueCertificate(req.user.id, enrollment.course);
+  res.status(201).json({ certificate: publicView(cert) });
+});
+
+// PDF download for the owner (and admins)
+router.get("/:certId/pdf", async (req, res) => {
+  const cert = await Certificate.findOne({ certId: String(req.params.certId).toUpperCase() });
+  if (!cert || (String(cert.user) !== req.user.id && !can(req.user.role, "certificate:manage"))) {
+    throw new HttpError(404, "Certificate not found");
+  }
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${cert.certId}.pdf"`,
+  });
+  writeCertificatePdf(cert, res);
+});
+
+// Revocation keeps the record (so verification can say "revoked")
+router.post("/:certId/revoke", authorize("certificate:manage"), async (req, res) => {
+  const cert = await Certificate.findOne({ certId: String(req.params.certId).toUpperCase() });
+  if (!cert) throw new HttpError(404, "Certificate not found");
+  if (cert.revokedAt) throw new HttpError(409, "Certificate is already revoked");
+  const reason = String(req.body?.reason || "").trim();
+  if (!reason) throw new HttpError(400, "Give a reason for revoking");
+  cert.set({ revokedAt: new Date(), revokedReason: reason, revokedBy: req.user.id });
+  await cert.save();
+  res.json({ certificate: publicView(cert) });
+});
+
+router.post("/:certId/restore", authorize("certificate:manage"), async (req, res) => {
+  const cert = await Certificate.findOne({ certId: String(req.params.certId).toUpperCase() });
+  if (!cert) throw new HttpError(404, "Certificate not found");
+  cert.set({ revokedAt: undefined, revokedReason: undefined, revokedBy: undefined });
+  await cert.save();
+  res.json({ certificate: publicView(cert) });
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import Order from '../models/Order.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { findVisibleCourse } from '../utils/courses.js';
+import { enroll, findActiveEnrollment, firstLessonOf } from '../services/enrollment.js';
+import { getGateway } from '../services/payments.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Starts a one-off purchase of a paid course.
+router.post("/", async (req, res) => {
+  const course = await findVisibleCourse(req.body?.course, req.user);
+  if (course.price <= 0) throw new HttpError(400, "This course is free; enroll directly");
+  if (await findActiveEnrollment(req.user.id, course._id)) {
+    throw new HttpError(409, "You are already enrolled in this course");
+  }
+
+  const gateway = getGateway();
+  const order = new Order({
+    user: req.user.id,
+    course: course._id,
+    amount: course.price,
+    currency: course.currency,
+    provider: gateway.name,
+  });
+  const payment = await gateway.createPayment({
+    amount: order.amount,
+    currency: order.currency,
+    reference: order.id,
+    description: course.title,
+  });
+  order.providerRef = payment.id;
+  await order.save();
+
+  res.status(201).json({ order, payment: { id: payment.id, clientSecret: payment.clientSecret } });
+});
+
+// Confirms payment with the provider; on success the learner is enrolled.
+router.post("/:orderId/confirm", async (req, res) => {
+  const order = await Order.findOne({ _id: req.params.orderId, user: req.user.id }).populate("course");
+  if (!order) throw new HttpError(404, "Order not found");
+  if (order.status === "paid") throw new HttpError(409, "Order is already paid");
+
+  const result = await getGateway(order.provider).confirmPayment(order.providerRef, req.body || {});
+  if (result.status !== "succeeded") {
+    order.set({ status: "failed", failureReason: result.failureReason });
+    await order.save();
+    throw new HttpError(402, result.failureReason || "Payment failed");
+  }
+
+  order.set({ status: "paid", paidAt: new Date(), failureReason: undefined });
+  await order.save();
+  const enrollment = await enroll(req.user.id, order.course, { source: "purchase", order: order._id });
+  const firstLesson = await firstLessonOf(order.course._id);
+  res.json({ order, enrollment, nextLesson: firstLesson?._id || null });
+});
+
+export default router;
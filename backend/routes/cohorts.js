@@ -0,0 +1,202 @@
+import express from 'express';
+import Cohort from '../models/Cohort.js';
+import CohortMember from '../models/CohortMember.js';
+import User from '../models/User.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, optionalAuth, requireAuth } from '../middleware/auth.js';
+import { canEditCourse, findEditableCourse, findVisibleCourse } from '../utils/courses.js';
+import { can } from '../utils/permissions.js';
+import { pick } from '../utils/pick.js';
+import { parseDateRange } from '../utils/query.js';
+import {
+  calendarEvents,
+  calendarIcs,
+  canManageCohort,
+  cohortIcs,
+  fillSeats,
+  joinCohort,
+  leaveCohort,
+  membershipOf,
+} from '../services/cohorts.js';
+import { chatHistory, loadChatCohort } from '../services/chat.js';
+import { leaveCohortRoom } from '../services/realtime.js';
+
+const router = express.Router();
+
+const COHORT_FIELDS = ["title", "startsAt", "endsAt", "timezone", "capacity", "sessions"];
+const MENTOR_FIELDS = "name avatarUrl headline";
+
+// Loads a cohort of a course the user can see
+const loadCohort = async (cohortId, user) => {
+  const cohort = await Cohort.findById(cohortId).populate("mentor", MENTOR_FIELDS);
+  if (!cohort) throw new HttpError(404, "Cohort not found");
+  const course = await findVisibleCourse(cohort.course, user);
+  return { cohort, course };
+};
+
+const checkMentor = async (mentorId) => {
+  const mentor = await User.findById(mentorId, "role");
+  if (!mentor || !can(mentor.role, "cohort:manage")) throw new HttpError(400, "Mentors must be instructors");
+};
+
+// Meeting links are only for seated learners and the people running the cohort
+const cohortView = (cohort, seated) => {
+  const json = cohort.toJSON();
+  if (seated) return json;
+  return { ...json, sessions: json.sessions.map((s) => ({ ...s, meetingUrl: undefined })) };
+};
+
+const sendIcs = (res, filename, body) => {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.send(body);
+};
+
+/* ===========
+   Browsing and joining
+   =========== */
+
+// Cohorts of a course that haven't ended, soonest first, with the caller's
+// membership. GET /api/cohorts?course=<id or slug>
+router.get("/", optionalAuth, async (req, res) => {
+  if (!req.query.course) throw new HttpError(400, "Pass ?course=<id or slug>");
+  const course = await findVisibleCourse(req.query.course, req.user);
+  const cohorts = await Cohort.find({ course: course._id, status: "scheduled", endsAt: { $gt: new Date() } })
+    .sort({ startsAt: 1 })
+    .populate("mentor", MENTOR_FIELDS);
+  const items = await Promise.all(
+    cohorts.map(async (c) => {
+      const membership = req.user ? await membershipOf(c._id, req.user.id) : null;
+      const seated = membership?.status === "enrolled" || canManageCohort(c, course, req.user);
+      return { ...cohortView(c, seated), membership };
+    })
+  );
+  res.json({ items });
+});
+
+// The caller's cohorts: ones they joined (or wait for) and ones they mentor
+router.get("/mine", requireAuth, async (req, res) => {
+  const members = await CohortMember.find({ user: req.user.id, status: { $in: ["enrolled", "waitlisted"] } });
+  const [joined, mentoring] = await Promise.all([
+    Cohort.find({ _id: { $in: members.map((m) => m.cohort) } })
+      .sort({ startsAt: 1 })
+      .populate("course", "title slug")
+      .populate("mentor", MENTOR_FIELDS),
+    Cohort.find({ mentor: req.user.id, endsAt: { $gt: new Date() } })
+      .sort({ startsAt: 1 })
+      .populate("course", "title slug"),
+  ]);
+  res.json({
+    memberships: await Promise.all(
+      joined.map(async (c) => {
+        const membership = await membershipOf(c._id, req.user.id);
+        const seated = membership?.status === "enrolled" || String(c.mentor?._id) === req.user.id;
+        return { ...cohortView(c, seated), membership };
+      })
+    ),
+    mentoring: await Promise.all(
+      mentoring.map(async (c) => ({
+        ...c.toJSON(),
+        waitlisted: await CohortMember.countDocuments({ cohort: c._id, status: "waitlisted" }),
+      }))
+    ),
+  });
+});
+
+// Sessions and mentor bookings between ?from and ?to (default: next 30 days)
+router.get("/calendar", requireAuth, async (req, res) => {
+  res.json({ events: await calendarEvents(req.user.id, parseDateRange(req.query)) });
+});
+
+// The same as an iCalendar file; by default the past month and the next year
+router.get("/calendar.ics", requireAuth, async (req, res) => {
+  const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const range = parseDateRange({ from: monthAgo, ...req.query }, { defaultDays: 395, maxDays: 400 });
+  sendIcs(res, "edusphar-schedule.ics", await calendarIcs(req.user.id, range));
+});
+
+router.get("/:cohortId", optionalAuth, async (req, res) => {
+  const { cohort, course } = await loadCohort(req.params.cohortId, req.user);
+  const membership = req.user ? await membershipOf(cohort._id, req.user.id) : null;
+  const manages = canManageCohort(cohort, course, req.user);
+  const result = { cohort: cohortView(cohort, manages || membership?.status === "enrolled"), membership };
+  // the roster (seated first, then the waitlist in order) is for the people running it
+  if (manages) {
+    const members = await CohortMember.find({ cohort: cohort._id, status: { $in: ["enrolled", "waitlisted"] } })
+      .sort({ status: 1, waitlistedAt: 1 })
+      .populate("user", "name email avatarUrl");
+    result.members = members.filter((m) => m.user);
+  }
+  res.json(result);
+});
+
+// It carries the meeting links, so only for the cohort's seated learners and mentors
+router.get("/:cohortId/calendar.ics", requireAuth, async (req, res) => {
+  const { cohort, course } = await loadCohort(req.params.cohortId, req.user);
+  const membership = await membershipOf(cohort._id, req.user.id);
+  if (membership?.status !== "enrolled" && !canManageCohort(cohort, course, req.user)) {
+    throw new HttpError(403, "Only the cohort's learners and mentors can download its calendar");
+  }
+  await cohort.populate("course", "title slug");
+  sendIcs(res, `${course.slug}-cohort.ics`, cohortIcs(cohort));
+});
+
+// Chat history, oldest first: GET /api/cohorts/:id/messages?before=<date>&limit=.
+// New messages arrive over the WebSocket (services/realtime.js).
+router.get("/:cohortId/messages", requireAuth, async (req, res) => {
+  const { cohort } = await loadChatCohort(req.params.cohortId, req.user);
+  res.json({ items: await chatHistory(cohort._id, pick(req.query, ["before", "limit"])) });
+});
+
+// 201 with { membership } — status "enrolled", or "waitlisted" when full
+router.post("/:cohortId/join", requireAuth, async (req, res) => {
+  const { cohort } = await loadCohort(req.params.cohortId, req.user);
+  await joinCohort(cohort, req.user.id);
+  res.status(201).json({ membership: await membershipOf(cohort._id, req.user.id) });
+});
+
+router.delete("/:cohortId/membership", requireAuth, async (req, res) => {
+  const { cohort } = await loadCohort(req.params.cohortId, req.user);
+  await leaveCohort(cohort, req.user.id);
+  leaveCohortRoom(req.user.id, cohort._id);
+  res.status(204).end();
+});
+
+/* ===========
+   Running cohorts
+   =========== */
+
+// Body: { course, title, startsAt, endsAt, timezone, capacity, sessions, mentor? }.
+// The mentor defaults to the creator; course instructors can name another one.
+router.post("/", requireAuth, authorize("cohort:manage"), async (req, res) => {
+  const course = await findEditableCourse(req.body?.course, req.user);
+  const mentor = req.body?.mentor || req.user.id;
+  if (mentor !== req.user.id) await checkMentor(mentor);
+  const cohort = await Cohort.create({ ...pick(req.body, COHORT_FIELDS), course: course._id, mentor });
+  res.status(201).json({ cohort });
+});
+
+// Same body (without course) plus status: "cancelled" | "scheduled".
+// Raising the capacity seats waitlisted learners straight away.
+router.put("/:cohortId", requireAuth, async (req, res) => {
+  const { cohort, course } = await loadCohort(req.params.cohortId, req.user);
+  if (!canManageCohort(cohort, course, req.user)) throw new HttpError(403, "Only the cohort’s mentor can change it");
+
+  const updates = pick(req.body, [...COHORT_FIELDS, "status"]);
+  if (updates.capacity !== undefined && Number(updates.capacity) < cohort.seatsTaken) {
+    throw new HttpError(400, `${cohort.seatsTaken} learners already have a seat; capacity can’t be lower`);
+  }
+  if (req.body?.mentor && req.body.mentor !== String(cohort.mentor?._id)) {
+    if (!canEditCourse(course, req.user)) throw new HttpError(403, "Only the course instructor can change the mentor");
+    await checkMentor(req.body.mentor);
+    updates.mentor = req.body.mentor;
+  }
+  cohort.set(updates);
+  await cohort.save();
+  if (cohort.status === "scheduled") await fillSeats(cohort._id);
+  res.json({ cohort: await Cohort.findById(cohort._id).populate("mentor", MENTOR_FIELDS) });
+});
+
+export default router;
@@ -0,0 +1,529 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Course from '../models/Course.js';
+import CourseVersion from '../models/CourseVersion.js';
+import Lesson, { OUTLINE_FIELDS } from '../models/Lesson.js';
+import Module from '../models/Module.js';
+import Progress from '../models/Progress.js';
+import Question from '../models/Question.js';
+import Quiz from '../models/Quiz.js';
+import Review from '../models/Review.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, optionalAuth, requireAuth } from '../middleware/auth.js';
+import { COURSE_SORTS, canEditCourse, findEditableCourse, findVisibleCourse, localizeCourse } from '../utils/courses.js';
+import { recordCourseView } from '../services/analytics.js';
+import { hasEntitlement } from '../services/billing.js';
+import { enroll, findActiveEnrollment, firstLessonOf } from '../services/enrollment.js';
+import { noteLessonReview } from '../services/learningPath.js';
+import {
+  REVIEW_SORTS,
+  createReview,
+  helpfulVotesOf,
+  populateReviews,
+  ratingBreakdown,
+} from '../services/reviews.js';
+import { sendFile } from '../services/submissions.js';
+import {
+  addAttachment,
+  courseOutline,
+  publishCourse,
+  publishProblems,
+  releaseLessonFiles,
+  removeAttachment,
+  removeCaptions,
+  removeVideo,
+  reorderCurriculum,
+  restoreVersion,
+  touchCourse,
+  unpublishCourse,
+  uploadCaptions,
+  uploadVideo,
+} from '../services/authoring.js';
+import { DEFAULT_LOCALE, baseLanguage, negotiate } from '../utils/locale.js';
+import { pick } from '../utils/pick.js';
+import { signMediaToken } from '../utils/tokens.js';
+import { escapeRegex, paginated, parsePagination } from '../utils/query.js';
+
+const router = express.Router();
+
+// status changes go through /publish and /unpublish, which keep the version history
+const COURSE_FIELDS = [
+  "title", "subtitle", "description", "category", "level", "tags", "price", "currency",
+  "billing", "durationMinutes", "thumbnailUrl", "language", "translations",
+];
+const MODULE_FIELDS = ["title", "description", "order"];
+const LESSON_FIELDS = [
+  "title", "type", "order", "durationMinutes", "isPreview", "content", "contentFormat", "videoUrl", "skills",
+  "prerequisites",
+];
+
+const LIST_POPULATE = [
+  { path: "instructor", select: "name avatarUrl" },
+  { path: "category", select: "name slug" },
+];
+
+const DETAIL_POPULATE = [
+  { path: "instructor", select: "name avatarUrl headline bio" },
+  { path: "category", select: "name slug" },
+];
+
+const toNumber = (v) => (v === undefined || v === "" ? undefined : Number(v));
+
+// Turns ?category=web-dev,design&minPrice=0&maxPrice=50&minRating=4&level=beginner&free=true
+// into a Mongo filter over published courses.
+const buildFilter = async (query) => {
+  const filter = { status: "published" };
+
+  if (query.category) {
+    const keys = String(query.category).split(",").filter(Boolean);
+    const ids = keys.filter((k) => mongoose.isValidObjectId(k));
+    const slugs = keys.filter((k) => !mongoose.isValidObjectId(k));
+    const bySlug = slugs.length ? await Category.find({ slug: { $in: slugs } }, "_id") : [];
+    filter.category = { $in: [...ids, ...bySlug.map((c) => c._id)] };
+  }
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (query.free === "true") filter.price = 0;
+  else if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (!Number.isNaN(minPrice) && minPrice !== undefined) filter.price.$gte = minPrice;
+    if (!Number.isNaN(maxPrice) && maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  const minRating = toNumber(query.minRating);
+  if (minRating !== undefined && !Number.isNaN(minRating)) filter.rating = { $gte: minRating };
+
+  if (query.level) filter.level = { $in: String(query.level).split(",") };
+  if (query.instructor && mongoose.isValidObjectId(query.instructor)) filter.instructor = query.instructor;
+  if (query.q) filter.title = new RegExp(escapeRegex(query.q), "i");
+
+  return filter;
+};
+
+/* ===========
+   Catalog (public)
+   =========== */
+
+router.get("/", async (req, res) => {
+  const paging = parsePagination(req.query, { defaultLimit: 12, maxLimit: 50 });
+  const filter = await buildFilter(req.query);
+  const sort = COURSE_SORTS[req.query.sort] || COURSE_SORTS.popular;
+
+  const [items, total] = await Promise.all([
+    Course.find(filter)
+      .select("-description")
+      .sort(sort)
+      .skip(paging.skip)
+      .limit(paging.limit)
+      .populate(LIST_POPULATE),
+    Course.countDocuments(filter),
+  ]);
+  res.json(paginated(items.map((c) => localizeCourse(c, req.locales)), total, paging));
+});
+
+// The caller's own courses in any state, for the studio
+router.get("/mine", requireAuth, authorize("course:write"), async (req, res) => {
+  const items = await Course.find({ instructor: req.user.id }).select("-description").sort({ updatedAt: -1 });
+  res.json({ items });
+});
+
+// Course with its syllabus tree (modules -> lesson outlines), in the
+// reader's language where translated
+router.get("/:id", optionalAuth, async (req, res) => {
+  const course = await findVisibleCourse(req.params.id, req.user);
+  await course.populate(DETAIL_POPULATE);
+  const [modules, lessons] = await Promise.all([
+    Module.find({ course: course._id }).sort({ order: 1 }),
+    Lesson.find({ course: course._id }, OUTLINE_FIELDS).sort({ order: 1 }),
+    // the instructor's own visits would skew the enrollment funnel
+    !canEditCourse(course, req.user) && recordCourseView(course._id, req.user?.id),
+  ]);
+  res.json({
+    course: localizeCourse(course, req.locales),
+    modules: modules.map((m) => ({
+      ...m.toJSON(),
+      lessons: lessons.filter((l) => String(l.module) === String(m._id)),
+    })),
+  });
+});
+
+/* ===========
+   Enrollment & learning
+   =========== */
+
+// Free courses enroll straight away, and so do paid ones for subscribers
+// whose plan includes them; otherwise paid courses answer 402 so the client
+// can send the learner through /api/checkout or to the plans.
+router.post("/:id/enroll", requireAuth, async (req, res) => {
+  const course = await findVisibleCourse(req.params.id, req.user);
+  let enrollment = await findActiveEnrollment(req.user.id, course._id);
+
+  if (!enrollment) {
+    if (course.price <= 0) {
+      enrollment = await enroll(req.user.id, course, { source: "free" });
+    } else if (await hasEntitlement(req.user.id, "paid_courses")) {
+      enrollment = await enroll(req.user.id, course, { source: "subscription" });
+    } else {
+      throw new HttpError(402, "This course requires payment", { checkout: { course: course.id } });
+    }
+  }
+
+  const firstLesson = await firstLessonOf(course._id);
+  res.status(201).json({ enrollment, nextLesson: enrollment.lastLesson || firstLesson?._id || null });
+});
+
+router.get("/:id/enrollment", requireAuth, async (req, res) => {
+  const course = await findVisibleCourse(req.params.id, req.user);
+  res.json({ enrollment: await findActiveEnrollment(req.user.id, course._id) });
+});
+
+// Streaming URLs (relative to the API root) for a lesson's own video and
+// captions, each carrying a media token. Null when the video is hosted elsewhere.
+// Given the course and the viewer's `locales`, the captions in the viewer's
+// language are marked `default` when the course is taught in another one.
+const lessonMedia = (lesson, course, locales = []) => {
+  if (!lesson.videoFile) return null;
+  const token = encodeURIComponent(signMediaToken(lesson._id));
+  const base = `/media/lessons/${lesson._id}`;
+  const preferred = negotiate(lesson.captions.map((c) => c.lang), locales);
+  const spoken = course?.language || DEFAULT_LOCALE;
+  return {
+    video: `${base}/video?token=${token}`,
+    captions: lesson.captions.map((c) => ({
+      lang: c.lang,
+      label: c.label,
+      src: `${base}/captions/${c.lang}.vtt?token=${token}`,
+      default: Boolean(preferred) && preferred !== spoken && baseLanguage(c.lang) === preferred,
+    })),
+  };
+};
+
+// Preview lessons are open to anyone, the rest to enrolled learners and the
+// course's editors. Returns the learner's enrollment when that is what let them in.
+const assertLessonAccess = async (course, lesson, user) => {
+  if (lesson.isPreview || canEditCourse(course, user)) return null;
+  if (!user) throw new HttpError(401, "Sign in to view this lesson");
+  const enrollment = await findActiveEnrollment(user.id, course._id);
+  if (!enrollment) throw new HttpError(403, "Enroll in this course to view this lesson");
+  return enrollment;
+};
+
+// Full lesson content: preview lessons for anyone, the rest for enrolled
+// learners and the course's editors. Signed-in learners also get their
+// saved progress so the player can resume.
+router.get("/:id/lessons/:lessonId", optionalAuth, async (req, res) => {
+  const course = await findVisibleCourse(req.params.id, req.user);
+  const lesson = await Lesson.findOne({ _id: req.params.lessonId, course: course._id }).select(
+    "+videoFile +captions"
+  );
+  if (!lesson) throw new HttpError(404, "Lesson not found");
+
+  const enrollment = await assertLessonAccess(course, lesson, req.user);
+  if (enrollment) {
+    enrollment.lastLesson = lesson._id;
+    await enrollment.save();
+  }
+
+  const [progress, quiz] = await Promise.all([
+    req.user ? Progress.findOne({ user: req.user.id, lesson: lesson._id }) : null,
+    lesson.type === "quiz" ? Quiz.findOne({ lesson: lesson._id }, "_id") : null,
+    req.user && noteLessonReview(req.user.id, lesson),
+  ]);
+  const media = lessonMedia(lesson, course, req.locales);
+  const json = lesson.toJSON();
+  delete json.videoFile;
+  delete json.captions;
+  res.json({ lesson: json, media, progress, quiz: quiz?.id ?? null });
+});
+
+// Downloads a lesson attachment, for anyone who may view the lesson
+router.get("/:id/lessons/:lessonId/attachments/:attachmentId", optionalAuth, async (req, res) => {
+  const course = await findVisibleCourse(req.params.id, req.user);
+  const lesson = await Lesson.findOne({ _id: req.params.lessonId, course: course._id });
+  if (!lesson) throw new HttpError(404, "Lesson not found");
+  await assertLessonAccess(course, lesson, req.user);
+  const attachment = lesson.attachments.id(req.params.attachmentId);
+  if (!attachment) throw new HttpError(404, "Attachment not found");
+  await sendFile(res, attachment);
+});
+
+/* ===========
+   Reviews
+   =========== */
+
+// GET /api/courses/:id/reviews?sort=helpful|newest|highest|lowest&rating=5&page=
+// Visible reviews with the per-star breakdown. Signed-in viewers also get
+// their own review (`mine`, even if hidden), whether they may write one and
+// which listed reviews they marked helpful.
+router.get("/:id/reviews", optionalAuth, async (req, res) => {
+  const course = await findVisibleCourse(req.params.id, req.user);
+  const paging = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+  const filter = { course: course._id, hiddenAt: null };
+  const stars = Number(req.query.rating);
+  if (Number.isInteger(stars) && stars >= 1 && stars <= 5) filter.rating = stars;
+  const sort = REVIEW_SORTS[req.query.sort] ?? REVIEW_SORTS.helpful;
+
+  const [items, total, breakdown, mine, enrollment] = await Promise.all([
+    populateReviews(Review.find(filter).sort(sort).skip(paging.skip).limit(paging.limit)),
+    Review.countDocuments(filter),
+    ratingBreakdown(course._id),
+    req.user && populateReviews(Review.findOne({ course: course._id, user: req.user.id })),
+    req.user && findActiveEnrollment(req.user.id, course._id),
+  ]);
+  res.json({
+    ...paginated(items, total, paging),
+    breakdown,
+    mine: mine ?? null,
+    canReview: Boolean(enrollment) && !mine,
+    helpful: await helpfulVotesOf(req.user?.id, items.map((r) => r._id)),
+  });
+});
+
+// Body: { rating, comment? } — enrolled learners, once per course
+router.post("/:id/reviews", requireAuth, async (req, res) => {
+  const course = await findVisibleCourse(req.params.id, req.user);
+  const review = await createReview(course, req.user.id, req.body ?? {});
+  res.status(201).json({ review: await populateReviews(Review.findById(review._id)) });
+});
+
+/* ===========
+   Authoring (instructors / admins)
+   =========== */
+
+router.post("/", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await Course.create({
+    ...pick(req.body, COURSE_FIELDS),
+    instructor: req.user.id,
+    editedAt: new Date(),
+  });
+  res.status(201).json({ course });
+});
+
+router.put("/:id", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  course.set({ ...pick(req.body, COURSE_FIELDS), editedAt: new Date() });
+  await course.save();
+  res.json({ course });
+});
+
+router.delete("/:id", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const lessons = await Lesson.find({ course: course._id }).select("+videoFile +captions");
+  await Promise.all([
+    Lesson.deleteMany({ course: course._id }),
+    Module.deleteMany({ course: course._id }),
+    Quiz.deleteMany({ course: course._id }),
+    Question.deleteMany({ course: course._id }),
+    CourseVersion.deleteMany({ course: course._id }),
+    course.deleteOne(),
+  ]);
+  // no versions are left to need them
+  await releaseLessonFiles(course, lessons);
+  res.status(204).end();
+});
+
+// The studio's view: details, full curriculum, publish readiness and version state
+router.get("/:id/studio", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  await course.populate("category", "name slug");
+  const [outline, problems] = await Promise.all([courseOutline(course), publishProblems(course)]);
+  res.json({ course, ...outline, problems });
+});
+
+// Drag-and-drop result. Body: { modules: [{ id, lessons: [lessonId, ...] }] }
+router.put("/:id/curriculum", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  await reorderCurriculum(course, req.body?.modules);
+  const { modules } = await courseOutline(course);
+  res.json({ modules });
+});
+
+router.post("/:id/modules", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const module = await Module.create({ ...pick(req.body, MODULE_FIELDS), course: course._id });
+  await touchCourse(course);
+  res.status(201).json({ module });
+});
+
+router.put("/:id/modules/:moduleId", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const module = await Module.findOneAndUpdate(
+    { _id: req.params.moduleId, course: course._id },
+    pick(req.body, MODULE_FIELDS),
+    { new: true, runValidators: true }
+  );
+  if (!module) throw new HttpError(404, "Module not found");
+  await touchCourse(course);
+  res.json({ module });
+});
+
+router.delete("/:id/modules/:moduleId", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const module = await Module.findOneAndDelete({ _id: req.params.moduleId, course: course._id });
+  if (!module) throw new HttpError(404, "Module not found");
+  const lessons = await Lesson.find({ module: module._id }).select("+videoFile +captions");
+  const lessonIds = lessons.map((l) => l._id);
+  await Promise.all([
+    Lesson.deleteMany({ module: module._id }),
+    Quiz.deleteMany({ lesson: { $in: lessonIds } }),
+    Lesson.updateMany({ course: course._id }, { $pull: { prerequisites: { $in: lessonIds } } }),
+  ]);
+  await releaseLessonFiles(course, lessons);
+  await touchCourse(course);
+  res.status(204).end();
+});
+
+// Explicit prerequisites must be other lessons of the same course
+const checkPrerequisites = async (course, body, lessonId) => {
+  if (!Array.isArray(body?.prerequisites)) return;
+  const ids = body.prerequisites.map(String);
+  if (ids.some((id) => !mongoose.isValidObjectId(id) || id === String(lessonId))) {
+    throw new HttpError(400, "Invalid prerequisites");
+  }
+  const found = await Lesson.countDocuments({ _id: { $in: ids }, course: course._id });
+  if (found !== new Set(ids).size) throw new HttpError(400, "Prerequisites must be lessons of this course");
+};
+
+router.post("/:id/modules/:moduleId/lessons", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  if (!(await Module.exists({ _id: req.params.moduleId, course: course._id }))) {
+    throw new HttpError(404, "Module not found");
+  }
+  await checkPrerequisites(course, req.body);
+  const lesson = await Lesson.create({
+    ...pick(req.body, LESSON_FIELDS),
+    course: course._id,
+    module: req.params.moduleId,
+  });
+  await touchCourse(course);
+  res.status(201).json({ lesson });
+});
+
+// Loaded with its media fields, for the upload routes below
+const findEditableLesson = async (req) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const lesson = await Lesson.findOne({ _id: req.params.lessonId, course: course._id }).select(
+    "+videoFile +captions"
+  );
+  if (!lesson) throw new HttpError(404, "Lesson not found");
+  return { course, lesson };
+};
+
+router.put("/:id/lessons/:lessonId", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  await checkPrerequisites(course, req.body, req.params.lessonId);
+  // loaded and saved (not findOneAndUpdate) so contentHtml is re-rendered
+  const lesson = await Lesson.findOne({ _id: req.params.lessonId, course: course._id });
+  if (!lesson) throw new HttpError(404, "Lesson not found");
+  lesson.set(pick(req.body, LESSON_FIELDS));
+  await lesson.save();
+  await touchCourse(course);
+  res.json({ lesson });
+});
+
+router.delete("/:id/lessons/:lessonId", requireAuth, authorize("course:write"), async (req, res) => {
+  const { course, lesson } = await findEditableLesson(req);
+  await Promise.all([
+    lesson.deleteOne(),
+    Quiz.deleteOne({ lesson: lesson._id }),
+    Lesson.updateMany({ course: course._id }, { $pull: { prerequisites: lesson._id } }),
+  ]);
+  await releaseLessonFiles(course, [lesson]);
+  await touchCourse(course);
+  res.status(204).end();
+});
+
+/* ===========
+   Lesson uploads (raw request bodies, like submission files)
+   =========== */
+
+// PUT ?name=lecture.mp4 with the video as the body
+router.put("/:id/lessons/:lessonId/video", requireAuth, authorize("course:write"), async (req, res) => {
+  const { course, lesson } = await findEditableLesson(req);
+  await uploadVideo(course, lesson, req, req.query.name);
+  res.json({ media: lessonMedia(lesson) });
+});
+
+router.delete("/:id/lessons/:lessonId/video", requireAuth, authorize("course:write"), async (req, res) => {
+  const { course, lesson } = await findEditableLesson(req);
+  await removeVideo(course, lesson);
+  res.json({ media: lessonMedia(lesson) });
+});
+
+// PUT .../captions/en?label=English with a WebVTT body
+router.put("/:id/lessons/:lessonId/captions/:lang", requireAuth, authorize("course:write"), async (req, res) => {
+  const { course, lesson } = await findEditableLesson(req);
+  await uploadCaptions(course, lesson, req, { lang: req.params.lang, label: req.query.label });
+  res.json({ media: lessonMedia(lesson) });
+});
+
+router.delete("/:id/lessons/:lessonId/captions/:lang", requireAuth, authorize("course:write"), async (req, res) => {
+  const { course, lesson } = await findEditableLesson(req);
+  await removeCaptions(course, lesson, req.params.lang);
+  res.json({ media: lessonMedia(lesson) });
+});
+
+// POST ?name=slides.pdf with the file as the body
+router.post("/:id/lessons/:lessonId/attachments", requireAuth, authorize("course:write"), async (req, res) => {
+  const { course, lesson } = await findEditableLesson(req);
+  const attachment = await addAttachment(course, lesson, req, req.query.name);
+  res.status(201).json({ attachment });
+});
+
+router.delete(
+  "/:id/lessons/:lessonId/attachments/:attachmentId",
+  requireAuth,
+  authorize("course:write"),
+  async (req, res) => {
+    const { course, lesson } = await findEditableLesson(req);
+    await removeAttachment(course, lesson, req.params.attachmentId);
+    res.status(204).end();
+  }
+);
+
+/* ===========
+   Publishing & versions
+   =========== */
+
+// Body: { note } — what changed in this version
+router.post("/:id/publish", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const note = typeof req.body?.note === "string" ? req.body.note : undefined;
+  const version = await publishCourse(course, req.user, note);
+  res.status(201).json({ course, version });
+});
+
+// Body: { status: "draft" | "archived" }
+router.post("/:id/unpublish", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  await unpublishCourse(course, req.body?.status);
+  res.json({ course });
+});
+
+router.get("/:id/versions", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const paging = parsePagination(req.query);
+  const filter = { course: course._id };
+  const [items, total] = await Promise.all([
+    CourseVersion.find(filter)
+      .populate("publishedBy", "name")
+      .sort({ number: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit),
+    CourseVersion.countDocuments(filter),
+  ]);
+  res.json(paginated(items, total, paging));
+});
+
+// Rolls details and curriculum back to a published version; publish again to make it the latest
+router.post("/:id/versions/:number/restore", requireAuth, authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.params.id, req.user);
+  const number = Number(req.params.number);
+  if (!Number.isInteger(number) || number < 1) throw new HttpError(400, "Invalid version number");
+  const version = await restoreVersion(course, number);
+  res.json({ course, version });
+});
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import Enrollment from '../models/Enrollment.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// The signed-in learner's courses, most recently active first
+router.get("/", async (req, res) => {
+  const items = await Enrollment.find({ user: req.user.id, status: { $ne: "cancelled" } })
+    .sort({ updatedAt: -1 })
+    .populate({
+      path: "course",
+      select: "title slug thumbnailUrl durationMinutes instructor",
+      populate: { path: "instructor", select: "name" },
+    });
+  res.json({ items: items.filter((e) => e.course) });
+});
+
+export default router;
@@ -0,0 +1,329 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ForumBan from '../models/ForumBan.js';
+import Post from '../models/Post.js';
+import Report from '../models/Report.js';
+import Thread from '../models/Thread.js';
+import User from '../models/User.js';
+import HttpError from '../utils/HttpError.js';
+import { optionalAuth, requireAuth } from '../middleware/auth.js';
+import { can } from '../utils/permissions.js';
+import { pick } from '../utils/pick.js';
+import { escapeRegex, paginated, parsePagination } from '../utils/query.js';
+import {
+  AUTHOR_FIELDS,
+  THREAD_SORTS,
+  assertCanPost,
+  assertCanRead,
+  assertModerator,
+  assertUnlocked,
+  boardFilter,
+  deletePost,
+  deleteThread,
+  fileReport,
+  loadBoard,
+  loadPost,
+  loadThread,
+  populatePosts,
+  populateThreads,
+  postView,
+  setHidden,
+  setVote,
+  threadView,
+  votedBy,
+} from '../services/forums.js';
+
+const router = express.Router();
+
+const MAX_POSTS = 500;
+
+const boardJSON = (board) => ({
+  canPost: board.canPost,
+  canModerate: board.canModerate,
+  ban: board.ban ? pick(board.ban.toJSON(), ["reason", "expiresAt"]) : null,
+  course: board.course && pick(board.course.toJSON(), ["id", "title", "slug"]),
+  lesson: board.lesson && pick(board.lesson.toJSON(), ["id", "title"]),
+  group: board.group && pick(board.group.toJSON(), ["id", "name"]),
+});
+
+const isAuthor = (doc, user) => String(doc.author) === user.id;
+
+/* ===========
+   Threads
+   =========== */
+
+// GET /api/forums/threads?course=<id|slug>[&lesson=] or ?group=, plus
+// sort=latest|top|new, unanswered=1 (questions without an accepted answer),
+// q= (title search) and page/limit
+router.get("/threads", optionalAuth, async (req, res) => {
+  const board = await loadBoard(pick(req.query, ["course", "lesson", "group"]), req.user);
+  assertCanRead(board);
+  const paging = parsePagination(req.query);
+  const filter = { ...boardFilter(board) };
+  if (!board.canModerate) {
+    filter.$or = [{ hiddenAt: null }, ...(req.user ? [{ author: req.user.id }] : [])];
+  }
+  if (req.query.unanswered) Object.assign(filter, { kind: "question", acceptedPost: null });
+  if (req.query.q) filter.title = { $regex: escapeRegex(String(req.query.q).slice(0, 100)), $options: "i" };
+
+  const [threads, total] = await Promise.all([
+    populateThreads(
+      Thread.find(filter)
+        .select("-body")
+        .sort(THREAD_SORTS[req.query.sort] ?? THREAD_SORTS.latest)
+        .skip(paging.skip)
+        .limit(paging.limit)
+    ),
+    Thread.countDocuments(filter),
+  ]);
+  const viewer = { voted: await votedBy(req.user?.id, threads), canModerate: board.canModerate, userId: req.user?.id };
+  res.json({ ...paginated(threads.map((t) => threadView(t, viewer)), total, paging), board: boardJSON(board) });
+});
+
+// Body: { course, lesson? } or { group }, plus { title, body, kind: "discussion" | "question" }
+router.post("/threads", requireAuth, async (req, res) => {
+  const board = await loadBoard(pick(req.body, ["course", "lesson", "group"]), req.user);
+  assertCanPost(board, req.user);
+  const thread = await Thread.create({
+    ...pick(req.body, ["title", "body", "kind"]),
+    course: board.course?._id,
+    lesson: board.lesson?._id,
+    group: board.group?._id,
+    author: req.user.id,
+  });
+  res.status(201).json({ thread });
+});
+
+// The thread with every reply (oldest first; the UI nests them by parent)
+router.get("/threads/:threadId", optionalAuth, async (req, res) => {
+  const { thread, board } = await loadThread(req.params.threadId, req.user);
+  await thread.populate([{ path: "author", select: AUTHOR_FIELDS }, { path: "lesson", select: "title" }]);
+  const posts = await populatePosts(Post.find({ thread: thread._id }).sort({ createdAt: 1 }).limit(MAX_POSTS));
+  const voted = await votedBy(req.user?.id, [thread, ...posts]);
+  const viewer = { voted, canModerate: board.canModerate, userId: req.user?.id };
+  res.json({
+    thread: threadView(thread, viewer),
+    posts: posts.map((p) => postView(p, viewer)),
+    board: boardJSON(board),
+  });
+});
+
+// Authors edit { title, body }; moderators can also set { pinned, locked }
+router.put("/threads/:threadId", requireAuth, async (req, res) => {
+  const { thread, board } = await loadThread(req.params.threadId, req.user);
+  const updates = {};
+  if (isAuthor(thread, req.user)) {
+    assertCanPost(board, req.user);
+    assertUnlocked(thread, board);
+    Object.assign(updates, pick(req.body, ["title", "body"]));
+    if (updates.title !== undefined || updates.body !== undefined) updates.editedAt = new Date();
+  }
+  if (board.canModerate) Object.assign(updates, pick(req.body, ["pinned", "locked"]));
+  if (!Object.keys(updates).length) throw new HttpError(403, "You can’t change this thread");
+  thread.set(updates);
+  await thread.save();
+  res.json({ thread });
+});
+
+// Authors can delete a thread nobody has answered yet; moderators any thread
+router.delete("/threads/:threadId", requireAuth, async (req, res) => {
+  const { thread, board } = await loadThread(req.params.threadId, req.user);
+  if (!board.canModerate && !(isAuthor(thread, req.user) && thread.replyCount === 0)) {
+    throw new HttpError(403, "Threads with replies can only be removed by a moderator");
+  }
+  await deleteThread(thread);
+  res.status(204).end();
+});
+
+// Body: { post } — the answer that solved a question, or null to clear it.
+// The asker or a moderator decides.
+router.put("/threads/:threadId/accepted", requireAuth, async (req, res) => {
+  const { thread, board } = await loadThread(req.params.threadId, req.user);
+  if (!isAuthor(thread, req.user) && !board.canModerate) {
+    throw new HttpError(403, "Only the person who asked can accept an answer");
+  }
+  if (thread.kind !== "question") throw new HttpError(400, "Only questions have accepted answers");
+  const postId = req.body?.post;
+  if (postId && !(await Post.exists({ _id: postId, thread: thread._id, hiddenAt: null }))) {
+    throw new HttpError(400, "Accept a reply from this thread");
+  }
+  thread.acceptedPost = postId || undefined;
+  await thread.save();
+  res.json({ thread });
+});
+
+/* ===========
+   Replies
+   =========== */
+
+// Body: { body, parent? } — parent replies to a reply (nested one level)
+router.post("/threads/:threadId/posts", requireAuth, async (req, res) => {
+  const { thread, board } = await loadThread(req.params.threadId, req.user);
+  assertCanPost(board, req.user);
+  assertUnlocked(thread, board);
+  let parent;
+  if (req.body?.parent) {
+    const target = await Post.findOne({ _id: req.body.parent, thread: thread._id }, "parent");
+    if (!target) throw new HttpError(400, "Reply to a post in this thread");
+    // replies to a nested reply join its parent
+    parent = target.parent ?? target._id;
+  }
+  const post = await Post.create({ thread: thread._id, author: req.user.id, parent, body: req.body?.body });
+  await Thread.updateOne({ _id: thread._id }, { $inc: { replyCount: 1 }, lastActivityAt: new Date() });
+  await post.populate("author", AUTHOR_FIELDS);
+  res.status(201).json({ post });
+});
+
+router.put("/posts/:postId", requireAuth, async (req, res) => {
+  const { post, thread, board } = await loadPost(req.params.postId, req.user);
+  if (!isAuthor(post, req.user)) throw new HttpError(403, "You can only edit your own replies");
+  assertCanPost(board, req.user);
+  assertUnlocked(thread, board);
+  post.set({ body: req.body?.body, editedAt: new Date() });
+  await post.save();
+  res.json({ post });
+});
+
+router.delete("/posts/:postId", requireAuth, async (req, res) => {
+  const { post, thread, board } = await loadPost(req.params.postId, req.user);
+  if (!isAuthor(post, req.user) && !board.canModerate) throw new HttpError(403, "You can only delete your own replies");
+  await deletePost(post, thread);
+  res.status(204).end();
+});
+
+/* ===========
+   Votes and reports
+   =========== */
+
+const loadTarget = async (kind, id, user) =>
+  kind === "thread" ? { ...(await loadThread(id, user)), kind } : { ...(await loadPost(id, user)), kind };
+
+const targetDoc = (t) => (t.kind === "thread" ? t.thread : t.post);
+
+for (const kind of ["thread", "post"]) {
+  const base = `/${kind}s/:id`;
+
+  // upvote / take it back; responds { score, voted }
+  router.post(`${base}/vote`, requireAuth, async (req, res) => {
+    const target = await loadTarget(kind, req.params.id, req.user);
+    assertCanPost(target.board, req.user);
+    res.json({ score: await setVote(kind, targetDoc(target), req.user.id, true), voted: true });
+  });
+
+  router.delete(`${base}/vote`, requireAuth, async (req, res) => {
+    const target = await loadTarget(kind, req.params.id, req.user);
+    res.json({ score: await setVote(kind, targetDoc(target), req.user.id, false), voted: false });
+  });
+
+  // Body: { reason }
+  router.post(`${base}/report`, requireAuth, async (req, res) => {
+    const target = await loadTarget(kind, req.params.id, req.user);
+    const report = await fileReport(kind, targetDoc(target), target.thread, req.user.id, req.body?.reason);
+    res.status(201).json({ report: pick(report.toJSON(), ["id", "status", "createdAt"]) });
+  });
+
+  // Moderators: hide with { reason } / restore
+  router.post(`${base}/hide`, requireAuth, async (req, res) => {
+    const target = await loadTarget(kind, req.params.id, req.user);
+    assertModerator(target.board);
+    res.json({ [kind]: await setHidden(kind, targetDoc(target), req.user.id, true, req.body?.reason) });
+  });
+
+  router.delete(`${base}/hide`, requireAuth, async (req, res) => {
+    const target = await loadTarget(kind, req.params.id, req.user);
+    assertModerator(target.board);
+    res.json({ [kind]: await setHidden(kind, targetDoc(target), req.user.id, false) });
+  });
+}
+
+/* ===========
+   Moderation
+   =========== */
+
+// Open reports for a board's moderators, oldest first, with what was reported.
+// GET /api/forums/reports?course= or ?group=
+router.get("/reports", requireAuth, async (req, res) => {
+  const board = await loadBoard(pick(req.query, ["course", "group"]), req.user);
+  assertModerator(board);
+  const scope = board.group ? { group: board.group._id } : { course: board.course._id };
+  const reports = await Report.find({ ...scope, status: "open" })
+    .sort({ createdAt: 1 })
+    .limit(200)
+    .populate("reporter", "name");
+  const threads = await Thread.find({ _id: { $in: reports.map((r) => r.thread) } }, "title body author hiddenAt");
+  const posts = await Post.find({ _id: { $in: reports.filter((r) => r.targetKind === "post").map((r) => r.target) } });
+  const authors = await User.find({ _id: { $in: [...threads, ...posts].map((d) => d.author) } }, "name");
+  const name = (id) => authors.find((a) => a._id.equals(id))?.name ?? "Former user";
+  const items = reports.map((r) => {
+    const thread = threads.find((t) => t._id.equals(r.thread));
+    const target = r.targetKind === "thread" ? thread : posts.find((p) => p._id.equals(r.target));
+    return {
+      ...r.toJSON(),
+      threadTitle: thread?.title,
+      content: target && { body: target.body, author: { id: String(target.author), name: name(target.author) } },
+    };
+  });
+  res.json({ items });
+});
+
+// Leaves the reported content up
+router.post("/reports/:reportId/dismiss", requireAuth, async (req, res) => {
+  const report = await Report.findById(req.params.reportId);
+  if (!report) throw new HttpError(404, "Report not found");
+  assertModerator(await loadBoard({ course: report.course, group: report.group }, req.user));
+  report.set({ status: "dismissed", resolvedBy: req.user.id, resolvedAt: new Date() });
+  await report.save();
+  res.json({ report });
+});
+
+// Bans in force on a board: GET /api/forums/bans?course= or ?group=
+router.get("/bans", requireAuth, async (req, res) => {
+  const board = await loadBoard(pick(req.query, ["course", "group"]), req.user);
+  assertModerator(board);
+  const scope = board.group ? { group: board.group._id } : { course: board.course._id };
+  const bans = await ForumBan.find({ ...scope, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+    .sort({ createdAt: -1 })
+    .populate("user", "name email")
+    .populate("bannedBy", "name");
+  res.json({ items: bans });
+});
+
+// Body: { user, course | group, reason?, days? } — no board bans everywhere
+// (forum:moderate only); no days bans until lifted.
+router.post("/bans", requireAuth, async (req, res) => {
+  const { user: userId, course, group, reason } = req.body ?? {};
+  if (!mongoose.isValidObjectId(userId)) throw new HttpError(400, "Pass the user to ban");
+  if (userId === req.user.id) throw new HttpError(400, "You can’t ban yourself");
+  let scope = {};
+  if (course || group) {
+    const board = await loadBoard({ course, group }, req.user);
+    assertModerator(board);
+    scope = board.group ? { group: board.group._id } : { course: board.course._id };
+  } else if (!can(req.user.role, "forum:moderate")) {
+    throw new HttpError(403, "Only site moderators can ban from every board");
+  }
+  const days = Number(req.body?.days);
+  if (req.body?.days !== undefined && !(days > 0 && days <= 3650)) throw new HttpError(400, "days must be 1–3650");
+  const ban = await ForumBan.create({
+    user: userId,
+    ...scope,
+    reason,
+    bannedBy: req.user.id,
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined,
+  });
+  res.status(201).json({ ban });
+});
+
+router.delete("/bans/:banId", requireAuth, async (req, res) => {
+  const ban = await ForumBan.findById(req.params.banId);
+  if (!ban) throw new HttpError(404, "Ban not found");
+  if (ban.course || ban.group) {
+    assertModerator(await loadBoard({ course: ban.course, group: ban.group }, req.user));
+  } else if (!can(req.user.role, "forum:moderate")) {
+    throw new HttpError(403, "Only site moderators can lift this ban");
+  }
+  await ban.deleteOne();
+  res.status(204).end();
+});
+
+export default router;
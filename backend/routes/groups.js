@@ -0,0 +1,169 @@
+import express from 'express';
+import GroupMember from '../models/GroupMember.js';
+import StudyGroup from '../models/StudyGroup.js';
+import HttpError from '../utils/HttpError.js';
+import { optionalAuth, requireAuth } from '../middleware/auth.js';
+import { findVisibleCourse } from '../utils/courses.js';
+import { can } from '../utils/permissions.js';
+import { pick } from '../utils/pick.js';
+import { escapeRegex, paginated, parsePagination } from '../utils/query.js';
+import {
+  approveMember,
+  canModerateGroup,
+  createGroup,
+  deleteGroup,
+  joinGroup,
+  membershipOf,
+  removeMember,
+  transferOwnership,
+} from '../services/groups.js';
+
+const router = express.Router();
+
+const GROUP_FIELDS = ["name", "description", "visibility", "timezone", "tags", "maxMembers"];
+
+const loadGroup = async (groupId, user) => {
+  const group = await StudyGroup.findById(groupId).populate("course", "title slug");
+  if (!group) throw new HttpError(404, "Study group not found");
+  const member = user ? await membershipOf(group._id, user.id) : null;
+  return { group, member, canModerate: canModerateGroup(member, user) };
+};
+
+const membershipJSON = (member) => (member ? pick(member.toJSON(), ["id", "role", "status", "createdAt"]) : null);
+
+// GET /api/groups?q=&course=<id|slug>&mine=1 — groups by size, biggest first.
+// mine=1 lists the caller's groups (including pending requests).
+router.get("/", optionalAuth, async (req, res) => {
+  const paging = parsePagination(req.query);
+  const filter = {};
+  if (req.query.mine) {
+    if (!req.user) throw new HttpError(401, "Authentication required");
+    const mine = await GroupMember.find({ user: req.user.id }, "group").lean();
+    filter._id = { $in: mine.map((m) => m.group) };
+  }
+  if (req.query.course) filter.course = (await findVisibleCourse(req.query.course, req.user))._id;
+  if (req.query.q) {
+    const pattern = { $regex: escapeRegex(String(req.query.q).slice(0, 100)), $options: "i" };
+    filter.$or = [{ name: pattern }, { tags: pattern }];
+  }
+  const [groups, total] = await Promise.all([
+    StudyGroup.find(filter)
+      .sort({ memberCount: -1, createdAt: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit)
+      .populate("course", "title slug"),
+    StudyGroup.countDocuments(filter),
+  ]);
+  const memberships = req.user
+    ? await GroupMember.find({ user: req.user.id, group: { $in: groups.map((g) => g._id) } })
+    : [];
+  const items = groups.map((g) => ({
+    ...g.toJSON(),
+    membership: membershipJSON(memberships.find((m) => m.group.equals(g._id))),
+  }));
+  res.json(paginated(items, total, paging));
+});
+
+// Body: { name, description?, course?, visibility, timezone, tags, maxMembers }
+router.post("/", requireAuth, async (req, res) => {
+  const fields = pick(req.body, GROUP_FIELDS);
+  if (req.body?.course) fields.course = (await findVisibleCourse(req.body.course, req.user))._id;
+  const group = await createGroup(fields, req.user.id);
+  res.status(201).json({ group });
+});
+
+router.get("/:groupId", optionalAuth, async (req, res) => {
+  const { group, member, canModerate } = await loadGroup(req.params.groupId, req.user);
+  res.json({ group, membership: membershipJSON(member), canModerate });
+});
+
+router.put("/:groupId", requireAuth, async (req, res) => {
+  const { group, canModerate } = await loadGroup(req.params.groupId, req.user);
+  if (!canModerate) throw new HttpError(403, "Only the group’s moderators can change it");
+  const updates = pick(req.body, GROUP_FIELDS);
+  if (updates.maxMembers !== undefined && Number(updates.maxMembers) < group.memberCount) {
+    throw new HttpError(400, `The group already has ${group.memberCount} members`);
+  }
+  group.set(updates);
+  await group.save();
+  res.json({ group });
+});
+
+router.delete("/:groupId", requireAuth, async (req, res) => {
+  const { group, member } = await loadGroup(req.params.groupId, req.user);
+  if (member?.role !== "owner" && !can(req.user.role, "forum:moderate")) {
+    throw new HttpError(403, "Only the group’s owner can delete it");
+  }
+  await deleteGroup(group);
+  res.status(204).end();
+});
+
+/* ===========
+   Membership
+   =========== */
+
+// 201 with { membership } — "active", or "pending" for private groups
+router.post("/:groupId/join", requireAuth, async (req, res) => {
+  const { group } = await loadGroup(req.params.groupId, req.user);
+  const member = await joinGroup(group, req.user.id);
+  res.status(201).json({ membership: membershipJSON(member) });
+});
+
+router.delete("/:groupId/membership", requireAuth, async (req, res) => {
+  const { member } = await loadGroup(req.params.groupId, req.user);
+  if (!member) throw new HttpError(404, "You’re not in this group");
+  await removeMember(member);
+  res.status(204).end();
+});
+
+// Members (owner and moderators first). Join requests only for moderators;
+// private groups' rosters only for their members.
+router.get("/:groupId/members", optionalAuth, async (req, res) => {
+  const { group, member, canModerate } = await loadGroup(req.params.groupId, req.user);
+  if (group.visibility === "private" && member?.status !== "active" && !canModerate) {
+    throw new HttpError(403, "Join the study group to see its members");
+  }
+  const members = await GroupMember.find({ group: group._id, ...(!canModerate && { status: "active" }) })
+    .sort({ status: 1, role: 1, createdAt: 1 })
+    .limit(500)
+    .populate("user", "name avatarUrl headline");
+  res.json({ items: members.filter((m) => m.user) });
+});
+
+// Moderators: { status: "active" } approves a request, { role } promotes or
+// demotes; the owner hands the group over with { role: "owner" }
+router.put("/:groupId/members/:userId", requireAuth, async (req, res) => {
+  const { group, member: me, canModerate } = await loadGroup(req.params.groupId, req.user);
+  if (!canModerate) throw new HttpError(403, "Only the group’s moderators can manage members");
+  const member = await membershipOf(group._id, req.params.userId);
+  if (!member) throw new HttpError(404, "Member not found");
+
+  if (req.body?.status === "active") await approveMember(member);
+  const role = req.body?.role;
+  if (role === "owner") {
+    if (me?.role !== "owner" && !can(req.user.role, "forum:moderate")) {
+      throw new HttpError(403, "Only the owner can hand the group over");
+    }
+    await transferOwnership(group, member);
+  } else if (role === "moderator" || role === "member") {
+    if (member.role === "owner") throw new HttpError(409, "Hand the group over before changing the owner’s role");
+    if (member.status !== "active") throw new HttpError(400, "Approve the request first");
+    member.role = role;
+    await member.save();
+  } else if (role !== undefined) {
+    throw new HttpError(400, "role must be owner, moderator or member");
+  }
+  res.json({ member });
+});
+
+// Moderators decline a request or remove a member
+router.delete("/:groupId/members/:userId", requireAuth, async (req, res) => {
+  const { group, canModerate } = await loadGroup(req.params.groupId, req.user);
+  if (!canModerate) throw new HttpError(403, "Only the group’s moderators can manage members");
+  const member = await membershipOf(group._id, req.params.userId);
+  if (!member) throw new HttpError(404, "Member not found");
+  await removeMember(member);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { findVisibleCourse } from '../utils/courses.js';
+import { findActiveEnrollment } from '../services/enrollment.js';
+import {
+  buildLessonGraph,
+  courseMastery,
+  recommendAcrossCourses,
+  recommendNext,
+} from '../services/learningPath.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// The recommended next step across the learner's active courses, or null
+router.get("/next", async (req, res) => {
+  res.json({ next: await recommendAcrossCourses(req.user.id) });
+});
+
+// One course: next step, skill mastery and the prerequisite graph
+router.get("/courses/:courseId", async (req, res) => {
+  const course = await findVisibleCourse(req.params.courseId, req.user);
+  const enrollment = await findActiveEnrollment(req.user.id, course._id);
+  const [next, mastery, graph] = await Promise.all([
+    recommendNext(req.user.id, course._id, { lastLesson: enrollment?.lastLesson }),
+    courseMastery(req.user.id, course._id),
+    buildLessonGraph(course._id),
+  ]);
+  res.json({ next, mastery, lessons: graph.nodes });
+});
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import Lesson from '../models/Lesson.js';
+import HttpError from '../utils/HttpError.js';
+import { verifyMediaToken } from '../utils/tokens.js';
+import { streamMedia } from '../services/media.js';
+
+const router = express.Router();
+
+// Every media URL carries ?token=… issued with the lesson (see utils/tokens.js)
+const requireMediaToken = (req, res, next) => {
+  try {
+    const { lesson } = verifyMediaToken(String(req.query.token || ""));
+    if (lesson !== req.params.lessonId) throw new Error("token is for another lesson");
+  } catch {
+    throw new HttpError(401, "Media link expired or invalid");
+  }
+  next();
+};
+
+router.get("/lessons/:lessonId/video", requireMediaToken, async (req, res) => {
+  const lesson = await Lesson.findById(req.params.lessonId).select("+videoFile");
+  if (!lesson?.videoFile) throw new HttpError(404, "Media not found");
+  await streamMedia(req, res, lesson.videoFile);
+});
+
+router.get("/lessons/:lessonId/captions/:lang", requireMediaToken, async (req, res) => {
+  const lesson = await Lesson.findById(req.params.lessonId).select("+captions");
+  const track = lesson?.captions.find((c) => c.lang === req.params.lang.replace(/\.vtt$/, ""));
+  if (!track) throw new HttpError(404, "Captions not found");
+  await streamMedia(req, res, track.file);
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import express from 'express';
+import Cohort from '../models/Cohort.js';
+import MentorSlot from '../models/MentorSlot.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, requireAuth } from '../middleware/auth.js';
+import { can } from '../utils/permissions.js';
+import { parseDateRange } from '../utils/query.js';
+import { MAX_SLOT_MINUTES, assertSlotFree, bookSlot, bookableSlots } from '../services/cohorts.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const loadSlot = async (slotId) => {
+  const slot = await MentorSlot.findById(slotId);
+  if (!slot) throw new HttpError(404, "Slot not found");
+  return slot;
+};
+
+const isMentorOf = (slot, user) => String(slot.mentor) === user.id || can(user.role, "user:manage");
+
+// Slots the caller can book (from their cohorts' mentors), ?from & ?to
+router.get("/", async (req, res) => {
+  res.json({ items: await bookableSlots(req.user.id, parseDateRange(req.query)) });
+});
+
+// Offers a slot. Body: { startsAt, endsAt, meetingUrl?, cohort? } — `cohort`
+// keeps the slot for members of one of the mentor's cohorts.
+router.post("/", authorize("cohort:manage"), async (req, res) => {
+  const startsAt = new Date(req.body?.startsAt);
+  const endsAt = new Date(req.body?.endsAt);
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    throw new HttpError(400, "startsAt and endsAt must be dates");
+  }
+  if (startsAt <= new Date()) throw new HttpError(400, "Slots must start in the future");
+  if (endsAt <= startsAt || endsAt - startsAt > MAX_SLOT_MINUTES * 60 * 1000) {
+    throw new HttpError(400, `Slots last between 1 and ${MAX_SLOT_MINUTES} minutes`);
+  }
+  if (req.body?.cohort && !(await Cohort.exists({ _id: req.body.cohort, mentor: req.user.id }))) {
+    throw new HttpError(400, "You can only keep slots for cohorts you mentor");
+  }
+  await assertSlotFree(req.user.id, startsAt, endsAt);
+  const slot = await MentorSlot.create({
+    mentor: req.user.id,
+    cohort: req.body?.cohort || undefined,
+    startsAt,
+    endsAt,
+    meetingUrl: req.body?.meetingUrl,
+  });
+  res.status(201).json({ slot });
+});
+
+// Withdraws a slot. A booked one stays on record as cancelled for the learner.
+router.delete("/:slotId", async (req, res) => {
+  const slot = await loadSlot(req.params.slotId);
+  if (!isMentorOf(slot, req.user)) throw new HttpError(403, "Only the mentor can withdraw this slot");
+  if (slot.bookedAt) {
+    slot.cancelledAt = new Date();
+    await slot.save();
+  } else {
+    await slot.deleteOne();
+  }
+  res.status(204).end();
+});
+
+// Body: { note? } — what the learner would like to discuss
+router.post("/:slotId/book", async (req, res) => {
+  const slot = await loadSlot(req.params.slotId);
+  if (slot.cancelledAt) throw new HttpError(404, "Slot not found");
+  const booked = await bookSlot(slot, req.user.id, req.body?.note);
+  res.status(201).json({ slot: booked });
+});
+
+// Cancels a booking (the learner, or the mentor on their behalf); the slot
+// opens up again.
+router.delete("/:slotId/booking", async (req, res) => {
+  const slot = await loadSlot(req.params.slotId);
+  if (!slot.bookedAt) throw new HttpError(404, "This slot isn’t booked");
+  if (String(slot.bookedBy) !== req.user.id && !isMentorOf(slot, req.user)) {
+    throw new HttpError(404, "This slot isn’t booked");
+  }
+  if (slot.startsAt <= new Date()) throw new HttpError(409, "This session has already started");
+  slot.set({ bookedBy: undefined, bookedAt: undefined, note: undefined });
+  await slot.save();
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { paginated, parsePagination } from '../utils/query.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// The bell: newest first, with the unread count. ?unread=1 lists only unread ones.
+router.get("/", async (req, res) => {
+  const paging = parsePagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+  const filter = { user: req.user.id, ...(req.query.unread && { readAt: null }) };
+  const [items, total, unread] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user: req.user.id, readAt: null }),
+  ]);
+  res.json({ ...paginated(items, total, paging), unread });
+});
+
+// Marks everything read
+router.post("/read", async (req, res) => {
+  await Notification.updateMany({ user: req.user.id, readAt: null }, { readAt: new Date() });
+  res.json({ unread: 0 });
+});
+
+router.put("/:notificationId/read", async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.notificationId, user: req.user.id });
+  if (!notification) throw new HttpError(404, "Notification not found");
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  res.json({ notification, unread: await Notification.countDocuments({ user: req.user.id, readAt: null }) });
+});
+
+export default router;
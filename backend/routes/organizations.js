@@ -0,0 +1,262 @@
+import express from 'express';
+import OrgAssignment from '../models/OrgAssignment.js';
+import OrgInvite from '../models/OrgInvite.js';
+import OrgMember, { ORG_ROLES } from '../models/OrgMember.js';
+import OrgTeam from '../models/OrgTeam.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { findVisibleCourse } from '../utils/courses.js';
+import { pick } from '../utils/pick.js';
+import { notify } from '../services/notifications.js';
+import {
+  acceptInvite,
+  appliesTo,
+  createOrg,
+  deleteTeam,
+  inviteMembers,
+  loadOrg,
+  membersOf,
+  orgTeamIds,
+  parseInviteCsv,
+  previewInvite,
+  progressReport,
+  removeMember,
+  resendInvite,
+  seatUsage,
+  updateMember,
+} from '../services/organizations.js';
+
+const router = express.Router();
+
+const parseDueAt = (value) => {
+  const dueAt = new Date(value);
+  if (!value || Number.isNaN(dueAt.getTime())) throw new HttpError(400, "dueAt must be a date");
+  return dueAt;
+};
+
+const populateAssignment = (query) =>
+  query.populate("course", "title slug thumbnailUrl").populate("team", "name").populate("assignedBy", "name");
+
+/* ===========
+   Joining by invite link
+   =========== */
+
+// Public, so the join page can name the organization before sign-in
+router.get("/invites/:token", async (req, res) => {
+  res.json({ invite: await previewInvite(req.params.token) });
+});
+
+router.post("/invites/:token/accept", requireAuth, async (req, res) => {
+  const member = await acceptInvite(req.params.token, req.user);
+  res.json({ member });
+});
+
+/* ===========
+   Organizations
+   =========== */
+
+router.use(requireAuth);
+
+// Organizations the user has a seat in, with their role
+router.get("/", async (req, res) => {
+  const seats = await OrgMember.find({ user: req.user.id }).populate("org", "name owner");
+  res.json({ items: seats.filter((s) => s.org).map((s) => ({ org: s.org, role: s.role })) });
+});
+
+// Needs the caller's Teams subscription; they become its owner and first admin
+router.post("/", async (req, res) => {
+  const org = await createOrg(req.user, req.body?.name);
+  res.status(201).json({ org });
+});
+
+router.get("/:orgId", async (req, res) => {
+  const { org, member } = await loadOrg(req.params.orgId, req.user);
+  const [teams, seats] = await Promise.all([
+    OrgTeam.find({ org: org._id }).sort({ name: 1 }),
+    seatUsage(org),
+  ]);
+  res.json({ org, membership: member, teams, seats });
+});
+
+router.put("/:orgId", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  org.set(pick(req.body, ["name"]));
+  await org.save();
+  res.json({ org });
+});
+
+/* ===========
+   Members
+   =========== */
+
+// ?team= narrows to one team
+router.get("/:orgId/members", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const [team] = await orgTeamIds(org._id, req.query.team);
+  res.json({ items: await membersOf(org, team).sort({ createdAt: 1 }) });
+});
+
+// Body: { role?, teams? (ids) }
+router.put("/:orgId/members/:memberId", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const member = await updateMember(org, req.params.memberId, pick(req.body, ["role", "teams"]));
+  res.json({ member });
+});
+
+// Admins remove people; anyone can remove their own seat (leave)
+router.delete("/:orgId/members/:memberId", async (req, res) => {
+  const { org, member } = await loadOrg(req.params.orgId, req.user);
+  await removeMember(org, req.params.memberId, member);
+  res.status(204).end();
+});
+
+/* ===========
+   Invites
+   =========== */
+
+router.get("/:orgId/invites", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const items = await OrgInvite.find({ org: org._id, status: "pending" })
+    .sort({ createdAt: -1 })
+    .populate("teams", "name")
+    .populate("invitedBy", "name");
+  res.json({ items });
+});
+
+// Body: { emails: [...] } or { csv: "email,role,team\n..." }, plus optional
+// role and teams (ids) for rows that don't set their own.
+// Answers { created: [{ invite, link }], skipped: [{ email, reason }], seats }.
+router.post("/:orgId/invites", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const { emails, csv, role, teams } = req.body || {};
+  const rows = csv !== undefined ? parseInviteCsv(csv) : [].concat(emails ?? []).map((email) => ({ email }));
+  if (!rows.length) throw new HttpError(400, "Add at least one email address");
+  if (role !== undefined && !ORG_ROLES.includes(role)) {
+    throw new HttpError(400, `role must be one of: ${ORG_ROLES.join(", ")}`);
+  }
+  const result = await inviteMembers(org, req.user, rows, { role, teams: await orgTeamIds(org._id, teams) });
+  res.status(201).json(result);
+});
+
+router.post("/:orgId/invites/:inviteId/resend", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  res.json(await resendInvite(org, req.params.inviteId, req.user));
+});
+
+router.delete("/:orgId/invites/:inviteId", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const invite = await OrgInvite.findOneAndUpdate(
+    { _id: req.params.inviteId, org: org._id, status: "pending" },
+    { status: "revoked" }
+  );
+  if (!invite) throw new HttpError(404, "Invite not found");
+  res.status(204).end();
+});
+
+/* ===========
+   Teams
+   =========== */
+
+router.post("/:orgId/teams", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const team = await OrgTeam.create({ org: org._id, name: req.body?.name });
+  res.status(201).json({ team });
+});
+
+router.put("/:orgId/teams/:teamId", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const team = await OrgTeam.findOne({ _id: req.params.teamId, org: org._id });
+  if (!team) throw new HttpError(404, "Team not found");
+  team.set(pick(req.body, ["name"]));
+  await team.save();
+  res.json({ team });
+});
+
+// Also drops the team's assignments and takes it off members and invites
+router.delete("/:orgId/teams/:teamId", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  await deleteTeam(org, req.params.teamId);
+  res.status(204).end();
+});
+
+/* ===========
+   Course assignments & progress
+   =========== */
+
+// Admins see every assignment; members the ones that apply to them
+router.get("/:orgId/assignments", async (req, res) => {
+  const { org, member } = await loadOrg(req.params.orgId, req.user);
+  const items = await populateAssignment(OrgAssignment.find({ org: org._id }).sort({ dueAt: 1 }));
+  res.json({ items: member.role === "admin" ? items : items.filter((a) => appliesTo(a, member)) });
+});
+
+// Body: { course, team? (id; everyone when empty), dueAt, note? }
+router.post("/:orgId/assignments", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const course = await findVisibleCourse(req.body?.course, req.user);
+  const [team] = await orgTeamIds(org._id, req.body?.team);
+  const assignment = await OrgAssignment.create({
+    org: org._id,
+    course: course._id,
+    team,
+    dueAt: parseDueAt(req.body?.dueAt),
+    note: req.body?.note,
+    assignedBy: req.user.id,
+  });
+
+  const members = await OrgMember.find({ org: org._id, ...(team && { teams: team }) }, "user");
+  await notify(
+    members.map((m) => m.user).filter((id) => !id.equals(req.user.id)),
+    {
+      kind: "assignment",
+      title: `${org.name} assigned you “${course.title}”`,
+      body: `Due ${assignment.dueAt.toDateString()}`,
+      link: `/courses/${course.slug}`,
+    }
+  );
+  res.status(201).json({ assignment: await populateAssignment(OrgAssignment.findById(assignment._id)) });
+});
+
+router.put("/:orgId/assignments/:assignmentId", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const assignment = await OrgAssignment.findOne({ _id: req.params.assignmentId, org: org._id });
+  if (!assignment) throw new HttpError(404, "Assignment not found");
+  if (req.body?.dueAt !== undefined) assignment.dueAt = parseDueAt(req.body.dueAt);
+  if (req.body?.note !== undefined) assignment.note = req.body.note;
+  await assignment.save();
+  res.json({ assignment: await populateAssignment(OrgAssignment.findById(assignment._id)) });
+});
+
+router.delete("/:orgId/assignments/:assignmentId", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const assignment = await OrgAssignment.findOneAndDelete({ _id: req.params.assignmentId, org: org._id });
+  if (!assignment) throw new HttpError(404, "Assignment not found");
+  res.status(204).end();
+});
+
+// Team progress: every member's progress on their assignments (?team= narrows)
+router.get("/:orgId/report", async (req, res) => {
+  const { org } = await loadOrg(req.params.orgId, req.user, { admin: true });
+  const [team] = await orgTeamIds(org._id, req.query.team);
+  const [members, assignments] = await Promise.all([
+    membersOf(org, team).sort({ createdAt: 1 }),
+    populateAssignment(
+      OrgAssignment.find({ org: org._id, ...(team && { $or: [{ team }, { team: null }] }) }).sort({ dueAt: 1 })
+    ),
+  ]);
+  res.json(await progressReport(org, members, assignments.filter((a) => a.course)));
+});
+
+// The caller's own row of the report
+router.get("/:orgId/report/me", async (req, res) => {
+  const { org, member } = await loadOrg(req.params.orgId, req.user);
+  const assignments = await populateAssignment(OrgAssignment.find({ org: org._id }).sort({ dueAt: 1 }));
+  const report = await progressReport(
+    org,
+    [member],
+    assignments.filter((a) => a.course && appliesTo(a, member))
+  );
+  res.json({ assignments: report.assignments, courses: report.members[0].courses });
+});
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import Lesson from '../models/Lesson.js';
+import Progress from '../models/Progress.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { findVisibleCourse } from '../utils/courses.js';
+import { findActiveEnrollment } from '../services/enrollment.js';
+import { courseProgress, recordProgress } from '../services/progress.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Per-lesson progress for one course, plus the overall percentage
+router.get("/courses/:courseId", async (req, res) => {
+  const course = await findVisibleCourse(req.params.courseId, req.user);
+  res.json(await courseProgress(req.user.id, course._id));
+});
+
+router.get("/lessons/:lessonId", async (req, res) => {
+  const progress = await Progress.findOne({ user: req.user.id, lesson: req.params.lessonId });
+  res.json({ progress });
+});
+
+// Body: { position, duration } from the player, or { completed: true }.
+// Offline devices add recordedAt (ISO time) when they sync; see recordProgress.
+// Only enrolled learners have progress; everyone else gets a 403. Quiz
+// lessons are completed by a passing attempt only (services/quizzes.js).
+router.put("/lessons/:lessonId", async (req, res) => {
+  const lesson = await Lesson.findById(req.params.lessonId);
+  if (!lesson) throw new HttpError(404, "Lesson not found");
+  const enrollment = await findActiveEnrollment(req.user.id, lesson.course);
+  if (!enrollment) throw new HttpError(403, "Enroll in this course to track progress");
+  if (lesson.type === "quiz" && req.body?.completed === true) {
+    throw new HttpError(400, "Pass the quiz to complete this lesson");
+  }
+
+  const toNumber = (v) => (v === undefined || v === null ? undefined : Number(v));
+  const recordedAt = req.body?.recordedAt ? new Date(req.body.recordedAt) : undefined;
+  if (recordedAt && Number.isNaN(recordedAt.getTime())) throw new HttpError(400, "Invalid recordedAt");
+  const result = await recordProgress(enrollment, lesson, {
+    position: toNumber(req.body?.position),
+    duration: toNumber(req.body?.duration),
+    completed: req.body?.completed === true,
+    // a clock running ahead must not make offline data look newer than it is
+    recordedAt: recordedAt && new Date(Math.min(recordedAt.getTime(), Date.now())),
+  });
+  res.json(result);
+});
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import Question from '../models/Question.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, requireAuth } from '../middleware/auth.js';
+import { findEditableCourse } from '../utils/courses.js';
+import { pick } from '../utils/pick.js';
+import { paginated, parsePagination } from '../utils/query.js';
+
+// Question banks. Authoring only: these responses include answer keys, so
+// every route is limited to the course's instructor and admins.
+
+const router = express.Router();
+
+const QUESTION_FIELDS = ["bank", "type", "prompt", "code", "options", "points", "skills", "answer"];
+
+router.use(requireAuth, authorize("course:write"));
+
+// GET /api/questions?course=<id|slug>&bank=module-1
+router.get("/", async (req, res) => {
+  const course = await findEditableCourse(req.query.course, req.user);
+  const paging = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+  const filter = { course: course._id, ...(req.query.bank && { bank: String(req.query.bank).toLowerCase() }) };
+  const [items, total, banks] = await Promise.all([
+    Question.find(filter).select("+answer").sort({ bank: 1, createdAt: 1 }).skip(paging.skip).limit(paging.limit),
+    Question.countDocuments(filter),
+    Question.distinct("bank", { course: course._id }),
+  ]);
+  res.json({ ...paginated(items, total, paging), banks });
+});
+
+// Choice questions refer to their correct options by index in `answer.options`
+// when creating, since the option ids don't exist yet.
+const resolveOptionIndexes = (question, body) => {
+  const indexes = body?.answer?.optionIndexes;
+  if (!Array.isArray(indexes)) return;
+  question.answer = {
+    ...(question.answer?.toObject?.() ?? question.answer),
+    options: indexes.map((i) => question.options[i]?._id).filter(Boolean),
+  };
+};
+
+router.post("/", async (req, res) => {
+  const course = await findEditableCourse(req.body?.course, req.user);
+  const question = new Question({ ...pick(req.body, QUESTION_FIELDS), course: course._id });
+  resolveOptionIndexes(question, req.body);
+  await question.save();
+  res.status(201).json({ question });
+});
+
+const loadEditable = async (id, user) => {
+  const question = await Question.findById(id).select("+answer");
+  if (!question) throw new HttpError(404, "Question not found");
+  await findEditableCourse(question.course, user);
+  return question;
+};
+
+router.put("/:id", async (req, res) => {
+  const question = await loadEditable(req.params.id, req.user);
+  question.set(pick(req.body, QUESTION_FIELDS));
+  resolveOptionIndexes(question, req.body);
+  await question.save();
+  res.json({ question });
+});
+
+router.delete("/:id", async (req, res) => {
+  const question = await loadEditable(req.params.id, req.user);
+  await question.deleteOne();
+  res.status(204).end();
+});
+
+export default router;
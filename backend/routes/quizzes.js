@@ -0,0 +1,126 @@
+import express from 'express';
+import Lesson from '../models/Lesson.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, requireAuth } from '../middleware/auth.js';
+import { canEditCourse, findEditableCourse, findVisibleCourse } from '../utils/courses.js';
+import { pick } from '../utils/pick.js';
+import { touchCourse } from '../services/authoring.js';
+import {
+  assertCanTake,
+  attemptSummary,
+  attemptView,
+  questionPool,
+  startAttempt,
+  submitAttempt,
+} from '../services/quizzes.js';
+
+const router = express.Router();
+
+const QUIZ_FIELDS = [
+  "title", "instructions", "banks", "questionCount", "shuffleQuestions", "shuffleOptions",
+  "timeLimitMinutes", "maxAttempts", "passingScore",
+];
+
+router.use(requireAuth);
+
+// Loads a quiz whose course the user can see, and whether they may edit it.
+const loadQuiz = async (quizId, user) => {
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) throw new HttpError(404, "Quiz not found");
+  const course = await findVisibleCourse(quiz.course, user);
+  return { quiz, course, isEditor: canEditCourse(course, user) };
+};
+
+// The learner's own attempt (with its quiz)
+const loadAttempt = async (attemptId, user) => {
+  const attempt = await QuizAttempt.findOne({ _id: attemptId, user: user.id });
+  if (!attempt) throw new HttpError(404, "Attempt not found");
+  return { attempt, ...(await loadQuiz(attempt.quiz, user)) };
+};
+
+/* ===========
+   Taking quizzes
+   =========== */
+
+// Quiz settings plus the caller's attempt history
+router.get("/:quizId", async (req, res) => {
+  const { quiz } = await loadQuiz(req.params.quizId, req.user);
+  const poolSize = await questionPool(quiz).countDocuments();
+  res.json({
+    quiz,
+    questionCount: quiz.questionCount > 0 ? Math.min(quiz.questionCount, poolSize) : poolSize,
+    ...(await attemptSummary(quiz, req.user.id)),
+  });
+});
+
+// Starts an attempt (or resumes the one in progress)
+router.post("/:quizId/attempts", async (req, res) => {
+  const { quiz, isEditor } = await loadQuiz(req.params.quizId, req.user);
+  await assertCanTake(quiz, req.user, { isEditor });
+  const attempt = await startAttempt(quiz, req.user);
+  res.status(201).json({ attempt: await attemptView(attempt) });
+});
+
+router.get("/attempts/:attemptId", async (req, res) => {
+  const { attempt } = await loadAttempt(req.params.attemptId, req.user);
+  res.json({ attempt: await attemptView(attempt) });
+});
+
+// Body: { answers: { [questionId]: optionId | optionId[] | number | string } }
+router.post("/attempts/:attemptId/submit", async (req, res) => {
+  const { attempt, quiz, isEditor } = await loadAttempt(req.params.attemptId, req.user);
+  const enrollment = await assertCanTake(quiz, req.user, { isEditor });
+  const { progress } = await submitAttempt(attempt, quiz, req.body?.answers, enrollment);
+  res.json({
+    attempt: await attemptView(attempt),
+    ...(progress && {
+      lessonCompleted: true,
+      courseCompleted: progress.courseCompleted,
+      certificate: progress.certificate,
+    }),
+  });
+});
+
+/* ===========
+   Authoring (instructors / admins)
+   =========== */
+
+// Body: { course, lesson, ...settings }; the lesson must be a quiz lesson of the course
+router.post("/", authorize("course:write"), async (req, res) => {
+  const course = await findEditableCourse(req.body?.course, req.user);
+  const lesson = await Lesson.findOne({ _id: req.body?.lesson, course: course._id });
+  if (!lesson) throw new HttpError(404, "Lesson not found");
+  if (lesson.type !== "quiz") throw new HttpError(400, "Quizzes can only be attached to quiz lessons");
+
+  const quiz = await Quiz.create({
+    title: lesson.title,
+    ...pick(req.body, QUIZ_FIELDS),
+    course: course._id,
+    lesson: lesson._id,
+  });
+  await touchCourse(course);
+  res.status(201).json({ quiz });
+});
+
+router.put("/:quizId", authorize("course:write"), async (req, res) => {
+  const quiz = await Quiz.findById(req.params.quizId);
+  if (!quiz) throw new HttpError(404, "Quiz not found");
+  const course = await findEditableCourse(quiz.course, req.user);
+  quiz.set(pick(req.body, QUIZ_FIELDS));
+  await quiz.save();
+  await touchCourse(course);
+  res.json({ quiz });
+});
+
+router.delete("/:quizId", authorize("course:write"), async (req, res) => {
+  const quiz = await Quiz.findById(req.params.quizId);
+  if (!quiz) throw new HttpError(404, "Quiz not found");
+  const course = await findEditableCourse(quiz.course, req.user);
+  await Promise.all([QuizAttempt.deleteMany({ quiz: quiz._id }), quiz.deleteOne()]);
+  await touchCourse(course);
+  res.status(204).end();
+});
+
+export default router;
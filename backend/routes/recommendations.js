@@ -0,0 +1,29 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { recommendCourses } from '../services/recommendations.js';
+import { localizeCourse } from '../utils/courses.js';
+import { parsePagination } from '../utils/query.js';
+
+const router = express.Router();
+
+// GET /api/recommendations?limit=12&category=<id|slug>
+// Personalised for signed-in learners with some history, popular otherwise.
+// Each course carries recommendation: { score, reason }.
+router.get("/", optionalAuth, async (req, res) => {
+  const { limit } = parsePagination(req.query, { defaultLimit: 12, maxLimit: 50 });
+
+  const filter = {};
+  if (req.query.category) {
+    const key = String(req.query.category);
+    const category = await Category.findOne(mongoose.isValidObjectId(key) ? { _id: key } : { slug: key }, "_id");
+    if (!category) return res.json({ items: [], personalized: false });
+    filter.category = category._id;
+  }
+
+  const result = await recommendCourses(req.user?.id ?? null, { limit, filter });
+  res.json({ ...result, items: result.items.map((c) => localizeCourse(c, req.locales)) });
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Review from '../models/Review.js';
+import ReviewReport from '../models/ReviewReport.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, requireAuth } from '../middleware/auth.js';
+import { canEditCourse } from '../utils/courses.js';
+import { can } from '../utils/permissions.js';
+import { paginated, parsePagination } from '../utils/query.js';
+import {
+  deleteReview,
+  featuredReviews,
+  populateReviews,
+  reportReview,
+  setFeatured,
+  setHelpful,
+  setReply,
+  setReviewHidden,
+  updateReview,
+} from '../services/reviews.js';
+
+// Course reviews by id. Listing and writing one live under
+// /api/courses/:id/reviews.
+const router = express.Router();
+
+// Hidden reviews are only found by their author and moderators
+const loadReview = async (id, user) => {
+  const review = mongoose.isValidObjectId(id) ? await Review.findById(id) : null;
+  const visible =
+    review && (!review.hiddenAt || String(review.user) === user?.id || can(user?.role, "review:moderate"));
+  if (!visible) throw new HttpError(404, "Review not found");
+  return review;
+};
+
+// The review, for its course's instructor (or an admin) to answer
+const loadForReply = async (id, user) => {
+  const review = await loadReview(id, user);
+  const course = await Course.findById(review.course, "instructor");
+  if (!course || !canEditCourse(course, user)) throw new HttpError(403, "Only the course instructor can reply");
+  return review;
+};
+
+const respond = async (res, review) => res.json({ review: await populateReviews(Review.findById(review._id)) });
+
+/* ===========
+   Testimonials (public)
+   =========== */
+
+// GET /api/reviews/featured?limit=6 — what the landing page shows
+router.get("/featured", async (req, res) => {
+  const { limit } = parsePagination(req.query, { defaultLimit: 6, maxLimit: 24 });
+  res.json({ items: await featuredReviews(limit) });
+});
+
+/* ===========
+   Moderation (review:moderate)
+   =========== */
+
+// Every review, hidden ones included, newest first, for picking testimonials.
+// GET /api/reviews?featured=1&minRating=4&course=<id>&page=
+router.get("/", requireAuth, authorize("review:moderate"), async (req, res) => {
+  const paging = parsePagination(req.query);
+  const filter = {};
+  if (req.query.featured === "1") filter.featuredAt = { $ne: null };
+  const minRating = Number(req.query.minRating);
+  if (minRating >= 1 && minRating <= 5) filter.rating = { $gte: minRating };
+  if (mongoose.isValidObjectId(req.query.course)) filter.course = req.query.course;
+
+  const [items, total] = await Promise.all([
+    populateReviews(Review.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit))
+      .populate("course", "title slug")
+      .populate("hiddenBy", "name"),
+    Review.countDocuments(filter),
+  ]);
+  res.json(paginated(items, total, paging));
+});
+
+// Open reports, oldest first, with the reported review
+router.get("/reports", requireAuth, authorize("review:moderate"), async (req, res) => {
+  const reports = await ReviewReport.find({ status: "open" })
+    .sort({ createdAt: 1 })
+    .limit(200)
+    .populate("reporter", "name")
+    .populate({ path: "review", populate: [{ path: "user", select: "name" }, { path: "course", select: "title slug" }] });
+  res.json({ items: reports });
+});
+
+// Leaves the reported review up
+router.post("/reports/:reportId/dismiss", requireAuth, authorize("review:moderate"), async (req, res) => {
+  const report = mongoose.isValidObjectId(req.params.reportId) && (await ReviewReport.findById(req.params.reportId));
+  if (!report) throw new HttpError(404, "Report not found");
+  report.set({ status: "dismissed", resolvedBy: req.user.id, resolvedAt: new Date() });
+  await report.save();
+  res.json({ report });
+});
+
+// Hide with { reason } / restore
+router.post("/:reviewId/hide", requireAuth, authorize("review:moderate"), async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  await respond(res, await setReviewHidden(review, req.user.id, true, req.body?.reason));
+});
+
+router.delete("/:reviewId/hide", requireAuth, authorize("review:moderate"), async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  await respond(res, await setReviewHidden(review, req.user.id, false));
+});
+
+// Body: { featured: boolean } — puts the review on the landing page or takes it off
+router.put("/:reviewId/featured", requireAuth, authorize("review:moderate"), async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  await respond(res, await setFeatured(review, Boolean(req.body?.featured)));
+});
+
+/* ===========
+   Authors, readers and instructors
+   =========== */
+
+// Body: { rating?, comment? } — the author only
+router.put("/:reviewId", requireAuth, async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  if (String(review.user) !== req.user.id) throw new HttpError(403, "You can only edit your own review");
+  await respond(res, await updateReview(review, req.body ?? {}));
+});
+
+// The author or a moderator
+router.delete("/:reviewId", requireAuth, async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  if (String(review.user) !== req.user.id && !can(req.user.role, "review:moderate")) {
+    throw new HttpError(403, "You can only delete your own review");
+  }
+  await deleteReview(review);
+  res.status(204).end();
+});
+
+// "Helpful" / take it back; responds { helpfulCount, helpful }
+router.post("/:reviewId/helpful", requireAuth, async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  res.json({ helpfulCount: await setHelpful(review, req.user.id, true), helpful: true });
+});
+
+router.delete("/:reviewId/helpful", requireAuth, async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  res.json({ helpfulCount: await setHelpful(review, req.user.id, false), helpful: false });
+});
+
+// Body: { reason }
+router.post("/:reviewId/report", requireAuth, async (req, res) => {
+  const review = await loadReview(req.params.reviewId, req.user);
+  const report = await reportReview(review, req.user.id, req.body?.reason);
+  res.status(201).json({ report: { id: report.id, status: report.status, createdAt: report.createdAt } });
+});
+
+// Body: { body } — the course's instructor (or an admin) answers publicly
+router.put("/:reviewId/reply", requireAuth, async (req, res) => {
+  const review = await loadForReply(req.params.reviewId, req.user);
+  await respond(res, await setReply(review, req.user, req.body?.body ?? ""));
+});
+
+router.delete("/:reviewId/reply", requireAuth, async (req, res) => {
+  const review = await loadForReply(req.params.reviewId, req.user);
+  await respond(res, await setReply(review, req.user, null));
+});
+
+export default router;
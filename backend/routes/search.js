@@ -0,0 +1,22 @@
+import express from 'express';
+import { searchCourses, suggest } from '../services/search.js';
+import { localizeCourse } from '../utils/courses.js';
+import { parsePagination } from '../utils/query.js';
+
+const router = express.Router();
+
+// GET /api/search?q=react&topic=Node.js&topic=MongoDB&category=web-dev&level=beginner
+//   &duration=short,long&price=free&sort=rating&page=2
+router.get("/", async (req, res) => {
+  const paging = parsePagination(req.query, { defaultLimit: 12, maxLimit: 50 });
+  const topics = [].concat(req.query.topic || []).map(String);
+  const result = await searchCourses({ ...req.query, topics }, paging);
+  res.json({ ...result, items: result.items.map((c) => localizeCourse(c, req.locales)) });
+});
+
+// GET /api/search/suggest?q=rea
+router.get("/suggest", async (req, res) => {
+  res.json({ items: await suggest(req.query.q || "") });
+});
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { publicStats } from '../services/stats.js';
+
+const router = express.Router();
+
+// Learner, course, instructor and country counts for the landing page:
+// { learners, courses, instructors, countries, averageRating, updatedAt }.
+// Refreshed every 15 minutes (services/stats.js).
+router.get("/public", async (req, res) => {
+  const stats = await publicStats();
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(stats);
+});
+
+export default router;
@@ -0,0 +1,200 @@
+import express from 'express';
+import Assignment from '../models/Assignment.js';
+import Course from '../models/Course.js';
+import ProjectReview from '../models/ProjectReview.js';
+import Submission from '../models/Submission.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { canEditCourse } from '../utils/courses.js';
+import { pick } from '../utils/pick.js';
+import {
+  addFile,
+  gradeIfReady,
+  mentorFor,
+  removeFile,
+  reviewsForAuthor,
+  reviewUpdate,
+  sendFile,
+  submissionRole,
+  submitDraft,
+} from '../services/submissions.js';
+import { notify } from '../services/notifications.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Loads a submission with its assignment and course, or 404 when the caller
+// is neither its author, one of its reviewers nor a course editor
+const loadSubmission = async (submissionId, user) => {
+  const submission = await Submission.findById(submissionId);
+  if (!submission) throw new HttpError(404, "Submission not found");
+  const [assignment, course] = await Promise.all([
+    Assignment.findById(submission.assignment),
+    Course.findById(submission.course),
+  ]);
+  if (!assignment || !course) throw new HttpError(404, "Submission not found");
+  const role = await submissionRole(submission, course, user);
+  if (!role) throw new HttpError(404, "Submission not found");
+  return { submission, assignment, course, role };
+};
+
+const loadDraft = async (submissionId, user) => {
+  const loaded = await loadSubmission(submissionId, user);
+  if (loaded.role !== "author") throw new HttpError(403, "Only the author can change a submission");
+  return loaded;
+};
+
+// Loads a review with its submission; only its reviewer may work on it
+const loadReview = async (reviewId, user) => {
+  const review = await ProjectReview.findById(reviewId);
+  if (!review || String(review.reviewer) !== user.id) throw new HttpError(404, "Review not found");
+  const { submission, assignment, course } = await loadSubmission(review.submission, user);
+  return { review, submission, assignment, course };
+};
+
+/* ===========
+   Reviewing
+   =========== */
+
+// The caller's review assignments, open ones first
+router.get("/reviews", async (req, res) => {
+  const reviews = await ProjectReview.find({ reviewer: req.user.id })
+    .sort({ status: 1, createdAt: -1 })
+    .limit(100)
+    .populate({ path: "assignment", select: "title course", populate: { path: "course", select: "title slug" } });
+  const items = reviews
+    .filter((r) => r.assignment)
+    .map((r) => ({
+      ...pick(r.toJSON(), ["id", "role", "status", "submission", "completedAt", "createdAt"]),
+      assignment: { id: r.assignment.id, title: r.assignment.title },
+      course: r.assignment.course && pick(r.assignment.course.toJSON(), ["id", "title", "slug"]),
+    }));
+  res.json({ items });
+});
+
+// A review with the work and rubric. Peers don't learn whose work it is.
+router.get("/reviews/:reviewId", async (req, res) => {
+  const { review, submission, assignment, course } = await loadReview(req.params.reviewId, req.user);
+  const work = submission.toJSON();
+  if (review.role === "mentor") {
+    await submission.populate("user", "name email avatarUrl");
+    work.user = submission.user;
+  } else {
+    delete work.user;
+  }
+  res.json({ review, submission: work, assignment, course: pick(course.toJSON(), ["id", "title", "slug"]) });
+});
+
+// Saves scores and comments: { scores, summary, comments } (see reviewUpdate).
+// Peer reviews lock once the submission is graded; mentors can revise theirs,
+// which regrades it.
+const saveReview = async (req, complete) => {
+  const { review, submission, assignment } = await loadReview(req.params.reviewId, req.user);
+  if (review.role === "peer" && submission.status === "graded") {
+    throw new HttpError(409, "This submission has been graded");
+  }
+  review.set(reviewUpdate(assignment, submission, req.body, { complete: complete || review.status === "completed" }));
+  const finished = complete && review.status !== "completed";
+  if (finished) review.set({ status: "completed", completedAt: new Date() });
+  await review.save();
+  if (finished) {
+    await notify(submission.user, {
+      kind: "review",
+      title: `New ${review.role} review on your “${assignment.title}” project`,
+      link: `/projects/${assignment.id}`,
+    });
+  }
+  if (review.status === "completed") await gradeIfReady(submission, assignment);
+  return review;
+};
+
+router.put("/reviews/:reviewId", async (req, res) => {
+  res.json({ review: await saveReview(req, false) });
+});
+
+router.post("/reviews/:reviewId/complete", async (req, res) => {
+  res.json({ review: await saveReview(req, true) });
+});
+
+/* ===========
+   Submissions
+   =========== */
+
+// The submission with its reviews: the author gets completed ones with peers
+// anonymised, a reviewer only their own (and, as a peer, not whose work it
+// is), course editors all of them.
+router.get("/:submissionId", async (req, res) => {
+  const { submission, assignment, role } = await loadSubmission(req.params.submissionId, req.user);
+  if (role === "author") {
+    return res.json({ submission, assignment, role, reviews: await reviewsForAuthor(submission) });
+  }
+  if (role === "reviewer") {
+    const own = await ProjectReview.find({ submission: submission._id, reviewer: req.user.id });
+    const work = submission.toJSON();
+    if (!own.some((r) => r.role === "mentor")) delete work.user;
+    return res.json({ submission: work, assignment, role, reviews: own });
+  }
+  const reviews = await ProjectReview.find({ submission: submission._id }).populate("reviewer", "name");
+  res.json({ submission, assignment, role, reviews });
+});
+
+// Draft details: { repositoryUrl, notes }
+router.put("/:submissionId", async (req, res) => {
+  const { submission } = await loadDraft(req.params.submissionId, req.user);
+  if (submission.status !== "draft") throw new HttpError(409, "Submitted work can’t be changed");
+  submission.set(pick(req.body, ["repositoryUrl", "notes"]));
+  await submission.save();
+  res.json({ submission });
+});
+
+// Uploads one file as the raw request body: POST /:id/files?name=site.zip
+// with the file's Content-Type. Size is capped by MAX_UPLOAD_MB.
+router.post("/:submissionId/files", async (req, res) => {
+  const { submission, assignment } = await loadDraft(req.params.submissionId, req.user);
+  const file = await addFile(submission, assignment, req, req.query.name);
+  res.status(201).json({ file: { id: file.id, ...pick(file, ["name", "size", "contentType"]) } });
+});
+
+router.delete("/:submissionId/files/:fileId", async (req, res) => {
+  const { submission } = await loadDraft(req.params.submissionId, req.user);
+  await removeFile(submission, req.params.fileId);
+  res.status(204).end();
+});
+
+router.get("/:submissionId/files/:fileId", async (req, res) => {
+  const { submission } = await loadSubmission(req.params.submissionId, req.user);
+  const file = submission.files.id(req.params.fileId);
+  if (!file) throw new HttpError(404, "File not found");
+  await sendFile(res, file);
+});
+
+// Hands the draft in; reviewers are assigned straight away
+router.post("/:submissionId/submit", async (req, res) => {
+  const { submission, assignment, course } = await loadDraft(req.params.submissionId, req.user);
+  res.json({ submission: await submitDraft(submission, assignment, course) });
+});
+
+// A course editor or the learner's mentor takes on a mentor review (e.g. to
+// settle a peer-reviewed project). Returns the existing one if there is one.
+router.post("/:submissionId/reviews", async (req, res) => {
+  const submission = await Submission.findById(req.params.submissionId);
+  if (!submission || submission.status === "draft") throw new HttpError(404, "Submission not found");
+  const course = await Course.findById(submission.course);
+  const isMentor = course && String(await mentorFor(submission.user, course)) === req.user.id;
+  if (!course || !(isMentor || canEditCourse(course, req.user))) {
+    throw new HttpError(403, "Only the course instructor or the learner’s mentor can review this");
+  }
+  if (String(submission.user) === req.user.id) throw new HttpError(403, "You can’t review your own work");
+  const existing = await ProjectReview.findOne({ submission: submission._id, reviewer: req.user.id });
+  if (existing) return res.json({ review: existing });
+  const review = await ProjectReview.create({
+    submission: submission._id,
+    assignment: submission.assignment,
+    reviewer: req.user.id,
+    role: "mentor",
+  });
+  res.status(201).json({ review });
+});
+
+export default router;
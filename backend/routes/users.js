@@ -0,0 +1,60 @@
+import express from 'express';
+import User from '../models/User.js';
+import HttpError from '../utils/HttpError.js';
+import { authorize, requireAuth } from '../middleware/auth.js';
+import { ROLES } from '../utils/permissions.js';
+import { pick } from '../utils/pick.js';
+import { escapeRegex, paginated, parsePagination } from '../utils/query.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Profile fields a user may edit on their own account
+router.put("/me", async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new HttpError(404, "User not found");
+  user.set(pick(req.body, ["name", "avatarUrl", "headline", "bio", "country", "locale"]));
+  await user.save();
+  res.json({ user });
+});
+
+router.get("/", authorize("user:read"), async (req, res) => {
+  const paging = parsePagination(req.query);
+  const filter = {};
+  if (req.query.role) filter.role = String(req.query.role);
+  if (req.query.q) {
+    const rx = new RegExp(escapeRegex(req.query.q), "i");
+    filter.$or = [{ name: rx }, { email: rx }];
+  }
+
+  const [items, total] = await Promise.all([
+    User.find(filter).sort({ createdAt: -1 }).skip(paging.skip).limit(paging.limit),
+    User.countDocuments(filter),
+  ]);
+  res.json(paginated(items, total, paging));
+});
+
+router.put("/:id/role", authorize("user:manage"), async (req, res) => {
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) {
+    throw new HttpError(400, `role must be one of: ${ROLES.join(", ")}`);
+  }
+  if (req.params.id === req.user.id) {
+    throw new HttpError(400, "You cannot change your own role");
+  }
+  const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true, runValidators: true });
+  if (!user) throw new HttpError(404, "User not found");
+  res.json({ user });
+});
+
+router.delete("/:id", authorize("user:manage"), async (req, res) => {
+  if (req.params.id === req.user.id) {
+    throw new HttpError(400, "You cannot delete your own account here");
+  }
+  const user = await User.findByIdAndDelete(req.params.id);
+  if (!user) throw new HttpError(404, "User not found");
+  res.status(204).end();
+});
+
+export default router;
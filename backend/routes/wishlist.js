@@ -0,0 +1,78 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import WishlistItem from '../models/WishlistItem.js';
+import HttpError from '../utils/HttpError.js';
+import { requireAuth } from '../middleware/auth.js';
+import { findVisibleCourse } from '../utils/courses.js';
+
+const router = express.Router();
+
+// Anonymous wishlists are merged in one request; keep it bounded
+const MAX_MERGE = 100;
+
+// Enough of the course to render a CourseCard
+const CARD_POPULATE = {
+  path: "course",
+  select: "title slug thumbnailUrl price currency billing rating ratingCount durationMinutes level status instructor",
+  populate: { path: "instructor", select: "name avatarUrl" },
+};
+
+router.use(requireAuth);
+
+// Saved courses, newest first. Courses that were unpublished since are hidden.
+router.get("/", async (req, res) => {
+  const items = await WishlistItem.find({ user: req.user.id }).sort({ createdAt: -1 }).populate(CARD_POPULATE);
+  res.json({
+    items: items
+      .filter((i) => i.course?.status === "published")
+      .map((i) => ({ course: i.course, addedAt: i.createdAt })),
+  });
+});
+
+// Adds the courses saved while signed out. Returns the merged id list and
+// `skipped`: requested ids that weren't added (unknown or unpublished).
+// Larger lists are refused rather than cut short; clients send them in batches.
+router.post("/merge", async (req, res) => {
+  const requested = [...new Set(Array.isArray(req.body?.courses) ? req.body.courses.map(String) : [])];
+  if (requested.length > MAX_MERGE) throw new HttpError(400, `At most ${MAX_MERGE} courses can be merged at once`);
+  const ids = requested.filter((id) => mongoose.isValidObjectId(id));
+
+  const courses = await Course.find({ _id: { $in: ids }, status: "published" }, "_id").lean();
+  if (courses.length) {
+    await WishlistItem.bulkWrite(
+      courses.map((c) => ({
+        updateOne: {
+          filter: { user: req.user.id, course: c._id },
+          update: { $setOnInsert: { user: req.user.id, course: c._id } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+  const items = await WishlistItem.find({ user: req.user.id }, "course").lean();
+  const added = new Set(courses.map((c) => String(c._id)));
+  res.json({
+    courses: items.map((i) => String(i.course)),
+    skipped: requested.filter((id) => !added.has(id)),
+  });
+});
+
+// Idempotent add
+router.put("/:courseId", async (req, res) => {
+  const course = await findVisibleCourse(req.params.courseId, req.user);
+  await WishlistItem.updateOne(
+    { user: req.user.id, course: course._id },
+    { $setOnInsert: { user: req.user.id, course: course._id } },
+    { upsert: true }
+  );
+  res.status(204).end();
+});
+
+router.delete("/:courseId", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.courseId)) throw new HttpError(400, "Invalid course id");
+  await WishlistItem.deleteOne({ user: req.user.id, course: req.params.courseId });
+  res.status(204).end();
+});
+
+export default router;
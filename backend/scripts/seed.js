@@ -0,0 +1,265 @@
+// Usage: npm run seed
+// Loads the demo catalog and plans that used to be hard-coded in the landing
+// page, plus a few learner reviews (featured as the landing testimonials)
+// and translations of some course titles.
+// Safe to re-run: existing plans, categories, users, courses and reviews
+// are reused.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Assignment from '../models/Assignment.js';
+import Category from '../models/Category.js';
+import Cohort from '../models/Cohort.js';
+import Course from '../models/Course.js';
+import Lesson from '../models/Lesson.js';
+import MentorSlot from '../models/MentorSlot.js';
+import Module from '../models/Module.js';
+import Plan from '../models/Plan.js';
+import Question from '../models/Question.js';
+import Quiz from '../models/Quiz.js';
+import Review from '../models/Review.js';
+import User from '../models/User.js';
+import { enroll } from '../services/enrollment.js';
+
+dotenv.config();
+
+const CATEGORIES = ["Data Science", "Web Dev", "AI/ML", "Cloud", "Product", "Design", "Finance"];
+
+// Skill taught by module `m`: the course tags in turn
+const skillOf = (course, m) => course.tags[m % course.tags.length];
+
+// A small bank covering each question type, drawn 4 at a time
+const seedQuiz = async (course, lesson) => {
+  const single = new Question({
+    course: course._id,
+    type: "single",
+    prompt: `Which level is "${course.title}" aimed at?`,
+    skills: [skillOf(course, 0)],
+    options: [{ text: "beginner" }, { text: "intermediate" }, { text: "advanced" }],
+  });
+  single.answer = { options: [single.options.find((o) => o.text === course.level)._id] };
+
+  const multiple = new Question({
+    course: course._id,
+    type: "multiple",
+    prompt: "Which of these are topics of this course?",
+    skills: [skillOf(course, 0), skillOf(course, 1)],
+    options: [...course.tags.slice(0, 2).map((text) => ({ text })), { text: "Underwater basket weaving" }],
+  });
+  multiple.answer = { options: multiple.options.slice(0, -1).map((o) => o._id) };
+
+  await Promise.all([
+    single.save(),
+    multiple.save(),
+    Question.create({
+      course: course._id,
+      type: "numeric",
+      prompt: "How many modules does this course have?",
+      skills: [skillOf(course, 2)],
+      answer: { value: 3 },
+    }),
+    Question.create({
+      course: course._id,
+      type: "short_text",
+      prompt: "What is the name of this platform?",
+      skills: [skillOf(course, 1)],
+      answer: { accepted: ["EduSphar", "EduSphere"] },
+    }),
+    Question.create({
+      course: course._id,
+      type: "code_output",
+      prompt: "What does this print?",
+      skills: [skillOf(course, 2)],
+      code: "console.log([1, 2, 3].map((n) => n * 2).join(\",\"));",
+      answer: { accepted: ["2,4,6"] },
+    }),
+  ]);
+  await Quiz.create({
+    course: course._id,
+    lesson: lesson._id,
+    title: "Final quiz",
+    questionCount: 4,
+    timeLimitMinutes: 10,
+    maxAttempts: 3,
+  });
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A six-week cohort starting in two weeks (weekly live sessions, 13:00 UTC)
+// and three half-hour mentor slots in its first week
+const seedCohort = async (course, mentor) => {
+  const start = new Date(Date.now() + 14 * DAY);
+  start.setUTCHours(13, 0, 0, 0);
+  const at = (days, minutes) => new Date(start.getTime() + days * DAY + minutes * 60 * 1000);
+  const cohort = await Cohort.create({
+    course: course._id,
+    mentor: mentor._id,
+    title: `${course.title} — ${start.toLocaleString("en", { month: "long", timeZone: "UTC" })} cohort`,
+    startsAt: start,
+    endsAt: at(42, 0),
+    timezone: "Asia/Kolkata",
+    capacity: 25,
+    sessions: [0, 1, 2, 3, 4, 5].map((week) => ({
+      title: week === 0 ? "Kick-off" : `Week ${week + 1} live session`,
+      startsAt: at(week * 7, 0),
+      endsAt: at(week * 7, 60),
+    })),
+  });
+  await MentorSlot.insertMany(
+    [1, 2, 3].map((day) => ({ mentor: mentor._id, cohort: cohort._id, startsAt: at(day, 0), endsAt: at(day, 30) }))
+  );
+};
+
+// A capstone project, peer reviewed, due when the cohort ends
+const seedProject = (course) =>
+  Assignment.create({
+    course: course._id,
+    title: "Capstone project",
+    instructions: `Build a small project that uses what you learned in ${course.title}. Upload a .zip of your work (or link the repository) with a short README explaining how to run it.`,
+    rubric: [
+      { title: "It works", description: "Runs as described in the README", maxPoints: 10 },
+      { title: "Code quality", description: "Readable, organised and consistent", maxPoints: 10 },
+      { title: "Write-up", description: "Explains the choices made and what could come next", maxPoints: 5 },
+    ],
+    reviewMode: "peer",
+    fileTypes: [".zip", ".pdf", ".md"],
+    dueAt: new Date(Date.now() + 56 * DAY),
+  });
+
+const COURSES = [
+  { title: "Full-Stack MERN Mastery", instructor: "Priya K.", category: "Web Dev", hours: 32, price: 0, billing: "one_time", level: "intermediate", tags: ["React", "Node.js", "MongoDB", "Express"] },
+  { title: "Machine Learning A → Z", instructor: "Rohan M.", category: "AI/ML", hours: 28, price: 39, billing: "monthly", level: "intermediate", tags: ["Machine Learning", "Python"] },
+  { title: "Product Management Essentials", instructor: "Sana L.", category: "Product", hours: 12, price: 0, billing: "one_time", level: "beginner", tags: ["Product Design", "Roadmaps"] },
+  { title: "Cloud Architect Bootcamp", instructor: "Arjun S.", category: "Cloud", hours: 40, price: 59, billing: "monthly", level: "advanced", tags: ["AWS", "Kubernetes", "DevOps"] },
+  { title: "Data Engineering Basics", instructor: "Nisha R.", category: "Data Science", hours: 18, price: 19, billing: "one_time", level: "beginner", tags: ["SQL", "Python", "ETL"] },
+];
+
+// Catalog text in other languages, served by Accept-Language (utils/courses.js localizeCourse)
+const TRANSLATIONS = {
+  "Full-Stack MERN Mastery": [
+    { locale: "hi", title: "फ़ुल-स्टैक MERN में महारत", subtitle: "वेब डेवलपमेंट का एक व्यावहारिक इंटरमीडिएट कोर्स" },
+    { locale: "ta", title: "ஃபுல்-ஸ்டாக் MERN தேர்ச்சி", subtitle: "வலை மேம்பாட்டில் ஒரு நடைமுறை இடைநிலைப் பாடநெறி" },
+  ],
+  "Data Engineering Basics": [
+    { locale: "hi", title: "डेटा इंजीनियरिंग की बुनियाद", subtitle: "डेटा साइंस का एक व्यावहारिक शुरुआती कोर्स" },
+    { locale: "bn", title: "ডেটা ইঞ্জিনিয়ারিংয়ের মূল কথা", subtitle: "ডেটা সায়েন্সের একটি হাতে-কলমে প্রাথমিক কোর্স" },
+  ],
+};
+
+// The testimonials that used to be hard-coded on the landing page
+const REVIEWS = [
+  { learner: "Riya K.", headline: "Data Analyst", course: "Data Engineering Basics", rating: 5, comment: "EduSphar’s mentor feedback cut my job search time in half—highly practical!" },
+  { learner: "Ankit P.", headline: "Software Engineer", course: "Full-Stack MERN Mastery", rating: 5, comment: "The adaptive path helped me move from basics to advanced without overwhelm." },
+  { learner: "Meera S.", headline: "Product Manager", course: "Product Management Essentials", rating: 4, comment: "Loved the project-based learning and the global community events." },
+];
+
+const PLANS = [
+  { code: "free", name: "Free", tagline: "Start learning for free", order: 0, features: ["Access to basic courses", "Community access"] },
+  {
+    code: "pro",
+    name: "Pro",
+    tagline: "Best for individuals",
+    order: 1,
+    prices: { monthly: 19, yearly: 190 },
+    trialDays: 7,
+    entitlements: ["paid_courses", "mentor_sessions", "certificates"],
+    features: ["Full course catalog", "Mentor sessions", "Certificates"],
+  },
+  {
+    code: "teams",
+    name: "Teams",
+    tagline: "For companies & bootcamps",
+    order: 2,
+    prices: { monthly: 99, yearly: 990 },
+    trialDays: 14,
+    seats: 10,
+    entitlements: ["paid_courses", "mentor_sessions", "certificates", "team_management"],
+    features: ["Everything in Pro", "Team management", "Dedicated support"],
+  },
+];
+
+const SEED_PASSWORD = process.env.SEED_PASSWORD || "change-me-please";
+
+const emailFor = (name) => `${name.toLowerCase().replace(/[^a-z]+/g, ".").replace(/\.$/, "")}@edusphar.dev`;
+
+await mongoose.connect(process.env.MONGO_URI);
+
+for (const p of PLANS) {
+  if (!(await Plan.exists({ code: p.code }))) await Plan.create(p);
+}
+
+const categories = {};
+for (const [order, name] of CATEGORIES.entries()) {
+  categories[name] =
+    (await Category.findOne({ name })) || (await Category.create({ name, order }));
+}
+
+for (const c of COURSES) {
+  const email = emailFor(c.instructor);
+  const instructor =
+    (await User.findOne({ email })) ||
+    (await User.create({ name: c.instructor, email, password: SEED_PASSWORD, role: "instructor" }));
+
+  if (await Course.exists({ title: c.title })) continue;
+
+  const course = await Course.create({
+    title: c.title,
+    subtitle: `A practical ${c.level} course in ${c.category}`,
+    description: `${c.title} takes you through real projects with mentor feedback.`,
+    category: categories[c.category]._id,
+    instructor: instructor._id,
+    level: c.level,
+    tags: c.tags,
+    price: c.price,
+    billing: c.billing,
+    durationMinutes: c.hours * 60,
+    translations: TRANSLATIONS[c.title] ?? [],
+    status: "published",
+  });
+
+  for (let m = 0; m < 3; m += 1) {
+    const module = await Module.create({ course: course._id, title: `Module ${m + 1}`, order: m });
+    for (let l = 0; l < 3; l += 1) {
+      // the course ends with a quiz; other modules end with reading notes
+      const isQuiz = m === 2 && l === 2;
+      const lesson = await Lesson.create({
+        course: course._id,
+        module: module._id,
+        title: isQuiz ? "Final quiz" : `Lesson ${m + 1}.${l + 1}`,
+        type: isQuiz ? "quiz" : l === 2 ? "text" : "video",
+        order: l,
+        durationMinutes: Math.round((c.hours * 60) / 9),
+        isPreview: m === 0 && l === 0,
+        // the final quiz tests what each module taught
+        skills: isQuiz ? [...new Set([0, 1, 2].map((i) => skillOf(course, i)))] : [skillOf(course, m)],
+        content: l === 2 && !isQuiz ? `Reading notes for module ${m + 1}.` : undefined,
+      });
+      if (isQuiz) await seedQuiz(course, lesson);
+    }
+  }
+  await seedCohort(course, instructor);
+  await seedProject(course);
+  console.log(`Seeded ${course.title}`);
+}
+
+for (const r of REVIEWS) {
+  const course = await Course.findOne({ title: r.course });
+  if (!course) continue;
+  const email = emailFor(r.learner);
+  const learner =
+    (await User.findOne({ email })) ||
+    (await User.create({ name: r.learner, email, password: SEED_PASSWORD, headline: r.headline }));
+  if (await Review.exists({ course: course._id, user: learner._id })) continue;
+
+  await enroll(learner._id, course, { source: "free" });
+  await Review.create({
+    course: course._id,
+    user: learner._id,
+    rating: r.rating,
+    comment: r.comment,
+    featuredAt: new Date(),
+  });
+  await Review.refreshCourseRating(course._id);
+}
+
+await mongoose.disconnect();
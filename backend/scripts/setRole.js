@@ -0,0 +1,24 @@
+// Usage: npm run set-role -- <email> <role>
+// Bootstraps the first admin (and any other role) without going through the API.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { ROLES } from '../utils/permissions.js';
+
+dotenv.config();
+
+const [email, role] = process.argv.slice(2);
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${ROLES.join("|")}>`);
+  process.exit(1);
+}
+
+await mongoose.connect(process.env.MONGO_URI);
+const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+if (user) {
+  console.log(`${user.email} is now ${user.role}`);
+} else {
+  console.error(`❌ No user with email ${email}`);
+  process.exitCode = 1;
+}
+await mongoose.disconnect();
@@ -0,0 +1,502 @@
+import mongoose from 'mongoose';
+import CourseView from '../models/CourseView.js';
+import Enrollment from '../models/Enrollment.js';
+import Lesson from '../models/Lesson.js';
+import Module from '../models/Module.js';
+import Progress from '../models/Progress.js';
+import Question from '../models/Question.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import StudyTime from '../models/StudyTime.js';
+
+// Learning analytics built from progress, quiz attempts and the study-time
+// log (models/StudyTime.js). Days and weeks are the learner's own: every
+// learner aggregate takes an IANA time zone, and weeks start on Monday.
+// Course analytics for instructors are further down.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_MS = 15 * 60 * 1000;
+// a day counts towards the streak with this much study time (or a finished lesson)
+const STREAK_MIN_SECONDS = 60;
+
+const oid = (id) => new mongoose.Types.ObjectId(String(id));
+
+/* ===========
+   Study time
+   =========== */
+
+// Adds seconds to the learner's log for the 15-minute window holding `at`
+export const recordStudyTime = async (userId, courseId, seconds, at = new Date()) => {
+  if (!(seconds > 0)) return;
+  const window = new Date(Math.floor(at.getTime() / WINDOW_MS) * WINDOW_MS);
+  await StudyTime.updateOne(
+    { user: userId, course: courseId, at: window },
+    { $inc: { seconds: Math.round(seconds) } },
+    { upsert: true }
+  );
+};
+
+/* ===========
+   Calendar days
+   =========== */
+
+// "YYYY-MM-DD" of an instant in a time zone
+export const dayIn = (date, timezone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+export const addDays = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+
+// the Monday on or before `day`
+export const weekOf = (day) => addDays(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+const byDay = (field, timezone) => ({ $dateToString: { format: "%Y-%m-%d", date: field, timezone } });
+
+// Current and longest runs of consecutive active days. Today keeps the
+// current streak alive until it's over, even before the learner has studied.
+export const streaks = (activeDays, today) => {
+  const days = new Set(activeDays);
+  let current = 0;
+  for (let day = days.has(today) ? today : addDays(today, -1); days.has(day); day = addDays(day, -1)) current += 1;
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of [...days].sort()) {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+  return { current, longest, activeToday: days.has(today) };
+};
+
+/* ===========
+   Learner dashboard
+   =========== */
+
+// Each of the learner's courses with percent complete, time spent and where
+// to resume, most recently studied first.
+export const learnerCourses = async (userId) => {
+  const enrollments = await Enrollment.find({ user: userId, status: { $ne: "cancelled" } }).populate({
+    path: "course",
+    select: "title slug thumbnailUrl durationMinutes instructor",
+    populate: { path: "instructor", select: "name" },
+  });
+  const active = enrollments.filter((e) => e.course);
+  const courseIds = active.map((e) => e.course._id);
+  const resumeIds = active.map((e) => e.lastLesson).filter(Boolean);
+
+  const [lessonCounts, progress, time, resumeLessons, resumeProgress] = await Promise.all([
+    Lesson.aggregate([{ $match: { course: { $in: courseIds } } }, { $group: { _id: "$course", count: { $sum: 1 } } }]),
+    Progress.aggregate([
+      { $match: { user: oid(userId), course: { $in: courseIds } } },
+      {
+        $group: {
+          _id: "$course",
+          completed: { $sum: { $cond: ["$completed", 1, 0] } },
+          lastActiveAt: { $max: "$updatedAt" },
+        },
+      },
+    ]),
+    StudyTime.aggregate([
+      { $match: { user: oid(userId), course: { $in: courseIds } } },
+      { $group: { _id: "$course", seconds: { $sum: "$seconds" } } },
+    ]),
+    Lesson.find({ _id: { $in: resumeIds } }, "title type durationMinutes"),
+    Progress.find({ user: userId, lesson: { $in: resumeIds } }, "lesson position duration completed"),
+  ]);
+  const lessonsIn = new Map(lessonCounts.map((l) => [String(l._id), l.count]));
+  const progressIn = new Map(progress.map((p) => [String(p._id), p]));
+  const secondsIn = new Map(time.map((t) => [String(t._id), t.seconds]));
+  const lessonById = new Map(resumeLessons.map((l) => [l.id, l]));
+  const resumeAt = new Map(resumeProgress.map((p) => [String(p.lesson), p]));
+
+  return active
+    .map((e) => {
+      const key = String(e.course._id);
+      const lessonCount = lessonsIn.get(key) ?? 0;
+      const completedCount = progressIn.get(key)?.completed ?? 0;
+      const lesson = e.lastLesson && lessonById.get(String(e.lastLesson));
+      const at = lesson && resumeAt.get(lesson.id);
+      return {
+        enrollment: e.id,
+        status: e.status,
+        course: e.course,
+        lessonCount,
+        completedCount,
+        percent: e.status === "completed" ? 100 : lessonCount ? Math.round((completedCount / lessonCount) * 100) : 0,
+        seconds: secondsIn.get(key) ?? 0,
+        lastActiveAt: progressIn.get(key)?.lastActiveAt ?? e.updatedAt,
+        resume: lesson
+          ? {
+              lesson: { id: lesson.id, title: lesson.title, type: lesson.type },
+              position: at?.position ?? 0,
+              duration: at?.duration ?? 0,
+              completed: Boolean(at?.completed),
+            }
+          : null,
+      };
+    })
+    .sort((a, b) => b.lastActiveAt - a.lastActiveAt);
+};
+
+// Study time and finished lessons per day and per week, and the streak:
+//   { timezone, today, streak: { current, longest, activeToday },
+//     days: [{ date, seconds, lessons }] (the last 4 weeks),
+//     weeks: [{ start, seconds, lessons }] (the last `weeks`, oldest first) }
+export const learnerActivity = async (userId, { timezone = "UTC", weeks = 8 } = {}) => {
+  const [time, completions] = await Promise.all([
+    StudyTime.aggregate([
+      { $match: { user: oid(userId) } },
+      { $group: { _id: byDay("$at", timezone), seconds: { $sum: "$seconds" } } },
+    ]),
+    Progress.aggregate([
+      { $match: { user: oid(userId), completed: true, completedAt: { $ne: null } } },
+      { $group: { _id: byDay("$completedAt", timezone), lessons: { $sum: 1 } } },
+    ]),
+  ]);
+  const daily = new Map(time.map((t) => [t._id, { date: t._id, seconds: t.seconds, lessons: 0 }]));
+  for (const c of completions) {
+    if (daily.has(c._id)) daily.get(c._id).lessons = c.lessons;
+    else daily.set(c._id, { date: c._id, seconds: 0, lessons: c.lessons });
+  }
+
+  const today = dayIn(new Date(), timezone);
+  const active = [...daily.values()].filter((d) => d.seconds >= STREAK_MIN_SECONDS || d.lessons > 0);
+
+  const thisWeek = weekOf(today);
+  const weekly = Array.from({ length: weeks }, (_, i) => ({
+    start: addDays(thisWeek, (i - weeks + 1) * 7),
+    seconds: 0,
+    lessons: 0,
+  }));
+  const weekAt = new Map(weekly.map((w) => [w.start, w]));
+  for (const d of daily.values()) {
+    const week = weekAt.get(weekOf(d.date));
+    if (!week) continue;
+    week.seconds += d.seconds;
+    week.lessons += d.lessons;
+  }
+
+  return {
+    timezone,
+    today,
+    streak: streaks(active.map((d) => d.date), today),
+    days: Array.from({ length: 28 }, (_, i) => {
+      const date = addDays(today, i - 27);
+      return daily.get(date) ?? { date, seconds: 0, lessons: 0 };
+    }),
+    weeks: weekly,
+  };
+};
+
+// The learner's latest graded quiz attempts, oldest first for charting,
+// with overall averages.
+export const learnerQuizTrend = async (userId, { limit = 20 } = {}) => {
+  const [attempts, [summary]] = await Promise.all([
+    QuizAttempt.find({ user: userId, status: "submitted" }, "quiz course percent passed submittedAt")
+      .sort({ submittedAt: -1 })
+      .limit(limit)
+      .populate("quiz", "title lesson")
+      .populate("course", "title slug"),
+    QuizAttempt.aggregate([
+      { $match: { user: oid(userId), status: "submitted" } },
+      {
+        $group: {
+          _id: null,
+          attempts: { $sum: 1 },
+          averagePercent: { $avg: "$percent" },
+          passed: { $sum: { $cond: ["$passed", 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+  return {
+    items: attempts.reverse(),
+    attempts: summary?.attempts ?? 0,
+    averagePercent: Math.round(summary?.averagePercent ?? 0),
+    passRate: summary ? Math.round((summary.passed / summary.attempts) * 100) : 0,
+  };
+};
+
+/* ===========
+   Course analytics (instructors)
+   =========== */
+
+// learners idle this long on an unfinished course count as dropped off
+const DROP_OFF_DAYS = 14;
+// item analysis compares the top and bottom 27% of learners by quiz score
+const ITEM_GROUP_SHARE = 0.27;
+
+// Counts a course page view towards today's row for the viewer
+export const recordCourseView = async (courseId, userId) => {
+  const day = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+  await CourseView.updateOne({ course: courseId, day, user: userId ?? null }, { $inc: { views: 1 } }, { upsert: true });
+};
+
+// Lessons in the order learners meet them: by module, then within the module
+const curriculum = async (courseId) => {
+  const [modules, lessons] = await Promise.all([
+    Module.find({ course: courseId }, "_id").sort({ order: 1, createdAt: 1 }),
+    Lesson.find({ course: courseId }, "title type module durationMinutes").sort({ order: 1, createdAt: 1 }),
+  ]);
+  return modules.flatMap((m) => lessons.filter((l) => l.module.equals(m._id)));
+};
+
+const lessonSummary = (l) => ({ id: l.id, title: l.title, type: l.type });
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Views → enrollments → started → completed for enrollments since `since`,
+// with views and enrollments per day (UTC) for charting.
+export const courseFunnel = async (course, { since }) => {
+  const [[views], [enrollments], dailyViews, dailyEnrollments] = await Promise.all([
+    CourseView.aggregate([
+      { $match: { course: course._id, day: { $gte: since } } },
+      { $group: { _id: "$user", views: { $sum: "$views" } } },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: "$views" },
+          viewers: { $sum: { $cond: [{ $eq: ["$_id", null] }, 0, 1] } },
+        },
+      },
+    ]),
+    Enrollment.aggregate([
+      { $match: { course: course._id, createdAt: { $gte: since } } },
+      {
+        $lookup: {
+          from: Progress.collection.name,
+          let: { user: "$user" },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ["$user", "$$user"] }, { $eq: ["$course", course._id] }] } } },
+            { $limit: 1 },
+          ],
+          as: "progress",
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          enrollments: { $sum: 1 },
+          started: { $sum: { $cond: [{ $gt: [{ $size: "$progress" }, 0] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+          cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+        },
+      },
+    ]),
+    CourseView.aggregate([
+      { $match: { course: course._id, day: { $gte: since } } },
+      { $group: { _id: byDay("$day", "UTC"), views: { $sum: "$views" } } },
+    ]),
+    Enrollment.aggregate([
+      { $match: { course: course._id, createdAt: { $gte: since } } },
+      { $group: { _id: byDay("$createdAt", "UTC"), enrollments: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const daily = new Map();
+  const dayRow = (date) => daily.get(date) ?? daily.set(date, { date, views: 0, enrollments: 0 }).get(date);
+  for (const d of dailyViews) dayRow(d._id).views = d.views;
+  for (const d of dailyEnrollments) dayRow(d._id).enrollments = d.enrollments;
+
+  const counts = {
+    views: views?.views ?? 0,
+    viewers: views?.viewers ?? 0,
+    enrollments: enrollments?.enrollments ?? 0,
+    started: enrollments?.started ?? 0,
+    completed: enrollments?.completed ?? 0,
+    cancelled: enrollments?.cancelled ?? 0,
+  };
+  return {
+    since,
+    ...counts,
+    steps: [
+      { id: "views", label: "Course page views", count: counts.views },
+      { id: "enrollments", label: "Enrolled", count: counts.enrollments, rate: ratio(counts.enrollments, counts.views) },
+      { id: "started", label: "Started a lesson", count: counts.started, rate: ratio(counts.started, counts.enrollments) },
+      { id: "completed", label: "Completed", count: counts.completed, rate: ratio(counts.completed, counts.started) },
+    ],
+    daily: [...daily.values()].sort((a, b) => a.date.localeCompare(b.date)),
+  };
+};
+
+// Per lesson, in curriculum order: how many learners started and finished
+// it, and how many unfinished learners stopped there — the lesson they last
+// touched before going quiet for DROP_OFF_DAYS. `dropOff` is the lesson
+// most of them stopped at.
+export const courseDropOff = async (course) => {
+  const idleSince = new Date(Date.now() - DROP_OFF_DAYS * DAY_MS);
+  const [lessons, perLesson, stopped, enrolled] = await Promise.all([
+    curriculum(course._id),
+    Progress.aggregate([
+      { $match: { course: course._id } },
+      {
+        $group: {
+          _id: "$lesson",
+          started: { $sum: 1 },
+          completed: { $sum: { $cond: ["$completed", 1, 0] } },
+        },
+      },
+    ]),
+    Progress.aggregate([
+      { $match: { course: course._id } },
+      { $sort: { updatedAt: -1 } },
+      { $group: { _id: "$user", lesson: { $first: "$lesson" }, at: { $first: "$updatedAt" } } },
+      { $match: { at: { $lt: idleSince } } },
+      {
+        $lookup: {
+          from: Enrollment.collection.name,
+          let: { user: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ["$user", "$$user"] }, { $eq: ["$course", course._id] }] } } },
+            { $project: { status: 1 } },
+          ],
+          as: "enrollment",
+        },
+      },
+      { $match: { "enrollment.status": "active" } },
+      { $group: { _id: "$lesson", learners: { $sum: 1 } } },
+    ]),
+    Enrollment.countDocuments({ course: course._id, status: { $ne: "cancelled" } }),
+  ]);
+  const countsOf = new Map(perLesson.map((p) => [String(p._id), p]));
+  const stoppedAt = new Map(stopped.map((s) => [String(s._id), s.learners]));
+
+  const items = lessons.map((l, i) => {
+    const counts = countsOf.get(l.id);
+    return {
+      position: i + 1,
+      lesson: lessonSummary(l),
+      started: counts?.started ?? 0,
+      completed: counts?.completed ?? 0,
+      reachedPercent: ratio(counts?.started ?? 0, enrolled),
+      stopped: stoppedAt.get(l.id) ?? 0,
+    };
+  });
+  const worst = items.reduce((top, item) => (item.stopped > (top?.stopped ?? 0) ? item : top), null);
+  return { enrolled, idleDays: DROP_OFF_DAYS, dropOff: worst?.lesson ?? null, items };
+};
+
+// Per video lesson: viewers, completion and the median time watched. A
+// learner's watch time is how far they got (all of it once completed).
+export const courseVideoStats = async (course) => {
+  const videos = (await curriculum(course._id)).filter((l) => l.type === "video");
+  const watched = await Progress.aggregate([
+    { $match: { course: course._id, lesson: { $in: videos.map((l) => l._id) } } },
+    {
+      $group: {
+        _id: "$lesson",
+        viewers: { $sum: 1 },
+        completed: { $sum: { $cond: ["$completed", 1, 0] } },
+        duration: { $max: "$duration" },
+        seconds: { $push: { $cond: ["$completed", { $max: ["$duration", "$position"] }, "$position"] } },
+      },
+    },
+  ]);
+  const statsOf = new Map(watched.map((w) => [String(w._id), w]));
+
+  return {
+    items: videos.map((l) => {
+      const stats = statsOf.get(l.id);
+      const duration = stats?.duration || l.durationMinutes * 60;
+      const medianSeconds = Math.round(median(stats?.seconds ?? []));
+      return {
+        lesson: lessonSummary(l),
+        duration: Math.round(duration),
+        viewers: stats?.viewers ?? 0,
+        completionRate: ratio(stats?.completed ?? 0, stats?.viewers ?? 0),
+        medianSeconds,
+        medianPercent: duration ? Math.min(ratio(medianSeconds, duration), 100) : 0,
+      };
+    }),
+  };
+};
+
+// Classical item analysis over each learner's first submitted attempt:
+// difficulty is the share who got a question right, and discrimination the
+// difference in that share between the top and bottom 27% by quiz score
+// (null until both groups exist). Questions drawn for nobody are left out.
+export const courseQuizItems = async (course) => {
+  const rows = await QuizAttempt.aggregate([
+    { $match: { course: course._id, status: "submitted" } },
+    { $sort: { submittedAt: 1 } },
+    { $group: { _id: { quiz: "$quiz", user: "$user" }, attempt: { $first: "$$ROOT" } } },
+    { $replaceWith: "$attempt" },
+    {
+      $setWindowFields: {
+        partitionBy: "$quiz",
+        sortBy: { percent: 1 },
+        output: { rank: { $documentNumber: {} }, takers: { $count: {} } },
+      },
+    },
+    { $set: { groupSize: { $ceil: { $multiply: ["$takers", ITEM_GROUP_SHARE] } } } },
+    {
+      $set: {
+        band: {
+          $switch: {
+            branches: [
+              { case: { $lte: ["$rank", "$groupSize"] }, then: "lower" },
+              { case: { $gt: ["$rank", { $subtract: ["$takers", "$groupSize"] }] }, then: "upper" },
+            ],
+            default: "middle",
+          },
+        },
+      },
+    },
+    { $unwind: "$answers" },
+    {
+      $group: {
+        _id: { quiz: "$quiz", question: "$answers.question" },
+        takers: { $max: "$takers" },
+        answered: { $sum: 1 },
+        correct: { $sum: { $cond: ["$answers.correct", 1, 0] } },
+        upper: { $sum: { $cond: [{ $eq: ["$band", "upper"] }, 1, 0] } },
+        upperCorrect: {
+          $sum: { $cond: [{ $and: [{ $eq: ["$band", "upper"] }, "$answers.correct"] }, 1, 0] },
+        },
+        lower: { $sum: { $cond: [{ $eq: ["$band", "lower"] }, 1, 0] } },
+        lowerCorrect: {
+          $sum: { $cond: [{ $and: [{ $eq: ["$band", "lower"] }, "$answers.correct"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  const [quizzes, questions] = await Promise.all([
+    Quiz.find({ _id: { $in: [...new Set(rows.map((r) => String(r._id.quiz)))] } }, "title lesson"),
+    Question.find({ _id: { $in: rows.map((r) => r._id.question) } }, "prompt type bank"),
+  ]);
+  const quizById = new Map(quizzes.map((q) => [q.id, q]));
+  const questionById = new Map(questions.map((q) => [q.id, q]));
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  return {
+    groupShare: ITEM_GROUP_SHARE,
+    items: rows
+      .map((r) => {
+        const quiz = quizById.get(String(r._id.quiz));
+        const question = questionById.get(String(r._id.question));
+        const difficulty = round2(r.correct / r.answered);
+        const discrimination =
+          r.upper && r.lower ? round2(r.upperCorrect / r.upper - r.lowerCorrect / r.lower) : null;
+        return {
+          quiz: { id: String(r._id.quiz), title: quiz?.title ?? "Deleted quiz", lesson: quiz?.lesson ?? null },
+          question: question
+            ? { id: question.id, prompt: question.prompt, type: question.type, bank: question.bank }
+            : { id: String(r._id.question), prompt: "Deleted question", type: null, bank: null },
+          takers: r.takers,
+          answered: r.answered,
+          difficulty,
+          discrimination,
+        };
+      })
+      .sort((a, b) => a.quiz.title.localeCompare(b.quiz.title) || a.difficulty - b.difficulty),
+  };
+};
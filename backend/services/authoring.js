@@ -0,0 +1,307 @@
+import path from 'path';
+import Course from '../models/Course.js';
+import CourseVersion from '../models/CourseVersion.js';
+import Lesson from '../models/Lesson.js';
+import Module from '../models/Module.js';
+import Quiz from '../models/Quiz.js';
+import HttpError from '../utils/HttpError.js';
+import { maxVideoBytes, removeMedia, saveLessonMedia, VIDEO_EXTENSIONS } from './media.js';
+import { getStorage, maxUploadBytes, newStorageKey } from './storage.js';
+
+// The instructor studio: the editable view of a course, drag-and-drop
+// reordering, uploads, and publishing with version history.
+//
+// Edits go live as they are saved (learners of a published course see them
+// straight away); publishing snapshots the course as a numbered version that
+// can be restored later. Media files stay in place while any version still
+// points at them.
+
+// Course fields a version records and restores (status and counters stay)
+const VERSIONED_COURSE_FIELDS = [
+  "title", "subtitle", "description", "category", "level", "tags", "price", "currency", "billing",
+  "durationMinutes", "thumbnailUrl",
+];
+const MAX_ATTACHMENTS = 10;
+
+// Records a studio change, for the "unpublished changes" flag
+export const touchCourse = (course) => Course.updateOne({ _id: course._id }, { editedAt: new Date() });
+
+const studioLesson = (lesson) => {
+  const json = lesson.toJSON();
+  json.video = lesson.videoFile ? { uploaded: true } : null;
+  json.captions = (lesson.captions ?? []).map((c) => ({ lang: c.lang, label: c.label }));
+  delete json.videoFile;
+  return json;
+};
+
+// Modules with their full lessons (and each quiz lesson's quiz settings)
+export const courseOutline = async (course) => {
+  const [modules, lessons, quizzes, latest] = await Promise.all([
+    Module.find({ course: course._id }).sort({ order: 1, createdAt: 1 }),
+    Lesson.find({ course: course._id }).select("+videoFile +captions").sort({ order: 1, createdAt: 1 }),
+    Quiz.find({ course: course._id }),
+    CourseVersion.findOne({ course: course._id }).sort({ number: -1 }),
+  ]);
+  const quizOf = new Map(quizzes.map((q) => [String(q.lesson), q]));
+  return {
+    modules: modules.map((m) => ({
+      ...m.toJSON(),
+      lessons: lessons
+        .filter((l) => l.module.equals(m._id))
+        .map((l) => ({ ...studioLesson(l), quiz: quizOf.get(String(l._id)) ?? null })),
+    })),
+    latestVersion: latest,
+    unpublishedChanges: Boolean(course.editedAt) && (!latest || course.editedAt > latest.createdAt),
+  };
+};
+
+/* ===========
+   Curriculum order
+   =========== */
+
+// Body: [{ id, lessons: [lessonId, ...] }, ...] — every module and lesson of
+// the course exactly once. Sets module order and moves lessons between modules.
+export const reorderCurriculum = async (course, spec) => {
+  if (!Array.isArray(spec)) throw new HttpError(400, "modules must be a list");
+  const [modules, lessons] = await Promise.all([
+    Module.find({ course: course._id }, "_id"),
+    Lesson.find({ course: course._id }, "_id"),
+  ]);
+  const moduleIds = spec.map((m) => String(m?.id));
+  const lessonIds = spec.flatMap((m) => (Array.isArray(m?.lessons) ? m.lessons.map(String) : []));
+  const sameSet = (given, existing) =>
+    given.length === existing.length && new Set(given).size === given.length &&
+    existing.every((doc) => given.includes(String(doc._id)));
+  if (!sameSet(moduleIds, modules) || !sameSet(lessonIds, lessons)) {
+    throw new HttpError(409, "The curriculum changed meanwhile; reload and try again");
+  }
+
+  await Promise.all([
+    Module.bulkWrite(spec.map((m, i) => ({ updateOne: { filter: { _id: m.id }, update: { order: i } } }))),
+    Lesson.bulkWrite(
+      spec.flatMap((m) =>
+        m.lessons.map((lessonId, i) => ({
+          updateOne: { filter: { _id: lessonId }, update: { module: m.id, order: i } },
+        }))
+      )
+    ),
+  ]);
+  await touchCourse(course);
+};
+
+/* ===========
+   Uploads
+   =========== */
+
+// Deletes a media file or attachment unless a published version still uses it
+const releaseMedia = async (course, relative) => {
+  const inUse = await CourseVersion.exists({
+    course: course._id,
+    $or: [{ "snapshot.lessons.videoFile": relative }, { "snapshot.lessons.captions.file": relative }],
+  });
+  if (!inUse) await removeMedia(relative);
+};
+
+const releaseAttachment = async (course, key) => {
+  if (!(await CourseVersion.exists({ course: course._id, "snapshot.lessons.attachments.key": key }))) {
+    await getStorage().remove(key);
+  }
+};
+
+const rejectOversize = (req, maxBytes) => {
+  if (Number(req.headers["content-length"]) > maxBytes) {
+    throw new HttpError(413, `Files can be at most ${Math.round(maxBytes / 1024 / 1024)} MB`);
+  }
+};
+
+const safeFileName = (name) =>
+  path
+    .basename(String(name || ""))
+    .replace(/[\u0000-\u001f"\\]/g, "")
+    .trim()
+    .slice(0, 200);
+
+// The lesson's own video, streamed from the request body; replaces any earlier one
+export const uploadVideo = async (course, lesson, req, name) => {
+  if (!VIDEO_EXTENSIONS.includes(path.extname(String(name || "")).toLowerCase())) {
+    throw new HttpError(400, `Videos must be one of: ${VIDEO_EXTENSIONS.join(", ")}`);
+  }
+  rejectOversize(req, maxVideoBytes());
+  const relative = await saveLessonMedia(lesson._id, req, name);
+  const previous = lesson.videoFile;
+  lesson.videoFile = relative;
+  if (lesson.type !== "video") lesson.type = "video";
+  await lesson.save();
+  if (previous) await releaseMedia(course, previous);
+  await touchCourse(course);
+  return lesson;
+};
+
+export const removeVideo = async (course, lesson) => {
+  const previous = lesson.videoFile;
+  if (!previous) throw new HttpError(404, "This lesson has no uploaded video");
+  lesson.videoFile = undefined;
+  await lesson.save();
+  await releaseMedia(course, previous);
+  await touchCourse(course);
+  return lesson;
+};
+
+// A WebVTT caption track for one language; replaces that language's track
+export const uploadCaptions = async (course, lesson, req, { lang, label }) => {
+  const code = String(lang || "").trim().toLowerCase();
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(code)) throw new HttpError(400, "lang must be a language code like en or pt-br");
+  rejectOversize(req, 5 * 1024 * 1024);
+  const relative = await saveLessonMedia(lesson._id, req, `${code}.vtt`, { maxBytes: 5 * 1024 * 1024 });
+  const previous = lesson.captions.find((c) => c.lang === code);
+  lesson.captions = [
+    ...lesson.captions.filter((c) => c.lang !== code),
+    { lang: code, label: String(label || code).slice(0, 40), file: relative },
+  ];
+  await lesson.save();
+  if (previous) await releaseMedia(course, previous.file);
+  await touchCourse(course);
+  return lesson;
+};
+
+export const removeCaptions = async (course, lesson, lang) => {
+  const track = lesson.captions.find((c) => c.lang === lang);
+  if (!track) throw new HttpError(404, "Captions not found");
+  lesson.captions = lesson.captions.filter((c) => c.lang !== lang);
+  await lesson.save();
+  await releaseMedia(course, track.file);
+  await touchCourse(course);
+  return lesson;
+};
+
+export const addAttachment = async (course, lesson, req, rawName) => {
+  const name = safeFileName(rawName);
+  if (!name) throw new HttpError(400, "Give the file a name (?name=)");
+  if (lesson.attachments.length >= MAX_ATTACHMENTS) {
+    throw new HttpError(409, `At most ${MAX_ATTACHMENTS} attachments per lesson`);
+  }
+  const maxBytes = maxUploadBytes();
+  rejectOversize(req, maxBytes);
+
+  const key = newStorageKey(`lessons/${lesson.id}`, name);
+  const { size } = await getStorage().save(key, req, { maxBytes });
+  lesson.attachments.push({ name, key, size, contentType: req.headers["content-type"] || "application/octet-stream" });
+  await lesson.save();
+  await touchCourse(course);
+  return lesson.attachments[lesson.attachments.length - 1];
+};
+
+export const removeAttachment = async (course, lesson, attachmentId) => {
+  const attachment = lesson.attachments.id(attachmentId);
+  if (!attachment) throw new HttpError(404, "Attachment not found");
+  lesson.attachments.pull(attachment._id);
+  await lesson.save();
+  await releaseAttachment(course, attachment.key);
+  await touchCourse(course);
+};
+
+// Files of a deleted lesson (or module) that no version needs any more
+export const releaseLessonFiles = async (course, lessons) => {
+  for (const lesson of lessons) {
+    const media = [lesson.videoFile, ...(lesson.captions ?? []).map((c) => c.file)].filter(Boolean);
+    for (const relative of media) await releaseMedia(course, relative);
+    for (const a of lesson.attachments ?? []) await releaseAttachment(course, a.key);
+  }
+};
+
+/* ===========
+   Publishing & versions
+   =========== */
+
+// What stops a course from being published; empty when it's ready
+export const publishProblems = async (course) => {
+  const problems = [];
+  if (!course.description?.trim()) problems.push("Add a course description");
+  const [modules, lessons, quizLessons] = await Promise.all([
+    Module.find({ course: course._id }, "_id title"),
+    Lesson.find({ course: course._id }, "_id module type title"),
+    Quiz.find({ course: course._id }).distinct("lesson"),
+  ]);
+  if (!lessons.length) problems.push("Add at least one lesson");
+  for (const m of modules) {
+    if (!lessons.some((l) => l.module.equals(m._id))) problems.push(`Module “${m.title}” has no lessons`);
+  }
+  const withQuiz = new Set(quizLessons.map(String));
+  for (const l of lessons) {
+    if (l.type === "quiz" && !withQuiz.has(String(l._id))) problems.push(`Quiz lesson “${l.title}” has no quiz settings`);
+  }
+  return problems;
+};
+
+const takeSnapshot = async (course) => {
+  const [modules, lessons, quizzes] = await Promise.all([
+    Module.find({ course: course._id }).lean(),
+    Lesson.find({ course: course._id }).select("+videoFile +captions").lean(),
+    Quiz.find({ course: course._id }).lean(),
+  ]);
+  const details = Object.fromEntries(VERSIONED_COURSE_FIELDS.map((f) => [f, course[f]]));
+  return { course: details, modules, lessons, quizzes };
+};
+
+// Publishes the course as its next version. Body note: what changed.
+export const publishCourse = async (course, user, note) => {
+  const problems = await publishProblems(course);
+  if (problems.length) throw new HttpError(400, "This course isn’t ready to publish", { problems });
+
+  const snapshot = await takeSnapshot(course);
+  const version = await CourseVersion.create({
+    course: course._id,
+    number: course.version + 1,
+    note,
+    publishedBy: user.id,
+    snapshot,
+    moduleCount: snapshot.modules.length,
+    lessonCount: snapshot.lessons.length,
+  });
+  course.set({ status: "published", version: version.number });
+  await course.save();
+  return version;
+};
+
+// Back to draft (hidden from the catalog) or archived
+export const unpublishCourse = async (course, status = "draft") => {
+  if (!["draft", "archived"].includes(status)) throw new HttpError(400, "status must be draft or archived");
+  course.status = status;
+  await course.save();
+  return course;
+};
+
+// Puts a version's details and curriculum back, keeping lesson ids so
+// learners' progress still lines up. Lessons added since are deleted.
+export const restoreVersion = async (course, number) => {
+  const version = await CourseVersion.findOne({ course: course._id, number }).select("+snapshot");
+  if (!version) throw new HttpError(404, "Version not found");
+  const { snapshot } = version;
+
+  const replaceAll = (Model, docs) =>
+    docs.length
+      ? Model.bulkWrite(
+          docs.map((doc) => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } }))
+        )
+      : null;
+
+  const lessonIds = snapshot.lessons.map((l) => l._id);
+  const dropped = await Lesson.find({ course: course._id, _id: { $nin: lessonIds } }).select("+videoFile +captions");
+  await Promise.all([
+    Module.deleteMany({ course: course._id, _id: { $nin: snapshot.modules.map((m) => m._id) } }),
+    Lesson.deleteMany({ course: course._id, _id: { $nin: lessonIds } }),
+    // including quizzes set up again since, which would clash on `lesson`
+    Quiz.deleteMany({ course: course._id, _id: { $nin: snapshot.quizzes.map((q) => q._id) } }),
+  ]);
+  await Promise.all([
+    replaceAll(Module, snapshot.modules),
+    replaceAll(Lesson, snapshot.lessons),
+    replaceAll(Quiz, snapshot.quizzes),
+  ]);
+  await releaseLessonFiles(course, dropped);
+
+  course.set(snapshot.course);
+  course.editedAt = new Date();
+  await course.save();
+  return version;
+};
@@ -0,0 +1,430 @@
+import crypto from 'crypto';
+import Invoice from '../models/Invoice.js';
+import OrgMember from '../models/OrgMember.js';
+import Organization from '../models/Organization.js';
+import Plan, { BILLING_CYCLES } from '../models/Plan.js';
+import Subscription, { LIVE_STATUSES } from '../models/Subscription.js';
+import HttpError from '../utils/HttpError.js';
+import { notify } from './notifications.js';
+import { getGateway } from './payments.js';
+
+// Subscription billing. A plan is bought for a monthly or yearly cycle,
+// after a free trial the first time, and renewed by a sweep when the period
+// ends. Upgrades start a new period at once and credit the unused part of
+// the old one; downgrades wait for the renewal. Cards are saved with the
+// payment gateway (the mock one by default) and charged from there.
+
+const DAY = 24 * 60 * 60 * 1000;
+// A failed renewal keeps the plan this long while it is retried daily
+export const GRACE_DAYS = 3;
+const RETRY_MS = DAY;
+// Warn trialing users this long before their first charge
+const TRIAL_NOTICE_MS = 3 * DAY;
+const BILLING_SWEEP_MS = 60 * 60 * 1000;
+
+export const money = (amount) => Math.round(amount * 100) / 100;
+
+// Calendar months in UTC; Jan 31 + 1 month is the last day of February
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+};
+
+export const periodEnd = (start, cycle) => addMonths(start, cycle === "yearly" ? 12 : 1);
+
+export const priceOf = (plan, cycle) => plan.prices[cycle] ?? 0;
+
+const planLine = (plan, cycle, start, end) => ({
+  description: `${plan.name} (${cycle})`,
+  amount: priceOf(plan, cycle),
+  periodStart: start,
+  periodEnd: end,
+});
+
+// Totals invoice lines against the subscription's credit. Credit comes off
+// a positive total; a negative one (a large proration) becomes credit.
+const priceLines = (lines, credit = 0) => {
+  const total = money(lines.reduce((sum, l) => sum + l.amount, 0));
+  if (total < 0) {
+    return {
+      lines: [...lines, { description: "Added to your credit", amount: -total }],
+      total: 0,
+      credit: money(credit - total),
+    };
+  }
+  const applied = Math.min(total, credit);
+  return {
+    lines: applied > 0 ? [...lines, { description: "Credit applied", amount: -applied }] : lines,
+    total: money(total - applied),
+    credit: money(credit - applied),
+  };
+};
+
+const invoiceNumber = (date = new Date()) =>
+  `INV-${date.toISOString().slice(0, 10).replace(/-/g, "")}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+
+const newInvoice = (subscription, plan, reason, { lines, total }, key) =>
+  new Invoice({
+    user: subscription.user,
+    subscription: subscription._id,
+    plan: plan._id,
+    number: invoiceNumber(),
+    reason,
+    lines,
+    total,
+    currency: plan.currency,
+    key,
+  });
+
+// Charges the subscription's saved card for an invoice (not saved here).
+// The subscription needs "+paymentMethod.token" selected.
+const collect = async (invoice, subscription) => {
+  invoice.attempts += 1;
+  if (invoice.total === 0) {
+    invoice.set({ status: "paid", paidAt: new Date() });
+    return true;
+  }
+  const gateway = getGateway(subscription.paymentMethod.provider);
+  const result = await gateway.chargeCard(subscription.paymentMethod.token, {
+    amount: invoice.total,
+    currency: invoice.currency,
+    reference: invoice.number,
+    description: invoice.lines[0]?.description,
+  });
+  invoice.set({ provider: gateway.name, providerRef: result.id });
+  if (result.status === "succeeded") {
+    invoice.set({ status: "paid", paidAt: new Date(), failureReason: undefined });
+    return true;
+  }
+  invoice.set({ status: "failed", failureReason: result.failureReason || "Payment failed" });
+  return false;
+};
+
+export const findPlan = async (code) => {
+  const plan = await Plan.findOne({ code: String(code ?? "").toLowerCase(), active: true });
+  if (!plan) throw new HttpError(404, "Plan not found");
+  return plan;
+};
+
+export const checkCycle = (cycle) => {
+  if (!BILLING_CYCLES.includes(cycle)) throw new HttpError(400, `cycle must be one of: ${BILLING_CYCLES.join(", ")}`);
+  return cycle;
+};
+
+// The user's live subscription with both plans populated, or null
+export const findLiveSubscription = (userId, { withCard = false } = {}) => {
+  const query = Subscription.findOne({ user: userId, status: { $in: LIVE_STATUSES } }).populate("plan pendingPlan");
+  return withCard ? query.select("+paymentMethod.token") : query;
+};
+
+// Whether the user's own plan grants `entitlement` right now, or the Teams
+// plan of an organization they have a seat in
+export const hasEntitlement = async (userId, entitlement) => {
+  if (!userId) return false;
+  const subscription = await Subscription.findOne({ user: userId, status: { $in: LIVE_STATUSES } }, "plan").populate(
+    "plan",
+    "entitlements"
+  );
+  if (subscription?.plan?.entitlements.includes(entitlement)) return true;
+
+  const seats = await OrgMember.find({ user: userId }, "org").lean();
+  if (!seats.length) return false;
+  const orgs = await Organization.find({ _id: { $in: seats.map((s) => s.org) } }, "subscription").lean();
+  const shared = await Subscription.find(
+    { _id: { $in: orgs.map((o) => o.subscription) }, status: { $in: LIVE_STATUSES } },
+    "plan"
+  ).populate("plan", "entitlements");
+  return shared.some(
+    (s) => s.plan?.entitlements.includes("team_management") && s.plan.entitlements.includes(entitlement)
+  );
+};
+
+/* ===========
+   Subscribing & changing plans
+   =========== */
+
+// Saves the card and starts the plan: a trial if the plan has one and the
+// user never had a trial, otherwise a paid first period.
+export const startSubscription = async (userId, plan, cycle, paymentDetails) => {
+  if (plan.isFree) throw new HttpError(400, "The free plan needs no subscription");
+  const existing = await Subscription.findOne({ user: userId });
+  if (existing && LIVE_STATUSES.includes(existing.status)) {
+    throw new HttpError(409, "You already have a subscription; change its plan instead");
+  }
+  const subscription = existing || new Subscription({ user: userId });
+
+  const gateway = getGateway();
+  const card = await gateway.saveCard(paymentDetails);
+  const now = new Date();
+  subscription.set({
+    plan: plan._id,
+    cycle,
+    currentPeriodStart: now,
+    cancelAtPeriodEnd: false,
+    cancelledAt: undefined,
+    endedAt: undefined,
+    pendingPlan: undefined,
+    pendingCycle: undefined,
+    pastDueSince: undefined,
+    paymentMethod: { provider: gateway.name, token: card.token, last4: card.last4 },
+  });
+
+  if (plan.trialDays > 0 && !subscription.trialUsed) {
+    const trialEndsAt = new Date(now.getTime() + plan.trialDays * DAY);
+    subscription.set({ status: "trialing", trialUsed: true, trialEndsAt, currentPeriodEnd: trialEndsAt, periodAmount: 0 });
+    await subscription.save();
+    return { subscription, invoice: null };
+  }
+
+  const end = periodEnd(now, cycle);
+  const bill = priceLines([planLine(plan, cycle, now, end)], subscription.credit);
+  const invoice = newInvoice(subscription, plan, "subscribe", bill);
+  if (!(await collect(invoice, subscription))) throw new HttpError(402, invoice.failureReason);
+
+  subscription.set({
+    status: "active",
+    trialEndsAt: undefined,
+    currentPeriodEnd: end,
+    periodAmount: priceOf(plan, cycle),
+    credit: bill.credit,
+  });
+  await subscription.save();
+  await invoice.save();
+  return { subscription, invoice };
+};
+
+// What moving a live subscription to plan/cycle would do. Upgrades (a
+// higher plan, or monthly -> yearly) start a new period now, minus the
+// unused share of what the current period cost; other changes wait for the
+// renewal. While trialing the switch is immediate and free.
+export const quoteChange = (subscription, plan, cycle, now = new Date()) => {
+  const current = subscription.plan;
+  if (current._id.equals(plan._id) && subscription.cycle === cycle) {
+    throw new HttpError(400, "You are already on this plan");
+  }
+  if (subscription.status === "past_due") {
+    throw new HttpError(409, "Settle the failed payment (update your card) before changing plans");
+  }
+  const noCharge = { lines: [], total: 0, credit: subscription.credit };
+  if (plan.isFree) return { immediate: false, effectiveAt: subscription.currentPeriodEnd, ...noCharge };
+  if (subscription.status === "trialing") return { immediate: true, effectiveAt: now, ...noCharge };
+
+  const upgrade =
+    plan.order > current.order ||
+    (plan.order === current.order && subscription.cycle === "monthly" && cycle === "yearly");
+  if (!upgrade) return { immediate: false, effectiveAt: subscription.currentPeriodEnd, ...noCharge };
+
+  const { currentPeriodStart: start, currentPeriodEnd: end } = subscription;
+  const unused = Math.min(1, Math.max(0, (end - now) / (end - start)));
+  const refund = money(subscription.periodAmount * unused);
+  const lines = [planLine(plan, cycle, now, periodEnd(now, cycle))];
+  if (refund > 0) {
+    lines.push({
+      description: `Unused time on ${current.name} (${subscription.cycle})`,
+      amount: -refund,
+      periodStart: now,
+      periodEnd: end,
+    });
+  }
+  return { immediate: true, effectiveAt: now, ...priceLines(lines, subscription.credit) };
+};
+
+// Applies quoteChange. Moving to the free plan cancels at the period's end.
+// Needs findLiveSubscription(..., { withCard: true }).
+export const changeSubscription = async (subscription, plan, cycle) => {
+  const now = new Date();
+  const quote = quoteChange(subscription, plan, cycle, now);
+
+  if (plan.isFree) return { subscription: await cancelSubscription(subscription), invoice: null, quote };
+  if (!quote.immediate) {
+    subscription.set({ pendingPlan: plan._id, pendingCycle: cycle, cancelAtPeriodEnd: false, cancelledAt: undefined });
+    await subscription.save();
+    return { subscription, invoice: null, quote };
+  }
+
+  const changes = { plan: plan._id, cycle, pendingPlan: undefined, pendingCycle: undefined, cancelAtPeriodEnd: false };
+  let invoice = null;
+  if (subscription.status !== "trialing") {
+    invoice = newInvoice(subscription, plan, "change", quote);
+    if (!(await collect(invoice, subscription))) throw new HttpError(402, invoice.failureReason);
+    Object.assign(changes, {
+      currentPeriodStart: now,
+      currentPeriodEnd: quote.lines[0].periodEnd,
+      periodAmount: priceOf(plan, cycle),
+      credit: quote.credit,
+    });
+  }
+  subscription.set({ ...changes, cancelledAt: undefined });
+  await subscription.save();
+  await invoice?.save();
+  await subscription.populate("plan pendingPlan");
+  return { subscription, invoice, quote };
+};
+
+// Stops renewal; the plan stays until the period ends. An overdue
+// subscription ends at once and its unpaid invoice is voided.
+export const cancelSubscription = async (subscription) => {
+  const now = new Date();
+  subscription.set({ cancelAtPeriodEnd: true, cancelledAt: now, pendingPlan: undefined, pendingCycle: undefined });
+  if (subscription.status === "past_due") {
+    await Invoice.updateMany({ subscription: subscription._id, status: "failed" }, { status: "void" });
+    subscription.set({ status: "cancelled", endedAt: now, pastDueSince: undefined });
+  }
+  await subscription.save();
+  return subscription;
+};
+
+export const resumeSubscription = async (subscription) => {
+  if (!subscription.cancelAtPeriodEnd) throw new HttpError(400, "This subscription is not set to cancel");
+  subscription.set({ cancelAtPeriodEnd: false, cancelledAt: undefined });
+  await subscription.save();
+  return subscription;
+};
+
+// Replaces the saved card; an overdue renewal is retried on it straight away.
+export const updatePaymentMethod = async (subscription, paymentDetails) => {
+  const gateway = getGateway();
+  const card = await gateway.saveCard(paymentDetails);
+  subscription.paymentMethod = { provider: gateway.name, token: card.token, last4: card.last4 };
+  let invoice = null;
+  if (subscription.status === "past_due") {
+    invoice = await retryOverdue(subscription);
+  } else {
+    await subscription.save();
+  }
+  return { subscription, invoice };
+};
+
+/* ===========
+   Renewals
+   =========== */
+
+const endSubscription = async (subscription, now, reason) => {
+  subscription.set({ status: "cancelled", endedAt: now, pastDueSince: undefined, pendingPlan: undefined, pendingCycle: undefined });
+  await subscription.save();
+  await notify(subscription.user, {
+    kind: "billing",
+    title: `Your ${subscription.plan.name} plan has ended`,
+    body: reason,
+    link: "/pricing",
+  });
+};
+
+// Charges the latest failed renewal again. Paid, the period it covers starts.
+const retryOverdue = async (subscription) => {
+  const invoice = await Invoice.findOne({ subscription: subscription._id, status: "failed" }).sort({ createdAt: -1 });
+  if (!invoice) {
+    await subscription.save();
+    return null;
+  }
+  if (await collect(invoice, subscription)) {
+    const [line] = invoice.lines;
+    subscription.set({
+      status: "active",
+      currentPeriodStart: line.periodStart,
+      currentPeriodEnd: line.periodEnd,
+      pastDueSince: undefined,
+    });
+  }
+  await invoice.save();
+  await subscription.save();
+  return invoice;
+};
+
+// Moves one subscription whose period has ended into the next one
+const renew = async (subscription, now) => {
+  if (subscription.cancelAtPeriodEnd) {
+    await endSubscription(subscription, now, "Resubscribe any time from the pricing page.");
+    return;
+  }
+
+  if (subscription.status === "past_due") {
+    if (now - subscription.pastDueSince > GRACE_DAYS * DAY) {
+      await Invoice.updateMany({ subscription: subscription._id, status: "failed" }, { status: "void" });
+      await endSubscription(subscription, now, "We could not collect the renewal payment.");
+      return;
+    }
+    const last = await Invoice.findOne({ subscription: subscription._id, status: "failed" }, "updatedAt").sort({
+      createdAt: -1,
+    });
+    if (!last || now - last.updatedAt >= RETRY_MS) await retryOverdue(subscription);
+    return;
+  }
+
+  const plan = subscription.pendingPlan ?? subscription.plan;
+  const cycle = subscription.pendingCycle ?? subscription.cycle;
+  const start = subscription.currentPeriodEnd;
+  const end = periodEnd(start, cycle);
+  const bill = priceLines([planLine(plan, cycle, start, end)], subscription.credit);
+  const invoice = newInvoice(subscription, plan, "renewal", bill, `renewal:${subscription.id}:${start.toISOString()}`);
+  try {
+    await invoice.save();
+  } catch (err) {
+    // another sweep is renewing this period
+    if (err?.code === 11000) return;
+    throw err;
+  }
+
+  subscription.set({ plan: plan._id, cycle, pendingPlan: undefined, pendingCycle: undefined, credit: bill.credit });
+  if (await collect(invoice, subscription)) {
+    subscription.set({ status: "active", currentPeriodStart: start, currentPeriodEnd: end, periodAmount: priceOf(plan, cycle) });
+  } else {
+    subscription.set({ status: "past_due", pastDueSince: now });
+    await notify(subscription.user, {
+      kind: "billing",
+      title: `Your ${plan.name} payment failed`,
+      body: `${invoice.failureReason}. Update your card within ${GRACE_DAYS} days to keep your plan.`,
+      link: "/billing",
+      key: `invoice:${invoice.id}`,
+    });
+  }
+  await invoice.save();
+  await subscription.save();
+};
+
+// Renews every subscription whose period has ended, and warns trials
+// ending soon. Each subscription is handled on its own so one failure does
+// not hold up the rest.
+export const renewSubscriptions = async (now = new Date()) => {
+  const due = await Subscription.find({ status: { $in: LIVE_STATUSES }, currentPeriodEnd: { $lte: now } })
+    .select("+paymentMethod.token")
+    .populate("plan pendingPlan");
+  for (const subscription of due) {
+    try {
+      await renew(subscription, now);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  const trials = await Subscription.find({
+    status: "trialing",
+    cancelAtPeriodEnd: false,
+    currentPeriodEnd: { $gt: now, $lte: new Date(now.getTime() + TRIAL_NOTICE_MS) },
+  }).populate("plan pendingPlan", "name prices currency");
+  for (const subscription of trials) {
+    const plan = subscription.pendingPlan ?? subscription.plan;
+    const days = Math.max(1, Math.ceil((subscription.currentPeriodEnd - now) / DAY));
+    await notify(subscription.user, {
+      kind: "billing",
+      title: `Your ${subscription.plan.name} trial ends in ${days} ${days === 1 ? "day" : "days"}`,
+      body: `Your saved card will then be charged ${priceOf(plan, subscription.pendingCycle ?? subscription.cycle)} ${plan.currency}.`,
+      link: "/billing",
+      key: `trial:${subscription.id}:${subscription.currentPeriodEnd.toISOString()}`,
+    });
+  }
+};
+
+// Runs the renewal sweep every hour; returns a stop function
+export const startBillingCycle = () => {
+  const sweep = () => renewSubscriptions().catch((err) => console.error(err));
+  const timer = setInterval(sweep, BILLING_SWEEP_MS);
+  timer.unref();
+  sweep();
+  return () => clearInterval(timer);
+};
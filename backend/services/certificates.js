@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import Certificate from '../models/Certificate.js';
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import { signCertificate, verifyCertificateSignature } from '../utils/tokens.js';
+
+// Course completion certificates: issuing, signing, verification and the PDF.
+
+// Crockford base32 without I, L, O, U, so IDs survive being read aloud
+const ID_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+// e.g. ES-7K2M-Q9XD-4HRT
+export const newCertId = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map((b) => ID_ALPHABET[b % ID_ALPHABET.length]);
+  return `ES-${chars.slice(0, 4).join("")}-${chars.slice(4, 8).join("")}-${chars.slice(8, 12).join("")}`;
+};
+
+export const verificationUrl = (certId) =>
+  `${process.env.CLIENT_URL || "http://localhost:5173"}/verify/${certId}`;
+
+// The fields the signature vouches for. No `sub`: the signature is public
+// (printed on the PDF) and must not look like a token for the learner.
+const payloadOf = (cert) => ({
+  cid: cert.certId,
+  learner: String(cert.user),
+  course: String(cert.course),
+  name: cert.recipientName,
+  title: cert.courseTitle,
+  issued: cert.issuedAt.toISOString(),
+});
+
+// One certificate per learner per course; re-issuing returns the existing one.
+export const issueCertificate = async (userId, courseId) => {
+  const existing = await Certificate.findOne({ user: userId, course: courseId });
+  if (existing) return existing;
+
+  const [user, course] = await Promise.all([
+    User.findById(userId, "name"),
+    Course.findById(courseId, "title instructor").populate("instructor", "name"),
+  ]);
+  if (!user || !course) return null;
+
+  const cert = new Certificate({
+    certId: newCertId(),
+    user: user._id,
+    course: course._id,
+    recipientName: user.name,
+    courseTitle: course.title,
+    instructorName: course.instructor?.name,
+    issuedAt: new Date(),
+  });
+  cert.signature = signCertificate(payloadOf(cert));
+  try {
+    await cert.save();
+  } catch (err) {
+    // completed twice at the same moment: keep the one that won
+    if (err?.code === 11000) return Certificate.findOne({ user: userId, course: courseId });
+    throw err;
+  }
+  return cert;
+};
+
+// status: "valid" | "revoked" | "invalid" (signature doesn't match) | "not_found"
+export const verifyCertificate = async (certId) => {
+  const cert = await Certificate.findOne({ certId: String(certId).trim().toUpperCase() });
+  if (!cert) return { status: "not_found", certificate: null };
+
+  let authentic = false;
+  try {
+    const claims = verifyCertificateSignature(cert.signature);
+    const expected = payloadOf(cert);
+    authentic = Object.keys(expected).every((k) => claims[k] === expected[k]);
+  } catch {
+    authentic = false;
+  }
+
+  const status = !authentic ? "invalid" : cert.revokedAt ? "revoked" : "valid";
+  return { status, certificate: cert };
+};
+
+// What the public verification page may show
+export const publicView = (cert) => ({
+  certId: cert.certId,
+  recipientName: cert.recipientName,
+  courseTitle: cert.courseTitle,
+  instructorName: cert.instructorName,
+  course: String(cert.course),
+  issuedAt: cert.issuedAt,
+  revokedAt: cert.revokedAt,
+  revokedReason: cert.revokedReason,
+});
+
+/* ===========
+   PDF
+   =========== */
+
+// Writes an A4 landscape certificate to `stream` (e.g. the response).
+export const writeCertificatePdf = (cert, stream) => {
+  const doc = new PDFDocument({
+    size: "A4",
+    layout: "landscape",
+    margin: 56,
+    info: { Title: `Certificate ${cert.certId}`, Author: "EduSphar" },
+  });
+  doc.pipe(stream);
+
+  const { width, height } = doc.page;
+  const inner = width - 112;
+  doc.lineWidth(3).strokeColor("#4f46e5").rect(28, 28, width - 56, height - 56).stroke();
+
+  doc.moveDown(2);
+  doc.fillColor("#4f46e5").font("Helvetica-Bold").fontSize(16).text("EduSphar", { align: "center", width: inner });
+  doc.moveDown(1.5);
+  doc.fillColor("#0f172a").fontSize(34).text("Certificate of Completion", { align: "center", width: inner });
+  doc.moveDown(1.2);
+  doc.font("Helvetica").fontSize(14).fillColor("#475569").text("This certifies that", { align: "center", width: inner });
+  doc.moveDown(0.6);
+  doc.font("Helvetica-Bold").fontSize(28).fillColor("#0f172a").text(cert.recipientName, { align: "center", width: inner });
+  doc.moveDown(0.6);
+  doc.font("Helvetica").fontSize(14).fillColor("#475569").text("has successfully completed", { align: "center", width: inner });
+  doc.moveDown(0.6);
+  doc.font("Helvetica-Bold").fontSize(22).fillColor("#0f172a").text(cert.courseTitle, { align: "center", width: inner });
+  if (cert.instructorName) {
+    doc.moveDown(0.4);
+    doc.font("Helvetica").fontSize(12).fillColor("#475569")
+      .text(`Instructor: ${cert.instructorName}`, { align: "center", width: inner });
+  }
+  doc.moveDown(1.2);
+  doc.fontSize(12).text(`Issued ${cert.issuedAt.toISOString().slice(0, 10)}`, { align: "center", width: inner });
+
+  // verification details along the bottom edge
+  const url = verificationUrl(cert.certId);
+  doc.fontSize(10).fillColor("#0f172a")
+    .text(`Certificate ID: ${cert.certId}`, 56, height - 130, { width: inner, align: "center" })
+    .fillColor("#4f46e5")
+    .text(`Verify at ${url}`, { width: inner, align: "center", link: url, underline: true });
+  doc.fontSize(6).fillColor("#94a3b8")
+    .text(`Signature: ${cert.signature}`, 56, height - 92, { width: inner, align: "center" });
+
+  doc.end();
+};
@@ -0,0 +1,51 @@
+import ChatMessage from '../models/ChatMessage.js';
+import Cohort from '../models/Cohort.js';
+import CohortMember from '../models/CohortMember.js';
+import HttpError from '../utils/HttpError.js';
+import { findVisibleCourse } from '../utils/courses.js';
+import { canManageCohort } from './cohorts.js';
+
+// Cohort chat rooms. The room is open to the cohort's seated learners and to
+// the people running it (mentor, course instructor, admins); messages travel
+// over the WebSocket (services/realtime.js) and are stored for the history.
+
+const AUTHOR_FIELDS = "name avatarUrl role";
+
+export const MAX_HISTORY = 100;
+
+// The cohort, if the user may use its chat
+export const loadChatCohort = async (cohortId, user) => {
+  const cohort = await Cohort.findById(cohortId);
+  if (!cohort) throw new HttpError(404, "Cohort not found");
+  const course = await findVisibleCourse(cohort.course, user);
+  const allowed =
+    canManageCohort(cohort, course, user) ||
+    (await CohortMember.exists({ cohort: cohort._id, user: user.id, status: "enrolled" }));
+  if (!allowed) throw new HttpError(403, "The chat is for the cohort’s learners and mentor");
+  return { cohort, course };
+};
+
+// Newest `limit` messages before `before` (a date), returned oldest first
+export const chatHistory = async (cohortId, { before, limit = 50 } = {}) => {
+  const filter = { cohort: cohortId };
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) throw new HttpError(400, "before must be a date");
+    filter.createdAt = { $lt: date };
+  }
+  const messages = await ChatMessage.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(1, Number(limit) || 50), MAX_HISTORY))
+    .populate("author", AUTHOR_FIELDS);
+  return messages.reverse();
+};
+
+// Checks the seat again on every message: a socket stays in the room after
+// its user leaves the cohort or stops mentoring it
+export const postChatMessage = async (cohortId, user, body) => {
+  const text = String(body ?? "").trim();
+  if (!text) throw new HttpError(400, "Messages can’t be empty");
+  const { cohort } = await loadChatCohort(cohortId, user);
+  const message = await ChatMessage.create({ cohort: cohort._id, author: user.id, body: text });
+  return message.populate("author", AUTHOR_FIELDS);
+};
@@ -0,0 +1,271 @@
+import Cohort from '../models/Cohort.js';
+import CohortMember from '../models/CohortMember.js';
+import MentorSlot from '../models/MentorSlot.js';
+import HttpError from '../utils/HttpError.js';
+import { canEditCourse } from '../utils/courses.js';
+import { toICalendar } from '../utils/ical.js';
+import { findActiveEnrollment } from './enrollment.js';
+
+// Cohort seats and waitlists, mentor session booking, and the calendar that
+// brings both together.
+
+const ACTIVE = ["enrolled", "waitlisted"];
+
+// Mentor slots may be at most this long
+export const MAX_SLOT_MINUTES = 4 * 60;
+
+// The mentor, the course's instructor and admins run a cohort.
+export const canManageCohort = (cohort, course, user) =>
+  Boolean(user) && (String(cohort.mentor?._id ?? cohort.mentor) === user.id || canEditCourse(course, user));
+
+/* ===========
+   Seats and waitlists
+   =========== */
+
+// Hands free seats to waitlisted members, longest-waiting first. Each seat is
+// reserved with a conditional update, so concurrent joins can't overfill.
+export const fillSeats = async (cohortId) => {
+  const promoted = [];
+  for (;;) {
+    const reserved = await Cohort.updateOne(
+      { _id: cohortId, status: "scheduled", $expr: { $lt: ["$seatsTaken", "$capacity"] } },
+      { $inc: { seatsTaken: 1 } }
+    );
+    if (!reserved.modifiedCount) break;
+    const member = await CohortMember.findOneAndUpdate(
+      { cohort: cohortId, status: "waitlisted" },
+      { status: "enrolled", enrolledAt: new Date() },
+      { sort: { waitlistedAt: 1 }, new: true }
+    );
+    if (!member) {
+      await Cohort.updateOne({ _id: cohortId }, { $inc: { seatsTaken: -1 } });
+      break;
+    }
+    promoted.push(member);
+  }
+  return promoted;
+};
+
+// Joins the back of the line, then takes a seat if one is free — so nobody
+// jumps ahead of learners already waiting. Learners need an active course
+// enrollment and can be in one cohort per course at a time. Idempotent.
+export const joinCohort = async (cohort, userId) => {
+  if (cohort.status !== "scheduled") throw new HttpError(409, "This cohort was cancelled");
+  if (cohort.startsAt <= new Date()) throw new HttpError(409, "This cohort has already started");
+  if (!(await findActiveEnrollment(userId, cohort.course))) {
+    throw new HttpError(403, "Enroll in the course to join one of its cohorts");
+  }
+
+  const existing = await CohortMember.findOne({ cohort: cohort._id, user: userId });
+  if (existing && ACTIVE.includes(existing.status)) return existing;
+  const elsewhere = await CohortMember.exists({
+    user: userId,
+    course: cohort.course,
+    cohort: { $ne: cohort._id },
+    status: { $in: ACTIVE },
+  });
+  if (elsewhere) throw new HttpError(409, "You’re already in a cohort for this course — leave it first");
+
+  if (existing) {
+    existing.set({ status: "waitlisted", waitlistedAt: new Date(), enrolledAt: undefined });
+    await existing.save();
+  } else {
+    await CohortMember.create({
+      cohort: cohort._id,
+      user: userId,
+      course: cohort.course,
+      waitlistedAt: new Date(),
+    }).catch((err) => {
+      // a double-click: the other request already created it
+      if (err?.code !== 11000) throw err;
+    });
+  }
+  await fillSeats(cohort._id);
+  return CohortMember.findOne({ cohort: cohort._id, user: userId });
+};
+
+// Gives up a seat (or a place in line); a freed seat goes to the waitlist.
+export const leaveCohort = async (cohort, userId) => {
+  const before = await CohortMember.findOneAndUpdate(
+    { cohort: cohort._id, user: userId, status: { $in: ACTIVE } },
+    { status: "left" }
+  );
+  if (!before) throw new HttpError(404, "You’re not in this cohort");
+  if (before.status === "enrolled") {
+    await Cohort.updateOne({ _id: cohort._id }, { $inc: { seatsTaken: -1 } });
+    await fillSeats(cohort._id);
+  }
+};
+
+// { status, enrolledAt, waitlistPosition? } or null when not a member
+export const membershipOf = async (cohortId, userId) => {
+  const member = await CohortMember.findOne({ cohort: cohortId, user: userId, status: { $in: ACTIVE } });
+  if (!member) return null;
+  const view = { status: member.status, enrolledAt: member.enrolledAt };
+  if (member.status === "waitlisted") {
+    view.waitlistPosition =
+      1 +
+      (await CohortMember.countDocuments({
+        cohort: cohortId,
+        status: "waitlisted",
+        waitlistedAt: { $lt: member.waitlistedAt },
+      }));
+  }
+  return view;
+};
+
+/* ===========
+   Mentor sessions
+   =========== */
+
+// Running cohorts the learner has a seat in ({ _id, mentor })
+const seatedCohorts = async (userId) => {
+  const members = await CohortMember.find({ user: userId, status: "enrolled" }, "cohort").lean();
+  return Cohort.find(
+    { _id: { $in: members.map((m) => m.cohort) }, status: "scheduled", endsAt: { $gt: new Date() } },
+    "_id mentor"
+  ).lean();
+};
+
+const mayBook = (cohorts, slot) =>
+  cohorts.some(
+    (c) => String(c.mentor) === String(slot.mentor) && (!slot.cohort || String(c._id) === String(slot.cohort))
+  );
+
+// Open, future slots offered by the mentors of the learner's cohorts
+export const bookableSlots = async (userId, { from, to }) => {
+  const cohorts = await seatedCohorts(userId);
+  if (!cohorts.length) return [];
+  const now = new Date();
+  return MentorSlot.find({
+    mentor: { $in: cohorts.map((c) => c.mentor) },
+    $or: [{ cohort: null }, { cohort: { $in: cohorts.map((c) => c._id) } }],
+    bookedAt: null,
+    cancelledAt: null,
+    startsAt: { $gt: from > now ? from : now, $lt: to },
+  })
+    .sort({ startsAt: 1 })
+    .populate("mentor", "name avatarUrl headline")
+    .populate("cohort", "title timezone");
+};
+
+// Throws 409 when the mentor already has a slot overlapping [startsAt, endsAt)
+export const assertSlotFree = async (mentorId, startsAt, endsAt) => {
+  const clash = await MentorSlot.exists({
+    mentor: mentorId,
+    cancelledAt: null,
+    startsAt: { $lt: endsAt },
+    endsAt: { $gt: startsAt },
+  });
+  if (clash) throw new HttpError(409, "This overlaps another of your slots");
+};
+
+// First come, first served: the booking is a conditional update on an open slot.
+export const bookSlot = async (slot, userId, note) => {
+  if (String(slot.mentor) === userId) throw new HttpError(409, "You can’t book your own slot");
+  if (!mayBook(await seatedCohorts(userId), slot)) {
+    throw new HttpError(403, "Only learners in this mentor’s cohorts can book their sessions");
+  }
+  const booked = await MentorSlot.findOneAndUpdate(
+    { _id: slot._id, bookedAt: null, cancelledAt: null, startsAt: { $gt: new Date() } },
+    { bookedBy: userId, bookedAt: new Date(), note },
+    { new: true, runValidators: true }
+  );
+  if (!booked) {
+    throw new HttpError(409, slot.startsAt <= new Date() ? "This slot has already started" : "This slot was just booked");
+  }
+  return booked;
+};
+
+/* ===========
+   Calendar
+   =========== */
+
+const courseRef = (course) => course && { id: course.id, title: course.title, slug: course.slug };
+
+// A cohort's sessions as calendar events
+const sessionEvents = (cohort, role) =>
+  cohort.sessions.map((s) => ({
+    id: `session:${s.id}`,
+    kind: "session",
+    role,
+    title: s.title,
+    description: s.description,
+    startsAt: s.startsAt,
+    endsAt: s.endsAt,
+    meetingUrl: s.meetingUrl,
+    timezone: cohort.timezone,
+    cohort: { id: cohort.id, title: cohort.title },
+    course: courseRef(cohort.course),
+    with: role === "learner" ? cohort.mentor?.name : undefined,
+  }));
+
+// Everything on the user's calendar overlapping [from, to), soonest first:
+//  - session         a live session of a cohort they have a seat in or mentor
+//  - mentor_session  a booked one-to-one, from either side
+//  - open_slot       one of their own slots nobody has booked yet (mentors)
+export const calendarEvents = async (userId, { from, to }) => {
+  const members = await CohortMember.find({ user: userId, status: "enrolled" }, "cohort").lean();
+  const [cohorts, slots] = await Promise.all([
+    Cohort.find({
+      $or: [{ _id: { $in: members.map((m) => m.cohort) } }, { mentor: userId }],
+      status: "scheduled",
+      "sessions.startsAt": { $lt: to },
+      "sessions.endsAt": { $gt: from },
+    })
+      .populate("course", "title slug")
+      .populate("mentor", "name"),
+    MentorSlot.find({
+      $or: [{ mentor: userId }, { bookedBy: userId }],
+      startsAt: { $lt: to },
+      endsAt: { $gt: from },
+    })
+      .populate("mentor", "name")
+      .populate("bookedBy", "name")
+      .populate("cohort", "title timezone"),
+  ]);
+
+  const events = cohorts.flatMap((c) =>
+    sessionEvents(c, String(c.mentor?._id) === userId ? "mentor" : "learner").filter(
+      (e) => e.startsAt < to && e.endsAt > from
+    )
+  );
+  for (const s of slots) {
+    const isMentor = String(s.mentor?._id) === userId;
+    const other = isMentor ? s.bookedBy?.name ?? "a learner" : s.mentor?.name ?? "your mentor";
+    events.push({
+      id: `slot:${s.id}`,
+      slot: s.id,
+      kind: s.bookedAt ? "mentor_session" : "open_slot",
+      role: isMentor ? "mentor" : "learner",
+      title: s.bookedAt ? `Mentor session with ${other}` : "Open mentor slot",
+      description: s.note,
+      startsAt: s.startsAt,
+      endsAt: s.endsAt,
+      meetingUrl: s.meetingUrl,
+      timezone: s.cohort?.timezone,
+      cohort: s.cohort && { id: s.cohort.id, title: s.cohort.title },
+      with: s.bookedAt ? other : undefined,
+      cancelled: Boolean(s.cancelledAt),
+    });
+  }
+  return events.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+const toIcsEvent = (e) => ({
+  uid: `${e.id.replace(":", "-")}@edusphar`,
+  start: e.startsAt,
+  end: e.endsAt,
+  summary: e.course ? `${e.title} · ${e.course.title}` : e.title,
+  description: e.description,
+  location: e.meetingUrl,
+  url: e.meetingUrl,
+  cancelled: e.cancelled,
+});
+
+export const calendarIcs = async (userId, range) =>
+  toICalendar({ name: "EduSphar schedule", events: (await calendarEvents(userId, range)).map(toIcsEvent) });
+
+// One cohort's schedule, for learners who only want that in their calendar
+export const cohortIcs = (cohort) =>
+  toICalendar({ name: cohort.title, events: sessionEvents(cohort, "learner").map(toIcsEvent) });
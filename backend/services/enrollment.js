@@ -0,0 +1,43 @@
+import Course from '../models/Course.js';
+import Enrollment from '../models/Enrollment.js';
+import Lesson from '../models/Lesson.js';
+import Module from '../models/Module.js';
+import { hasEntitlement } from './billing.js';
+
+// First lesson of the first module, in syllabus order.
+export const firstLessonOf = async (courseId) => {
+  const modules = await Module.find({ course: courseId }, "_id").sort({ order: 1 }).lean();
+  for (const m of modules) {
+    const lesson = await Lesson.findOne({ module: m._id }, "_id title").sort({ order: 1 }).lean();
+    if (lesson) return lesson;
+  }
+  return null;
+};
+
+// Enrollments that came with a subscription only count while the plan
+// still includes paid courses.
+export const findActiveEnrollment = async (userId, courseId) => {
+  const enrollment = await Enrollment.findOne({ user: userId, course: courseId, status: { $in: ["active", "completed"] } });
+  if (enrollment?.source === "subscription" && !(await hasEntitlement(userId, "paid_courses"))) return null;
+  return enrollment;
+};
+
+// Grants access (idempotent). enrollmentCount only moves on a first enrollment
+// or when a cancelled one is reactivated. Buying a course that a
+// subscription already opened keeps it once the subscription ends.
+export const enroll = async (userId, course, { source, order } = {}) => {
+  const existing = await Enrollment.findOne({ user: userId, course: course._id });
+  if (existing && existing.status !== "cancelled") {
+    if (existing.source === "subscription" && source !== "subscription") {
+      existing.set({ source, order });
+      await existing.save();
+    }
+    return existing;
+  }
+
+  const enrollment = existing || new Enrollment({ user: userId, course: course._id });
+  enrollment.set({ status: "active", source, order });
+  await enrollment.save();
+  await Course.updateOne({ _id: course._id }, { $inc: { enrollmentCount: 1 } });
+  return enrollment;
+};
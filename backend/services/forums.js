@@ -0,0 +1,246 @@
+import ForumBan from '../models/ForumBan.js';
+import Lesson from '../models/Lesson.js';
+import Post from '../models/Post.js';
+import Report from '../models/Report.js';
+import StudyGroup from '../models/StudyGroup.js';
+import Thread from '../models/Thread.js';
+import Vote from '../models/Vote.js';
+import HttpError from '../utils/HttpError.js';
+import { canEditCourse, findVisibleCourse } from '../utils/courses.js';
+import { can } from '../utils/permissions.js';
+import { findActiveEnrollment } from './enrollment.js';
+import { canModerateGroup, membershipOf } from './groups.js';
+
+// Discussion boards. A board is a course (whose threads may be about one of
+// its lessons) or a study group.
+//  - reading follows the board: published courses and public groups are open
+//    to everyone, private groups to their members
+//  - posting, replying and voting need an enrollment in the course or an
+//    active group membership, and no ban
+//  - moderators (the course's instructors, the group's owner and moderators,
+//    and anyone with forum:moderate) pin, lock, hide, handle reports and ban
+
+export const AUTHOR_FIELDS = "name avatarUrl role";
+
+/* ===========
+   Boards
+   =========== */
+
+// { course, lesson?, group, canRead, canPost, canModerate, ban } for
+// { course, lesson } or { group } ids
+export const loadBoard = async ({ course: courseRef, lesson: lessonRef, group: groupRef }, user) => {
+  const board = { course: null, lesson: null, group: null };
+
+  if (groupRef) {
+    board.group = await StudyGroup.findById(groupRef);
+    if (!board.group) throw new HttpError(404, "Study group not found");
+    const member = user ? await membershipOf(board.group._id, user.id) : null;
+    board.canModerate = canModerateGroup(member, user);
+    board.canPost = member?.status === "active";
+    board.canRead = board.group.visibility === "public" || board.canPost || board.canModerate;
+  } else if (courseRef) {
+    board.course = await findVisibleCourse(courseRef, user);
+    if (lessonRef) {
+      board.lesson = await Lesson.findOne({ _id: lessonRef, course: board.course._id }, "title");
+      if (!board.lesson) throw new HttpError(404, "Lesson not found");
+    }
+    const editor = canEditCourse(board.course, user);
+    board.canModerate = editor || Boolean(user && can(user.role, "forum:moderate"));
+    board.canPost = editor || Boolean(user && (await findActiveEnrollment(user.id, board.course._id)));
+    board.canRead = true;
+  } else {
+    throw new HttpError(400, "Pass a course or a study group");
+  }
+
+  board.ban = user ? await findBan(user.id, board) : null;
+  if (board.ban) board.canPost = false;
+  return board;
+};
+
+// Thread filter for the board (a course board lists its lessons' threads too)
+export const boardFilter = (board) =>
+  board.group
+    ? { group: board.group._id }
+    : { course: board.course._id, ...(board.lesson && { lesson: board.lesson._id }) };
+
+export const findBan = (userId, board) =>
+  ForumBan.findOne({
+    user: userId,
+    $and: [
+      { $or: [{ course: null, group: null }, board.group ? { group: board.group._id } : { course: board.course._id }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+    ],
+  });
+
+export const assertCanRead = (board) => {
+  if (!board.canRead) throw new HttpError(403, "Join the study group to read its discussions");
+};
+
+export const assertCanPost = (board, user) => {
+  if (!user) throw new HttpError(401, "Authentication required");
+  if (board.ban) {
+    const until = board.ban.expiresAt ? ` until ${board.ban.expiresAt.toISOString().slice(0, 10)}` : "";
+    throw new HttpError(403, `You’ve been banned from this board${until}`);
+  }
+  if (!board.canPost) {
+    throw new HttpError(403, board.group ? "Join the study group to take part" : "Enroll in the course to take part");
+  }
+};
+
+// Locked threads take no new or edited replies (or thread edits) except from moderators
+export const assertUnlocked = (thread, board) => {
+  if (thread.locked && !board.canModerate) throw new HttpError(409, "This thread is locked");
+};
+
+export const assertModerator = (board) => {
+  if (!board.canModerate) throw new HttpError(403, "Only moderators can do that");
+};
+
+// A thread with its board. Hidden threads only show to moderators and their author.
+export const loadThread = async (threadId, user) => {
+  const thread = await Thread.findById(threadId);
+  if (!thread) throw new HttpError(404, "Thread not found");
+  const board = await loadBoard({ course: thread.course, group: thread.group }, user);
+  assertCanRead(board);
+  if (thread.hiddenAt && !board.canModerate && String(thread.author) !== user?.id) {
+    throw new HttpError(404, "Thread not found");
+  }
+  return { thread, board };
+};
+
+export const loadPost = async (postId, user) => {
+  const post = await Post.findById(postId);
+  if (!post) throw new HttpError(404, "Reply not found");
+  return { post, ...(await loadThread(post.thread, user)) };
+};
+
+/* ===========
+   Listing
+   =========== */
+
+export const THREAD_SORTS = {
+  latest: { pinned: -1, lastActivityAt: -1 },
+  top: { pinned: -1, score: -1, lastActivityAt: -1 },
+  new: { pinned: -1, createdAt: -1 },
+};
+
+// Thread JSON with author and lesson, the viewer's votes and hidden content
+// blanked for everyone but moderators and the author
+export const threadView = (thread, { voted, canModerate, userId }) => {
+  const json = thread.toJSON();
+  json.voted = voted.has(thread.id);
+  if (thread.hiddenAt && !canModerate && String(thread.author?._id ?? thread.author) !== userId) {
+    json.body = null;
+  }
+  if (!canModerate) delete json.hiddenBy;
+  return json;
+};
+
+export const postView = (post, { voted, canModerate, userId }) => {
+  const json = post.toJSON();
+  json.voted = voted.has(post.id);
+  if (post.hiddenAt && !canModerate && String(post.author?._id ?? post.author) !== userId) {
+    json.body = null;
+    json.author = null;
+  }
+  if (!canModerate) delete json.hiddenBy;
+  return json;
+};
+
+// Ids among `targets` the user upvoted
+export const votedBy = async (userId, targets) => {
+  if (!userId || !targets.length) return new Set();
+  const votes = await Vote.find({ user: userId, target: { $in: targets.map((t) => t._id) } }, "target").lean();
+  return new Set(votes.map((v) => String(v.target)));
+};
+
+export const populateThreads = (query) =>
+  query.populate("author", AUTHOR_FIELDS).populate("lesson", "title");
+
+export const populatePosts = (query) => query.populate("author", AUTHOR_FIELDS);
+
+/* ===========
+   Votes, reports and moderation
+   =========== */
+
+const MODELS = { thread: Thread, post: Post };
+
+// Adds or removes the user's upvote; returns the new score
+export const setVote = async (kind, doc, userId, up) => {
+  if (String(doc.author) === userId) throw new HttpError(400, "You can’t vote on your own post");
+  const Model = MODELS[kind];
+  if (up) {
+    try {
+      await Vote.create({ user: userId, targetKind: kind, target: doc._id });
+      await Model.updateOne({ _id: doc._id }, { $inc: { score: 1 } });
+    } catch (err) {
+      // already upvoted
+      if (err?.code !== 11000) throw err;
+    }
+  } else {
+    const removed = await Vote.deleteOne({ user: userId, target: doc._id });
+    if (removed.deletedCount) await Model.updateOne({ _id: doc._id }, { $inc: { score: -1 } });
+  }
+  const fresh = await Model.findById(doc._id, "score");
+  return fresh?.score ?? 0;
+};
+
+export const fileReport = async (kind, doc, thread, userId, reason) => {
+  if (!String(reason ?? "").trim()) throw new HttpError(400, "Tell the moderators what’s wrong");
+  try {
+    return await Report.create({
+      reporter: userId,
+      targetKind: kind,
+      target: doc._id,
+      thread: thread._id,
+      course: thread.course,
+      group: thread.group,
+      reason,
+    });
+  } catch (err) {
+    if (err?.code === 11000) throw new HttpError(409, "You’ve already reported this");
+    throw err;
+  }
+};
+
+// Hides (reason given) or restores a thread or reply, settling its open reports
+export const setHidden = async (kind, doc, moderatorId, hide, reason) => {
+  doc.set(
+    hide
+      ? { hiddenAt: new Date(), hiddenBy: moderatorId, hiddenReason: reason }
+      : { hiddenAt: undefined, hiddenBy: undefined, hiddenReason: undefined }
+  );
+  await doc.save();
+  if (hide) {
+    await Report.updateMany(
+      { target: doc._id, status: "open" },
+      { status: "hidden", resolvedBy: moderatorId, resolvedAt: new Date() }
+    );
+  }
+  return doc;
+};
+
+// Deletes a reply with its own replies and votes, keeping the thread's counters right
+export const deletePost = async (post, thread) => {
+  const children = await Post.find({ parent: post._id }, "_id").lean();
+  const ids = [post._id, ...children.map((c) => c._id)];
+  await Promise.all([
+    Post.deleteMany({ _id: { $in: ids } }),
+    Vote.deleteMany({ target: { $in: ids } }),
+    Report.deleteMany({ target: { $in: ids } }),
+  ]);
+  const update = { $inc: { replyCount: -ids.length } };
+  if (ids.some((id) => String(id) === String(thread.acceptedPost))) update.$unset = { acceptedPost: 1 };
+  await Thread.updateOne({ _id: thread._id }, update);
+};
+
+export const deleteThread = async (thread) => {
+  const posts = await Post.find({ thread: thread._id }, "_id").lean();
+  const ids = [thread._id, ...posts.map((p) => p._id)];
+  await Promise.all([
+    Post.deleteMany({ thread: thread._id }),
+    Vote.deleteMany({ target: { $in: ids } }),
+    Report.deleteMany({ thread: thread._id }),
+  ]);
+  await thread.deleteOne();
+};
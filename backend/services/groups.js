@@ -0,0 +1,104 @@
+import ForumBan from '../models/ForumBan.js';
+import GroupMember from '../models/GroupMember.js';
+import Post from '../models/Post.js';
+import Report from '../models/Report.js';
+import StudyGroup from '../models/StudyGroup.js';
+import Thread from '../models/Thread.js';
+import Vote from '../models/Vote.js';
+import HttpError from '../utils/HttpError.js';
+import { can } from '../utils/permissions.js';
+
+// Study group membership. `memberCount` counts active members and is what
+// enforces maxMembers, so every change to an active membership goes through
+// here. Private groups take join requests ("pending") that a moderator
+// approves; only one owner at a time, who can't leave without handing over.
+
+export const membershipOf = (groupId, userId) => GroupMember.findOne({ group: groupId, user: userId });
+
+// Owners and moderators of the group, plus anyone with forum:moderate
+export const canModerateGroup = (member, user) =>
+  Boolean(user) &&
+  (can(user.role, "forum:moderate") || (member?.status === "active" && ["owner", "moderator"].includes(member.role)));
+
+// Takes one of the group's free places
+const takeSeat = async (groupId) => {
+  const seated = await StudyGroup.findOneAndUpdate(
+    { _id: groupId, $expr: { $lt: ["$memberCount", "$maxMembers"] } },
+    { $inc: { memberCount: 1 } }
+  );
+  if (!seated) throw new HttpError(409, "This study group is full");
+};
+
+const freeSeat = (groupId) => StudyGroup.updateOne({ _id: groupId }, { $inc: { memberCount: -1 } });
+
+export const createGroup = async (fields, userId) => {
+  const group = await StudyGroup.create({ ...fields, owner: userId, memberCount: 1 });
+  await GroupMember.create({ group: group._id, user: userId, role: "owner" });
+  return group;
+};
+
+// Joins a public group, or asks to join a private one
+export const joinGroup = async (group, userId) => {
+  const existing = await membershipOf(group._id, userId);
+  if (existing) return existing;
+  const banned = await ForumBan.exists({
+    user: userId,
+    group: group._id,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (banned) {
+    throw new HttpError(403, "You can’t join this study group");
+  }
+  if (group.visibility === "private") {
+    return GroupMember.create({ group: group._id, user: userId, status: "pending" });
+  }
+  await takeSeat(group._id);
+  try {
+    return await GroupMember.create({ group: group._id, user: userId });
+  } catch (err) {
+    await freeSeat(group._id);
+    if (err?.code === 11000) return membershipOf(group._id, userId);
+    throw err;
+  }
+};
+
+export const approveMember = async (member) => {
+  if (member.status === "active") return member;
+  await takeSeat(member.group);
+  member.status = "active";
+  await member.save();
+  return member;
+};
+
+// Leaving, declining a request or removing a member
+export const removeMember = async (member) => {
+  if (member.role === "owner") throw new HttpError(409, "Hand the group over to someone else first");
+  const removed = await GroupMember.deleteOne({ _id: member._id });
+  if (removed.deletedCount && member.status === "active") await freeSeat(member.group);
+};
+
+// Makes `member` the owner; the previous owner stays on as a moderator
+export const transferOwnership = async (group, member) => {
+  if (member.status !== "active") throw new HttpError(400, "Only active members can own the group");
+  await GroupMember.updateOne({ group: group._id, role: "owner" }, { role: "moderator" });
+  member.role = "owner";
+  await member.save();
+  group.owner = member.user;
+  await group.save();
+};
+
+// Removes the group with its board
+export const deleteGroup = async (group) => {
+  const threads = await Thread.find({ group: group._id }, "_id").lean();
+  const threadIds = threads.map((t) => t._id);
+  const posts = await Post.find({ thread: { $in: threadIds } }, "_id").lean();
+  await Promise.all([
+    Vote.deleteMany({ target: { $in: [...threadIds, ...posts.map((p) => p._id)] } }),
+    Post.deleteMany({ thread: { $in: threadIds } }),
+    Thread.deleteMany({ group: group._id }),
+    Report.deleteMany({ group: group._id }),
+    ForumBan.deleteMany({ group: group._id }),
+    GroupMember.deleteMany({ group: group._id }),
+  ]);
+  await group.deleteOne();
+};
@@ -0,0 +1,293 @@
+import Enrollment from '../models/Enrollment.js';
+import Lesson from '../models/Lesson.js';
+import Module from '../models/Module.js';
+import Progress from '../models/Progress.js';
+import Question from '../models/Question.js';
+import Quiz from '../models/Quiz.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import SkillMastery from '../models/SkillMastery.js';
+
+// Adaptive learning paths: per-skill mastery, the prerequisite graph between
+// lessons, and picking what a learner should do next (and why).
+
+// Finishing a lesson shows exposure, not mastery, so it only lifts a skill
+// this far; getting there takes quiz answers.
+const LESSON_CEILING = 0.6;
+const LESSON_WEIGHT = 0.5;
+// How far one quiz attempt moves the estimate towards its result
+const QUIZ_WEIGHT = 0.6;
+
+// Below this after a quiz, a skill needs remedial work
+export const REMEDIAL_BELOW = 0.5;
+// At or above this, lessons on the skill can be skipped
+export const MASTERED_AT = 0.85;
+
+export const masteryLevel = (score) =>
+  score >= MASTERED_AT ? "mastered" : score >= REMEDIAL_BELOW ? "developing" : "needs_work";
+
+const toPercent = (score) => Math.round(score * 100);
+
+/* ===========
+   Mastery
+   =========== */
+
+// Lesson completed: nudge each of its skills towards LESSON_CEILING.
+export const recordLessonMastery = async (userId, lesson) => {
+  if (lesson.type === "quiz" || !lesson.skills?.length) return;
+  const existing = await SkillMastery.find({ user: userId, course: lesson.course, skill: { $in: lesson.skills } });
+  const bySkill = new Map(existing.map((m) => [m.skill, m]));
+
+  await Promise.all(
+    lesson.skills.map((skill) => {
+      const mastery = bySkill.get(skill) || new SkillMastery({ user: userId, course: lesson.course, skill });
+      if (mastery.score < LESSON_CEILING) {
+        mastery.score += (LESSON_CEILING - mastery.score) * LESSON_WEIGHT;
+      }
+      return mastery.save();
+    })
+  );
+};
+
+// Opening a lesson again counts as reviewing its skills, which is what
+// remedial recommendations wait for before suggesting a retake.
+export const noteLessonReview = (userId, lesson) => {
+  if (lesson.type === "quiz" || !lesson.skills?.length) return null;
+  return SkillMastery.updateMany(
+    { user: userId, course: lesson.course, skill: { $in: lesson.skills }, quizEvidence: { $gt: 0 } },
+    { reviewedAt: new Date() }
+  );
+};
+
+// Graded attempt: each skill moves towards the share of its points the
+// learner earned.
+export const recordQuizMastery = async (userId, attempt, quizLesson) => {
+  const questions = await Question.find({ _id: { $in: attempt.answers.map((a) => a.question) } }, "skills points");
+  const totals = new Map();
+  const byId = new Map(questions.map((q) => [q.id, q]));
+  for (const answer of attempt.answers) {
+    const question = byId.get(String(answer.question));
+    if (!question) continue;
+    const skills = question.skills?.length ? question.skills : quizLesson?.skills ?? [];
+    for (const skill of skills) {
+      const t = totals.get(skill) || { earned: 0, possible: 0 };
+      t.earned += answer.points;
+      t.possible += question.points;
+      totals.set(skill, t);
+    }
+  }
+  if (!totals.size) return;
+
+  const skills = [...totals.keys()];
+  const existing = await SkillMastery.find({ user: userId, course: attempt.course, skill: { $in: skills } });
+  const bySkill = new Map(existing.map((m) => [m.skill, m]));
+  const now = new Date();
+
+  await Promise.all(
+    skills.map((skill) => {
+      const { earned, possible } = totals.get(skill);
+      const result = possible ? earned / possible : 0;
+      const mastery = bySkill.get(skill) || new SkillMastery({ user: userId, course: attempt.course, skill });
+      // the first quiz replaces the lesson-only guess rather than averaging with it
+      mastery.score = mastery.quizEvidence ? mastery.score + (result - mastery.score) * QUIZ_WEIGHT : result;
+      mastery.quizEvidence += 1;
+      mastery.lastQuizAt = now;
+      if (quizLesson) mastery.assessedBy = quizLesson._id;
+      return mastery.save();
+    })
+  );
+};
+
+export const courseMastery = async (userId, courseId) => {
+  const items = await SkillMastery.find({ user: userId, course: courseId }).sort({ skill: 1 });
+  return items.map((m) => ({
+    skill: m.skill,
+    percent: toPercent(m.score),
+    level: masteryLevel(m.score),
+    tested: m.quizEvidence > 0,
+  }));
+};
+
+/* ===========
+   Prerequisite graph
+   =========== */
+
+// Lessons in syllabus order, each with the ids it depends on:
+// - its explicit `prerequisites` (within the course),
+// - for each of its skills, the closest earlier lesson teaching that skill,
+// - for a quiz with no skills of its own, every earlier lesson in its module.
+export const buildLessonGraph = async (courseId) => {
+  const [modules, lessons] = await Promise.all([
+    Module.find({ course: courseId }, "order").sort({ order: 1 }).lean(),
+    Lesson.find({ course: courseId }, "title type order module skills prerequisites").lean(),
+  ]);
+  const moduleRank = new Map(modules.map((m, i) => [String(m._id), i]));
+  const ordered = lessons
+    .filter((l) => moduleRank.has(String(l.module)))
+    .sort((a, b) => moduleRank.get(String(a.module)) - moduleRank.get(String(b.module)) || a.order - b.order);
+  const ids = new Set(ordered.map((l) => String(l._id)));
+
+  const lastTeaching = new Map();
+  const nodes = ordered.map((lesson, index) => {
+    const id = String(lesson._id);
+    const requires = new Set((lesson.prerequisites || []).map(String).filter((p) => ids.has(p) && p !== id));
+    for (const skill of lesson.skills || []) {
+      if (lastTeaching.has(skill)) requires.add(lastTeaching.get(skill));
+    }
+    if (lesson.type === "quiz" && !lesson.skills?.length) {
+      ordered
+        .slice(0, index)
+        .filter((l) => String(l.module) === String(lesson.module))
+        .forEach((l) => requires.add(String(l._id)));
+    }
+    for (const skill of lesson.skills || []) lastTeaching.set(skill, id);
+
+    return {
+      id,
+      title: lesson.title,
+      type: lesson.type,
+      module: String(lesson.module),
+      skills: lesson.skills || [],
+      requires: [...requires],
+    };
+  });
+  return { nodes, byId: new Map(nodes.map((n) => [n.id, n])) };
+};
+
+/* ===========
+   Recommendation
+   =========== */
+
+const lessonRef = (node) => ({ id: node.id, title: node.title, type: node.type });
+const quoted = (skills) => skills.map((s) => `"${s}"`).join(", ");
+
+const canRetake = async (userId, lessonId) => {
+  const quiz = await Quiz.findOne({ lesson: lessonId }, "maxAttempts");
+  if (!quiz) return false;
+  if (!quiz.maxAttempts) return true;
+  return (await QuizAttempt.countDocuments({ quiz: quiz._id, user: userId })) < quiz.maxAttempts;
+};
+
+// First unfinished lesson `node` transitively depends on (cycle-safe).
+const unmetPrerequisite = (node, byId, completed, seen = new Set()) => {
+  for (const id of node.requires) {
+    if (completed.has(id) || seen.has(id)) continue;
+    seen.add(id);
+    const prereq = byId.get(id);
+    return unmetPrerequisite(prereq, byId, completed, seen) || prereq;
+  }
+  return null;
+};
+
+// What the learner should do next in a course:
+//   review     a quiz showed a weak skill; go back over a lesson teaching it
+//   practice   the weak skill has been reviewed; retake the quiz that tested it
+//   prerequisite  the next lesson builds on one that isn't finished
+//   skip_ahead the next lessons only cover skills already mastered
+//   next       the next lesson in the syllabus
+//   done       every lesson is complete and nothing needs work
+// Each comes with `reason`, a sentence saying why it was picked.
+export const recommendNext = async (userId, courseId, { lastLesson } = {}) => {
+  const [{ nodes, byId }, done, masteries] = await Promise.all([
+    buildLessonGraph(courseId),
+    Progress.find({ user: userId, course: courseId, completed: true }).distinct("lesson"),
+    SkillMastery.find({ user: userId, course: courseId }),
+  ]);
+  const completed = new Set(done.map(String));
+  const mastery = new Map(masteries.map((m) => [m.skill, m]));
+  const isMastered = (skill) => {
+    const m = mastery.get(skill);
+    return Boolean(m?.quizEvidence) && m.score >= MASTERED_AT;
+  };
+
+  // 1. Remedial work on the weakest tested skill
+  const weak = masteries
+    .filter((m) => m.quizEvidence > 0 && m.score < REMEDIAL_BELOW)
+    .sort((a, b) => a.score - b.score);
+  for (const m of weak) {
+    const pct = toPercent(m.score);
+    if (m.reviewedAt && m.reviewedAt > m.lastQuizAt) {
+      const quiz = m.assessedBy && byId.get(String(m.assessedBy));
+      if (quiz && (await canRetake(userId, quiz.id))) {
+        return {
+          type: "practice",
+          lesson: lessonRef(quiz),
+          skill: m.skill,
+          reason: `You've reviewed "${m.skill}" since scoring ${pct}% on it. Retake "${quiz.title}" to check it has stuck.`,
+        };
+      }
+      // reviewed, and no quiz left to retake: nothing more to suggest
+      continue;
+    }
+    const teaching = nodes.find((n) => n.type !== "quiz" && n.skills.includes(m.skill));
+    if (teaching) {
+      return {
+        type: "review",
+        lesson: lessonRef(teaching),
+        skill: m.skill,
+        reason: `Your quiz answers on "${m.skill}" scored ${pct}%. Review "${teaching.title}" before moving on.`,
+      };
+    }
+  }
+
+  // 2. Otherwise carry on through the syllabus
+  const index = nodes.findIndex((n) => !completed.has(n.id));
+  if (index === -1) {
+    return { type: "done", lesson: null, reason: "You've completed every lesson and have no skills to brush up on." };
+  }
+  const node = nodes[index];
+
+  const prereq = unmetPrerequisite(node, byId, completed);
+  if (prereq) {
+    return {
+      type: "prerequisite",
+      lesson: lessonRef(prereq),
+      reason: `"${node.title}" builds on "${prereq.title}", which you haven't finished yet.`,
+    };
+  }
+
+  // Lessons whose skills a quiz has already shown are mastered can be skipped
+  const skippable = (n) => n.type !== "quiz" && n.skills.length > 0 && n.skills.every(isMastered);
+  if (skippable(node)) {
+    const ahead = nodes.slice(index + 1).find((n) => !completed.has(n.id) && !skippable(n));
+    if (ahead) {
+      return {
+        type: "skip_ahead",
+        lesson: lessonRef(ahead),
+        skipped: lessonRef(node),
+        reason: `You've already mastered ${quoted(node.skills)}, so skip ahead to "${ahead.title}". "${node.title}" stays open if you want it.`,
+      };
+    }
+  }
+
+  const builtOn = node.requires.map((id) => byId.get(id)).filter((n) => n.skills.some((s) => node.skills.includes(s)));
+  let reason;
+  if (String(lastLesson) === node.id) reason = `Pick up where you left off in "${node.title}".`;
+  else if (index === 0) reason = "Start here: it's the first lesson of the course.";
+  else if (builtOn.length) {
+    const shared = node.skills.filter((s) => builtOn.some((n) => n.skills.includes(s)));
+    reason = `It builds on ${quoted(shared)} from "${builtOn[0].title}", which you've finished.`;
+  } else reason = "It's the next lesson in the syllabus.";
+  return { type: "next", lesson: lessonRef(node), reason };
+};
+
+// The single most useful next step across a learner's active courses:
+// remedial work first, then the most recently studied course.
+const MAX_COURSES = 5;
+const REMEDIAL = ["review", "practice"];
+
+export const recommendAcrossCourses = async (userId) => {
+  const enrollments = await Enrollment.find({ user: userId, status: "active" })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_COURSES)
+    .populate("course", "title slug");
+  const steps = await Promise.all(
+    enrollments
+      .filter((e) => e.course)
+      .map(async (e) => ({
+        course: { id: e.course.id, title: e.course.title, slug: e.course.slug },
+        ...(await recommendNext(userId, e.course._id, { lastLesson: e.lastLesson })),
+      }))
+  );
+  const pending = steps.filter((s) => s.type !== "done");
+  return pending.find((s) => REMEDIAL.includes(s.type)) || pending[0] || null;
+};
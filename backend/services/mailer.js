@@ -0,0 +1,39 @@
+// Outgoing email. Each transport implements:
+//   send({ to, subject, text }) -> { id }
+// MAIL_TRANSPORT picks one; "log" prints messages to the server log so links
+// can be followed in development, and is the default.
+
+const logTransport = {
+  name: "log",
+
+  async send({ to, subject, text }) {
+    console.log(`✉️  To: ${to}\n   Subject: ${subject}\n\n${text}\n`);
+    return { id: `log_${Date.now()}` };
+  },
+};
+
+const transports = { log: logTransport };
+
+export const registerTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+export const getTransport = (name = process.env.MAIL_TRANSPORT || "log") => {
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  return transport;
+};
+
+// Links in emails point at the web app
+export const appUrl = (path) => `${process.env.CLIENT_URL || "http://localhost:5173"}${path}`;
+
+// Sends one email; a failure is logged, never thrown, so it can't undo the
+// change that triggered it.
+export const sendMail = async (message) => {
+  try {
+    return await getTransport().send(message);
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+};
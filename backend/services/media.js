@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import HttpError from '../utils/HttpError.js';
+import { byteLimit } from './storage.js';
+
+// Local media storage for lesson videos and caption files.
+// MEDIA_DIR (default ./media, relative to the backend) holds the files;
+// documents only store paths relative to it.
+
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".ogv": "video/ogg",
+  ".vtt": "text/vtt; charset=utf-8",
+};
+
+export const mediaRoot = () => path.resolve(process.env.MEDIA_DIR || "media");
+
+// Largest lesson video the studio accepts (MAX_VIDEO_MB, default 2 GB)
+export const maxVideoBytes = () => Number(process.env.MAX_VIDEO_MB || 2048) * 1024 * 1024;
+
+export const VIDEO_EXTENSIONS = [".mp4", ".m4v", ".webm", ".ogv"];
+
+// Absolute path for a stored relative path; refuses anything outside MEDIA_DIR.
+export const resolveMediaPath = (relative) => {
+  const root = mediaRoot();
+  const full = path.resolve(root, String(relative || ""));
+  if (!relative || !full.startsWith(root + path.sep)) throw new HttpError(404, "Media not found");
+  return full;
+};
+
+// Parses a single "bytes=start-end" range. Returns null when the header is
+// absent, or { error: true } when it can't be satisfied.
+export const parseRange = (header, size) => {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (!match[1] && !match[2])) return { error: true };
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return { error: true };
+  return { start, end };
+};
+
+// Streams a media file, honouring Range requests so players can seek.
+export const streamMedia = async (req, res, relative) => {
+  const file = resolveMediaPath(relative);
+  const stat = await fs.promises.stat(file).catch(() => null);
+  if (!stat?.isFile()) throw new HttpError(404, "Media not found");
+
+  const range = parseRange(req.headers.range, stat.size);
+  if (range?.error) {
+    res.set("Content-Range", `bytes */${stat.size}`);
+    throw new HttpError(416, "Requested range not satisfiable");
+  }
+
+  const { start, end } = range || { start: 0, end: stat.size - 1 };
+  res.status(range ? 206 : 200).set({
+    "Content-Type": CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+    "Content-Length": String(end - start + 1),
+    "Accept-Ranges": "bytes",
+    "Cache-Control": "private, max-age=3600",
+    "Last-Modified": stat.mtime.toUTCString(),
+  });
+  if (range) res.set("Content-Range", `bytes ${start}-${end}/${stat.size}`);
+  if (req.method === "HEAD") return res.end();
+
+  await new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(file, { start, end });
+    stream.on("error", reject);
+    res.on("close", () => {
+      stream.destroy();
+      resolve();
+    });
+    stream.pipe(res);
+  });
+};
+
+// Streams an uploaded file (the request body) into MEDIA_DIR under
+// lessons/<lessonId>/ and returns its relative path for the lesson document.
+// Only video types and .vtt captions are accepted.
+export const saveLessonMedia = async (lessonId, readable, rawName, { maxBytes = maxVideoBytes() } = {}) => {
+  const ext = path.extname(String(rawName || "")).toLowerCase();
+  if (!CONTENT_TYPES[ext]) {
+    throw new HttpError(400, `Upload one of: ${Object.keys(CONTENT_TYPES).join(", ")}`);
+  }
+  const relative = path.posix.join("lessons", String(lessonId), `${crypto.randomUUID()}${ext}`);
+  const file = resolveMediaPath(relative);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  try {
+    await pipeline(readable, byteLimit(maxBytes, { size: 0 }), fs.createWriteStream(file));
+  } catch (err) {
+    await fs.promises.rm(file, { force: true });
+    throw err;
+  }
+  return relative;
+};
+
+export const removeMedia = async (relative) => {
+  if (relative) await fs.promises.rm(resolveMediaPath(relative), { force: true });
+};
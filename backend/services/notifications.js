@@ -0,0 +1,98 @@
+import Cohort from '../models/Cohort.js';
+import CohortMember from '../models/CohortMember.js';
+import MentorSlot from '../models/MentorSlot.js';
+import Notification from '../models/Notification.js';
+import { sendToUser } from './realtime.js';
+
+// In-app notifications: stored for the bell's history and pushed live to the
+// user's open connections. Sending one never fails the request that caused
+// it — errors are logged and swallowed.
+
+// Remind people this long before a live session starts
+export const REMINDER_LEAD_MS = 15 * 60 * 1000;
+const REMINDER_SWEEP_MS = 60 * 1000;
+
+// Stores and pushes a notification for each user. With a `key`, a user gets
+// it at most once (later calls with the same key are ignored).
+export const notify = async (userIds, { kind, title, body, link, key }) => {
+  const ids = [...new Set([].concat(userIds).filter(Boolean).map(String))];
+  await Promise.all(
+    ids.map(async (userId) => {
+      try {
+        let notification;
+        if (key) {
+          const res = await Notification.findOneAndUpdate(
+            { user: userId, key },
+            { $setOnInsert: { kind, title, body, link } },
+            { upsert: true, new: true, includeResultMetadata: true }
+          );
+          if (res.lastErrorObject?.updatedExisting) return;
+          notification = res.value;
+        } else {
+          notification = await Notification.create({ user: userId, kind, title, body, link });
+        }
+        sendToUser(userId, { type: "notification", notification: notification.toJSON() });
+      } catch (err) {
+        // a concurrent reminder with the same key won the race
+        if (err?.code !== 11000) console.error(err);
+      }
+    })
+  );
+};
+
+/* ===========
+   Session reminders
+   =========== */
+
+// Notifies everyone in a cohort session or a booked one-to-one starting in
+// the next REMINDER_LEAD_MS. Keys make repeated sweeps (and several server
+// instances) harmless.
+export const sendSessionReminders = async (now = new Date()) => {
+  const soon = new Date(now.getTime() + REMINDER_LEAD_MS);
+  const cohorts = await Cohort.find(
+    { status: "scheduled", sessions: { $elemMatch: { startsAt: { $gt: now, $lte: soon } } } },
+    "title mentor sessions"
+  );
+  for (const cohort of cohorts) {
+    const members = await CohortMember.find({ cohort: cohort._id, status: "enrolled" }, "user").lean();
+    const people = [cohort.mentor, ...members.map((m) => m.user)];
+    for (const session of cohort.sessions.filter((s) => s.startsAt > now && s.startsAt <= soon)) {
+      const minutes = Math.max(1, Math.round((session.startsAt - now) / 60000));
+      await notify(people, {
+        kind: "session",
+        title: `“${session.title}” starts in ${minutes} min`,
+        body: cohort.title,
+        link: `/cohorts/${cohort.id}`,
+        key: `session:${session.id}`,
+      });
+    }
+  }
+
+  const slots = await MentorSlot.find({
+    bookedAt: { $ne: null },
+    cancelledAt: null,
+    startsAt: { $gt: now, $lte: soon },
+  }).populate("mentor bookedBy", "name");
+  for (const slot of slots) {
+    const minutes = Math.max(1, Math.round((slot.startsAt - now) / 60000));
+    const reminder = { kind: "session", link: "/dashboard", key: `slot:${slot.id}` };
+    await notify(slot.bookedBy?._id, {
+      ...reminder,
+      title: `Your session with ${slot.mentor?.name ?? "your mentor"} starts in ${minutes} min`,
+    });
+    await notify(slot.mentor?._id, {
+      ...reminder,
+      title: `Your session with ${slot.bookedBy?.name ?? "a learner"} starts in ${minutes} min`,
+      body: slot.note,
+    });
+  }
+};
+
+// Sweeps for upcoming sessions every minute; returns a stop function
+export const startSessionReminders = () => {
+  const sweep = () => sendSessionReminders().catch((err) => console.error(err));
+  const timer = setInterval(sweep, REMINDER_SWEEP_MS);
+  timer.unref();
+  sweep();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,351 @@
+import crypto from 'crypto';
+import Enrollment from '../models/Enrollment.js';
+import Lesson from '../models/Lesson.js';
+import OrgAssignment from '../models/OrgAssignment.js';
+import OrgInvite from '../models/OrgInvite.js';
+import OrgMember, { ORG_ROLES } from '../models/OrgMember.js';
+import OrgTeam from '../models/OrgTeam.js';
+import Organization from '../models/Organization.js';
+import Progress from '../models/Progress.js';
+import Subscription, { LIVE_STATUSES } from '../models/Subscription.js';
+import User from '../models/User.js';
+import HttpError from '../utils/HttpError.js';
+import { parseCsv } from '../utils/csv.js';
+import { findLiveSubscription } from './billing.js';
+import { appUrl, sendMail } from './mailer.js';
+
+// Organizations on the Teams plan. Every route loads the organization
+// through loadOrg, which answers 404 to anyone without a seat in it, and
+// every query here is filtered by that organization's id, so one
+// organization never sees another's people, teams, invites or progress.
+// Seats: the owner's plan sets the limit; members and pending invites use them.
+
+const DAY = 24 * 60 * 60 * 1000;
+export const INVITE_TTL_DAYS = 14;
+// rows in one bulk invite
+export const MAX_INVITES = 500;
+const EMAIL = /^\S+@\S+\.\S+$/;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const newInviteToken = () => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return { token, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * DAY) };
+};
+
+export const inviteLink = (token) => appUrl(`/join/${token}`);
+
+// The organization and the caller's seat in it. { admin: true } also
+// requires an admin seat.
+export const loadOrg = async (orgId, user, { admin = false } = {}) => {
+  const [org, member] = await Promise.all([
+    Organization.findById(orgId),
+    OrgMember.findOne({ org: orgId, user: user.id }),
+  ]);
+  if (!org || !member) throw new HttpError(404, "Organization not found");
+  if (admin && member.role !== "admin") throw new HttpError(403, "Only organization admins can do that");
+  return { org, member };
+};
+
+// Seats the owner's plan allows, and how many members and open invites use.
+// A lapsed or non-Teams subscription allows none.
+export const seatUsage = async (org) => {
+  const [subscription, members, invites] = await Promise.all([
+    Subscription.findOne({ _id: org.subscription, status: { $in: LIVE_STATUSES } }, "plan").populate(
+      "plan",
+      "seats entitlements"
+    ),
+    OrgMember.countDocuments({ org: org._id }),
+    OrgInvite.countDocuments({ org: org._id, status: "pending", expiresAt: { $gt: new Date() } }),
+  ]);
+  const limit = subscription?.plan?.entitlements.includes("team_management") ? subscription.plan.seats : 0;
+  return { limit, used: members + invites, members, invites };
+};
+
+export const createOrg = async (user, name) => {
+  const subscription = await findLiveSubscription(user.id);
+  if (!subscription?.plan.entitlements.includes("team_management")) {
+    throw new HttpError(402, "Organizations come with the Teams plan");
+  }
+  if (await Organization.exists({ subscription: subscription._id })) {
+    throw new HttpError(409, "Your subscription already has an organization");
+  }
+  const org = await Organization.create({ name, owner: user.id, subscription: subscription._id });
+  await OrgMember.create({ org: org._id, user: user.id, role: "admin" });
+  return org;
+};
+
+// Checks that team ids belong to this organization
+export const orgTeamIds = async (orgId, ids = []) => {
+  const wanted = [...new Set([].concat(ids).filter(Boolean).map(String))];
+  if (!wanted.length) return [];
+  const teams = await OrgTeam.find({ org: orgId, _id: { $in: wanted } }, "_id");
+  if (teams.length !== wanted.length) throw new HttpError(400, "Unknown team");
+  return teams.map((t) => t._id);
+};
+
+// Team ids for names (case-insensitive), creating the missing teams
+const teamsNamed = async (orgId, names) => {
+  const byName = new Map((await OrgTeam.find({ org: orgId })).map((t) => [t.name.toLowerCase(), t._id]));
+  for (const name of new Set(names.map((n) => n.trim()).filter(Boolean))) {
+    if (!byName.has(name.toLowerCase())) byName.set(name.toLowerCase(), (await OrgTeam.create({ org: orgId, name }))._id);
+  }
+  return byName;
+};
+
+/* ===========
+   Invites
+   =========== */
+
+// Rows of "email,role,team" — header optional, role and team optional,
+// several teams separated by ";".
+export const parseInviteCsv = (text) => {
+  const rows = parseCsv(String(text ?? ""));
+  let columns = { email: 0, role: 1, teams: 2 };
+  if (rows[0]?.some((f) => f.toLowerCase() === "email")) {
+    const header = rows.shift().map((f) => f.toLowerCase());
+    columns = {
+      email: header.indexOf("email"),
+      role: header.indexOf("role"),
+      teams: header.findIndex((h) => h === "team" || h === "teams"),
+    };
+  }
+  return rows.map((r) => ({
+    email: r[columns.email] ?? "",
+    role: r[columns.role] || undefined,
+    teams: r[columns.teams] ? r[columns.teams].split(";") : [],
+  }));
+};
+
+const sendInvite = (org, inviter, email, token, expiresAt) =>
+  sendMail({
+    to: email,
+    subject: `${inviter.name} invited you to ${org.name} on EduSphar`,
+    text: [
+      `${inviter.name} has given you a seat in ${org.name} on EduSphar: the courses your team takes, with progress your admins can follow.`,
+      `Accept the invite: ${inviteLink(token)}`,
+      `The link works until ${expiresAt.toDateString()}.`,
+    ].join("\n\n"),
+  });
+
+// Invites each row's email while seats last. Returns the invites made (with
+// their links, for admins to share by hand) and the rows skipped, with why.
+// `defaults` apply to rows without a role or teams.
+export const inviteMembers = async (org, inviter, rows, defaults = {}) => {
+  if (rows.length > MAX_INVITES) throw new HttpError(400, `Invite at most ${MAX_INVITES} people at a time`);
+  const seats = await seatUsage(org);
+  let free = seats.limit - seats.used;
+  const teams = await teamsNamed(org._id, rows.flatMap((r) => r.teams ?? []));
+  const now = new Date();
+  const seen = new Set();
+  const created = [];
+  const skipped = [];
+
+  for (const row of rows) {
+    const email = String(row.email ?? "").trim().toLowerCase();
+    const skip = (reason) => skipped.push({ email: row.email, reason });
+    const role = row.role ? String(row.role).toLowerCase() : defaults.role || "member";
+    if (!EMAIL.test(email)) {
+      skip("Not an email address");
+      continue;
+    }
+    if (seen.has(email)) {
+      skip("Listed more than once");
+      continue;
+    }
+    seen.add(email);
+    if (!ORG_ROLES.includes(role)) {
+      skip(`Unknown role “${row.role}”`);
+      continue;
+    }
+    const user = await User.findOne({ email }, "_id");
+    if (user && (await OrgMember.exists({ org: org._id, user: user._id }))) {
+      skip("Already a member");
+      continue;
+    }
+    if (await OrgInvite.exists({ org: org._id, email, status: "pending", expiresAt: { $gt: now } })) {
+      skip("Already invited");
+      continue;
+    }
+    if (free <= 0) {
+      skip("No seats left");
+      continue;
+    }
+
+    // an expired invite to the same address gives way to the new one
+    await OrgInvite.updateMany({ org: org._id, email, status: "pending" }, { status: "revoked" });
+    const { token, tokenHash, expiresAt } = newInviteToken();
+    const invite = await OrgInvite.create({
+      org: org._id,
+      email,
+      role,
+      teams: row.teams?.length ? row.teams.map((n) => teams.get(n.trim().toLowerCase())).filter(Boolean) : defaults.teams,
+      tokenHash,
+      invitedBy: inviter.id,
+      expiresAt,
+    });
+    free -= 1;
+    await sendInvite(org, inviter, email, token, expiresAt);
+    created.push({ invite, link: inviteLink(token) });
+  }
+
+  return { created, skipped, seats: await seatUsage(org) };
+};
+
+// A fresh link and expiry for a pending invite, emailed again
+export const resendInvite = async (org, inviteId, inviter) => {
+  const invite = await OrgInvite.findOne({ _id: inviteId, org: org._id, status: "pending" });
+  if (!invite) throw new HttpError(404, "Invite not found");
+  if (invite.expiresAt <= new Date()) {
+    const seats = await seatUsage(org);
+    if (seats.used >= seats.limit) throw new HttpError(409, "No seats left");
+  }
+  const { token, tokenHash, expiresAt } = newInviteToken();
+  invite.set({ tokenHash, expiresAt });
+  await invite.save();
+  await sendInvite(org, inviter, invite.email, token, expiresAt);
+  return { invite, link: inviteLink(token) };
+};
+
+const findInvite = (token) => OrgInvite.findOne({ tokenHash: hashToken(token) }).populate("org", "name subscription");
+
+// What the join page shows before accepting
+export const previewInvite = async (token) => {
+  const invite = await findInvite(token);
+  if (!invite || invite.status === "revoked" || !invite.org) throw new HttpError(404, "This invite is no longer valid");
+  return {
+    org: { id: invite.org.id, name: invite.org.name },
+    email: invite.email,
+    status: invite.expiresAt <= new Date() && invite.status === "pending" ? "expired" : invite.status,
+  };
+};
+
+// Takes the invite's seat. Only the invited address can accept it.
+export const acceptInvite = async (token, user) => {
+  const invite = await findInvite(token);
+  if (!invite || invite.status === "revoked" || !invite.org) throw new HttpError(404, "This invite is no longer valid");
+  if (invite.status === "accepted") {
+    const member = invite.acceptedBy?.equals(user.id) && (await OrgMember.findOne({ org: invite.org._id, user: user.id }));
+    if (member) return member;
+    throw new HttpError(410, "This invite has already been used");
+  }
+  if (invite.expiresAt <= new Date()) throw new HttpError(410, "This invite has expired; ask your admin for a new one");
+
+  const account = await User.findById(user.id, "email");
+  if (account?.email !== invite.email) throw new HttpError(403, `This invite is for ${invite.email}`);
+  // the invite already holds a seat; a downgrade may have taken it away
+  const seats = await seatUsage(invite.org);
+  if (seats.used > seats.limit) throw new HttpError(409, `${invite.org.name} has no free seats right now`);
+
+  let member;
+  try {
+    member = await OrgMember.create({ org: invite.org._id, user: user.id, role: invite.role, teams: invite.teams });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    member = await OrgMember.findOne({ org: invite.org._id, user: user.id });
+  }
+  invite.set({ status: "accepted", acceptedBy: user.id, acceptedAt: new Date() });
+  await invite.save();
+  return member;
+};
+
+/* ===========
+   Members
+   =========== */
+
+// Role and team changes; the owner stays an admin
+export const updateMember = async (org, memberId, { role, teams }) => {
+  const member = await OrgMember.findOne({ _id: memberId, org: org._id });
+  if (!member) throw new HttpError(404, "Member not found");
+  if (role !== undefined) {
+    if (!ORG_ROLES.includes(role)) throw new HttpError(400, `role must be one of: ${ORG_ROLES.join(", ")}`);
+    if (member.user.equals(org.owner) && role !== "admin") throw new HttpError(400, "The owner is always an admin");
+    member.role = role;
+  }
+  if (teams !== undefined) member.teams = await orgTeamIds(org._id, teams);
+  await member.save();
+  return member;
+};
+
+// Frees a seat. Admins remove anyone but the owner; members can leave.
+export const removeMember = async (org, memberId, actor) => {
+  const member = await OrgMember.findOne({ _id: memberId, org: org._id });
+  if (!member) throw new HttpError(404, "Member not found");
+  if (actor.role !== "admin" && !member._id.equals(actor._id)) {
+    throw new HttpError(403, "Only organization admins can do that");
+  }
+  if (member.user.equals(org.owner)) throw new HttpError(400, "The owner can’t leave the organization");
+  await member.deleteOne();
+};
+
+export const deleteTeam = async (org, teamId) => {
+  const team = await OrgTeam.findOneAndDelete({ _id: teamId, org: org._id });
+  if (!team) throw new HttpError(404, "Team not found");
+  await Promise.all([
+    OrgMember.updateMany({ org: org._id }, { $pull: { teams: team._id } }),
+    OrgInvite.updateMany({ org: org._id }, { $pull: { teams: team._id } }),
+    OrgAssignment.deleteMany({ org: org._id, team: team._id }),
+  ]);
+};
+
+/* ===========
+   Assignments & progress
+   =========== */
+
+// An org-wide assignment applies to everyone; a team one to its members
+export const appliesTo = (assignment, member) =>
+  !assignment.team || member.teams.some((t) => t.equals(assignment.team._id ?? assignment.team));
+
+export const membersOf = (org, teamId) =>
+  OrgMember.find({ org: org._id, ...(teamId && { teams: teamId }) }).populate("user", "name email avatarUrl");
+
+// Progress on each assignment for each member:
+//   { assignments: [{ ...assignment, summary }], members: [{ member, courses: [...] }] }
+// A course is completed when its enrollment is, or every lesson is done;
+// overdue when the due date passed before that.
+export const progressReport = async (org, members, assignments) => {
+  const userIds = members.map((m) => m.user?._id ?? m.user);
+  const courseIds = [...new Map(assignments.map((a) => [String(a.course._id), a.course._id])).values()];
+  const [lessonCounts, completions, enrollments] = await Promise.all([
+    Lesson.aggregate([{ $match: { course: { $in: courseIds } } }, { $group: { _id: "$course", count: { $sum: 1 } } }]),
+    Progress.aggregate([
+      { $match: { user: { $in: userIds }, course: { $in: courseIds }, completed: true } },
+      { $group: { _id: { user: "$user", course: "$course" }, count: { $sum: 1 } } },
+    ]),
+    Enrollment.find({ user: { $in: userIds }, course: { $in: courseIds } }, "user course status completedAt"),
+  ]);
+  const lessonsIn = new Map(lessonCounts.map((l) => [String(l._id), l.count]));
+  const doneBy = new Map(completions.map((c) => [`${c._id.user}:${c._id.course}`, c.count]));
+  const enrollmentOf = new Map(enrollments.map((e) => [`${e.user}:${e.course}`, e]));
+  const now = new Date();
+
+  const progressOf = (member, assignment) => {
+    const key = `${member.user?._id ?? member.user}:${assignment.course._id}`;
+    const lessons = lessonsIn.get(String(assignment.course._id)) ?? 0;
+    const enrollment = enrollmentOf.get(key);
+    const percent = lessons ? Math.round(((doneBy.get(key) ?? 0) / lessons) * 100) : 0;
+    const completed = enrollment?.status === "completed" || (lessons > 0 && percent === 100);
+    let status = "not_started";
+    if (completed) status = "completed";
+    else if (assignment.dueAt < now) status = "overdue";
+    else if (percent > 0 || (enrollment && enrollment.status !== "cancelled")) status = "in_progress";
+    return { assignment: assignment.id, percent: completed ? 100 : percent, status, completedAt: enrollment?.completedAt };
+  };
+
+  const rows = members.map((member) => ({
+    member,
+    courses: assignments.filter((a) => appliesTo(a, member)).map((a) => progressOf(member, a)),
+  }));
+  const summaries = assignments.map((a) => {
+    const results = rows.flatMap((r) => r.courses.filter((c) => c.assignment === a.id));
+    return {
+      ...a.toJSON(),
+      summary: {
+        assigned: results.length,
+        completed: results.filter((c) => c.status === "completed").length,
+        overdue: results.filter((c) => c.status === "overdue").length,
+      },
+    };
+  });
+  return { assignments: summaries, members: rows };
+};
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import HttpError from '../utils/HttpError.js';
+
+// Payment-provider adapters. Each gateway implements:
+//   createPayment({ amount, currency, reference, description }) -> { id, status, clientSecret }
+//   confirmPayment(id, paymentDetails) -> { id, status: "succeeded" | "failed", failureReason? }
+//   saveCard(paymentDetails) -> { token, last4 }   (kept for subscription renewals)
+//   chargeCard(token, { amount, currency, reference, description })
+//     -> { id, status: "succeeded" | "failed", failureReason? }
+// PAYMENT_PROVIDER picks one; "mock" needs no network and is the default.
+
+// Test cards understood by the mock gateway (anything else succeeds)
+export const MOCK_DECLINE_CARD = "4000000000000002";
+
+const mockPayments = new Map();
+
+const cardDigits = (cardNumber) => String(cardNumber ?? "").replace(/\s/g, "");
+
+const mockGateway = {
+  name: "mock",
+
+  async createPayment({ amount, currency, reference }) {
+    const id = `mock_pi_${crypto.randomBytes(8).toString("hex")}`;
+    mockPayments.set(id, { amount, currency, reference, status: "requires_confirmation" });
+    return { id, status: "requires_confirmation", clientSecret: `${id}_secret` };
+  },
+
+  async confirmPayment(id, { cardNumber } = {}) {
+    const payment = mockPayments.get(id);
+    if (!payment) throw new HttpError(404, "Unknown payment");
+    payment.status = cardDigits(cardNumber) === MOCK_DECLINE_CARD ? "failed" : "succeeded";
+    return {
+      id,
+      status: payment.status,
+      ...(payment.status === "failed" && { failureReason: "Card declined" }),
+    };
+  },
+
+  // Tokens are self-describing so saved cards survive a restart: the
+  // decline card keeps declining on every renewal.
+  async saveCard({ cardNumber } = {}) {
+    const digits = cardDigits(cardNumber);
+    if (!/^\d{12,19}$/.test(digits)) throw new HttpError(400, "Enter a valid card number");
+    const kind = digits === MOCK_DECLINE_CARD ? "decline" : "ok";
+    return { token: `mock_card_${kind}_${crypto.randomBytes(6).toString("hex")}`, last4: digits.slice(-4) };
+  },
+
+  async chargeCard(token) {
+    const id = `mock_ch_${crypto.randomBytes(8).toString("hex")}`;
+    if (!String(token).startsWith("mock_card_")) throw new HttpError(400, "Unknown card");
+    return token.startsWith("mock_card_decline_")
+      ? { id, status: "failed", failureReason: "Card declined" }
+      : { id, status: "succeeded" };
+  },
+};
+
+const gateways = { mock: mockGateway };
+
+export const registerGateway = (gateway) => {
+  gateways[gateway.name] = gateway;
+};
+
+export const getGateway = (name = process.env.PAYMENT_PROVIDER || "mock") => {
+  const gateway = gateways[name];
+  if (!gateway) throw new Error(`Unknown payment provider: ${name}`);
+  return gateway;
+};
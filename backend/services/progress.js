@@ -0,0 +1,82 @@
+import Enrollment from '../models/Enrollment.js';
+import Lesson from '../models/Lesson.js';
+import Progress from '../models/Progress.js';
+import { recordStudyTime } from './analytics.js';
+import { issueCertificate } from './certificates.js';
+import { recordLessonMastery } from './learningPath.js';
+
+// A video counts as watched once this share of it has been played through
+export const COMPLETION_THRESHOLD = 0.9;
+// most study time one player report can add (the player reports every 15s)
+const MAX_REPORT_SECONDS = 60;
+
+// Completed / total lessons for one learner in one course.
+export const courseProgress = async (userId, courseId) => {
+  const [lessonCount, items] = await Promise.all([
+    Lesson.countDocuments({ course: courseId }),
+    Progress.find({ user: userId, course: courseId }, "lesson position duration completed completedAt"),
+  ]);
+  const completedCount = items.filter((p) => p.completed).length;
+  return {
+    items,
+    lessonCount,
+    completedCount,
+    percent: lessonCount ? Math.round((completedCount / lessonCount) * 100) : 0,
+  };
+};
+
+// Saves the resume position for a lesson and marks it complete when the
+// learner asks to or has watched past COMPLETION_THRESHOLD. Completing the
+// last lesson completes the enrollment and issues the course certificate.
+// Completion is never undone.
+//
+// `recordedAt` is when the learner was actually at `position` — set when an
+// offline device syncs later. A position older than the saved one is stale
+// and ignored, though its completion still counts.
+//
+// Playing time since the previous report goes into the study-time log, and
+// finishing a reading lesson adds the lesson's length.
+export const recordProgress = async (enrollment, lesson, { position, duration, completed, recordedAt } = {}) => {
+  const progress =
+    (await Progress.findOne({ user: enrollment.user, lesson: lesson._id })) ||
+    new Progress({ user: enrollment.user, course: lesson.course, lesson: lesson._id });
+
+  const stale = Boolean(recordedAt && progress.updatedAt && recordedAt < progress.updatedAt);
+  const at = recordedAt ?? new Date();
+  let studied = 0;
+  if (!stale && Number.isFinite(position) && progress.updatedAt) {
+    // seeking ahead or leaving the tab open doesn't count
+    studied = Math.min(position - progress.position, (at - progress.updatedAt) / 1000, MAX_REPORT_SECONDS);
+  }
+  if (!stale) {
+    if (Number.isFinite(position)) progress.position = Math.max(position, 0);
+    if (Number.isFinite(duration) && duration > 0) progress.duration = duration;
+  }
+
+  const watchedEnough =
+    progress.duration > 0 && progress.position / progress.duration >= COMPLETION_THRESHOLD;
+  const justCompleted = !progress.completed && (completed === true || watchedEnough);
+  if (justCompleted) progress.set({ completed: true, completedAt: new Date() });
+  await progress.save();
+  if (justCompleted) await recordLessonMastery(enrollment.user, lesson);
+  if (justCompleted && lesson.type === "text") studied += (lesson.durationMinutes ?? 0) * 60;
+  await recordStudyTime(enrollment.user, lesson.course, studied, at);
+
+  if (!stale) enrollment.lastLesson = lesson._id;
+  let courseCompleted = enrollment.status === "completed";
+  let certificate = null;
+  if (justCompleted && !courseCompleted) {
+    const summary = await courseProgress(enrollment.user, lesson.course);
+    if (summary.lessonCount && summary.completedCount >= summary.lessonCount) {
+      enrollment.set({ status: "completed", completedAt: new Date() });
+      courseCompleted = true;
+      certificate = await issueCertificate(enrollment.user, lesson.course);
+    }
+  }
+  await Enrollment.updateOne(
+    { _id: enrollment._id },
+    { lastLesson: enrollment.lastLesson, status: enrollment.status, completedAt: enrollment.completedAt }
+  );
+
+  return { progress, justCompleted, courseCompleted, stale, certificate: certificate?.certId ?? null };
+};
@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import Course from '../models/Course.js';
+import Lesson from '../models/Lesson.js';
+import Question from '../models/Question.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import HttpError from '../utils/HttpError.js';
+import { recordStudyTime } from './analytics.js';
+import { findActiveEnrollment } from './enrollment.js';
+import { recordQuizMastery } from './learningPath.js';
+import { notify } from './notifications.js';
+import { recordProgress } from './progress.js';
+
+// Quiz attempts: drawing questions, timing and server-side grading.
+// Answer keys stay on the server — learners only ever see prompts/options
+// and, after submitting, whether each of their answers was right.
+
+// Network slack on timed quizzes before a submission counts as late
+const SUBMIT_GRACE_MS = 30 * 1000;
+// most study time one attempt adds (untimed attempts can be left open)
+const MAX_ATTEMPT_SECONDS = 2 * 60 * 60;
+
+/* ===========
+   Grading
+   =========== */
+
+const normalizeText = (text, caseSensitive) => {
+  const t = String(text ?? "").trim().replace(/\s+/g, " ");
+  return caseSensitive ? t : t.toLowerCase();
+};
+
+// Program output: ignore line-ending style and trailing whitespace per line.
+const normalizeOutput = (text) =>
+  String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trim();
+
+const GRADERS = {
+  single: (answer, response) => String(response) === String(answer.options[0]),
+
+  multiple: (answer, response) => {
+    const chosen = new Set([].concat(response ?? []).map(String));
+    const correct = new Set(answer.options.map(String));
+    return chosen.size === correct.size && [...chosen].every((id) => correct.has(id));
+  },
+
+  numeric: (answer, response) => {
+    if (response === "" || response === null || response === undefined) return false;
+    const n = Number(response);
+    return Number.isFinite(n) && Math.abs(n - answer.value) <= (answer.tolerance || 0);
+  },
+
+  short_text: (answer, response) => {
+    const given = normalizeText(response, answer.caseSensitive);
+    return Boolean(given) && answer.accepted.some((a) => normalizeText(a, answer.caseSensitive) === given);
+  },
+
+  code_output: (answer, response) => {
+    const given = normalizeOutput(response);
+    return answer.accepted.some((a) => normalizeOutput(a) === given);
+  },
+};
+
+// Responses are stored as given, so keep them to plain, bounded values
+const MAX_RESPONSE_LENGTH = 10000;
+const sanitizeResponse = (response) => {
+  if (response === null || response === undefined) return null;
+  if (Array.isArray(response)) return response.slice(0, 50).map((r) => String(r).slice(0, 100));
+  if (typeof response === "object") return null;
+  return String(response).slice(0, MAX_RESPONSE_LENGTH);
+};
+
+// question must have been loaded with +answer
+export const gradeResponse = (question, response) => GRADERS[question.type](question.answer, response);
+
+/* ===========
+   Drawing questions
+   =========== */
+
+const shuffle = (items) => {
+  const a = [...items];
+  for (let i = a.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+export const questionPool = (quiz) =>
+  Question.find({ course: quiz.course, ...(quiz.banks.length && { bank: { $in: quiz.banks } }) });
+
+const drawQuestions = async (quiz) => {
+  const pool = await questionPool(quiz).sort({ createdAt: 1 });
+  if (!pool.length) throw new HttpError(409, "This quiz has no questions yet");
+
+  const count = quiz.questionCount > 0 ? Math.min(quiz.questionCount, pool.length) : pool.length;
+  // a random subset, kept in bank order unless the quiz shuffles
+  const picked = new Set(shuffle(pool).slice(0, count));
+  const chosen = quiz.shuffleQuestions ? shuffle([...picked]) : pool.filter((q) => picked.has(q));
+
+  return chosen.map((q) => {
+    const ids = q.options.map((o) => o._id);
+    return { question: q._id, optionOrder: quiz.shuffleOptions ? shuffle(ids) : ids };
+  });
+};
+
+/* ===========
+   Client views (no answer keys)
+   =========== */
+
+const toClientQuestion = (question, optionOrder = []) => {
+  const byId = new Map(question.options.map((o) => [String(o._id), o]));
+  const options = optionOrder.length ? optionOrder.map((id) => byId.get(String(id))).filter(Boolean) : question.options;
+  return {
+    id: question.id,
+    type: question.type,
+    prompt: question.prompt,
+    ...(question.code && { code: question.code }),
+    points: question.points,
+    options: options.map((o) => ({ id: String(o._id), text: o.text })),
+  };
+};
+
+// An attempt as the learner may see it: questions in their order, and
+// per-question correctness only once submitted.
+export const attemptView = async (attempt) => {
+  const questions = await Question.find({ _id: { $in: attempt.questions.map((q) => q.question) } });
+  const byId = new Map(questions.map((q) => [q.id, q]));
+  const answers = new Map(attempt.answers.map((a) => [String(a.question), a]));
+  const done = attempt.status !== "in_progress";
+
+  return {
+    id: attempt.id,
+    quiz: String(attempt.quiz),
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    submittedAt: attempt.submittedAt,
+    questions: attempt.questions
+      .filter((q) => byId.has(String(q.question)))
+      .map((q) => {
+        const view = toClientQuestion(byId.get(String(q.question)), q.optionOrder);
+        const answer = answers.get(String(q.question));
+        return done ? { ...view, response: answer?.response ?? null, correct: Boolean(answer?.correct) } : view;
+      }),
+    ...(done && {
+      score: attempt.score,
+      maxScore: attempt.maxScore,
+      percent: attempt.percent,
+      passed: attempt.passed,
+    }),
+  };
+};
+
+/* ===========
+   Attempts
+   =========== */
+
+const isExpired = (attempt, now = Date.now()) =>
+  Boolean(attempt.expiresAt) && now > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+
+// Learners take quizzes of courses they're enrolled in; editors may always
+// (to try their own quiz) but their attempts don't touch progress.
+export const assertCanTake = async (quiz, user, { isEditor }) => {
+  if (isEditor) return null;
+  const enrollment = await findActiveEnrollment(user.id, quiz.course);
+  if (!enrollment) throw new HttpError(403, "Enroll in this course to take the quiz");
+  return enrollment;
+};
+
+// Grades `responses` ({ [questionId]: response }) against the keys.
+// Expired attempts are closed with whatever was answered in time: nothing.
+const gradeAttempt = async (attempt, responses, { expired = false, passingScore = 0 } = {}) => {
+  const questions = await Question.find({ _id: { $in: attempt.questions.map((q) => q.question) } }).select("+answer");
+  const byId = new Map(questions.map((q) => [q.id, q]));
+
+  let score = 0;
+  let maxScore = 0;
+  attempt.answers = attempt.questions
+    .filter((q) => byId.has(String(q.question)))
+    .map(({ question: id }) => {
+      const question = byId.get(String(id));
+      const response = expired ? null : sanitizeResponse(responses[question.id]);
+      const correct = response !== null && gradeResponse(question, response);
+      maxScore += question.points;
+      if (correct) score += question.points;
+      return { question: id, response, correct, points: correct ? question.points : 0 };
+    });
+
+  const percent = maxScore ? Math.round((score / maxScore) * 100) : 0;
+  attempt.set({
+    status: expired ? "expired" : "submitted",
+    submittedAt: new Date(),
+    score,
+    maxScore,
+    percent,
+    passed: !expired && percent >= passingScore,
+  });
+  await attempt.save();
+  return attempt;
+};
+
+// Returns the running attempt if there is one, otherwise starts a new one
+// (subject to maxAttempts).
+export const startAttempt = async (quiz, user, retried = false) => {
+  const previous = await QuizAttempt.find({ quiz: quiz._id, user: user.id }).sort({ createdAt: -1 });
+  const running = previous.find((a) => a.status === "in_progress");
+  if (running && !isExpired(running)) return running;
+  if (running) await gradeAttempt(running, {}, { expired: true });
+
+  if (quiz.maxAttempts > 0 && previous.length >= quiz.maxAttempts) {
+    throw new HttpError(409, "No attempts left for this quiz");
+  }
+
+  const startedAt = new Date();
+  try {
+    return await QuizAttempt.create({
+      quiz: quiz._id,
+      user: user.id,
+      course: quiz.course,
+      number: previous.length + 1,
+      questions: await drawQuestions(quiz),
+      startedAt,
+      expiresAt: quiz.timeLimitMinutes > 0 ? new Date(startedAt.getTime() + quiz.timeLimitMinutes * 60000) : undefined,
+    });
+  } catch (err) {
+    // started twice at once: the other request took this number, so look
+    // again (usually finding its attempt still running, or none left)
+    if (err?.code === 11000 && !retried) return startAttempt(quiz, user, true);
+    throw err;
+  }
+};
+
+// Submits an attempt. For enrolled learners the answers update skill
+// mastery, and passing marks the quiz lesson complete, which feeds course
+// progress like any other lesson. The grade also goes to the learner's
+// notifications.
+export const submitAttempt = async (attempt, quiz, responses, enrollment) => {
+  if (attempt.status !== "in_progress") throw new HttpError(409, "This attempt has already been submitted");
+
+  if (isExpired(attempt)) {
+    await gradeAttempt(attempt, {}, { expired: true });
+    throw new HttpError(409, "Time is up; this attempt was closed without a score");
+  }
+
+  await gradeAttempt(attempt, responses || {}, { passingScore: quiz.passingScore });
+
+  let progress = null;
+  if (enrollment) {
+    const lesson = await Lesson.findById(quiz.lesson);
+    await recordQuizMastery(enrollment.user, attempt, lesson);
+    const seconds = Math.min((attempt.submittedAt - attempt.startedAt) / 1000, MAX_ATTEMPT_SECONDS);
+    await recordStudyTime(enrollment.user, quiz.course, seconds, attempt.submittedAt);
+    if (lesson && attempt.passed) progress = await recordProgress(enrollment, lesson, { completed: true });
+  }
+  const course = await Course.findById(quiz.course, "slug");
+  await notify(attempt.user, {
+    kind: "grade",
+    title: `“${quiz.title}” graded: ${attempt.percent}%`,
+    body: attempt.passed ? "Passed" : `Not passed — ${quiz.passingScore}% needed`,
+    link: course ? `/learn/${course.slug}/${quiz.lesson}` : undefined,
+  });
+  return { attempt, progress };
+};
+
+// Attempt counts and best score for the quiz landing view.
+export const attemptSummary = async (quiz, userId) => {
+  const attempts = await QuizAttempt.find({ quiz: quiz._id, user: userId }).sort({ createdAt: -1 });
+  const finished = attempts.filter((a) => a.status !== "in_progress");
+  const running = attempts.find((a) => a.status === "in_progress" && !isExpired(a));
+  return {
+    attemptsUsed: attempts.length,
+    attemptsLeft: quiz.maxAttempts > 0 ? Math.max(quiz.maxAttempts - attempts.length, 0) : null,
+    bestPercent: finished.length ? Math.max(...finished.map((a) => a.percent)) : null,
+    passed: finished.some((a) => a.passed),
+    inProgress: running ? running.id : null,
+    history: finished.map((a) => ({
+      id: a.id,
+      status: a.status,
+      percent: a.percent,
+      passed: a.passed,
+      submittedAt: a.submittedAt,
+    })),
+  };
+};
@@ -0,0 +1,239 @@
+import { WebSocket, WebSocketServer } from 'ws';
+import HttpError from '../utils/HttpError.js';
+import { verifyAccessToken } from '../utils/tokens.js';
+import { loadChatCohort, postChatMessage } from './chat.js';
+
+// The WebSocket layer, served on the API's own port at /api/ws?token=<access
+// token> (browsers can't set headers on a WebSocket, so the token the REST
+// API takes as a Bearer header comes in the query). Messages are JSON with a
+// `type`:
+//
+//  client → server
+//    { type: "join", room }             room: "cohort:<id>"
+//    { type: "leave", room }
+//    { type: "message", room, body }    chat message
+//    { type: "typing", room }           sent while the user types
+//  server → client
+//    { type: "joined", room }
+//    { type: "message", room, message }
+//    { type: "typing", room, user }
+//    { type: "presence", room, users }  everyone in the room, on every change
+//    { type: "notification", notification }
+//    { type: "error", message, room? }
+//
+// A connection is closed with 4001 when its token expires; the client
+// refreshes the token and reconnects. Framing and the protocol's own checks
+// are left to the ws package.
+
+export const SOCKET_PATH = "/api/ws";
+
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// chat messages a connection may send per window
+const RATE_LIMIT = { messages: 10, windowMs: 10 * 1000 };
+// typing notices are passed on at most once per room in this interval
+const TYPING_INTERVAL_MS = 3 * 1000;
+
+const clientsByUser = new Map();
+const rooms = new Map();
+
+const addTo = (map, key, client) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(client);
+};
+
+const removeFrom = (map, key, client) => {
+  const set = map.get(key);
+  if (!set) return;
+  set.delete(client);
+  if (!set.size) map.delete(key);
+};
+
+const isOpen = (client) => client.socket.readyState === WebSocket.OPEN;
+
+const send = (client, payload) => {
+  if (isOpen(client)) client.socket.send(JSON.stringify(payload));
+};
+
+// Answers a plain HTTP error on a socket that asked to upgrade
+const rejectUpgrade = (socket, status, message) => {
+  socket.end(
+    `HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Type: text/plain\r\n` +
+      `Content-Length: ${Buffer.byteLength(message)}\r\n\r\n${message}`
+  );
+};
+
+/* ===========
+   Pushing to users and rooms
+   =========== */
+
+// Sends to every open connection of the user (several tabs, several devices)
+export const sendToUser = (userId, payload) => {
+  clientsByUser.get(String(userId))?.forEach((client) => send(client, payload));
+};
+
+export const broadcast = (room, payload, except) => {
+  rooms.get(room)?.forEach((client) => {
+    if (client !== except) send(client, payload);
+  });
+};
+
+const presence = (room) => {
+  const users = new Map();
+  rooms.get(room)?.forEach((client) => users.set(client.user.id, { id: client.user.id, name: client.user.name }));
+  broadcast(room, { type: "presence", room, users: [...users.values()] });
+};
+
+/* ===========
+   Rooms
+   =========== */
+
+// "cohort:<id>" → the cohort id, after checking the user may be in the room
+const authorizeRoom = async (room, user) => {
+  const [kind, id] = String(room ?? "").split(":");
+  if (kind !== "cohort" || !id) throw new HttpError(400, "Unknown room");
+  const { cohort } = await loadChatCohort(id, user);
+  return cohort._id;
+};
+
+const leaveRoom = (client, room) => {
+  if (!client.rooms.delete(room)) return;
+  client.typedAt.delete(room);
+  removeFrom(rooms, room, client);
+  presence(room);
+};
+
+// Takes the user's open connections out of a cohort's room, e.g. after they
+// gave up their seat
+export const leaveCohortRoom = (userId, cohortId) => {
+  clientsByUser.get(String(userId))?.forEach((client) => leaveRoom(client, `cohort:${cohortId}`));
+};
+
+const HANDLERS = {
+  join: async (client, { room }) => {
+    if (client.rooms.has(room)) return;
+    const cohortId = await authorizeRoom(room, client.user);
+    // hung up while we were checking
+    if (!isOpen(client)) return;
+    client.rooms.set(room, cohortId);
+    addTo(rooms, room, client);
+    send(client, { type: "joined", room });
+    presence(room);
+  },
+
+  leave: async (client, { room }) => leaveRoom(client, room),
+
+  message: async (client, { room, body }) => {
+    const cohortId = client.rooms.get(room);
+    if (!cohortId) throw new HttpError(403, "Join the room first");
+    const now = Date.now();
+    client.sent = client.sent.filter((t) => now - t < RATE_LIMIT.windowMs);
+    if (client.sent.length >= RATE_LIMIT.messages) throw new HttpError(429, "Slow down a little");
+    client.sent.push(now);
+    let message;
+    try {
+      message = await postChatMessage(cohortId, client.user, body);
+    } catch (err) {
+      // the seat (or the cohort) is gone since the room was joined
+      if (err instanceof HttpError && (err.status === 403 || err.status === 404)) leaveRoom(client, room);
+      throw err;
+    }
+    broadcast(room, { type: "message", room, message });
+  },
+
+  typing: async (client, { room }) => {
+    if (!client.rooms.has(room)) return;
+    const now = Date.now();
+    if (now - (client.typedAt.get(room) ?? 0) < TYPING_INTERVAL_MS) return;
+    client.typedAt.set(room, now);
+    broadcast(room, { type: "typing", room, user: { id: client.user.id, name: client.user.name } }, client);
+  },
+};
+
+/* ===========
+   Connections
+   =========== */
+
+const disconnect = (client) => {
+  clearTimeout(client.expiry);
+  removeFrom(clientsByUser, client.user.id, client);
+  client.rooms.forEach((_, room) => leaveRoom(client, room));
+};
+
+const onMessage = async (client, raw, isBinary) => {
+  if (isBinary) return client.socket.close(1003, "Only text messages are supported");
+  let data;
+  try {
+    data = JSON.parse(raw.toString("utf8"));
+  } catch {
+    return send(client, { type: "error", message: "Messages must be JSON" });
+  }
+  const handler = HANDLERS[data?.type];
+  if (!handler) return send(client, { type: "error", message: "Unknown message type" });
+  try {
+    await handler(client, data);
+  } catch (err) {
+    const expected = err instanceof HttpError || err?.name === "ValidationError" || err?.name === "CastError";
+    if (!expected) console.error(err);
+    send(client, { type: "error", room: data.room, message: expected ? err.message : "Something went wrong" });
+  }
+  return undefined;
+};
+
+const authenticate = (req) => {
+  const token = new URL(req.url, "http://localhost").searchParams.get("token");
+  if (!token) return null;
+  try {
+    return verifyAccessToken(token);
+  } catch {
+    return null;
+  }
+};
+
+// Serves WebSocket upgrades on SOCKET_PATH for the HTTP server
+export const attachRealtime = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on("upgrade", (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== SOCKET_PATH) {
+      return rejectUpgrade(socket, 404, "Not Found");
+    }
+    const payload = authenticate(req);
+    if (!payload) return rejectUpgrade(socket, 401, "Unauthorized");
+
+    return wss.handleUpgrade(req, socket, head, (ws) => {
+      const client = {
+        socket: ws,
+        user: { id: payload.sub, name: payload.name, role: payload.role },
+        rooms: new Map(),
+        typedAt: new Map(),
+        sent: [],
+        alive: true,
+      };
+      addTo(clientsByUser, client.user.id, client);
+      client.expiry = setTimeout(() => ws.close(4001, "Token expired"), payload.exp * 1000 - Date.now());
+
+      ws.on("message", (raw, isBinary) => onMessage(client, raw, isBinary));
+      ws.on("pong", () => {
+        client.alive = true;
+      });
+      // protocol errors: ws has already failed the connection with the right
+      // close code, and "close" follows
+      ws.on("error", () => {});
+      ws.on("close", () => disconnect(client));
+    });
+  });
+
+  // drops connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    clientsByUser.forEach((clients) =>
+      clients.forEach((client) => {
+        if (!client.alive) return client.socket.terminate();
+        client.alive = false;
+        return client.socket.ping();
+      })
+    );
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  server.on("close", () => clearInterval(heartbeat));
+};
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Enrollment from '../models/Enrollment.js';
+import WishlistItem from '../models/WishlistItem.js';
+import { COURSE_SORTS } from '../utils/courses.js';
+
+// Course recommendations, computed from our own data — no external service.
+// Each candidate gets a 0..1 score per signal, combined with WEIGHTS:
+//   affinity    how much of the learner's activity is in the course's category
+//   similar     co-enrollment: learners who share courses with them took it
+//   rating      Bayesian-averaged star rating
+//   completion  share of enrollments that finish (smoothed)
+//   popularity  enrollment count, log-scaled
+// Anonymous visitors and learners with no history get popular courses.
+
+const WEIGHTS = { affinity: 0.3, similar: 0.3, rating: 0.2, completion: 0.1, popularity: 0.1 };
+
+// Interest in a category, per course the learner has touched
+const AFFINITY = { enrolled: 1, completed: 1.5, wishlisted: 0.5 };
+
+// Priors keep a handful of reviews or enrollments from dominating
+const RATING_PRIOR = { mean: 3.5, weight: 10 };
+const COMPLETION_PRIOR = { rate: 0.3, weight: 5 };
+
+// Bounds on how much data one request looks at
+const MAX_CANDIDATES = 200;
+const MAX_PEER_ENROLLMENTS = 2000;
+
+const CARD_POPULATE = [
+  { path: "instructor", select: "name avatarUrl" },
+  { path: "category", select: "name slug" },
+];
+
+const oid = (id) => new mongoose.Types.ObjectId(String(id));
+
+const withReason = (course, score, reason) => ({
+  ...course.toJSON(),
+  recommendation: { score: Math.round(score * 1000) / 1000, reason },
+});
+
+const popularCourses = async (filter, limit) => {
+  const courses = await Course.find(filter)
+    .select("-description")
+    .sort(COURSE_SORTS.popular)
+    .limit(limit)
+    .populate(CARD_POPULATE);
+  return courses.map((c) => withReason(c, 0, "Popular with learners"));
+};
+
+/* ===========
+   Signals
+   =========== */
+
+// { categoryId: weight }, normalised so the favourite category is 1
+const categoryAffinity = (enrollments, wishlist) => {
+  const weights = new Map();
+  const add = (course, w) => {
+    if (!course?.category) return;
+    const key = String(course.category);
+    weights.set(key, (weights.get(key) || 0) + w);
+  };
+  enrollments.forEach((e) => add(e.course, e.status === "completed" ? AFFINITY.completed : AFFINITY.enrolled));
+  wishlist.forEach((w) => add(w.course, AFFINITY.wishlisted));
+
+  const top = Math.max(0, ...weights.values());
+  return new Map([...weights].map(([k, w]) => [k, top ? w / top : 0]));
+};
+
+// { courseId: number of peers enrolled }, where peers are the learners most
+// recently enrolled in any of `mine`.
+const coEnrollments = async (userId, mine) => {
+  if (!mine.length) return new Map();
+  const peers = await Enrollment.aggregate([
+    { $match: { course: { $in: mine.map(oid) }, user: { $ne: oid(userId) }, status: { $ne: "cancelled" } } },
+    { $sort: { createdAt: -1 } },
+    { $limit: MAX_PEER_ENROLLMENTS },
+    { $group: { _id: "$user" } },
+  ]);
+  if (!peers.length) return new Map();
+
+  const counts = await Enrollment.aggregate([
+    { $match: { user: { $in: peers.map((p) => p._id) }, course: { $nin: mine.map(oid) }, status: { $ne: "cancelled" } } },
+    { $group: { _id: "$course", peers: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((c) => [String(c._id), c.peers]));
+};
+
+// { courseId: { total, completed } }
+const completionStats = async (courseIds) => {
+  const rows = await Enrollment.aggregate([
+    { $match: { course: { $in: courseIds }, status: { $ne: "cancelled" } } },
+    {
+      $group: {
+        _id: "$course",
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r]));
+};
+
+const bayesianRating = (course) =>
+  (course.rating * course.ratingCount + RATING_PRIOR.mean * RATING_PRIOR.weight) /
+  (course.ratingCount + RATING_PRIOR.weight);
+
+const smoothedCompletion = (stats) =>
+  ((stats?.completed || 0) + COMPLETION_PRIOR.rate * COMPLETION_PRIOR.weight) /
+  ((stats?.total || 0) + COMPLETION_PRIOR.weight);
+
+/* ===========
+   Ranking
+   =========== */
+
+// Why a course made the list: its strongest personal signal, else quality.
+const explain = (course, parts, stats) => {
+  const personal = parts.affinity * WEIGHTS.affinity >= parts.similar * WEIGHTS.similar ? "affinity" : "similar";
+  if (parts[personal] >= 0.5) {
+    return personal === "affinity"
+      ? `Because you're learning ${course.category?.name ?? "in this area"}`
+      : "Learners who took your courses also took this";
+  }
+  if (course.ratingCount >= RATING_PRIOR.weight && course.rating >= 4.5) {
+    return `Rated ${course.rating.toFixed(1)} by ${course.ratingCount} learners`;
+  }
+  if (stats?.total >= COMPLETION_PRIOR.weight && parts.completion >= 0.6) {
+    return `${Math.round((stats.completed / stats.total) * 100)}% of learners finish it`;
+  }
+  return "Popular with learners";
+};
+
+// Courses for `userId` (or anyone, when null), best first.
+// Options: limit, filter (extra Course filter, e.g. a category).
+export const recommendCourses = async (userId, { limit = 12, filter = {} } = {}) => {
+  const base = { ...filter, status: "published" };
+  if (!userId) return { items: await popularCourses(base, limit), personalized: false };
+
+  const [enrollments, wishlist] = await Promise.all([
+    Enrollment.find({ user: userId, status: { $ne: "cancelled" } }, "course status").populate("course", "category"),
+    WishlistItem.find({ user: userId }, "course").populate("course", "category"),
+  ]);
+  const mine = enrollments.filter((e) => e.course).map((e) => String(e.course._id));
+  if (!mine.length && !wishlist.length) return { items: await popularCourses(base, limit), personalized: false };
+
+  const affinity = categoryAffinity(enrollments, wishlist);
+  const [candidates, peers] = await Promise.all([
+    Course.find({ ...base, _id: { $nin: mine } })
+      .select("-description")
+      .sort(COURSE_SORTS.popular)
+      .limit(MAX_CANDIDATES)
+      .populate(CARD_POPULATE),
+    coEnrollments(userId, mine),
+  ]);
+  if (!candidates.length) return { items: [], personalized: true };
+  const completion = await completionStats(candidates.map((c) => c._id));
+
+  // co-enrollment relative to each course's size, so big courses don't win by default
+  const similarity = new Map(
+    candidates.map((c) => [c.id, (peers.get(c.id) || 0) / Math.sqrt(Math.max(c.enrollmentCount, 1))])
+  );
+  const topSimilarity = Math.max(0, ...similarity.values());
+  const topPopularity = Math.log1p(Math.max(0, ...candidates.map((c) => c.enrollmentCount)));
+
+  const ranked = candidates.map((course) => {
+    const stats = completion.get(course.id);
+    const parts = {
+      affinity: affinity.get(String(course.category?._id ?? course.category)) || 0,
+      similar: topSimilarity ? similarity.get(course.id) / topSimilarity : 0,
+      rating: bayesianRating(course) / 5,
+      completion: smoothedCompletion(stats),
+      popularity: topPopularity ? Math.log1p(course.enrollmentCount) / topPopularity : 0,
+    };
+    const score = Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + parts[k] * w, 0);
+    return { course, score, reason: explain(course, parts, stats) };
+  });
+
+  ranked.sort((a, b) => b.score - a.score);
+  return {
+    items: ranked.slice(0, limit).map((r) => withReason(r.course, r.score, r.reason)),
+    personalized: true,
+  };
+};
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Review from '../models/Review.js';
+import ReviewReport from '../models/ReviewReport.js';
+import Vote from '../models/Vote.js';
+import HttpError from '../utils/HttpError.js';
+import { pick } from '../utils/pick.js';
+import { containsProfanity } from '../utils/profanity.js';
+import { findActiveEnrollment } from './enrollment.js';
+import { notify } from './notifications.js';
+
+// Course reviews: verified-enrollment writing, "helpful" votes, instructor
+// replies, reports and moderation, and the featured testimonials. Every
+// write that changes which ratings count refreshes the course's stored
+// rating (Review.refreshCourseRating).
+
+export const REVIEW_FIELDS = ["rating", "comment"];
+
+export const REVIEW_SORTS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+const AUTHOR_FIELDS = "name avatarUrl headline";
+
+export const populateReviews = (query) =>
+  query.populate("user", AUTHOR_FIELDS).populate("reply.author", "name avatarUrl");
+
+const assertClean = (text) => {
+  if (containsProfanity(text)) throw new HttpError(400, "Please keep reviews free of profanity");
+};
+
+/* ===========
+   Writing
+   =========== */
+
+export const createReview = async (course, userId, body) => {
+  if (!(await findActiveEnrollment(userId, course._id))) {
+    throw new HttpError(403, "Only enrolled learners can review this course");
+  }
+  const fields = pick(body, REVIEW_FIELDS);
+  assertClean(fields.comment);
+  let review;
+  try {
+    review = await Review.create({ ...fields, course: course._id, user: userId });
+  } catch (err) {
+    if (err?.code === 11000) throw new HttpError(409, "You’ve already reviewed this course");
+    throw err;
+  }
+  await Review.refreshCourseRating(course._id);
+  await notify(course.instructor, {
+    kind: "review",
+    title: `New ${review.rating}-star review of ${course.title}`,
+    body: review.comment?.slice(0, 140),
+    link: `/courses/${course.slug}#reviews`,
+  });
+  return review;
+};
+
+export const updateReview = async (review, body) => {
+  review.set(pick(body, REVIEW_FIELDS));
+  assertClean(review.comment);
+  await review.save();
+  await Review.refreshCourseRating(review.course);
+  return review;
+};
+
+export const deleteReview = async (review) => {
+  await Promise.all([
+    review.deleteOne(),
+    Vote.deleteMany({ target: review._id }),
+    ReviewReport.deleteMany({ review: review._id }),
+  ]);
+  await Review.refreshCourseRating(review.course);
+};
+
+// Sets or clears the instructor's reply; the reviewer hears about a new one
+export const setReply = async (review, user, body) => {
+  if (body === null) {
+    review.reply = undefined;
+    await review.save();
+    return review;
+  }
+  if (!String(body ?? "").trim()) throw new HttpError(400, "Write a reply first");
+  assertClean(body);
+  const isNew = !review.reply;
+  if (isNew) review.reply = { body, author: user.id };
+  else review.set({ "reply.body": body, "reply.author": user.id, "reply.updatedAt": new Date() });
+  await review.save();
+  if (isNew) {
+    const course = await Course.findById(review.course, "title slug");
+    await notify(review.user, {
+      kind: "review",
+      title: `${user.name} replied to your review of ${course?.title ?? "a course"}`,
+      body: body.slice(0, 140),
+      link: course ? `/courses/${course.slug}#reviews` : undefined,
+    });
+  }
+  return review;
+};
+
+/* ===========
+   Helpful votes and reports
+   =========== */
+
+// Adds or removes the user's "helpful"; returns the new count
+export const setHelpful = async (review, userId, helpful) => {
+  if (String(review.user) === userId) throw new HttpError(400, "You can’t vote on your own review");
+  if (helpful) {
+    try {
+      await Vote.create({ user: userId, targetKind: "review", target: review._id });
+      await Review.updateOne({ _id: review._id }, { $inc: { helpfulCount: 1 } });
+    } catch (err) {
+      // already voted
+      if (err?.code !== 11000) throw err;
+    }
+  } else {
+    const removed = await Vote.deleteOne({ user: userId, target: review._id });
+    if (removed.deletedCount) await Review.updateOne({ _id: review._id }, { $inc: { helpfulCount: -1 } });
+  }
+  const fresh = await Review.findById(review._id, "helpfulCount");
+  return fresh?.helpfulCount ?? 0;
+};
+
+// Which of `reviewIds` the user has marked helpful
+export const helpfulVotesOf = async (userId, reviewIds) => {
+  if (!userId || !reviewIds.length) return [];
+  const votes = await Vote.find({ user: userId, target: { $in: reviewIds } }, "target");
+  return votes.map((v) => String(v.target));
+};
+
+export const reportReview = async (review, userId, reason) => {
+  if (!String(reason ?? "").trim()) throw new HttpError(400, "Tell the moderators what’s wrong");
+  try {
+    return await ReviewReport.create({ reporter: userId, review: review._id, course: review.course, reason });
+  } catch (err) {
+    if (err?.code === 11000) throw new HttpError(409, "You’ve already reported this");
+    throw err;
+  }
+};
+
+/* ===========
+   Moderation and testimonials
+   =========== */
+
+// Hides (reason given) or restores a review, settling its open reports.
+// Hidden reviews stop counting towards the course rating and lose any
+// featured spot.
+export const setReviewHidden = async (review, moderatorId, hide, reason) => {
+  review.set(
+    hide
+      ? { hiddenAt: new Date(), hiddenBy: moderatorId, hiddenReason: reason, featuredAt: undefined }
+      : { hiddenAt: undefined, hiddenBy: undefined, hiddenReason: undefined }
+  );
+  await review.save();
+  if (hide) {
+    await ReviewReport.updateMany(
+      { review: review._id, status: "open" },
+      { status: "hidden", resolvedBy: moderatorId, resolvedAt: new Date() }
+    );
+  }
+  await Review.refreshCourseRating(review.course);
+  return review;
+};
+
+export const setFeatured = async (review, featured) => {
+  if (featured && review.hiddenAt) throw new HttpError(400, "Hidden reviews can’t be featured");
+  if (featured && !review.comment) throw new HttpError(400, "Only reviews with a comment can be featured");
+  review.featuredAt = featured ? review.featuredAt ?? new Date() : undefined;
+  await review.save();
+  return review;
+};
+
+// The landing page testimonials, most recently picked first
+export const featuredReviews = (limit) =>
+  Review.find({ featuredAt: { $ne: null }, hiddenAt: null })
+    .sort({ featuredAt: -1 })
+    .limit(limit)
+    .populate("user", AUTHOR_FIELDS)
+    .populate("course", "title slug");
+
+// Visible reviews per star: { 1: n, ..., 5: n }
+export const ratingBreakdown = async (courseId) => {
+  const counts = await Review.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(String(courseId)), hiddenAt: null } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const c of counts) breakdown[c._id] = c.count;
+  return breakdown;
+};
@@ -0,0 +1,291 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Course from '../models/Course.js';
+import { COURSE_SORTS } from '../utils/courses.js';
+
+// Course search on top of the `course_text` index.
+//  - relevance: MongoDB textScore (title > tags > subtitle > description)
+//  - typo tolerance: query words that match nothing in the catalog vocabulary
+//    are replaced with the closest known word before hitting the index
+//  - facets: counts per category / level / duration / price, each computed
+//    with every *other* active filter applied, so choices never dead-end
+
+export const DURATION_BUCKETS = [
+  { id: "short", label: "Under 2 hours", min: 0, max: 120 },
+  { id: "medium", label: "2–6 hours", min: 120, max: 360 },
+  { id: "long", label: "6–17 hours", min: 360, max: 1020 },
+  { id: "extra_long", label: "17+ hours", min: 1020, max: Number.MAX_SAFE_INTEGER },
+];
+
+const PRICE_LABELS = { free: "Free", paid: "Paid" };
+const LEVEL_LABELS = { beginner: "Beginner", intermediate: "Intermediate", advanced: "Advanced" };
+
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+/* ===========
+   Vocabulary (typo correction + suggestions)
+   =========== */
+
+export const tokenize = (text) =>
+  (String(text).toLowerCase().match(/[\p{L}\p{N}.+#]+/gu) || [])
+    .map((t) => t.replace(/^\.+|\.+$/g, ""))
+    .filter(Boolean);
+
+// Levenshtein distance, giving up early once it exceeds `max`
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+let vocabulary = { loadedAt: 0, words: new Set(), entries: [] };
+
+const loadVocabulary = async () => {
+  if (Date.now() - vocabulary.loadedAt < VOCABULARY_TTL_MS) return vocabulary;
+
+  const [courses, categories] = await Promise.all([
+    Course.find({ status: "published" }, "title subtitle tags slug enrollmentCount").lean(),
+    Category.find({}, "name slug").lean(),
+  ]);
+
+  const words = new Set();
+  const entries = [];
+  const topics = new Map();
+
+  for (const c of courses) {
+    tokenize(`${c.title} ${c.subtitle || ""} ${c.tags.join(" ")}`).forEach((w) => words.add(w));
+    entries.push({ type: "course", label: c.title, slug: c.slug, weight: c.enrollmentCount || 0 });
+    for (const tag of c.tags) {
+      const topic = topics.get(tag.toLowerCase()) || { label: tag, weight: 0 };
+      topic.weight += 1;
+      topics.set(tag.toLowerCase(), topic);
+    }
+  }
+  for (const cat of categories) {
+    tokenize(cat.name).forEach((w) => words.add(w));
+    entries.push({ type: "category", label: cat.name, slug: cat.slug, weight: 0 });
+  }
+  for (const t of topics.values()) entries.push({ type: "topic", label: t.label, weight: t.weight });
+
+  vocabulary = { loadedAt: Date.now(), words, entries };
+  return vocabulary;
+};
+
+const maxTyposFor = (word) => (word.length <= 4 ? 1 : 2);
+
+// Replaces unknown words with their nearest vocabulary word.
+// Returns { text, corrected } where corrected is true if anything changed.
+export const correctQuery = async (text) => {
+  const { words } = await loadVocabulary();
+  let corrected = false;
+  const fixed = tokenize(text).map((token) => {
+    if (token.length < 3 || words.has(token)) return token;
+    let best = null;
+    let bestDistance = maxTyposFor(token) + 1;
+    for (const word of words) {
+      const d = editDistance(token, word, bestDistance - 1);
+      if (d < bestDistance) {
+        best = word;
+        bestDistance = d;
+      }
+    }
+    if (!best) return token;
+    corrected = true;
+    return best;
+  });
+  return { text: fixed.join(" "), corrected };
+};
+
+/* ===========
+   Search
+   =========== */
+
+const splitList = (value) =>
+  value === undefined ? [] : String(value).split(",").map((v) => v.trim()).filter(Boolean);
+
+const buildFilters = async (params) => {
+  const filters = {};
+
+  const categoryKeys = splitList(params.category);
+  if (categoryKeys.length) {
+    const categories = await Category.find({ slug: { $in: categoryKeys } }, "_id").lean();
+    filters.category = { category: { $in: categories.map((c) => c._id) } };
+  }
+
+  const levels = splitList(params.level);
+  if (levels.length) filters.level = { level: { $in: levels } };
+
+  const durations = DURATION_BUCKETS.filter((b) => splitList(params.duration).includes(b.id));
+  if (durations.length) {
+    filters.duration = {
+      $or: durations.map((b) => ({ durationMinutes: { $gte: b.min, $lt: b.max } })),
+    };
+  }
+
+  const prices = splitList(params.price);
+  if (prices.length === 1) {
+    filters.price = prices[0] === "free" ? { price: 0 } : { price: { $gt: 0 } };
+  }
+
+  return filters;
+};
+
+// $and of every active filter except `skip`
+const combine = (filters, skip) => {
+  const parts = Object.entries(filters).filter(([k]) => k !== skip).map(([, f]) => f);
+  return parts.length ? { $and: parts } : {};
+};
+
+const RESULT_STAGES = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "instructor",
+      foreignField: "_id",
+      as: "instructor",
+      pipeline: [{ $project: { _id: 0, id: { $toString: "$_id" }, name: 1, avatarUrl: 1 } }],
+    },
+  },
+  { $unwind: { path: "$instructor", preserveNullAndEmptyArrays: true } },
+  {
+    $lookup: {
+      from: "categories",
+      localField: "category",
+      foreignField: "_id",
+      as: "category",
+      pipeline: [{ $project: { _id: 0, id: { $toString: "$_id" }, name: 1, slug: 1 } }],
+    },
+  },
+  { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } },
+  { $addFields: { id: { $toString: "$_id" }, isFree: { $eq: ["$price", 0] } } },
+  { $project: { _id: 0, __v: 0, description: 0 } },
+];
+
+/**
+ * params: { q, topic (array), category, level, duration, price, sort, page, limit }
+ * Returns { items, total, page, pages, query, correctedQuery, facets }.
+ */
+export const searchCourses = async (params, { page, limit, skip }) => {
+  const raw = [params.q, ...params.topics].filter(Boolean).join(" ").trim();
+  const { text, corrected } = raw ? await correctQuery(raw) : { text: "", corrected: false };
+
+  const base = { status: "published" };
+  if (text) base.$text = { $search: text };
+
+  const filters = await buildFilters(params);
+  const sort =
+    COURSE_SORTS[params.sort] || (text ? { score: -1, rating: -1 } : COURSE_SORTS.popular);
+
+  const [result] = await Course.aggregate([
+    { $match: base },
+    { $addFields: { score: text ? { $meta: "textScore" } : 0 } },
+    {
+      $facet: {
+        items: [{ $match: combine(filters) }, { $sort: sort }, { $skip: skip }, { $limit: limit }, ...RESULT_STAGES],
+        total: [{ $match: combine(filters) }, { $count: "n" }],
+        category: [
+          { $match: combine(filters, "category") },
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+        ],
+        level: [{ $match: combine(filters, "level") }, { $group: { _id: "$level", count: { $sum: 1 } } }],
+        duration: [
+          { $match: combine(filters, "duration") },
+          {
+            $bucket: {
+              groupBy: "$durationMinutes",
+              boundaries: [...DURATION_BUCKETS.map((b) => b.min), Number.MAX_SAFE_INTEGER],
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        price: [
+          { $match: combine(filters, "price") },
+          {
+            $group: {
+              _id: { $cond: [{ $eq: ["$price", 0] }, "free", "paid"] },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const categoryIds = result.category.map((c) => c._id).filter((id) => mongoose.isValidObjectId(id));
+  const categories = await Category.find({ _id: { $in: categoryIds } }, "name slug").lean();
+  const categoryById = new Map(categories.map((c) => [String(c._id), c]));
+
+  const total = result.total[0]?.n || 0;
+  return {
+    items: result.items,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    query: raw,
+    correctedQuery: corrected ? text : null,
+    facets: {
+      category: result.category
+        .filter((c) => categoryById.has(String(c._id)))
+        .map((c) => {
+          const cat = categoryById.get(String(c._id));
+          return { value: cat.slug, label: cat.name, count: c.count };
+        })
+        .sort((a, b) => b.count - a.count),
+      level: result.level
+        .filter((l) => LEVEL_LABELS[l._id])
+        .map((l) => ({ value: l._id, label: LEVEL_LABELS[l._id], count: l.count })),
+      duration: DURATION_BUCKETS.map((b) => ({
+        value: b.id,
+        label: b.label,
+        count: result.duration.find((d) => d._id === b.min)?.count || 0,
+      })),
+      price: ["free", "paid"].map((id) => ({
+        value: id,
+        label: PRICE_LABELS[id],
+        count: result.price.find((p) => p._id === id)?.count || 0,
+      })),
+    },
+  };
+};
+
+/* ===========
+   Autocomplete
+   =========== */
+
+// Prefix matches first (whole label, then any word), then typo-tolerant
+// matches on the first word, each group ordered by popularity.
+export const suggest = async (q, limit = 8) => {
+  const needle = String(q).trim().toLowerCase();
+  if (needle.length < 2) return [];
+  const { entries } = await loadVocabulary();
+
+  const rank = (entry) => {
+    const label = entry.label.toLowerCase();
+    if (label.startsWith(needle)) return 0;
+    if (tokenize(label).some((w) => w.startsWith(needle))) return 1;
+    const first = tokenize(needle)[0] || needle;
+    if (first.length >= 3 && tokenize(label).some((w) => editDistance(first, w.slice(0, first.length), 1) <= 1)) {
+      return 2;
+    }
+    return -1;
+  };
+
+  return entries
+    .map((entry) => ({ entry, rank: rank(entry) }))
+    .filter((r) => r.rank >= 0)
+    .sort((a, b) => a.rank - b.rank || b.entry.weight - a.entry.weight)
+    .slice(0, limit)
+    .map(({ entry }) => ({ type: entry.type, label: entry.label, ...(entry.slug && { slug: entry.slug }) }));
+};
@@ -0,0 +1,64 @@
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+
+// Headline numbers for the public landing page. Counting every user on each
+// page view would be wasteful, so they're computed on a schedule and served
+// from memory.
+
+const STATS_REFRESH_MS = 15 * 60 * 1000;
+
+let cached = null;
+let pending = null;
+
+const computePublicStats = async () => {
+  const [learners, [catalog], countries] = await Promise.all([
+    User.countDocuments({ role: "learner" }),
+    Course.aggregate([
+      { $match: { status: "published" } },
+      {
+        $group: {
+          _id: null,
+          courses: { $sum: 1 },
+          instructors: { $addToSet: "$instructor" },
+          ratingSum: { $sum: { $multiply: ["$rating", "$ratingCount"] } },
+          ratingCount: { $sum: "$ratingCount" },
+        },
+      },
+    ]),
+    User.distinct("country", { country: { $nin: [null, ""] } }),
+  ]);
+  return {
+    learners,
+    courses: catalog?.courses ?? 0,
+    // instructors with at least one published course
+    instructors: catalog?.instructors.length ?? 0,
+    countries: countries.length,
+    averageRating: catalog?.ratingCount ? +(catalog.ratingSum / catalog.ratingCount).toFixed(1) : null,
+    updatedAt: new Date(),
+  };
+};
+
+// Recomputes now; concurrent callers share one run
+export const refreshPublicStats = () => {
+  pending ??= computePublicStats()
+    .then((stats) => {
+      cached = stats;
+      return stats;
+    })
+    .finally(() => {
+      pending = null;
+    });
+  return pending;
+};
+
+// The latest figures, computing them if the schedule hasn't yet
+export const publicStats = () => cached ?? refreshPublicStats();
+
+// Refreshes the figures every 15 minutes; returns a stop function
+export const startStatsRefresh = () => {
+  const refresh = () => refreshPublicStats().catch((err) => console.error(err));
+  const timer = setInterval(refresh, STATS_REFRESH_MS);
+  timer.unref();
+  refresh();
+  return () => clearInterval(timer);
+};
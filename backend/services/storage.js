@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import HttpError from '../utils/HttpError.js';
+
+// Storage adapters for user uploads (project submissions). Each one implements:
+//   save(key, readable, { maxBytes }) -> { size }   (rejects with 413 past maxBytes)
+//   open(key) -> { stream, size }                   (rejects with 404 when missing)
+//   remove(key)                                     (no error when missing)
+// Keys are opaque "<prefix>/<uuid><ext>" strings stored on the documents.
+// UPLOAD_STORAGE picks one; "local" (files under UPLOAD_DIR) is the default.
+
+export const maxUploadBytes = () => Number(process.env.MAX_UPLOAD_MB || 50) * 1024 * 1024;
+
+export const newStorageKey = (prefix, filename) =>
+  `${prefix}/${crypto.randomUUID()}${path.extname(String(filename)).toLowerCase()}`;
+
+// Passes bytes through until more than `maxBytes` have gone by
+export const byteLimit = (maxBytes, counter) =>
+  new Transform({
+    transform(chunk, encoding, callback) {
+      counter.size += chunk.length;
+      if (counter.size > maxBytes) {
+        callback(new HttpError(413, `Files can be at most ${Math.round(maxBytes / 1024 / 1024)} MB`));
+      } else {
+        callback(null, chunk);
+      }
+    },
+  });
+
+const diskStorage = {
+  name: "local",
+
+  root: () => path.resolve(process.env.UPLOAD_DIR || "uploads"),
+
+  // refuses keys that would escape UPLOAD_DIR
+  resolve(key) {
+    const root = this.root();
+    const full = path.resolve(root, String(key || ""));
+    if (!key || !full.startsWith(root + path.sep)) throw new HttpError(404, "File not found");
+    return full;
+  },
+
+  async save(key, readable, { maxBytes = maxUploadBytes() } = {}) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const counter = { size: 0 };
+    try {
+      await pipeline(readable, byteLimit(maxBytes, counter), fs.createWriteStream(file));
+    } catch (err) {
+      await fs.promises.rm(file, { force: true });
+      throw err;
+    }
+    return { size: counter.size };
+  },
+
+  async open(key) {
+    const file = this.resolve(key);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (!stat?.isFile()) throw new HttpError(404, "File not found");
+    return { stream: fs.createReadStream(file), size: stat.size };
+  },
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  },
+};
+
+const storages = { local: diskStorage };
+
+export const registerStorage = (storage) => {
+  storages[storage.name] = storage;
+};
+
+export const getStorage = (name = process.env.UPLOAD_STORAGE || "local") => {
+  const storage = storages[name];
+  if (!storage) throw new Error(`Unknown upload storage: ${name}`);
+  return storage;
+};
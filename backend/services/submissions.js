@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import path from 'path';
+import Cohort from '../models/Cohort.js';
+import CohortMember from '../models/CohortMember.js';
+import Enrollment from '../models/Enrollment.js';
+import ProjectReview from '../models/ProjectReview.js';
+import Submission from '../models/Submission.js';
+import HttpError from '../utils/HttpError.js';
+import { canEditCourse } from '../utils/courses.js';
+import { findActiveEnrollment } from './enrollment.js';
+import { notify } from './notifications.js';
+import { getStorage, maxUploadBytes, newStorageKey } from './storage.js';
+
+// Project submissions: drafts and uploads, reviewer assignment, grading and
+// the resubmission rules.
+//
+// Review modes:
+//  - mentor: the learner's cohort mentor for the course (else the course
+//    instructor) reviews every attempt
+//  - peer: `peerReviewers` random classmates review it and the grade is the
+//    mean of their scores. Until enough classmates exist (the first few
+//    submitters) the mentor reviews instead.
+// A completed mentor review always decides the grade, so mentors can step in
+// on peer-reviewed work.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/* ===========
+   Attempts
+   =========== */
+
+// Whether the learner may start or submit an attempt now.
+// `attempts` are theirs for this assignment, newest first.
+export const attemptRules = (assignment, attempts, now = new Date()) => {
+  const latest = attempts[0];
+  if (!latest || (latest.status === "draft" && latest.attempt === 1)) {
+    if (assignment.dueAt && assignment.dueAt < now) return { canSubmit: false, reason: "The deadline has passed" };
+    return { canSubmit: true, closesAt: assignment.dueAt ?? null };
+  }
+
+  const graded = latest.status === "draft" ? attempts[1] : latest;
+  if (latest.status === "submitted") return { canSubmit: false, reason: "Your work is being reviewed" };
+  if (graded.grade?.passed) return { canSubmit: false, reason: "You passed this project" };
+  if (graded.attempt > assignment.maxResubmissions) {
+    return { canSubmit: false, reason: "You’ve used all your resubmissions" };
+  }
+  const closesAt = new Date(graded.grade.gradedAt.getTime() + assignment.resubmitDays * DAY);
+  if (closesAt < now) return { canSubmit: false, reason: "The resubmission window has closed" };
+  return { canSubmit: true, closesAt };
+};
+
+const attemptsOf = (assignment, userId) =>
+  Submission.find({ assignment: assignment._id, user: userId }).sort({ attempt: -1 });
+
+// The learner's open draft, starting the next attempt if the rules allow.
+export const startDraft = async (assignment, userId) => {
+  if (!(await findActiveEnrollment(userId, assignment.course))) {
+    throw new HttpError(403, "Enroll in the course to submit projects");
+  }
+  const attempts = await attemptsOf(assignment, userId);
+  if (attempts[0]?.status === "draft") return attempts[0];
+  const rules = attemptRules(assignment, attempts);
+  if (!rules.canSubmit) throw new HttpError(409, rules.reason);
+
+  const attempt = (attempts[0]?.attempt ?? 0) + 1;
+  try {
+    return await Submission.create({ assignment: assignment._id, course: assignment.course, user: userId, attempt });
+  } catch (err) {
+    // a double-click: the other request created it
+    if (err?.code !== 11000) throw err;
+    return Submission.findOne({ assignment: assignment._id, user: userId, attempt });
+  }
+};
+
+/* ===========
+   Files
+   =========== */
+
+const safeFileName = (name) =>
+  path
+    .basename(String(name || ""))
+    .replace(/[\u0000-\u001f"\\]/g, "")
+    .trim()
+    .slice(0, 200);
+
+// Streams the request body into storage as a file of the draft.
+export const addFile = async (submission, assignment, req, rawName) => {
+  if (submission.status !== "draft") throw new HttpError(409, "Submitted work can’t be changed");
+  const name = safeFileName(rawName);
+  if (!name) throw new HttpError(400, "Give the file a name (?name=)");
+  const ext = path.extname(name).toLowerCase();
+  if (assignment.fileTypes.length && !assignment.fileTypes.includes(ext)) {
+    throw new HttpError(400, `Allowed file types: ${assignment.fileTypes.join(", ")}`);
+  }
+  if (submission.files.length >= assignment.maxFiles) {
+    throw new HttpError(409, `At most ${assignment.maxFiles} files per submission`);
+  }
+  const maxBytes = maxUploadBytes();
+  if (Number(req.headers["content-length"]) > maxBytes) {
+    throw new HttpError(413, `Files can be at most ${Math.round(maxBytes / 1024 / 1024)} MB`);
+  }
+
+  const storage = getStorage();
+  const key = newStorageKey(`submissions/${submission.id}`, name);
+  const { size } = await storage.save(key, req, { maxBytes });
+  const file = { name, key, size, contentType: req.headers["content-type"] || "application/octet-stream" };
+  // only while still a draft (it may have been submitted meanwhile)
+  const updated = await Submission.findOneAndUpdate(
+    { _id: submission._id, status: "draft" },
+    { $push: { files: file } },
+    { new: true }
+  );
+  if (!updated) {
+    await storage.remove(key);
+    throw new HttpError(409, "Submitted work can’t be changed");
+  }
+  return updated.files.at(-1);
+};
+
+export const removeFile = async (submission, fileId) => {
+  if (submission.status !== "draft") throw new HttpError(409, "Submitted work can’t be changed");
+  const file = submission.files.id(fileId);
+  if (!file) throw new HttpError(404, "File not found");
+  await getStorage().remove(file.key);
+  submission.files.pull(file._id);
+  await submission.save();
+};
+
+// Sends a stored file as a download
+export const sendFile = async (res, file) => {
+  const { stream, size } = await getStorage().open(file.key);
+  res.attachment(file.name);
+  res.set({ "Content-Type": file.contentType || "application/octet-stream", "Content-Length": String(size) });
+  await new Promise((resolve, reject) => {
+    stream.on("error", reject);
+    res.on("close", () => {
+      stream.destroy();
+      resolve();
+    });
+    stream.pipe(res);
+  });
+};
+
+/* ===========
+   Reviewers
+   =========== */
+
+const shuffle = (items) => {
+  const a = [...items];
+  for (let i = a.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+// The learner's cohort mentor for the course, else its instructor
+export const mentorFor = async (userId, course) => {
+  const members = await CohortMember.find({ user: userId, course: course._id, status: "enrolled" }, "cohort").lean();
+  const cohort = members.length
+    ? await Cohort.findOne({ _id: { $in: members.map((m) => m.cohort) }, status: "scheduled" }, "mentor").lean()
+    : null;
+  return cohort?.mentor ?? course.instructor;
+};
+
+// Random classmates: ones who submitted this project themselves come first
+// (they know the brief), then anyone else enrolled in the course.
+const pickPeers = async (submission, count) => {
+  const submitted = await Submission.distinct("user", {
+    assignment: submission.assignment,
+    status: { $ne: "draft" },
+    user: { $ne: submission.user },
+  });
+  let pool = shuffle(submitted);
+  if (pool.length < count) {
+    const others = await Enrollment.aggregate([
+      {
+        $match: {
+          course: submission.course,
+          status: { $in: ["active", "completed"] },
+          user: { $nin: [submission.user, ...submitted] },
+        },
+      },
+      { $sample: { size: count - pool.length } },
+    ]);
+    pool = pool.concat(others.map((e) => e.user));
+  }
+  return pool.slice(0, count);
+};
+
+const assignReviewers = async (submission, assignment, course) => {
+  let reviews;
+  if (assignment.reviewMode === "peer") {
+    const peers = await pickPeers(submission, assignment.peerReviewers);
+    if (peers.length >= assignment.peerReviewers) {
+      reviews = await ProjectReview.insertMany(
+        peers.map((reviewer) => ({ submission: submission._id, assignment: assignment._id, reviewer, role: "peer" }))
+      );
+    }
+  }
+  if (!reviews) {
+    reviews = [
+      await ProjectReview.create({
+        submission: submission._id,
+        assignment: assignment._id,
+        reviewer: await mentorFor(submission.user, course),
+        role: "mentor",
+      }),
+    ];
+  }
+  await Promise.all(
+    reviews.map((r) =>
+      notify(r.reviewer, {
+        kind: "review",
+        title: `A “${assignment.title}” project is waiting for your review`,
+        link: `/reviews/${r.id}`,
+      })
+    )
+  );
+};
+
+// Hands the draft in and assigns its reviewers.
+export const submitDraft = async (submission, assignment, course) => {
+  if (submission.status !== "draft") throw new HttpError(409, "This attempt was already submitted");
+  if (!submission.files.length && !submission.repositoryUrl) {
+    throw new HttpError(400, "Upload a file or add a repository link first");
+  }
+  const attempts = await attemptsOf(assignment, submission.user);
+  const rules = attemptRules(assignment, attempts);
+  if (!rules.canSubmit) throw new HttpError(409, rules.reason);
+
+  const claimed = await Submission.findOneAndUpdate(
+    { _id: submission._id, status: "draft" },
+    { status: "submitted", submittedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) throw new HttpError(409, "This attempt was already submitted");
+  await assignReviewers(claimed, assignment, course);
+  return claimed;
+};
+
+/* ===========
+   Reviews and grades
+   =========== */
+
+// Checks reviewer input against the rubric. Body: { scores: [{ criterion,
+// points, comment? }], summary?, comments?: [{ file?, path?, line?, body }] }.
+// A completed review needs a score for every criterion.
+export const reviewUpdate = (assignment, submission, body, { complete }) => {
+  const scores = [].concat(body?.scores ?? []).map((s) => {
+    const criterion = assignment.rubric.id(s?.criterion);
+    if (!criterion) throw new HttpError(400, "Unknown rubric criterion");
+    const points = Number(s.points);
+    if (!Number.isFinite(points) || points < 0 || points > criterion.maxPoints) {
+      throw new HttpError(400, `“${criterion.title}” is scored 0–${criterion.maxPoints}`);
+    }
+    return { criterion: criterion._id, points, comment: s.comment };
+  });
+  if (complete && assignment.rubric.some((c) => !scores.some((s) => String(s.criterion) === String(c._id)))) {
+    throw new HttpError(400, "Score every rubric criterion before completing the review");
+  }
+  const comments = [].concat(body?.comments ?? []).map((c) => {
+    if (c?.file && !submission.files.id(c.file)) throw new HttpError(400, "Comment on a file of this submission");
+    return { file: c?.file || undefined, path: c?.path, line: c?.line || undefined, body: c?.body };
+  });
+  return { scores, comments, summary: body?.summary };
+};
+
+const reviewPoints = (review) => review.scores.reduce((sum, s) => sum + s.points, 0);
+
+// Grades the submission once enough reviews are complete: a mentor review
+// decides on its own; otherwise the mean of `peerReviewers` peer reviews.
+export const gradeIfReady = async (submission, assignment) => {
+  const reviews = await ProjectReview.find({ submission: submission._id, status: "completed" }).sort({
+    completedAt: -1,
+  });
+  const mentor = reviews.find((r) => r.role === "mentor");
+  const peers = reviews.filter((r) => r.role === "peer");
+  let points;
+  if (mentor) points = reviewPoints(mentor);
+  else if (peers.length >= assignment.peerReviewers) points = peers.reduce((sum, r) => sum + reviewPoints(r), 0) / peers.length;
+  else return submission;
+
+  const { maxPoints } = assignment;
+  const percent = Math.round((points / maxPoints) * 1000) / 10;
+  submission.set({
+    status: "graded",
+    grade: {
+      points: Math.round(points * 10) / 10,
+      maxPoints,
+      percent,
+      passed: percent >= assignment.passingScore,
+      gradedAt: new Date(),
+    },
+  });
+  await submission.save();
+  await notify(submission.user, {
+    kind: "grade",
+    title: `“${assignment.title}” graded: ${percent}%`,
+    body: percent >= assignment.passingScore ? "Passed" : `Not passed — ${assignment.passingScore}% needed`,
+    link: `/projects/${assignment.id}`,
+  });
+  return submission;
+};
+
+// "author" | "reviewer" | "editor" (course instructor or admin) | null
+export const submissionRole = async (submission, course, user) => {
+  if (String(submission.user) === user.id) return "author";
+  if (await ProjectReview.exists({ submission: submission._id, reviewer: user.id })) return "reviewer";
+  return canEditCourse(course, user) ? "editor" : null;
+};
+
+// Reviews as the author sees them: completed ones only, peers anonymised
+export const reviewsForAuthor = async (submission) => {
+  const reviews = await ProjectReview.find({ submission: submission._id, status: "completed" })
+    .sort({ completedAt: 1 })
+    .populate("reviewer", "name");
+  let peer = 0;
+  return reviews.map((r) => {
+    const { reviewer, ...rest } = r.toJSON();
+    if (r.role === "peer") peer += 1;
+    return { ...rest, reviewerName: r.role === "mentor" ? reviewer?.name ?? "Mentor" : `Peer reviewer ${peer}` };
+  });
+};
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { learner } from './helpers.js';
+import { optionalAuth, requireAuth } from '../middleware/auth.js';
+import {
+  signAccessToken,
+  signCertificate,
+  signMediaToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyMediaToken,
+  verifyRefreshToken,
+} from '../utils/tokens.js';
+
+// Runs a middleware on a request with the given Authorization header and
+// returns { req, error } once it calls next
+const run = (middleware, authorization) => {
+  const req = { headers: authorization ? { authorization } : {} };
+  let error;
+  middleware(req, {}, (err) => {
+    error = err;
+  });
+  return { req, error };
+};
+
+describe("token audiences", () => {
+  it("verifies each token type as itself", () => {
+    assert.equal(verifyAccessToken(signAccessToken(learner)).sub, learner.id);
+    assert.equal(verifyRefreshToken(signRefreshToken(learner).token).sub, learner.id);
+    assert.equal(verifyMediaToken(signMediaToken("lesson1")).lesson, "lesson1");
+  });
+
+  it("never takes a refresh, media or certificate token as an access token", () => {
+    const others = [
+      signRefreshToken(learner).token,
+      signMediaToken("lesson1"),
+      signCertificate({ cid: "ES-0000-0000-0000", learner: learner.id }),
+    ];
+    for (const token of others) assert.throws(() => verifyAccessToken(token), { name: "JsonWebTokenError" });
+  });
+
+  it("never takes an access token as a refresh or media token", () => {
+    const token = signAccessToken(learner);
+    assert.throws(() => verifyRefreshToken(token), { name: "JsonWebTokenError" });
+    assert.throws(() => verifyMediaToken(token), { name: "JsonWebTokenError" });
+  });
+
+  it("gives every refresh token its own id", () => {
+    assert.notEqual(signRefreshToken(learner).jti, signRefreshToken(learner).jti);
+  });
+});
+
+describe("requireAuth", () => {
+  it("sets req.user from an access token", () => {
+    const { req, error } = run(requireAuth, `Bearer ${signAccessToken(learner)}`);
+    assert.equal(error, undefined);
+    assert.deepEqual(req.user, learner);
+  });
+
+  it("answers 401 without a token", () => {
+    assert.equal(run(requireAuth).error.status, 401);
+    assert.equal(run(requireAuth, signAccessToken(learner)).error.status, 401);
+  });
+
+  it("answers 401 to refresh tokens and forged tokens", () => {
+    assert.equal(run(requireAuth, `Bearer ${signRefreshToken(learner).token}`).error.status, 401);
+    const [header, , signature] = signAccessToken(learner).split(".");
+    const payload = Buffer.from(JSON.stringify({ sub: learner.id, role: "admin", aud: "access" })).toString("base64url");
+    assert.equal(run(requireAuth, `Bearer ${header}.${payload}.${signature}`).error.status, 401);
+  });
+});
+
+describe("optionalAuth", () => {
+  it("leaves the request anonymous on a bad token", () => {
+    const { req, error } = run(optionalAuth, `Bearer ${signMediaToken("lesson1")}`);
+    assert.equal(error, undefined);
+    assert.equal(req.user, undefined);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import jwt from 'jsonwebtoken';
+import { learner } from './helpers.js';
+import Certificate from '../models/Certificate.js';
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import { issueCertificate, newCertId, verifyCertificate } from '../services/certificates.js';
+import { signAccessToken } from '../utils/tokens.js';
+
+const COURSE_ID = "64b0000000000000000000c1";
+
+// Issues a certificate against stubbed models (nothing is stored)
+const issue = async (t) => {
+  t.mock.method(Certificate, "findOne", async () => null);
+  t.mock.method(User, "findById", async () => ({ _id: learner.id, name: learner.name }));
+  t.mock.method(Course, "findById", () => ({
+    populate: async () => ({ _id: COURSE_ID, title: "Data Structures", instructor: { name: "Linus" } }),
+  }));
+  t.mock.method(Certificate.prototype, "save", async function save() {
+    return this;
+  });
+  const cert = await issueCertificate(learner.id, COURSE_ID);
+  t.mock.restoreAll();
+  return cert;
+};
+
+const verify = (t, cert) => {
+  t.mock.method(Certificate, "findOne", async () => cert);
+  return verifyCertificate(cert?.certId ?? "ES-0000-0000-0000");
+};
+
+describe("certificates", () => {
+  it("have readable ids", () => {
+    assert.match(newCertId(), /^ES-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/);
+  });
+
+  it("verify as valid when nothing was changed", async (t) => {
+    const cert = await issue(t);
+    assert.equal(cert.recipientName, "Ada");
+    assert.equal((await verify(t, cert)).status, "valid");
+  });
+
+  it("verify as invalid when a signed field was edited", async (t) => {
+    const cert = await issue(t);
+    cert.recipientName = "Mallory";
+    assert.equal((await verify(t, cert)).status, "invalid");
+  });
+
+  it("verify as invalid when the signature is another kind of token", async (t) => {
+    const cert = await issue(t);
+    cert.signature = signAccessToken(learner);
+    assert.equal((await verify(t, cert)).status, "invalid");
+  });
+
+  it("verify as invalid when signed with another key", async (t) => {
+    const cert = await issue(t);
+    const claims = jwt.decode(cert.signature);
+    cert.signature = jwt.sign(claims, "someone-else", { noTimestamp: true });
+    assert.equal((await verify(t, cert)).status, "invalid");
+  });
+
+  it("verify as revoked once revoked", async (t) => {
+    const cert = await issue(t);
+    cert.revokedAt = new Date();
+    assert.equal((await verify(t, cert)).status, "revoked");
+  });
+
+  it("report unknown ids", async (t) => {
+    assert.deepEqual(await verify(t, null), { status: "not_found", certificate: null });
+  });
+
+  it("sign a payload that can't pass as a user token", async (t) => {
+    const cert = await issue(t);
+    const claims = jwt.decode(cert.signature);
+    assert.equal(claims.sub, undefined);
+    assert.equal(claims.aud, "certificate");
+  });
+});
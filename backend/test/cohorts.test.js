@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { bearer, learner, serve } from './helpers.js';
+import Cohort from '../models/Cohort.js';
+import CohortMember from '../models/CohortMember.js';
+import Course from '../models/Course.js';
+import MentorSlot from '../models/MentorSlot.js';
+import cohortRoutes from '../routes/cohorts.js';
+import { toICalendar } from '../utils/ical.js';
+
+const MEETING = "https://meet.example.com/abc";
+const mentor = { id: "64b0000000000000000000a1", name: "Linus", role: "instructor" };
+
+const course = { _id: "64b0000000000000000000c1", slug: "dsa", status: "published", instructor: "64b0000000000000000000a2" };
+
+const newCohort = () =>
+  new Cohort({
+    course: course._id,
+    mentor: mentor.id,
+    title: "Spring cohort",
+    startsAt: new Date("2030-03-01T09:00:00Z"),
+    endsAt: new Date("2030-04-01T09:00:00Z"),
+    capacity: 10,
+    sessions: [
+      { title: "Kickoff", startsAt: new Date("2030-03-01T09:00:00Z"), endsAt: new Date("2030-03-01T10:00:00Z"), meetingUrl: MEETING },
+    ],
+  });
+
+// Stubs the lookups behind GET /api/cohorts/:id for a caller with `status`
+// ("enrolled", "waitlisted" or null)
+const stubCohort = (t, status) => {
+  const cohort = newCohort();
+  t.mock.method(cohort, "populate", async () => cohort);
+  t.mock.method(Cohort, "findById", () => ({ populate: async () => cohort }));
+  t.mock.method(Course, "findOne", async () => course);
+  t.mock.method(CohortMember, "findOne", async () =>
+    status ? { status, enrolledAt: new Date(), waitlistedAt: new Date() } : null
+  );
+  t.mock.method(CohortMember, "countDocuments", async () => 0);
+  t.mock.method(CohortMember, "find", () => ({ sort: () => ({ populate: async () => [] }) }));
+  return cohort;
+};
+
+describe("meeting links", () => {
+  let api;
+  before(async () => {
+    api = await serve("/api/cohorts", cohortRoutes);
+  });
+  after(() => api.close());
+
+  const sessionsSeenBy = async (headers) => {
+    const res = await fetch(`${api.url}/64b0000000000000000000b1`, { headers });
+    assert.equal(res.status, 200);
+    return (await res.json()).cohort.sessions;
+  };
+
+  it("are hidden from anonymous and waitlisted viewers", async (t) => {
+    stubCohort(t, null);
+    assert.equal((await sessionsSeenBy({}))[0].meetingUrl, undefined);
+    assert.equal((await sessionsSeenBy(bearer(learner)))[0].meetingUrl, undefined);
+    t.mock.restoreAll();
+    stubCohort(t, "waitlisted");
+    const [session] = await sessionsSeenBy(bearer(learner));
+    assert.equal(session.title, "Kickoff");
+    assert.equal(session.meetingUrl, undefined);
+  });
+
+  it("are shown to seated learners and the mentor", async (t) => {
+    stubCohort(t, "enrolled");
+    assert.equal((await sessionsSeenBy(bearer(learner)))[0].meetingUrl, MEETING);
+    t.mock.restoreAll();
+    stubCohort(t, null);
+    assert.equal((await sessionsSeenBy(bearer(mentor)))[0].meetingUrl, MEETING);
+  });
+
+  it("keep the cohort's calendar file to its learners and mentor", async (t) => {
+    const url = `${api.url}/64b0000000000000000000b1/calendar.ics`;
+    stubCohort(t, null);
+    assert.equal((await fetch(url)).status, 401);
+    t.mock.restoreAll();
+    stubCohort(t, "waitlisted");
+    assert.equal((await fetch(url, { headers: bearer(learner) })).status, 403);
+    t.mock.restoreAll();
+    stubCohort(t, "enrolled");
+    const res = await fetch(url, { headers: bearer(learner) });
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /^URL:https:\/\/meet\.example\.com\/abc\r$/m);
+  });
+
+  it("must be a single web address", () => {
+    const errors = (meetingUrl) => {
+      const cohort = newCohort();
+      cohort.sessions[0].meetingUrl = meetingUrl;
+      return [
+        cohort.validateSync()?.errors?.["sessions.0.meetingUrl"],
+        new MentorSlot({ meetingUrl }).validateSync()?.errors?.meetingUrl,
+      ];
+    };
+    assert.deepEqual(errors(MEETING), [undefined, undefined]);
+    for (const bad of ["javascript:alert(1)", "https://a.example x", "https://a.example\r\nBEGIN:VEVENT"]) {
+      for (const error of errors(bad)) assert.ok(error, bad);
+    }
+  });
+});
+
+describe("toICalendar", () => {
+  const write = (event) =>
+    toICalendar({
+      name: "Schedule",
+      events: [{ uid: "s1@edusphar", start: new Date("2030-03-01T09:00:00Z"), end: new Date("2030-03-01T10:00:00Z"), ...event }],
+    });
+
+  it("escapes text values", () => {
+    const ics = write({ summary: "Trees, graphs; more\r\nBEGIN:VEVENT", location: "Room\rEND:VCALENDAR" });
+    assert.match(ics, /SUMMARY:Trees\\, graphs\\; more\\nBEGIN:VEVENT\r\n/);
+    assert.match(ics, /LOCATION:Room\\nEND:VCALENDAR\r\n/);
+    assert.equal(ics.match(/^BEGIN:VEVENT/gm).length, 1);
+  });
+
+  it("writes URLs without line breaks, and only web links", () => {
+    assert.match(write({ summary: "x", url: "https://a.example/x\r\nBEGIN:VEVENT y" }), /URL:https:\/\/a\.example\/xBEGIN:VEVENT%20y\r\n/);
+    assert.doesNotMatch(write({ summary: "x", url: "javascript:alert(1)" }), /URL:/);
+  });
+
+  it("folds lines at 75 octets", () => {
+    const ics = write({ summary: "é".repeat(100) });
+    for (const line of ics.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75);
+  });
+});
@@ -0,0 +1,33 @@
+import { once } from 'node:events';
+import express from 'express';
+import { errorHandler } from '../middleware/error.js';
+import { signAccessToken } from '../utils/tokens.js';
+
+// Shared by the test files. The secret is set here, before any token is
+// signed; utils/tokens.js reads it lazily.
+process.env.JWT_SECRET = "test-secret";
+
+export const learner = { id: "64b000000000000000000001", name: "Ada", role: "learner" };
+export const admin = { id: "64b000000000000000000009", name: "Grace", role: "admin" };
+
+export const bearer = (user) => ({ Authorization: `Bearer ${signAccessToken(user)}` });
+
+// Serves `router` at `path` the way index.js does, on a free port.
+// Returns { url, close }.
+export const serve = async (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(errorHandler);
+  const server = app.listen(0);
+  await once(server, "listening");
+  return {
+    url: `http://localhost:${server.address().port}${path}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        // fetch keeps connections alive
+        server.closeAllConnections();
+      }),
+  };
+};
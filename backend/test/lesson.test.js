@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import mongoose from 'mongoose';
+import Lesson from '../models/Lesson.js';
+import { sanitizeHtml } from '../utils/markup.js';
+
+const lesson = (fields) =>
+  new Lesson({
+    course: new mongoose.Types.ObjectId(),
+    module: new mongoose.Types.ObjectId(),
+    title: "Intro",
+    ...fields,
+  });
+
+describe("sanitizeHtml", () => {
+  it("drops scripts, event handlers and javascript: links", () => {
+    const html = sanitizeHtml(
+      '<p onclick="steal()">Hi<script>steal()</script> <a href="javascript:steal()">x</a><img src=x onerror=steal()></p>'
+    );
+    assert.equal(html.includes("script"), false);
+    assert.equal(html.includes("onclick"), false);
+    assert.equal(html.includes("onerror"), false);
+    assert.equal(html.includes("javascript:"), false);
+    assert.match(html, /^<p>Hi/);
+  });
+
+  it("keeps safe links", () => {
+    assert.match(sanitizeHtml('<a href="https://example.com">x</a>'), /href="https:\/\/example\.com"/);
+  });
+});
+
+describe("Lesson content", () => {
+  it("stores rich text sanitized, in content as well as contentHtml", async () => {
+    const doc = lesson({ contentFormat: "html", content: '<p>Hi</p><img src=x onerror="steal()">' });
+    await doc.validate();
+    assert.equal(doc.contentHtml, "<p>Hi</p>");
+    assert.equal(doc.content, "<p>Hi</p>");
+  });
+
+  it("keeps the Markdown source and renders it sanitized", async () => {
+    const doc = lesson({ contentFormat: "markdown", content: "**Hi** <script>steal()</script>" });
+    await doc.validate();
+    assert.equal(doc.content, "**Hi** <script>steal()</script>");
+    assert.equal(doc.contentHtml.includes("<script"), false);
+    assert.match(doc.contentHtml, /<strong>Hi<\/strong>/);
+  });
+});
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { after, before, describe, it } from 'node:test';
+import mongoose from 'mongoose';
+import { bearer, learner, serve } from './helpers.js';
+import OrgInvite from '../models/OrgInvite.js';
+import OrgMember from '../models/OrgMember.js';
+import Organization from '../models/Organization.js';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import organizationRoutes from '../routes/organizations.js';
+import { acceptInvite, loadOrg } from '../services/organizations.js';
+
+const ORG_A = "64b0000000000000000000e1";
+const ORG_B = "64b0000000000000000000e2";
+const DAY = 24 * 60 * 60 * 1000;
+
+// `learner` is an admin of organization A and has no seat in B
+const stubSeats = (t) => {
+  const queries = [];
+  t.mock.method(Organization, "findById", async (id) => ({ _id: id, id: String(id), name: String(id) === ORG_A ? "Acme" : "Globex" }));
+  t.mock.method(OrgMember, "findOne", async (filter) => {
+    queries.push(filter);
+    return String(filter.org) === ORG_A && filter.user === learner.id ? { role: "admin" } : null;
+  });
+  return queries;
+};
+
+describe("organization isolation", () => {
+  let api;
+  before(async () => {
+    api = await serve("/api/organizations", organizationRoutes);
+  });
+  after(() => api.close());
+
+  it("looks the caller's seat up in the organization asked for", async (t) => {
+    const queries = stubSeats(t);
+    const { org } = await loadOrg(ORG_A, learner, { admin: true });
+    assert.equal(org.name, "Acme");
+    assert.deepEqual(queries, [{ org: ORG_A, user: learner.id }]);
+  });
+
+  it("answers 404 for organizations without a seat, even to admins elsewhere", async (t) => {
+    stubSeats(t);
+    await assert.rejects(loadOrg(ORG_B, learner), { status: 404 });
+    for (const path of ["", "/members", "/invites", "/assignments", "/report", "/report/me"]) {
+      const res = await fetch(`${api.url}/${ORG_B}${path}`, { headers: bearer(learner) });
+      assert.equal(res.status, 404, path || "/");
+      assert.equal((await res.json()).message, "Organization not found");
+    }
+  });
+
+  it("keeps admin actions to admin seats", async (t) => {
+    t.mock.method(Organization, "findById", async (id) => ({ _id: id }));
+    t.mock.method(OrgMember, "findOne", async () => ({ role: "member" }));
+    await assert.rejects(loadOrg(ORG_A, learner, { admin: true }), { status: 403 });
+    assert.equal((await fetch(`${api.url}/${ORG_A}/members`, { headers: bearer(learner) })).status, 403);
+  });
+});
+
+describe("acceptInvite", () => {
+  const TOKEN = "invite-token";
+
+  const newInvite = (fields = {}) => ({
+    org: { _id: ORG_A, id: ORG_A, name: "Acme", subscription: new mongoose.Types.ObjectId() },
+    email: "ada@example.com",
+    role: "member",
+    teams: [],
+    status: "pending",
+    expiresAt: new Date(Date.now() + DAY),
+    set(values) {
+      Object.assign(this, values);
+    },
+    async save() {
+      return this;
+    },
+    ...fields,
+  });
+
+  // Stubs the invite lookup (by token hash), the account's email and the
+  // plan's seats; returns the lookups and the members created
+  const stubInvite = (t, invite, { email = "ada@example.com", seats = 5, used = 1 } = {}) => {
+    const lookups = [];
+    const created = [];
+    t.mock.method(OrgInvite, "findOne", (filter) => {
+      lookups.push(filter);
+      return { populate: async () => invite };
+    });
+    t.mock.method(User, "findById", async () => ({ email }));
+    t.mock.method(Subscription, "findOne", () => ({
+      populate: async () => ({ plan: { seats, entitlements: ["team_management"] } }),
+    }));
+    t.mock.method(OrgMember, "countDocuments", async () => used);
+    t.mock.method(OrgInvite, "countDocuments", async () => 0);
+    t.mock.method(OrgMember, "create", async (doc) => {
+      created.push(doc);
+      return doc;
+    });
+    return { lookups, created };
+  };
+
+  it("finds invites by the token's hash", async (t) => {
+    const { lookups } = stubInvite(t, null);
+    await assert.rejects(acceptInvite(TOKEN, learner), { status: 404 });
+    assert.deepEqual(lookups, [{ tokenHash: crypto.createHash("sha256").update(TOKEN).digest("hex") }]);
+  });
+
+  it("gives the invited address a seat with the invite's role", async (t) => {
+    const invite = newInvite({ role: "admin" });
+    const { created } = stubInvite(t, invite);
+    await acceptInvite(TOKEN, learner);
+    assert.deepEqual(created, [{ org: ORG_A, user: learner.id, role: "admin", teams: [] }]);
+    assert.equal(invite.status, "accepted");
+    assert.equal(invite.acceptedBy, learner.id);
+  });
+
+  it("is only for the invited address", async (t) => {
+    const { created } = stubInvite(t, newInvite(), { email: "mallory@example.com" });
+    await assert.rejects(acceptInvite(TOKEN, learner), { status: 403 });
+    assert.equal(created.length, 0);
+  });
+
+  it("refuses revoked, expired and used invites", async (t) => {
+    stubInvite(t, newInvite({ status: "revoked" }));
+    await assert.rejects(acceptInvite(TOKEN, learner), { status: 404 });
+    t.mock.restoreAll();
+    stubInvite(t, newInvite({ expiresAt: new Date(Date.now() - DAY) }));
+    await assert.rejects(acceptInvite(TOKEN, learner), { status: 410 });
+    t.mock.restoreAll();
+    stubInvite(t, newInvite({ status: "accepted", acceptedBy: new mongoose.Types.ObjectId() }));
+    await assert.rejects(acceptInvite(TOKEN, learner), { status: 410 });
+  });
+
+  it("waits for a seat when a downgrade took it", async (t) => {
+    const { created } = stubInvite(t, newInvite(), { seats: 1, used: 2 });
+    await assert.rejects(acceptInvite(TOKEN, learner), { status: 409 });
+    assert.equal(created.length, 0);
+  });
+});
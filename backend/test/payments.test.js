@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import mongoose from 'mongoose';
+import { bearer, learner, serve } from './helpers.js';
+import Order from '../models/Order.js';
+import checkoutRoutes from '../routes/checkout.js';
+import { periodEnd, quoteChange } from '../services/billing.js';
+import { MOCK_DECLINE_CARD, getGateway } from '../services/payments.js';
+
+const other = { ...learner, id: "64b000000000000000000002" };
+
+describe("mock gateway", () => {
+  const gateway = getGateway("mock");
+
+  it("declines the decline card and takes any other", async () => {
+    const declined = await gateway.createPayment({ amount: 10, currency: "USD" });
+    assert.deepEqual(await gateway.confirmPayment(declined.id, { cardNumber: MOCK_DECLINE_CARD }), {
+      id: declined.id,
+      status: "failed",
+      failureReason: "Card declined",
+    });
+    const paid = await gateway.createPayment({ amount: 10, currency: "USD" });
+    assert.equal((await gateway.confirmPayment(paid.id, { cardNumber: "4242 4242 4242 4242" })).status, "succeeded");
+  });
+
+  it("refuses unknown payments and card numbers", async () => {
+    await assert.rejects(gateway.confirmPayment("mock_pi_nope", {}), { status: 404 });
+    await assert.rejects(gateway.saveCard({ cardNumber: "1234" }), { status: 400 });
+    await assert.rejects(gateway.chargeCard("tok_someone_else"), { status: 400 });
+  });
+
+  it("keeps declining a saved decline card", async () => {
+    const { token, last4 } = await gateway.saveCard({ cardNumber: MOCK_DECLINE_CARD });
+    assert.equal(last4, "0002");
+    assert.equal((await gateway.chargeCard(token)).status, "failed");
+  });
+
+  it("rejects unknown providers", () => {
+    assert.throws(() => getGateway("nope"), /Unknown payment provider/);
+  });
+});
+
+describe("POST /api/checkout/:orderId/confirm", () => {
+  let api;
+  before(async () => {
+    api = await serve("/api/checkout", checkoutRoutes);
+  });
+  after(() => api.close());
+
+  // An order of `learner`'s, found only when the query is scoped to them
+  const stubOrder = async (t) => {
+    const { id } = await getGateway("mock").createPayment({ amount: 10, currency: "USD" });
+    const order = new Order({ user: learner.id, course: new mongoose.Types.ObjectId(), amount: 10, provider: "mock", providerRef: id });
+    t.mock.method(Order, "findOne", (filter) => ({
+      populate: async () => (String(filter.user) === learner.id && String(filter._id) === order.id ? order : null),
+    }));
+    t.mock.method(order, "save", async () => order);
+    return order;
+  };
+
+  const confirm = (order, user, body = {}) =>
+    fetch(`${api.url}/${order.id}/confirm`, {
+      method: "POST",
+      headers: { ...(user && bearer(user)), "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("needs a signed-in user", async (t) => {
+    assert.equal((await confirm(await stubOrder(t))).status, 401);
+  });
+
+  it("doesn't find other people's orders", async (t) => {
+    assert.equal((await confirm(await stubOrder(t), other, { cardNumber: "4242424242424242" })).status, 404);
+  });
+
+  it("records a declined card and answers 402", async (t) => {
+    const order = await stubOrder(t);
+    const res = await confirm(order, learner, { cardNumber: MOCK_DECLINE_CARD });
+    assert.equal(res.status, 402);
+    assert.equal(order.status, "failed");
+    assert.equal(order.failureReason, "Card declined");
+  });
+
+  it("refuses to charge a paid order twice", async (t) => {
+    const order = await stubOrder(t);
+    order.status = "paid";
+    assert.equal((await confirm(order, learner, { cardNumber: "4242424242424242" })).status, 409);
+  });
+});
+
+describe("billing periods", () => {
+  it("end on the same day next month, or the month's last day", () => {
+    assert.equal(periodEnd(new Date("2030-01-15T00:00:00Z"), "monthly").toISOString(), "2030-02-15T00:00:00.000Z");
+    assert.equal(periodEnd(new Date("2030-01-31T00:00:00Z"), "monthly").toISOString(), "2030-02-28T00:00:00.000Z");
+    assert.equal(periodEnd(new Date("2030-01-31T00:00:00Z"), "yearly").toISOString(), "2031-01-31T00:00:00.000Z");
+  });
+
+  it("credit the unused half of a period on an upgrade", () => {
+    const pro = { _id: new mongoose.Types.ObjectId(), name: "Pro", order: 1, prices: { monthly: 20 } };
+    const teams = { _id: new mongoose.Types.ObjectId(), name: "Teams", order: 2, prices: { monthly: 50 } };
+    const subscription = {
+      plan: pro,
+      cycle: "monthly",
+      status: "active",
+      credit: 0,
+      periodAmount: 20,
+      currentPeriodStart: new Date("2030-01-01T00:00:00Z"),
+      currentPeriodEnd: new Date("2030-01-31T00:00:00Z"),
+    };
+    const quote = quoteChange(subscription, teams, "monthly", new Date("2030-01-16T00:00:00Z"));
+    assert.equal(quote.immediate, true);
+    assert.equal(quote.total, 40);
+  });
+
+  it("won't change plans with a payment outstanding", () => {
+    const pro = { _id: new mongoose.Types.ObjectId(), order: 1 };
+    const subscription = { plan: pro, cycle: "monthly", status: "past_due" };
+    assert.throws(() => quoteChange(subscription, { _id: new mongoose.Types.ObjectId(), order: 2 }, "monthly"), { status: 409 });
+  });
+});
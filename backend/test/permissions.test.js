@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { admin, bearer, learner, serve } from './helpers.js';
+import { authorize } from '../middleware/auth.js';
+import userRoutes from '../routes/users.js';
+import { PERMISSIONS, ROLES, can } from '../utils/permissions.js';
+
+describe("can", () => {
+  it("grants only what the permission lists", () => {
+    assert.equal(can("instructor", "course:write"), true);
+    assert.equal(can("learner", "course:write"), false);
+    assert.equal(can("admin", "certificate:manage"), true);
+  });
+
+  it("denies unknown roles and permissions", () => {
+    assert.equal(can("superuser", "course:write"), false);
+    assert.equal(can("admin", "everything"), false);
+    assert.equal(can(undefined, "user:read"), false);
+  });
+
+  it("keeps the user directory to admins", () => {
+    assert.deepEqual(PERMISSIONS["user:read"], ["admin"]);
+    assert.deepEqual(PERMISSIONS["user:manage"], ["admin"]);
+  });
+
+  it("only names known roles", () => {
+    for (const roles of Object.values(PERMISSIONS)) {
+      for (const role of roles) assert.ok(ROLES.includes(role), role);
+    }
+  });
+});
+
+describe("authorize", () => {
+  const check = (user, ...permissions) => {
+    let error;
+    authorize(...permissions)({ user }, {}, (err) => {
+      error = err;
+    });
+    return error;
+  };
+
+  it("answers 401 without a user and 403 without the permission", () => {
+    assert.equal(check(undefined, "course:write").status, 401);
+    assert.equal(check(learner, "course:write").status, 403);
+  });
+
+  it("passes when any of the permissions is granted", () => {
+    assert.equal(check({ ...learner, role: "instructor" }, "user:manage", "course:write"), undefined);
+  });
+});
+
+describe("GET /api/users", () => {
+  let api;
+  before(async () => {
+    api = await serve("/api/users", userRoutes);
+  });
+  after(() => api.close());
+
+  it("needs a signed-in user", async () => {
+    assert.equal((await fetch(api.url)).status, 401);
+  });
+
+  it("is closed to everyone but admins", async () => {
+    for (const role of ["learner", "instructor", "institution_manager"]) {
+      const res = await fetch(api.url, { headers: bearer({ ...learner, role }) });
+      assert.equal(res.status, 403, role);
+    }
+  });
+
+  it("keeps role changes to admins", async () => {
+    const res = await fetch(`${api.url}/${admin.id}/role`, {
+      method: "PUT",
+      headers: { ...bearer(learner), "Content-Type": "application/json" },
+      body: JSON.stringify({ role: "admin" }),
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("lets admins change roles only to known ones", async () => {
+    const res = await fetch(`${api.url}/${learner.id}/role`, {
+      method: "PUT",
+      headers: { ...bearer(admin), "Content-Type": "application/json" },
+      body: JSON.stringify({ role: "superuser" }),
+    });
+    assert.equal(res.status, 400);
+  });
+});
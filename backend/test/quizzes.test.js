@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import mongoose from 'mongoose';
+import { learner } from './helpers.js';
+import Question from '../models/Question.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import { startAttempt } from '../services/quizzes.js';
+
+const quiz = { _id: new mongoose.Types.ObjectId(), course: new mongoose.Types.ObjectId(), banks: [], maxAttempts: 2 };
+const question = { _id: new mongoose.Types.ObjectId(), options: [{ _id: new mongoose.Types.ObjectId() }] };
+
+// `attempts` answers each QuizAttempt.find in turn (newest first)
+const stubAttempts = (t, ...attempts) => {
+  const created = [];
+  t.mock.method(QuizAttempt, "find", () => ({ sort: async () => attempts.shift() ?? [] }));
+  t.mock.method(Question, "find", () => ({ sort: async () => [question] }));
+  t.mock.method(QuizAttempt, "create", async (doc) => {
+    created.push(doc);
+    return doc;
+  });
+  return created;
+};
+
+const graded = { status: "graded" };
+
+describe("startAttempt", () => {
+  it("numbers each attempt after the ones before it", async (t) => {
+    const created = stubAttempts(t, [graded]);
+    const attempt = await startAttempt(quiz, learner);
+    assert.equal(attempt.number, 2);
+    assert.equal(created.length, 1);
+  });
+
+  it("stops at maxAttempts", async (t) => {
+    const created = stubAttempts(t, [graded, graded]);
+    await assert.rejects(startAttempt(quiz, learner), { status: 409 });
+    assert.equal(created.length, 0);
+  });
+
+  it("hands back the attempt that won a race for the same number", async (t) => {
+    const winner = { status: "in_progress", number: 2 };
+    stubAttempts(t, [graded], [winner, graded]);
+    t.mock.method(QuizAttempt, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    assert.equal(await startAttempt(quiz, learner), winner);
+  });
+
+  it("gives up after one retry", async (t) => {
+    stubAttempts(t, [graded], [graded]);
+    const create = t.mock.method(QuizAttempt, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    await assert.rejects(startAttempt(quiz, learner), { code: 11000 });
+    assert.equal(create.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import WebSocket from 'ws';
+import { learner as user } from './helpers.js';
+import Cohort from '../models/Cohort.js';
+import CohortMember from '../models/CohortMember.js';
+import Course from '../models/Course.js';
+import { SOCKET_PATH, attachRealtime, leaveCohortRoom } from '../services/realtime.js';
+import { signAccessToken, signRefreshToken } from '../utils/tokens.js';
+
+const COHORT_ID = "64b0000000000000000000b1";
+const ROOM = `cohort:${COHORT_ID}`;
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => res.end());
+  attachRealtime(server);
+  server.listen(0);
+  await once(server, "listening");
+  base = `ws://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// Resolves with the HTTP status of a refused upgrade
+const refusal = (url) =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.on("unexpected-response", (req, res) => {
+      resolve(res.statusCode);
+      req.destroy();
+    });
+    ws.on("open", () => reject(new Error("Connection was accepted")));
+    ws.on("error", () => {});
+  });
+
+// Messages are queued as they arrive: several can come in one chunk, before
+// the test waits for the next one
+const connect = async (token = signAccessToken(user)) => {
+  const ws = new WebSocket(`${base}${SOCKET_PATH}?token=${token}`);
+  ws.inbox = [];
+  ws.waiting = [];
+  ws.on("message", (data) => {
+    const message = JSON.parse(data.toString());
+    if (ws.waiting.length) ws.waiting.shift()(message);
+    else ws.inbox.push(message);
+  });
+  await once(ws, "open");
+  return ws;
+};
+
+const nextMessage = (ws) =>
+  ws.inbox.length ? Promise.resolve(ws.inbox.shift()) : new Promise((resolve) => ws.waiting.push(resolve));
+
+// Stubs the seat checks behind joining and posting; `seated.value` decides
+// whether the user still has a seat
+const stubSeat = (t) => {
+  const seated = { value: true };
+  t.mock.method(Cohort, "findById", async () => ({ _id: COHORT_ID, course: "c1", mentor: "64b0000000000000000000a1" }));
+  t.mock.method(Course, "findOne", async () => ({ status: "published", instructor: "64b0000000000000000000a2" }));
+  t.mock.method(CohortMember, "exists", async () => (seated.value ? { _id: "m1" } : null));
+  return seated;
+};
+
+const join = async (ws) => {
+  ws.send(JSON.stringify({ type: "join", room: ROOM }));
+  assert.deepEqual(await nextMessage(ws), { type: "joined", room: ROOM });
+  assert.equal((await nextMessage(ws)).type, "presence");
+};
+
+describe("WebSocket upgrades", () => {
+  it("answers 404 on other paths", async () => {
+    assert.equal(await refusal(`${base}/api/other?token=${signAccessToken(user)}`), 404);
+  });
+
+  it("answers 401 without a token", async () => {
+    assert.equal(await refusal(`${base}${SOCKET_PATH}`), 401);
+  });
+
+  it("answers 401 to a refresh token", async () => {
+    const { token } = signRefreshToken(user);
+    assert.equal(await refusal(`${base}${SOCKET_PATH}?token=${token}`), 401);
+  });
+
+  it("accepts an access token", async () => {
+    const ws = await connect();
+    ws.close();
+    await once(ws, "close");
+  });
+});
+
+describe("WebSocket messages", () => {
+  it("reports messages that aren't JSON", async () => {
+    const ws = await connect();
+    ws.send("hello");
+    assert.deepEqual(await nextMessage(ws), { type: "error", message: "Messages must be JSON" });
+    ws.terminate();
+  });
+
+  it("reports unknown message types", async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ type: "shout" }));
+    assert.deepEqual(await nextMessage(ws), { type: "error", message: "Unknown message type" });
+    ws.terminate();
+  });
+
+  it("refuses chat messages to rooms that weren't joined", async () => {
+    const ws = await connect();
+    ws.send(JSON.stringify({ type: "message", room: "cohort:64b000000000000000000002", body: "hi" }));
+    assert.deepEqual(await nextMessage(ws), {
+      type: "error",
+      room: "cohort:64b000000000000000000002",
+      message: "Join the room first",
+    });
+    ws.terminate();
+  });
+
+  it("closes with 1003 on binary messages", async () => {
+    const ws = await connect();
+    ws.send(Buffer.from("{}"));
+    const [code] = await once(ws, "close");
+    assert.equal(code, 1003);
+  });
+
+  it("closes with 1009 on messages over 64 KiB", async () => {
+    const ws = await connect();
+    ws.send("x".repeat(64 * 1024 + 1));
+    const [code] = await once(ws, "close");
+    assert.equal(code, 1009);
+  });
+});
+
+describe("cohort rooms", () => {
+  it("drop a member whose seat is gone when they next post", async (t) => {
+    const seated = stubSeat(t);
+    const ws = await connect();
+    await join(ws);
+    seated.value = false;
+    ws.send(JSON.stringify({ type: "message", room: ROOM, body: "still here?" }));
+    const reply = await nextMessage(ws);
+    assert.equal(reply.type, "error");
+    assert.match(reply.message, /learners and mentor/);
+    ws.send(JSON.stringify({ type: "message", room: ROOM, body: "hello?" }));
+    assert.equal((await nextMessage(ws)).message, "Join the room first");
+    ws.terminate();
+  });
+
+  it("drop every connection of a user who left the cohort", async (t) => {
+    stubSeat(t);
+    const ws = await connect();
+    await join(ws);
+    leaveCohortRoom(user.id, COHORT_ID);
+    ws.send(JSON.stringify({ type: "message", room: ROOM, body: "hi" }));
+    assert.equal((await nextMessage(ws)).message, "Join the room first");
+    ws.terminate();
+  });
+
+  it("pass typing on at most once every few seconds", async (t) => {
+    stubSeat(t);
+    const [typist, reader] = await Promise.all([connect(), connect(signAccessToken({ ...user, id: "64b000000000000000000003" }))]);
+    await join(reader);
+    await join(typist);
+    assert.equal((await nextMessage(reader)).type, "presence");
+    typist.send(JSON.stringify({ type: "typing", room: ROOM }));
+    typist.send(JSON.stringify({ type: "typing", room: ROOM }));
+    typist.send(JSON.stringify({ type: "leave", room: ROOM }));
+    assert.equal((await nextMessage(reader)).type, "typing");
+    assert.equal((await nextMessage(reader)).type, "presence");
+    typist.terminate();
+    reader.terminate();
+  });
+});
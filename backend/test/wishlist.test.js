@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import mongoose from 'mongoose';
+import { bearer, learner, serve } from './helpers.js';
+import Course from '../models/Course.js';
+import WishlistItem from '../models/WishlistItem.js';
+import wishlistRoutes from '../routes/wishlist.js';
+
+const ids = (n) => Array.from({ length: n }, () => String(new mongoose.Types.ObjectId()));
+
+describe("POST /api/wishlist/merge", () => {
+  let api;
+  before(async () => {
+    api = await serve("/api/wishlist", wishlistRoutes);
+  });
+  after(() => api.close());
+
+  const merge = (courses) =>
+    fetch(`${api.url}/merge`, {
+      method: "POST",
+      headers: { ...bearer(learner), "Content-Type": "application/json" },
+      body: JSON.stringify({ courses }),
+    });
+
+  // `published` are the course ids that exist and are published
+  const stubCourses = (t, published) => {
+    const saved = [];
+    t.mock.method(Course, "find", (filter) => ({
+      lean: async () => filter._id.$in.filter((id) => published.includes(id)).map((id) => ({ _id: id })),
+    }));
+    t.mock.method(WishlistItem, "bulkWrite", async (ops) => {
+      saved.push(...ops.map((op) => String(op.updateOne.filter.course)));
+    });
+    t.mock.method(WishlistItem, "find", () => ({ lean: async () => saved.map((course) => ({ course })) }));
+  };
+
+  it("reports the courses it couldn't add", async (t) => {
+    const [a, b, unpublished] = ids(3);
+    stubCourses(t, [a, b]);
+    const res = await merge([a, b, a, unpublished, "not-an-id"]);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { courses: [a, b], skipped: [unpublished, "not-an-id"] });
+  });
+
+  it("refuses more than 100 courses at once instead of dropping some", async (t) => {
+    stubCourses(t, []);
+    assert.equal((await merge(ids(101))).status, 400);
+    assert.equal((await merge(ids(100))).status, 200);
+  });
+});
@@ -0,0 +1,11 @@
+// Error carrying an HTTP status; thrown from routes and rendered by errorHandler.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    if (details) this.details = details;
+  }
+}
+
+export default HttpError;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import Course, { TRANSLATED_FIELDS } from '../models/Course.js';
+import HttpError from './HttpError.js';
+import { DEFAULT_LOCALE, negotiate } from './locale.js';
+
+export const COURSE_SORTS = {
+  popular: { enrollmentCount: -1, rating: -1 },
+  rating: { rating: -1, ratingCount: -1 },
+  newest: { publishedAt: -1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  title: { title: 1 },
+};
+
+// Course routes accept either an ObjectId or a slug.
+export const courseLookup = (idOrSlug) =>
+  mongoose.isValidObjectId(idOrSlug) ? { _id: idOrSlug } : { slug: String(idOrSlug).toLowerCase() };
+
+export const canEditCourse = (course, user) =>
+  Boolean(user) && (user.role === "admin" || String(course.instructor?._id ?? course.instructor) === user.id);
+
+// Loads a course the current user may see: published ones for everybody,
+// drafts only for their instructor and admins.
+export const findVisibleCourse = async (idOrSlug, user) => {
+  const course = await Course.findOne(courseLookup(idOrSlug));
+  if (!course || (course.status !== "published" && !canEditCourse(course, user))) {
+    throw new HttpError(404, "Course not found");
+  }
+  return course;
+};
+
+// Loads a course the current user may modify, or throws 404/403.
+export const findEditableCourse = async (idOrSlug, user) => {
+  const course = await Course.findOne(courseLookup(idOrSlug));
+  if (!course) throw new HttpError(404, "Course not found");
+  if (!canEditCourse(course, user)) throw new HttpError(403, "You can only edit your own courses");
+  return course;
+};
+
+// The course as a reader of `locales` (req.locales) should see it: the
+// catalog text of the best matching translation over the original, with
+// `locale` (the language served) and `locales` (every language on offer).
+// Takes a document or a plain object (aggregation results); listings that
+// leave out the description don't get a translated one either.
+export const localizeCourse = (course, locales) => {
+  const json = typeof course.toJSON === "function" ? course.toJSON() : { ...course };
+  const { translations = [] } = json;
+  const original = json.language || DEFAULT_LOCALE;
+  const available = [original, ...translations.map((t) => t.locale)];
+  const locale = negotiate(available, locales) ?? original;
+  const translation = translations.find((t) => t.locale === locale);
+  for (const field of TRANSLATED_FIELDS) {
+    if (translation?.[field] && (field !== "description" || "description" in json)) json[field] = translation[field];
+  }
+  delete json.translations;
+  return { ...json, locale, locales: available };
+};
@@ -0,0 +1,58 @@
+// Minimal RFC 4180 CSV: commas, quoted fields ("" inside quotes is a quote),
+// CRLF or LF line ends. Returns rows of trimmed fields, skipping blank lines.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const endField = () => {
+    row.push(field.trim());
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(Boolean)) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      endField();
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      field += c;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+// Rows of values to CSV text (CRLF line ends). Fields with commas, quotes or
+// line breaks are quoted, and ones a spreadsheet would run as a formula
+// (starting with = + - @) get a leading apostrophe.
+export const toCsv = (rows) =>
+  rows
+    .map((row) =>
+      row
+        .map((value) => {
+          let field = value === null || value === undefined ? "" : String(value);
+          if (typeof value === "string" && /^[=+\-@]/.test(field)) field = `'${field}`;
+          return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+        })
+        .join(",")
+    )
+    .join("\r\n") + "\r\n";
@@ -0,0 +1,74 @@
+// Minimal iCalendar (RFC 5545) writer for exporting sessions to calendar
+// apps. Times are written in UTC, which every client converts to local time.
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|[\r\n]/g, "\\n");
+
+// URI values can't be escaped like text, so they're normalized instead: the
+// URL parser drops control characters and percent-encodes spaces. Anything
+// that isn't a web link is left out.
+const uriValue = (value) => {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// 2025-03-01T09:30:00.000Z -> 20250301T093000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines may be at most 75 octets; longer ones continue on lines starting
+// with a space. Never splits a multi-byte character.
+const fold = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// events: [{ uid, start, end, summary, description?, location?, url?, cancelled? }]
+export const toICalendar = ({ name, events }) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//EduSphar//Cohorts//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtc(e.start)}`,
+      `DTEND:${formatUtc(e.end)}`,
+      `SUMMARY:${escapeText(e.summary)}`
+    );
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+    const url = e.url && uriValue(e.url);
+    if (url) lines.push(`URL:${url}`);
+    lines.push(`STATUS:${e.cancelled ? "CANCELLED" : "CONFIRMED"}`, "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,29 @@
+// Language negotiation for translated content. Locales are ISO 639 language
+// codes ("hi", "ta"); regional tags such as "hi-IN" count as their language.
+
+export const LOCALE_PATTERN = /^[a-z]{2,3}$/;
+
+export const DEFAULT_LOCALE = "en";
+
+// "hi" for "hi-IN", "pt" for "pt-br"
+export const baseLanguage = (tag) => String(tag ?? "").split("-")[0].trim().toLowerCase();
+
+// "hi-IN,hi;q=0.9,en;q=0.8" -> ["hi", "en"], most preferred first
+export const parseAcceptLanguage = (header) => {
+  const ranked = String(header ?? "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.split(";").map((s) => s.trim());
+      const q = params.find((p) => p.startsWith("q="));
+      return { lang: baseLanguage(tag), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter((l) => LOCALE_PATTERN.test(l.lang) && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return [...new Set(ranked.map((l) => l.lang))];
+};
+
+// The first of `wanted` that `available` offers, or null
+export const negotiate = (available, wanted = []) => {
+  const offered = available.map(baseLanguage);
+  return wanted.find((lang) => offered.includes(lang)) ?? null;
+};
@@ -0,0 +1,211 @@
+// Lesson text: Markdown rendered to HTML, and HTML (from the studio's rich
+// text editor) cut down to a small allowlist. Both produce markup that is
+// safe to insert into the page as-is: no scripts, styles, event handlers or
+// non-http(s) links survive.
+
+const ALLOWED_TAGS = new Set([
+  "p", "br", "hr", "h2", "h3", "h4", "strong", "b", "em", "i", "u", "s", "code", "pre",
+  "blockquote", "ul", "ol", "li", "a",
+]);
+const VOID_TAGS = new Set(["br", "hr"]);
+// dropped along with everything inside them
+const DROPPED_TAGS = new Set([
+  "script", "style", "iframe", "object", "embed", "template", "noscript", "textarea", "select", "svg", "math", "head", "title",
+]);
+// editors paste these; they become the nearest allowed tag
+const TAG_ALIASES = { h1: "h2", h5: "h4", h6: "h4", div: "p" };
+
+export const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const decodeEntities = (text) =>
+  String(text)
+    .replace(/&#(\d+);?/g, (m, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);?/gi, (m, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+// http(s), mailto, and same-site links only
+export const safeUrl = (raw) => {
+  const url = decodeEntities(raw ?? "").replace(/[\u0000- ]/g, "");
+  return /^(https?:|mailto:|\/(?!\/)|#)/i.test(url) ? url : null;
+};
+
+const linkTag = (href) => `<a href="${escapeHtml(href)}" rel="noopener noreferrer" target="_blank">`;
+
+/* ===========
+   HTML allowlist
+   =========== */
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<\/?([a-z][a-z0-9]*)\b([^>]*)>|[^<]+|</gi;
+const HREF = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+
+// Keeps allowed tags (without attributes, except a safe href on links),
+// drops the rest, and closes whatever is left open.
+export const sanitizeHtml = (html) => {
+  const out = [];
+  const open = [];
+  let dropping = null;
+
+  for (const match of String(html ?? "").matchAll(TOKEN)) {
+    const [token, rawName, attrs = ""] = match;
+    if (token.startsWith("<!--")) continue;
+    if (!rawName) {
+      // text (or a stray "<")
+      if (!dropping) out.push(token === "<" ? "&lt;" : token.replace(/</g, "&lt;").replace(/>/g, "&gt;"));
+      continue;
+    }
+
+    const closing = token.startsWith("</");
+    const lower = rawName.toLowerCase();
+    if (dropping) {
+      if (closing && lower === dropping) dropping = null;
+      continue;
+    }
+    if (DROPPED_TAGS.has(lower)) {
+      if (!closing && !attrs.trim().endsWith("/")) dropping = lower;
+      continue;
+    }
+    const name = TAG_ALIASES[lower] ?? lower;
+    if (!ALLOWED_TAGS.has(name)) continue;
+
+    if (closing) {
+      const at = open.lastIndexOf(name);
+      if (at === -1) continue;
+      while (open.length > at) out.push(`</${open.pop()}>`);
+    } else if (VOID_TAGS.has(name)) {
+      out.push(`<${name}>`);
+    } else if (name === "a") {
+      const [, dq, sq, bare] = HREF.exec(attrs) ?? [];
+      const href = safeUrl(dq ?? sq ?? bare);
+      if (!href) continue;
+      out.push(linkTag(href));
+      open.push(name);
+    } else {
+      out.push(`<${name}>`);
+      open.push(name);
+    }
+  }
+  while (open.length) out.push(`</${open.pop()}>`);
+  return out.join("").trim();
+};
+
+/* ===========
+   Markdown
+   =========== */
+
+// `code`, **bold**, *italic* / _italic_, ~~strike~~ and [links](https://…)
+const renderInline = (text) => {
+  const codes = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (m, code) => {
+    codes.push(`<code>${code}</code>`);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+  html = html
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => {
+      const url = safeUrl(href);
+      return url ? `${linkTag(url)}${label}</a>` : label;
+    })
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, "$1<em>$2</em>")
+    .replace(/(^|\W)_(?!\s)(.+?)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(.+?)~~/g, "<s>$1</s>");
+  return html.replace(/\u0000(\d+)\u0000/g, (m, i) => codes[Number(i)]);
+};
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+
+// Block-level Markdown: #–### headings, paragraphs, - / 1. lists, > quotes,
+// ``` fences and --- rules. Headings start at <h2>; the lesson title is the <h1>.
+export const renderMarkdown = (markdown) => {
+  // NUL marks inline code while rendering, so it can't come from the text
+  const lines = String(markdown ?? "").replace(/\u0000/g, "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+      i += 1;
+      blocks.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+    if (heading) {
+      const level = Math.min(heading[1].length + 1, 4);
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i += 1;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push("<hr>");
+      i += 1;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ""));
+      blocks.push(`<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>`);
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const tag = item[1] ? "ul" : "ol";
+      const items = [];
+      while (i < lines.length) {
+        const next = LIST_ITEM.exec(lines[i]);
+        if (next && Boolean(next[1]) === (tag === "ul")) {
+          items.push(next[3]);
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+          // indented continuation of the previous item
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i += 1;
+      }
+      blocks.push(`<${tag}>${items.map((t) => `<li>${renderInline(t)}</li>`).join("")}</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^\s*(```|#{1,6}\s|>)/.test(lines[i]) &&
+      !LIST_ITEM.test(lines[i])
+    ) {
+      paragraph.push(lines[i++].trim());
+    }
+    blocks.push(`<p>${renderInline(paragraph.join(" "))}</p>`);
+  }
+
+  return blocks.join("\n");
+};
+
+// HTML for a lesson's content in the given format; null for plain text
+export const renderContent = (content, format) => {
+  if (format === "markdown") return sanitizeHtml(renderMarkdown(content));
+  if (format === "html") return sanitizeHtml(content);
+  return null;
+};
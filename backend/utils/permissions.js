@@ -0,0 +1,19 @@
+// Role names and the permissions each one grants. Routes check permissions,
+// never role names, so a new role only needs an entry here.
+export const ROLES = ["learner", "instructor", "admin", "institution_manager"];
+
+export const PERMISSIONS = {
+  "course:write": ["instructor", "admin"],
+  // run cohorts and offer mentor sessions
+  "cohort:manage": ["instructor", "admin"],
+  // hide posts, handle reports and ban users on every discussion board
+  "forum:moderate": ["admin"],
+  // hide reported course reviews and pick the landing page testimonials
+  "review:moderate": ["admin"],
+  "category:manage": ["admin"],
+  "user:read": ["admin"],
+  "user:manage": ["admin"],
+  "certificate:manage": ["admin"],
+};
+
+export const can = (role, permission) => Boolean(PERMISSIONS[permission]?.includes(role));
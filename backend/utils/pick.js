@@ -0,0 +1,6 @@
+// Copies the listed keys that are actually present (not undefined) on source.
+// Used to whitelist request bodies before they reach a model.
+export const pick = (source, keys) =>
+  Object.fromEntries(
+    keys.filter((k) => source?.[k] !== undefined).map((k) => [k, source[k]])
+  );
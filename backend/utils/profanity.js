@@ -0,0 +1,21 @@
+// A small blocklist for text shown publicly under the author's name (course
+// reviews and instructor replies). Words match whole, with common suffixes,
+// after undoing digit/symbol swaps ("sh1t") and stretched letters ("fuuuck").
+// English plus romanised Hindi, since most of our learners write in either.
+const BLOCKED = [
+  "fuck", "fucker", "fucking", "motherfucker", "shit", "bullshit", "bitch", "bastard", "asshole", "cunt",
+  "dick", "dickhead", "prick", "slut", "whore", "wanker", "twat",
+  "chutiya", "madarchod", "behenchod", "bhenchod", "bhosdike", "gaandu", "randi", "harami",
+];
+
+const SWAPS = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s", "!": "i" };
+
+const pattern = new RegExp(`\\b(?:${BLOCKED.join("|")})(?:s|es|ed|y)?\\b`, "i");
+
+export const containsProfanity = (text) => {
+  const plain = String(text ?? "")
+    .toLowerCase()
+    .replace(/[013457@$!]/g, (c) => SWAPS[c]);
+  // "fuuuck" -> "fuck", without turning "asshole" into "ashole" for the plain check
+  return pattern.test(plain) || pattern.test(plain.replace(/(\p{L})\1+/gu, "$1"));
+};
@@ -0,0 +1,31 @@
+import HttpError from './HttpError.js';
+
+// Helpers for turning list-endpoint query strings into Mongo queries.
+
+export const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const paginated = (items, total, { page, limit }) => ({
+  items,
+  total,
+  page,
+  pages: Math.ceil(total / limit),
+});
+
+// ?from=&to= (ISO dates) for calendar-style lists. `from` defaults to now and
+// `to` to `defaultDays` after it; windows longer than `maxDays` are refused.
+export const parseDateRange = (query, { defaultDays = 30, maxDays = 366 } = {}) => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const from = query.from ? new Date(query.from) : new Date();
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + defaultDays * DAY);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) throw new HttpError(400, "Invalid date range");
+  if (to <= from || to - from > maxDays * DAY) {
+    throw new HttpError(400, `Date ranges must be positive and at most ${maxDays} days long`);
+  }
+  return { from, to };
+};
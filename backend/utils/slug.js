@@ -0,0 +1,9 @@
+// "AI/ML Foundations" -> "ai-ml-foundations"
+export const slugify = (value) =>
+  String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Read lazily: this module is imported before index.js runs dotenv.config().
+const accessTtl = () => process.env.JWT_ACCESS_TTL || "15m";
+const refreshTtl = () => process.env.JWT_REFRESH_TTL || "7d";
+const accessSecret = () => process.env.JWT_SECRET;
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Every token type has its own audience: the secrets may be shared, and a
+// refresh (or media, certificate) token must never pass as an access token.
+export const signAccessToken = (user) =>
+  jwt.sign({ sub: user.id, name: user.name, role: user.role }, accessSecret(), {
+    expiresIn: accessTtl(),
+    audience: "access",
+  });
+
+// Refresh tokens carry a jti that is stored on the user, so logout and
+// rotation can revoke them server-side.
+export const signRefreshToken = (user) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ sub: user.id, jti }, refreshSecret(), { expiresIn: refreshTtl(), audience: "refresh" });
+  return { token, jti };
+};
+
+export const verifyAccessToken = (token) => jwt.verify(token, accessSecret(), { audience: "access" });
+
+export const verifyRefreshToken = (token) => jwt.verify(token, refreshSecret(), { audience: "refresh" });
+
+// <video>/<track> elements can't send an Authorization header, so lesson media
+// URLs carry a short-lived token scoped to one lesson instead. Access is
+// checked when the token is issued (GET /courses/:id/lessons/:lessonId).
+const mediaTtl = () => process.env.MEDIA_TOKEN_TTL || "6h";
+
+export const signMediaToken = (lessonId) =>
+  jwt.sign({ lesson: String(lessonId) }, accessSecret(), { expiresIn: mediaTtl(), audience: "media" });
+
+export const verifyMediaToken = (token) => jwt.verify(token, accessSecret(), { audience: "media" });
+
+// Certificates: the signature is stored with the certificate and printed on
+// the PDF; verification re-checks it against the stored fields.
+const certificateSecret = () => process.env.CERT_SIGNING_SECRET || process.env.JWT_SECRET;
+
+export const signCertificate = (payload) =>
+  jwt.sign(payload, certificateSecret(), { issuer: "edusphar", audience: "certificate", noTimestamp: true });
+
+export const verifyCertificateSignature = (token) =>
+  jwt.verify(token, certificateSecret(), { issuer: "edusphar", audience: "certificate" });
@@ -0,0 +1,96 @@
+/**
+ * sw.js
+ *
+ * EduSphar service worker. Keeps the app shell available offline so lessons
+ * downloaded to IndexedDB (api/offline.js) open without a connection.
+ *  - install: caches index.html, the manifest, the icons and the bundles
+ *    index.html references
+ *  - page navigations: network first, falling back to the cached
+ *    index.html (every route is rendered client-side)
+ *  - /assets/*: cache first; Vite content-hashes these file names
+ *  - anything else (the API, lesson media) goes straight to the network
+ *
+ * Registered by utils/serviceWorker.js in production builds only.
+ * Bump the cache names to throw away everything cached by older versions.
+ */
+const SHELL_CACHE = "edusphar-shell-v1";
+const ASSET_CACHE = "edusphar-assets-v1";
+const SHELL_URLS = [
+  "/",
+  "/manifest.webmanifest",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+  "/icons/maskable-512.png",
+];
+
+const assetsIn = (html) =>
+  [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => new URL(m[1], self.location.origin).href);
+
+// Caches the bundles `html` loads and drops ones from older builds.
+async function syncAssets(html) {
+  const wanted = new Set(assetsIn(html));
+  const cache = await caches.open(ASSET_CACHE);
+  const cached = await cache.keys();
+  const have = new Set(cached.map((r) => r.url));
+  await Promise.all(cached.filter((r) => !wanted.has(r.url)).map((r) => cache.delete(r)));
+  await cache.addAll([...wanted].filter((url) => !have.has(url)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL_URLS);
+      await syncAssets(await (await cache.match("/")).text());
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, ASSET_CACHE];
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((k) => !keep.includes(k)).map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function networkFirstPage(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put("/", response.clone());
+      // a new deploy: fetch its bundles while we're online
+      response.clone().text().then(syncAssets).catch(() => {});
+    }
+    return response;
+  } catch {
+    return (await caches.match("/")) || Response.error();
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") event.respondWith(networkFirstPage(request));
+  else if (url.pathname.startsWith("/assets/")) event.respondWith(cacheFirst(request, ASSET_CACHE));
+  else if (SHELL_URLS.includes(url.pathname)) event.respondWith(cacheFirst(request, SHELL_CACHE));
+});
@@ -1,13 +1,111 @@
 
+import { createBrowserRouter, RouterProvider } from 'react-router'
+import AuthProvider from './context/AuthProvider'
+import WishlistProvider from './context/WishlistProvider'
+import OfflineProvider from './context/OfflineProvider'
+import RealtimeProvider from './context/RealtimeProvider'
+import LocaleProvider from './context/LocaleProvider'
+import SiteLayout from './components/layout/SiteLayout'
+import RequireAuth from './components/RequireAuth'
 import EduSpharLanding from './pages/EduSpharLanding'
+import CatalogPage from './pages/CatalogPage'
+import CourseDetail from './pages/CourseDetail'
+import SearchResults from './pages/SearchResults'
+import CheckoutPage from './pages/CheckoutPage'
+import LessonPage from './pages/LessonPage'
+import WatchDemo from './pages/WatchDemo'
+import VerifyCertificate from './pages/VerifyCertificate'
+import Downloads from './pages/Downloads'
+import ProjectPage from './pages/ProjectPage'
+import ReviewPage from './pages/ReviewPage'
+import CohortPage from './pages/CohortPage'
+import ThreadPage from './pages/ThreadPage'
+import CourseDiscussions from './pages/CourseDiscussions'
+import Community from './pages/Community'
+import StudyGroupPage from './pages/StudyGroupPage'
+import PricingPage from './pages/PricingPage'
+import SubscribePage from './pages/SubscribePage'
+import BillingPage from './pages/BillingPage'
+import OrgDashboard from './pages/OrgDashboard'
+import JoinOrg from './pages/JoinOrg'
+import LoginPage from './pages/LoginPage'
+import LearnerDashboard from './pages/LearnerDashboard'
+import InstructorStudio from './pages/InstructorStudio'
+import CourseEditor from './pages/CourseEditor'
+import AdminReviews from './pages/AdminReviews'
+import AdminUsers from './pages/AdminUsers'
+import InfoPage from './pages/InfoPage'
+import NotFound from './pages/NotFound'
 
-const App = () => {
- 
+const router = createBrowserRouter([
+  {
+    element: <SiteLayout/>,
+    children: [
+      { path: '/', element: <EduSpharLanding/> },
+      { path: '/courses', element: <CatalogPage/> },
+      { path: '/courses/:slug', element: <CourseDetail/> },
+      { path: '/courses/:slug/discussions', element: <CourseDiscussions/> },
+      { path: '/discussions/:threadId', element: <ThreadPage/> },
+      { path: '/community', element: <Community/> },
+      { path: '/groups/:groupId', element: <StudyGroupPage/> },
+      { path: '/learn/:slug/:lessonId', element: <LessonPage/> },
+      { path: '/demo', element: <WatchDemo/> },
+      { path: '/verify/:certId?', element: <VerifyCertificate/> },
+      { path: '/search', element: <SearchResults/> },
+      { path: '/pricing', element: <PricingPage/> },
+      { path: '/login', element: <LoginPage/> },
+      { path: '/join/:token', element: <JoinOrg/> },
+      ...['about', 'careers', 'contact', 'terms', 'privacy'].map((page) => ({
+        path: `/${page}`,
+        element: <InfoPage page={page}/>,
+      })),
+      {
+        element: <RequireAuth/>,
+        children: [
+          { path: '/dashboard', element: <LearnerDashboard/> },
+          { path: '/checkout/:slug', element: <CheckoutPage/> },
+          { path: '/subscribe/:planCode', element: <SubscribePage/> },
+          { path: '/billing', element: <BillingPage/> },
+          { path: '/orgs/:orgId', element: <OrgDashboard/> },
+          { path: '/downloads', element: <Downloads/> },
+          { path: '/projects/:assignmentId', element: <ProjectPage/> },
+          { path: '/reviews/:reviewId', element: <ReviewPage/> },
+          { path: '/cohorts/:cohortId', element: <CohortPage/> },
+        ],
+      },
+      {
+        element: <RequireAuth permission="course:write"/>,
+        children: [
+          { path: '/studio', element: <InstructorStudio/> },
+          { path: '/studio/courses/:courseId', element: <CourseEditor/> },
+        ],
+      },
+      {
+        element: <RequireAuth permission="user:read"/>,
+        children: [{ path: '/admin/users', element: <AdminUsers/> }],
+      },
+      {
+        element: <RequireAuth permission="review:moderate"/>,
+        children: [{ path: '/admin/reviews', element: <AdminReviews/> }],
+      },
+      { path: '*', element: <NotFound/> },
+    ],
+  },
+])
 
+const App = () => {
   return (
-    <div>
-      <EduSpharLanding/>
-    </div>
+    <AuthProvider>
+      <WishlistProvider>
+        <OfflineProvider>
+          <RealtimeProvider>
+            <LocaleProvider>
+              <RouterProvider router={router}/>
+            </LocaleProvider>
+          </RealtimeProvider>
+        </OfflineProvider>
+      </WishlistProvider>
+    </AuthProvider>
   )
 }
 
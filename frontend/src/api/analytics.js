@@ -0,0 +1,53 @@
+import api from "./client";
+
+/**
+ * GET /analytics/me/courses — the learner's courses, most recently studied first:
+ * { enrollment, status, course, lessonCount, completedCount, percent, seconds,
+ *   lastActiveAt, resume: { lesson, position, duration, completed } | null }
+ */
+export async function fetchMyCourseStats() {
+  const { data } = await api.get("/analytics/me/courses");
+  return data.items;
+}
+
+/**
+ * GET /analytics/me/activity — { today, streak: { current, longest, activeToday },
+ * days (last 28), weeks (oldest first) } in the viewer's time zone
+ */
+export async function fetchMyActivity(weeks = 8) {
+  const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const { data } = await api.get("/analytics/me/activity", { params: { tz, weeks } });
+  return data;
+}
+
+/** GET /analytics/me/quizzes — { items (oldest first), attempts, averagePercent, passRate } */
+export async function fetchMyQuizTrend(limit = 20) {
+  const { data } = await api.get("/analytics/me/quizzes", { params: { limit } });
+  return data;
+}
+
+/**
+ * GET /analytics/courses/:id/:report — instructor reports for one course:
+ *   funnel (takes { days }) — { views, viewers, enrollments, started, completed, steps, daily }
+ *   drop-off — { enrolled, idleDays, dropOff, items: per lesson { started, completed, stopped } }
+ *   videos — { items: per video { viewers, completionRate, medianSeconds, medianPercent } }
+ *   quiz-items — { items: per question { difficulty, discrimination } }
+ */
+export async function fetchCourseReport(courseId, report, params) {
+  const { data } = await api.get(`/analytics/courses/${courseId}/${report}`, { params });
+  return data;
+}
+
+/** Downloads a course report as CSV (needs the auth header, so it can't be a plain link) */
+export async function downloadCourseReport(courseId, report, params, filename = `${report}.csv`) {
+  const { data } = await api.get(`/analytics/courses/${courseId}/${report}`, {
+    params: { ...params, format: "csv" },
+    responseType: "blob",
+  });
+  const url = URL.createObjectURL(data);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
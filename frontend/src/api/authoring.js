@@ -0,0 +1,189 @@
+import api from "./client";
+
+/* Courses */
+
+/** GET /courses/mine — the instructor's courses in every state (draft, published, archived) */
+export async function fetchMyCourses() {
+  const { data } = await api.get("/courses/mine");
+  return data.items;
+}
+
+/** POST /courses — starts a draft */
+export async function createCourse(body) {
+  const { data } = await api.post("/courses", body);
+  return data.course;
+}
+
+export async function updateCourse(courseId, body) {
+  const { data } = await api.put(`/courses/${courseId}`, body);
+  return data.course;
+}
+
+export async function deleteCourse(courseId) {
+  await api.delete(`/courses/${courseId}`);
+}
+
+/**
+ * GET /courses/:id/studio — { course, modules: [{ ...module, lessons }], problems,
+ * latestVersion, unpublishedChanges }. Lessons are complete, with
+ * video: { uploaded }, captions, attachments and (quiz lessons) quiz.
+ */
+export async function fetchStudioCourse(courseId) {
+  const { data } = await api.get(`/courses/${courseId}/studio`);
+  return data;
+}
+
+/** PUT /courses/:id/curriculum — body [{ id, lessons: [lessonId] }] in the new order */
+export async function saveCurriculum(courseId, modules) {
+  const { data } = await api.put(`/courses/${courseId}/curriculum`, { modules });
+  return data.modules;
+}
+
+/* Modules & lessons */
+
+export async function createModule(courseId, body) {
+  const { data } = await api.post(`/courses/${courseId}/modules`, body);
+  return data.module;
+}
+
+export async function updateModule(courseId, moduleId, body) {
+  const { data } = await api.put(`/courses/${courseId}/modules/${moduleId}`, body);
+  return data.module;
+}
+
+/** DELETE /courses/:id/modules/:moduleId — along with its lessons */
+export async function deleteModule(courseId, moduleId) {
+  await api.delete(`/courses/${courseId}/modules/${moduleId}`);
+}
+
+export async function createLesson(courseId, moduleId, body) {
+  const { data } = await api.post(`/courses/${courseId}/modules/${moduleId}/lessons`, body);
+  return data.lesson;
+}
+
+/** PUT /courses/:id/lessons/:lessonId — body { title, type, content, contentFormat, ... } */
+export async function updateLesson(courseId, lessonId, body) {
+  const { data } = await api.put(`/courses/${courseId}/lessons/${lessonId}`, body);
+  return data.lesson;
+}
+
+export async function deleteLesson(courseId, lessonId) {
+  await api.delete(`/courses/${courseId}/lessons/${lessonId}`);
+}
+
+/* Uploads (the File is the raw request body) */
+
+const upload = (file, onProgress) => ({
+  headers: { "Content-Type": file.type || "application/octet-stream" },
+  onUploadProgress: (e) => onProgress?.(e.total ? e.loaded / e.total : 0),
+});
+
+export async function uploadLessonVideo(courseId, lessonId, file, onProgress) {
+  const { data } = await api.put(`/courses/${courseId}/lessons/${lessonId}/video`, file, {
+    params: { name: file.name },
+    ...upload(file, onProgress),
+  });
+  return data.media;
+}
+
+export async function removeLessonVideo(courseId, lessonId) {
+  await api.delete(`/courses/${courseId}/lessons/${lessonId}/video`);
+}
+
+/** PUT /courses/:id/lessons/:lessonId/captions/:lang — a WebVTT file */
+export async function uploadCaptions(courseId, lessonId, { lang, label }, file) {
+  const { data } = await api.put(`/courses/${courseId}/lessons/${lessonId}/captions/${lang}`, file, {
+    params: { label },
+    headers: { "Content-Type": "text/vtt" },
+  });
+  return data.media;
+}
+
+export async function removeCaptions(courseId, lessonId, lang) {
+  await api.delete(`/courses/${courseId}/lessons/${lessonId}/captions/${lang}`);
+}
+
+export async function addLessonAttachment(courseId, lessonId, file, onProgress) {
+  const { data } = await api.post(`/courses/${courseId}/lessons/${lessonId}/attachments`, file, {
+    params: { name: file.name },
+    ...upload(file, onProgress),
+  });
+  return data.attachment;
+}
+
+export async function removeLessonAttachment(courseId, lessonId, attachmentId) {
+  await api.delete(`/courses/${courseId}/lessons/${lessonId}/attachments/${attachmentId}`);
+}
+
+/** Saves a lesson attachment (needs the auth header, so it can't be a plain link) */
+export async function downloadLessonAttachment(courseId, lessonId, attachment) {
+  const { data } = await api.get(`/courses/${courseId}/lessons/${lessonId}/attachments/${attachment.id}`, {
+    responseType: "blob",
+  });
+  const url = URL.createObjectURL(data);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = attachment.name;
+  a.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* Publishing & versions */
+
+/** POST /courses/:id/publish — { course, version }; a 400 lists what's missing in details.problems */
+export async function publishCourse(courseId, note) {
+  const { data } = await api.post(`/courses/${courseId}/publish`, { note });
+  return data;
+}
+
+/** POST /courses/:id/unpublish — status "draft" (hidden) or "archived" */
+export async function unpublishCourse(courseId, status = "draft") {
+  const { data } = await api.post(`/courses/${courseId}/unpublish`, { status });
+  return data.course;
+}
+
+/** GET /courses/:id/versions — paginated, newest first */
+export async function fetchCourseVersions(courseId, params = {}) {
+  const { data } = await api.get(`/courses/${courseId}/versions`, { params });
+  return data;
+}
+
+/** POST /courses/:id/versions/:number/restore — puts that version's details and curriculum back */
+export async function restoreCourseVersion(courseId, number) {
+  const { data } = await api.post(`/courses/${courseId}/versions/${number}/restore`);
+  return data;
+}
+
+/* Quizzes & question banks */
+
+/** POST /quizzes — body { course, lesson, ...settings } for a quiz lesson */
+export async function createQuiz(body) {
+  const { data } = await api.post("/quizzes", body);
+  return data.quiz;
+}
+
+export async function updateQuiz(quizId, body) {
+  const { data } = await api.put(`/quizzes/${quizId}`, body);
+  return data.quiz;
+}
+
+/** GET /questions?course= — { items (with answer keys), banks, ...pagination } */
+export async function fetchQuestions(courseId, params = {}) {
+  const { data } = await api.get("/questions", { params: { course: courseId, ...params } });
+  return data;
+}
+
+/** POST /questions — choice questions mark correct options with answer.optionIndexes */
+export async function createQuestion(body) {
+  const { data } = await api.post("/questions", body);
+  return data.question;
+}
+
+export async function updateQuestion(questionId, body) {
+  const { data } = await api.put(`/questions/${questionId}`, body);
+  return data.question;
+}
+
+export async function deleteQuestion(questionId) {
+  await api.delete(`/questions/${questionId}`);
+}
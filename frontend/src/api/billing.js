@@ -0,0 +1,60 @@
+import api from "./client";
+
+/** GET /billing/plans — active plans in display order */
+export async function fetchPlans() {
+  const { data } = await api.get("/billing/plans");
+  return data.items;
+}
+
+/** GET /billing/subscription — the live subscription (plans populated) or null */
+export async function fetchSubscription() {
+  const { data } = await api.get("/billing/subscription");
+  return data.subscription;
+}
+
+/**
+ * POST /billing/subscription — { subscription, invoice }.
+ * Starts a trial when the plan has one, otherwise charges the first period.
+ */
+export async function subscribe(plan, cycle, card) {
+  const { data } = await api.post("/billing/subscription", { plan, cycle, ...card });
+  return data;
+}
+
+/**
+ * POST /billing/subscription/quote — { immediate, effectiveAt, lines, total, credit }:
+ * what switching to plan/cycle would charge today.
+ */
+export async function quotePlanChange(plan, cycle) {
+  const { data } = await api.post("/billing/subscription/quote", { plan, cycle });
+  return data.quote;
+}
+
+/** PUT /billing/subscription — { subscription, invoice, quote } */
+export async function changePlan(plan, cycle) {
+  const { data } = await api.put("/billing/subscription", { plan, cycle });
+  return data;
+}
+
+/** POST /billing/subscription/cancel — cancels at the end of the period */
+export async function cancelSubscription() {
+  const { data } = await api.post("/billing/subscription/cancel");
+  return data.subscription;
+}
+
+export async function resumeSubscription() {
+  const { data } = await api.post("/billing/subscription/resume");
+  return data.subscription;
+}
+
+/** PUT /billing/subscription/payment-method — { subscription, invoice } (invoice: a retried overdue payment) */
+export async function updatePaymentMethod(card) {
+  const { data } = await api.put("/billing/subscription/payment-method", card);
+  return data;
+}
+
+/** GET /billing/invoices — { items, total, page, pages }, newest first */
+export async function fetchInvoices(params = {}) {
+  const { data } = await api.get("/billing/invoices", { params });
+  return data;
+}
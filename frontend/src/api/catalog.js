@@ -0,0 +1,38 @@
+import api from "./client";
+
+/** GET /courses — params: page, limit, sort, category, minPrice, maxPrice, minRating, level, free */
+export async function fetchCourses(params = {}) {
+  const { data } = await api.get("/courses", { params });
+  return data;
+}
+
+/**
+ * GET /recommendations — params: limit, category. { items, personalized };
+ * each course carries recommendation: { score, reason }. Signed-out visitors
+ * get popular courses.
+ */
+export async function fetchRecommendations(params = {}) {
+  const { data } = await api.get("/recommendations", { params });
+  return data;
+}
+
+/** GET /courses/:idOrSlug — { course, modules: [{ ...module, lessons }] } */
+export async function fetchCourse(idOrSlug) {
+  const { data } = await api.get(`/courses/${encodeURIComponent(idOrSlug)}`);
+  return data;
+}
+
+/**
+ * GET /stats/public — { learners, courses, instructors, countries, averageRating, updatedAt },
+ * refreshed by the API every 15 minutes
+ */
+export async function fetchPublicStats() {
+  const { data } = await api.get("/stats/public");
+  return data;
+}
+
+/** GET /categories — { items: [{ id, name, slug, courseCount }] } */
+export async function fetchCategories() {
+  const { data } = await api.get("/categories");
+  return data.items;
+}
@@ -0,0 +1,43 @@
+import api from "./client";
+
+/** GET /certificates/verify/:certId — { status, certificate } (public) */
+export async function verifyCertificate(certId) {
+  const { data } = await api.get(`/certificates/verify/${encodeURIComponent(certId)}`);
+  return data;
+}
+
+/** GET /certificates — the signed-in learner's certificates */
+export async function fetchMyCertificates() {
+  const { data } = await api.get("/certificates");
+  return data.items;
+}
+
+/** POST /certificates — issues a missing certificate for a completed course */
+export async function claimCertificate(courseId) {
+  const { data } = await api.post("/certificates", { course: courseId });
+  return data.certificate;
+}
+
+/** Downloads the PDF (needs the auth header, so it can't be a plain link) */
+export async function downloadCertificatePdf(certId) {
+  const { data } = await api.get(`/certificates/${certId}/pdf`, { responseType: "blob" });
+  const url = URL.createObjectURL(data);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${certId}.pdf`;
+  a.click();
+  // give the browser a moment to start the download
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** POST /certificates/:certId/revoke (admins) */
+export async function revokeCertificate(certId, reason) {
+  const { data } = await api.post(`/certificates/${certId}/revoke`, { reason });
+  return data.certificate;
+}
+
+/** POST /certificates/:certId/restore (admins) */
+export async function restoreCertificate(certId) {
+  const { data } = await api.post(`/certificates/${certId}/restore`);
+  return data.certificate;
+}
@@ -0,0 +1,121 @@
+/**
+ * client.js
+ *
+ * Shared axios instance for the EduSphar API.
+ *  - Base URL from VITE_API_URL (defaults to the local Express server)
+ *  - Attaches the stored access token to every request
+ *  - On a 401, exchanges the refresh token once and replays the request
+ *  - Sends the interface language as Accept-Language, so course text and
+ *    captions come back translated where the API has them
+ *
+ * Session is persisted in localStorage key 'edusphar-session'.
+ */
+import axios from "axios";
+
+export const SESSION_KEY = "edusphar-session";
+
+const api = axios.create({
+  baseURL: import.meta.env.VITE_API_URL || "http://localhost:5000/api",
+});
+
+/* ===========
+   Session storage
+   =========== */
+
+const sessionListeners = new Set();
+
+export function loadSession() {
+  try {
+    const raw = window.localStorage?.getItem?.(SESSION_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  try {
+    if (session) window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else window.localStorage.removeItem(SESSION_KEY);
+  } catch {
+    // ignore
+  }
+  sessionListeners.forEach((fn) => fn(session));
+}
+
+/** Subscribe to session changes (login, refresh, logout); returns unsubscribe */
+export function onSessionChange(fn) {
+  sessionListeners.add(fn);
+  return () => sessionListeners.delete(fn);
+}
+
+/** Pulls a readable message out of an axios error */
+export function errorMessage(err, fallback = "Something went wrong") {
+  return err?.response?.data?.message || err?.message || fallback;
+}
+
+/* ===========
+   Content language
+   =========== */
+
+let contentLanguage = null;
+
+/** Set by context/LocaleProvider.jsx whenever the interface language changes */
+export function setContentLanguage(locale) {
+  contentLanguage = locale;
+}
+
+/* ===========
+   Interceptors
+   =========== */
+
+api.interceptors.request.use((config) => {
+  const token = loadSession()?.accessToken;
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  if (contentLanguage) config.headers["Accept-Language"] = contentLanguage;
+  return config;
+});
+
+// Concurrent 401s share one refresh request
+let refreshing = null;
+
+function refreshSession(refreshToken) {
+  if (!refreshing) {
+    refreshing = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+      .then(({ data }) => {
+        saveSession(data);
+        return data;
+      })
+      .catch((err) => {
+        saveSession(null);
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+api.interceptors.response.use(
+  (res) => res,
+  async (err) => {
+    const original = err.config;
+    const session = loadSession();
+    if (
+      err.response?.status !== 401 ||
+      !session?.refreshToken ||
+      original?._retried ||
+      original?.url?.startsWith("/auth/")
+    ) {
+      throw err;
+    }
+    original._retried = true;
+    const fresh = await refreshSession(session.refreshToken);
+    original.headers.Authorization = `Bearer ${fresh.accessToken}`;
+    return api(original);
+  }
+);
+
+export default api;
@@ -0,0 +1,112 @@
+import api from "./client";
+
+/**
+ * GET /cohorts?course= — a course's upcoming and running cohorts, each with
+ * the viewer's membership ({ status: "enrolled" | "waitlisted", waitlistPosition }).
+ */
+export async function fetchCourseCohorts(courseId) {
+  const { data } = await api.get("/cohorts", { params: { course: courseId } });
+  return data.items;
+}
+
+
+/** GET /cohorts/mine — { memberships, mentoring } */
+export async function fetchMyCohorts() {
+  const { data } = await api.get("/cohorts/mine");
+  return data;
+}
+
+/** GET /cohorts/:id — { cohort, membership, members? } (members only for its mentor) */
+export async function fetchCohort(cohortId) {
+  const { data } = await api.get(`/cohorts/${cohortId}`);
+  return data;
+}
+
+/** POST /cohorts/:id/join — the new membership (enrolled, or waitlisted when full) */
+export async function joinCohort(cohortId) {
+  const { data } = await api.post(`/cohorts/${cohortId}/join`);
+  return data.membership;
+}
+
+/** DELETE /cohorts/:id/membership */
+export async function leaveCohort(cohortId) {
+  await api.delete(`/cohorts/${cohortId}/membership`);
+}
+
+/** POST /cohorts (mentors) — body { course, title, startsAt, endsAt, timezone, capacity, sessions } */
+export async function createCohort(body) {
+  const { data } = await api.post("/cohorts", body);
+  return data.cohort;
+}
+
+/** PUT /cohorts/:id (mentors) */
+export async function updateCohort(cohortId, body) {
+  const { data } = await api.put(`/cohorts/${cohortId}`, body);
+  return data.cohort;
+}
+
+/**
+ * GET /cohorts/calendar — { events } between from and to (ISO dates).
+ * kind is "session", "mentor_session" or "open_slot"; role "learner" or "mentor".
+ */
+export async function fetchCalendar(from, to) {
+  const { data } = await api.get("/cohorts/calendar", { params: { from, to } });
+  return data.events;
+}
+
+async function downloadIcs(path, filename) {
+  const { data } = await api.get(path, { responseType: "blob" });
+  const url = URL.createObjectURL(data);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Downloads the schedule as .ics (needs the auth header, so it can't be a plain link) */
+export function downloadCalendar() {
+  return downloadIcs("/cohorts/calendar.ics", "edusphar-schedule.ics");
+}
+
+/** Downloads one cohort's sessions as .ics — seated learners and mentors only */
+export function downloadCohortCalendar(cohortId) {
+  return downloadIcs(`/cohorts/${cohortId}/calendar.ics`, "edusphar-cohort.ics");
+}
+
+/** GET /mentor-slots — open slots the signed-in learner can book */
+export async function fetchBookableSlots() {
+  const { data } = await api.get("/mentor-slots");
+  return data.items;
+}
+
+/** POST /mentor-slots/:id/book */
+export async function bookSlot(slotId, note) {
+  const { data } = await api.post(`/mentor-slots/${slotId}/book`, { note });
+  return data.slot;
+}
+
+/** DELETE /mentor-slots/:id/booking — frees the slot again */
+export async function cancelBooking(slotId) {
+  await api.delete(`/mentor-slots/${slotId}/booking`);
+}
+
+/** POST /mentor-slots (mentors) — body { startsAt, endsAt, cohort?, meetingUrl? } */
+export async function createSlot(body) {
+  const { data } = await api.post("/mentor-slots", body);
+  return data.slot;
+}
+
+/** DELETE /mentor-slots/:id (mentors) */
+export async function withdrawSlot(slotId) {
+  await api.delete(`/mentor-slots/${slotId}`);
+}
+
+/**
+ * GET /cohorts/:id/messages — chat history, oldest first; `before` (a date)
+ * pages back. New messages arrive over the WebSocket (see RealtimeProvider).
+ */
+export async function fetchCohortMessages(cohortId, params = {}) {
+  const { data } = await api.get(`/cohorts/${cohortId}/messages`, { params });
+  return data.items;
+}
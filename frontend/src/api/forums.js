@@ -0,0 +1,102 @@
+import api from "./client";
+
+/**
+ * A board is `{ course, lesson? }` (course ids or slugs) or `{ group }`.
+ * GET /forums/threads — { items, total, page, pages, board: { canPost,
+ * canModerate, ban, course, lesson, group } }; params add sort
+ * (latest | top | new), unanswered, q and page.
+ */
+export async function fetchThreads(board, params = {}) {
+  const { data } = await api.get("/forums/threads", { params: { ...board, ...params } });
+  return data;
+}
+
+/** POST /forums/threads — body { ...board, title, body, kind: "discussion" | "question" } */
+export async function createThread(body) {
+  const { data } = await api.post("/forums/threads", body);
+  return data.thread;
+}
+
+/** GET /forums/threads/:id — { thread, posts, board } */
+export async function fetchThread(threadId) {
+  const { data } = await api.get(`/forums/threads/${threadId}`);
+  return data;
+}
+
+/** PUT /forums/threads/:id — { title, body } (author) or { pinned, locked } (moderators) */
+export async function updateThread(threadId, body) {
+  const { data } = await api.put(`/forums/threads/${threadId}`, body);
+  return data.thread;
+}
+
+export async function deleteThread(threadId) {
+  await api.delete(`/forums/threads/${threadId}`);
+}
+
+/** PUT /forums/threads/:id/accepted — the reply that answered a question (null clears it) */
+export async function acceptAnswer(threadId, postId) {
+  const { data } = await api.put(`/forums/threads/${threadId}/accepted`, { post: postId });
+  return data.thread;
+}
+
+/** POST /forums/threads/:id/posts — body { body, parent? } */
+export async function createPost(threadId, body) {
+  const { data } = await api.post(`/forums/threads/${threadId}/posts`, body);
+  return data.post;
+}
+
+export async function updatePost(postId, body) {
+  const { data } = await api.put(`/forums/posts/${postId}`, { body });
+  return data.post;
+}
+
+export async function deletePost(postId) {
+  await api.delete(`/forums/posts/${postId}`);
+}
+
+/** Upvotes (or un-votes) a thread or post — { score, voted } */
+export async function vote(kind, id, up) {
+  const url = `/forums/${kind}s/${id}/vote`;
+  const { data } = up ? await api.post(url) : await api.delete(url);
+  return data;
+}
+
+/** Flags a thread or post for the board's moderators */
+export async function reportContent(kind, id, reason) {
+  const { data } = await api.post(`/forums/${kind}s/${id}/report`, { reason });
+  return data.report;
+}
+
+/** Moderators: hides a thread or post (with a reason), or restores it */
+export async function setHidden(kind, id, hide, reason) {
+  const url = `/forums/${kind}s/${id}/hide`;
+  const { data } = hide ? await api.post(url, { reason }) : await api.delete(url);
+  return data[kind];
+}
+
+/** GET /forums/reports — a board's open reports (moderators) */
+export async function fetchReports(board) {
+  const { data } = await api.get("/forums/reports", { params: board });
+  return data.items;
+}
+
+export async function dismissReport(reportId) {
+  const { data } = await api.post(`/forums/reports/${reportId}/dismiss`);
+  return data.report;
+}
+
+/** GET /forums/bans — bans in force on a board (moderators) */
+export async function fetchBans(board) {
+  const { data } = await api.get("/forums/bans", { params: board });
+  return data.items;
+}
+
+/** POST /forums/bans — body { user, ...board, reason?, days? } */
+export async function banUser(body) {
+  const { data } = await api.post("/forums/bans", body);
+  return data.ban;
+}
+
+export async function liftBan(banId) {
+  await api.delete(`/forums/bans/${banId}`);
+}
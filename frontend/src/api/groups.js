@@ -0,0 +1,58 @@
+import api from "./client";
+
+/**
+ * GET /groups — { items, total, page, pages }; params q, course, mine, page.
+ * Each group carries the viewer's membership ({ role, status }) or null.
+ */
+export async function fetchGroups(params = {}) {
+  const { data } = await api.get("/groups", { params });
+  return data;
+}
+
+/** POST /groups — body { name, description, course?, visibility, timezone, tags, maxMembers } */
+export async function createGroup(body) {
+  const { data } = await api.post("/groups", body);
+  return data.group;
+}
+
+/** GET /groups/:id — { group, membership, canModerate } */
+export async function fetchGroup(groupId) {
+  const { data } = await api.get(`/groups/${groupId}`);
+  return data;
+}
+
+export async function updateGroup(groupId, body) {
+  const { data } = await api.put(`/groups/${groupId}`, body);
+  return data.group;
+}
+
+export async function deleteGroup(groupId) {
+  await api.delete(`/groups/${groupId}`);
+}
+
+/** POST /groups/:id/join — the membership: "active", or "pending" for private groups */
+export async function joinGroup(groupId) {
+  const { data } = await api.post(`/groups/${groupId}/join`);
+  return data.membership;
+}
+
+export async function leaveGroup(groupId) {
+  await api.delete(`/groups/${groupId}/membership`);
+}
+
+/** GET /groups/:id/members — join requests are included for moderators */
+export async function fetchGroupMembers(groupId) {
+  const { data } = await api.get(`/groups/${groupId}/members`);
+  return data.items;
+}
+
+/** PUT /groups/:id/members/:userId — { status: "active" } approves, { role } promotes */
+export async function updateGroupMember(groupId, userId, body) {
+  const { data } = await api.put(`/groups/${groupId}/members/${userId}`, body);
+  return data.member;
+}
+
+/** Declines a request or removes a member */
+export async function removeGroupMember(groupId, userId) {
+  await api.delete(`/groups/${groupId}/members/${userId}`);
+}
@@ -0,0 +1,70 @@
+import api from "./client";
+
+/**
+ * POST /courses/:id/enroll — { enrollment, nextLesson }.
+ * Paid courses reject with 402 and details.checkout; use startCheckout instead.
+ */
+export async function enrollInCourse(courseId) {
+  const { data } = await api.post(`/courses/${courseId}/enroll`);
+  return data;
+}
+
+/** GET /courses/:id/enrollment — active enrollment or null */
+export async function fetchEnrollment(courseId) {
+  const { data } = await api.get(`/courses/${courseId}/enrollment`);
+  return data.enrollment;
+}
+
+/** GET /enrollments — the signed-in learner's courses */
+export async function fetchMyEnrollments() {
+  const { data } = await api.get("/enrollments");
+  return data.items;
+}
+
+/**
+ * GET /courses/:id/lessons/:lessonId — { lesson, media, progress }.
+ * media ({ video, captions }) holds tokenised paths; pass them through mediaUrl.
+ */
+export async function fetchLesson(courseId, lessonId) {
+  const { data } = await api.get(`/courses/${courseId}/lessons/${lessonId}`);
+  return data;
+}
+
+/** Absolute URL for a media path returned by the API */
+export function mediaUrl(path) {
+  return `${api.defaults.baseURL}${path}`;
+}
+
+/** GET /progress/courses/:id — { items, lessonCount, completedCount, percent } */
+export async function fetchCourseProgress(courseId) {
+  const { data } = await api.get(`/progress/courses/${courseId}`);
+  return data;
+}
+
+/** PUT /progress/lessons/:id — body { position, duration } or { completed: true } */
+export async function saveProgress(lessonId, body) {
+  const { data } = await api.put(`/progress/lessons/${lessonId}`, body);
+  return data;
+}
+
+/** POST /checkout — { order, payment } */
+export async function startCheckout(courseId) {
+  const { data } = await api.post("/checkout", { course: courseId });
+  return data;
+}
+
+/** POST /checkout/:orderId/confirm — { order, enrollment, nextLesson } */
+export async function confirmCheckout(orderId, paymentDetails) {
+  const { data } = await api.post(`/checkout/${orderId}/confirm`, paymentDetails);
+  return data;
+}
+
+/**
+ * GET /learning-path/next — the recommended next step across active courses:
+ * { course, type, lesson, reason } or null. type is one of review, practice,
+ * prerequisite, skip_ahead or next.
+ */
+export async function fetchNextStep() {
+  const { data } = await api.get("/learning-path/next");
+  return data.next;
+}
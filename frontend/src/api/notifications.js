@@ -0,0 +1,17 @@
+import api from "./client";
+
+/** GET /notifications — { items, total, page, pages, unread }, newest first */
+export async function fetchNotifications(params = {}) {
+  const { data } = await api.get("/notifications", { params });
+  return data;
+}
+
+/** PUT /notifications/:id/read — { notification, unread } */
+export async function markNotificationRead(notificationId) {
+  const { data } = await api.put(`/notifications/${notificationId}/read`);
+  return data;
+}
+
+export async function markAllNotificationsRead() {
+  await api.post("/notifications/read");
+}
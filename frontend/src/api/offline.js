@@ -0,0 +1,262 @@
+/**
+ * offline.js
+ *
+ * Lesson downloads and the offline outbox (storage: utils/offlineDb.js).
+ *
+ * Downloading a lesson stores everything LessonPage needs to show it with no
+ * connection: the course outline, the lesson itself and, for videos, the
+ * video and caption files. Quizzes are graded on the server, so downloading
+ * a quiz reserves an attempt (the questions, never the answers) that can be
+ * answered offline. Timed quizzes can't be downloaded: their clock runs on
+ * the server.
+ *
+ * Progress and quiz submissions made offline wait in the outbox until
+ * syncOutbox runs after reconnecting. Conflicts:
+ *  - progress carries recordedAt, so the server ignores a position older
+ *    than one another device saved since; completion always counts
+ *  - a quiz submission the server refuses with 409 (already submitted
+ *    elsewhere, or closed) is dropped and reported back as a conflict
+ */
+import { fetchLesson, mediaUrl, saveProgress } from "./learning";
+import { fetchQuiz, startQuizAttempt, submitQuizAttempt } from "./quizzes";
+import { errorMessage } from "./client";
+import {
+  deleteByPrefix,
+  deleteItem,
+  getAllItems,
+  getByIndex,
+  getItem,
+  putItem,
+} from "../utils/offlineDb";
+
+/** True when a request failed for lack of a connection rather than an error response */
+export function isNetworkError(err) {
+  return Boolean(err?.isAxiosError) && !err.response;
+}
+
+async function fetchBlob(path) {
+  const res = await fetch(mediaUrl(path));
+  if (!res.ok) throw new Error(`Download failed (${res.status})`);
+  return res.blob();
+}
+
+/* ===========
+   Downloads
+   =========== */
+
+const summarize = ({ id, courseSlug, title, type, savedAt, bytes, pendingQuiz }) => ({
+  id,
+  courseSlug,
+  title,
+  type,
+  savedAt,
+  bytes,
+  pendingQuiz,
+});
+
+/**
+ * Saves a lesson for offline use. `course` and `modules` are the outline
+ * from GET /courses/:slug; `userId` owns any quiz attempt reserved.
+ * Resolves with the saved lesson's summary.
+ */
+export async function downloadLesson(course, modules, lessonId, userId) {
+  const data = await fetchLesson(course.id, lessonId);
+  const { lesson, media, quiz } = data;
+
+  let attempt = null;
+  if (lesson.type === "quiz" && quiz) {
+    const overview = await fetchQuiz(quiz);
+    if (overview.quiz.timeLimitMinutes) throw new Error("Timed quizzes can only be taken online.");
+    if (overview.attemptsLeft === 0 && !overview.inProgress) throw new Error("You’ve used all your attempts.");
+    attempt = await startQuizAttempt(quiz);
+  }
+
+  const files = [];
+  if (media?.video) files.push({ key: `${lessonId}:video`, blob: await fetchBlob(media.video) });
+  for (const c of media?.captions ?? []) {
+    files.push({ key: `${lessonId}:captions:${c.lang}`, blob: await fetchBlob(c.src) });
+  }
+
+  // ask the browser not to evict downloads when space runs low
+  await navigator.storage?.persist?.().catch(() => {});
+
+  const record = {
+    id: lessonId,
+    courseSlug: course.slug,
+    title: lesson.title,
+    type: lesson.type,
+    data,
+    attempt,
+    userId,
+    pendingQuiz: false,
+    savedAt: new Date().toISOString(),
+    bytes: files.reduce((n, f) => n + f.blob.size, 0) + JSON.stringify(data).length,
+  };
+  try {
+    await Promise.all(files.map((f) => putItem("media", f)));
+    await putItem("courses", { slug: course.slug, course, modules, savedAt: record.savedAt });
+    await putItem("lessons", record);
+  } catch (err) {
+    await deleteByPrefix("media", `${lessonId}:`).catch(() => {});
+    if (err?.name === "QuotaExceededError") throw new Error("Not enough storage space on this device.");
+    throw err;
+  }
+  return summarize(record);
+}
+
+/** Removes a downloaded lesson (and its course outline once no lessons are left) */
+export async function removeDownload(lessonId) {
+  const record = await getItem("lessons", lessonId);
+  await Promise.all([deleteItem("lessons", lessonId), deleteByPrefix("media", `${lessonId}:`)]);
+  if (record && !(await getByIndex("lessons", "courseSlug", record.courseSlug)).length) {
+    await deleteItem("courses", record.courseSlug);
+  }
+}
+
+/** [{ course, lessons: [summary] }] for every course with downloads */
+export async function listDownloads() {
+  const [courses, lessons] = await Promise.all([getAllItems("courses"), getAllItems("lessons")]);
+  return courses.map((c) => ({
+    course: c.course,
+    lessons: lessons.filter((l) => l.courseSlug === c.slug).map(summarize),
+  }));
+}
+
+/** The saved outline ({ course, modules }) for a course slug, or null */
+export async function loadOfflineCourse(slug) {
+  const saved = await getItem("courses", slug);
+  return saved ? { course: saved.course, modules: saved.modules } : null;
+}
+
+/**
+ * A downloaded lesson in the shape of GET /courses/:id/lessons/:id, plus
+ * offline: { video, captions: [{ lang, label, blob }], attempt, pendingQuiz }.
+ * The quiz attempt is only included for the user who reserved it.
+ * Null when the lesson wasn't downloaded.
+ */
+export async function loadOfflineLesson(lessonId, userId) {
+  const record = await getItem("lessons", lessonId);
+  if (!record) return null;
+  const { media } = record.data;
+  const [video, ...captions] = await Promise.all([
+    media?.video ? getItem("media", `${lessonId}:video`) : null,
+    ...(media?.captions ?? []).map((c) => getItem("media", `${lessonId}:captions:${c.lang}`)),
+  ]);
+  return {
+    ...record.data,
+    offline: {
+      video: video?.blob ?? null,
+      captions: (media?.captions ?? [])
+        .map((c, i) => ({ lang: c.lang, label: c.label, blob: captions[i]?.blob }))
+        .filter((c) => c.blob),
+      attempt: record.userId === userId ? record.attempt : null,
+      pendingQuiz: record.userId === userId && record.pendingQuiz,
+    },
+  };
+}
+
+async function updateLesson(lessonId, fn) {
+  const record = await getItem("lessons", lessonId);
+  if (record) await putItem("lessons", fn(record));
+}
+
+/* ===========
+   Outbox
+   =========== */
+
+/**
+ * Queues a progress update ({ position, duration } or { completed: true }).
+ * Only the latest position per lesson is kept; completion sticks.
+ */
+export async function queueProgress(userId, lessonId, body) {
+  const outbox = await getAllItems("outbox");
+  const existing = outbox.find((e) => e.type === "progress" && e.userId === userId && e.lessonId === lessonId);
+  const entry = {
+    ...existing,
+    type: "progress",
+    userId,
+    lessonId,
+    position: body.position ?? existing?.position,
+    duration: body.duration ?? existing?.duration,
+    completed: Boolean(body.completed || existing?.completed),
+    recordedAt: new Date().toISOString(),
+    queuedAt: existing?.queuedAt ?? new Date().toISOString(),
+  };
+  await putItem("outbox", entry);
+
+  // keep the downloaded copy's resume point in step
+  await updateLesson(lessonId, (r) => ({
+    ...r,
+    data: {
+      ...r.data,
+      progress: {
+        ...r.data.progress,
+        lesson: lessonId,
+        position: entry.position ?? r.data.progress?.position ?? 0,
+        completed: entry.completed || Boolean(r.data.progress?.completed),
+      },
+    },
+  }));
+  return entry;
+}
+
+/** Queues answers to a downloaded quiz attempt for grading once online */
+export async function queueQuizSubmission(userId, lessonId, attemptId, answers) {
+  await putItem("outbox", {
+    type: "quiz",
+    userId,
+    lessonId,
+    attemptId,
+    answers,
+    queuedAt: new Date().toISOString(),
+  });
+  await updateLesson(lessonId, (r) => ({ ...r, pendingQuiz: true }));
+}
+
+/** Outbox entries waiting for `userId` */
+export async function pendingCount(userId) {
+  return (await getAllItems("outbox")).filter((e) => e.userId === userId).length;
+}
+
+/**
+ * Replays `userId`'s outbox entries in order (others wait for their owner to
+ * sign in), stopping at the first network failure or a 401, which needs the
+ * learner to sign in again. Resolves with { synced, results, conflicts,
+ * remaining }; results are the server responses of synced quiz submissions
+ * ({ lessonId, response }).
+ */
+export async function syncOutbox(userId) {
+  const outbox = (await getAllItems("outbox")).filter((e) => e.userId === userId);
+  const summary = { synced: 0, results: [], conflicts: [], remaining: outbox.length };
+
+  for (const entry of outbox) {
+    let conflict = null;
+    try {
+      if (entry.type === "progress") {
+        const { position, duration, completed, recordedAt } = entry;
+        await saveProgress(entry.lessonId, { position, duration, completed, recordedAt });
+      } else if (entry.type === "quiz") {
+        const response = await submitQuizAttempt(entry.attemptId, entry.answers);
+        summary.results.push({ lessonId: entry.lessonId, response });
+      }
+    } catch (err) {
+      const status = err.response?.status;
+      if (isNetworkError(err) || status === 401 || status >= 500) break;
+      // the server won't ever take this one: report it and move on
+      conflict = {
+        type: entry.type,
+        lessonId: entry.lessonId,
+        message: errorMessage(err, "This change could not be synced"),
+      };
+    }
+    await deleteItem("outbox", entry.id);
+    if (entry.type === "quiz") {
+      // the reserved attempt is used up either way
+      await updateLesson(entry.lessonId, (r) => ({ ...r, attempt: null, pendingQuiz: false }));
+    }
+    if (conflict) summary.conflicts.push(conflict);
+    else summary.synced += 1;
+    summary.remaining -= 1;
+  }
+  return summary;
+}
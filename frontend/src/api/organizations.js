@@ -0,0 +1,128 @@
+import api from "./client";
+
+/** GET /orgs — [{ org, role }]: organizations the user has a seat in */
+export async function fetchMyOrgs() {
+  const { data } = await api.get("/orgs");
+  return data.items;
+}
+
+/** POST /orgs — needs a Teams subscription; the caller becomes its admin */
+export async function createOrg(name) {
+  const { data } = await api.post("/orgs", { name });
+  return data.org;
+}
+
+/** GET /orgs/:id — { org, membership, teams, seats: { limit, used, members, invites } } */
+export async function fetchOrg(orgId) {
+  const { data } = await api.get(`/orgs/${orgId}`);
+  return data;
+}
+
+export async function updateOrg(orgId, body) {
+  const { data } = await api.put(`/orgs/${orgId}`, body);
+  return data.org;
+}
+
+/* Members */
+
+export async function fetchOrgMembers(orgId, params = {}) {
+  const { data } = await api.get(`/orgs/${orgId}/members`, { params });
+  return data.items;
+}
+
+/** PUT /orgs/:id/members/:memberId — body { role?, teams? } */
+export async function updateOrgMember(orgId, memberId, body) {
+  const { data } = await api.put(`/orgs/${orgId}/members/${memberId}`, body);
+  return data.member;
+}
+
+/** DELETE /orgs/:id/members/:memberId — removes someone, or leaves when it's your own seat */
+export async function removeOrgMember(orgId, memberId) {
+  await api.delete(`/orgs/${orgId}/members/${memberId}`);
+}
+
+/* Invites */
+
+export async function fetchOrgInvites(orgId) {
+  const { data } = await api.get(`/orgs/${orgId}/invites`);
+  return data.items;
+}
+
+/**
+ * POST /orgs/:id/invites — body { emails } or { csv }, plus default role and teams.
+ * Returns { created: [{ invite, link }], skipped: [{ email, reason }], seats }.
+ */
+export async function inviteToOrg(orgId, body) {
+  const { data } = await api.post(`/orgs/${orgId}/invites`, body);
+  return data;
+}
+
+/** POST /orgs/:id/invites/:inviteId/resend — { invite, link } with a fresh link */
+export async function resendOrgInvite(orgId, inviteId) {
+  const { data } = await api.post(`/orgs/${orgId}/invites/${inviteId}/resend`);
+  return data;
+}
+
+export async function revokeOrgInvite(orgId, inviteId) {
+  await api.delete(`/orgs/${orgId}/invites/${inviteId}`);
+}
+
+/** GET /orgs/invites/:token — { org, email, status } (no sign-in needed) */
+export async function fetchInvite(token) {
+  const { data } = await api.get(`/orgs/invites/${token}`);
+  return data.invite;
+}
+
+export async function acceptInvite(token) {
+  const { data } = await api.post(`/orgs/invites/${token}/accept`);
+  return data.member;
+}
+
+/* Teams */
+
+export async function createTeam(orgId, name) {
+  const { data } = await api.post(`/orgs/${orgId}/teams`, { name });
+  return data.team;
+}
+
+export async function renameTeam(orgId, teamId, name) {
+  const { data } = await api.put(`/orgs/${orgId}/teams/${teamId}`, { name });
+  return data.team;
+}
+
+/** DELETE /orgs/:id/teams/:teamId — also removes the team's course assignments */
+export async function deleteTeam(orgId, teamId) {
+  await api.delete(`/orgs/${orgId}/teams/${teamId}`);
+}
+
+/* Assignments & progress */
+
+export async function fetchOrgAssignments(orgId) {
+  const { data } = await api.get(`/orgs/${orgId}/assignments`);
+  return data.items;
+}
+
+/** POST /orgs/:id/assignments — body { course (id or slug), team?, dueAt, note? } */
+export async function assignCourse(orgId, body) {
+  const { data } = await api.post(`/orgs/${orgId}/assignments`, body);
+  return data.assignment;
+}
+
+export async function deleteOrgAssignment(orgId, assignmentId) {
+  await api.delete(`/orgs/${orgId}/assignments/${assignmentId}`);
+}
+
+/**
+ * GET /orgs/:id/report — { assignments: [{ ...assignment, summary }], members: [{ member, courses }] };
+ * each course: { assignment, percent, status, completedAt }. params: team.
+ */
+export async function fetchOrgReport(orgId, params = {}) {
+  const { data } = await api.get(`/orgs/${orgId}/report`, { params });
+  return data;
+}
+
+/** GET /orgs/:id/report/me — { assignments, courses }: the caller's own progress */
+export async function fetchMyOrgProgress(orgId) {
+  const { data } = await api.get(`/orgs/${orgId}/report/me`);
+  return data;
+}
@@ -0,0 +1,123 @@
+import api from "./client";
+
+/** GET /assignments?course= — a course's projects, each with the viewer's latest attempt */
+export async function fetchCourseProjects(courseId) {
+  const { data } = await api.get("/assignments", { params: { course: courseId } });
+  return data.items;
+}
+
+/**
+ * GET /assignments/:id — { assignment, course, canEdit } plus, when signed in,
+ * { attempts (newest first), rules: { canSubmit, reason?, closesAt }, grade }
+ */
+export async function fetchProject(assignmentId) {
+  const { data } = await api.get(`/assignments/${assignmentId}`);
+  return data;
+}
+
+/** POST /assignments (instructors) — body { course, title, instructions, rubric, reviewMode, ... } */
+export async function createProject(body) {
+  const { data } = await api.post("/assignments", body);
+  return data.assignment;
+}
+
+/** PUT /assignments/:id (instructors) */
+export async function updateProject(assignmentId, body) {
+  const { data } = await api.put(`/assignments/${assignmentId}`, body);
+  return data.assignment;
+}
+
+/** DELETE /assignments/:id (instructors; refused once work was handed in) */
+export async function deleteProject(assignmentId) {
+  await api.delete(`/assignments/${assignmentId}`);
+}
+
+/** GET /assignments/:id/submissions (instructors) — handed-in work with review progress */
+export async function fetchProjectSubmissions(assignmentId) {
+  const { data } = await api.get(`/assignments/${assignmentId}/submissions`);
+  return data.items;
+}
+
+/** POST /assignments/:id/submissions — the open draft, starting a new attempt if allowed */
+export async function startSubmission(assignmentId) {
+  const { data } = await api.post(`/assignments/${assignmentId}/submissions`);
+  return data.submission;
+}
+
+/** GET /submissions/:id — { submission, assignment, role, reviews } */
+export async function fetchSubmission(submissionId) {
+  const { data } = await api.get(`/submissions/${submissionId}`);
+  return data;
+}
+
+/** PUT /submissions/:id — draft details { repositoryUrl, notes } */
+export async function updateSubmission(submissionId, body) {
+  const { data } = await api.put(`/submissions/${submissionId}`, body);
+  return data.submission;
+}
+
+/** POST /submissions/:id/files — sends the File as the raw request body */
+export async function uploadSubmissionFile(submissionId, file, onProgress) {
+  const { data } = await api.post(`/submissions/${submissionId}/files`, file, {
+    params: { name: file.name },
+    headers: { "Content-Type": file.type || "application/octet-stream" },
+    onUploadProgress: (e) => onProgress?.(e.total ? e.loaded / e.total : 0),
+  });
+  return data.file;
+}
+
+/** DELETE /submissions/:id/files/:fileId */
+export async function removeSubmissionFile(submissionId, fileId) {
+  await api.delete(`/submissions/${submissionId}/files/${fileId}`);
+}
+
+/** The file as a Blob (needs the auth header, so it can't be a plain link) */
+export async function fetchSubmissionFile(submissionId, fileId) {
+  const { data } = await api.get(`/submissions/${submissionId}/files/${fileId}`, { responseType: "blob" });
+  return data;
+}
+
+export async function downloadSubmissionFile(submissionId, file) {
+  const url = URL.createObjectURL(await fetchSubmissionFile(submissionId, file.id));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = file.name;
+  a.click();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** POST /submissions/:id/submit — hands the draft in */
+export async function submitSubmission(submissionId) {
+  const { data } = await api.post(`/submissions/${submissionId}/submit`);
+  return data.submission;
+}
+
+/** POST /submissions/:id/reviews (instructors, mentors) — takes on a mentor review */
+export async function startMentorReview(submissionId) {
+  const { data } = await api.post(`/submissions/${submissionId}/reviews`);
+  return data.review;
+}
+
+/** GET /submissions/reviews — the signed-in user's review assignments, open ones first */
+export async function fetchMyReviews() {
+  const { data } = await api.get("/submissions/reviews");
+  return data.items;
+}
+
+/** GET /submissions/reviews/:id — { review, submission, assignment, course } */
+export async function fetchReview(reviewId) {
+  const { data } = await api.get(`/submissions/reviews/${reviewId}`);
+  return data;
+}
+
+/** PUT /submissions/reviews/:id — saves { scores, summary, comments } */
+export async function saveReview(reviewId, body) {
+  const { data } = await api.put(`/submissions/reviews/${reviewId}`, body);
+  return data.review;
+}
+
+/** POST /submissions/reviews/:id/complete — saves and completes it (every criterion scored) */
+export async function completeReview(reviewId, body) {
+  const { data } = await api.post(`/submissions/reviews/${reviewId}/complete`, body);
+  return data.review;
+}
@@ -0,0 +1,28 @@
+import api from "./client";
+
+/**
+ * GET /quizzes/:id — { quiz, questionCount, attemptsUsed, attemptsLeft,
+ * bestPercent, passed, inProgress, history }
+ */
+export async function fetchQuiz(quizId) {
+  const { data } = await api.get(`/quizzes/${quizId}`);
+  return data;
+}
+
+/** POST /quizzes/:id/attempts — starts (or resumes) an attempt */
+export async function startQuizAttempt(quizId) {
+  const { data } = await api.post(`/quizzes/${quizId}/attempts`);
+  return data.attempt;
+}
+
+/** GET /quizzes/attempts/:id */
+export async function fetchQuizAttempt(attemptId) {
+  const { data } = await api.get(`/quizzes/attempts/${attemptId}`);
+  return data.attempt;
+}
+
+/** POST /quizzes/attempts/:id/submit — { attempt, lessonCompleted?, courseCompleted? } */
+export async function submitQuizAttempt(attemptId, answers) {
+  const { data } = await api.post(`/quizzes/attempts/${attemptId}/submit`, { answers });
+  return data;
+}
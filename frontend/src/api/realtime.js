@@ -0,0 +1,12 @@
+import api from "./client";
+
+/**
+ * The WebSocket endpoint next to the REST API (…/api/ws). Browsers can't set
+ * headers on a WebSocket, so the access token goes in the query string.
+ */
+export function socketUrl(token) {
+  const url = new URL(`${api.defaults.baseURL}/ws`, window.location.href);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  url.searchParams.set("token", token);
+  return url.toString();
+}
@@ -0,0 +1,90 @@
+import api from "./client";
+
+/**
+ * GET /courses/:id/reviews — { items, total, page, pages, breakdown, mine,
+ * canReview, helpful }; params: sort (helpful | newest | highest | lowest),
+ * rating and page. `breakdown` counts visible reviews per star, `helpful`
+ * lists the ids of listed reviews the viewer marked helpful.
+ */
+export async function fetchCourseReviews(courseId, params = {}) {
+  const { data } = await api.get(`/courses/${courseId}/reviews`, { params });
+  return data;
+}
+
+/** POST /courses/:id/reviews — body { rating, comment? }; enrolled learners only */
+export async function createReview(courseId, body) {
+  const { data } = await api.post(`/courses/${courseId}/reviews`, body);
+  return data.review;
+}
+
+/** PUT /reviews/:id — body { rating?, comment? } */
+export async function updateReview(reviewId, body) {
+  const { data } = await api.put(`/reviews/${reviewId}`, body);
+  return data.review;
+}
+
+export async function deleteReview(reviewId) {
+  await api.delete(`/reviews/${reviewId}`);
+}
+
+/** POST or DELETE /reviews/:id/helpful — { helpfulCount, helpful } */
+export async function setHelpful(reviewId, helpful) {
+  const { data } = helpful
+    ? await api.post(`/reviews/${reviewId}/helpful`)
+    : await api.delete(`/reviews/${reviewId}/helpful`);
+  return data;
+}
+
+export async function reportReview(reviewId, reason) {
+  const { data } = await api.post(`/reviews/${reviewId}/report`, { reason });
+  return data.report;
+}
+
+/** PUT /reviews/:id/reply — the course instructor's public answer */
+export async function saveReply(reviewId, body) {
+  const { data } = await api.put(`/reviews/${reviewId}/reply`, { body });
+  return data.review;
+}
+
+export async function deleteReply(reviewId) {
+  const { data } = await api.delete(`/reviews/${reviewId}/reply`);
+  return data.review;
+}
+
+/** GET /reviews/featured — the landing page testimonials, with user and course */
+export async function fetchFeaturedReviews(limit = 6) {
+  const { data } = await api.get("/reviews/featured", { params: { limit } });
+  return data.items;
+}
+
+/* Moderation (review:moderate) */
+
+/** GET /reviews — every review, hidden ones too; params: featured, minRating, course, page */
+export async function fetchAllReviews(params = {}) {
+  const { data } = await api.get("/reviews", { params });
+  return data;
+}
+
+/** GET /reviews/reports — open reports, oldest first, with the review */
+export async function fetchReviewReports() {
+  const { data } = await api.get("/reviews/reports");
+  return data.items;
+}
+
+export async function dismissReviewReport(reportId) {
+  const { data } = await api.post(`/reviews/reports/${reportId}/dismiss`);
+  return data.report;
+}
+
+/** Hides with a reason (settling its open reports), or restores with hidden=false */
+export async function setReviewHidden(reviewId, hidden, reason) {
+  const { data } = hidden
+    ? await api.post(`/reviews/${reviewId}/hide`, { reason })
+    : await api.delete(`/reviews/${reviewId}/hide`);
+  return data.review;
+}
+
+export async function setReviewFeatured(reviewId, featured) {
+  const { data } = await api.put(`/reviews/${reviewId}/featured`, { featured });
+  return data.review;
+}
@@ -0,0 +1,18 @@
+import api from "./client";
+
+/** GET /search — { items, total, page, pages, query, correctedQuery, facets } */
+export async function searchCourses(params = {}, { signal } = {}) {
+  const { data } = await api.get("/search", {
+    params,
+    signal,
+    // topic=React&topic=Node.js rather than topic[]=...
+    paramsSerializer: { indexes: null },
+  });
+  return data;
+}
+
+/** GET /search/suggest — [{ type: "course" | "category" | "topic", label, slug? }] */
+export async function fetchSuggestions(q, { signal } = {}) {
+  const { data } = await api.get("/search/suggest", { params: { q }, signal });
+  return data.items;
+}
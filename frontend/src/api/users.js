@@ -0,0 +1,19 @@
+import api from "./client";
+
+/** PUT /users/me — { name, avatarUrl, headline, bio, country, locale }; returns the user */
+export async function updateProfile(body) {
+  const { data } = await api.put("/users/me", body);
+  return data.user;
+}
+
+/** GET /users — admin / institution manager only */
+export async function fetchUsers(params = {}) {
+  const { data } = await api.get("/users", { params });
+  return data;
+}
+
+/** PUT /users/:id/role — admin only */
+export async function updateUserRole(id, role) {
+  const { data } = await api.put(`/users/${id}/role`, { role });
+  return data.user;
+}
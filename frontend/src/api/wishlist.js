@@ -0,0 +1,35 @@
+import api from "./client";
+
+/** GET /wishlist — [{ course, addedAt }], newest first */
+export async function fetchWishlist() {
+  const { data } = await api.get("/wishlist");
+  return data.items;
+}
+
+/** PUT /wishlist/:courseId (idempotent) */
+export async function addToWishlist(courseId) {
+  await api.put(`/wishlist/${courseId}`);
+}
+
+/** DELETE /wishlist/:courseId */
+export async function removeFromWishlist(courseId) {
+  await api.delete(`/wishlist/${courseId}`);
+}
+
+// most ids the API merges in one request
+const MERGE_BATCH = 100;
+
+/**
+ * POST /wishlist/merge — adds locally saved course ids, in batches the API
+ * accepts. Resolves to { courses: every saved id, skipped: ids not added }.
+ */
+export async function mergeWishlist(courseIds) {
+  let courses = [];
+  const skipped = [];
+  for (let i = 0; i < courseIds.length; i += MERGE_BATCH) {
+    const { data } = await api.post("/wishlist/merge", { courses: courseIds.slice(i, i + MERGE_BATCH) });
+    courses = data.courses;
+    skipped.push(...data.skipped);
+  }
+  return { courses, skipped };
+}
@@ -0,0 +1,106 @@
+/**
+ * AuthForm.jsx
+ *
+ * Sign-up / sign-in form shared by the header modal and the /login page.
+ * mode: "signup" | "signin"
+ */
+import React, { useEffect, useRef, useState } from "react";
+import useAuth from "../hooks/useAuth";
+import { errorMessage } from "../api/client";
+
+const inputClass =
+  "w-full rounded-lg px-3 py-2 border border-slate-200 dark:border-slate-700 bg-transparent text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+export default function AuthForm({ mode, onModeChange, onSuccess }) {
+  const { signIn, signUp } = useAuth();
+  const [form, setForm] = useState({ name: "", email: "", password: "" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const firstFieldRef = useRef(null);
+
+  const isSignUp = mode === "signup";
+
+  useEffect(() => {
+    setError("");
+    firstFieldRef.current?.focus();
+  }, [mode]);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const user = isSignUp ? await signUp(form) : await signIn(form);
+      setForm({ name: "", email: "", password: "" });
+      onSuccess?.(user);
+    } catch (err) {
+      setError(errorMessage(err, "Could not sign you in"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <form onSubmit={onSubmit} className="space-y-3">
+        {isSignUp && (
+          <div>
+            <label htmlFor="auth-name" className="text-sm text-slate-600 dark:text-slate-300">Name</label>
+            <input id="auth-name" ref={firstFieldRef} required value={form.name} onChange={update("name")} className={inputClass} />
+          </div>
+        )}
+        <div>
+          <label htmlFor="auth-email" className="text-sm text-slate-600 dark:text-slate-300">Email</label>
+          <input
+            id="auth-email"
+            ref={isSignUp ? undefined : firstFieldRef}
+            type="email"
+            required
+            autoComplete="email"
+            value={form.email}
+            onChange={update("email")}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="auth-password" className="text-sm text-slate-600 dark:text-slate-300">Password</label>
+          <input
+            id="auth-password"
+            type="password"
+            required
+            minLength={8}
+            autoComplete={isSignUp ? "new-password" : "current-password"}
+            value={form.password}
+            onChange={update("password")}
+            className={inputClass}
+          />
+        </div>
+
+        {error && (
+          <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full rounded-lg bg-indigo-600 px-4 py-2 text-white font-medium hover:bg-indigo-700 disabled:opacity-60 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {busy ? "Please wait…" : isSignUp ? "Sign up free" : "Sign in"}
+        </button>
+      </form>
+
+      <p className="mt-4 text-center text-sm text-slate-600 dark:text-slate-300">
+        {isSignUp ? "Already have an account?" : "New to EduSphar?"}{" "}
+        <button
+          type="button"
+          onClick={() => onModeChange(isSignUp ? "signin" : "signup")}
+          className="text-indigo-600 hover:underline"
+        >
+          {isSignUp ? "Sign in" : "Create one"}
+        </button>
+      </p>
+    </>
+  );
+}
@@ -0,0 +1,49 @@
+/**
+ * AuthModal.jsx
+ *
+ * Sign-up / sign-in dialog. Open it from anywhere with useAuth().openAuth(mode);
+ * SiteLayout renders the single instance.
+ */
+import React, { useEffect } from "react";
+import { X } from "lucide-react";
+import AuthForm from "./AuthForm";
+import useAuth from "../hooks/useAuth";
+
+export default function AuthModal() {
+  const { authMode: mode, openAuth, closeAuth } = useAuth();
+
+  useEffect(() => {
+    if (!mode) return;
+    const onKey = (e) => e.key === "Escape" && closeAuth();
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [mode, closeAuth]);
+
+  if (!mode) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/40" onClick={closeAuth} aria-hidden />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="auth-heading"
+        className="relative w-full max-w-sm rounded-2xl bg-white dark:bg-slate-900 p-6 shadow-xl"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="auth-heading" className="text-lg font-semibold text-slate-900 dark:text-white">
+            {mode === "signup" ? "Create your account" : "Welcome back"}
+          </h2>
+          <button
+            aria-label="Close"
+            onClick={closeAuth}
+            className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none"
+          >
+            <X size={18} />
+          </button>
+        </div>
+        <AuthForm mode={mode} onModeChange={openAuth} onSuccess={closeAuth} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+/**
+ * CardFields.jsx
+ *
+ * Card number / expiry / CVC inputs shared by the checkout, subscribe and
+ * billing pages. `value` is { cardNumber, expiry, cvc }; onChange gets the
+ * whole updated object.
+ */
+import React from "react";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+export default function CardFields({ value, onChange }) {
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <>
+      <label className="block text-sm">
+        Card number
+        <input
+          value={value.cardNumber}
+          onChange={update("cardNumber")}
+          inputMode="numeric"
+          autoComplete="cc-number"
+          placeholder="4242 4242 4242 4242"
+          required
+          className={inputClass}
+        />
+      </label>
+      <div className="grid grid-cols-2 gap-4">
+        <label className="block text-sm">
+          Expiry
+          <input
+            value={value.expiry}
+            onChange={update("expiry")}
+            autoComplete="cc-exp"
+            placeholder="MM/YY"
+            required
+            className={inputClass}
+          />
+        </label>
+        <label className="block text-sm">
+          CVC
+          <input
+            value={value.cvc}
+            onChange={update("cvc")}
+            inputMode="numeric"
+            autoComplete="cc-csc"
+            placeholder="123"
+            required
+            className={inputClass}
+          />
+        </label>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,179 @@
+/**
+ * CohortCalendar.jsx
+ *
+ * Week view of the signed-in user's cohort sessions and one-to-one mentor
+ * sessions (GET /cohorts/calendar) in the viewer's time zone, with an .ics
+ * export for calendar apps. Learners can cancel a booking from here; mentors
+ * also see their open slots and can withdraw them.
+ *
+ * Bump `reloadKey` to refetch after changes made elsewhere on the page;
+ * `onChange` fires after a change made here.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router";
+import { CalendarDays, ChevronLeft, ChevronRight, Download, Video } from "lucide-react";
+import LoadError from "./LoadError";
+import useApi from "../hooks/useApi";
+import { cancelBooking, downloadCalendar, fetchCalendar, withdrawSlot } from "../api/cohorts";
+import { errorMessage } from "../api/client";
+import cn from "../utils/cn";
+import { formatTime } from "../utils/format";
+
+const KIND_STYLES = {
+  session: "bg-indigo-50 dark:bg-indigo-950/40 border-indigo-100 dark:border-indigo-900",
+  mentor_session: "bg-emerald-50 dark:bg-emerald-950/40 border-emerald-100 dark:border-emerald-900",
+  open_slot: "border-dashed border-slate-300 dark:border-slate-600",
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Monday 00:00 (local) of the week containing `date`
+function startOfWeek(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+function EventCard({ event: e, onAction, busy }) {
+  const action =
+    e.kind === "open_slot"
+      ? { label: "Withdraw", run: () => withdrawSlot(e.slot) }
+      : e.kind === "mentor_session" && !e.cancelled
+        ? { label: "Cancel booking", run: () => cancelBooking(e.slot) }
+        : null;
+  const upcoming = new Date(e.startsAt) > new Date();
+
+  return (
+    <li className={cn("rounded-xl border p-2 text-xs", KIND_STYLES[e.kind], e.cancelled && "opacity-60")}>
+      <div className="font-medium text-slate-500">
+        {formatTime(e.startsAt)}–{formatTime(e.endsAt)}
+      </div>
+      <div className={cn("mt-0.5 font-semibold text-sm", e.cancelled && "line-through")}>{e.title}</div>
+      {e.course && (
+        <Link to={`/courses/${e.course.slug}`} className="block truncate text-slate-600 dark:text-slate-300 hover:underline">
+          {e.course.title}
+        </Link>
+      )}
+      {e.kind === "session" && e.with && <div className="text-slate-500">with {e.with}</div>}
+      {e.cancelled && <div className="text-amber-600">Cancelled by the mentor</div>}
+      {e.description && <p className="mt-1 text-slate-600 dark:text-slate-300 line-clamp-3">{e.description}</p>}
+      <div className="mt-1 flex flex-wrap gap-x-3">
+        {e.meetingUrl && !e.cancelled && (
+          <a href={e.meetingUrl} target="_blank" rel="noreferrer" className="inline-flex items-center gap-1 text-indigo-600 hover:underline">
+            <Video size={12} aria-hidden /> Join
+          </a>
+        )}
+        {action && upcoming && (
+          <button onClick={() => onAction(action.run)} disabled={busy} className="text-slate-500 hover:underline disabled:opacity-60">
+            {action.label}
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default function CohortCalendar({ reloadKey = 0, onChange }) {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const load = useCallback(
+    () => fetchCalendar(weekStart.toISOString(), addDays(weekStart, 7).toISOString()),
+    [weekStart]
+  );
+  const { data: events, error, loading, reload } = useApi(load);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  async function onAction(run) {
+    setBusy(true);
+    setActionError("");
+    try {
+      await run();
+      reload();
+      onChange?.();
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const days = [0, 1, 2, 3, 4, 5, 6].map((i) => addDays(weekStart, i));
+  const today = new Date().toDateString();
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <CalendarDays size={18} className="text-indigo-600" aria-hidden />
+        <span className="font-medium">
+          {weekStart.toLocaleDateString(undefined, { day: "numeric", month: "short" })} –{" "}
+          {addDays(weekStart, 6).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" })}
+        </span>
+        <div className="ml-auto flex items-center gap-1">
+          <button
+            onClick={() => setWeekStart((w) => addDays(w, -7))}
+            aria-label="Previous week"
+            className="p-1.5 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <button
+            onClick={() => setWeekStart(startOfWeek(new Date()))}
+            className="rounded-md px-2 py-1 text-sm hover:bg-slate-100 dark:hover:bg-slate-800"
+          >
+            This week
+          </button>
+          <button
+            onClick={() => setWeekStart((w) => addDays(w, 7))}
+            aria-label="Next week"
+            className="p-1.5 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"
+          >
+            <ChevronRight size={16} />
+          </button>
+          <button
+            onClick={() => downloadCalendar().catch((err) => setActionError(errorMessage(err, "Could not export the calendar")))}
+            className="ml-2 inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm"
+          >
+            <Download size={14} aria-hidden /> Export .ics
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      {actionError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+
+      <ol className="mt-3 grid grid-cols-1 md:grid-cols-7 gap-2" aria-busy={loading}>
+        {days.map((day) => {
+          const key = day.toDateString();
+          const dayEvents = events?.filter((e) => new Date(e.startsAt).toDateString() === key) ?? [];
+          return (
+            <li
+              key={key}
+              className={cn(
+                "min-h-24 rounded-xl border border-slate-100 dark:border-slate-800 p-2",
+                key === today && "ring-2 ring-indigo-200 dark:ring-indigo-800"
+              )}
+            >
+              <div className="text-xs font-semibold uppercase tracking-wide text-slate-500">
+                {day.toLocaleDateString(undefined, { weekday: "short", day: "numeric" })}
+              </div>
+              <ul className="mt-2 space-y-2">
+                {dayEvents.map((e) => (
+                  <EventCard key={e.id} event={e} onAction={onAction} busy={busy} />
+                ))}
+              </ul>
+            </li>
+          );
+        })}
+      </ol>
+      {events?.length === 0 && <p className="mt-2 text-sm text-slate-500">Nothing scheduled this week.</p>}
+    </div>
+  );
+}
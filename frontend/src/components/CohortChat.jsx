@@ -0,0 +1,190 @@
+/**
+ * CohortChat.jsx
+ *
+ * A cohort's chat room: history from the API, live messages, who's online
+ * and who's typing over the WebSocket. Only rendered for the cohort's seated
+ * learners and the people running it.
+ */
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Send } from "lucide-react";
+import LoadError from "./LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useRealtime from "../hooks/useRealtime";
+import { fetchCohortMessages } from "../api/cohorts";
+import { errorMessage } from "../api/client";
+import { formatTime } from "../utils/format";
+
+// how long a "typing" signal lasts, and how often we send ours
+const TYPING_MS = 4000;
+const TYPING_THROTTLE_MS = 2000;
+
+const byId = (messages) => [...new Map(messages.map((m) => [m.id, m])).values()];
+
+export default function CohortChat({ cohortId }) {
+  const room = `cohort:${cohortId}`;
+  const { user } = useAuth();
+  const { connected, send, subscribe, joinRoom } = useRealtime();
+  const load = useCallback(() => fetchCohortMessages(cohortId), [cohortId]);
+  const { data: messages, error, loading, reload, setData } = useApi(load);
+  const [online, setOnline] = useState([]);
+  const [typing, setTyping] = useState({});
+  const [draft, setDraft] = useState("");
+  const [sendError, setSendError] = useState("");
+  const [olderDone, setOlderDone] = useState(false);
+  const lastTypingRef = useRef(0);
+  const listRef = useRef(null);
+
+  useEffect(() => joinRoom(room), [joinRoom, room]);
+
+  useEffect(() => {
+    const mine = (fn) => (msg) => msg.room === room && fn(msg);
+    const offs = [
+      subscribe(
+        "message",
+        mine(({ message }) => {
+          setData((list) => byId([...(list ?? []), message]));
+          setTyping((t) => {
+            const { [message.author?.id]: _, ...rest } = t;
+            return rest;
+          });
+        })
+      ),
+      subscribe("presence", mine(({ users }) => setOnline(users))),
+      subscribe(
+        "typing",
+        mine(({ user: who }) => setTyping((t) => ({ ...t, [who.id]: { name: who.name, until: Date.now() + TYPING_MS } })))
+      ),
+      subscribe("error", mine(({ message }) => setSendError(message))),
+      // catch up on anything sent while we were disconnected
+      subscribe("open", reload),
+    ];
+    return () => offs.forEach((off) => off());
+  }, [room, subscribe, reload, setData]);
+
+  // expire typing indicators
+  useEffect(() => {
+    if (!Object.keys(typing).length) return undefined;
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setTyping((t) => Object.fromEntries(Object.entries(t).filter(([, v]) => v.until > now)));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [typing]);
+
+  // keep the newest message in view
+  const count = messages?.length ?? 0;
+  useEffect(() => {
+    const list = listRef.current;
+    if (list) list.scrollTop = list.scrollHeight;
+  }, [count]);
+
+  function onDraftChange(e) {
+    setDraft(e.target.value);
+    const now = Date.now();
+    if (now - lastTypingRef.current > TYPING_THROTTLE_MS) {
+      lastTypingRef.current = now;
+      send({ type: "typing", room });
+    }
+  }
+
+  function onSubmit(e) {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+    setSendError("");
+    if (!send({ type: "message", room, body })) {
+      setSendError("You’re offline — reconnecting…");
+      return;
+    }
+    setDraft("");
+    lastTypingRef.current = 0;
+  }
+
+  async function loadOlder() {
+    try {
+      const older = await fetchCohortMessages(cohortId, { before: messages[0].createdAt });
+      if (!older.length) setOlderDone(true);
+      setData((list) => byId([...older, ...(list ?? [])]));
+    } catch (err) {
+      setSendError(errorMessage(err, "Could not load earlier messages"));
+    }
+  }
+
+  const typingNames = Object.entries(typing)
+    .filter(([id]) => id !== user?.id)
+    .map(([, v]) => v.name);
+
+  return (
+    <section className="mt-10" aria-labelledby="chat-heading">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 id="chat-heading" className="text-xl font-semibold">Cohort chat</h2>
+        <span className="flex items-center gap-2 text-xs text-slate-500">
+          <span className={`h-2 w-2 rounded-full ${connected ? "bg-emerald-500" : "bg-slate-400"}`} aria-hidden />
+          {connected ? `${online.length} online${online.length ? `: ${online.map((u) => u.name).join(", ")}` : ""}` : "Connecting…"}
+        </span>
+      </div>
+
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      <div
+        ref={listRef}
+        className="mt-4 h-96 overflow-y-auto rounded-2xl border border-slate-100 dark:border-slate-800 p-4"
+        aria-live="polite"
+        aria-busy={loading}
+      >
+        {messages?.length >= 50 && !olderDone && (
+          <button onClick={loadOlder} className="mb-3 block w-full text-center text-xs text-indigo-600 hover:underline">
+            Show earlier messages
+          </button>
+        )}
+        {messages?.length === 0 && <p className="text-sm text-slate-500">No messages yet — say hello.</p>}
+        <ul className="space-y-3">
+          {messages?.map((m) => {
+            const mine = m.author?.id === user?.id;
+            return (
+              <li key={m.id} className={`flex ${mine ? "justify-end" : ""}`}>
+                <div
+                  className={`max-w-[80%] rounded-2xl px-3 py-2 text-sm ${
+                    mine ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800"
+                  }`}
+                >
+                  {!mine && (
+                    <div className="text-xs font-medium text-slate-600 dark:text-slate-300">
+                      {m.author?.name ?? "Former member"}
+                      {m.author?.role === "instructor" && <span className="ml-1 text-indigo-600">Mentor</span>}
+                    </div>
+                  )}
+                  <p className="whitespace-pre-line break-words">{m.body}</p>
+                  <div className={`mt-0.5 text-[11px] ${mine ? "text-indigo-100" : "text-slate-400"}`}>{formatTime(m.createdAt)}</div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+      <p className="mt-1 h-4 text-xs text-slate-500">
+        {typingNames.length > 0 && `${typingNames.join(", ")} ${typingNames.length === 1 ? "is" : "are"} typing…`}
+      </p>
+
+      <form onSubmit={onSubmit} className="mt-2 flex gap-2">
+        <input
+          value={draft}
+          onChange={onDraftChange}
+          maxLength={2000}
+          placeholder="Message the cohort"
+          aria-label="Message"
+          className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={!connected || !draft.trim()}
+          aria-label="Send"
+          className="rounded-lg bg-indigo-600 px-3 py-2 text-white disabled:opacity-60"
+        >
+          <Send size={16} />
+        </button>
+      </form>
+      {sendError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{sendError}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,79 @@
+/**
+ * CourseCard.jsx
+ *
+ * Course tile used by the landing carousel, search results and the wishlist.
+ * The heart saves the course via WishlistProvider (works signed out too).
+ */
+import React from "react";
+import { Link } from "react-router";
+import { Heart, Star } from "lucide-react";
+import useWishlist from "../hooks/useWishlist";
+import cn from "../utils/cn";
+import { formatDuration, formatPrice } from "../utils/format";
+
+// Card thumbnails until courses carry their own artwork
+const THUMBNAIL_GRADIENTS = [
+  "bg-gradient-to-tr from-indigo-500 to-violet-500",
+  "bg-gradient-to-tr from-emerald-400 to-cyan-400",
+  "bg-gradient-to-tr from-sky-400 to-indigo-400",
+  "bg-gradient-to-tr from-violet-500 to-pink-500",
+  "bg-gradient-to-tr from-indigo-500 to-cyan-500",
+];
+
+/** Stable gradient per course id */
+function thumbnailFor(id = "") {
+  let hash = 0;
+  for (const ch of String(id)) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  return THUMBNAIL_GRADIENTS[Math.abs(hash) % THUMBNAIL_GRADIENTS.length];
+}
+
+export default function CourseCard({ course: c, className }) {
+  const wishlist = useWishlist();
+  const saved = wishlist.has(c.id);
+
+  return (
+    <article
+      className={cn(
+        "bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800 rounded-2xl p-4 shadow-sm hover:shadow-lg transition-transform active:scale-[0.99]",
+        className
+      )}
+    >
+      {c.thumbnailUrl ? (
+        <img src={c.thumbnailUrl} alt="" className="rounded-xl h-36 w-full object-cover" />
+      ) : (
+        <div className={cn("rounded-xl h-36 w-full overflow-hidden", thumbnailFor(c.id))} />
+      )}
+      <h4 className="mt-3 font-semibold text-slate-900 dark:text-white">
+        <Link to={`/courses/${c.slug}`} className="hover:underline">{c.title}</Link>
+      </h4>
+      <div className="mt-1 text-sm text-slate-500 dark:text-slate-300">{c.instructor?.name}</div>
+      {c.recommendation?.reason && (
+        <p className="mt-1 text-xs text-indigo-600 dark:text-indigo-300">{c.recommendation.reason}</p>
+      )}
+
+      <div className="mt-3 flex items-center justify-between text-sm text-slate-600 dark:text-slate-300">
+        <div className="flex items-center gap-2">
+          <Star size={14} className="text-amber-400" /> {c.rating ? c.rating.toFixed(1) : "New"}
+        </div>
+        <div>{formatDuration(c.durationMinutes)}</div>
+      </div>
+
+      <div className="mt-4 flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-slate-900 dark:text-white">{formatPrice(c)}</div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => wishlist.toggle(c.id).catch(() => {})}
+            aria-label={saved ? `Remove ${c.title} from wishlist` : `Save ${c.title} to wishlist`}
+            aria-pressed={saved}
+            className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none"
+          >
+            <Heart size={16} className={cn(saved && "text-rose-500 fill-rose-500")} />
+          </button>
+          <Link to={`/courses/${c.slug}`} className="rounded-lg bg-indigo-600 px-3 py-2 text-white text-sm">
+            Start
+          </Link>
+        </div>
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,490 @@
+/**
+ * CourseReviews.jsx
+ *
+ * The reviews section of a course page (#reviews): the per-star breakdown,
+ * sorting and filtering, the viewer's own review (written once they're
+ * enrolled), "helpful" votes, reports, and the instructor's public replies.
+ */
+import React, { useCallback, useState } from "react";
+import { Flag, MessageSquareReply, Pencil, ShieldCheck, Star, ThumbsUp, Trash2 } from "lucide-react";
+import LoadError from "./LoadError";
+import Pagination from "./Pagination";
+import Stars from "./Stars";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useReloadOnSignIn from "../hooks/useReloadOnSignIn";
+import {
+  createReview,
+  deleteReply,
+  deleteReview,
+  fetchCourseReviews,
+  reportReview,
+  saveReply,
+  setHelpful,
+  updateReview,
+} from "../api/reviews";
+import { errorMessage } from "../api/client";
+import { formatRelative } from "../utils/format";
+import cn from "../utils/cn";
+
+const SORTS = [
+  { id: "helpful", label: "Most helpful" },
+  { id: "newest", label: "Newest" },
+  { id: "highest", label: "Highest rated" },
+  { id: "lowest", label: "Lowest rated" },
+];
+
+const inputClass = "w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+const linkButton = "inline-flex items-center gap-1 hover:underline disabled:opacity-60";
+
+function StarPicker({ value, onChange }) {
+  return (
+    <div role="radiogroup" aria-label="Your rating" className="flex gap-1">
+      {[1, 2, 3, 4, 5].map((n) => (
+        <button
+          key={n}
+          type="button"
+          role="radio"
+          aria-checked={value === n}
+          aria-label={`${n} ${n === 1 ? "star" : "stars"}`}
+          onClick={() => onChange(n)}
+          className="p-0.5"
+        >
+          <Star size={22} className={n <= value ? "text-amber-400 fill-amber-400" : "text-slate-300"} />
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function ReviewForm({ initial, onSubmit, onCancel }) {
+  const [rating, setRating] = useState(initial?.rating ?? 0);
+  const [comment, setComment] = useState(initial?.comment ?? "");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!rating) {
+      setError("Pick a star rating");
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit({ rating, comment: comment.trim() });
+    } catch (err) {
+      setError(errorMessage(err, "Could not save your review"));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <StarPicker value={rating} onChange={setRating} />
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={4}
+        maxLength={2000}
+        placeholder="What did you think of the course? (optional)"
+        aria-label="Your review"
+        className={inputClass}
+      />
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex items-center gap-3 text-sm">
+        <button type="submit" disabled={busy} className="rounded-lg bg-indigo-600 px-4 py-2 font-semibold text-white disabled:opacity-60">
+          {busy ? "Saving…" : initial ? "Save review" : "Post review"}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-slate-600 dark:text-slate-300">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+function ReplyForm({ initial, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initial ?? "");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit(body.trim());
+    } catch (err) {
+      setError(errorMessage(err, "Could not save your reply"));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="mt-3 space-y-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={3}
+        required
+        maxLength={2000}
+        aria-label="Your reply"
+        className={inputClass}
+      />
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex items-center gap-3 text-sm">
+        <button type="submit" disabled={busy} className="rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5">
+          {busy ? "Saving…" : "Post reply"}
+        </button>
+        <button type="button" onClick={onCancel} className="text-slate-600 dark:text-slate-300">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function Breakdown({ breakdown, selected, onSelect }) {
+  const total = Object.values(breakdown).reduce((sum, n) => sum + n, 0);
+  if (!total) return null;
+  const average = Object.entries(breakdown).reduce((sum, [stars, n]) => sum + stars * n, 0) / total;
+
+  return (
+    <div className="mt-4 flex flex-col sm:flex-row gap-6">
+      <div className="shrink-0 text-center">
+        <div className="text-4xl font-bold">{average.toFixed(1)}</div>
+        <Stars value={average} size={16} />
+        <div className="mt-1 text-xs text-slate-500">
+          {total.toLocaleString()} {total === 1 ? "rating" : "ratings"}
+        </div>
+      </div>
+      <ul className="flex-1 space-y-1 text-sm">
+        {[5, 4, 3, 2, 1].map((stars) => (
+          <li key={stars}>
+            <button
+              onClick={() => onSelect(selected === stars ? undefined : stars)}
+              disabled={!breakdown[stars]}
+              aria-pressed={selected === stars}
+              className={cn(
+                "flex w-full items-center gap-3 rounded-md px-1 disabled:opacity-50",
+                selected === stars && "bg-amber-50 dark:bg-amber-950/30"
+              )}
+            >
+              <span className="w-12 text-left text-slate-600 dark:text-slate-300">{stars} star</span>
+              <span className="h-2 flex-1 rounded-full bg-slate-100 dark:bg-slate-800">
+                <span
+                  className="block h-2 rounded-full bg-amber-400"
+                  style={{ width: `${(breakdown[stars] / total) * 100}%` }}
+                />
+              </span>
+              <span className="w-10 text-right text-slate-500">{breakdown[stars]}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function InstructorReply({ review, canReply, onEdit, onChanged, onError }) {
+  const { reply } = review;
+
+  return (
+    <div className="mt-3 rounded-xl bg-slate-50 dark:bg-slate-800/60 p-3 text-sm">
+      <div className="text-xs text-slate-500">
+        <span className="font-medium text-slate-700 dark:text-slate-200">{reply.author?.name ?? "Instructor"}</span>
+        <span className="ml-1 text-indigo-600">Instructor</span>
+        {` · ${formatRelative(reply.createdAt)}`}
+      </div>
+      <p className="mt-1 whitespace-pre-line text-slate-700 dark:text-slate-300">{reply.body}</p>
+      {canReply && (
+        <div className="mt-2 flex gap-4 text-xs text-slate-500">
+          <button onClick={onEdit} className={linkButton}>
+            <Pencil size={12} aria-hidden /> Edit reply
+          </button>
+          <button
+            onClick={() => deleteReply(review.id).then(onChanged, (err) => onError(errorMessage(err)))}
+            className={linkButton}
+          >
+            <Trash2 size={12} aria-hidden /> Remove reply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ReviewItem({ review, helpful, canReply, onChanged, onHelpful, onError }) {
+  const { user, openAuth } = useAuth();
+  const [replying, setReplying] = useState(false);
+  const [reporting, setReporting] = useState(false);
+  const [reported, setReported] = useState(false);
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const own = user && review.user?.id === user.id;
+
+  async function toggleHelpful() {
+    if (!user) {
+      openAuth();
+      return;
+    }
+    setBusy(true);
+    try {
+      onHelpful(review.id, await setHelpful(review.id, !helpful));
+    } catch (err) {
+      onError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function sendReport(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await reportReview(review.id, reason);
+      setReporting(false);
+      setReported(true);
+    } catch (err) {
+      onError(errorMessage(err, "Could not send the report"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <li className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm">
+          <span className="font-medium">{review.user?.name ?? "Former learner"}</span>
+          <span className="ml-2 inline-flex items-center gap-1 text-xs text-emerald-600">
+            <ShieldCheck size={12} aria-hidden /> Verified enrollment
+          </span>
+        </div>
+        <Stars value={review.rating} />
+      </div>
+      <div className="text-xs text-slate-500">{formatRelative(review.createdAt)}</div>
+      {review.comment && <p className="mt-2 whitespace-pre-line text-sm text-slate-700 dark:text-slate-300">{review.comment}</p>}
+
+      <div className="mt-3 flex flex-wrap items-center gap-4 text-xs text-slate-500">
+        {own ? (
+          review.helpfulCount > 0 && (
+            <span>
+              {review.helpfulCount} {review.helpfulCount === 1 ? "person" : "people"} found this helpful
+            </span>
+          )
+        ) : (
+          <button onClick={toggleHelpful} disabled={busy} aria-pressed={helpful} className={cn(linkButton, helpful && "text-indigo-600")}>
+            <ThumbsUp size={12} aria-hidden className={cn(helpful && "fill-current")} /> Helpful
+            {review.helpfulCount > 0 && ` (${review.helpfulCount})`}
+          </button>
+        )}
+        {user && !own && !reported && (
+          <button onClick={() => setReporting((v) => !v)} className={linkButton}>
+            <Flag size={12} aria-hidden /> Report
+          </button>
+        )}
+        {reported && <span>Reported — thanks</span>}
+        {canReply && !review.reply && !replying && (
+          <button onClick={() => setReplying(true)} className={linkButton}>
+            <MessageSquareReply size={12} aria-hidden /> Reply
+          </button>
+        )}
+      </div>
+
+      {reporting && (
+        <form onSubmit={sendReport} className="mt-2 flex gap-2">
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            required
+            maxLength={500}
+            placeholder="What’s wrong with it?"
+            aria-label="Reason for reporting"
+            className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1 text-sm"
+          />
+          <button type="submit" disabled={busy} className="rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1 text-sm">
+            Send report
+          </button>
+        </form>
+      )}
+
+      {replying ? (
+        <ReplyForm
+          initial={review.reply?.body}
+          onSubmit={async (body) => {
+            onChanged(await saveReply(review.id, body));
+            setReplying(false);
+          }}
+          onCancel={() => setReplying(false)}
+        />
+      ) : (
+        review.reply && (
+          <InstructorReply
+            review={review}
+            canReply={canReply}
+            onEdit={() => setReplying(true)}
+            onChanged={onChanged}
+            onError={onError}
+          />
+        )
+      )}
+    </li>
+  );
+}
+
+/** The viewer's own review with edit / delete, or the form to write one */
+function MyReview({ course, data, onSaved }) {
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState("");
+  const { mine, canReview } = data;
+
+  if (!mine && !canReview) return null;
+
+  if (!mine || editing) {
+    return (
+      <div className="mt-6">
+        <h3 className="mb-2 text-sm font-semibold">{mine ? "Edit your review" : "Rate this course"}</h3>
+        <ReviewForm
+          initial={mine}
+          onSubmit={async (body) => {
+            await (mine ? updateReview(mine.id, body) : createReview(course.id, body));
+            setEditing(false);
+            onSaved();
+          }}
+          onCancel={mine ? () => setEditing(false) : undefined}
+        />
+      </div>
+    );
+  }
+
+  async function remove() {
+    if (!window.confirm("Delete your review?")) return;
+    try {
+      await deleteReview(mine.id);
+      onSaved();
+    } catch (err) {
+      setError(errorMessage(err, "Could not delete your review"));
+    }
+  }
+
+  return (
+    <div className="mt-6 rounded-2xl border border-indigo-100 dark:border-indigo-900 p-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold">Your review</h3>
+        <Stars value={mine.rating} />
+      </div>
+      {mine.hiddenAt && (
+        <p className="mt-1 text-xs text-amber-600">
+          Hidden by a moderator{mine.hiddenReason && `: ${mine.hiddenReason}`}. Others can’t see it and it doesn’t
+          count towards the course rating.
+        </p>
+      )}
+      {mine.comment && <p className="mt-2 whitespace-pre-line text-sm text-slate-700 dark:text-slate-300">{mine.comment}</p>}
+      {error && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="mt-3 flex gap-4 text-xs text-slate-500">
+        <button onClick={() => setEditing(true)} className={linkButton}>
+          <Pencil size={12} aria-hidden /> Edit
+        </button>
+        <button onClick={remove} className={linkButton}>
+          <Trash2 size={12} aria-hidden /> Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function CourseReviews({ course }) {
+  const { user } = useAuth();
+  const [sort, setSort] = useState("helpful");
+  const [rating, setRating] = useState();
+  const [page, setPage] = useState(1);
+  const [actionError, setActionError] = useState("");
+
+  const load = useCallback(() => fetchCourseReviews(course.id, { sort, rating, page }), [course.id, sort, rating, page]);
+  const { data, error, reload, setData } = useApi(load);
+  // refetch after sign-in so the viewer's own review and helpful votes show
+  useReloadOnSignIn(reload);
+  const canReply = Boolean(user) && (user.role === "admin" || user.id === course.instructor?.id);
+
+  function replaceReview(updated) {
+    setData({ ...data, items: data.items.map((r) => (r.id === updated.id ? updated : r)) });
+  }
+
+  function applyHelpful(id, { helpfulCount, helpful }) {
+    setData({
+      ...data,
+      items: data.items.map((r) => (r.id === id ? { ...r, helpfulCount } : r)),
+      helpful: helpful ? [...data.helpful, id] : data.helpful.filter((h) => h !== id),
+    });
+  }
+
+  function filterBy(stars) {
+    setRating(stars);
+    setPage(1);
+  }
+
+  return (
+    <section id="reviews" className="mt-10 scroll-mt-20" aria-labelledby="reviews-heading">
+      <h2 id="reviews-heading" className="text-xl font-semibold">Reviews</h2>
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {data && (
+        <>
+          <Breakdown breakdown={data.breakdown} selected={rating} onSelect={filterBy} />
+          <MyReview course={course} data={data} onSaved={reload} />
+
+          {data.total > 0 || rating ? (
+            <div className="mt-6 flex flex-wrap items-center justify-between gap-3 text-sm">
+              <span className="text-slate-500">
+                {rating
+                  ? `${data.total} with ${rating} ${rating === 1 ? "star" : "stars"}`
+                  : `${data.total} ${data.total === 1 ? "review" : "reviews"}`}
+                {rating && (
+                  <button onClick={() => filterBy(undefined)} className="ml-2 text-indigo-600 hover:underline">
+                    Show all
+                  </button>
+                )}
+              </span>
+              <select
+                value={sort}
+                onChange={(e) => {
+                  setSort(e.target.value);
+                  setPage(1);
+                }}
+                aria-label="Sort reviews"
+                className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1"
+              >
+                {SORTS.map((s) => (
+                  <option key={s.id} value={s.id}>{s.label}</option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <p className="mt-4 text-sm text-slate-600 dark:text-slate-300">
+              No reviews yet. Learners enrolled in the course can rate it.
+            </p>
+          )}
+          {actionError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+
+          <ul className="mt-4 space-y-4">
+            {data.items.map((r) => (
+              <ReviewItem
+                key={r.id}
+                review={r}
+                helpful={data.helpful.includes(r.id)}
+                canReply={canReply}
+                onChanged={replaceReview}
+                onHelpful={applyHelpful}
+                onError={setActionError}
+              />
+            ))}
+          </ul>
+          <Pagination page={data.page} pages={data.pages} onPage={setPage} />
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,249 @@
+/**
+ * DiscussionBoard.jsx
+ *
+ * Thread list of one board — a course (optionally narrowed to a lesson) or a
+ * study group — with sorting, search, an "unanswered questions" filter and
+ * the new-thread form. Threads open on /discussions/:threadId.
+ * Moderators also get the board's report queue and bans.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate } from "react-router";
+import { ArrowBigUp, CheckCircle2, EyeOff, Lock, MessageSquare, Pin, Search, Shield } from "lucide-react";
+import LoadError from "./LoadError";
+import ModerationPanel from "./ModerationPanel";
+import Pagination from "./Pagination";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useReloadOnSignIn from "../hooks/useReloadOnSignIn";
+import { createThread, fetchThreads } from "../api/forums";
+import { errorMessage } from "../api/client";
+import { formatRelative } from "../utils/format";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const SORTS = [
+  { id: "latest", label: "Active" },
+  { id: "new", label: "New" },
+  { id: "top", label: "Top" },
+];
+
+function NewThreadForm({ board, onCancel }) {
+  const navigate = useNavigate();
+  const [form, setForm] = useState({ title: "", body: "", kind: "question" });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      const thread = await createThread({ ...board, ...form });
+      navigate(`/discussions/${thread.id}`);
+    } catch (err) {
+      setError(errorMessage(err, "Could not start the thread"));
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-4 space-y-3 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <div className="flex gap-4 text-sm">
+        {[
+          ["question", "Ask a question"],
+          ["discussion", "Start a discussion"],
+        ].map(([kind, label]) => (
+          <label key={kind} className="flex items-center gap-2">
+            <input type="radio" name="kind" value={kind} checked={form.kind === kind} onChange={update("kind")} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <label className="block text-sm">
+        Title
+        <input value={form.title} onChange={update("title")} required maxLength={160} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Details
+        <textarea value={form.body} onChange={update("body")} required rows={5} maxLength={10000} className={inputClass} />
+      </label>
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex gap-3">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Posting…" : "Post"}
+        </button>
+        <button type="button" onClick={onCancel} className="rounded-lg px-4 py-2 text-sm text-slate-600 dark:text-slate-300">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function DiscussionBoard({ course, lesson, group, title = "Discussions" }) {
+  const { user, openAuth } = useAuth();
+  const [sort, setSort] = useState("latest");
+  const [unanswered, setUnanswered] = useState(false);
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [page, setPage] = useState(1);
+  const [composing, setComposing] = useState(false);
+  const [moderating, setModerating] = useState(false);
+
+  const load = useCallback(
+    () =>
+      fetchThreads(
+        { course, lesson, group },
+        { sort, unanswered: unanswered ? 1 : undefined, q: query || undefined, page }
+      ),
+    [course, lesson, group, sort, unanswered, query, page]
+  );
+  const { data, error, loading, reload } = useApi(load);
+  // refetch after sign-in so posting rights and votes show
+  useReloadOnSignIn(reload);
+  const board = data?.board;
+  const boardRef = group ? { group } : { course, lesson };
+
+  function startThread() {
+    if (!user) {
+      openAuth("signin");
+      return;
+    }
+    setComposing(true);
+  }
+
+  return (
+    <section className="mt-10" aria-labelledby="discussions-heading">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 id="discussions-heading" className="text-xl font-semibold">{title}</h2>
+        <div className="flex items-center gap-2">
+          {board?.canModerate && (
+            <button
+              onClick={() => setModerating((v) => !v)}
+              className="inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm"
+            >
+              <Shield size={14} aria-hidden /> {moderating ? "Hide moderation" : "Moderation"}
+            </button>
+          )}
+          {(!user || board?.canPost) && !composing && (
+            <button onClick={startThread} className="rounded-lg bg-indigo-600 px-3 py-1.5 text-sm text-white">
+              New thread
+            </button>
+          )}
+        </div>
+      </div>
+
+      {board?.ban && (
+        <p className="mt-3 rounded-xl bg-amber-50 dark:bg-amber-900/30 p-3 text-sm">
+          You’ve been banned from posting here
+          {board.ban.expiresAt && ` until ${new Date(board.ban.expiresAt).toLocaleDateString()}`}
+          {board.ban.reason && `: ${board.ban.reason}`}
+        </p>
+      )}
+      {user && board && !board.canPost && !board.ban && (
+        <p className="mt-2 text-sm text-slate-500">
+          {group ? "Join the group to take part." : "Enroll in the course to post and vote."}
+        </p>
+      )}
+
+      {moderating && <ModerationPanel board={group ? { group } : { course }} />}
+      {composing && <NewThreadForm board={boardRef} onCancel={() => setComposing(false)} />}
+
+      <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+        <div role="tablist" aria-label="Sort threads" className="flex rounded-lg border border-slate-200 dark:border-slate-700">
+          {SORTS.map((s) => (
+            <button
+              key={s.id}
+              role="tab"
+              aria-selected={sort === s.id}
+              onClick={() => {
+                setSort(s.id);
+                setPage(1);
+              }}
+              className={`px-3 py-1.5 ${sort === s.id ? "bg-slate-100 dark:bg-slate-800 font-medium" : ""}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={unanswered}
+            onChange={(e) => {
+              setUnanswered(e.target.checked);
+              setPage(1);
+            }}
+          />
+          Unanswered questions
+        </label>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setQuery(search.trim());
+            setPage(1);
+          }}
+          className="ml-auto flex items-center gap-2"
+        >
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search titles"
+            aria-label="Search threads"
+            className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-1.5"
+          />
+          <button type="submit" aria-label="Search" className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+            <Search size={16} />
+          </button>
+        </form>
+      </div>
+
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {loading && !data && <div className="mt-4 h-24 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />}
+      {data?.items.length === 0 && (
+        <p className="mt-4 text-sm text-slate-600 dark:text-slate-300">
+          {query || unanswered ? "No threads match." : "No threads yet — start the conversation."}
+        </p>
+      )}
+
+      <ul className="mt-4 divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800">
+        {data?.items.map((t) => (
+          <li key={t.id} className="flex items-start gap-4 px-4 py-3">
+            <div className="w-10 shrink-0 text-center text-sm text-slate-500">
+              <ArrowBigUp size={18} className={`mx-auto ${t.voted ? "text-indigo-600" : ""}`} aria-hidden />
+              <span aria-label={`${t.score} upvotes`}>{t.score}</span>
+            </div>
+            <div className="min-w-0 flex-1">
+              <div className="flex flex-wrap items-center gap-2">
+                {t.pinned && <Pin size={14} className="text-indigo-600" aria-label="Pinned" />}
+                {t.locked && <Lock size={14} className="text-slate-500" aria-label="Locked" />}
+                {t.hiddenAt && <EyeOff size={14} className="text-amber-600" aria-label="Hidden" />}
+                <Link to={`/discussions/${t.id}`} className="font-medium hover:underline">{t.title}</Link>
+                {t.kind === "question" &&
+                  (t.acceptedPost ? (
+                    <span className="inline-flex items-center gap-1 text-xs text-emerald-600">
+                      <CheckCircle2 size={12} aria-hidden /> Answered
+                    </span>
+                  ) : (
+                    <span className="text-xs text-amber-600">Question</span>
+                  ))}
+              </div>
+              <div className="mt-0.5 text-xs text-slate-500">
+                {t.author?.name ?? "Former member"}
+                {t.lesson && !lesson && ` · ${t.lesson.title}`}
+                {` · active ${formatRelative(t.lastActivityAt)}`}
+              </div>
+            </div>
+            <span className="inline-flex shrink-0 items-center gap-1 text-sm text-slate-500">
+              <MessageSquare size={14} aria-hidden /> {t.replyCount}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {data && <Pagination page={data.page} pages={data.pages} onPage={setPage} />}
+    </section>
+  );
+}
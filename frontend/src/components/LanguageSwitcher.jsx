@@ -0,0 +1,32 @@
+/**
+ * LanguageSwitcher.jsx
+ *
+ * Interface language picker for the Header. Each language is listed under
+ * its own name so it can be found without reading the current one.
+ */
+import React from "react";
+import { Languages } from "lucide-react";
+import useLocale from "../hooks/useLocale";
+import cn from "../utils/cn";
+
+export default function LanguageSwitcher({ className }) {
+  const { locale, locales, setLocale, t } = useLocale();
+
+  return (
+    <label className={cn("relative inline-flex items-center", className)}>
+      <Languages size={16} className="pointer-events-none absolute start-2 text-slate-500" aria-hidden />
+      <span className="sr-only">{t("header.language")}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="appearance-none rounded-md bg-transparent py-2 ps-7 pe-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {locales.map((l) => (
+          <option key={l.code} value={l.code} lang={l.code} dir={l.dir}>
+            {l.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,180 @@
+/**
+ * LearningActivity.jsx
+ *
+ * The learner's study habits on the dashboard: the current streak with a
+ * four-week heatmap, time spent per week, and the trend of their quiz
+ * scores. Days and weeks are counted in the viewer's time zone.
+ */
+import React from "react";
+import { Flame, Target } from "lucide-react";
+import LoadError from "./LoadError";
+import useApi from "../hooks/useApi";
+import { fetchMyActivity, fetchMyQuizTrend } from "../api/analytics";
+import cn from "../utils/cn";
+import { formatDate, formatDuration } from "../utils/format";
+
+const cardClass = "rounded-2xl border border-slate-100 dark:border-slate-800 p-4";
+
+// "YYYY-MM-DD" from the API is a calendar day, not an instant
+const localDay = (day) => new Date(`${day}T00:00:00`);
+
+function heatClass(day) {
+  const minutes = day.seconds / 60;
+  if (!minutes && !day.lessons) return "bg-slate-100 dark:bg-slate-800";
+  if (minutes < 15) return "bg-indigo-200 dark:bg-indigo-900";
+  if (minutes < 45) return "bg-indigo-400 dark:bg-indigo-700";
+  return "bg-indigo-600 dark:bg-indigo-500";
+}
+
+function StreakCard({ activity }) {
+  const { current, longest, activeToday } = activity.streak;
+
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center gap-2 text-sm font-medium text-slate-500">
+        <Flame size={16} className="text-orange-500" aria-hidden /> Learning streak
+      </div>
+      <div className="mt-2 text-3xl font-bold">
+        {current} <span className="text-base font-normal text-slate-500">{current === 1 ? "day" : "days"}</span>
+      </div>
+      <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+        {current && !activeToday ? "Study today to keep it going. " : ""}Longest: {longest}{" "}
+        {longest === 1 ? "day" : "days"}
+      </p>
+      <ol className="mt-4 grid grid-cols-7 gap-1" aria-label="Last 4 weeks">
+        {activity.days.map((d) => {
+          const label = `${formatDate(localDay(d.date))}: ${formatDuration(d.seconds / 60)}, ${d.lessons} ${
+            d.lessons === 1 ? "lesson" : "lessons"
+          } finished`;
+          return (
+            <li
+              key={d.date}
+              title={label}
+              className={cn("aspect-square rounded", heatClass(d), d.date === activity.today && "ring-2 ring-indigo-300")}
+            >
+              <span className="sr-only">{label}</span>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+function WeeklyTime({ weeks }) {
+  const max = Math.max(...weeks.map((w) => w.seconds), 1);
+  const thisWeek = weeks[weeks.length - 1];
+
+  return (
+    <div className={cardClass}>
+      <div className="text-sm font-medium text-slate-500">Time spent per week</div>
+      <div className="mt-2 text-3xl font-bold">
+        {formatDuration(thisWeek.seconds / 60)}{" "}
+        <span className="text-base font-normal text-slate-500">this week</span>
+      </div>
+      <ol className="mt-4 flex h-28 items-end gap-1.5" aria-label="Weekly study time">
+        {weeks.map((w) => {
+          const label = `Week of ${formatDate(localDay(w.start))}: ${formatDuration(w.seconds / 60)}`;
+          return (
+            <li key={w.start} title={label} className="flex h-full flex-1 flex-col justify-end">
+              <div
+                className={cn("rounded-t", w === thisWeek ? "bg-indigo-600" : "bg-indigo-300 dark:bg-indigo-800")}
+                style={{ height: `${Math.max((w.seconds / max) * 100, w.seconds ? 4 : 1)}%` }}
+              />
+              <span className="sr-only">{label}</span>
+            </li>
+          );
+        })}
+      </ol>
+      <div className="mt-1 flex justify-between text-xs text-slate-500">
+        <span>{localDay(weeks[0].start).toLocaleDateString(undefined, { day: "numeric", month: "short" })}</span>
+        <span>This week</span>
+      </div>
+    </div>
+  );
+}
+
+function QuizTrend() {
+  const { data, error, reload } = useApi(fetchMyQuizTrend);
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (!data) return <div className={cn(cardClass, "h-48 animate-pulse")} />;
+
+  // 0–100% onto the chart's 40-unit height, 2 units of padding each side
+  const points = data.items.map((a, i) => {
+    const x = data.items.length > 1 ? (i / (data.items.length - 1)) * 100 : 50;
+    return `${x},${38 - (a.percent / 100) * 36}`;
+  });
+  const latest = data.items[data.items.length - 1];
+
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center gap-2 text-sm font-medium text-slate-500">
+        <Target size={16} className="text-indigo-600" aria-hidden /> Quiz scores
+      </div>
+      {data.attempts === 0 ? (
+        <p className="mt-2 text-sm text-slate-600 dark:text-slate-300">
+          Your quiz results will show up here once you’ve taken one.
+        </p>
+      ) : (
+        <>
+          <div className="mt-2 text-3xl font-bold">
+            {data.averagePercent}% <span className="text-base font-normal text-slate-500">average</span>
+          </div>
+          <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+            {data.passRate}% passed · {data.attempts} {data.attempts === 1 ? "attempt" : "attempts"}
+          </p>
+          <svg
+            viewBox="0 0 100 40"
+            preserveAspectRatio="none"
+            className="mt-4 h-20 w-full overflow-visible"
+            role="img"
+            aria-label={`Scores of your last ${data.items.length} quiz attempts, from ${data.items[0].percent}% to ${latest.percent}%`}
+          >
+            <line
+              x1="0"
+              x2="100"
+              y1="20"
+              y2="20"
+              className="stroke-slate-200 dark:stroke-slate-700"
+              strokeDasharray="2 2"
+              vectorEffect="non-scaling-stroke"
+            />
+            <polyline
+              points={points.join(" ")}
+              fill="none"
+              className="stroke-indigo-600"
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+          <p className="mt-2 truncate text-xs text-slate-500">
+            Latest: {latest.quiz?.title ?? "Quiz"} · {latest.percent}%{latest.passed ? " · passed" : ""}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function LearningActivity() {
+  const { data, error, reload } = useApi(fetchMyActivity);
+
+  return (
+    <section className="mt-10" aria-labelledby="activity-heading">
+      <h2 id="activity-heading" className="text-lg font-semibold">Your learning activity</h2>
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-4">
+        {data ? (
+          <>
+            <StreakCard activity={data} />
+            <WeeklyTime weeks={data.weeks} />
+          </>
+        ) : (
+          !error && [0, 1].map((i) => <div key={i} className={cn(cardClass, "h-48 animate-pulse")} />)
+        )}
+        <QuizTrend />
+      </div>
+    </section>
+  );
+}
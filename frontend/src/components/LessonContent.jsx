@@ -0,0 +1,28 @@
+/**
+ * LessonContent.jsx
+ *
+ * A lesson's written content. Markdown and rich-text lessons arrive as
+ * `contentHtml`, already rendered and cut down to a small tag allowlist by
+ * the API (backend/utils/markup.js), so it is inserted as-is; plain-text
+ * lessons keep their line breaks.
+ */
+import React from "react";
+import cn from "../utils/cn";
+
+const PROSE =
+  "space-y-4 leading-relaxed " +
+  "[&_h2]:mt-6 [&_h2]:text-xl [&_h2]:font-semibold [&_h3]:mt-5 [&_h3]:text-lg [&_h3]:font-semibold [&_h4]:font-semibold " +
+  "[&_h2]:text-slate-900 [&_h3]:text-slate-900 dark:[&_h2]:text-white dark:[&_h3]:text-white " +
+  "[&_ul]:list-disc [&_ol]:list-decimal [&_ul]:pl-6 [&_ol]:pl-6 [&_li]:mt-1 " +
+  "[&_a]:text-indigo-600 [&_a]:underline [&_blockquote]:border-l-4 [&_blockquote]:border-slate-200 " +
+  "dark:[&_blockquote]:border-slate-700 [&_blockquote]:pl-4 [&_blockquote]:italic " +
+  "[&_code]:rounded [&_code]:bg-slate-100 dark:[&_code]:bg-slate-800 [&_code]:px-1 [&_code]:text-sm " +
+  "[&_pre]:overflow-x-auto [&_pre]:rounded-xl [&_pre]:bg-slate-900 [&_pre]:p-4 [&_pre]:text-slate-100 " +
+  "[&_pre_code]:bg-transparent [&_pre_code]:p-0 [&_hr]:border-slate-200 dark:[&_hr]:border-slate-700";
+
+export default function LessonContent({ lesson, className }) {
+  if (lesson.contentHtml) {
+    return <div className={cn(PROSE, className)} dangerouslySetInnerHTML={{ __html: lesson.contentHtml }} />;
+  }
+  return <div className={cn("whitespace-pre-line", className)}>{lesson.content || "No content yet."}</div>;
+}
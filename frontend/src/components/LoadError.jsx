@@ -0,0 +1,16 @@
+import React from "react";
+import { errorMessage } from "../api/client";
+
+/** Inline error with retry, used by API-backed sections */
+export default function LoadError({ error, onRetry }) {
+  return (
+    <div role="alert" className="flex items-center gap-3 text-sm text-red-600 dark:text-red-400">
+      <span>{errorMessage(error, "Could not load this section.")}</span>
+      {onRetry && (
+        <button onClick={onRetry} className="underline hover:no-underline focus:outline-none">
+          Try again
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+/**
+ * ModerationPanel.jsx
+ *
+ * A board's moderation tools: open reports (hide the content, dismiss the
+ * report or ban its author) and the bans in force. `board` is `{ course }`
+ * or `{ group }`.
+ */
+import React, { useCallback, useState } from "react";
+import { Link } from "react-router";
+import LoadError from "./LoadError";
+import useApi from "../hooks/useApi";
+import { banUser, dismissReport, fetchBans, fetchReports, liftBan, setHidden } from "../api/forums";
+import { errorMessage } from "../api/client";
+import { formatDate, formatRelative } from "../utils/format";
+
+const BAN_LENGTHS = [
+  { days: 1, label: "1 day" },
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: undefined, label: "Until lifted" },
+];
+
+export default function ModerationPanel({ board }) {
+  const { course, group } = board;
+  const loadReports = useCallback(() => fetchReports({ course, group }), [course, group]);
+  const loadBans = useCallback(() => fetchBans({ course, group }), [course, group]);
+  const reports = useApi(loadReports);
+  const bans = useApi(loadBans);
+  const [banLength, setBanLength] = useState(0);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState("");
+
+  async function act(id, run) {
+    setBusy(id);
+    setError("");
+    try {
+      await run();
+      reports.reload();
+      bans.reload();
+    } catch (err) {
+      setError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  return (
+    <div className="mt-4 rounded-2xl border border-amber-200 dark:border-amber-800 p-4 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="font-semibold">Reports</h3>
+        <label className="flex items-center gap-2 text-slate-600 dark:text-slate-300">
+          Ban length
+          <select
+            value={banLength}
+            onChange={(e) => setBanLength(Number(e.target.value))}
+            className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1"
+          >
+            {BAN_LENGTHS.map((b, i) => (
+              <option key={b.label} value={i}>{b.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {error && <p role="alert" className="mt-2 text-red-600 dark:text-red-400">{error}</p>}
+      {reports.error && <div className="mt-2"><LoadError error={reports.error} onRetry={reports.reload} /></div>}
+      {reports.data?.length === 0 && <p className="mt-2 text-slate-500">Nothing reported.</p>}
+      <ul className="mt-2 space-y-3">
+        {reports.data?.map((r) => (
+          <li key={r.id} className="rounded-xl bg-slate-50 dark:bg-slate-800/50 p-3">
+            <div className="text-xs text-slate-500">
+              {r.targetKind === "thread" ? "Thread" : "Reply"} in{" "}
+              <Link to={`/discussions/${r.thread}`} className="text-indigo-600 hover:underline">{r.threadTitle ?? "a thread"}</Link>{" "}
+              · reported by {r.reporter?.name ?? "a former member"} {formatRelative(r.createdAt)}
+            </div>
+            <p className="mt-1 font-medium">“{r.reason}”</p>
+            {r.content && (
+              <blockquote className="mt-2 border-l-2 border-slate-300 dark:border-slate-600 pl-3 text-slate-600 dark:text-slate-300 line-clamp-4 whitespace-pre-line">
+                <span className="font-medium">{r.content.author.name}:</span> {r.content.body}
+              </blockquote>
+            )}
+            <div className="mt-2 flex flex-wrap gap-3">
+              <button
+                onClick={() => act(r.id, () => setHidden(r.targetKind, r.target, true, r.reason))}
+                disabled={busy === r.id}
+                className="text-amber-700 dark:text-amber-400 hover:underline disabled:opacity-60"
+              >
+                Hide it
+              </button>
+              <button
+                onClick={() => act(r.id, () => dismissReport(r.id))}
+                disabled={busy === r.id}
+                className="text-slate-600 dark:text-slate-300 hover:underline disabled:opacity-60"
+              >
+                Dismiss
+              </button>
+              {r.content && (
+                <button
+                  onClick={() =>
+                    act(r.id, async () => {
+                      await setHidden(r.targetKind, r.target, true, r.reason);
+                      await banUser({ user: r.content.author.id, course, group, reason: r.reason, days: BAN_LENGTHS[banLength].days });
+                    })
+                  }
+                  disabled={busy === r.id}
+                  className="text-red-600 dark:text-red-400 hover:underline disabled:opacity-60"
+                >
+                  Hide and ban {r.content.author.name}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <h3 className="mt-6 font-semibold">Bans</h3>
+      {bans.error && <div className="mt-2"><LoadError error={bans.error} onRetry={bans.reload} /></div>}
+      {bans.data?.length === 0 && <p className="mt-2 text-slate-500">Nobody is banned.</p>}
+      <ul className="mt-2 divide-y divide-slate-100 dark:divide-slate-800">
+        {bans.data?.map((b) => (
+          <li key={b.id} className="flex flex-wrap items-center gap-3 py-2">
+            <span className="flex-1">
+              <span className="font-medium">{b.user?.name ?? "Former member"}</span>
+              <span className="ml-2 text-slate-500">
+                {b.expiresAt ? `until ${formatDate(b.expiresAt)}` : "until lifted"}
+                {b.reason && ` · ${b.reason}`}
+              </span>
+            </span>
+            <button
+              onClick={() => act(b.id, () => liftBan(b.id))}
+              disabled={busy === b.id}
+              className="text-indigo-600 hover:underline disabled:opacity-60"
+            >
+              Lift
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+/**
+ * NotificationBell.jsx
+ *
+ * Bell in the Header with the unread count and a dropdown of recent
+ * notifications (reviews, grades, sessions starting, billing). New ones
+ * arrive over the WebSocket; opening one marks it read and follows its link.
+ */
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router";
+import { Bell, BookMarked, CalendarClock, ClipboardCheck, CreditCard, GraduationCap } from "lucide-react";
+import useApi from "../hooks/useApi";
+import useRealtime from "../hooks/useRealtime";
+import { fetchNotifications, markAllNotificationsRead, markNotificationRead } from "../api/notifications";
+import { formatRelative } from "../utils/format";
+
+const KIND_ICONS = {
+  review: ClipboardCheck,
+  grade: GraduationCap,
+  session: CalendarClock,
+  billing: CreditCard,
+  assignment: BookMarked,
+};
+const SHOWN = 15;
+
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const { subscribe } = useRealtime();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const load = useCallback(() => fetchNotifications({ limit: SHOWN }), []);
+  const { data, reload, setData } = useApi(load);
+  const unread = data?.unread ?? 0;
+
+  useEffect(() => {
+    const offNotification = subscribe("notification", ({ notification }) =>
+      setData((d) => d && { ...d, items: [notification, ...d.items].slice(0, SHOWN), unread: d.unread + 1 })
+    );
+    // anything that came in while we were disconnected
+    const offOpen = subscribe("open", reload);
+    return () => {
+      offNotification();
+      offOpen();
+    };
+  }, [subscribe, reload, setData]);
+
+  // close on outside click / Escape
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => e.key === "Escape" && setOpen(false);
+    document.addEventListener("mousedown", onDown);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDown);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  function openNotification(n) {
+    setOpen(false);
+    if (!n.readAt) {
+      setData((d) => ({
+        ...d,
+        items: d.items.map((i) => (i.id === n.id ? { ...i, readAt: new Date().toISOString() } : i)),
+        unread: Math.max(0, d.unread - 1),
+      }));
+      markNotificationRead(n.id).catch(() => {});
+    }
+    if (n.link) navigate(n.link);
+  }
+
+  function readAll() {
+    setData((d) => ({
+      ...d,
+      items: d.items.map((i) => ({ ...i, readAt: i.readAt ?? new Date().toISOString() })),
+      unread: 0,
+    }));
+    markAllNotificationsRead().catch(reload);
+  }
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        aria-label={unread ? `Notifications, ${unread} unread` : "Notifications"}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((o) => !o)}
+        className="relative p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        <Bell size={18} />
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] rounded-full bg-red-600 px-1 text-center text-[11px] font-semibold leading-[18px] text-white">
+            {unread > 9 ? "9+" : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-2 w-80 rounded-xl border border-slate-100 dark:border-slate-800 bg-white dark:bg-slate-900 p-2 shadow-lg"
+        >
+          <div className="flex items-center justify-between px-3 py-2">
+            <span className="font-medium text-slate-900 dark:text-white">Notifications</span>
+            {unread > 0 && (
+              <button onClick={readAll} className="text-xs text-indigo-600 hover:underline">
+                Mark all read
+              </button>
+            )}
+          </div>
+          {data?.items.length === 0 && <p className="px-3 py-4 text-sm text-slate-500">Nothing yet.</p>}
+          <ul className="max-h-96 overflow-y-auto">
+            {data?.items.map((n) => {
+              const Icon = KIND_ICONS[n.kind] ?? Bell;
+              return (
+                <li key={n.id}>
+                  <button
+                    role="menuitem"
+                    onClick={() => openNotification(n)}
+                    className="flex w-full items-start gap-3 rounded-md px-3 py-2 text-left hover:bg-slate-100 dark:hover:bg-slate-800"
+                  >
+                    <Icon size={16} className="mt-0.5 shrink-0 text-indigo-600" aria-hidden />
+                    <span className="min-w-0 flex-1">
+                      <span className={`block text-sm ${n.readAt ? "text-slate-600 dark:text-slate-300" : "font-medium text-slate-900 dark:text-white"}`}>
+                        {n.title}
+                      </span>
+                      {n.body && <span className="block truncate text-xs text-slate-500">{n.body}</span>}
+                      <span className="block text-xs text-slate-400">{formatRelative(n.createdAt)}</span>
+                    </span>
+                    {!n.readAt && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-indigo-600" aria-label="Unread" />}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
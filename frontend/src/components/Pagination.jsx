@@ -0,0 +1,30 @@
+import React from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+/** Previous / "Page x of y" / next; renders nothing for a single page */
+export default function Pagination({ page, pages, onPage }) {
+  if (!pages || pages <= 1) return null;
+  return (
+    <nav aria-label="Pagination" className="mt-8 flex items-center justify-center gap-3 text-sm">
+      <button
+        disabled={page <= 1}
+        onClick={() => onPage(page - 1)}
+        className="p-2 rounded-md border border-slate-200 dark:border-slate-700 disabled:opacity-40"
+        aria-label="Previous page"
+      >
+        <ChevronLeft size={16} />
+      </button>
+      <span>
+        Page {page} of {pages}
+      </span>
+      <button
+        disabled={page >= pages}
+        onClick={() => onPage(page + 1)}
+        className="p-2 rounded-md border border-slate-200 dark:border-slate-700 disabled:opacity-40"
+        aria-label="Next page"
+      >
+        <ChevronRight size={16} />
+      </button>
+    </nav>
+  );
+}
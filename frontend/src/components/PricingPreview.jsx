@@ -0,0 +1,104 @@
+import React, { useCallback, useState } from "react";
+import { Link } from "react-router";
+import { Check } from "lucide-react";
+import LoadError from "./LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useLocale from "../hooks/useLocale";
+import { fetchPlans, fetchSubscription } from "../api/billing";
+import { formatMoney } from "../utils/format";
+import cn from "../utils/cn";
+
+const buttonClass = "block w-full rounded-lg bg-indigo-600 px-4 py-2 text-center text-white hover:bg-indigo-700";
+
+/** Pricing preview — plans from the API; paid ones go to /subscribe/:plan */
+export default function PricingPreview() {
+  const { user, openAuth } = useAuth();
+  const { t } = useLocale();
+  const [monthly, setMonthly] = useState(true);
+  const cycle = monthly ? "monthly" : "yearly";
+  const { data: plans, error, reload } = useApi(fetchPlans);
+  const loadSubscription = useCallback(() => (user ? fetchSubscription() : Promise.resolve(null)), [user]);
+  const { data: subscription } = useApi(loadSubscription);
+  const currentPlan = subscription?.plan;
+
+  function action(plan) {
+    if (currentPlan?.code === plan.code) {
+      return <Link to="/billing" className={buttonClass}>{t("pricing.manage")}</Link>;
+    }
+    if (plan.isFree) {
+      if (user) return <Link to="/courses" className={buttonClass}>{t("pricing.browse")}</Link>;
+      return <button onClick={() => openAuth("signup")} className={buttonClass}>{t("pricing.getStarted")}</button>;
+    }
+    let label = t("pricing.choose", { plan: plan.name });
+    if (currentPlan) label = t(plan.order > currentPlan.order ? "pricing.upgrade" : "pricing.switch", { plan: plan.name });
+    return <Link to={`/subscribe/${plan.code}?cycle=${cycle}`} className={buttonClass}>{label}</Link>;
+  }
+
+  return (
+    <section id="pricing" className="py-12">
+      <div className="container mx-auto max-w-7xl px-4">
+        <div className="text-center">
+          <h3 className="text-lg font-semibold text-indigo-600">{t("pricing.heading")}</h3>
+          <p className="mt-2 text-slate-700 dark:text-slate-300">{t("pricing.lead")}</p>
+        </div>
+
+        <div className="mt-6 flex items-center justify-center gap-3">
+          <button onClick={() => setMonthly(true)} className={cn("px-4 py-1 rounded-full", monthly ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800")}>{t("pricing.monthly")}</button>
+          <button onClick={() => setMonthly(false)} className={cn("px-4 py-1 rounded-full", !monthly ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800")}>{t("pricing.yearly")}</button>
+        </div>
+
+        {error && <div className="mt-8 flex justify-center"><LoadError error={error} onRetry={reload} /></div>}
+
+        <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-6">
+          {!plans && !error && [0, 1, 2].map((i) => <div key={i} className="h-72 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />)}
+          {plans?.map((plan, i) => (
+            <div
+              key={plan.id}
+              className={cn(
+                "flex flex-col rounded-2xl border p-6 bg-white dark:bg-slate-900 border-slate-100 dark:border-slate-800",
+                i === 1 ? "shadow-lg" : "shadow-sm",
+                currentPlan?.code === plan.code && "ring-2 ring-indigo-500"
+              )}
+            >
+              <div className="flex items-center justify-between">
+                <div>
+                  <h4 className="font-semibold">
+                    {plan.name}
+                    {currentPlan?.code === plan.code && <span className="ms-2 text-xs font-normal text-indigo-600">{t("pricing.yourPlan")}</span>}
+                  </h4>
+                  <p className="text-sm text-slate-500">{plan.tagline}</p>
+                </div>
+                <div className="text-end text-indigo-600 font-bold text-lg">
+                  {plan.isFree
+                    ? t("pricing.free")
+                    : t(monthly ? "pricing.perMonth" : "pricing.perYear", { price: formatMoney(plan.prices[cycle], plan.currency) })}
+                  {!plan.isFree && <div className="text-xs font-normal text-slate-500">{t(monthly ? "pricing.billedMonthly" : "pricing.billedYearly")}</div>}
+                </div>
+              </div>
+              <ul className="mt-4 flex-1 space-y-2 text-sm text-slate-600 dark:text-slate-300">
+                {plan.features.map((f) => (
+                  <li key={f} className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> {f}</li>
+                ))}
+                {plan.seats > 1 && (
+                  <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> {t("pricing.seats", { count: plan.seats })}</li>
+                )}
+              </ul>
+              <div className="mt-6">
+                {action(plan)}
+                {!plan.isFree && plan.trialDays > 0 && !currentPlan && (
+                  <p className="mt-2 text-center text-xs text-slate-500">{t("pricing.trial", { days: plan.trialDays })}</p>
+                )}
+                {plan.seats > 1 && (
+                  <p className="mt-2 text-center text-xs text-slate-500">
+                    {t("pricing.biggerTeam")} <Link to="/contact" className="text-indigo-600 hover:underline">{t("pricing.contactSales")}</Link>
+                  </p>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,371 @@
+/**
+ * QuizRunner.jsx
+ *
+ * Quiz lesson body: overview (attempts, best score) -> attempt -> result.
+ * Grading happens on the server; the client only ever gets prompts and
+ * options, and after submitting, which of its own answers were right.
+ * Timed attempts show a countdown and submit themselves when it runs out.
+ *
+ * OfflineQuiz answers an attempt reserved when the lesson was downloaded;
+ * the answers wait in the offline outbox and are graded after syncing.
+ */
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { CheckCircle2, Clock, CloudOff, RotateCcw, XCircle } from "lucide-react";
+import LoadError from "./LoadError";
+import useApi from "../hooks/useApi";
+import { fetchQuiz, startQuizAttempt, submitQuizAttempt } from "../api/quizzes";
+import { errorMessage } from "../api/client";
+import cn from "../utils/cn";
+
+const inputClass =
+  "mt-2 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+function formatClock(ms) {
+  const total = Math.max(Math.ceil(ms / 1000), 0);
+  const m = Math.floor(total / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+/** Input for one question; `value` is an option id, option ids, or text */
+function QuestionInput({ question: q, value, onChange, disabled }) {
+  const name = `q-${q.id}`;
+
+  if (q.type === "single" || q.type === "multiple") {
+    const multiple = q.type === "multiple";
+    const selected = multiple ? value ?? [] : value;
+    return (
+      <div className="mt-3 space-y-2">
+        {q.options.map((o) => {
+          const checked = multiple ? selected.includes(o.id) : selected === o.id;
+          return (
+            <label key={o.id} className="flex items-center gap-3 text-sm">
+              <input
+                type={multiple ? "checkbox" : "radio"}
+                name={name}
+                checked={checked}
+                disabled={disabled}
+                onChange={() =>
+                  onChange(
+                    multiple ? (checked ? selected.filter((id) => id !== o.id) : [...selected, o.id]) : o.id
+                  )
+                }
+                className="accent-indigo-600"
+              />
+              {o.text}
+            </label>
+          );
+        })}
+      </div>
+    );
+  }
+
+  if (q.type === "code_output") {
+    return (
+      <textarea
+        aria-label="Program output"
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        rows={3}
+        className={cn(inputClass, "font-mono")}
+        placeholder="Type the exact output"
+      />
+    );
+  }
+
+  return (
+    <input
+      aria-label="Your answer"
+      type={q.type === "numeric" ? "number" : "text"}
+      step="any"
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className={inputClass}
+    />
+  );
+}
+
+function QuestionCard({ question: q, index, children, correct }) {
+  return (
+    <li className="rounded-2xl border border-slate-100 dark:border-slate-800 p-5">
+      <div className="flex items-start justify-between gap-4">
+        <p className="font-medium whitespace-pre-line">
+          {index + 1}. {q.prompt}
+        </p>
+        {correct === true && <CheckCircle2 size={18} className="shrink-0 text-emerald-600" aria-label="Correct" />}
+        {correct === false && <XCircle size={18} className="shrink-0 text-red-500" aria-label="Incorrect" />}
+      </div>
+      {q.code && (
+        <pre className="mt-3 overflow-x-auto rounded-lg bg-slate-900 p-3 text-sm text-slate-100">
+          <code>{q.code}</code>
+        </pre>
+      )}
+      {children}
+      {q.type === "multiple" && <p className="mt-2 text-xs text-slate-500">Select all that apply.</p>}
+    </li>
+  );
+}
+
+function Attempt({ attempt, onSubmitted, submitAnswers = submitQuizAttempt }) {
+  const [answers, setAnswers] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [now, setNow] = useState(() => Date.now());
+  const submittedRef = useRef(false);
+
+  const deadline = attempt.expiresAt ? new Date(attempt.expiresAt).getTime() : null;
+  const remaining = deadline ? deadline - now : null;
+
+  const submit = useCallback(async () => {
+    if (submittedRef.current) return;
+    submittedRef.current = true;
+    setSubmitting(true);
+    setError("");
+    try {
+      onSubmitted(await submitAnswers(attempt.id, answers));
+    } catch (err) {
+      submittedRef.current = false;
+      setError(errorMessage(err, "Could not submit your answers"));
+      // 409: already submitted or timed out — show where things stand
+      if (err.response?.status === 409) onSubmitted(null);
+    } finally {
+      setSubmitting(false);
+    }
+  }, [attempt.id, answers, onSubmitted, submitAnswers]);
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+    const timer = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(timer);
+  }, [deadline]);
+
+  useEffect(() => {
+    if (remaining !== null && remaining <= 0) submit();
+  }, [remaining, submit]);
+
+  const answered = attempt.questions.filter((q) => {
+    const v = answers[q.id];
+    return Array.isArray(v) ? v.length > 0 : v !== undefined && v !== "";
+  }).length;
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit();
+      }}
+    >
+      <div className="sticky top-16 z-10 flex items-center justify-between rounded-xl bg-white/90 dark:bg-slate-900/90 backdrop-blur px-4 py-2 text-sm">
+        <span>
+          {answered} of {attempt.questions.length} answered
+        </span>
+        {remaining !== null && (
+          <span
+            role="timer"
+            aria-live="off"
+            className={cn("flex items-center gap-1 font-mono", remaining < 60000 && "text-red-600")}
+          >
+            <Clock size={14} aria-hidden /> {formatClock(remaining)}
+          </span>
+        )}
+      </div>
+
+      <ol className="mt-4 space-y-4">
+        {attempt.questions.map((q, i) => (
+          <QuestionCard key={q.id} question={q} index={i}>
+            <QuestionInput
+              question={q}
+              value={answers[q.id]}
+              onChange={(v) => setAnswers((a) => ({ ...a, [q.id]: v }))}
+              disabled={submitting}
+            />
+          </QuestionCard>
+        ))}
+      </ol>
+
+      {error && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <button
+        type="submit"
+        disabled={submitting}
+        className="mt-6 rounded-lg bg-indigo-600 px-5 py-2.5 text-white font-medium hover:bg-indigo-700 disabled:opacity-60"
+      >
+        {submitting ? "Submitting…" : "Submit answers"}
+      </button>
+    </form>
+  );
+}
+
+function Result({ attempt, onBack }) {
+  const describe = (q) => {
+    if (q.response === null) return "No answer";
+    if (q.type === "single") return q.options.find((o) => o.id === q.response)?.text;
+    if (q.type === "multiple") {
+      return q.options.filter((o) => q.response.includes(o.id)).map((o) => o.text).join(", ");
+    }
+    return q.response;
+  };
+
+  return (
+    <div>
+      <div
+        className={cn(
+          "rounded-2xl p-6 text-center",
+          attempt.passed ? "bg-emerald-50 dark:bg-emerald-900/30" : "bg-amber-50 dark:bg-amber-900/30"
+        )}
+        role="status"
+      >
+        <div className="text-4xl font-bold">{attempt.percent}%</div>
+        <div className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+          {attempt.score} / {attempt.maxScore} points ·{" "}
+          {attempt.status === "expired" ? "Time ran out" : attempt.passed ? "Passed" : "Not passed yet"}
+        </div>
+      </div>
+
+      <ol className="mt-6 space-y-4">
+        {attempt.questions.map((q, i) => (
+          <QuestionCard key={q.id} question={q} index={i} correct={q.correct}>
+            <p className="mt-3 text-sm">
+              <span className="text-slate-500">Your answer: </span>
+              <span className="whitespace-pre-wrap">{describe(q)}</span>
+            </p>
+          </QuestionCard>
+        ))}
+      </ol>
+
+      <button onClick={onBack} className="mt-6 inline-flex items-center gap-2 text-sm text-indigo-600 hover:underline">
+        <RotateCcw size={14} /> Back to quiz overview
+      </button>
+    </div>
+  );
+}
+
+export default function QuizRunner({ quizId, onLessonCompleted }) {
+  const load = useCallback(() => fetchQuiz(quizId), [quizId]);
+  const { data, error, loading, reload } = useApi(load);
+  const [attempt, setAttempt] = useState(null);
+  const [result, setResult] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [startError, setStartError] = useState("");
+
+  async function start() {
+    setStarting(true);
+    setStartError("");
+    try {
+      setAttempt(await startQuizAttempt(quizId));
+    } catch (err) {
+      setStartError(errorMessage(err, "Could not start the quiz"));
+    } finally {
+      setStarting(false);
+    }
+  }
+
+  const onSubmitted = useCallback(
+    (res) => {
+      setAttempt(null);
+      if (res) {
+        setResult(res.attempt);
+        if (res.lessonCompleted) onLessonCompleted?.(res);
+      }
+      reload();
+    },
+    [reload, onLessonCompleted]
+  );
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (loading && !data) {
+    return <div className="h-48 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" aria-busy="true" />;
+  }
+
+  if (attempt) return <Attempt attempt={attempt} onSubmitted={onSubmitted} />;
+  if (result) return <Result attempt={result} onBack={() => setResult(null)} />;
+
+  const { quiz } = data;
+  const outOfAttempts = data.attemptsLeft === 0 && !data.inProgress;
+
+  return (
+    <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-6">
+      <h2 className="text-xl font-semibold">{quiz.title}</h2>
+      {quiz.instructions && (
+        <p className="mt-2 text-slate-700 dark:text-slate-300 whitespace-pre-line">{quiz.instructions}</p>
+      )}
+
+      <dl className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+        <div>
+          <dt className="text-slate-500">Questions</dt>
+          <dd className="font-semibold">{data.questionCount}</dd>
+        </div>
+        <div>
+          <dt className="text-slate-500">Time limit</dt>
+          <dd className="font-semibold">{quiz.timeLimitMinutes ? `${quiz.timeLimitMinutes} min` : "None"}</dd>
+        </div>
+        <div>
+          <dt className="text-slate-500">Attempts left</dt>
+          <dd className="font-semibold">{data.attemptsLeft ?? "Unlimited"}</dd>
+        </div>
+        <div>
+          <dt className="text-slate-500">Pass mark</dt>
+          <dd className="font-semibold">{quiz.passingScore}%</dd>
+        </div>
+      </dl>
+
+      {data.bestPercent !== null && (
+        <p className="mt-4 text-sm">
+          Best score: <strong>{data.bestPercent}%</strong>
+          {data.passed && <span className="ml-2 text-emerald-600">Passed</span>}
+        </p>
+      )}
+
+      {startError && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{startError}</p>}
+      <button
+        onClick={start}
+        disabled={starting || outOfAttempts || data.questionCount === 0}
+        className="mt-6 rounded-lg bg-indigo-600 px-5 py-2.5 text-white font-medium hover:bg-indigo-700 disabled:opacity-60"
+      >
+        {data.inProgress ? "Resume attempt" : data.attemptsUsed ? "Try again" : "Start quiz"}
+      </button>
+      {outOfAttempts && <p className="mt-2 text-sm text-slate-500">You’ve used all your attempts.</p>}
+
+      {data.history.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wide">Previous attempts</h3>
+          <ul className="mt-2 space-y-1 text-sm">
+            {data.history.map((a) => (
+              <li key={a.id} className="flex justify-between">
+                <span>{new Date(a.submittedAt).toLocaleString()}</span>
+                <span className={a.passed ? "text-emerald-600" : "text-slate-600 dark:text-slate-300"}>
+                  {a.status === "expired" ? "Timed out" : `${a.percent}%`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Quiz lesson body for a downloaded lesson with no connection. `offline` is
+ * the downloaded lesson's { attempt, pendingQuiz }; `onSave(attemptId,
+ * answers)` queues the answers for grading.
+ */
+export function OfflineQuiz({ offline, onSave }) {
+  const [saved, setSaved] = useState(offline.pendingQuiz);
+  const onSubmitted = useCallback(() => setSaved(true), []);
+
+  if (saved || !offline.attempt) {
+    return (
+      <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-6 flex items-start gap-3" role="status">
+        <CloudOff size={20} className="shrink-0 text-slate-500" aria-hidden />
+        <p className="text-slate-700 dark:text-slate-300">
+          {saved
+            ? "Your answers are saved on this device and will be graded when you’re back online."
+            : "This quiz needs a connection. Download it again while online to answer it offline."}
+        </p>
+      </div>
+    );
+  }
+  return <Attempt attempt={offline.attempt} onSubmitted={onSubmitted} submitAnswers={onSave} />;
+}
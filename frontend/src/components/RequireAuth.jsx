@@ -0,0 +1,34 @@
+/**
+ * RequireAuth.jsx
+ *
+ * Route guard. Anonymous visitors are sent to /login?next=<here>; signed-in
+ * users without the required permission see a 403 message instead.
+ */
+import React from "react";
+import { Link, Navigate, Outlet, useLocation } from "react-router";
+import useAuth from "../hooks/useAuth";
+import { can } from "../utils/permissions";
+
+export default function RequireAuth({ permission, children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    const next = encodeURIComponent(location.pathname + location.search);
+    return <Navigate to={`/login?next=${next}`} replace />;
+  }
+
+  if (permission && !can(user, permission)) {
+    return (
+      <section className="container mx-auto max-w-3xl px-4 py-20 text-center">
+        <h1 className="text-2xl font-bold">You don’t have access to this page</h1>
+        <p className="mt-2 text-slate-600 dark:text-slate-300">
+          Your account doesn’t have the role needed here. Ask an admin if you think this is a mistake.
+        </p>
+        <Link to="/" className="mt-6 inline-block text-indigo-600 hover:underline">Back to home</Link>
+      </section>
+    );
+  }
+
+  return children ?? <Outlet />;
+}
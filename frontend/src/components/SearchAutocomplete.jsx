@@ -0,0 +1,121 @@
+/**
+ * SearchAutocomplete.jsx
+ *
+ * Text input with a suggestion listbox (courses, categories, topics) fed by
+ * /api/search/suggest as the user types. Meant to sit inside a <form>: Enter
+ * submits the form unless a suggestion is highlighted, in which case onPick
+ * receives it instead.
+ */
+import React, { useEffect, useId, useState } from "react";
+import { BookOpen, Hash, LayoutGrid } from "lucide-react";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { fetchSuggestions } from "../api/search";
+import cn from "../utils/cn";
+
+const TYPE_ICONS = { course: BookOpen, category: LayoutGrid, topic: Hash };
+
+export default function SearchAutocomplete({ id, value, onChange, onPick, placeholder, className }) {
+  const listId = useId();
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const debounced = useDebouncedValue(value.trim(), 200);
+
+  useEffect(() => {
+    if (debounced.length < 2) {
+      setSuggestions([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    fetchSuggestions(debounced, { signal: controller.signal })
+      .then((items) => {
+        setSuggestions(items);
+        setActive(-1);
+      })
+      .catch(() => {
+        // suggestions are best-effort
+      });
+    return () => controller.abort();
+  }, [debounced]);
+
+  const showList = open && suggestions.length > 0;
+
+  function pick(s) {
+    setOpen(false);
+    onPick(s);
+  }
+
+  function onKeyDown(e) {
+    if (!showList) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Enter" && active >= 0) {
+      e.preventDefault();
+      pick(suggestions[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  }
+
+  return (
+    <div className="relative flex-1">
+      <input
+        id={id}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-activedescendant={showList && active >= 0 ? `${listId}-${active}` : undefined}
+        autoComplete="off"
+        className={className}
+        placeholder={placeholder}
+        aria-label="Search courses"
+      />
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute left-0 right-0 top-full z-30 mt-2 rounded-xl border border-slate-100 dark:border-slate-800 bg-white dark:bg-slate-900 p-1 shadow-lg"
+        >
+          {suggestions.map((s, i) => {
+            const Icon = TYPE_ICONS[s.type] || Hash;
+            return (
+              <li
+                key={`${s.type}-${s.label}`}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === active}
+                // mousedown so the input's blur doesn't close the list first
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(s);
+                }}
+                onMouseEnter={() => setActive(i)}
+                className={cn(
+                  "flex items-center gap-3 px-3 py-2 rounded-lg text-sm cursor-pointer",
+                  i === active && "bg-indigo-50 dark:bg-indigo-900/40"
+                )}
+              >
+                <Icon size={14} className="text-slate-400 shrink-0" />
+                <span className="flex-1 truncate text-slate-800 dark:text-slate-200">{s.label}</span>
+                <span className="text-xs text-slate-400 capitalize">{s.type}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
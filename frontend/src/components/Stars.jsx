@@ -0,0 +1,18 @@
+import React from "react";
+import { Star } from "lucide-react";
+
+/** Read-only star rating, rounded to whole stars */
+export default function Stars({ value, size = 14 }) {
+  return (
+    <span className="inline-flex" role="img" aria-label={`${value} out of 5 stars`}>
+      {[1, 2, 3, 4, 5].map((n) => (
+        <Star
+          key={n}
+          size={size}
+          aria-hidden
+          className={n <= Math.round(value) ? "text-amber-400 fill-amber-400" : "text-slate-300"}
+        />
+      ))}
+    </span>
+  );
+}
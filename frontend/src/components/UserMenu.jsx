@@ -0,0 +1,119 @@
+/**
+ * UserMenu.jsx
+ *
+ * Avatar button + dropdown for the signed-in user, shown in the Header.
+ * Lists only the dashboards the user's role can open.
+ */
+import React, { useEffect, useRef, useState } from "react";
+import { Link } from "react-router";
+import { CreditCard, Download, LogOut } from "lucide-react";
+import useAuth from "../hooks/useAuth";
+import { ROLE_LABELS, dashboardsFor } from "../utils/permissions";
+
+function initials(name = "") {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((p) => p[0].toUpperCase())
+    .join("");
+}
+
+export default function UserMenu() {
+  const { user, signOut } = useAuth();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // close on outside click / Escape
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => e.key === "Escape" && setOpen(false);
+    document.addEventListener("mousedown", onDown);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDown);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  if (!user) return null;
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        aria-label="Account menu"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((o) => !o)}
+        className="rounded-full focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {user.avatarUrl ? (
+          <img src={user.avatarUrl} alt="" className="h-9 w-9 rounded-full object-cover" />
+        ) : (
+          <span className="h-9 w-9 rounded-full bg-gradient-to-tr from-indigo-600 to-violet-600 text-white text-sm font-semibold flex items-center justify-center">
+            {initials(user.name)}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-2 w-56 rounded-xl border border-slate-100 dark:border-slate-800 bg-white dark:bg-slate-900 p-2 shadow-lg"
+        >
+          <div className="px-3 py-2">
+            <div className="font-medium text-slate-900 dark:text-white truncate">{user.name}</div>
+            <div className="text-xs text-slate-500 dark:text-slate-400 truncate">{user.email}</div>
+            {user.role && (
+              <span className="mt-1 inline-block rounded-full bg-indigo-50 dark:bg-indigo-900/40 px-2 py-0.5 text-[11px] text-indigo-700 dark:text-indigo-200">
+                {ROLE_LABELS[user.role] ?? user.role}
+              </span>
+            )}
+          </div>
+          <div className="my-1 border-t border-slate-100 dark:border-slate-800" />
+          {dashboardsFor(user).map((d) => (
+            <Link
+              key={d.id}
+              role="menuitem"
+              to={d.href}
+              onClick={() => setOpen(false)}
+              className="flex items-center gap-2 px-3 py-2 rounded-md text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+            >
+              <d.icon size={16} /> {d.label}
+            </Link>
+          ))}
+          <Link
+            role="menuitem"
+            to="/downloads"
+            onClick={() => setOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 rounded-md text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+          >
+            <Download size={16} /> Downloads
+          </Link>
+          <Link
+            role="menuitem"
+            to="/billing"
+            onClick={() => setOpen(false)}
+            className="flex items-center gap-2 px-3 py-2 rounded-md text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+          >
+            <CreditCard size={16} /> Billing
+          </Link>
+          <div className="my-1 border-t border-slate-100 dark:border-slate-800" />
+          <button
+            role="menuitem"
+            onClick={() => {
+              setOpen(false);
+              signOut();
+            }}
+            className="w-full flex items-center gap-2 px-3 py-2 rounded-md text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-100 dark:hover:bg-slate-800"
+          >
+            <LogOut size={16} /> Sign out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
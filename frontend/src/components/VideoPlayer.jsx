@@ -0,0 +1,242 @@
+/**
+ * VideoPlayer.jsx
+ *
+ * Lesson video on top of the native <video> element (which does the HTTP
+ * range requests for seeking), plus playback speed, WebVTT captions and
+ * keyboard shortcuts. Resumes at `startAt` and reports
+ * { position, duration, ended } through onProgress every few seconds while
+ * playing, on pause/seek, at the end and when unmounted.
+ *
+ * Shortcuts (while the player has focus):
+ *   Space / K  play / pause        J / L   back / forward 10s
+ *   ← / →      back / forward 5s   M       mute
+ *   F          fullscreen          C       captions on / off
+ *   < / >      slower / faster
+ *
+ * A caption track flagged `default` (the viewer's language when the video
+ * is in another one) starts switched on.
+ */
+import React, { useEffect, useRef, useState } from "react";
+import { Captions, Gauge, Keyboard } from "lucide-react";
+
+const SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+const SPEED_KEY = "edusphar-playback-rate";
+const REPORT_EVERY_MS = 15000;
+
+// Don't resume into the first or last few seconds
+const RESUME_MARGIN_S = 5;
+
+function loadSpeed() {
+  const saved = Number(window.localStorage?.getItem?.(SPEED_KEY));
+  return SPEEDS.includes(saved) ? saved : 1;
+}
+
+const SHORTCUTS = [
+  ["Space / K", "Play or pause"],
+  ["J / L", "Back / forward 10s"],
+  ["← / →", "Back / forward 5s"],
+  ["M", "Mute"],
+  ["F", "Fullscreen"],
+  ["C", "Captions"],
+  ["< / >", "Slower / faster"],
+];
+
+export default function VideoPlayer({ src, captions = [], startAt = 0, onProgress, title }) {
+  const wrapperRef = useRef(null);
+  const videoRef = useRef(null);
+  const [speed, setSpeed] = useState(loadSpeed);
+  // caption language being shown, or "" for off
+  const preferredCaptions = (captions.find((c) => c.default) ?? captions[0])?.lang;
+  const [captionLang, setCaptionLang] = useState(() => captions.find((c) => c.default)?.lang ?? "");
+  const [showHelp, setShowHelp] = useState(false);
+
+  // latest callback without re-running the reporting effect
+  const onProgressRef = useRef(onProgress);
+  useEffect(() => {
+    onProgressRef.current = onProgress;
+  }, [onProgress]);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.playbackRate = speed;
+    try {
+      window.localStorage.setItem(SPEED_KEY, String(speed));
+    } catch {
+      // ignore
+    }
+  }, [speed]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    for (const track of video.textTracks) {
+      track.mode = track.language === captionLang ? "showing" : "hidden";
+    }
+  }, [captionLang, captions]);
+
+  // Progress reporting
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return undefined;
+    let lastSent = -1;
+
+    const report = (ended = false) => {
+      const position = Math.floor(video.currentTime);
+      if (!video.duration || (!ended && position === lastSent)) return;
+      lastSent = position;
+      onProgressRef.current?.({ position, duration: Math.floor(video.duration), ended });
+    };
+
+    const onLoaded = () => {
+      video.playbackRate = loadSpeed();
+      if (startAt > RESUME_MARGIN_S && startAt < video.duration - RESUME_MARGIN_S) {
+        video.currentTime = startAt;
+      }
+    };
+    const onPause = () => report();
+    const onSeeked = () => report();
+    const onEnded = () => report(true);
+    const timer = window.setInterval(() => !video.paused && report(), REPORT_EVERY_MS);
+
+    video.addEventListener("loadedmetadata", onLoaded);
+    video.addEventListener("pause", onPause);
+    video.addEventListener("seeked", onSeeked);
+    video.addEventListener("ended", onEnded);
+    return () => {
+      report();
+      window.clearInterval(timer);
+      video.removeEventListener("loadedmetadata", onLoaded);
+      video.removeEventListener("pause", onPause);
+      video.removeEventListener("seeked", onSeeked);
+      video.removeEventListener("ended", onEnded);
+    };
+  }, [src, startAt]);
+
+  function stepSpeed(dir) {
+    const i = SPEEDS.indexOf(speed) + dir;
+    if (i >= 0 && i < SPEEDS.length) setSpeed(SPEEDS[i]);
+  }
+
+  function onKeyDown(e) {
+    const video = videoRef.current;
+    if (!video || e.target.closest("select, button") || e.metaKey || e.ctrlKey || e.altKey) return;
+    const seek = (by) => {
+      video.currentTime = Math.min(Math.max(video.currentTime + by, 0), video.duration || 0);
+    };
+
+    switch (e.key) {
+      case " ":
+      case "k":
+        if (video.paused) video.play();
+        else video.pause();
+        break;
+      case "j":
+        seek(-10);
+        break;
+      case "l":
+        seek(10);
+        break;
+      case "ArrowLeft":
+        seek(-5);
+        break;
+      case "ArrowRight":
+        seek(5);
+        break;
+      case "m":
+        video.muted = !video.muted;
+        break;
+      case "f":
+        if (document.fullscreenElement) document.exitFullscreen();
+        else wrapperRef.current?.requestFullscreen?.();
+        break;
+      case "c":
+        if (captions.length) setCaptionLang((lang) => (lang ? "" : preferredCaptions));
+        break;
+      case "<":
+        stepSpeed(-1);
+        break;
+      case ">":
+        stepSpeed(1);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  return (
+    <div
+      ref={wrapperRef}
+      onKeyDown={onKeyDown}
+      tabIndex={-1}
+      className="rounded-2xl overflow-hidden bg-black focus:outline-none"
+      aria-label={title ? `Video player: ${title}` : "Video player"}
+      role="region"
+    >
+      <video
+        ref={videoRef}
+        src={src}
+        controls
+        preload="metadata"
+        // caption tracks come from the API origin and need CORS
+        crossOrigin={captions.length ? "anonymous" : undefined}
+        className="w-full aspect-video bg-black"
+      >
+        {captions.map((c) => (
+          <track key={c.lang} kind="captions" src={c.src} srcLang={c.lang} label={c.label} />
+        ))}
+      </video>
+
+      <div className="flex flex-wrap items-center gap-4 bg-slate-900 px-4 py-2 text-sm text-slate-200">
+        <label className="flex items-center gap-2">
+          <Gauge size={16} aria-hidden />
+          <span className="sr-only">Playback speed</span>
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="rounded bg-slate-800 px-2 py-1"
+          >
+            {SPEEDS.map((s) => (
+              <option key={s} value={s}>{s}×</option>
+            ))}
+          </select>
+        </label>
+
+        {captions.length > 0 && (
+          <label className="flex items-center gap-2">
+            <Captions size={16} aria-hidden />
+            <span className="sr-only">Captions</span>
+            <select
+              value={captionLang}
+              onChange={(e) => setCaptionLang(e.target.value)}
+              className="rounded bg-slate-800 px-2 py-1"
+            >
+              <option value="">Captions off</option>
+              {captions.map((c) => (
+                <option key={c.lang} value={c.lang}>{c.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <button
+          onClick={() => setShowHelp((v) => !v)}
+          aria-expanded={showHelp}
+          className="ml-auto flex items-center gap-1 hover:text-white"
+        >
+          <Keyboard size={16} aria-hidden /> Shortcuts
+        </button>
+      </div>
+
+      {showHelp && (
+        <dl className="grid grid-cols-2 sm:grid-cols-4 gap-x-6 gap-y-1 bg-slate-900 px-4 pb-3 text-xs text-slate-300">
+          {SHORTCUTS.map(([keys, action]) => (
+            <div key={keys} className="flex gap-2">
+              <dt className="font-mono text-slate-100">{keys}</dt>
+              <dd>{action}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router";
+
+/** AnnouncementBar with dismiss persistence */
+export default function AnnouncementBar() {
+  const storageKey = "edusphar-announce-dismissed";
+  const getInitial = () => {
+    try {
+      if (typeof window === "undefined") return false;
+      return window.localStorage?.getItem?.(storageKey) === "1";
+    } catch {
+      return false;
+    }
+  };
+
+  const [dismissed, setDismissed] = useState(getInitial);
+
+  // persist only when changed and in browser
+  useEffect(() => {
+    try {
+      if (typeof window !== "undefined" && window.localStorage) {
+        window.localStorage.setItem(storageKey, dismissed ? "1" : "0");
+      }
+    } catch {
+      // ignore
+    }
+  }, [dismissed]);
+
+  if (dismissed) return null;
+
+  return (
+    <div
+      role="region"
+      aria-label="Announcement"
+      className="w-full bg-indigo-50 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-100"
+    >
+      <div className="container mx-auto max-w-7xl px-4 py-2 flex items-center justify-between gap-4">
+        <p className="text-sm">
+          <strong className="font-semibold">Get 2 months free on EduSphar Pro</strong>{" "}
+          <span className="opacity-80">
+            — Use code <span className="font-mono">EDU24</span>
+          </span>
+        </p>
+        <div className="flex items-center gap-3">
+          <Link
+            to="/pricing"
+            className="text-sm rounded-md px-3 py-1.5 bg-indigo-600 text-white hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            Claim offer
+          </Link>
+          <button
+            aria-label="Dismiss announcement"
+            onClick={() => setDismissed(true)}
+            className="text-sm text-indigo-700 dark:text-indigo-200 hover:underline focus:outline-none"
+          >
+            Dismiss
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
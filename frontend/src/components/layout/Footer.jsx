@@ -0,0 +1,72 @@
+import React from "react";
+import { Link } from "react-router";
+import { Github, Linkedin, Twitter } from "lucide-react";
+import useLocale from "../../hooks/useLocale";
+
+/** Footer */
+export default function Footer() {
+  const { t } = useLocale();
+
+  return (
+    <footer className="py-10 bg-white dark:bg-slate-900 border-t border-slate-100 dark:border-slate-800">
+      <div className="container mx-auto max-w-7xl px-4 grid grid-cols-1 md:grid-cols-4 gap-6">
+        <div>
+          <div className="flex items-center gap-3">
+            <div className="rounded-2xl p-2 bg-gradient-to-tr from-indigo-600 to-violet-600 text-white">
+              <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden>
+                <rect x="2" y="4" width="8" height="16" rx="2" />
+                <rect x="14" y="6" width="8" height="12" rx="2" />
+              </svg>
+            </div>
+            <div>
+              <div className="font-semibold text-slate-900 dark:text-white">EduSphar</div>
+              <div className="text-sm text-slate-600 dark:text-slate-300">{t("footer.tagline")}</div>
+            </div>
+          </div>
+
+          <form className="mt-4 flex items-center gap-2" onSubmit={(e) => { e.preventDefault(); alert(t("footer.subscribed")); }}>
+            <label htmlFor="footer-email" className="sr-only">{t("footer.email")}</label>
+            <input id="footer-email" type="email" required placeholder={t("footer.emailPlaceholder")} className="rounded-lg px-3 py-2 border border-slate-200 dark:border-slate-800 bg-transparent text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+            <button className="rounded-lg bg-indigo-600 px-3 py-2 text-white">{t("footer.subscribe")}</button>
+          </form>
+        </div>
+
+        <nav aria-label="Footer product" className="text-sm text-slate-600 dark:text-slate-300">
+          <h4 className="font-semibold text-slate-900 dark:text-white">{t("footer.product")}</h4>
+          <ul className="mt-3 space-y-2">
+            <li><Link to="/#features" className="hover:underline">{t("footer.features")}</Link></li>
+            <li><Link to="/pricing" className="hover:underline">{t("footer.pricing")}</Link></li>
+            <li><Link to="/courses" className="hover:underline">{t("footer.courses")}</Link></li>
+          </ul>
+        </nav>
+
+        <nav aria-label="Footer company" className="text-sm text-slate-600 dark:text-slate-300">
+          <h4 className="font-semibold text-slate-900 dark:text-white">{t("footer.company")}</h4>
+          <ul className="mt-3 space-y-2">
+            <li><Link to="/about" className="hover:underline">{t("footer.about")}</Link></li>
+            <li><Link to="/careers" className="hover:underline">{t("footer.careers")}</Link></li>
+            <li><Link to="/contact" className="hover:underline">{t("footer.contact")}</Link></li>
+          </ul>
+        </nav>
+
+        <div className="text-sm text-slate-600 dark:text-slate-300">
+          <h4 className="font-semibold text-slate-900 dark:text-white">{t("footer.legal")}</h4>
+          <ul className="mt-3 space-y-2">
+            <li><Link to="/terms" className="hover:underline">{t("footer.terms")}</Link></li>
+            <li><Link to="/privacy" className="hover:underline">{t("footer.privacy")}</Link></li>
+          </ul>
+
+          <div className="mt-6 flex items-center gap-3">
+            <a href="#" className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"><Twitter size={18} /></a>
+            <a href="#" className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"><Github size={18} /></a>
+            <a href="#" className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"><Linkedin size={18} /></a>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-8 border-t border-slate-100 dark:border-slate-800 pt-6 text-center text-sm text-slate-600 dark:text-slate-300">
+        {t("footer.rights", { year: String(new Date().getFullYear()) })}
+      </div>
+    </footer>
+  );
+}
@@ -0,0 +1,229 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, NavLink } from "react-router";
+import { Menu, Moon, Sun, X } from "lucide-react";
+import { motion, AnimatePresence } from "framer-motion";
+import LanguageSwitcher from "../LanguageSwitcher";
+import NotificationBell from "../NotificationBell";
+import UserMenu from "../UserMenu";
+import useAuth from "../../hooks/useAuth";
+import useLocale from "../../hooks/useLocale";
+import useScrollHeader from "../../hooks/useScrollHeader";
+import cn from "../../utils/cn";
+
+const NAV_LINKS = [
+  { to: "/courses", labelKey: "nav.courses" },
+  { to: "/#categories", labelKey: "nav.programs" },
+  { to: "/community", labelKey: "nav.community" },
+  { to: "/pricing", labelKey: "nav.pricing" },
+  { to: "/about", labelKey: "nav.about" },
+];
+
+const navClass = ({ isActive }) =>
+  cn(
+    "text-sm px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800",
+    isActive && "text-indigo-600 dark:text-indigo-300"
+  );
+
+/** Header with nav, language and theme toggles, account controls, mobile sheet */
+export default function Header({ theme, onToggleTheme }) {
+  const { user, openAuth } = useAuth();
+  const { dir, t } = useLocale();
+  const shrunk = useScrollHeader(48);
+  const [mobileOpen, setMobileOpen] = useState(false);
+  const sheetRef = useRef(null);
+  // the sheet slides in from the inline end: the left edge in RTL
+  const sheetOffset = dir === "rtl" ? "-100%" : "100%";
+
+  // Focus trap for mobile sheet
+  useEffect(() => {
+    if (!mobileOpen) return;
+    const prev = document.activeElement;
+    const focusable = sheetRef.current?.querySelectorAll(
+      'a,button,input,select,textarea,[tabindex]:not([tabindex="-1"])'
+    );
+    const first = focusable?.[0];
+    first?.focus();
+    const onKey = (e) => {
+      if (e.key === "Escape") setMobileOpen(false);
+      if (e.key === "Tab" && focusable && focusable.length > 0) {
+        // trap
+        const arr = Array.from(focusable);
+        const idx = arr.indexOf(document.activeElement);
+        if (e.shiftKey && idx === 0) {
+          e.preventDefault();
+          arr[arr.length - 1].focus();
+        } else if (!e.shiftKey && idx === arr.length - 1) {
+          e.preventDefault();
+          arr[0].focus();
+        }
+      }
+    };
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      prev?.focus();
+    };
+  }, [mobileOpen]);
+
+  return (
+    <header
+      className={cn(
+        "sticky top-0 z-40 transition-all",
+        "backdrop-blur-sm bg-white/60 dark:bg-slate-900/60",
+        shrunk ? "py-2 shadow-md" : "py-4"
+      )}
+    >
+      <div className="container mx-auto max-w-7xl px-4 flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Link to="/" className="flex items-center gap-3">
+            <div className="rounded-2xl p-2 bg-gradient-to-tr from-indigo-600 to-violet-600 text-white shadow-md">
+              <svg width="20" height="20" viewBox="0 0 24 24" aria-hidden focusable="false">
+                <rect x="2" y="4" width="8" height="16" rx="2" />
+                <rect x="14" y="6" width="8" height="12" rx="2" />
+              </svg>
+            </div>
+            <span className="font-semibold text-lg tracking-tight text-slate-900 dark:text-white">
+              EduSphar
+            </span>
+          </Link>
+          <nav className="hidden md:flex items-center gap-3" aria-label="Primary">
+            {NAV_LINKS.map((l) => (
+              <NavLink key={l.to} to={l.to} className={navClass}>
+                {t(l.labelKey)}
+              </NavLink>
+            ))}
+          </nav>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <LanguageSwitcher className="hidden md:inline-flex" />
+          <button
+            aria-label={t("header.toggleTheme")}
+            onClick={onToggleTheme}
+            className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {theme === "dark" ? <Sun size={18} /> : <Moon size={18} />}
+            <span className="sr-only">{t("header.toggleTheme")}</span>
+          </button>
+
+          {user ? (
+            <>
+              <NotificationBell key={user.id} />
+              <UserMenu />
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => openAuth("signin")}
+                className="hidden md:inline-flex text-sm px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {t("header.signIn")}
+              </button>
+              <button
+                onClick={() => openAuth("signup")}
+                className="hidden md:inline-flex items-center gap-2 rounded-2xl bg-indigo-600 px-4 py-2 text-white text-sm font-medium shadow hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 active:scale-95"
+              >
+                {t("header.signUp")}
+              </button>
+            </>
+          )}
+
+          {/* Mobile menu button */}
+          <button
+            aria-label={t("header.openMenu")}
+            aria-expanded={mobileOpen}
+            onClick={() => setMobileOpen(true)}
+            className="md:hidden p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <Menu size={20} />
+          </button>
+        </div>
+      </div>
+
+      {/* Mobile sheet */}
+      <AnimatePresence>
+        {mobileOpen && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50"
+            aria-hidden={!mobileOpen}
+          >
+            <div
+              role="dialog"
+              aria-modal="true"
+              className="absolute inset-0 bg-black/30"
+              onClick={() => setMobileOpen(false)}
+            />
+            <motion.aside
+              ref={sheetRef}
+              initial={{ x: sheetOffset }}
+              animate={{ x: 0 }}
+              exit={{ x: sheetOffset }}
+              transition={{ type: "spring", stiffness: 300, damping: 30 }}
+              className="absolute end-0 top-0 h-full w-[86vw] max-w-xs bg-white dark:bg-slate-900 p-6 shadow-xl"
+            >
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <div className="rounded-xl p-2 bg-gradient-to-tr from-indigo-600 to-violet-600 text-white">
+                    <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden>
+                      <rect x="2" y="4" width="8" height="16" rx="2" />
+                      <rect x="14" y="6" width="8" height="12" rx="2" />
+                    </svg>
+                  </div>
+                  <div className="font-semibold text-slate-900 dark:text-white">EduSphar</div>
+                </div>
+                <button
+                  aria-label={t("header.closeMenu")}
+                  onClick={() => setMobileOpen(false)}
+                  className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none"
+                >
+                  <X size={18} />
+                </button>
+              </div>
+
+              <nav className="mt-6 flex flex-col gap-2" aria-label="Mobile primary">
+                {NAV_LINKS.map((l) => (
+                  <Link
+                    key={l.to}
+                    to={l.to}
+                    onClick={() => setMobileOpen(false)}
+                    className="px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"
+                  >
+                    {t(l.labelKey)}
+                  </Link>
+                ))}
+              </nav>
+
+              <LanguageSwitcher className="mt-4" />
+
+              {!user && (
+                <div className="mt-6 flex flex-col gap-2">
+                  <button
+                    onClick={() => {
+                      setMobileOpen(false);
+                      openAuth("signup");
+                    }}
+                    className="w-full rounded-2xl bg-indigo-600 px-4 py-2 text-white"
+                  >
+                    {t("header.signUp")}
+                  </button>
+                  <button
+                    onClick={() => {
+                      setMobileOpen(false);
+                      openAuth("signin");
+                    }}
+                    className="w-full rounded-2xl border border-slate-200 dark:border-slate-700 px-4 py-2"
+                  >
+                    {t("header.signIn")}
+                  </button>
+                </div>
+              )}
+            </motion.aside>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </header>
+  );
+}
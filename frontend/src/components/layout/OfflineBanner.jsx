@@ -0,0 +1,53 @@
+import React from "react";
+import { Link } from "react-router";
+import { CloudOff, RefreshCw } from "lucide-react";
+import useOffline from "../../hooks/useOffline";
+
+/** Connection / sync status strip under the header; renders nothing when all is well */
+export default function OfflineBanner() {
+  const { online, pending, syncing, sync, conflicts, dismissConflicts } = useOffline();
+
+  if (online && !pending && !syncing && !conflicts.length) return null;
+
+  return (
+    <div role="status" className="w-full bg-amber-50 dark:bg-amber-900/30 text-amber-900 dark:text-amber-100">
+      <div className="container mx-auto max-w-7xl px-4 py-2 text-sm space-y-1">
+        {!online ? (
+          <p className="flex items-center gap-2">
+            <CloudOff size={16} aria-hidden />
+            <span>
+              You’re offline. <Link to="/downloads" className="underline">Downloaded lessons</Link> still work, and
+              your progress will sync when you reconnect.
+            </span>
+          </p>
+        ) : syncing ? (
+          <p className="flex items-center gap-2">
+            <RefreshCw size={16} className="animate-spin" aria-hidden /> Syncing your offline progress…
+          </p>
+        ) : pending > 0 ? (
+          <p className="flex items-center gap-2">
+            <RefreshCw size={16} aria-hidden />
+            {pending} offline {pending === 1 ? "change is" : "changes are"} waiting to sync.
+            <button onClick={() => sync().catch(() => {})} className="underline">
+              Sync now
+            </button>
+          </p>
+        ) : null}
+
+        {conflicts.length > 0 && (
+          <div>
+            <p className="font-medium">Some offline changes couldn’t be saved:</p>
+            <ul className="list-disc pl-5">
+              {conflicts.map((c, i) => (
+                <li key={i}>{c.message}</li>
+              ))}
+            </ul>
+            <button onClick={dismissConflicts} className="underline">
+              Dismiss
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+/**
+ * SiteLayout.jsx
+ *
+ * Shell shared by every route: announcement bar, header, offline status,
+ * footer, the auth modal and the floating theme toggle. Pages render into <Outlet />.
+ */
+import React from "react";
+import { Outlet, ScrollRestoration } from "react-router";
+import { Moon, Sun } from "lucide-react";
+import AnnouncementBar from "./AnnouncementBar";
+import Header from "./Header";
+import OfflineBanner from "./OfflineBanner";
+import Footer from "./Footer";
+import AuthModal from "../AuthModal";
+import useLocale from "../../hooks/useLocale";
+import useTheme from "../../hooks/useTheme";
+
+export default function SiteLayout() {
+  const { theme, toggle } = useTheme();
+  const { t } = useLocale();
+
+  return (
+    <div className="min-h-screen flex flex-col bg-white dark:bg-slate-900 text-slate-900 dark:text-slate-100 antialiased">
+      {/* skip to content */}
+      <a href="#content" className="sr-only focus:not-sr-only focus:absolute focus:top-4 focus:start-4 focus:bg-indigo-600 focus:text-white px-3 py-2 rounded">{t("header.skipToContent")}</a>
+
+      <AnnouncementBar />
+      <Header theme={theme} onToggleTheme={toggle} />
+      <OfflineBanner />
+      <AuthModal />
+
+      <main id="content" className="flex-1">
+        <Outlet />
+      </main>
+
+      <Footer />
+
+      {/* small floating theme toggle for mobile/quick access */}
+      <div className="fixed end-4 bottom-6 z-50">
+        <button
+          aria-label={t("header.toggleTheme")}
+          onClick={toggle}
+          className="rounded-full p-3 bg-white dark:bg-slate-800 shadow-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {theme === "dark" ? <Sun size={18} /> : <Moon size={18} />}
+        </button>
+      </div>
+
+      {/* restores scroll on back/forward and jumps to #hash targets */}
+      <ScrollRestoration />
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+/**
+ * CourseAnalytics.jsx
+ *
+ * The studio's Analytics tab: the views → enrollments → completion funnel,
+ * where learners drop off, median watch time per video, and item analysis
+ * of quiz questions (difficulty and discrimination). Each report downloads
+ * as CSV.
+ */
+import React, { useCallback, useState } from "react";
+import { Download } from "lucide-react";
+import LoadError from "../LoadError";
+import useApi from "../../hooks/useApi";
+import { downloadCourseReport, fetchCourseReport } from "../../api/analytics";
+import { errorMessage } from "../../api/client";
+import cn from "../../utils/cn";
+
+const FUNNEL_PERIODS = [
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+  { days: 365, label: "Last year" },
+];
+
+const tableClass = "w-full text-sm [&_th]:px-3 [&_th]:py-2 [&_th]:text-left [&_th]:font-medium [&_td]:px-3 [&_td]:py-2";
+
+// "4:05"
+function formatSeconds(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function Bar({ percent, className = "bg-indigo-600" }) {
+  return (
+    <div className="h-2 w-full rounded-full bg-slate-100 dark:bg-slate-800">
+      <div className={cn("h-2 rounded-full", className)} style={{ width: `${Math.min(percent, 100)}%` }} />
+    </div>
+  );
+}
+
+// One report: heading, CSV export and its body (which loads its own data)
+function Report({ title, description, courseId, report, params, filename, children }) {
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+
+  async function exportCsv() {
+    setExporting(true);
+    setExportError("");
+    try {
+      await downloadCourseReport(courseId, report, params, filename);
+    } catch (err) {
+      setExportError(errorMessage(err, "Could not export the report"));
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <section className="rounded-2xl border border-slate-100 dark:border-slate-800 p-5" aria-label={title}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="font-semibold">{title}</h2>
+          <p className="text-sm text-slate-500">{description}</p>
+        </div>
+        <button
+          onClick={exportCsv}
+          disabled={exporting}
+          className="inline-flex items-center gap-1.5 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm disabled:opacity-60"
+        >
+          <Download size={14} aria-hidden /> {exporting ? "Exporting…" : "Export CSV"}
+        </button>
+      </div>
+      {exportError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{exportError}</p>}
+      <div className="mt-4">{children}</div>
+    </section>
+  );
+}
+
+// `days` only applies to the funnel
+function useReport(courseId, report, days) {
+  const load = useCallback(() => fetchCourseReport(courseId, report, { days }), [courseId, report, days]);
+  return useApi(load);
+}
+
+function ReportBody({ state, empty, children }) {
+  if (state.error) return <LoadError error={state.error} onRetry={state.reload} />;
+  if (!state.data) return <div className="h-24 rounded-xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  if (empty(state.data)) return <p className="text-sm text-slate-600 dark:text-slate-300">Not enough data yet.</p>;
+  return children(state.data);
+}
+
+function Funnel({ course }) {
+  const [days, setDays] = useState(90);
+  const state = useReport(course.id, "funnel", days);
+
+  return (
+    <Report
+      title="Enrollment funnel"
+      description="Course page views (not counting yours), then enrollments in the period and how far they got."
+      courseId={course.id}
+      report="funnel"
+      params={{ days }}
+      filename={`${course.slug}-funnel.csv`}
+    >
+      <select
+        value={days}
+        onChange={(e) => setDays(Number(e.target.value))}
+        aria-label="Period"
+        className="mb-4 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1 text-sm"
+      >
+        {FUNNEL_PERIODS.map((p) => (
+          <option key={p.days} value={p.days}>{p.label}</option>
+        ))}
+      </select>
+      <ReportBody state={state} empty={(d) => !d.views && !d.enrollments}>
+        {(data) => {
+          const top = Math.max(...data.steps.map((s) => s.count), 1);
+          return (
+            <ol className="space-y-3">
+              {data.steps.map((s) => (
+                <li key={s.id}>
+                  <div className="flex justify-between text-sm">
+                    <span>{s.label}</span>
+                    <span className="font-medium">
+                      {s.count}
+                      {s.rate !== undefined && <span className="ml-2 font-normal text-slate-500">{s.rate}%</span>}
+                    </span>
+                  </div>
+                  <div className="mt-1">
+                    <Bar percent={(s.count / top) * 100} />
+                  </div>
+                </li>
+              ))}
+            </ol>
+          );
+        }}
+      </ReportBody>
+    </Report>
+  );
+}
+
+function DropOff({ course }) {
+  const state = useReport(course.id, "drop-off");
+
+  return (
+    <Report
+      title="Drop-off by lesson"
+      description="Lessons in course order. “Stopped here” counts unfinished learners whose last lesson this was before two weeks or more without studying."
+      courseId={course.id}
+      report="drop-off"
+      filename={`${course.slug}-drop-off.csv`}
+    >
+      <ReportBody state={state} empty={(d) => !d.items.length || !d.enrolled}>
+        {(data) => {
+          const most = Math.max(...data.items.map((i) => i.stopped), 1);
+          return (
+            <>
+              {data.dropOff && (
+                <p className="mb-3 text-sm">
+                  Most learners stop at <span className="font-medium">{data.dropOff.title}</span>.
+                </p>
+              )}
+              <div className="overflow-x-auto">
+                <table className={tableClass}>
+                  <thead className="text-slate-500">
+                    <tr>
+                      <th>Lesson</th>
+                      <th>Reached</th>
+                      <th>Completed</th>
+                      <th className="w-1/4">Stopped here</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                    {data.items.map((i) => (
+                      <tr key={i.lesson.id} className={cn(data.dropOff?.id === i.lesson.id && "bg-amber-50 dark:bg-amber-950/30")}>
+                        <td>
+                          <span className="text-slate-500">{i.position}.</span> {i.lesson.title}
+                        </td>
+                        <td>{i.reachedPercent}%</td>
+                        <td>{i.completed}</td>
+                        <td>
+                          <div className="flex items-center gap-2">
+                            <span className="w-8 text-right">{i.stopped}</span>
+                            <Bar percent={(i.stopped / most) * 100} className="bg-amber-500" />
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          );
+        }}
+      </ReportBody>
+    </Report>
+  );
+}
+
+function VideoStats({ course }) {
+  const state = useReport(course.id, "videos");
+
+  return (
+    <Report
+      title="Video watch time"
+      description="Median time watched per learner who opened the video."
+      courseId={course.id}
+      report="videos"
+      filename={`${course.slug}-videos.csv`}
+    >
+      <ReportBody state={state} empty={(d) => !d.items.length}>
+        {(data) => (
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className="text-slate-500">
+                <tr>
+                  <th>Video</th>
+                  <th>Viewers</th>
+                  <th>Completed</th>
+                  <th className="w-1/3">Median watched</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                {data.items.map((i) => (
+                  <tr key={i.lesson.id}>
+                    <td>{i.lesson.title}</td>
+                    <td>{i.viewers}</td>
+                    <td>{i.completionRate}%</td>
+                    <td>
+                      <div className="flex items-center gap-2">
+                        <span className="w-24 shrink-0">
+                          {formatSeconds(i.medianSeconds)}
+                          {i.duration > 0 && <span className="text-slate-500"> / {formatSeconds(i.duration)}</span>}
+                        </span>
+                        <Bar percent={i.medianPercent} />
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </ReportBody>
+    </Report>
+  );
+}
+
+// What an item's numbers suggest, by the usual rules of thumb
+function itemNote(item) {
+  if (item.discrimination !== null && item.discrimination < 0) return "Weaker learners do better: check the answer key";
+  if (item.difficulty > 0.9) return "Very easy";
+  if (item.difficulty < 0.3) return "Very hard";
+  if (item.discrimination !== null && item.discrimination < 0.2) return "Doesn’t separate strong from weak learners";
+  return "";
+}
+
+function QuizItems({ course }) {
+  const state = useReport(course.id, "quiz-items");
+
+  return (
+    <Report
+      title="Quiz item analysis"
+      description="From each learner’s first attempt. Difficulty is the share who answered correctly; discrimination compares the top and bottom 27% of scorers (above 0.3 is good)."
+      courseId={course.id}
+      report="quiz-items"
+      filename={`${course.slug}-quiz-items.csv`}
+    >
+      <ReportBody state={state} empty={(d) => !d.items.length}>
+        {(data) => (
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className="text-slate-500">
+                <tr>
+                  <th>Quiz</th>
+                  <th>Question</th>
+                  <th>Learners</th>
+                  <th>Difficulty</th>
+                  <th>Discrimination</th>
+                  <th>Note</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                {data.items.map((i) => (
+                  <tr key={`${i.quiz.id}-${i.question.id}`}>
+                    <td className="whitespace-nowrap">{i.quiz.title}</td>
+                    <td className="max-w-sm truncate" title={i.question.prompt}>{i.question.prompt}</td>
+                    <td>{i.answered}</td>
+                    <td>{i.difficulty.toFixed(2)}</td>
+                    <td>{i.discrimination === null ? "—" : i.discrimination.toFixed(2)}</td>
+                    <td className="text-amber-600">{itemNote(i)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </ReportBody>
+    </Report>
+  );
+}
+
+export default function CourseAnalytics({ course }) {
+  return (
+    <div className="space-y-6">
+      <Funnel course={course} />
+      <DropOff course={course} />
+      <VideoStats course={course} />
+      <QuizItems course={course} />
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+/**
+ * CurriculumEditor.jsx
+ *
+ * The course's modules and lessons as a drag-and-drop list. Lessons can be
+ * dragged within and between modules and modules dragged past each other
+ * (the arrow buttons do the same from the keyboard); each change is saved
+ * straight away as the full order (PUT /courses/:id/curriculum). Also adds,
+ * renames and deletes modules and lessons, and picks the lesson to edit.
+ */
+import React, { useEffect, useState } from "react";
+import { ArrowDown, ArrowUp, FileText, GripVertical, HelpCircle, PlayCircle, Plus, Trash2 } from "lucide-react";
+import {
+  createLesson,
+  createModule,
+  deleteLesson,
+  deleteModule,
+  saveCurriculum,
+  updateModule,
+} from "../../api/authoring";
+import { errorMessage } from "../../api/client";
+import cn from "../../utils/cn";
+
+const LESSON_ICONS = { video: PlayCircle, text: FileText, quiz: HelpCircle };
+
+const inputClass = "rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-1.5 text-sm";
+
+// [{ id, lessons: [id] }] — what the API takes
+const toSpec = (modules) => modules.map((m) => ({ id: m.id, lessons: m.lessons.map((l) => l.id) }));
+
+// Moves a lesson to `index` in module `toModule` (both positions after removal)
+function moveLesson(modules, lessonId, toModule, index) {
+  const lesson = modules.flatMap((m) => m.lessons).find((l) => l.id === lessonId);
+  const without = modules.map((m) => ({ ...m, lessons: m.lessons.filter((l) => l.id !== lessonId) }));
+  return without.map((m) => {
+    if (m.id !== toModule) return m;
+    const lessons = [...m.lessons];
+    lessons.splice(Math.min(index, lessons.length), 0, lesson);
+    return { ...m, lessons };
+  });
+}
+
+function moveModule(modules, moduleId, index) {
+  const module = modules.find((m) => m.id === moduleId);
+  const rest = modules.filter((m) => m.id !== moduleId);
+  rest.splice(Math.max(0, Math.min(index, rest.length)), 0, module);
+  return rest;
+}
+
+function AddLessonForm({ onAdd }) {
+  const [title, setTitle] = useState("");
+  const [type, setType] = useState("text");
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    if (await onAdd({ title, type })) setTitle("");
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-2 flex flex-wrap gap-2">
+      <input value={title} onChange={(e) => setTitle(e.target.value)} required maxLength={120} placeholder="New lesson title" aria-label="New lesson title" className={cn(inputClass, "flex-1 min-w-40")} />
+      <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Lesson type" className={inputClass}>
+        <option value="text">Reading</option>
+        <option value="video">Video</option>
+        <option value="quiz">Quiz</option>
+      </select>
+      <button type="submit" className="inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm">
+        <Plus size={14} aria-hidden /> Add lesson
+      </button>
+    </form>
+  );
+}
+
+export default function CurriculumEditor({ courseId, modules: saved, selected, onSelect, onChange }) {
+  // local copy, so a drop shows at once while it is saved
+  const [modules, setModules] = useState(saved);
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [newModule, setNewModule] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => setModules(saved), [saved]);
+
+  async function run(action, fallback) {
+    setError("");
+    try {
+      const result = await action();
+      onChange();
+      return result ?? true;
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+      setModules(saved);
+      return false;
+    }
+  }
+
+  function reorder(next) {
+    setModules(next);
+    return run(() => saveCurriculum(courseId, toSpec(next)), "Could not save the new order");
+  }
+
+  function onDrop(e, target) {
+    e.preventDefault();
+    // the innermost target handles it, not the list around it too
+    e.stopPropagation();
+    setDropTarget(null);
+    if (!dragging) return;
+    if (dragging.kind === "lesson" && target.module) {
+      reorder(moveLesson(modules, dragging.id, target.module, target.index));
+    } else if (dragging.kind === "module" && target.moduleIndex !== undefined) {
+      reorder(moveModule(modules, dragging.id, target.moduleIndex));
+    }
+    setDragging(null);
+  }
+
+  const dropProps = (target, key) => ({
+    onDragOver: (e) => {
+      if (!dragging || (dragging.kind === "lesson") !== Boolean(target.module)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(key);
+    },
+    onDragLeave: () => setDropTarget((k) => (k === key ? null : k)),
+    onDrop: (e) => onDrop(e, target),
+  });
+
+  async function addModule(e) {
+    e.preventDefault();
+    if (await run(() => createModule(courseId, { title: newModule, order: modules.length }), "Could not add the module")) {
+      setNewModule("");
+    }
+  }
+
+  function renameModule(module) {
+    const title = window.prompt("Module title", module.title);
+    if (!title || title === module.title) return;
+    run(() => updateModule(courseId, module.id, { title }), "Could not rename the module");
+  }
+
+  function removeModule(module) {
+    if (!window.confirm(`Delete “${module.title}” and its ${module.lessons.length} lessons?`)) return;
+    run(() => deleteModule(courseId, module.id), "Could not delete the module");
+  }
+
+  function removeLesson(lesson) {
+    if (!window.confirm(`Delete the lesson “${lesson.title}”?`)) return;
+    if (selected === lesson.id) onSelect(null);
+    run(() => deleteLesson(courseId, lesson.id), "Could not delete the lesson");
+  }
+
+  async function addLesson(module, body) {
+    const lesson = await run(
+      () => createLesson(courseId, module.id, { ...body, order: module.lessons.length }),
+      "Could not add the lesson"
+    );
+    if (lesson) onSelect(lesson.id);
+    return Boolean(lesson);
+  }
+
+  const allLessons = modules.flatMap((m) => m.lessons);
+
+  return (
+    <div>
+      {error && <p role="alert" className="mb-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <ol className="space-y-4">
+        {modules.map((m, mi) => (
+          <li
+            key={m.id}
+            {...dropProps({ moduleIndex: mi }, `module-${mi}`)}
+            className={cn(
+              "rounded-2xl border p-4",
+              dropTarget === `module-${mi}` ? "border-indigo-400" : "border-slate-100 dark:border-slate-800"
+            )}
+          >
+            <div className="flex items-center gap-2">
+              <span
+                draggable
+                onDragStart={() => setDragging({ kind: "module", id: m.id })}
+                onDragEnd={() => setDragging(null)}
+                className="cursor-grab text-slate-400"
+                title="Drag to reorder"
+              >
+                <GripVertical size={16} aria-hidden />
+              </span>
+              <button onClick={() => renameModule(m)} className="flex-1 text-left font-semibold hover:underline">
+                {m.title}
+              </button>
+              <button onClick={() => reorder(moveModule(modules, m.id, mi - 1))} disabled={mi === 0} aria-label={`Move ${m.title} up`} className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-30">
+                <ArrowUp size={14} />
+              </button>
+              <button onClick={() => reorder(moveModule(modules, m.id, mi + 1))} disabled={mi === modules.length - 1} aria-label={`Move ${m.title} down`} className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-30">
+                <ArrowDown size={14} />
+              </button>
+              <button onClick={() => removeModule(m)} aria-label={`Delete ${m.title}`} className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+                <Trash2 size={14} />
+              </button>
+            </div>
+
+            <ul className="mt-2 space-y-1" {...dropProps({ module: m.id, index: m.lessons.length }, `end-${m.id}`)}>
+              {m.lessons.map((l, li) => {
+                const Icon = LESSON_ICONS[l.type] || PlayCircle;
+                const flat = allLessons.indexOf(l);
+                return (
+                  <li
+                    key={l.id}
+                    draggable
+                    onDragStart={(e) => {
+                      e.stopPropagation();
+                      setDragging({ kind: "lesson", id: l.id });
+                    }}
+                    onDragEnd={() => setDragging(null)}
+                    {...dropProps({ module: m.id, index: li }, `lesson-${l.id}`)}
+                    className={cn(
+                      "flex items-center gap-2 rounded-lg px-2 py-1.5 text-sm",
+                      dropTarget === `lesson-${l.id}` && "border-t-2 border-indigo-400",
+                      selected === l.id
+                        ? "bg-indigo-50 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300"
+                        : "hover:bg-slate-50 dark:hover:bg-slate-800"
+                    )}
+                  >
+                    <GripVertical size={14} className="shrink-0 cursor-grab text-slate-400" aria-hidden />
+                    <Icon size={14} className="shrink-0" aria-hidden />
+                    <button onClick={() => onSelect(l.id)} className="flex-1 truncate text-left">
+                      {l.title}
+                      {l.isPreview && <span className="ml-2 text-xs text-emerald-600">Free preview</span>}
+                    </button>
+                    <button
+                      onClick={() => {
+                        const prev = allLessons[flat - 1];
+                        const target = modules.find((x) => x.lessons.includes(prev));
+                        // before it in the same module, else to the end of the module above
+                        const at = target.id === m.id ? target.lessons.indexOf(prev) : target.lessons.length;
+                        reorder(moveLesson(modules, l.id, target.id, at));
+                      }}
+                      disabled={flat === 0}
+                      aria-label={`Move ${l.title} up`}
+                      className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-30"
+                    >
+                      <ArrowUp size={14} />
+                    </button>
+                    <button
+                      onClick={() => {
+                        const next = allLessons[flat + 1];
+                        const target = modules.find((x) => x.lessons.includes(next));
+                        // past it in the same module, else to the top of the module below
+                        const at = target.id === m.id ? target.lessons.indexOf(next) : 0;
+                        reorder(moveLesson(modules, l.id, target.id, at));
+                      }}
+                      disabled={flat === allLessons.length - 1}
+                      aria-label={`Move ${l.title} down`}
+                      className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-30"
+                    >
+                      <ArrowDown size={14} />
+                    </button>
+                    <button onClick={() => removeLesson(l)} aria-label={`Delete ${l.title}`} className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+                      <Trash2 size={14} />
+                    </button>
+                  </li>
+                );
+              })}
+              {m.lessons.length === 0 && (
+                <li className={cn("rounded-lg border border-dashed px-3 py-2 text-sm text-slate-500", dropTarget === `end-${m.id}` ? "border-indigo-400" : "border-slate-200 dark:border-slate-700")}>
+                  Drop lessons here, or add one below.
+                </li>
+              )}
+            </ul>
+            <AddLessonForm onAdd={(body) => addLesson(m, body)} />
+          </li>
+        ))}
+      </ol>
+
+      <form onSubmit={addModule} className="mt-4 flex gap-2">
+        <input value={newModule} onChange={(e) => setNewModule(e.target.value)} required maxLength={120} placeholder="New module title" aria-label="New module title" className={cn(inputClass, "flex-1")} />
+        <button type="submit" className="inline-flex items-center gap-1 rounded-lg bg-indigo-600 px-3 py-1.5 text-sm text-white">
+          <Plus size={14} aria-hidden /> Add module
+        </button>
+      </form>
+    </div>
+  );
+}
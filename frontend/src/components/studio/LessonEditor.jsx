@@ -0,0 +1,302 @@
+/**
+ * LessonEditor.jsx
+ *
+ * Everything about one lesson in the studio: its details and written
+ * content (plain text, Markdown, or the rich text editor), its video —
+ * an uploaded file with caption tracks, or a link to one hosted elsewhere —
+ * downloadable attachments, and for quiz lessons the QuizBuilder.
+ *
+ * Uploads go up as raw request bodies with a progress readout, like project
+ * submissions. Mount with key={lesson.id} so switching lessons resets it.
+ */
+import React, { useState } from "react";
+import { Captions, Paperclip, Trash2, Upload, Video } from "lucide-react";
+import LessonContent from "../LessonContent";
+import QuizBuilder from "./QuizBuilder";
+import RichTextEditor from "./RichTextEditor";
+import {
+  addLessonAttachment,
+  removeCaptions,
+  removeLessonAttachment,
+  removeLessonVideo,
+  updateLesson,
+  uploadCaptions,
+  uploadLessonVideo,
+} from "../../api/authoring";
+import { errorMessage } from "../../api/client";
+import { formatBytes } from "../../utils/format";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const FORMATS = { markdown: "Markdown", html: "Rich text", plain: "Plain text" };
+const VIDEO_TYPES = ".mp4,.m4v,.webm,.ogv";
+
+// HTML from the rich text editor as plain text, when switching away from it
+const htmlToText = (html) => new DOMParser().parseFromString(html, "text/html").body.textContent ?? "";
+
+function DetailsForm({ courseId, lesson, onSaved }) {
+  const [form, setForm] = useState({
+    title: lesson.title,
+    type: lesson.type,
+    durationMinutes: lesson.durationMinutes,
+    isPreview: lesson.isPreview,
+    contentFormat: lesson.contentFormat ?? "plain",
+    // rich text goes into the editor as markup, so it starts from the API's sanitized copy
+    content: (lesson.contentFormat === "html" ? lesson.contentHtml : lesson.content) ?? "",
+    videoUrl: lesson.videoUrl ?? "",
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+  const [preview, setPreview] = useState(false);
+
+  const update = (field) => (e) =>
+    setForm((f) => ({ ...f, [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  function setFormat(e) {
+    const format = e.target.value;
+    setForm((f) => {
+      if (format === "html" && f.contentFormat !== "html") {
+        // start from the rendered Markdown, so formatting carries over
+        return { ...f, contentFormat: format, content: lesson.contentFormat === "markdown" ? lesson.contentHtml ?? "" : f.content };
+      }
+      if (format !== "html" && f.contentFormat === "html") return { ...f, contentFormat: format, content: htmlToText(f.content) };
+      return { ...f, contentFormat: format };
+    });
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    setSaved(false);
+    try {
+      await updateLesson(courseId, lesson.id, {
+        ...form,
+        durationMinutes: Number(form.durationMinutes),
+        videoUrl: form.videoUrl || undefined,
+      });
+      setSaved(true);
+      onSaved();
+    } catch (err) {
+      setError(errorMessage(err, "Could not save the lesson"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const contentId = `lesson-content-${lesson.id}`;
+
+  return (
+    <form onSubmit={onSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+      <label className="block text-sm sm:col-span-3">
+        Title
+        <input value={form.title} onChange={update("title")} required maxLength={120} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Type
+        <select value={form.type} onChange={update("type")} className={inputClass}>
+          <option value="text">Reading</option>
+          <option value="video">Video</option>
+          <option value="quiz">Quiz</option>
+        </select>
+      </label>
+      <label className="block text-sm">
+        Length (minutes)
+        <input type="number" min={0} value={form.durationMinutes} onChange={update("durationMinutes")} className={inputClass} />
+      </label>
+      <label className="flex items-center gap-2 self-end pb-2 text-sm">
+        <input type="checkbox" checked={form.isPreview} onChange={update("isPreview")} /> Free preview
+      </label>
+      {form.type === "video" && !lesson.video?.uploaded && (
+        <label className="block text-sm sm:col-span-3">
+          Video link (when not uploading one)
+          <input type="url" value={form.videoUrl} onChange={update("videoUrl")} placeholder="https://" className={inputClass} />
+        </label>
+      )}
+
+      {form.type !== "quiz" && (
+        <div className="sm:col-span-3">
+          <div className="flex flex-wrap items-end justify-between gap-3">
+            <label htmlFor={contentId} className="text-sm">
+              {form.type === "video" ? "Notes shown with the video" : "Lesson text"}
+            </label>
+            <div className="flex items-center gap-3 text-sm">
+              <select value={form.contentFormat} onChange={setFormat} aria-label="Format" className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1 text-sm">
+                {Object.entries(FORMATS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {form.contentFormat !== "plain" && (
+                <button type="button" onClick={() => setPreview((v) => !v)} className="text-indigo-600 hover:underline">
+                  {preview ? "Edit" : "Preview saved"}
+                </button>
+              )}
+            </div>
+          </div>
+          {preview ? (
+            <div className="mt-1 rounded-lg border border-slate-200 dark:border-slate-700 p-4 text-sm">
+              <LessonContent lesson={lesson} />
+            </div>
+          ) : form.contentFormat === "html" ? (
+            <RichTextEditor key={`${lesson.id}-html`} id={contentId} value={form.content} onChange={(html) => setForm((f) => ({ ...f, content: html }))} />
+          ) : (
+            <textarea
+              id={contentId}
+              value={form.content}
+              onChange={update("content")}
+              rows={14}
+              placeholder={form.contentFormat === "markdown" ? "## Heading\n\nText with **bold**, *italics*, `code` and [links](https://…)\n\n- a list" : ""}
+              className={`${inputClass} ${form.contentFormat === "markdown" ? "font-mono" : ""}`}
+            />
+          )}
+        </div>
+      )}
+
+      {error && <p role="alert" className="sm:col-span-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="sm:col-span-3 flex items-center gap-3">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Saving…" : "Save lesson"}
+        </button>
+        {saved && <span role="status" className="text-sm text-emerald-600">Saved</span>}
+      </div>
+    </form>
+  );
+}
+
+/** A file picker styled as a button */
+function UploadButton({ label, accept, disabled, onFile }) {
+  return (
+    <label className="inline-flex cursor-pointer items-center gap-2 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm">
+      <Upload size={14} aria-hidden /> {label}
+      <input
+        type="file"
+        accept={accept}
+        disabled={disabled}
+        onChange={(e) => {
+          const [file] = e.target.files;
+          e.target.value = "";
+          if (file) onFile(file);
+        }}
+        className="sr-only"
+      />
+    </label>
+  );
+}
+
+function MediaPanel({ courseId, lesson, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const [track, setTrack] = useState({ lang: "en", label: "English" });
+
+  async function run(action, fallback) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      onChange();
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+      setProgress(null);
+    }
+  }
+
+  const onUpload = (file) => (done) => setProgress({ name: file.name, done });
+
+  return (
+    <div className="space-y-6">
+      {lesson.type === "video" && (
+        <section aria-labelledby="video-heading">
+          <h3 id="video-heading" className="font-semibold">Video</h3>
+          <div className="mt-2 flex flex-wrap items-center gap-3 text-sm">
+            {lesson.video?.uploaded ? (
+              <>
+                <span className="inline-flex items-center gap-1.5 text-emerald-600">
+                  <Video size={16} aria-hidden /> Video uploaded
+                </span>
+                <UploadButton label="Replace" accept={VIDEO_TYPES} disabled={busy} onFile={(file) => run(() => uploadLessonVideo(courseId, lesson.id, file, onUpload(file)), "Could not upload the video")} />
+                <button onClick={() => run(() => removeLessonVideo(courseId, lesson.id), "Could not remove the video")} disabled={busy} className="text-slate-500 hover:underline">
+                  Remove
+                </button>
+              </>
+            ) : (
+              <>
+                <span className="text-slate-500">{lesson.videoUrl ? "Using the video link above." : "No video yet."}</span>
+                <UploadButton label="Upload video" accept={VIDEO_TYPES} disabled={busy} onFile={(file) => run(() => uploadLessonVideo(courseId, lesson.id, file, onUpload(file)), "Could not upload the video")} />
+              </>
+            )}
+          </div>
+
+          {lesson.video?.uploaded && (
+            <>
+              <h4 className="mt-4 text-sm font-medium">Captions</h4>
+              <ul className="mt-1 space-y-1 text-sm">
+                {lesson.captions.map((c) => (
+                  <li key={c.lang} className="flex items-center gap-2">
+                    <Captions size={14} aria-hidden /> {c.label} <span className="text-slate-500">({c.lang})</span>
+                    <button onClick={() => run(() => removeCaptions(courseId, lesson.id, c.lang), "Could not remove the captions")} disabled={busy} aria-label={`Remove ${c.label} captions`} className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+                      <Trash2 size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <div className="mt-2 flex flex-wrap items-end gap-2">
+                <label className="block text-sm">
+                  Language code
+                  <input value={track.lang} onChange={(e) => setTrack((t) => ({ ...t, lang: e.target.value }))} maxLength={12} className={`${inputClass} w-24`} />
+                </label>
+                <label className="block text-sm">
+                  Label
+                  <input value={track.label} onChange={(e) => setTrack((t) => ({ ...t, label: e.target.value }))} maxLength={40} className={`${inputClass} w-40`} />
+                </label>
+                <UploadButton label="Add .vtt file" accept=".vtt,text/vtt" disabled={busy || !track.lang} onFile={(file) => run(() => uploadCaptions(courseId, lesson.id, track, file), "Could not upload the captions")} />
+              </div>
+            </>
+          )}
+        </section>
+      )}
+
+      <section aria-labelledby="attachments-heading">
+        <h3 id="attachments-heading" className="font-semibold">Attachments</h3>
+        <p className="text-sm text-slate-600 dark:text-slate-300">Slides, starter code and handouts learners can download.</p>
+        <ul className="mt-2 space-y-1 text-sm">
+          {lesson.attachments.map((a) => (
+            <li key={a.id} className="flex items-center gap-2">
+              <Paperclip size={14} aria-hidden /> {a.name} <span className="text-slate-500">{formatBytes(a.size)}</span>
+              <button onClick={() => run(() => removeLessonAttachment(courseId, lesson.id, a.id), "Could not remove the file")} disabled={busy} aria-label={`Remove ${a.name}`} className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="mt-2">
+          <UploadButton label="Attach a file" disabled={busy} onFile={(file) => run(() => addLessonAttachment(courseId, lesson.id, file, onUpload(file)), "Could not upload the file")} />
+        </div>
+      </section>
+
+      {progress && (
+        <p className="text-xs text-slate-500" aria-live="polite">
+          Uploading {progress.name}… {Math.round(progress.done * 100)}%
+        </p>
+      )}
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+export default function LessonEditor({ courseId, lesson, onChange }) {
+  return (
+    <div className="space-y-8">
+      <DetailsForm courseId={courseId} lesson={lesson} onSaved={onChange} />
+      {lesson.type === "quiz" ? (
+        <QuizBuilder courseId={courseId} lesson={lesson} onChange={onChange} />
+      ) : (
+        <MediaPanel courseId={courseId} lesson={lesson} onChange={onChange} />
+      )}
+    </div>
+  );
+}
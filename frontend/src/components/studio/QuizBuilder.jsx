@@ -0,0 +1,400 @@
+/**
+ * QuizBuilder.jsx
+ *
+ * Quiz lessons in the studio: the quiz's settings (which banks it draws
+ * from, how many questions, time limit, attempts, pass mark) and the
+ * course's question banks — adding, editing and deleting questions of every
+ * type with their answer keys. Banks are shared by all the course's quizzes.
+ */
+import React, { useCallback, useState } from "react";
+import { Pencil, Plus, Trash2 } from "lucide-react";
+import LoadError from "../LoadError";
+import useApi from "../../hooks/useApi";
+import { createQuestion, createQuiz, deleteQuestion, fetchQuestions, updateQuestion, updateQuiz } from "../../api/authoring";
+import { errorMessage } from "../../api/client";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const QUESTION_TYPES = {
+  single: "Single choice",
+  multiple: "Multiple choice",
+  numeric: "Number",
+  short_text: "Short answer",
+  code_output: "Code output",
+};
+const CHOICE_TYPES = ["single", "multiple"];
+
+const splitList = (text) =>
+  text
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function QuizSettings({ courseId, lesson, quiz, banks, onSaved }) {
+  const [form, setForm] = useState({
+    title: quiz?.title ?? lesson.title,
+    instructions: quiz?.instructions ?? "",
+    banks: quiz?.banks.join(", ") ?? "",
+    questionCount: quiz?.questionCount ?? 0,
+    timeLimitMinutes: quiz?.timeLimitMinutes ?? 0,
+    maxAttempts: quiz?.maxAttempts ?? 0,
+    passingScore: quiz?.passingScore ?? 70,
+    shuffleQuestions: quiz?.shuffleQuestions ?? true,
+    shuffleOptions: quiz?.shuffleOptions ?? true,
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const update = (field) => (e) =>
+    setForm((f) => ({ ...f, [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    setSaved(false);
+    const body = {
+      ...form,
+      banks: splitList(form.banks.toLowerCase()),
+      questionCount: Number(form.questionCount),
+      timeLimitMinutes: Number(form.timeLimitMinutes),
+      maxAttempts: Number(form.maxAttempts),
+      passingScore: Number(form.passingScore),
+    };
+    try {
+      if (quiz) await updateQuiz(quiz.id, body);
+      else await createQuiz({ ...body, course: courseId, lesson: lesson.id });
+      setSaved(true);
+      onSaved();
+    } catch (err) {
+      setError(errorMessage(err, "Could not save the quiz"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      <label className="block text-sm sm:col-span-2">
+        Quiz title
+        <input value={form.title} onChange={update("title")} required maxLength={120} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Instructions
+        <textarea value={form.instructions} onChange={update("instructions")} rows={2} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Question banks (blank for every bank)
+        <input value={form.banks} onChange={update("banks")} list="quiz-banks" placeholder="module-1, module-2" className={inputClass} />
+        <datalist id="quiz-banks">
+          {banks.map((b) => (
+            <option key={b} value={b} />
+          ))}
+        </datalist>
+      </label>
+      <label className="block text-sm">
+        Questions per attempt (0 for all)
+        <input type="number" min={0} value={form.questionCount} onChange={update("questionCount")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Time limit in minutes (0 for none)
+        <input type="number" min={0} value={form.timeLimitMinutes} onChange={update("timeLimitMinutes")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Attempts allowed (0 for unlimited)
+        <input type="number" min={0} value={form.maxAttempts} onChange={update("maxAttempts")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Pass mark (%)
+        <input type="number" min={0} max={100} value={form.passingScore} onChange={update("passingScore")} className={inputClass} />
+      </label>
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.shuffleQuestions} onChange={update("shuffleQuestions")} /> Shuffle questions
+      </label>
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.shuffleOptions} onChange={update("shuffleOptions")} /> Shuffle options
+      </label>
+      {error && <p role="alert" className="sm:col-span-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="sm:col-span-2 flex items-center gap-3">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Saving…" : quiz ? "Save quiz settings" : "Set up quiz"}
+        </button>
+        {saved && <span role="status" className="text-sm text-emerald-600">Saved</span>}
+      </div>
+    </form>
+  );
+}
+
+// Form state for a question, new or existing
+function questionForm(question, bank) {
+  const correct = new Set((question?.answer?.options ?? []).map(String));
+  return {
+    bank: question?.bank ?? bank ?? "general",
+    type: question?.type ?? "single",
+    prompt: question?.prompt ?? "",
+    code: question?.code ?? "",
+    points: question?.points ?? 1,
+    options: question?.options.map((o) => ({ text: o.text, correct: correct.has(o.id) })) ?? [
+      { text: "", correct: true },
+      { text: "", correct: false },
+    ],
+    value: question?.answer?.value ?? "",
+    tolerance: question?.answer?.tolerance ?? 0,
+    accepted: question?.answer?.accepted?.join(", ") ?? "",
+    caseSensitive: question?.answer?.caseSensitive ?? false,
+  };
+}
+
+function QuestionForm({ courseId, question, bank, onSaved, onCancel }) {
+  const [form, setForm] = useState(() => questionForm(question, bank));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const update = (field) => (e) =>
+    setForm((f) => ({ ...f, [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+  const choice = CHOICE_TYPES.includes(form.type);
+
+  function setOption(i, patch) {
+    setForm((f) => ({
+      ...f,
+      options: f.options.map((o, j) => {
+        if (j === i) return { ...o, ...patch };
+        // a single-choice question has one correct option
+        return patch.correct && f.type === "single" ? { ...o, correct: false } : o;
+      }),
+    }));
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    let answer;
+    if (choice) {
+      answer = { optionIndexes: form.options.flatMap((o, i) => (o.correct ? [i] : [])) };
+    } else if (form.type === "numeric") {
+      answer = { value: Number(form.value), tolerance: Number(form.tolerance) };
+    } else {
+      answer = { accepted: splitList(form.accepted), caseSensitive: form.caseSensitive };
+    }
+    const body = {
+      bank: form.bank,
+      type: form.type,
+      prompt: form.prompt,
+      code: form.type === "code_output" ? form.code : undefined,
+      points: Number(form.points),
+      options: choice ? form.options.map((o) => ({ text: o.text })) : [],
+      answer,
+    };
+    try {
+      if (question) await updateQuestion(question.id, body);
+      else await createQuestion({ ...body, course: courseId });
+      onSaved();
+    } catch (err) {
+      setError(errorMessage(err, "Could not save the question"));
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <label className="block text-sm">
+        Type
+        <select value={form.type} onChange={update("type")} className={inputClass}>
+          {Object.entries(QUESTION_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Bank
+        <input value={form.bank} onChange={update("bank")} required maxLength={60} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Points
+        <input type="number" min={0} value={form.points} onChange={update("points")} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-3">
+        Question
+        <textarea value={form.prompt} onChange={update("prompt")} required rows={2} maxLength={4000} className={inputClass} />
+      </label>
+      {form.type === "code_output" && (
+        <label className="block text-sm sm:col-span-3">
+          Code (learners say what it prints)
+          <textarea value={form.code} onChange={update("code")} required rows={4} className={`${inputClass} font-mono`} />
+        </label>
+      )}
+
+      {choice && (
+        <fieldset className="sm:col-span-3 text-sm">
+          <legend className="font-medium">Options — tick the correct {form.type === "single" ? "one" : "ones"}</legend>
+          {form.options.map((o, i) => (
+            <div key={i} className="mt-2 flex items-center gap-2">
+              <input
+                type={form.type === "single" ? "radio" : "checkbox"}
+                name="correct-option"
+                checked={o.correct}
+                onChange={(e) => setOption(i, { correct: e.target.checked })}
+                aria-label={`Option ${i + 1} is correct`}
+              />
+              <input
+                value={o.text}
+                onChange={(e) => setOption(i, { text: e.target.value })}
+                required
+                maxLength={500}
+                aria-label={`Option ${i + 1}`}
+                className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => setForm((f) => ({ ...f, options: f.options.filter((_, j) => j !== i) }))}
+                disabled={form.options.length <= 2}
+                aria-label={`Remove option ${i + 1}`}
+                className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-40"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setForm((f) => ({ ...f, options: [...f.options, { text: "", correct: false }] }))}
+            className="mt-2 text-indigo-600 hover:underline"
+          >
+            Add option
+          </button>
+        </fieldset>
+      )}
+      {form.type === "numeric" && (
+        <>
+          <label className="block text-sm">
+            Answer
+            <input type="number" step="any" value={form.value} onChange={update("value")} required className={inputClass} />
+          </label>
+          <label className="block text-sm">
+            Accept within ±
+            <input type="number" step="any" min={0} value={form.tolerance} onChange={update("tolerance")} className={inputClass} />
+          </label>
+        </>
+      )}
+      {["short_text", "code_output"].includes(form.type) && (
+        <>
+          <label className="block text-sm sm:col-span-2">
+            Accepted answers (comma-separated)
+            <input value={form.accepted} onChange={update("accepted")} required className={inputClass} />
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={form.caseSensitive} onChange={update("caseSensitive")} /> Case-sensitive
+          </label>
+        </>
+      )}
+
+      {error && <p role="alert" className="sm:col-span-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="sm:col-span-3 flex gap-3">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Saving…" : question ? "Save question" : "Add question"}
+        </button>
+        <button type="button" onClick={onCancel} className="rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2 text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function QuizBuilder({ courseId, lesson, onChange }) {
+  const [bank, setBank] = useState("");
+  const load = useCallback(() => fetchQuestions(courseId, { bank: bank || undefined, limit: 200 }), [courseId, bank]);
+  const { data, error, reload } = useApi(load);
+  // "new", a question id, or null
+  const [editing, setEditing] = useState(null);
+  const [deleteError, setDeleteError] = useState("");
+
+  async function remove(question) {
+    if (!window.confirm("Delete this question from the bank?")) return;
+    setDeleteError("");
+    try {
+      await deleteQuestion(question.id);
+      reload();
+    } catch (err) {
+      setDeleteError(errorMessage(err, "Could not delete the question"));
+    }
+  }
+
+  const saved = () => {
+    setEditing(null);
+    reload();
+  };
+
+  return (
+    <div className="space-y-8">
+      <section aria-labelledby="quiz-settings-heading">
+        <h3 id="quiz-settings-heading" className="mb-3 font-semibold">Quiz settings</h3>
+        <QuizSettings key={lesson.quiz?.id ?? "new"} courseId={courseId} lesson={lesson} quiz={lesson.quiz} banks={data?.banks ?? []} onSaved={onChange} />
+      </section>
+
+      <section aria-labelledby="question-bank-heading">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 id="question-bank-heading" className="font-semibold">Question banks</h3>
+          <div className="flex items-center gap-3">
+            <select
+              value={bank}
+              onChange={(e) => setBank(e.target.value)}
+              aria-label="Bank"
+              className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-1.5 text-sm"
+            >
+              <option value="">All banks</option>
+              {data?.banks.map((b) => (
+                <option key={b} value={b}>{b}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setEditing("new")}
+              className="inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm"
+            >
+              <Plus size={14} aria-hidden /> New question
+            </button>
+          </div>
+        </div>
+        {editing === "new" && (
+          <div className="mt-3">
+            <QuestionForm courseId={courseId} bank={bank || undefined} onSaved={saved} onCancel={() => setEditing(null)} />
+          </div>
+        )}
+        {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+        {deleteError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{deleteError}</p>}
+        {data?.items.length === 0 && (
+          <p className="mt-3 text-sm text-slate-600 dark:text-slate-300">No questions yet. Quizzes draw theirs from these banks.</p>
+        )}
+        <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800">
+          {data?.items.map((q) =>
+            editing === q.id ? (
+              <li key={q.id} className="py-3">
+                <QuestionForm courseId={courseId} question={q} onSaved={saved} onCancel={() => setEditing(null)} />
+              </li>
+            ) : (
+              <li key={q.id} className="py-3 flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm">{q.prompt}</p>
+                  <p className="mt-0.5 text-xs text-slate-500">
+                    {QUESTION_TYPES[q.type]} · {q.bank} · {q.points} {q.points === 1 ? "point" : "points"}
+                  </p>
+                </div>
+                <span className="flex shrink-0 gap-1">
+                  <button onClick={() => setEditing(q.id)} aria-label="Edit question" className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+                    <Pencil size={14} />
+                  </button>
+                  <button onClick={() => remove(q)} aria-label="Delete question" className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+                    <Trash2 size={14} />
+                  </button>
+                </span>
+              </li>
+            )
+          )}
+        </ul>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * RichTextEditor.jsx
+ *
+ * A small contentEditable editor for lesson text with a formatting toolbar
+ * (headings, bold/italic, lists, quotes, code and links). It hands back the
+ * HTML as typed; the API keeps only an allowlist of tags when it saves, so
+ * pasted styling and scripts never reach learners.
+ *
+ * Uncontrolled after mount: `value` seeds the editor, and remounting (a new
+ * `key`) is how a different lesson is loaded into it. It is written straight
+ * into the page, so pass sanitized HTML (a lesson's contentHtml), never the
+ * raw content.
+ */
+import React, { useEffect, useRef } from "react";
+import { Bold, Code, Heading2, Heading3, Italic, Link2, List, ListOrdered, Quote, Strikethrough } from "lucide-react";
+
+const TOOLS = [
+  { label: "Heading", icon: Heading2, command: "formatBlock", arg: "h2" },
+  { label: "Subheading", icon: Heading3, command: "formatBlock", arg: "h3" },
+  { label: "Bold", icon: Bold, command: "bold" },
+  { label: "Italic", icon: Italic, command: "italic" },
+  { label: "Strikethrough", icon: Strikethrough, command: "strikeThrough" },
+  { label: "Bulleted list", icon: List, command: "insertUnorderedList" },
+  { label: "Numbered list", icon: ListOrdered, command: "insertOrderedList" },
+  { label: "Quote", icon: Quote, command: "formatBlock", arg: "blockquote" },
+  { label: "Code block", icon: Code, command: "formatBlock", arg: "pre" },
+];
+
+export default function RichTextEditor({ id, value, onChange }) {
+  const ref = useRef(null);
+  // seeded once; later `value`s are this editor's own output
+  const initialValue = useRef(value);
+
+  useEffect(() => {
+    ref.current.innerHTML = initialValue.current || "";
+  }, []);
+
+  function exec(command, arg) {
+    ref.current.focus();
+    document.execCommand(command, false, arg);
+    onChange(ref.current.innerHTML);
+  }
+
+  function addLink() {
+    const url = window.prompt("Link address (https://…)");
+    if (url) exec("createLink", url);
+  }
+
+  return (
+    <div className="mt-1 rounded-lg border border-slate-200 dark:border-slate-700">
+      <div role="toolbar" aria-label="Formatting" className="flex flex-wrap gap-1 border-b border-slate-200 dark:border-slate-700 p-1">
+        {TOOLS.map((tool) => {
+          const Icon = tool.icon;
+          return (
+            <button
+              key={tool.label}
+              type="button"
+              // keep the selection in the editor
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => exec(tool.command, tool.arg)}
+              aria-label={tool.label}
+              title={tool.label}
+              className="p-1.5 rounded-md text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800"
+            >
+              <Icon size={16} />
+            </button>
+          );
+        })}
+        <button
+          type="button"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={addLink}
+          aria-label="Link"
+          title="Link"
+          className="p-1.5 rounded-md text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800"
+        >
+          <Link2 size={16} />
+        </button>
+      </div>
+      <div
+        id={id}
+        ref={ref}
+        contentEditable
+        role="textbox"
+        aria-multiline="true"
+        onInput={() => onChange(ref.current.innerHTML)}
+        className="min-h-64 px-3 py-2 text-sm focus:outline-none [&_h2]:text-lg [&_h2]:font-semibold [&_h3]:font-semibold [&_ul]:list-disc [&_ol]:list-decimal [&_ul]:pl-6 [&_ol]:pl-6 [&_blockquote]:border-l-4 [&_blockquote]:pl-3 [&_pre]:rounded [&_pre]:bg-slate-100 dark:[&_pre]:bg-slate-800 [&_pre]:p-2 [&_a]:text-indigo-600 [&_a]:underline"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React from "react";
+import cn from "../../utils/cn";
+
+const STATUS_STYLES = {
+  draft: "bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300",
+  published: "bg-emerald-50 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300",
+  archived: "bg-amber-50 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300",
+};
+
+/** Draft / published / archived pill for a course */
+export default function StatusBadge({ status }) {
+  return (
+    <span className={cn("rounded-full px-2.5 py-0.5 text-xs font-medium capitalize", STATUS_STYLES[status])}>
+      {status}
+    </span>
+  );
+}
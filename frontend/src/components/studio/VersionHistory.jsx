@@ -0,0 +1,83 @@
+/**
+ * VersionHistory.jsx
+ *
+ * The course's published versions, newest first, with their notes. Restoring
+ * one puts its details and curriculum back in the studio (lesson ids are
+ * kept, so learners' progress still lines up); publishing again makes it
+ * the live version.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { History } from "lucide-react";
+import LoadError from "../LoadError";
+import Pagination from "../Pagination";
+import useApi from "../../hooks/useApi";
+import { fetchCourseVersions, restoreCourseVersion } from "../../api/authoring";
+import { errorMessage } from "../../api/client";
+import { formatDateTime } from "../../utils/format";
+
+export default function VersionHistory({ courseId, current, reloadKey, onRestored }) {
+  const [page, setPage] = useState(1);
+  const load = useCallback(() => fetchCourseVersions(courseId, { page, limit: 10 }), [courseId, page]);
+  const { data, error, loading, reload } = useApi(load);
+  const [restoring, setRestoring] = useState(null);
+  const [restoreError, setRestoreError] = useState("");
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  async function restore(version) {
+    const ok = window.confirm(
+      `Restore version ${version.number}? Lessons added since then are deleted; publish again to make it live.`
+    );
+    if (!ok) return;
+    setRestoring(version.number);
+    setRestoreError("");
+    try {
+      await restoreCourseVersion(courseId, version.number);
+      onRestored();
+    } catch (err) {
+      setRestoreError(errorMessage(err, "Could not restore the version"));
+    } finally {
+      setRestoring(null);
+    }
+  }
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+
+  return (
+    <div aria-busy={loading}>
+      {restoreError && <p role="alert" className="mb-3 text-sm text-red-600 dark:text-red-400">{restoreError}</p>}
+      {data?.items.length === 0 && (
+        <p className="text-sm text-slate-600 dark:text-slate-300">
+          Nothing published yet. Each time you publish, the course is saved here as a new version.
+        </p>
+      )}
+      <ol className="divide-y divide-slate-100 dark:divide-slate-800">
+        {data?.items.map((v) => (
+          <li key={v.id} className="py-3 flex flex-wrap items-start justify-between gap-4">
+            <div className="min-w-0">
+              <div className="font-medium">
+                Version {v.number}
+                {v.number === current && <span className="ml-2 text-xs text-emerald-600">Latest</span>}
+              </div>
+              <div className="text-sm text-slate-500">
+                {formatDateTime(v.createdAt)} · {v.publishedBy?.name ?? "Unknown"} · {v.moduleCount} modules,{" "}
+                {v.lessonCount} lessons
+              </div>
+              {v.note && <p className="mt-1 text-sm text-slate-700 dark:text-slate-300">{v.note}</p>}
+            </div>
+            <button
+              onClick={() => restore(v)}
+              disabled={restoring !== null}
+              className="inline-flex items-center gap-1.5 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm disabled:opacity-60"
+            >
+              <History size={14} aria-hidden /> {restoring === v.number ? "Restoring…" : "Restore"}
+            </button>
+          </li>
+        ))}
+      </ol>
+      <Pagination page={page} pages={data?.pages} onPage={setPage} />
+    </div>
+  );
+}
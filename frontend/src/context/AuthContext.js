@@ -0,0 +1,6 @@
+import { createContext } from "react";
+
+/** { user, session, signIn, signUp, signOut, authMode, openAuth, closeAuth } — provided by AuthProvider */
+const AuthContext = createContext(null);
+
+export default AuthContext;
@@ -0,0 +1,62 @@
+/**
+ * AuthProvider.jsx
+ *
+ * Holds the signed-in user and exposes sign in / sign up / sign out.
+ * The session ({ user, accessToken, refreshToken }) lives in localStorage via
+ * api/client.js, so token refreshes done by the axios interceptor are picked
+ * up here through onSessionChange.
+ *
+ * Also owns the sign-in modal state so any page can ask the visitor to sign in.
+ */
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import AuthContext from "./AuthContext";
+import api, { loadSession, onSessionChange, saveSession } from "../api/client";
+
+export default function AuthProvider({ children }) {
+  const [session, setSession] = useState(loadSession);
+  // "signup" | "signin" | null
+  const [authMode, setAuthMode] = useState(null);
+
+  useEffect(() => onSessionChange(setSession), []);
+
+  const signIn = useCallback(async ({ email, password }) => {
+    const { data } = await api.post("/auth/login", { email, password });
+    saveSession(data);
+    return data.user;
+  }, []);
+
+  const signUp = useCallback(async ({ name, email, password }) => {
+    const { data } = await api.post("/auth/register", { name, email, password });
+    saveSession(data);
+    return data.user;
+  }, []);
+
+  const signOut = useCallback(async () => {
+    const refreshToken = loadSession()?.refreshToken;
+    saveSession(null);
+    try {
+      await api.post("/auth/logout", { refreshToken });
+    } catch {
+      // token is dropped locally either way
+    }
+  }, []);
+
+  const openAuth = useCallback((mode = "signin") => setAuthMode(mode), []);
+  const closeAuth = useCallback(() => setAuthMode(null), []);
+
+  const value = useMemo(
+    () => ({
+      user: session?.user ?? null,
+      session,
+      signIn,
+      signUp,
+      signOut,
+      authMode,
+      openAuth,
+      closeAuth,
+    }),
+    [session, signIn, signUp, signOut, authMode, openAuth, closeAuth]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
@@ -0,0 +1,6 @@
+import { createContext } from "react";
+
+/** { locale, locales, dir, setLocale, t } — provided by LocaleProvider */
+const LocaleContext = createContext(null);
+
+export default LocaleContext;
@@ -0,0 +1,105 @@
+/**
+ * LocaleProvider.jsx
+ *
+ * The interface language: its messages (t), the page's lang / dir
+ * attributes, number and date formatting (utils/format.js) and the
+ * Accept-Language the API sees. Starts from the signed-in user's saved
+ * preference, else the last choice on this device ('edusphar-locale'), else
+ * the browser's languages; picking one saves it to the account as well.
+ *
+ * The routes remount when the language changes, so every page refetches
+ * its course content in the new language and reformats its numbers.
+ */
+import React, { Fragment, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import LocaleContext from "./LocaleContext";
+import useAuth from "../hooks/useAuth";
+import { loadSession, saveSession, setContentLanguage } from "../api/client";
+import { updateProfile } from "../api/users";
+import { DEFAULT_LOCALE, LOCALES, localeDirection, matchLocale, translate } from "../locales";
+import { setDisplayLocale } from "../utils/format";
+
+const LOCALE_KEY = "edusphar-locale";
+
+function storedLocale() {
+  try {
+    return matchLocale(window.localStorage?.getItem?.(LOCALE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function browserLocale() {
+  if (typeof navigator === "undefined") return null;
+  for (const tag of navigator.languages ?? [navigator.language]) {
+    const code = matchLocale(tag);
+    if (code) return code;
+  }
+  return null;
+}
+
+function applyLocale(code) {
+  setDisplayLocale(code);
+  setContentLanguage(code);
+  if (typeof document !== "undefined") {
+    document.documentElement.lang = code;
+    document.documentElement.dir = localeDirection(code);
+  }
+}
+
+export default function LocaleProvider({ children }) {
+  const { user } = useAuth();
+  const signedIn = Boolean(user);
+  const preferred = matchLocale(user?.locale);
+  const [locale, setLocaleState] = useState(() => {
+    const initial = preferred || storedLocale() || browserLocale() || DEFAULT_LOCALE;
+    applyLocale(initial);
+    return initial;
+  });
+
+  // signing in switches to the account's language (once per saved choice,
+  // so a pick still being saved isn't undone by the old one)
+  const adopted = useRef(preferred);
+  useEffect(() => {
+    if (!preferred || adopted.current === preferred) return;
+    adopted.current = preferred;
+    applyLocale(preferred);
+    setLocaleState(preferred);
+  }, [preferred]);
+
+  const setLocale = useCallback(
+    (code) => {
+      const next = matchLocale(code) ?? DEFAULT_LOCALE;
+      try {
+        window.localStorage.setItem(LOCALE_KEY, next);
+      } catch {
+        // ignore
+      }
+      applyLocale(next);
+      setLocaleState(next);
+      if (!signedIn) return;
+      updateProfile({ locale: next }).then(
+        (updated) => {
+          const session = loadSession();
+          if (session) saveSession({ ...session, user: updated });
+        },
+        () => {
+          // still applies on this device; the account keeps its old choice
+        }
+      );
+    },
+    [signedIn]
+  );
+
+  const t = useCallback((key, vars) => translate(locale, key, vars), [locale]);
+
+  const value = useMemo(
+    () => ({ locale, locales: LOCALES, dir: localeDirection(locale), setLocale, t }),
+    [locale, setLocale, t]
+  );
+
+  return (
+    <LocaleContext.Provider value={value}>
+      <Fragment key={locale}>{children}</Fragment>
+    </LocaleContext.Provider>
+  );
+}
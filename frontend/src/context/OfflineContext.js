@@ -0,0 +1,10 @@
+import { createContext } from "react";
+
+/**
+ * { supported, online, downloaded, pending, syncing, syncs, conflicts,
+ *   download, remove, queueProgress, queueQuiz, sync, dismissConflicts }
+ * — provided by OfflineProvider
+ */
+const OfflineContext = createContext(null);
+
+export default OfflineContext;
@@ -0,0 +1,137 @@
+/**
+ * OfflineProvider.jsx
+ *
+ * Tracks whether the browser is online, which lessons are downloaded and how
+ * many offline changes are waiting to sync (storage and sync rules live in
+ * api/offline.js). The outbox is synced when the app starts, when the
+ * connection comes back and when the learner signs in; changes the server
+ * refused are kept in `conflicts` until dismissed.
+ *
+ * `syncs` counts syncs that changed something, so open pages can refetch.
+ */
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import OfflineContext from "./OfflineContext";
+import useAuth from "../hooks/useAuth";
+import {
+  downloadLesson,
+  listDownloads,
+  pendingCount,
+  queueProgress as queueProgressUpdate,
+  queueQuizSubmission,
+  removeDownload,
+  syncOutbox,
+} from "../api/offline";
+import { offlineSupported } from "../utils/offlineDb";
+
+export default function OfflineProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const supported = offlineSupported();
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [downloaded, setDownloaded] = useState(() => new Set());
+  const [pending, setPending] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [syncs, setSyncs] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
+  const syncingRef = useRef(false);
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (!supported) return;
+    const [count, courses] = await Promise.all([pendingCount(userId), listDownloads()]);
+    setPending(count);
+    setDownloaded(new Set(courses.flatMap((c) => c.lessons.map((l) => l.id))));
+  }, [supported, userId]);
+
+  useEffect(() => {
+    refresh().catch(() => {
+      // storage unavailable (e.g. private mode): behave as if nothing is saved
+    });
+  }, [refresh]);
+
+  const sync = useCallback(async () => {
+    if (!supported || !userId || syncingRef.current) return null;
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const result = await syncOutbox(userId);
+      if (result.conflicts.length) setConflicts((c) => [...c, ...result.conflicts]);
+      if (result.synced || result.conflicts.length) setSyncs((n) => n + 1);
+      return result;
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refresh().catch(() => {});
+    }
+  }, [supported, userId, refresh]);
+
+  useEffect(() => {
+    if (online) sync().catch(() => {});
+  }, [online, sync]);
+
+  const download = useCallback(
+    async (course, modules, lessonId) => {
+      await downloadLesson(course, modules, lessonId, userId);
+      setDownloaded((s) => new Set(s).add(lessonId));
+    },
+    [userId]
+  );
+
+  const remove = useCallback(
+    async (lessonId) => {
+      await removeDownload(lessonId);
+      await refresh();
+    },
+    [refresh]
+  );
+
+  const queueProgress = useCallback(
+    async (lessonId, body) => {
+      if (!userId) return;
+      await queueProgressUpdate(userId, lessonId, body);
+      setPending(await pendingCount(userId));
+    },
+    [userId]
+  );
+
+  const queueQuiz = useCallback(
+    async (lessonId, attemptId, answers) => {
+      await queueQuizSubmission(userId, lessonId, attemptId, answers);
+      setPending(await pendingCount(userId));
+    },
+    [userId]
+  );
+
+  const dismissConflicts = useCallback(() => setConflicts([]), []);
+
+  const value = useMemo(
+    () => ({
+      supported,
+      online,
+      downloaded,
+      pending,
+      syncing,
+      syncs,
+      conflicts,
+      download,
+      remove,
+      queueProgress,
+      queueQuiz,
+      sync,
+      dismissConflicts,
+    }),
+    [supported, online, downloaded, pending, syncing, syncs, conflicts, download, remove, queueProgress, queueQuiz, sync, dismissConflicts]
+  );
+
+  return <OfflineContext.Provider value={value}>{children}</OfflineContext.Provider>;
+}
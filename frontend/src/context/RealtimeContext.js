@@ -0,0 +1,6 @@
+import { createContext } from "react";
+
+/** { connected, send, subscribe, joinRoom } — provided by RealtimeProvider */
+const RealtimeContext = createContext(null);
+
+export default RealtimeContext;
@@ -0,0 +1,115 @@
+/**
+ * RealtimeProvider.jsx
+ *
+ * Keeps one WebSocket open while the user is signed in (see
+ * backend/services/realtime.js for the message types) and shares it:
+ *  - subscribe(type, fn) listens for one message type ("message", "typing",
+ *    "presence", "notification", "error"), plus "open" after every
+ *    (re)connect so views can fetch what they missed
+ *  - joinRoom(room) joins a chat room and returns a leave function; joined
+ *    rooms are rejoined after a reconnect
+ *  - send(payload) returns false while disconnected
+ *
+ * Dropped connections retry with backoff. When the server closes the socket
+ * because the access token expired (4001), an API call lets the axios
+ * interceptor refresh the session, and the new token reopens the socket.
+ */
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import RealtimeContext from "./RealtimeContext";
+import useAuth from "../hooks/useAuth";
+import api from "../api/client";
+import { socketUrl } from "../api/realtime";
+
+const MAX_RETRY_MS = 30 * 1000;
+
+export default function RealtimeProvider({ children }) {
+  const { session } = useAuth();
+  const token = session?.accessToken;
+  const [connected, setConnected] = useState(false);
+  const socketRef = useRef(null);
+  const listenersRef = useRef(new Map());
+  // room -> number of components in it
+  const roomsRef = useRef(new Map());
+
+  const emit = useCallback((message) => {
+    listenersRef.current.get(message.type)?.forEach((fn) => fn(message));
+  }, []);
+
+  const send = useCallback((payload) => {
+    const socket = socketRef.current;
+    if (socket?.readyState !== WebSocket.OPEN) return false;
+    socket.send(JSON.stringify(payload));
+    return true;
+  }, []);
+
+  useEffect(() => {
+    if (!token || typeof WebSocket === "undefined") return undefined;
+    let socket = null;
+    let retry = null;
+    let attempts = 0;
+    let stopped = false;
+
+    const open = () => {
+      socket = new WebSocket(socketUrl(token));
+      socketRef.current = socket;
+      socket.onopen = () => {
+        attempts = 0;
+        setConnected(true);
+        roomsRef.current.forEach((_, room) => socket.send(JSON.stringify({ type: "join", room })));
+        emit({ type: "open" });
+      };
+      socket.onmessage = (e) => {
+        try {
+          emit(JSON.parse(e.data));
+        } catch {
+          // not ours
+        }
+      };
+      socket.onclose = (e) => {
+        if (socketRef.current === socket) socketRef.current = null;
+        setConnected(false);
+        if (stopped) return;
+        if (e.code === 4001) api.get("/notifications", { params: { limit: 1 } }).catch(() => {});
+        retry = setTimeout(open, Math.min(MAX_RETRY_MS, 1000 * 2 ** attempts));
+        attempts += 1;
+      };
+    };
+    open();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retry);
+      socket?.close();
+      setConnected(false);
+    };
+  }, [token, emit]);
+
+  const subscribe = useCallback((type, fn) => {
+    const listeners = listenersRef.current;
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => listeners.get(type)?.delete(fn);
+  }, []);
+
+  const joinRoom = useCallback(
+    (room) => {
+      const rooms = roomsRef.current;
+      rooms.set(room, (rooms.get(room) ?? 0) + 1);
+      if (rooms.get(room) === 1) send({ type: "join", room });
+      return () => {
+        const left = rooms.get(room) - 1;
+        if (left > 0) {
+          rooms.set(room, left);
+        } else {
+          rooms.delete(room);
+          send({ type: "leave", room });
+        }
+      };
+    },
+    [send]
+  );
+
+  const value = useMemo(() => ({ connected, send, subscribe, joinRoom }), [connected, send, subscribe, joinRoom]);
+
+  return <RealtimeContext.Provider value={value}>{children}</RealtimeContext.Provider>;
+}
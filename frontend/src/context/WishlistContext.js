@@ -0,0 +1,6 @@
+import { createContext } from "react";
+
+/** { ids, has, toggle, syncs, notMerged } — provided by WishlistProvider */
+const WishlistContext = createContext(null);
+
+export default WishlistContext;
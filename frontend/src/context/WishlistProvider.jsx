@@ -0,0 +1,108 @@
+/**
+ * WishlistProvider.jsx
+ *
+ * Saved course ids for the heart buttons. Signed-in users' wishlists live on
+ * the API; anonymous visitors get one in localStorage ('edusphar-wishlist')
+ * that is merged into their account the next time they sign in. Saved
+ * courses that can't be merged (since unpublished) are counted in
+ * `notMerged` so the dashboard can say so.
+ *
+ * Toggling is optimistic: the heart flips at once and flips back if the
+ * request fails.
+ */
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import WishlistContext from "./WishlistContext";
+import useAuth from "../hooks/useAuth";
+import { addToWishlist, fetchWishlist, mergeWishlist, removeFromWishlist } from "../api/wishlist";
+
+const LOCAL_WISHLIST_KEY = "edusphar-wishlist";
+
+function loadLocal() {
+  try {
+    const raw = window.localStorage?.getItem?.(LOCAL_WISHLIST_KEY);
+    const ids = raw ? JSON.parse(raw) : [];
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveLocal(ids) {
+  try {
+    if (ids.length) window.localStorage.setItem(LOCAL_WISHLIST_KEY, JSON.stringify(ids));
+    else window.localStorage.removeItem(LOCAL_WISHLIST_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+export default function WishlistProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [ids, setIds] = useState(() => new Set(loadLocal()));
+  // bumps each time the list is (re)loaded from the API, e.g. after a merge
+  const [syncs, setSyncs] = useState(0);
+  const [notMerged, setNotMerged] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setIds(new Set(loadLocal()));
+      return undefined;
+    }
+
+    let cancelled = false;
+    const local = loadLocal();
+    const request = local.length
+      ? mergeWishlist(local).then(({ courses, skipped }) => {
+          saveLocal([]);
+          if (!cancelled) setNotMerged(skipped.length);
+          return courses;
+        })
+      : fetchWishlist().then((items) => items.map((i) => i.course.id));
+
+    request
+      .then((saved) => {
+        if (cancelled) return;
+        setIds(new Set(saved));
+        setSyncs((n) => n + 1);
+      })
+      .catch(() => {
+        // hearts just show as empty until the next load
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const toggle = useCallback(
+    async (courseId) => {
+      const saved = ids.has(courseId);
+      const flip = (set, on) => {
+        const next = new Set(set);
+        if (on) next.add(courseId);
+        else next.delete(courseId);
+        return next;
+      };
+
+      setIds((s) => flip(s, !saved));
+      if (!userId) {
+        saveLocal([...flip(ids, !saved)]);
+        return;
+      }
+      try {
+        await (saved ? removeFromWishlist(courseId) : addToWishlist(courseId));
+      } catch (err) {
+        setIds((s) => flip(s, saved));
+        throw err;
+      }
+    },
+    [ids, userId]
+  );
+
+  const value = useMemo(
+    () => ({ ids, has: (id) => ids.has(id), toggle, syncs, notMerged }),
+    [ids, toggle, syncs, notMerged]
+  );
+
+  return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+}
@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * useApi - runs an async fetcher and tracks { data, error, loading }.
+ * Pass a stable fetcher (useCallback); it re-runs whenever the fetcher changes.
+ * Responses from superseded runs are dropped. setData takes a value or an
+ * updater, like a state setter.
+ */
+export default function useApi(fetcher) {
+  const [state, setState] = useState({ data: null, error: null, loading: true });
+  const [nonce, setNonce] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setState((s) => ({ ...s, error: null, loading: true }));
+    fetcher()
+      .then((data) => !cancelled && setState({ data, error: null, loading: false }))
+      .catch((error) => !cancelled && setState((s) => ({ ...s, error, loading: false })));
+    return () => {
+      cancelled = true;
+    };
+  }, [fetcher, nonce]);
+
+  const reload = useCallback(() => setNonce((n) => n + 1), []);
+  const setData = useCallback(
+    (data) => setState((s) => ({ ...s, data: typeof data === "function" ? data(s.data) : data })),
+    []
+  );
+
+  return { ...state, reload, setData };
+}
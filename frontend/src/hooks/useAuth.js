@@ -0,0 +1,9 @@
+import { useContext } from "react";
+import AuthContext from "../context/AuthContext";
+
+/** useAuth - current session and auth actions; must be inside <AuthProvider> */
+export default function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used within <AuthProvider>");
+  return ctx;
+}
@@ -0,0 +1,11 @@
+import { useEffect, useState } from "react";
+
+/** useDebouncedValue - value that only updates after `delay` ms without changes */
+export default function useDebouncedValue(value, delay = 200) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const id = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(id);
+  }, [value, delay]);
+  return debounced;
+}
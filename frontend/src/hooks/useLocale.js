@@ -0,0 +1,9 @@
+import { useContext } from "react";
+import LocaleContext from "../context/LocaleContext";
+
+/** useLocale - interface language, its messages (t) and the switcher; must be inside <LocaleProvider> */
+export default function useLocale() {
+  const ctx = useContext(LocaleContext);
+  if (!ctx) throw new Error("useLocale must be used within <LocaleProvider>");
+  return ctx;
+}
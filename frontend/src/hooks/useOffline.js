@@ -0,0 +1,9 @@
+import { useContext } from "react";
+import OfflineContext from "../context/OfflineContext";
+
+/** useOffline - connection state, lesson downloads and the sync outbox; must be inside <OfflineProvider> */
+export default function useOffline() {
+  const ctx = useContext(OfflineContext);
+  if (!ctx) throw new Error("useOffline must be used within <OfflineProvider>");
+  return ctx;
+}
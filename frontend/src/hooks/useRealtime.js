@@ -0,0 +1,9 @@
+import { useContext } from "react";
+import RealtimeContext from "../context/RealtimeContext";
+
+/** useRealtime - the live connection (chat rooms, notifications); must be inside <RealtimeProvider> */
+export default function useRealtime() {
+  const ctx = useContext(RealtimeContext);
+  if (!ctx) throw new Error("useRealtime must be used within <RealtimeProvider>");
+  return ctx;
+}
@@ -0,0 +1,17 @@
+import { useEffect, useRef } from "react";
+import useAuth from "./useAuth";
+
+/**
+ * useReloadOnSignIn - calls `reload` (from useApi) when the viewer signs in,
+ * signs out or switches accounts, for data that depends on who is looking.
+ */
+export default function useReloadOnSignIn(reload) {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const seen = useRef(userId);
+  useEffect(() => {
+    if (seen.current === userId) return;
+    seen.current = userId;
+    reload();
+  }, [userId, reload]);
+}
@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useScrollHeader - returns a boolean whether header should be shrunk
+ * Shrinks after scrolling Y pixels with debounce
+ */
+export default function useScrollHeader(threshold = 56) {
+  const [shrunk, setShrunk] = useState(false);
+  useEffect(() => {
+    if (typeof window === "undefined") return undefined;
+    let rafId = null;
+    let lastY = window.scrollY || 0;
+
+    const onScroll = () => {
+      lastY = window.scrollY || 0;
+      if (rafId) cancelAnimationFrame(rafId);
+      rafId = requestAnimationFrame(() => {
+        setShrunk(lastY > threshold);
+      });
+    };
+
+    window.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      window.removeEventListener("scroll", onScroll);
+      if (rafId) cancelAnimationFrame(rafId);
+    };
+  }, [threshold]);
+  return shrunk;
+}
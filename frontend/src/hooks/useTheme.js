@@ -0,0 +1,48 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useTheme - class-strategy dark mode hook
+ * - respects prefers-color-scheme on first load
+ * - persists to localStorage key 'edusphar-theme'
+ */
+export default function useTheme() {
+  const key = "edusphar-theme";
+
+  const getInitial = () => {
+    try {
+      if (typeof window === "undefined") return "light";
+      const stored = window.localStorage?.getItem?.(key);
+      if (stored === "dark" || stored === "light") return stored;
+      if (window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches) {
+        return "dark";
+      }
+    } catch {
+      // fallback
+    }
+    return "light";
+  };
+
+  const [theme, setTheme] = useState(getInitial);
+
+  useEffect(() => {
+    if (typeof document !== "undefined") {
+      const root = document.documentElement;
+      if (theme === "dark") {
+        root.classList.add("dark");
+      } else {
+        root.classList.remove("dark");
+      }
+    }
+    try {
+      if (typeof window !== "undefined" && window.localStorage) {
+        window.localStorage.setItem(key, theme);
+      }
+    } catch {
+      // ignore
+    }
+  }, [theme]);
+
+  const toggle = () => setTheme((t) => (t === "dark" ? "light" : "dark"));
+
+  return { theme, toggle, setTheme };
+}
@@ -0,0 +1,9 @@
+import { useContext } from "react";
+import WishlistContext from "../context/WishlistContext";
+
+/** useWishlist - saved course ids and toggle; must be inside <WishlistProvider> */
+export default function useWishlist() {
+  const ctx = useContext(WishlistContext);
+  if (!ctx) throw new Error("useWishlist must be used within <WishlistProvider>");
+  return ctx;
+}
@@ -0,0 +1,123 @@
+/** bn.js — Bengali (বাংলা) messages; keys as in en.js */
+const bn = {
+  "nav.courses": "কোর্স",
+  "nav.programs": "প্রোগ্রাম",
+  "nav.community": "কমিউনিটি",
+  "nav.pricing": "মূল্য",
+  "nav.about": "আমাদের সম্পর্কে",
+
+  "header.signIn": "সাইন ইন",
+  "header.signUp": "বিনামূল্যে সাইন আপ",
+  "header.toggleTheme": "থিম বদলান",
+  "header.openMenu": "মেনু খুলুন",
+  "header.closeMenu": "মেনু বন্ধ করুন",
+  "header.language": "ভাষা",
+  "header.skipToContent": "মূল বিষয়বস্তুতে যান",
+
+  "hero.badge": "বিশ্বজুড়ে শিক্ষার্থীদের আস্থা",
+  "hero.titleStart": "এগিয়ে শিখুন।",
+  "hero.titleEnd": "দ্রুত এগোন।",
+  "hero.lead":
+    "ইন্ডাস্ট্রি প্রজেক্ট, অভিযোজিত লার্নিং পাথ ও যাচাইকৃত সার্টিফিকেট সহ মেন্টর-পরিচালিত উন্নত কোর্স—নিষ্ঠাবান শিক্ষার্থী ও ক্যারিয়ার বদলাতে চাওয়াদের জন্য।",
+  "hero.start": "শেখা শুরু করুন",
+  "hero.demo": "ডেমো দেখুন",
+  "hero.searchLabel": "কোর্স খুঁজুন",
+  "hero.searchPlaceholder": "কোর্স খুঁজুন, যেমন 'React performance'...",
+  "hero.search": "খুঁজুন",
+  "hero.featured": "বিশেষ",
+
+  "stats.heading": "সংখ্যায় EduSphar",
+  "stats.rating": "রেটিং",
+  "stats.ratingValue": "{rating} / ৫",
+  "stats.learners": "শিক্ষার্থী",
+  "stats.courses": "কোর্স",
+  "stats.instructors": "প্রশিক্ষক",
+  "stats.countries": "দেশ",
+
+  "features.heading": "বৈশিষ্ট্য",
+  "features.lead": "শেখা, অনুশীলন আর চাকরি পাওয়ার জন্য যা যা দরকার—ফলাফলের কথা ভেবে সাজানো।",
+  "features.adaptive.title": "অভিযোজিত শিক্ষা",
+  "features.adaptive.description": "আপনার গতি ও দক্ষতা অনুযায়ী বদলে যাওয়া ব্যক্তিগত পাথ।",
+  "features.cohorts.title": "মেন্টর-পরিচালিত ব্যাচ",
+  "features.cohorts.description": "লাইভ প্রজেক্ট, সহপাঠীদের রিভিউ ও মেন্টরের মতামত।",
+  "features.offline.title": "অফলাইন অ্যাক্সেস",
+  "features.offline.description": "পাঠ ডাউনলোড করুন, ইন্টারনেট ছাড়াই শিখুন।",
+  "features.offline.link": "আপনার ডাউনলোড",
+  "features.secure.title": "সুরক্ষিত সার্টিফিকেট",
+  "features.secure.description": "যাচাইকৃত সার্টিফিকেট, যা নিয়োগকর্তাদের সঙ্গে শেয়ার করা যায়।",
+  "features.secure.link": "সার্টিফিকেট যাচাই করুন",
+  "features.ai.title": "AI সুপারিশ",
+  "features.ai.description": "স্মার্ট কোর্স সুপারিশ ও আপনার মাপে অনুশীলন।",
+  "features.community.title": "বিশ্বব্যাপী কমিউনিটি",
+  "features.community.description": "বিভিন্ন টাইমজোনে স্টাডি গ্রুপ ও ক্যারিয়ার ইভেন্ট।",
+  "features.community.link": "স্টাডি গ্রুপ খুঁজুন",
+
+  "categories.heading": "জনপ্রিয় বিভাগ",
+  "categories.lead": "বাছাই করা লার্নিং পাথে শুরু করুন",
+
+  "courses.popular": "জনপ্রিয় কোর্স",
+  "courses.recommended": "আপনার জন্য প্রস্তাবিত",
+  "courses.scrollLeft": "বাঁয়ে স্ক্রল করুন",
+  "courses.scrollRight": "ডানে স্ক্রল করুন",
+  "courses.emptyCategory": "এই বিভাগে এখনও কোনো কোর্স নেই।",
+
+  "how.heading": "EduSphar কীভাবে কাজ করে",
+  "how.lead": "শেখা থেকে ফলাফল পর্যন্ত সহজ পথ।",
+  "how.path.title": "একটি পাথ বেছে নিন",
+  "how.path.description": "ভূমিকা-ভিত্তিক ট্র্যাক ও বাছাই করা কোর্স বেছে নিন।",
+  "how.projects.title": "প্রজেক্টের মাধ্যমে শিখুন",
+  "how.projects.description": "হাতে-কলমে প্রজেক্ট, মেন্টর রিভিউ ও কুইজ।",
+  "how.certificates.title": "সার্টিফিকেট অর্জন করুন",
+  "how.certificates.description": "যাচাইকৃত ব্যাজ, যা নিয়োগকর্তাদের সঙ্গে শেয়ার করা যায়।",
+  "how.certificates.link": "নিয়োগকর্তারা কীভাবে যাচাই করেন",
+  "how.step": "ধাপ {number}",
+
+  "testimonials.heading": "শিক্ষার্থীরা যা বলেন",
+  "testimonials.anonymous": "EduSphar শিক্ষার্থী",
+
+  "cta.heading": "EduSphar-এর সঙ্গে দক্ষতা বাড়াতে প্রস্তুত?",
+  "cta.lead": "আজই শেখার যাত্রা শুরু করুন—প্রজেক্ট, মেন্টর ও ক্যারিয়ার সহায়তা।",
+  "cta.start": "বিনামূল্যে শেখা শুরু করুন",
+  "cta.explore": "কোর্স দেখুন",
+
+  "pricing.heading": "মূল্য",
+  "pricing.lead": "ব্যক্তি ও টিমের জন্য নমনীয় প্ল্যান।",
+  "pricing.monthly": "মাসিক",
+  "pricing.yearly": "বার্ষিক",
+  "pricing.free": "বিনামূল্যে",
+  "pricing.perMonth": "{price}/মাস",
+  "pricing.perYear": "{price}/বছর",
+  "pricing.billedMonthly": "মাসিক বিল",
+  "pricing.billedYearly": "বার্ষিক বিল",
+  "pricing.yourPlan": "আপনার প্ল্যান",
+  "pricing.manage": "প্ল্যান পরিচালনা করুন",
+  "pricing.browse": "কোর্স দেখুন",
+  "pricing.getStarted": "শুরু করুন",
+  "pricing.choose": "{plan} বেছে নিন",
+  "pricing.upgrade": "{plan}-এ আপগ্রেড করুন",
+  "pricing.switch": "{plan}-এ বদলান",
+  "pricing.seats": "সর্বোচ্চ {count}টি সিট",
+  "pricing.trial": "{days} দিনের বিনামূল্যে ট্রায়াল, যেকোনো সময় বাতিল করুন",
+  "pricing.biggerTeam": "বড় টিম?",
+  "pricing.contactSales": "সেলস টিমের সঙ্গে যোগাযোগ করুন",
+
+  "footer.tagline": "এগিয়ে শিখুন। দ্রুত এগোন।",
+  "footer.email": "ইমেল",
+  "footer.emailPlaceholder": "আপনার ইমেল",
+  "footer.subscribe": "সাবস্ক্রাইব",
+  "footer.subscribed": "সাবস্ক্রাইব হয়েছে! (ডেমো)",
+  "footer.product": "প্রোডাক্ট",
+  "footer.features": "বৈশিষ্ট্য",
+  "footer.pricing": "মূল্য",
+  "footer.courses": "কোর্স",
+  "footer.company": "কোম্পানি",
+  "footer.about": "আমাদের সম্পর্কে",
+  "footer.careers": "ক্যারিয়ার",
+  "footer.contact": "যোগাযোগ",
+  "footer.legal": "আইনি",
+  "footer.terms": "শর্তাবলি",
+  "footer.privacy": "গোপনীয়তা",
+  "footer.rights": "© {year} EduSphar. সর্বস্বত্ব সংরক্ষিত।",
+};
+
+export default bn;
@@ -0,0 +1,129 @@
+/**
+ * en.js
+ *
+ * English messages — the source catalog. Every other catalog uses the same
+ * keys; anything missing there falls back to the text here. `{name}`
+ * placeholders are filled in by t(key, { name }).
+ */
+const en = {
+  "nav.courses": "Courses",
+  "nav.programs": "Programs",
+  "nav.community": "Community",
+  "nav.pricing": "Pricing",
+  "nav.about": "About",
+
+  "header.signIn": "Sign in",
+  "header.signUp": "Sign up free",
+  "header.toggleTheme": "Toggle theme",
+  "header.openMenu": "Open menu",
+  "header.closeMenu": "Close menu",
+  "header.language": "Language",
+  "header.skipToContent": "Skip to content",
+
+  "hero.badge": "Trusted by learners worldwide",
+  "hero.titleStart": "Learn ahead.",
+  "hero.titleEnd": "Grow faster.",
+  "hero.lead":
+    "Advanced, mentor-led courses with industry projects, adaptive paths, and verified certificates—built for serious learners and career changers.",
+  "hero.start": "Start learning",
+  "hero.demo": "Watch demo",
+  "hero.searchLabel": "Search courses",
+  "hero.searchPlaceholder": "Search courses, e.g., 'React performance'...",
+  "hero.search": "Search",
+  "hero.featured": "Featured",
+
+  "stats.heading": "EduSphar in numbers",
+  "stats.rating": "Rating",
+  "stats.ratingValue": "{rating} / 5",
+  "stats.learners": "Learners",
+  "stats.courses": "Courses",
+  "stats.instructors": "Instructors",
+  "stats.countries": "Countries",
+
+  "features.heading": "Features",
+  "features.lead": "Everything you need to learn, practice, and get hired—intelligently shaped for outcomes.",
+  "features.adaptive.title": "Adaptive Learning",
+  "features.adaptive.description": "Personalized paths that adjust to your pace and mastery.",
+  "features.cohorts.title": "Mentor-led Cohorts",
+  "features.cohorts.description": "Live projects, peer reviews, and mentor feedback.",
+  "features.offline.title": "Offline Access",
+  "features.offline.description": "Download lessons and learn without internet.",
+  "features.offline.link": "Your downloads",
+  "features.secure.title": "Secure Certificates",
+  "features.secure.description": "Verified credentials that you can share with employers.",
+  "features.secure.link": "Verify a certificate",
+  "features.ai.title": "AI Recommendations",
+  "features.ai.description": "Smart course suggestions & tailored practice.",
+  "features.community.title": "Global Community",
+  "features.community.description": "Study groups and career events across timezones.",
+  "features.community.link": "Find a study group",
+
+  "categories.heading": "Popular Categories",
+  "categories.lead": "Jump into curated learning paths",
+
+  "courses.popular": "Popular Courses",
+  "courses.recommended": "Recommended for you",
+  "courses.scrollLeft": "Scroll left",
+  "courses.scrollRight": "Scroll right",
+  "courses.emptyCategory": "No courses in this category yet.",
+
+  "how.heading": "How EduSphar Works",
+  "how.lead": "A simple path from learning to outcomes.",
+  "how.path.title": "Choose a path",
+  "how.path.description": "Pick role-based tracks and curated courses.",
+  "how.projects.title": "Learn with projects",
+  "how.projects.description": "Hands-on projects, mentor reviews and quizzes.",
+  "how.certificates.title": "Earn certificates",
+  "how.certificates.description": "Verified badges you can share with employers.",
+  "how.certificates.link": "How employers verify",
+  "how.step": "Step {number}",
+
+  "testimonials.heading": "What learners say",
+  "testimonials.anonymous": "EduSphar learner",
+
+  "cta.heading": "Ready to upskill with EduSphar?",
+  "cta.lead": "Start your learning journey today—projects, mentors, and career support.",
+  "cta.start": "Start learning free",
+  "cta.explore": "Explore courses",
+
+  "pricing.heading": "Pricing",
+  "pricing.lead": "Flexible plans for individuals and teams.",
+  "pricing.monthly": "Monthly",
+  "pricing.yearly": "Yearly",
+  "pricing.free": "Free",
+  "pricing.perMonth": "{price}/mo",
+  "pricing.perYear": "{price}/yr",
+  "pricing.billedMonthly": "Billed monthly",
+  "pricing.billedYearly": "Billed yearly",
+  "pricing.yourPlan": "Your plan",
+  "pricing.manage": "Manage plan",
+  "pricing.browse": "Browse courses",
+  "pricing.getStarted": "Get started",
+  "pricing.choose": "Choose {plan}",
+  "pricing.upgrade": "Upgrade to {plan}",
+  "pricing.switch": "Switch to {plan}",
+  "pricing.seats": "Up to {count} seats",
+  "pricing.trial": "{days}-day free trial, cancel any time",
+  "pricing.biggerTeam": "Bigger team?",
+  "pricing.contactSales": "Contact sales",
+
+  "footer.tagline": "Learn ahead. Grow faster.",
+  "footer.email": "Email",
+  "footer.emailPlaceholder": "Your email",
+  "footer.subscribe": "Subscribe",
+  "footer.subscribed": "Subscribed! (demo)",
+  "footer.product": "Product",
+  "footer.features": "Features",
+  "footer.pricing": "Pricing",
+  "footer.courses": "Courses",
+  "footer.company": "Company",
+  "footer.about": "About",
+  "footer.careers": "Careers",
+  "footer.contact": "Contact",
+  "footer.legal": "Legal",
+  "footer.terms": "Terms",
+  "footer.privacy": "Privacy",
+  "footer.rights": "© {year} EduSphar. All rights reserved.",
+};
+
+export default en;
@@ -0,0 +1,123 @@
+/** hi.js — Hindi (हिन्दी) messages; keys as in en.js */
+const hi = {
+  "nav.courses": "कोर्स",
+  "nav.programs": "प्रोग्राम",
+  "nav.community": "समुदाय",
+  "nav.pricing": "कीमतें",
+  "nav.about": "हमारे बारे में",
+
+  "header.signIn": "साइन इन करें",
+  "header.signUp": "मुफ़्त साइन अप करें",
+  "header.toggleTheme": "थीम बदलें",
+  "header.openMenu": "मेनू खोलें",
+  "header.closeMenu": "मेनू बंद करें",
+  "header.language": "भाषा",
+  "header.skipToContent": "मुख्य सामग्री पर जाएँ",
+
+  "hero.badge": "दुनिया भर के शिक्षार्थियों का भरोसा",
+  "hero.titleStart": "आगे सीखें।",
+  "hero.titleEnd": "तेज़ी से बढ़ें।",
+  "hero.lead":
+    "इंडस्ट्री प्रोजेक्ट, अनुकूली लर्निंग पाथ और सत्यापित प्रमाणपत्रों के साथ मेंटर के मार्गदर्शन वाले उन्नत कोर्स—गंभीर शिक्षार्थियों और करियर बदलने वालों के लिए।",
+  "hero.start": "सीखना शुरू करें",
+  "hero.demo": "डेमो देखें",
+  "hero.searchLabel": "कोर्स खोजें",
+  "hero.searchPlaceholder": "कोर्स खोजें, जैसे 'React performance'...",
+  "hero.search": "खोजें",
+  "hero.featured": "फ़ीचर्ड",
+
+  "stats.heading": "आँकड़ों में EduSphar",
+  "stats.rating": "रेटिंग",
+  "stats.ratingValue": "{rating} / 5",
+  "stats.learners": "शिक्षार्थी",
+  "stats.courses": "कोर्स",
+  "stats.instructors": "प्रशिक्षक",
+  "stats.countries": "देश",
+
+  "features.heading": "विशेषताएँ",
+  "features.lead": "सीखने, अभ्यास करने और नौकरी पाने के लिए ज़रूरी सब कुछ—नतीजों को ध्यान में रखकर तैयार।",
+  "features.adaptive.title": "अनुकूली लर्निंग",
+  "features.adaptive.description": "आपकी गति और समझ के अनुसार ढलने वाले व्यक्तिगत पाथ।",
+  "features.cohorts.title": "मेंटर के साथ बैच",
+  "features.cohorts.description": "लाइव प्रोजेक्ट, साथियों की समीक्षा और मेंटर की प्रतिक्रिया।",
+  "features.offline.title": "ऑफ़लाइन एक्सेस",
+  "features.offline.description": "पाठ डाउनलोड करें और बिना इंटरनेट के सीखें।",
+  "features.offline.link": "आपके डाउनलोड",
+  "features.secure.title": "सुरक्षित प्रमाणपत्र",
+  "features.secure.description": "सत्यापित प्रमाणपत्र जिन्हें आप नियोक्ताओं के साथ साझा कर सकते हैं।",
+  "features.secure.link": "प्रमाणपत्र सत्यापित करें",
+  "features.ai.title": "AI सुझाव",
+  "features.ai.description": "स्मार्ट कोर्स सुझाव और आपके अनुसार अभ्यास।",
+  "features.community.title": "वैश्विक समुदाय",
+  "features.community.description": "अलग-अलग टाइमज़ोन में स्टडी ग्रुप और करियर इवेंट।",
+  "features.community.link": "स्टडी ग्रुप खोजें",
+
+  "categories.heading": "लोकप्रिय श्रेणियाँ",
+  "categories.lead": "चुनी हुई लर्निंग पाथ से शुरुआत करें",
+
+  "courses.popular": "लोकप्रिय कोर्स",
+  "courses.recommended": "आपके लिए सुझाए गए",
+  "courses.scrollLeft": "बाएँ स्क्रॉल करें",
+  "courses.scrollRight": "दाएँ स्क्रॉल करें",
+  "courses.emptyCategory": "इस श्रेणी में अभी कोई कोर्स नहीं है।",
+
+  "how.heading": "EduSphar कैसे काम करता है",
+  "how.lead": "सीखने से नतीजों तक का आसान रास्ता।",
+  "how.path.title": "पाथ चुनें",
+  "how.path.description": "भूमिका-आधारित ट्रैक और चुने हुए कोर्स चुनें।",
+  "how.projects.title": "प्रोजेक्ट के साथ सीखें",
+  "how.projects.description": "हैंड्स-ऑन प्रोजेक्ट, मेंटर रिव्यू और क्विज़।",
+  "how.certificates.title": "सर्टिफ़िकेट पाएँ",
+  "how.certificates.description": "सत्यापित बैज जिन्हें आप नियोक्ताओं के साथ साझा कर सकते हैं।",
+  "how.certificates.link": "नियोक्ता कैसे सत्यापित करते हैं",
+  "how.step": "चरण {number}",
+
+  "testimonials.heading": "शिक्षार्थी क्या कहते हैं",
+  "testimonials.anonymous": "EduSphar शिक्षार्थी",
+
+  "cta.heading": "EduSphar के साथ अपने कौशल बढ़ाने के लिए तैयार हैं?",
+  "cta.lead": "आज ही अपनी सीखने की यात्रा शुरू करें—प्रोजेक्ट, मेंटर और करियर सहायता।",
+  "cta.start": "मुफ़्त में सीखना शुरू करें",
+  "cta.explore": "कोर्स देखें",
+
+  "pricing.heading": "कीमतें",
+  "pricing.lead": "व्यक्तियों और टीमों के लिए लचीले प्लान।",
+  "pricing.monthly": "मासिक",
+  "pricing.yearly": "वार्षिक",
+  "pricing.free": "मुफ़्त",
+  "pricing.perMonth": "{price}/माह",
+  "pricing.perYear": "{price}/वर्ष",
+  "pricing.billedMonthly": "हर महीने बिल",
+  "pricing.billedYearly": "हर साल बिल",
+  "pricing.yourPlan": "आपका प्लान",
+  "pricing.manage": "प्लान प्रबंधित करें",
+  "pricing.browse": "कोर्स ब्राउज़ करें",
+  "pricing.getStarted": "शुरू करें",
+  "pricing.choose": "{plan} चुनें",
+  "pricing.upgrade": "{plan} पर अपग्रेड करें",
+  "pricing.switch": "{plan} पर बदलें",
+  "pricing.seats": "{count} सीटों तक",
+  "pricing.trial": "{days} दिन का मुफ़्त ट्रायल, कभी भी रद्द करें",
+  "pricing.biggerTeam": "बड़ी टीम?",
+  "pricing.contactSales": "सेल्स से संपर्क करें",
+
+  "footer.tagline": "आगे सीखें। तेज़ी से बढ़ें।",
+  "footer.email": "ईमेल",
+  "footer.emailPlaceholder": "आपका ईमेल",
+  "footer.subscribe": "सब्सक्राइब करें",
+  "footer.subscribed": "सब्सक्राइब हो गया! (डेमो)",
+  "footer.product": "प्रोडक्ट",
+  "footer.features": "विशेषताएँ",
+  "footer.pricing": "कीमतें",
+  "footer.courses": "कोर्स",
+  "footer.company": "कंपनी",
+  "footer.about": "हमारे बारे में",
+  "footer.careers": "करियर",
+  "footer.contact": "संपर्क",
+  "footer.legal": "कानूनी",
+  "footer.terms": "शर्तें",
+  "footer.privacy": "गोपनीयता",
+  "footer.rights": "© {year} EduSphar. सर्वाधिकार सुरक्षित।",
+};
+
+export default hi;
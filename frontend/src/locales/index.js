@@ -0,0 +1,51 @@
+/**
+ * locales/index.js
+ *
+ * The interface languages and their message catalogs. To add one, write a
+ * catalog with en.js's keys and list it in LOCALES; `dir: "rtl"` flips the
+ * page for right-to-left scripts. The codes match the API's (ISO 639, see
+ * backend/utils/locale.js), which serves translated course text for them.
+ */
+import bn from "./bn";
+import en from "./en";
+import hi from "./hi";
+import ta from "./ta";
+import ur from "./ur";
+
+export const DEFAULT_LOCALE = "en";
+
+/** Listed in the switcher under their own name */
+export const LOCALES = [
+  { code: "en", name: "English", dir: "ltr" },
+  { code: "hi", name: "हिन्दी", dir: "ltr" },
+  { code: "bn", name: "বাংলা", dir: "ltr" },
+  { code: "ta", name: "தமிழ்", dir: "ltr" },
+  { code: "ur", name: "اردو", dir: "rtl" },
+];
+
+const CATALOGS = { en, hi, bn, ta, ur };
+
+/** The supported code for a language tag ("hi-IN" -> "hi"), or null */
+export function matchLocale(tag) {
+  const code = String(tag || "").split("-")[0].toLowerCase();
+  return CATALOGS[code] ? code : null;
+}
+
+export function localeDirection(code) {
+  return LOCALES.find((l) => l.code === code)?.dir ?? "ltr";
+}
+
+/**
+ * The message for `key` in `locale` (English when that catalog lacks it,
+ * the key itself as a last resort) with `{name}` placeholders filled from
+ * `vars`; numbers are formatted for the locale.
+ */
+export function translate(locale, key, vars) {
+  const message = CATALOGS[locale]?.[key] ?? en[key] ?? key;
+  if (!vars) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = vars[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === "number" ? new Intl.NumberFormat(locale).format(value) : String(value);
+  });
+}
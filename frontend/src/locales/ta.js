@@ -0,0 +1,123 @@
+/** ta.js — Tamil (தமிழ்) messages; keys as in en.js */
+const ta = {
+  "nav.courses": "பாடநெறிகள்",
+  "nav.programs": "திட்டங்கள்",
+  "nav.community": "சமூகம்",
+  "nav.pricing": "கட்டணம்",
+  "nav.about": "எங்களைப் பற்றி",
+
+  "header.signIn": "உள்நுழைக",
+  "header.signUp": "இலவசமாகப் பதிவு செய்க",
+  "header.toggleTheme": "தீமை மாற்று",
+  "header.openMenu": "மெனுவைத் திற",
+  "header.closeMenu": "மெனுவை மூடு",
+  "header.language": "மொழி",
+  "header.skipToContent": "உள்ளடக்கத்துக்குச் செல்",
+
+  "hero.badge": "உலகெங்கிலும் உள்ள கற்பவர்களின் நம்பிக்கை",
+  "hero.titleStart": "முன்னே கற்றிடுங்கள்.",
+  "hero.titleEnd": "வேகமாக வளருங்கள்.",
+  "hero.lead":
+    "தொழில்துறை ப்ராஜெக்ட்கள், தகவமைக்கும் கற்றல் பாதைகள், சரிபார்க்கப்பட்ட சான்றிதழ்களுடன் வழிகாட்டிகள் நடத்தும் மேம்பட்ட பாடநெறிகள்—தீவிரமாகக் கற்பவர்களுக்கும் தொழில் மாற்றுபவர்களுக்கும்.",
+  "hero.start": "கற்கத் தொடங்குங்கள்",
+  "hero.demo": "டெமோ பாருங்கள்",
+  "hero.searchLabel": "பாடநெறிகளைத் தேடுக",
+  "hero.searchPlaceholder": "பாடநெறிகளைத் தேடுக, எ.கா. 'React performance'...",
+  "hero.search": "தேடு",
+  "hero.featured": "சிறப்பு",
+
+  "stats.heading": "எண்களில் EduSphar",
+  "stats.rating": "மதிப்பீடு",
+  "stats.ratingValue": "{rating} / 5",
+  "stats.learners": "கற்பவர்கள்",
+  "stats.courses": "பாடநெறிகள்",
+  "stats.instructors": "பயிற்றுநர்கள்",
+  "stats.countries": "நாடுகள்",
+
+  "features.heading": "சிறப்பம்சங்கள்",
+  "features.lead": "கற்க, பயிற்சி செய்ய, வேலை பெற தேவையான அனைத்தும்—பலன்களை மனதில் கொண்டு வடிவமைக்கப்பட்டது.",
+  "features.adaptive.title": "தகவமைக்கும் கற்றல்",
+  "features.adaptive.description": "உங்கள் வேகத்துக்கும் தேர்ச்சிக்கும் ஏற்ப மாறும் தனிப்பட்ட பாதைகள்.",
+  "features.cohorts.title": "வழிகாட்டி நடத்தும் குழுக்கள்",
+  "features.cohorts.description": "நேரடி ப்ராஜெக்ட்கள், சக மதிப்பாய்வுகள், வழிகாட்டியின் கருத்துகள்.",
+  "features.offline.title": "ஆஃப்லைன் அணுகல்",
+  "features.offline.description": "பாடங்களைப் பதிவிறக்கி, இணையம் இல்லாமலும் கற்றிடுங்கள்.",
+  "features.offline.link": "உங்கள் பதிவிறக்கங்கள்",
+  "features.secure.title": "பாதுகாப்பான சான்றிதழ்கள்",
+  "features.secure.description": "வேலை வழங்குநர்களுடன் பகிரக்கூடிய சரிபார்க்கப்பட்ட சான்றுகள்.",
+  "features.secure.link": "சான்றிதழைச் சரிபார்க்க",
+  "features.ai.title": "AI பரிந்துரைகள்",
+  "features.ai.description": "புத்திசாலித்தனமான பாடநெறிப் பரிந்துரைகளும் உங்களுக்கேற்ற பயிற்சியும்.",
+  "features.community.title": "உலகளாவிய சமூகம்",
+  "features.community.description": "பல நேர மண்டலங்களில் படிப்புக் குழுக்களும் தொழில் நிகழ்வுகளும்.",
+  "features.community.link": "படிப்புக் குழுவைக் கண்டறிக",
+
+  "categories.heading": "பிரபல வகைகள்",
+  "categories.lead": "தேர்ந்தெடுக்கப்பட்ட கற்றல் பாதைகளில் தொடங்குங்கள்",
+
+  "courses.popular": "பிரபல பாடநெறிகள்",
+  "courses.recommended": "உங்களுக்கான பரிந்துரைகள்",
+  "courses.scrollLeft": "இடப்புறம் உருட்டு",
+  "courses.scrollRight": "வலப்புறம் உருட்டு",
+  "courses.emptyCategory": "இந்த வகையில் இன்னும் பாடநெறிகள் இல்லை.",
+
+  "how.heading": "EduSphar எப்படி செயல்படுகிறது",
+  "how.lead": "கற்றலில் இருந்து பலன்கள் வரை ஒரு எளிய பாதை.",
+  "how.path.title": "ஒரு பாதையைத் தேர்ந்தெடுங்கள்",
+  "how.path.description": "பணி சார்ந்த பாதைகளையும் தேர்ந்தெடுத்த பாடநெறிகளையும் தேர்வு செய்யுங்கள்.",
+  "how.projects.title": "ப்ராஜெக்ட்களுடன் கற்றிடுங்கள்",
+  "how.projects.description": "நேரடி ப்ராஜெக்ட்கள், வழிகாட்டி மதிப்பாய்வுகள், வினாடி வினாக்கள்.",
+  "how.certificates.title": "சான்றிதழ்களைப் பெறுங்கள்",
+  "how.certificates.description": "வேலை வழங்குநர்களுடன் பகிரக்கூடிய சரிபார்க்கப்பட்ட பேட்ஜ்கள்.",
+  "how.certificates.link": "வேலை வழங்குநர்கள் எப்படிச் சரிபார்க்கிறார்கள்",
+  "how.step": "படி {number}",
+
+  "testimonials.heading": "கற்பவர்கள் சொல்வது",
+  "testimonials.anonymous": "EduSphar கற்பவர்",
+
+  "cta.heading": "EduSphar உடன் திறன்களை வளர்க்கத் தயாரா?",
+  "cta.lead": "இன்றே உங்கள் கற்றல் பயணத்தைத் தொடங்குங்கள்—ப்ராஜெக்ட்கள், வழிகாட்டிகள், தொழில் ஆதரவு.",
+  "cta.start": "இலவசமாகக் கற்கத் தொடங்குங்கள்",
+  "cta.explore": "பாடநெறிகளைப் பாருங்கள்",
+
+  "pricing.heading": "கட்டணம்",
+  "pricing.lead": "தனிநபர்களுக்கும் குழுக்களுக்கும் நெகிழ்வான திட்டங்கள்.",
+  "pricing.monthly": "மாதாந்திரம்",
+  "pricing.yearly": "ஆண்டுதோறும்",
+  "pricing.free": "இலவசம்",
+  "pricing.perMonth": "{price}/மாதம்",
+  "pricing.perYear": "{price}/ஆண்டு",
+  "pricing.billedMonthly": "மாதந்தோறும் கட்டணம்",
+  "pricing.billedYearly": "ஆண்டுதோறும் கட்டணம்",
+  "pricing.yourPlan": "உங்கள் திட்டம்",
+  "pricing.manage": "திட்டத்தை நிர்வகி",
+  "pricing.browse": "பாடநெறிகளைப் பாருங்கள்",
+  "pricing.getStarted": "தொடங்குங்கள்",
+  "pricing.choose": "{plan} தேர்வு செய்க",
+  "pricing.upgrade": "{plan}-க்கு மேம்படுத்துக",
+  "pricing.switch": "{plan}-க்கு மாறுக",
+  "pricing.seats": "அதிகபட்சம் {count} இருக்கைகள்",
+  "pricing.trial": "{days} நாள் இலவச சோதனை, எப்போது வேண்டுமானாலும் ரத்து செய்யலாம்",
+  "pricing.biggerTeam": "பெரிய குழுவா?",
+  "pricing.contactSales": "விற்பனைக் குழுவைத் தொடர்பு கொள்க",
+
+  "footer.tagline": "முன்னே கற்றிடுங்கள். வேகமாக வளருங்கள்.",
+  "footer.email": "மின்னஞ்சல்",
+  "footer.emailPlaceholder": "உங்கள் மின்னஞ்சல்",
+  "footer.subscribe": "குழுசேர்",
+  "footer.subscribed": "குழுசேர்ந்தீர்கள்! (டெமோ)",
+  "footer.product": "தயாரிப்பு",
+  "footer.features": "சிறப்பம்சங்கள்",
+  "footer.pricing": "கட்டணம்",
+  "footer.courses": "பாடநெறிகள்",
+  "footer.company": "நிறுவனம்",
+  "footer.about": "எங்களைப் பற்றி",
+  "footer.careers": "வேலைவாய்ப்புகள்",
+  "footer.contact": "தொடர்புக்கு",
+  "footer.legal": "சட்டம்",
+  "footer.terms": "விதிமுறைகள்",
+  "footer.privacy": "தனியுரிமை",
+  "footer.rights": "© {year} EduSphar. அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை.",
+};
+
+export default ta;
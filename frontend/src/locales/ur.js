@@ -0,0 +1,123 @@
+/** ur.js — Urdu (اردو) messages, written right to left; keys as in en.js */
+const ur = {
+  "nav.courses": "کورسز",
+  "nav.programs": "پروگرام",
+  "nav.community": "کمیونٹی",
+  "nav.pricing": "قیمتیں",
+  "nav.about": "ہمارے بارے میں",
+
+  "header.signIn": "سائن ان کریں",
+  "header.signUp": "مفت سائن اپ کریں",
+  "header.toggleTheme": "تھیم بدلیں",
+  "header.openMenu": "مینو کھولیں",
+  "header.closeMenu": "مینو بند کریں",
+  "header.language": "زبان",
+  "header.skipToContent": "مواد پر جائیں",
+
+  "hero.badge": "دنیا بھر کے طلبہ کا اعتماد",
+  "hero.titleStart": "آگے سیکھیں۔",
+  "hero.titleEnd": "تیزی سے بڑھیں۔",
+  "hero.lead":
+    "انڈسٹری پروجیکٹس، موافق لرننگ پاتھ اور تصدیق شدہ سرٹیفکیٹس کے ساتھ مینٹرز کی رہنمائی میں ایڈوانس کورسز—سنجیدہ طلبہ اور کیریئر بدلنے والوں کے لیے۔",
+  "hero.start": "سیکھنا شروع کریں",
+  "hero.demo": "ڈیمو دیکھیں",
+  "hero.searchLabel": "کورسز تلاش کریں",
+  "hero.searchPlaceholder": "کورسز تلاش کریں، مثلاً 'React performance'...",
+  "hero.search": "تلاش کریں",
+  "hero.featured": "نمایاں",
+
+  "stats.heading": "اعداد و شمار میں EduSphar",
+  "stats.rating": "ریٹنگ",
+  "stats.ratingValue": "{rating} / 5",
+  "stats.learners": "طلبہ",
+  "stats.courses": "کورسز",
+  "stats.instructors": "انسٹرکٹرز",
+  "stats.countries": "ممالک",
+
+  "features.heading": "خصوصیات",
+  "features.lead": "سیکھنے، مشق کرنے اور ملازمت پانے کے لیے درکار سب کچھ—نتائج کو سامنے رکھ کر تیار کیا گیا۔",
+  "features.adaptive.title": "موافق لرننگ",
+  "features.adaptive.description": "ذاتی لرننگ پاتھ جو آپ کی رفتار اور مہارت کے مطابق ڈھلتے ہیں۔",
+  "features.cohorts.title": "مینٹرز کے ساتھ بیچ",
+  "features.cohorts.description": "لائیو پروجیکٹس، ساتھیوں کے جائزے اور مینٹر کی رائے۔",
+  "features.offline.title": "آف لائن رسائی",
+  "features.offline.description": "اسباق ڈاؤن لوڈ کریں اور انٹرنیٹ کے بغیر سیکھیں۔",
+  "features.offline.link": "آپ کے ڈاؤن لوڈز",
+  "features.secure.title": "محفوظ سرٹیفکیٹس",
+  "features.secure.description": "تصدیق شدہ اسناد جو آپ آجروں کے ساتھ شیئر کر سکتے ہیں۔",
+  "features.secure.link": "سرٹیفکیٹ کی تصدیق کریں",
+  "features.ai.title": "AI تجاویز",
+  "features.ai.description": "سمارٹ کورس تجاویز اور آپ کے مطابق مشق۔",
+  "features.community.title": "عالمی کمیونٹی",
+  "features.community.description": "مختلف ٹائم زونز میں اسٹڈی گروپس اور کیریئر ایونٹس۔",
+  "features.community.link": "اسٹڈی گروپ تلاش کریں",
+
+  "categories.heading": "مقبول زمرے",
+  "categories.lead": "منتخب لرننگ پاتھ سے آغاز کریں",
+
+  "courses.popular": "مقبول کورسز",
+  "courses.recommended": "آپ کے لیے تجویز کردہ",
+  "courses.scrollLeft": "بائیں اسکرول کریں",
+  "courses.scrollRight": "دائیں اسکرول کریں",
+  "courses.emptyCategory": "اس زمرے میں ابھی کوئی کورس نہیں۔",
+
+  "how.heading": "EduSphar کیسے کام کرتا ہے",
+  "how.lead": "سیکھنے سے نتائج تک ایک آسان راستہ۔",
+  "how.path.title": "راستہ منتخب کریں",
+  "how.path.description": "کردار پر مبنی ٹریک اور منتخب کورسز چنیں۔",
+  "how.projects.title": "پروجیکٹس کے ساتھ سیکھیں",
+  "how.projects.description": "عملی پروجیکٹس، مینٹر جائزے اور کوئز۔",
+  "how.certificates.title": "سرٹیفکیٹ حاصل کریں",
+  "how.certificates.description": "تصدیق شدہ بیجز جو آپ آجروں کے ساتھ شیئر کر سکتے ہیں۔",
+  "how.certificates.link": "آجر کیسے تصدیق کرتے ہیں",
+  "how.step": "مرحلہ {number}",
+
+  "testimonials.heading": "طلبہ کیا کہتے ہیں",
+  "testimonials.anonymous": "EduSphar طالب علم",
+
+  "cta.heading": "EduSphar کے ساتھ اپنی مہارتیں بڑھانے کے لیے تیار ہیں؟",
+  "cta.lead": "آج ہی اپنے سیکھنے کا سفر شروع کریں—پروجیکٹس، مینٹرز اور کیریئر میں مدد۔",
+  "cta.start": "مفت سیکھنا شروع کریں",
+  "cta.explore": "کورسز دیکھیں",
+
+  "pricing.heading": "قیمتیں",
+  "pricing.lead": "افراد اور ٹیموں کے لیے لچکدار پلان۔",
+  "pricing.monthly": "ماہانہ",
+  "pricing.yearly": "سالانہ",
+  "pricing.free": "مفت",
+  "pricing.perMonth": "{price}/ماہ",
+  "pricing.perYear": "{price}/سال",
+  "pricing.billedMonthly": "ماہانہ بل",
+  "pricing.billedYearly": "سالانہ بل",
+  "pricing.yourPlan": "آپ کا پلان",
+  "pricing.manage": "پلان کا انتظام کریں",
+  "pricing.browse": "کورسز دیکھیں",
+  "pricing.getStarted": "شروع کریں",
+  "pricing.choose": "{plan} منتخب کریں",
+  "pricing.upgrade": "{plan} پر اپ گریڈ کریں",
+  "pricing.switch": "{plan} پر منتقل ہوں",
+  "pricing.seats": "زیادہ سے زیادہ {count} نشستیں",
+  "pricing.trial": "{days} دن کا مفت ٹرائل، کسی بھی وقت منسوخ کریں",
+  "pricing.biggerTeam": "بڑی ٹیم؟",
+  "pricing.contactSales": "سیلز سے رابطہ کریں",
+
+  "footer.tagline": "آگے سیکھیں۔ تیزی سے بڑھیں۔",
+  "footer.email": "ای میل",
+  "footer.emailPlaceholder": "آپ کا ای میل",
+  "footer.subscribe": "سبسکرائب کریں",
+  "footer.subscribed": "سبسکرائب ہو گیا! (ڈیمو)",
+  "footer.product": "پروڈکٹ",
+  "footer.features": "خصوصیات",
+  "footer.pricing": "قیمتیں",
+  "footer.courses": "کورسز",
+  "footer.company": "کمپنی",
+  "footer.about": "ہمارے بارے میں",
+  "footer.careers": "ملازمتیں",
+  "footer.contact": "رابطہ",
+  "footer.legal": "قانونی",
+  "footer.terms": "شرائط",
+  "footer.privacy": "رازداری",
+  "footer.rights": "© {year} EduSphar۔ جملہ حقوق محفوظ ہیں۔",
+};
+
+export default ur;
@@ -0,0 +1,236 @@
+/**
+ * AdminReviews.jsx
+ *
+ * /admin/reviews — course review moderation (review:moderate): the queue of
+ * open reports (hide the review or dismiss the report), and every review
+ * with hide / restore and the "Featured" toggle that puts it among the
+ * landing page testimonials.
+ */
+import React, { useCallback, useState } from "react";
+import { Link } from "react-router";
+import LoadError from "../components/LoadError";
+import Pagination from "../components/Pagination";
+import Stars from "../components/Stars";
+import useApi from "../hooks/useApi";
+import {
+  dismissReviewReport,
+  fetchAllReviews,
+  fetchReviewReports,
+  setReviewFeatured,
+  setReviewHidden,
+} from "../api/reviews";
+import { errorMessage } from "../api/client";
+import { formatDate, formatRelative } from "../utils/format";
+
+const FILTERS = [
+  { id: "all", label: "All reviews", params: {} },
+  { id: "featured", label: "Featured", params: { featured: 1 } },
+  { id: "positive", label: "4 stars and up", params: { minRating: 4 } },
+];
+
+const actionClass = "rounded-lg border border-slate-200 dark:border-slate-700 px-2.5 py-1 text-xs disabled:opacity-60";
+
+function CourseLink({ course }) {
+  if (!course) return <span className="text-slate-500">Deleted course</span>;
+  return (
+    <Link to={`/courses/${course.slug}#reviews`} className="text-indigo-600 dark:text-indigo-300 hover:underline">
+      {course.title}
+    </Link>
+  );
+}
+
+function ReportQueue({ onChanged }) {
+  const { data, error, reload } = useApi(fetchReviewReports);
+  const [busy, setBusy] = useState(null);
+  const [actionError, setActionError] = useState("");
+
+  async function act(id, run) {
+    setBusy(id);
+    setActionError("");
+    try {
+      await run();
+      reload();
+      onChanged();
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  return (
+    <section className="mt-8" aria-labelledby="reports-heading">
+      <h2 id="reports-heading" className="text-lg font-semibold">
+        Reports {data?.length > 0 && <span className="text-base font-normal text-slate-500">({data.length})</span>}
+      </h2>
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      {actionError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      {data?.length === 0 && <p className="mt-3 text-sm text-slate-600 dark:text-slate-300">No open reports.</p>}
+      <ul className="mt-3 space-y-3">
+        {data?.map((report) => {
+          const review = report.review;
+          return (
+            <li key={report.id} className="rounded-2xl border border-amber-200 dark:border-amber-800 p-4 text-sm">
+              <div className="text-xs text-slate-500">
+                {report.reporter?.name ?? "Someone"} reported {formatRelative(report.createdAt)}:{" "}
+                <span className="text-slate-700 dark:text-slate-200">“{report.reason}”</span>
+              </div>
+              {review ? (
+                <div className="mt-2">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Stars value={review.rating} />
+                    <span className="font-medium">{review.user?.name ?? "Former learner"}</span>
+                    <span className="text-slate-500">on</span>
+                    <CourseLink course={review.course} />
+                    {review.hiddenAt && <span className="text-xs text-amber-600">already hidden</span>}
+                  </div>
+                  {review.comment && <p className="mt-1 whitespace-pre-line text-slate-700 dark:text-slate-300">{review.comment}</p>}
+                </div>
+              ) : (
+                <p className="mt-2 text-slate-500">The review has been deleted.</p>
+              )}
+              <div className="mt-3 flex gap-2">
+                {review && !review.hiddenAt && (
+                  <button
+                    onClick={() => act(report.id, () => setReviewHidden(review.id, true, report.reason))}
+                    disabled={busy === report.id}
+                    className={actionClass}
+                  >
+                    Hide review
+                  </button>
+                )}
+                <button
+                  onClick={() => act(report.id, () => dismissReviewReport(report.id))}
+                  disabled={busy === report.id}
+                  className={actionClass}
+                >
+                  Dismiss report
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+export default function AdminReviews() {
+  const [filter, setFilter] = useState("all");
+  const [page, setPage] = useState(1);
+  const [busy, setBusy] = useState(null);
+  const [actionError, setActionError] = useState("");
+
+  const load = useCallback(
+    () => fetchAllReviews({ ...FILTERS.find((f) => f.id === filter).params, page }),
+    [filter, page]
+  );
+  const { data, error, loading, reload, setData } = useApi(load);
+
+  async function update(review, run) {
+    setBusy(review.id);
+    setActionError("");
+    try {
+      const updated = await run();
+      // the moderation list has the course and moderator populated, the update doesn't
+      setData({
+        ...data,
+        items: data.items.map((r) => (r.id === updated.id ? { ...updated, course: r.course, hiddenBy: r.hiddenBy } : r)),
+      });
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  function toggleHidden(review) {
+    if (review.hiddenAt) return update(review, () => setReviewHidden(review.id, false));
+    const reason = window.prompt("Why hide this review? The author will see the reason.");
+    if (reason === null) return;
+    return update(review, () => setReviewHidden(review.id, true, reason.trim() || "Hidden by a moderator"));
+  }
+
+  return (
+    <div className="container mx-auto max-w-5xl px-4 py-10">
+      <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Course reviews</h1>
+      <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+        Hidden reviews stop counting towards the course rating. Featured ones appear as testimonials on the home page,
+        most recently featured first.
+      </p>
+
+      <ReportQueue onChanged={reload} />
+
+      <section className="mt-10" aria-labelledby="all-reviews-heading">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 id="all-reviews-heading" className="text-lg font-semibold">Reviews</h2>
+          <div className="flex gap-2 text-sm" role="group" aria-label="Filter reviews">
+            {FILTERS.map((f) => (
+              <button
+                key={f.id}
+                onClick={() => {
+                  setFilter(f.id);
+                  setPage(1);
+                }}
+                aria-pressed={filter === f.id}
+                className={`rounded-full px-3 py-1 border ${
+                  filter === f.id
+                    ? "border-indigo-600 bg-indigo-600 text-white"
+                    : "border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300"
+                }`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+        {actionError && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+        {data?.items.length === 0 && <p className="mt-4 text-sm text-slate-600 dark:text-slate-300">No reviews here.</p>}
+
+        <ul className="mt-4 divide-y divide-slate-100 dark:divide-slate-800" aria-busy={loading}>
+          {data?.items.map((r) => (
+            <li key={r.id} className="py-4 text-sm">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="min-w-0 flex-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Stars value={r.rating} />
+                    <span className="font-medium">{r.user?.name ?? "Former learner"}</span>
+                    <span className="text-slate-500">on</span>
+                    <CourseLink course={r.course} />
+                    <span className="text-xs text-slate-500">{formatDate(r.createdAt)}</span>
+                  </div>
+                  {r.comment && <p className="mt-1 whitespace-pre-line text-slate-700 dark:text-slate-300">{r.comment}</p>}
+                  {r.hiddenAt && (
+                    <p className="mt-1 text-xs text-amber-600">
+                      Hidden {formatRelative(r.hiddenAt)}
+                      {r.hiddenBy?.name && ` by ${r.hiddenBy.name}`}
+                      {r.hiddenReason && `: ${r.hiddenReason}`}
+                    </p>
+                  )}
+                  {r.featuredAt && <p className="mt-1 text-xs text-indigo-600">Featured since {formatDate(r.featuredAt)}</p>}
+                </div>
+                <div className="flex shrink-0 gap-2">
+                  <button
+                    onClick={() => update(r, () => setReviewFeatured(r.id, !r.featuredAt))}
+                    disabled={busy === r.id || (!r.featuredAt && (r.hiddenAt || !r.comment))}
+                    title={!r.comment ? "Only reviews with a comment can be featured" : undefined}
+                    className={actionClass}
+                  >
+                    {r.featuredAt ? "Unfeature" : "Feature"}
+                  </button>
+                  <button onClick={() => toggleHidden(r)} disabled={busy === r.id} className={actionClass}>
+                    {r.hiddenAt ? "Restore" : "Hide"}
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {data && <Pagination page={data.page} pages={data.pages} onPage={setPage} />}
+      </section>
+    </div>
+  );
+}
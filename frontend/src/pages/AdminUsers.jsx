@@ -0,0 +1,95 @@
+/**
+ * AdminUsers.jsx
+ *
+ * /admin/users — user directory for admins (every account on the platform;
+ * institution managers see their own members on the organization dashboard).
+ * Only admins (user:manage) get the role picker.
+ */
+import React, { useCallback, useState } from "react";
+import LoadError from "../components/LoadError";
+import Pagination from "../components/Pagination";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { fetchUsers, updateUserRole } from "../api/users";
+import { errorMessage } from "../api/client";
+import { ROLE_LABELS, can } from "../utils/permissions";
+
+export default function AdminUsers() {
+  const { user: me } = useAuth();
+  const [q, setQ] = useState("");
+  const [page, setPage] = useState(1);
+  const [actionError, setActionError] = useState("");
+  const query = useDebouncedValue(q.trim(), 300);
+
+  const load = useCallback(() => fetchUsers({ q: query || undefined, page }), [query, page]);
+  const { data, error, loading, reload, setData } = useApi(load);
+  const canManage = can(me, "user:manage");
+
+  async function changeRole(u, role) {
+    setActionError("");
+    try {
+      const updated = await updateUserRole(u.id, role);
+      setData({ ...data, items: data.items.map((x) => (x.id === u.id ? updated : x)) });
+    } catch (err) {
+      setActionError(errorMessage(err));
+    }
+  }
+
+  return (
+    <div className="container mx-auto max-w-5xl px-4 py-10">
+      <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Users</h1>
+
+      <input
+        type="search"
+        value={q}
+        onChange={(e) => {
+          setQ(e.target.value);
+          setPage(1);
+        }}
+        placeholder="Search by name or email"
+        aria-label="Search users"
+        className="mt-6 w-full max-w-sm rounded-lg px-3 py-2 border border-slate-200 dark:border-slate-700 bg-transparent"
+      />
+
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {actionError && <p role="alert" className="mt-4 text-sm text-red-600">{actionError}</p>}
+
+      <table className="mt-6 w-full text-sm" aria-busy={loading}>
+        <thead className="text-left text-slate-500">
+          <tr>
+            <th className="py-2 font-medium">Name</th>
+            <th className="py-2 font-medium">Email</th>
+            <th className="py-2 font-medium">Role</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+          {data?.items.map((u) => (
+            <tr key={u.id}>
+              <td className="py-2">{u.name}</td>
+              <td className="py-2 text-slate-600 dark:text-slate-300">{u.email}</td>
+              <td className="py-2">
+                {canManage && u.id !== me.id ? (
+                  <select
+                    value={u.role}
+                    onChange={(e) => changeRole(u, e.target.value)}
+                    aria-label={`Role for ${u.name}`}
+                    className="rounded-md border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1"
+                  >
+                    {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  ROLE_LABELS[u.role] ?? u.role
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {data && <Pagination page={data.page} pages={data.pages} onPage={setPage} />}
+    </div>
+  );
+}
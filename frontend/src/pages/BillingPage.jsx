@@ -0,0 +1,323 @@
+/**
+ * BillingPage.jsx
+ *
+ * /billing — the signed-in user's plan: status and next charge, a scheduled
+ * downgrade or cancellation, the saved card, and past invoices with their
+ * lines. Cancelling keeps the plan until the period ends; an overdue payment
+ * is retried as soon as the card is updated. Teams subscribers set up their
+ * organization here.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router";
+import { AlertTriangle, Building2, CreditCard } from "lucide-react";
+import CardFields from "../components/CardFields";
+import LoadError from "../components/LoadError";
+import Pagination from "../components/Pagination";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import {
+  cancelSubscription,
+  fetchInvoices,
+  fetchSubscription,
+  resumeSubscription,
+  updatePaymentMethod,
+} from "../api/billing";
+import { createOrg, fetchMyOrgs } from "../api/organizations";
+import { errorMessage } from "../api/client";
+import { formatDate, formatMoney } from "../utils/format";
+
+const EMPTY_CARD = { cardNumber: "", expiry: "", cvc: "" };
+
+const STATUS_STYLES = {
+  paid: "text-emerald-600",
+  failed: "text-red-600 dark:text-red-400",
+  void: "text-slate-500",
+};
+
+/** One line describing where the subscription is headed */
+function nextStep(subscription) {
+  const { plan, pendingPlan, cycle, pendingCycle, currentPeriodEnd: end } = subscription;
+  if (subscription.status === "past_due") {
+    return "Your last payment failed. Update your card to keep your plan.";
+  }
+  if (subscription.cancelAtPeriodEnd) return `Your plan ends on ${formatDate(end)}.`;
+  const nextPlan = pendingPlan ?? plan;
+  const nextCycle = pendingCycle ?? cycle;
+  const price = `${formatMoney(nextPlan.prices[nextCycle], nextPlan.currency)}/${nextCycle === "monthly" ? "mo" : "yr"}`;
+  if (pendingPlan || pendingCycle) return `Switches to ${nextPlan.name} (${nextCycle}) at ${price} on ${formatDate(end)}.`;
+  if (subscription.status === "trialing") return `Free trial until ${formatDate(end)}, then ${price}.`;
+  return `Renews on ${formatDate(end)} at ${price}.`;
+}
+
+function UpdateCard({ onSaved }) {
+  const [open, setOpen] = useState(false);
+  const [card, setCard] = useState(EMPTY_CARD);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const { invoice } = await updatePaymentMethod(card);
+      if (invoice?.status === "failed") {
+        setError(`Card saved, but the overdue payment failed: ${invoice.failureReason}`);
+      } else {
+        setOpen(false);
+        setCard(EMPTY_CARD);
+      }
+      onSaved();
+    } catch (err) {
+      setError(errorMessage(err, "Could not save your card"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} className="text-sm text-indigo-600 hover:underline">
+        Update card
+      </button>
+    );
+  }
+  return (
+    <form onSubmit={onSubmit} className="mt-3 max-w-md space-y-4">
+      <CardFields value={card} onChange={setCard} />
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex gap-2">
+        <button type="submit" disabled={busy} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {busy ? "Saving…" : "Save card"}
+        </button>
+        <button type="button" onClick={() => setOpen(false)} className="rounded-lg px-4 py-2 text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/** The organization a Teams subscription pays for, or a form to create it */
+function Organization() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { data, error, reload } = useApi(fetchMyOrgs);
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [createError, setCreateError] = useState("");
+  const owned = data?.find((m) => m.org.owner === user.id)?.org;
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setCreateError("");
+    try {
+      const org = await createOrg(name.trim());
+      navigate(`/orgs/${org.id}`);
+    } catch (err) {
+      setCreateError(errorMessage(err, "Could not create the organization"));
+      setBusy(false);
+    }
+  }
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (!data) return null;
+  if (owned) {
+    return (
+      <Link to={`/orgs/${owned.id}`} className="inline-flex items-center gap-2 text-sm text-indigo-600 hover:underline">
+        <Building2 size={16} aria-hidden /> Manage {owned.name}
+      </Link>
+    );
+  }
+  return (
+    <form onSubmit={onSubmit} className="max-w-md">
+      <label className="block text-sm">
+        <span className="font-medium">Set up your organization</span>
+        <span className="block text-slate-500">Invite your team, assign courses and follow their progress.</span>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          required
+          maxLength={100}
+          placeholder="Organization name"
+          className="mt-2 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm"
+        />
+      </label>
+      {createError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{createError}</p>}
+      <button type="submit" disabled={busy} className="mt-3 rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+        {busy ? "Creating…" : "Create organization"}
+      </button>
+    </form>
+  );
+}
+
+function CurrentPlan({ onChange }) {
+  const { data: subscription, error, loading, reload } = useApi(fetchSubscription);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  async function act(run) {
+    setBusy(true);
+    setActionError("");
+    try {
+      await run();
+      reload();
+      onChange();
+    } catch (err) {
+      setActionError(errorMessage(err, "Could not update your subscription"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function onCancel() {
+    const message = subscription.status === "past_due"
+      ? "Cancel now? Your plan ends immediately."
+      : `Cancel your ${subscription.plan.name} plan? You keep it until ${formatDate(subscription.currentPeriodEnd)}.`;
+    if (window.confirm(message)) act(cancelSubscription);
+  }
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (loading && !subscription) return <div className="h-40 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  if (!subscription) {
+    return (
+      <div className="rounded-2xl border border-dashed border-slate-200 dark:border-slate-700 p-8 text-center">
+        <h2 className="font-semibold">You’re on the Free plan</h2>
+        <p className="mt-1 text-sm text-slate-500">Upgrade to unlock the full course catalog, mentor sessions and certificates.</p>
+        <Link to="/pricing" className="mt-4 inline-block rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white">
+          See plans
+        </Link>
+      </div>
+    );
+  }
+
+  const pastDue = subscription.status === "past_due";
+  return (
+    <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold">
+            {subscription.plan.name}
+            <span className="ml-2 text-sm font-normal capitalize text-slate-500">{subscription.cycle}</span>
+            {subscription.status === "trialing" && <span className="ml-2 text-sm font-normal text-indigo-600">Trial</span>}
+          </h2>
+          <p className={`mt-1 text-sm ${pastDue ? "text-red-600 dark:text-red-400" : "text-slate-600 dark:text-slate-300"}`}>
+            {pastDue && <AlertTriangle size={14} className="mr-1 inline" aria-hidden />}
+            {nextStep(subscription)}
+          </p>
+          {subscription.credit > 0 && (
+            <p className="mt-1 text-xs text-slate-500">
+              {formatMoney(subscription.credit, subscription.plan.currency)} credit on your account
+            </p>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Link to="/pricing" className="rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm">
+            Change plan
+          </Link>
+          {subscription.cancelAtPeriodEnd ? (
+            <button onClick={() => act(resumeSubscription)} disabled={busy} className="rounded-lg bg-indigo-600 px-3 py-1.5 text-sm text-white disabled:opacity-60">
+              Keep my plan
+            </button>
+          ) : (
+            <button onClick={onCancel} disabled={busy} className="rounded-lg px-3 py-1.5 text-sm text-red-600 disabled:opacity-60">
+              Cancel plan
+            </button>
+          )}
+        </div>
+      </div>
+      {actionError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+
+      <div className="mt-6 border-t border-slate-100 dark:border-slate-800 pt-4">
+        <div className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+          <CreditCard size={16} aria-hidden />
+          {subscription.paymentMethod?.last4 ? `Card ending ${subscription.paymentMethod.last4}` : "No card on file"}
+        </div>
+        <div className="mt-2">
+          <UpdateCard
+            onSaved={() => {
+              reload();
+              onChange();
+            }}
+          />
+        </div>
+      </div>
+
+      {subscription.plan.entitlements.includes("team_management") && (
+        <div className="mt-6 border-t border-slate-100 dark:border-slate-800 pt-4">
+          <Organization />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Invoices({ reloadKey }) {
+  const [page, setPage] = useState(1);
+  const load = useCallback(() => fetchInvoices({ page }), [page]);
+  const { data, error, reload } = useApi(load);
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  return (
+    <section className="mt-10" aria-labelledby="invoices-heading">
+      <h2 id="invoices-heading" className="text-lg font-semibold">Invoices</h2>
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      {data?.items.length === 0 && <p className="mt-3 text-sm text-slate-500">No invoices yet.</p>}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800">
+        {data?.items.map((invoice) => (
+          <li key={invoice.id} className="py-3 text-sm">
+            <details>
+              <summary className="flex cursor-pointer flex-wrap items-center gap-3">
+                <span className="w-28 text-slate-500">{formatDate(invoice.createdAt)}</span>
+                <span className="flex-1">
+                  <span className="font-medium">{invoice.plan?.name}</span>
+                  <span className="ml-2 text-xs text-slate-500">{invoice.number}</span>
+                </span>
+                <span className={`capitalize ${STATUS_STYLES[invoice.status] ?? ""}`}>{invoice.status}</span>
+                <span className="w-20 text-right font-medium">{formatMoney(invoice.total, invoice.currency)}</span>
+              </summary>
+              <dl className="mt-2 ml-28 space-y-1 text-slate-600 dark:text-slate-300">
+                {invoice.lines.map((line, i) => (
+                  <div key={i} className="flex justify-between gap-4">
+                    <dt>
+                      {line.description}
+                      {line.periodStart && (
+                        <span className="ml-2 text-xs text-slate-500">
+                          {formatDate(line.periodStart)} – {formatDate(line.periodEnd)}
+                        </span>
+                      )}
+                    </dt>
+                    <dd>{formatMoney(line.amount, invoice.currency)}</dd>
+                  </div>
+                ))}
+                {invoice.failureReason && invoice.status === "failed" && (
+                  <div className="text-red-600 dark:text-red-400">{invoice.failureReason}</div>
+                )}
+              </dl>
+            </details>
+          </li>
+        ))}
+      </ul>
+      {data && <Pagination page={data.page} pages={data.pages} onPage={setPage} />}
+    </section>
+  );
+}
+
+export default function BillingPage() {
+  const [changes, setChanges] = useState(0);
+  const changed = useCallback(() => setChanges((n) => n + 1), []);
+
+  return (
+    <div className="container mx-auto max-w-4xl px-4 py-10">
+      <h1 className="text-3xl font-bold text-slate-900 dark:text-white">Billing</h1>
+      <div className="mt-6">
+        <CurrentPlan onChange={changed} />
+      </div>
+      <Invoices reloadKey={changes} />
+    </div>
+  );
+}
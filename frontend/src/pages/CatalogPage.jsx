@@ -0,0 +1,107 @@
+/**
+ * CatalogPage.jsx
+ *
+ * /courses — browse the published catalog by category, with sort and paging
+ * kept in the URL (?category=web-dev&sort=rating&page=2).
+ */
+import React, { useCallback } from "react";
+import { Link, useSearchParams } from "react-router";
+import CourseCard from "../components/CourseCard";
+import Pagination from "../components/Pagination";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import { fetchCategories, fetchCourses } from "../api/catalog";
+import cn from "../utils/cn";
+
+const SORTS = [
+  { value: "popular", label: "Most popular" },
+  { value: "rating", label: "Highest rated" },
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: low to high" },
+  { value: "price_desc", label: "Price: high to low" },
+];
+
+export default function CatalogPage() {
+  const [params, setParams] = useSearchParams();
+  const category = params.get("category") || "";
+  const sort = params.get("sort") || "popular";
+  const page = Math.max(1, parseInt(params.get("page"), 10) || 1);
+
+  const { data: categories } = useApi(fetchCategories);
+  const load = useCallback(
+    () => fetchCourses({ category: category || undefined, sort, page, limit: 12 }),
+    [category, sort, page]
+  );
+  const { data, error, loading, reload } = useApi(load);
+
+  function update(patch) {
+    const next = { category, sort, page: 1, ...patch };
+    const qs = new URLSearchParams();
+    if (next.category) qs.set("category", next.category);
+    if (next.sort !== "popular") qs.set("sort", next.sort);
+    if (next.page > 1) qs.set("page", String(next.page));
+    setParams(qs);
+  }
+
+  return (
+    <div className="container mx-auto max-w-7xl px-4 py-10">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Course catalog</h1>
+          <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+            {data ? `${data.total.toLocaleString()} courses` : "Browse every course on EduSphar"}
+            {" · "}
+            <Link to="/search" className="text-indigo-600 hover:underline">Advanced search</Link>
+          </p>
+        </div>
+        <label className="text-sm flex items-center gap-2">
+          Sort by
+          <select
+            value={sort}
+            onChange={(e) => update({ sort: e.target.value })}
+            className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1.5"
+          >
+            {SORTS.map((s) => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="mt-6 flex flex-wrap gap-2" role="tablist" aria-label="Categories">
+        {[{ id: "all", slug: "", name: "All" }, ...(categories || [])].map((c) => (
+          <button
+            key={c.id}
+            role="tab"
+            aria-selected={category === c.slug}
+            onClick={() => update({ category: c.slug })}
+            className={cn(
+              "px-4 py-1.5 rounded-full text-sm",
+              category === c.slug
+                ? "bg-indigo-600 text-white"
+                : "bg-slate-100 dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+            )}
+          >
+            {c.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-6" aria-busy={loading}>
+        {error && <LoadError error={error} onRetry={reload} />}
+        <div className={cn("grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4", loading && "opacity-60")}>
+          {loading && !data &&
+            Array.from({ length: 8 }, (_, i) => (
+              <div key={i} className="h-72 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />
+            ))}
+          {data?.items.map((c) => <CourseCard key={c.id} course={c} />)}
+        </div>
+        {data?.total === 0 && (
+          <p className="mt-6 text-slate-600 dark:text-slate-300">No courses in this category yet.</p>
+        )}
+      </div>
+
+      {data && <Pagination page={data.page} pages={data.pages} onPage={(p) => update({ page: p })} />}
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+/**
+ * CheckoutPage.jsx
+ *
+ * /checkout/:slug — one-off purchase of a paid course. Creates an order on
+ * load, then confirms it with the card details; on success the learner is
+ * enrolled and taken to the first lesson. The default (mock) gateway declines
+ * card 4000 0000 0000 0002 and accepts anything else.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, Navigate, useNavigate, useParams } from "react-router";
+import { Lock } from "lucide-react";
+import CardFields from "../components/CardFields";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import { fetchCourse } from "../api/catalog";
+import { confirmCheckout, startCheckout } from "../api/learning";
+import { errorMessage } from "../api/client";
+import { formatPrice } from "../utils/format";
+import NotFound from "./NotFound";
+
+export default function CheckoutPage() {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const load = useCallback(() => fetchCourse(slug), [slug]);
+  const { data, error, reload } = useApi(load);
+  const course = data?.course;
+
+  const [order, setOrder] = useState(null);
+  const [orderError, setOrderError] = useState(null);
+  const [card, setCard] = useState({ cardNumber: "", expiry: "", cvc: "" });
+  const [paying, setPaying] = useState(false);
+  const [payError, setPayError] = useState("");
+
+  useEffect(() => {
+    if (!course || course.price <= 0) return;
+    startCheckout(course.id)
+      .then(({ order }) => setOrder(order))
+      .catch(setOrderError);
+  }, [course]);
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (course && course.price <= 0) return <Navigate to={`/courses/${course.slug}`} replace />;
+  // 409: already enrolled, nothing to buy
+  if (orderError?.response?.status === 409) return <Navigate to={`/courses/${course.slug}`} replace />;
+
+  async function onPay(e) {
+    e.preventDefault();
+    setPaying(true);
+    setPayError("");
+    try {
+      const { nextLesson } = await confirmCheckout(order.id, card);
+      navigate(nextLesson ? `/learn/${course.slug}/${nextLesson}` : "/dashboard");
+    } catch (err) {
+      setPayError(errorMessage(err, "Payment failed"));
+      // a failed order can't be retried; start a fresh one
+      if (err.response?.status === 402) {
+        startCheckout(course.id).then(({ order }) => setOrder(order)).catch(setOrderError);
+      }
+    } finally {
+      setPaying(false);
+    }
+  }
+
+  return (
+    <div className="container mx-auto max-w-xl px-4 py-12">
+      <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Checkout</h1>
+
+      {(error || orderError) && (
+        <div className="mt-6">
+          <LoadError error={error || orderError} onRetry={error ? reload : undefined} />
+        </div>
+      )}
+
+      {course && (
+        <div className="mt-6 rounded-2xl border border-slate-100 dark:border-slate-800 p-5 flex items-center justify-between gap-4">
+          <div>
+            <Link to={`/courses/${course.slug}`} className="font-semibold hover:underline">{course.title}</Link>
+            <div className="text-sm text-slate-500">by {course.instructor?.name}</div>
+          </div>
+          <div className="text-xl font-bold">{formatPrice(course)}</div>
+        </div>
+      )}
+
+      <form onSubmit={onPay} className="mt-6 space-y-4">
+        <CardFields value={card} onChange={setCard} />
+
+        {payError && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{payError}</p>}
+
+        <button
+          type="submit"
+          disabled={!order || paying}
+          className="w-full inline-flex items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-white font-medium hover:bg-indigo-700 disabled:opacity-60"
+        >
+          <Lock size={16} /> {paying ? "Processing…" : course ? `Pay ${formatPrice(course)}` : "Pay"}
+        </button>
+        <p className="text-xs text-center text-slate-500">
+          Test mode: use 4000 0000 0000 0002 to simulate a declined card.
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * CohortPage.jsx
+ *
+ * /cohorts/:cohortId — a cohort's room: dates, mentor, the live session
+ * schedule with meeting links, and the cohort chat for its seated learners
+ * and the people running it.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useParams } from "react-router";
+import { CalendarPlus, Video } from "lucide-react";
+import CohortChat from "../components/CohortChat";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import { errorMessage } from "../api/client";
+import { downloadCohortCalendar, fetchCohort } from "../api/cohorts";
+import { formatDate, formatDateTime } from "../utils/format";
+import NotFound from "./NotFound";
+
+export default function CohortPage() {
+  const { cohortId } = useParams();
+  const load = useCallback(() => fetchCohort(cohortId), [cohortId]);
+  const { data, error, loading, reload } = useApi(load);
+  const [exportError, setExportError] = useState(null);
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error) {
+    return (
+      <div className="container mx-auto max-w-4xl px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (loading && !data) {
+    return <div className="container mx-auto max-w-4xl px-4 py-10 h-96 animate-pulse" />;
+  }
+
+  const { cohort, membership, members } = data;
+  // members are only sent to the people running the cohort
+  const inRoom = membership?.status === "enrolled" || Boolean(members);
+  const now = new Date();
+  const upcoming = cohort.sessions.filter((s) => new Date(s.endsAt) > now);
+  const past = cohort.sessions.length - upcoming.length;
+
+  return (
+    <div className="container mx-auto max-w-4xl px-4 py-10">
+      <Link to="/dashboard" className="text-sm text-indigo-600 hover:underline">My cohorts</Link>
+      <h1 className="mt-3 text-3xl font-bold text-slate-900 dark:text-white">{cohort.title}</h1>
+      <div className="mt-2 text-sm text-slate-600 dark:text-slate-300">
+        {formatDate(cohort.startsAt, cohort.timezone)} – {formatDate(cohort.endsAt, cohort.timezone)} · {cohort.timezone}
+        {cohort.mentor && ` · mentor ${cohort.mentor.name}`}
+        {members && ` · ${members.filter((m) => m.status === "enrolled").length} learners`}
+      </div>
+      {cohort.status === "cancelled" && <p className="mt-3 text-amber-600">This cohort was cancelled.</p>}
+
+      <section className="mt-10" aria-labelledby="sessions-heading">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 id="sessions-heading" className="text-xl font-semibold">Live sessions</h2>
+          {inRoom && (
+            <button
+              onClick={() =>
+                downloadCohortCalendar(cohort.id).then(
+                  () => setExportError(null),
+                  (err) => setExportError(errorMessage(err, "Could not export the calendar"))
+                )
+              }
+              className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:underline"
+            >
+              <CalendarPlus size={14} aria-hidden /> Add to calendar (.ics)
+            </button>
+          )}
+        </div>
+        {exportError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{exportError}</p>}
+        {upcoming.length === 0 && <p className="mt-3 text-sm text-slate-500">No sessions coming up.</p>}
+        <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800">
+          {upcoming.map((s) => {
+            const live = new Date(s.startsAt) <= now;
+            return (
+              <li key={s.id} className="flex flex-wrap items-center gap-3 py-3 text-sm">
+                <span className="flex-1">
+                  <span className="font-medium">{s.title}</span>
+                  <span className="ml-2 text-slate-500">{formatDateTime(s.startsAt, cohort.timezone)}</span>
+                  {live && <span className="ml-2 text-emerald-600">Live now</span>}
+                </span>
+                {inRoom && s.meetingUrl && (
+                  <a
+                    href={s.meetingUrl}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5"
+                  >
+                    <Video size={14} aria-hidden /> Join
+                  </a>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+        {past > 0 && <p className="mt-2 text-xs text-slate-500">{past} earlier {past === 1 ? "session" : "sessions"}</p>}
+      </section>
+
+      {inRoom ? (
+        <CohortChat cohortId={cohort.id} />
+      ) : (
+        <p className="mt-10 rounded-2xl border border-slate-100 dark:border-slate-800 p-6 text-sm text-slate-600 dark:text-slate-300">
+          {membership?.status === "waitlisted"
+            ? `You’re #${membership.waitlistPosition} on the waitlist — the chat opens once you have a seat.`
+            : "The cohort chat is for its learners and mentor."}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+/**
+ * Community.jsx
+ *
+ * /community — study group directory (search by name or tag, ?course= to
+ * narrow to one course), the viewer's own groups and join requests, and the
+ * form to start a new group.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router";
+import { Globe, Lock, Search, Users } from "lucide-react";
+import LoadError from "../components/LoadError";
+import Pagination from "../components/Pagination";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useReloadOnSignIn from "../hooks/useReloadOnSignIn";
+import { createGroup, fetchGroups } from "../api/groups";
+import { errorMessage } from "../api/client";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const TIME_ZONES = [localZone, ...(Intl.supportedValuesOf?.("timeZone") ?? ["UTC"]).filter((z) => z !== localZone)];
+
+const MEMBERSHIP_LABELS = { owner: "Owner", moderator: "Moderator", member: "Member" };
+
+function GroupCard({ group }) {
+  const m = group.membership;
+  return (
+    <li className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <div className="flex items-start justify-between gap-3">
+        <Link to={`/groups/${group.id}`} className="font-semibold hover:underline">{group.name}</Link>
+        {group.visibility === "private" ? (
+          <Lock size={14} className="shrink-0 text-slate-400" aria-label="Private" />
+        ) : (
+          <Globe size={14} className="shrink-0 text-slate-400" aria-label="Public" />
+        )}
+      </div>
+      {group.course && (
+        <Link to={`/courses/${group.course.slug}`} className="text-xs text-indigo-600 hover:underline">
+          {group.course.title}
+        </Link>
+      )}
+      {group.description && <p className="mt-2 text-sm text-slate-600 dark:text-slate-300 line-clamp-2">{group.description}</p>}
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+        <span className="inline-flex items-center gap-1">
+          <Users size={12} aria-hidden /> {group.memberCount} / {group.maxMembers}
+        </span>
+        <span>· {group.timezone}</span>
+        {group.tags.map((t) => (
+          <span key={t} className="rounded-full bg-slate-100 dark:bg-slate-800 px-2 py-0.5">#{t}</span>
+        ))}
+        {m && (
+          <span className="ml-auto font-medium text-indigo-600">
+            {m.status === "pending" ? "Request pending" : MEMBERSHIP_LABELS[m.role]}
+          </span>
+        )}
+      </div>
+    </li>
+  );
+}
+
+function NewGroupForm({ course, onCancel }) {
+  const navigate = useNavigate();
+  const [form, setForm] = useState({
+    name: "",
+    description: "",
+    visibility: "public",
+    timezone: localZone,
+    tags: "",
+    maxMembers: 50,
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      const group = await createGroup({
+        ...form,
+        course,
+        tags: form.tags.split(",").map((t) => t.trim()).filter(Boolean),
+        maxMembers: Number(form.maxMembers),
+      });
+      navigate(`/groups/${group.id}`);
+    } catch (err) {
+      setError(errorMessage(err, "Could not create the group"));
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-4 grid gap-3 sm:grid-cols-2 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <label className="block text-sm sm:col-span-2">
+        Name
+        <input value={form.name} onChange={update("name")} required maxLength={80} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        What the group is about
+        <textarea value={form.description} onChange={update("description")} rows={3} maxLength={2000} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Who can join
+        <select value={form.visibility} onChange={update("visibility")} className={inputClass}>
+          <option value="public">Anyone</option>
+          <option value="private">Approved members only</option>
+        </select>
+      </label>
+      <label className="block text-sm">
+        Time zone
+        <select value={form.timezone} onChange={update("timezone")} className={inputClass}>
+          {TIME_ZONES.map((z) => (
+            <option key={z} value={z}>{z}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Tags (comma separated)
+        <input value={form.tags} onChange={update("tags")} placeholder="react, interview prep" className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Member limit
+        <input type="number" min={2} max={500} value={form.maxMembers} onChange={update("maxMembers")} className={inputClass} />
+      </label>
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400 sm:col-span-2">{error}</p>}
+      <div className="flex gap-3 sm:col-span-2">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Creating…" : "Create group"}
+        </button>
+        <button type="button" onClick={onCancel} className="rounded-lg px-4 py-2 text-sm text-slate-600 dark:text-slate-300">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function MyGroups() {
+  const { user } = useAuth();
+  const load = useCallback(() => (user ? fetchGroups({ mine: 1, limit: 50 }) : Promise.resolve(null)), [user]);
+  const { data } = useApi(load);
+  if (!data?.items.length) return null;
+
+  return (
+    <section className="mt-8" aria-labelledby="my-groups-heading">
+      <h2 id="my-groups-heading" className="text-xl font-semibold">Your groups</h2>
+      <ul className="mt-4 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+        {data.items.map((g) => (
+          <GroupCard key={g.id} group={g} />
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default function Community() {
+  const { user, openAuth } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const course = searchParams.get("course") || undefined;
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [page, setPage] = useState(1);
+  const [creating, setCreating] = useState(false);
+
+  const load = useCallback(() => fetchGroups({ q: query || undefined, course, page }), [query, course, page]);
+  const { data, error, loading, reload } = useApi(load);
+  // refetch after sign-in so memberships show on the cards
+  useReloadOnSignIn(reload);
+
+  return (
+    <div className="container mx-auto max-w-6xl px-4 py-10">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900 dark:text-white">Community</h1>
+          <p className="mt-2 text-slate-600 dark:text-slate-300">
+            Study groups across time zones — find people learning what you are, or start your own.
+          </p>
+        </div>
+        {!creating && (
+          <button
+            onClick={() => (user ? setCreating(true) : openAuth("signin"))}
+            className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white"
+          >
+            Start a group
+          </button>
+        )}
+      </div>
+
+      {creating && <NewGroupForm course={course} onCancel={() => setCreating(false)} />}
+
+      <MyGroups />
+
+      <section className="mt-10" aria-labelledby="groups-heading">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h2 id="groups-heading" className="text-xl font-semibold">Study groups</h2>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setQuery(search.trim());
+              setPage(1);
+            }}
+            className="flex items-center gap-2 text-sm"
+          >
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Name or tag"
+              aria-label="Search study groups"
+              className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-1.5"
+            />
+            <button type="submit" aria-label="Search" className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800">
+              <Search size={16} />
+            </button>
+          </form>
+        </div>
+        {course && (
+          <p className="mt-2 text-sm text-slate-500">
+            Showing groups for one course.{" "}
+            <button onClick={() => setSearchParams({})} className="text-indigo-600 hover:underline">
+              Show all
+            </button>
+          </p>
+        )}
+
+        {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+        {loading && !data && <div className="mt-4 h-32 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />}
+        {data?.items.length === 0 && (
+          <p className="mt-4 text-sm text-slate-600 dark:text-slate-300">
+            {query ? "No groups match." : "No study groups yet — start the first one."}
+          </p>
+        )}
+        <ul className="mt-4 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {data?.items.map((g) => (
+            <GroupCard key={g.id} group={g} />
+          ))}
+        </ul>
+        {data && <Pagination page={data.page} pages={data.pages} onPage={setPage} />}
+      </section>
+    </div>
+  );
+}
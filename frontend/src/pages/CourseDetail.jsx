@@ -0,0 +1,398 @@
+/**
+ * CourseDetail.jsx
+ *
+ * /courses/:slug — course overview, syllabus (modules -> lessons), instructor
+ * bio, upcoming cohorts, links to the discussion board and study groups,
+ * reviews and the enroll card. Free courses enroll in one click and open the
+ * first lesson, and so do paid ones for subscribers whose plan includes
+ * them; everyone else goes through /checkout/:slug.
+ * Enrolled learners can join a cohort, or its waitlist once it's full.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router";
+import { CalendarPlus, Clock, PlayCircle, FileText, FolderGit2, HelpCircle, MessageSquare, Star, BarChart, Users } from "lucide-react";
+import CourseReviews from "../components/CourseReviews";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import { fetchCourse } from "../api/catalog";
+import { enrollInCourse, fetchEnrollment } from "../api/learning";
+import { fetchSubscription } from "../api/billing";
+import { downloadCohortCalendar, fetchCourseCohorts, joinCohort, leaveCohort } from "../api/cohorts";
+import { fetchCourseProjects } from "../api/projects";
+import { errorMessage } from "../api/client";
+import { formatDate, formatDateTime, formatDuration, formatPrice } from "../utils/format";
+import NotFound from "./NotFound";
+
+const LESSON_ICONS = { video: PlayCircle, text: FileText, quiz: HelpCircle };
+
+/** Price + primary action; knows about the viewer's enrollment */
+function EnrollCard({ course, hasPreview }) {
+  const { user, openAuth } = useAuth();
+  const navigate = useNavigate();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadEnrollment = useCallback(
+    () => (user ? fetchEnrollment(course.id) : Promise.resolve(null)),
+    [user, course.id]
+  );
+  const { data: enrollment } = useApi(loadEnrollment);
+  const loadSubscription = useCallback(
+    () => (user && course.price > 0 ? fetchSubscription() : Promise.resolve(null)),
+    [user, course.price]
+  );
+  const { data: subscription } = useApi(loadSubscription);
+  const includedIn = subscription?.plan.entitlements.includes("paid_courses") ? subscription.plan : null;
+
+  const lessonPath = (lessonId) => `/learn/${course.slug}/${lessonId}`;
+
+  async function onEnroll() {
+    if (!user) {
+      openAuth("signup");
+      return;
+    }
+    if (course.price > 0 && !enrollment && !includedIn) {
+      navigate(`/checkout/${course.slug}`);
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      const { nextLesson } = await enrollInCourse(course.id);
+      if (nextLesson) navigate(lessonPath(nextLesson));
+      else setError("This course has no lessons yet.");
+    } catch (err) {
+      setError(errorMessage(err, "Could not enroll you"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  let label = course.price > 0 ? `Buy for ${formatPrice(course)}` : "Enroll for free";
+  if (course.price > 0 && includedIn) label = `Start learning with ${includedIn.name}`;
+  if (enrollment) label = enrollment.lastLesson ? "Continue learning" : "Start learning";
+
+  return (
+    <aside className="rounded-2xl border border-slate-100 dark:border-slate-800 bg-white dark:bg-slate-900 p-6 shadow-sm lg:sticky lg:top-24">
+      <div className="text-2xl font-bold text-slate-900 dark:text-white">{formatPrice(course)}</div>
+      <ul className="mt-4 space-y-2 text-sm text-slate-600 dark:text-slate-300">
+        <li className="flex items-center gap-2"><Clock size={14} /> {formatDuration(course.durationMinutes)} of content</li>
+        <li className="flex items-center gap-2 capitalize"><BarChart size={14} /> {course.level}</li>
+      </ul>
+      <button
+        onClick={onEnroll}
+        disabled={busy}
+        className="mt-6 w-full rounded-lg bg-indigo-600 px-4 py-2.5 text-white font-medium hover:bg-indigo-700 disabled:opacity-60"
+      >
+        {busy ? "Enrolling…" : label}
+      </button>
+      {course.price > 0 && !enrollment && !includedIn && (
+        <p className="mt-3 text-center text-xs text-slate-500">
+          Or get every course with a <Link to="/pricing" className="text-indigo-600 hover:underline">Pro plan</Link>.
+        </p>
+      )}
+      {hasPreview && !enrollment && (
+        <p className="mt-3 text-center text-xs text-slate-500">Preview lessons are free to watch.</p>
+      )}
+      {error && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </aside>
+  );
+}
+
+/** Upcoming mentor-led cohorts with seats left, and join / waitlist actions */
+function Cohorts({ course }) {
+  const { user, openAuth } = useAuth();
+  const load = useCallback(() => fetchCourseCohorts(course.id), [course.id]);
+  const { data, error, reload } = useApi(load);
+  const [busy, setBusy] = useState(null);
+  const [actionError, setActionError] = useState("");
+
+  async function act(cohortId, run) {
+    if (!user) {
+      openAuth("signin");
+      return;
+    }
+    setBusy(cohortId);
+    setActionError("");
+    try {
+      await run(cohortId);
+      reload();
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  if (!data?.length && !error) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="cohorts-heading">
+      <h2 id="cohorts-heading" className="text-xl font-semibold">Mentor-led cohorts</h2>
+      <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+        Learn alongside others with live sessions and one-to-one time with a mentor. Enroll in the course first, then
+        pick a cohort.
+      </p>
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {actionError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      <ul className="mt-4 space-y-4">
+        {data?.map((c) => {
+          const started = new Date(c.startsAt) <= new Date();
+          const member = c.membership;
+          return (
+            <li key={c.id} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+              <div className="flex flex-wrap items-start justify-between gap-4">
+                <div>
+                  <h3 className="font-semibold">{c.title}</h3>
+                  <div className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+                    {formatDate(c.startsAt, c.timezone)} – {formatDate(c.endsAt, c.timezone)} · {c.timezone}
+                  </div>
+                  <div className="mt-1 flex flex-wrap items-center gap-x-4 text-sm text-slate-500">
+                    {c.mentor && <span>Mentor: {c.mentor.name}</span>}
+                    <span className="inline-flex items-center gap-1">
+                      <Users size={14} aria-hidden /> {c.seatsLeft ? `${c.seatsLeft} of ${c.capacity} seats left` : "Full"}
+                    </span>
+                    <span>{c.sessions.length} live sessions</span>
+                  </div>
+                </div>
+                <div className="text-right text-sm">
+                  {member ? (
+                    <>
+                      <div className={member.status === "enrolled" ? "text-emerald-600" : "text-amber-600"}>
+                        {member.status === "enrolled" ? "You’re in" : `#${member.waitlistPosition} on the waitlist`}
+                      </div>
+                      {member.status === "enrolled" && (
+                        <Link to={`/cohorts/${c.id}`} className="mt-1 block text-indigo-600 hover:underline">
+                          Open cohort room
+                        </Link>
+                      )}
+                      <button
+                        onClick={() => act(c.id, leaveCohort)}
+                        disabled={busy === c.id}
+                        className="mt-1 text-slate-500 hover:underline disabled:opacity-60"
+                      >
+                        {member.status === "enrolled" ? "Give up my seat" : "Leave the waitlist"}
+                      </button>
+                    </>
+                  ) : started ? (
+                    <span className="text-slate-500">In progress</span>
+                  ) : (
+                    <button
+                      onClick={() => act(c.id, joinCohort)}
+                      disabled={busy === c.id}
+                      className="rounded-lg bg-indigo-600 px-4 py-2 text-white disabled:opacity-60"
+                    >
+                      {busy === c.id ? "Joining…" : c.seatsLeft ? "Join cohort" : "Join waitlist"}
+                    </button>
+                  )}
+                </div>
+              </div>
+              {c.sessions.length > 0 && (
+                <details className="mt-3 text-sm">
+                  <summary className="cursor-pointer text-indigo-600">Schedule</summary>
+                  <ul className="mt-2 space-y-1 text-slate-600 dark:text-slate-300">
+                    {c.sessions.map((s) => (
+                      <li key={s.id}>
+                        {formatDateTime(s.startsAt, c.timezone)} — {s.title}
+                      </li>
+                    ))}
+                  </ul>
+                  {member?.status === "enrolled" && (
+                    <button
+                      onClick={() =>
+                        downloadCohortCalendar(c.id).catch((err) =>
+                          setActionError(errorMessage(err, "Could not export the calendar"))
+                        )
+                      }
+                      className="mt-2 inline-flex items-center gap-1 text-indigo-600 hover:underline"
+                    >
+                      <CalendarPlus size={14} aria-hidden /> Add to calendar (.ics)
+                    </button>
+                  )}
+                </details>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+const PROJECT_STATUS = { draft: "Draft", submitted: "In review", graded: "Graded" };
+
+/** Graded projects of the course, with the viewer's latest attempt */
+function Projects({ course }) {
+  const load = useCallback(() => fetchCourseProjects(course.id), [course.id]);
+  const { data, error, reload } = useApi(load);
+
+  if (!data?.length && !error) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="projects-heading">
+      <h2 id="projects-heading" className="text-xl font-semibold">Projects</h2>
+      <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+        Hands-on work reviewed against a rubric by a mentor or by fellow learners.
+      </p>
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      <ul className="mt-4 divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800">
+        {data?.map((a) => (
+          <li key={a.id} className="flex flex-wrap items-center gap-3 px-4 py-3 text-sm">
+            <FolderGit2 size={16} className="shrink-0 text-slate-500" aria-hidden />
+            <Link to={`/projects/${a.id}`} className="flex-1 font-medium hover:underline">{a.title}</Link>
+            <span className="text-slate-500">
+              {a.reviewMode === "peer" ? "Peer reviewed" : "Mentor reviewed"}
+              {a.dueAt && ` · due ${formatDate(a.dueAt)}`}
+            </span>
+            {a.latest && (
+              <span className={a.latest.grade?.passed ? "text-emerald-600" : "text-slate-600 dark:text-slate-300"}>
+                {a.latest.status === "graded" ? `${a.latest.grade.percent}%` : PROJECT_STATUS[a.latest.status]}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default function CourseDetail() {
+  const { slug } = useParams();
+  const { user } = useAuth();
+  const load = useCallback(() => fetchCourse(slug), [slug]);
+  const { data, error, loading, reload } = useApi(load);
+
+  if (error?.response?.status === 404) return <NotFound />;
+
+  if (loading && !data) {
+    return (
+      <div className="container mx-auto max-w-6xl px-4 py-10" aria-busy="true">
+        <div className="h-8 w-2/3 rounded bg-slate-100 dark:bg-slate-800 animate-pulse" />
+        <div className="mt-4 h-4 w-1/2 rounded bg-slate-100 dark:bg-slate-800 animate-pulse" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="container mx-auto max-w-6xl px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+
+  const { course, modules } = data;
+  const instructor = course.instructor;
+  const hasPreview = modules.some((m) => m.lessons.some((l) => l.isPreview));
+
+  return (
+    <div className="container mx-auto max-w-6xl px-4 py-10 grid grid-cols-1 lg:grid-cols-3 gap-10">
+      <div className="lg:col-span-2">
+        <nav className="text-sm text-slate-500" aria-label="Breadcrumb">
+          <Link to="/courses" className="hover:underline">Courses</Link>
+          {course.category && (
+            <>
+              {" / "}
+              <Link to={`/courses?category=${course.category.slug}`} className="hover:underline">
+                {course.category.name}
+              </Link>
+            </>
+          )}
+        </nav>
+
+        <h1 className="mt-3 text-3xl font-bold text-slate-900 dark:text-white">{course.title}</h1>
+        {course.subtitle && <p className="mt-2 text-lg text-slate-600 dark:text-slate-300">{course.subtitle}</p>}
+
+        <div className="mt-4 flex flex-wrap items-center gap-4 text-sm text-slate-600 dark:text-slate-300">
+          <span>by {instructor?.name}</span>
+          <span className="flex items-center gap-1">
+            <Star size={14} className="text-amber-400" /> {course.rating ? course.rating.toFixed(1) : "New"}
+          </span>
+          <span>{course.enrollmentCount.toLocaleString()} learners</span>
+        </div>
+
+        {course.description && (
+          <p className="mt-6 text-slate-700 dark:text-slate-300 whitespace-pre-line">{course.description}</p>
+        )}
+
+        <section className="mt-10" aria-labelledby="syllabus-heading">
+          <h2 id="syllabus-heading" className="text-xl font-semibold">Syllabus</h2>
+          <ol className="mt-4 space-y-4">
+            {modules.map((m, i) => (
+              <li key={m.id} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+                <h3 className="font-semibold">
+                  {i + 1}. {m.title}
+                </h3>
+                <ul className="mt-2 space-y-1">
+                  {m.lessons.map((l) => {
+                    const Icon = LESSON_ICONS[l.type] || PlayCircle;
+                    return (
+                      <li key={l.id} className="flex items-center gap-3 text-sm text-slate-700 dark:text-slate-300">
+                        <Icon size={16} className="text-slate-400" />
+                        {l.isPreview ? (
+                          <Link to={`/learn/${course.slug}/${l.id}`} className="flex-1 hover:underline">{l.title}</Link>
+                        ) : (
+                          <span className="flex-1">{l.title}</span>
+                        )}
+                        {l.isPreview && <span className="text-xs text-indigo-600">Preview</span>}
+                        <span className="text-xs text-slate-400">{formatDuration(l.durationMinutes)}</span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </li>
+            ))}
+          </ol>
+        </section>
+
+        {instructor && (
+          <section className="mt-10" aria-labelledby="instructor-heading">
+            <h2 id="instructor-heading" className="text-xl font-semibold">Your instructor</h2>
+            <div className="mt-4 flex items-start gap-4">
+              {instructor.avatarUrl ? (
+                <img src={instructor.avatarUrl} alt="" className="h-14 w-14 rounded-full object-cover" />
+              ) : (
+                <div className="h-14 w-14 rounded-full bg-gradient-to-tr from-indigo-600 to-violet-600" aria-hidden />
+              )}
+              <div>
+                <div className="font-semibold">{instructor.name}</div>
+                {instructor.headline && <div className="text-sm text-slate-500">{instructor.headline}</div>}
+                {instructor.bio && (
+                  <p className="mt-2 text-sm text-slate-700 dark:text-slate-300 whitespace-pre-line">{instructor.bio}</p>
+                )}
+              </div>
+            </div>
+          </section>
+        )}
+
+        {/* keyed by viewer: signing in refetches their attempts and memberships */}
+        <Projects key={user?.id} course={course} />
+        <Cohorts key={user?.id} course={course} />
+
+        <section className="mt-10" aria-labelledby="community-heading">
+          <h2 id="community-heading" className="text-xl font-semibold">Community</h2>
+          <div className="mt-4 flex flex-wrap gap-3 text-sm">
+            <Link
+              to={`/courses/${course.slug}/discussions`}
+              className="inline-flex items-center gap-2 rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2 hover:bg-slate-50 dark:hover:bg-slate-800"
+            >
+              <MessageSquare size={16} aria-hidden /> Discussion board
+            </Link>
+            <Link
+              to={`/community?course=${course.id}`}
+              className="inline-flex items-center gap-2 rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2 hover:bg-slate-50 dark:hover:bg-slate-800"
+            >
+              <Users size={16} aria-hidden /> Study groups
+            </Link>
+          </div>
+        </section>
+        <CourseReviews course={course} />
+      </div>
+
+      <div>
+        <EnrollCard course={course} hasPreview={hasPreview} />
+      </div>
+    </div>
+  );
+}
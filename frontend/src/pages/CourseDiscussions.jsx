@@ -0,0 +1,97 @@
+/**
+ * CourseDiscussions.jsx
+ *
+ * /courses/:slug/discussions — the course's discussion board, optionally
+ * narrowed to one lesson (?lesson=<id>), with the course's study groups
+ * alongside.
+ */
+import React, { useCallback } from "react";
+import { Link, useParams, useSearchParams } from "react-router";
+import { Users } from "lucide-react";
+import DiscussionBoard from "../components/DiscussionBoard";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import { fetchCourse } from "../api/catalog";
+import { fetchGroups } from "../api/groups";
+import NotFound from "./NotFound";
+
+function CourseGroups({ course }) {
+  const load = useCallback(() => fetchGroups({ course: course.id, limit: 5 }), [course.id]);
+  const { data } = useApi(load);
+
+  return (
+    <aside className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <h2 className="flex items-center gap-2 font-semibold">
+        <Users size={16} aria-hidden /> Study groups
+      </h2>
+      {data?.items.length === 0 && <p className="mt-2 text-sm text-slate-500">No study groups for this course yet.</p>}
+      <ul className="mt-2 space-y-2 text-sm">
+        {data?.items.map((g) => (
+          <li key={g.id}>
+            <Link to={`/groups/${g.id}`} className="font-medium hover:underline">{g.name}</Link>
+            <div className="text-xs text-slate-500">
+              {g.memberCount} / {g.maxMembers} members · {g.timezone}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <Link to={`/community?course=${course.id}`} className="mt-3 inline-block text-sm text-indigo-600 hover:underline">
+        Find or start a group
+      </Link>
+    </aside>
+  );
+}
+
+export default function CourseDiscussions() {
+  const { slug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const lessonId = searchParams.get("lesson") || undefined;
+  const load = useCallback(() => fetchCourse(slug), [slug]);
+  const { data, error, loading, reload } = useApi(load);
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error) {
+    return (
+      <div className="container mx-auto max-w-6xl px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (loading && !data) {
+    return <div className="container mx-auto max-w-6xl px-4 py-10 h-96 animate-pulse" />;
+  }
+
+  const { course, modules } = data;
+
+  return (
+    <div className="container mx-auto max-w-6xl px-4 py-10 grid grid-cols-1 lg:grid-cols-3 gap-10">
+      <div className="lg:col-span-2">
+        <nav className="text-sm text-slate-500" aria-label="Breadcrumb">
+          <Link to={`/courses/${course.slug}`} className="hover:underline">{course.title}</Link>
+          {" / "}Discussions
+        </nav>
+        <label className="mt-4 flex items-center gap-2 text-sm">
+          Lesson
+          <select
+            value={lessonId ?? ""}
+            onChange={(e) => setSearchParams(e.target.value ? { lesson: e.target.value } : {})}
+            className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1"
+          >
+            <option value="">Whole course</option>
+            {modules.map((m) => (
+              <optgroup key={m.id} label={m.title}>
+                {m.lessons.map((l) => (
+                  <option key={l.id} value={l.id}>{l.title}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </label>
+        <DiscussionBoard course={course.id} lesson={lessonId} title={`${course.title} discussions`} />
+      </div>
+      <div>
+        <CourseGroups course={course} />
+      </div>
+    </div>
+  );
+}
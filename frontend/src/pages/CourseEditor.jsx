@@ -0,0 +1,422 @@
+/**
+ * CourseEditor.jsx
+ *
+ * /studio/courses/:courseId — the authoring studio for one course (its
+ * instructor and admins). Curriculum: drag-and-drop modules and lessons
+ * beside the selected lesson's editor. Details: the catalog listing, its
+ * language and translations of its title, subtitle and description.
+ * Versions: what was published when, with restore. Analytics: how learners
+ * move through the course, with CSV exports.
+ *
+ * Edits are saved as they are made and show to learners of a published
+ * course straight away; publishing records the course as a new version
+ * (with an optional note) and is refused while anything is missing.
+ * "Preview as learner" opens the lesson player in preview mode.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useParams } from "react-router";
+import { AlertTriangle, ArrowLeft, Eye, Plus, Rocket, Trash2 } from "lucide-react";
+import LoadError from "../components/LoadError";
+import CourseAnalytics from "../components/studio/CourseAnalytics";
+import CurriculumEditor from "../components/studio/CurriculumEditor";
+import LessonEditor from "../components/studio/LessonEditor";
+import StatusBadge from "../components/studio/StatusBadge";
+import VersionHistory from "../components/studio/VersionHistory";
+import useApi from "../hooks/useApi";
+import { fetchCategories } from "../api/catalog";
+import { fetchStudioCourse, publishCourse, unpublishCourse, updateCourse } from "../api/authoring";
+import { errorMessage } from "../api/client";
+import { LOCALES } from "../locales";
+import cn from "../utils/cn";
+import { formatDateTime } from "../utils/format";
+import NotFound from "./NotFound";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const TABS = [
+  { id: "curriculum", label: "Curriculum" },
+  { id: "details", label: "Details" },
+  { id: "versions", label: "Versions" },
+  { id: "analytics", label: "Analytics" },
+];
+
+const EMPTY_TRANSLATION = { title: "", subtitle: "", description: "" };
+
+/**
+ * Title, subtitle and description in other languages, shown to learners who
+ * prefer them. One per language, and not the one the course is taught in.
+ */
+function TranslationFields({ language, translations, onChange }) {
+  const taken = new Set([language, ...translations.map((t) => t.locale)]);
+  const free = LOCALES.filter((l) => !taken.has(l.code));
+
+  const change = (i, field) => (e) =>
+    onChange(translations.map((t, j) => (j === i ? { ...t, [field]: e.target.value } : t)));
+
+  return (
+    <fieldset className="sm:col-span-2 space-y-4">
+      <legend className="text-sm font-medium">Translations</legend>
+      {translations.map((t, i) => (
+        <div key={i} className="grid grid-cols-1 sm:grid-cols-2 gap-3 rounded-xl border border-slate-100 dark:border-slate-800 p-4">
+          <label className="block text-sm">
+            Language
+            <select value={t.locale} onChange={change(i, "locale")} className={inputClass}>
+              {LOCALES.filter((l) => l.code === t.locale || !taken.has(l.code)).map((l) => (
+                <option key={l.code} value={l.code}>{l.name}</option>
+              ))}
+            </select>
+          </label>
+          <div className="flex items-end justify-end">
+            <button
+              type="button"
+              onClick={() => onChange(translations.filter((_, j) => j !== i))}
+              className="inline-flex items-center gap-1 rounded-lg px-3 py-2 text-sm text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+            >
+              <Trash2 size={14} aria-hidden /> Remove
+            </button>
+          </div>
+          <label className="block text-sm sm:col-span-2">
+            Title
+            <input value={t.title} onChange={change(i, "title")} required maxLength={120} lang={t.locale} className={inputClass} />
+          </label>
+          <label className="block text-sm sm:col-span-2">
+            Subtitle
+            <input value={t.subtitle} onChange={change(i, "subtitle")} maxLength={200} lang={t.locale} className={inputClass} />
+          </label>
+          <label className="block text-sm sm:col-span-2">
+            Description
+            <textarea value={t.description} onChange={change(i, "description")} rows={4} maxLength={5000} lang={t.locale} className={inputClass} />
+          </label>
+        </div>
+      ))}
+      <button
+        type="button"
+        disabled={!free.length}
+        onClick={() => onChange([...translations, { ...EMPTY_TRANSLATION, locale: free[0].code }])}
+        className="inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm disabled:opacity-60"
+      >
+        <Plus size={14} aria-hidden /> Add translation
+      </button>
+    </fieldset>
+  );
+}
+
+/** The catalog listing: title, description, category, level, price, languages */
+function DetailsForm({ course, onSaved }) {
+  const { data: categories } = useApi(fetchCategories);
+  const [form, setForm] = useState({
+    title: course.title,
+    subtitle: course.subtitle ?? "",
+    description: course.description ?? "",
+    category: course.category?.id ?? "",
+    level: course.level,
+    tags: course.tags.join(", "),
+    price: course.price,
+    currency: course.currency,
+    billing: course.billing,
+    durationMinutes: course.durationMinutes,
+    thumbnailUrl: course.thumbnailUrl ?? "",
+    language: course.language ?? "en",
+    translations: (course.translations ?? []).map((t) => ({ ...EMPTY_TRANSLATION, ...t })),
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    setSaved(false);
+    try {
+      await updateCourse(course.id, {
+        ...form,
+        category: form.category || null,
+        tags: form.tags
+          .split(",")
+          .map((t) => t.trim())
+          .filter(Boolean),
+        price: Number(form.price),
+        durationMinutes: Number(form.durationMinutes),
+        thumbnailUrl: form.thumbnailUrl || undefined,
+        translations: form.translations.map((t) => ({
+          ...t,
+          subtitle: t.subtitle || undefined,
+          description: t.description || undefined,
+        })),
+      });
+      setSaved(true);
+      onSaved();
+    } catch (err) {
+      setError(errorMessage(err, "Could not save the course"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-4 max-w-3xl">
+      <label className="block text-sm sm:col-span-2">
+        Title
+        <input value={form.title} onChange={update("title")} required maxLength={120} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Subtitle
+        <input value={form.subtitle} onChange={update("subtitle")} maxLength={200} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Description
+        <textarea value={form.description} onChange={update("description")} rows={6} maxLength={5000} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Category
+        <select value={form.category} onChange={update("category")} className={inputClass}>
+          <option value="">None</option>
+          {categories?.map((c) => (
+            <option key={c.id} value={c.id}>{c.name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Level
+        <select value={form.level} onChange={update("level")} className={inputClass}>
+          <option value="beginner">Beginner</option>
+          <option value="intermediate">Intermediate</option>
+          <option value="advanced">Advanced</option>
+        </select>
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Tags (comma-separated)
+        <input value={form.tags} onChange={update("tags")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Price (0 for free)
+        <input type="number" min={0} step="0.01" value={form.price} onChange={update("price")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Currency
+        <input value={form.currency} onChange={update("currency")} maxLength={3} className={`${inputClass} uppercase`} />
+      </label>
+      <label className="block text-sm">
+        Billing
+        <select value={form.billing} onChange={update("billing")} className={inputClass}>
+          <option value="one_time">One-time purchase</option>
+          <option value="monthly">Monthly</option>
+        </select>
+      </label>
+      <label className="block text-sm">
+        Total length (minutes)
+        <input type="number" min={0} value={form.durationMinutes} onChange={update("durationMinutes")} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Thumbnail image link
+        <input type="url" value={form.thumbnailUrl} onChange={update("thumbnailUrl")} placeholder="https://" className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Taught in
+        <select value={form.language} onChange={update("language")} className={inputClass}>
+          {!LOCALES.some((l) => l.code === form.language) && <option value={form.language}>{form.language}</option>}
+          {LOCALES.map((l) => (
+            <option key={l.code} value={l.code}>{l.name}</option>
+          ))}
+        </select>
+      </label>
+      <TranslationFields
+        language={form.language}
+        translations={form.translations}
+        onChange={(translations) => setForm((f) => ({ ...f, translations }))}
+      />
+      {error && <p role="alert" className="sm:col-span-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="sm:col-span-2 flex items-center gap-3">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Saving…" : "Save details"}
+        </button>
+        {saved && <span role="status" className="text-sm text-emerald-600">Saved</span>}
+      </div>
+    </form>
+  );
+}
+
+/** Publish with a note, or take the course down; lists what blocks publishing */
+function PublishPanel({ data, onChange }) {
+  const { course, problems, latestVersion, unpublishedChanges } = data;
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function run(action, fallback) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      setNote("");
+      onChange();
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const live = course.status === "published";
+  const canPublish = !problems.length && (!live || unpublishedChanges || !latestVersion);
+
+  return (
+    <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <p className="text-sm text-slate-600 dark:text-slate-300">
+        {latestVersion
+          ? `Version ${latestVersion.number} published ${formatDateTime(latestVersion.createdAt)}.`
+          : "Not published yet."}
+        {unpublishedChanges && latestVersion && " There are changes since then."}
+      </p>
+      {problems.length > 0 && (
+        <ul className="mt-3 space-y-1 text-sm text-amber-700 dark:text-amber-300">
+          {problems.map((p) => (
+            <li key={p} className="flex items-start gap-2">
+              <AlertTriangle size={14} className="mt-0.5 shrink-0" aria-hidden /> {p}
+            </li>
+          ))}
+        </ul>
+      )}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          run(() => publishCourse(course.id, note || undefined), "Could not publish the course");
+        }}
+        className="mt-3 flex flex-wrap gap-2"
+      >
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          maxLength={500}
+          placeholder="What changed? (optional)"
+          aria-label="Version note"
+          className="flex-1 min-w-48 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-1.5 text-sm"
+        />
+        <button type="submit" disabled={busy || !canPublish} className="inline-flex items-center gap-1.5 rounded-lg bg-indigo-600 px-4 py-1.5 text-sm text-white disabled:opacity-60">
+          <Rocket size={14} aria-hidden /> {live ? "Publish update" : "Publish"}
+        </button>
+      </form>
+      <div className="mt-3 flex gap-4 text-sm">
+        {live && (
+          <button onClick={() => run(() => unpublishCourse(course.id, "draft"), "Could not unpublish the course")} disabled={busy} className="text-slate-500 hover:underline">
+            Unpublish
+          </button>
+        )}
+        {course.status !== "archived" && latestVersion && (
+          <button onClick={() => run(() => unpublishCourse(course.id, "archived"), "Could not archive the course")} disabled={busy} className="text-slate-500 hover:underline">
+            Archive
+          </button>
+        )}
+      </div>
+      {error && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+export default function CourseEditor() {
+  const { courseId } = useParams();
+  const load = useCallback(() => fetchStudioCourse(courseId), [courseId]);
+  const { data, error, reload } = useApi(load);
+  const [tab, setTab] = useState("curriculum");
+  const [selected, setSelected] = useState(null);
+  const [changes, setChanges] = useState(0);
+
+  const changed = useCallback(() => {
+    setChanges((n) => n + 1);
+    reload();
+  }, [reload]);
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error) {
+    return (
+      <div className="container mx-auto max-w-7xl px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (!data) {
+    return (
+      <div className="container mx-auto max-w-7xl px-4 py-10">
+        <div className="h-40 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" aria-busy="true" />
+      </div>
+    );
+  }
+
+  const { course, modules } = data;
+  const lessons = modules.flatMap((m) => m.lessons);
+  const lesson = lessons.find((l) => l.id === selected);
+  const previewLesson = lesson ?? lessons[0];
+
+  return (
+    <div className="container mx-auto max-w-7xl px-4 py-10">
+      <Link to="/studio" className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:underline">
+        <ArrowLeft size={14} aria-hidden /> Studio
+      </Link>
+      <div className="mt-2 flex flex-wrap items-center justify-between gap-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white">{course.title}</h1>
+          <StatusBadge status={course.status} />
+          {data.unpublishedChanges && data.latestVersion && (
+            <span className="text-xs text-amber-600">Unpublished changes</span>
+          )}
+        </div>
+        {previewLesson && (
+          <Link
+            to={`/learn/${course.slug}/${previewLesson.id}?preview=1`}
+            className="inline-flex items-center gap-1.5 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm"
+          >
+            <Eye size={14} aria-hidden /> Preview as learner
+          </Link>
+        )}
+      </div>
+
+      <div className="mt-6">
+        <PublishPanel data={data} onChange={changed} />
+      </div>
+
+      <div className="mt-8 flex gap-2 border-b border-slate-100 dark:border-slate-800" role="tablist">
+        {TABS.map((t) => (
+          <button
+            key={t.id}
+            role="tab"
+            aria-selected={tab === t.id}
+            onClick={() => setTab(t.id)}
+            className={cn(
+              "-mb-px border-b-2 px-3 py-2 text-sm",
+              tab === t.id ? "border-indigo-600 text-indigo-600 font-medium" : "border-transparent text-slate-500"
+            )}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      <div className="mt-6" role="tabpanel">
+        {tab === "curriculum" && (
+          <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+            <div className="lg:col-span-2">
+              <CurriculumEditor courseId={course.id} modules={modules} selected={selected} onSelect={setSelected} onChange={reload} />
+            </div>
+            <div className="lg:col-span-3">
+              {lesson ? (
+                <LessonEditor key={lesson.id} courseId={course.id} lesson={lesson} onChange={reload} />
+              ) : (
+                <p className="rounded-2xl border border-dashed border-slate-200 dark:border-slate-700 p-10 text-center text-sm text-slate-500">
+                  {lessons.length ? "Pick a lesson to edit it." : "Add a module, then its first lesson."}
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+        {tab === "details" && <DetailsForm key={changes} course={course} onSaved={reload} />}
+        {tab === "versions" && (
+          <VersionHistory courseId={course.id} current={course.version} reloadKey={changes} onRestored={changed} />
+        )}
+        {tab === "analytics" && <CourseAnalytics course={course} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * Downloads.jsx
+ *
+ * /downloads — lessons saved on this device for offline learning, how much
+ * space they take, and the state of the offline sync outbox.
+ * Lessons are downloaded from the lesson page (see api/offline.js).
+ */
+import React, { useCallback, useState } from "react";
+import { Link } from "react-router";
+import { CloudOff, FileText, HelpCircle, PlayCircle, RefreshCw, Trash2 } from "lucide-react";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import useOffline from "../hooks/useOffline";
+import { listDownloads } from "../api/offline";
+import { errorMessage } from "../api/client";
+import { formatBytes } from "../utils/format";
+
+const LESSON_ICONS = { video: PlayCircle, text: FileText, quiz: HelpCircle };
+
+export default function Downloads() {
+  const { supported, online, pending, syncing, sync, downloaded, remove } = useOffline();
+  // `downloaded` is a new Set after every add, remove or sync, so this re-lists then
+  const load = useCallback(
+    () => (supported && downloaded.size ? listDownloads() : Promise.resolve([])),
+    [supported, downloaded]
+  );
+  const { data, error, loading, reload } = useApi(load);
+  const [removeError, setRemoveError] = useState("");
+
+  const total = data?.reduce((n, g) => n + g.lessons.reduce((m, l) => m + l.bytes, 0), 0) ?? 0;
+
+  return (
+    <div className="container mx-auto max-w-4xl px-4 py-10">
+      <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Downloads</h1>
+      <p className="mt-1 text-slate-600 dark:text-slate-300">
+        Lessons saved on this device open without an internet connection. Use “Download for offline” on any
+        lesson of a course you’re enrolled in.
+      </p>
+
+      {!supported && (
+        <p className="mt-6 rounded-xl bg-amber-50 dark:bg-amber-900/30 p-4 text-sm">
+          This browser can’t store lessons for offline use.
+        </p>
+      )}
+
+      {supported && (
+        <section className="mt-6 flex flex-wrap items-center gap-4 rounded-2xl border border-slate-100 dark:border-slate-800 p-4 text-sm">
+          <span className="flex items-center gap-2">
+            {online ? <RefreshCw size={16} aria-hidden /> : <CloudOff size={16} aria-hidden />}
+            {pending
+              ? `${pending} offline ${pending === 1 ? "change" : "changes"} waiting to sync`
+              : "All offline progress is synced"}
+          </span>
+          {pending > 0 && (
+            <button
+              onClick={() => sync().catch(() => {})}
+              disabled={!online || syncing}
+              className="rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 disabled:opacity-60"
+            >
+              {syncing ? "Syncing…" : online ? "Sync now" : "Waiting for a connection"}
+            </button>
+          )}
+          {data && <span className="ml-auto text-slate-500">{formatBytes(total)} used</span>}
+        </section>
+      )}
+
+      {error && <div className="mt-6"><LoadError error={error} onRetry={reload} /></div>}
+      {removeError && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{removeError}</p>}
+      {loading && !data && <div className="mt-6 h-32 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />}
+
+      {data?.length === 0 && supported && (
+        <p className="mt-6 text-sm text-slate-600 dark:text-slate-300">Nothing downloaded yet.</p>
+      )}
+
+      {data?.map(({ course, lessons }) => (
+        <section key={course.id} className="mt-8" aria-label={course.title}>
+          <h2 className="font-semibold">{course.title}</h2>
+          <ul className="mt-2 divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800">
+            {lessons.map((l) => {
+              const Icon = LESSON_ICONS[l.type] || PlayCircle;
+              return (
+                <li key={l.id} className="flex items-center gap-3 px-4 py-3 text-sm">
+                  <Icon size={16} className="shrink-0 text-slate-500" aria-hidden />
+                  <Link to={`/learn/${course.slug}/${l.id}`} className="flex-1 truncate hover:underline">
+                    {l.title}
+                  </Link>
+                  {l.pendingQuiz && <span className="text-xs text-amber-600">Answers waiting to sync</span>}
+                  <span className="text-xs text-slate-500">{formatBytes(l.bytes)}</span>
+                  <button
+                    onClick={() => {
+                      setRemoveError("");
+                      remove(l.id).catch((err) => setRemoveError(errorMessage(err, "Could not remove the download")));
+                    }}
+                    aria-label={`Remove ${l.title} from this device`}
+                    className="p-1.5 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
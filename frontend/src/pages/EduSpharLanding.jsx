@@ -1,15 +1,20 @@
 /**
  * EduSpharLanding.jsx
  *
- * Single-file React component implementing a premium landing page for EduSphar.
+ * Home route ("/") of EduSphar: the marketing sections between the shared
+ * header and footer (see components/layout/SiteLayout.jsx).
  * Tech: React + Tailwind CSS (class strategy dark mode) + lucide-react + framer-motion
  *
  * Deliverables:
  *  - Export default EduSpharLanding()
- *  - All helper hooks/components in this file
- *  - Uses localStorage keys:
- *      - 'edusphar-theme' => 'dark' | 'light'
- *      - 'edusphar-announce-dismissed' => '1'
+ *  - Section components used only here live in this file
+ *  - localStorage keys used across the app:
+ *      - 'edusphar-theme' => 'dark' | 'light' (hooks/useTheme.js)
+ *      - 'edusphar-announce-dismissed' => '1' (layout/AnnouncementBar.jsx)
+ *      - 'edusphar-session' => auth session (managed by api/client.js)
+ *      - 'edusphar-wishlist' => saved course ids while signed out (context/WishlistProvider.jsx)
+ *      - 'edusphar-playback-rate' => preferred video speed (components/VideoPlayer.jsx)
+ *      - 'edusphar-locale' => interface language code (context/LocaleProvider.jsx)
  *
  * Notes:
  *  - Tailwind must be configured with `darkMode: 'class'`.
@@ -22,217 +27,82 @@
 /* ===========
    Imports
    =========== */
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Link, useNavigate } from "react-router";
 import {
-  Moon,
-  Sun,
   Play,
   Search as SearchIcon,
   Star,
   ChevronLeft,
   ChevronRight,
-  Heart,
-  Check,
   Zap,
   BookOpen,
   Users,
   Globe,
   Award,
-  Menu,
-  X,
-  Twitter,
-  Github,
-  Linkedin,
 } from "lucide-react";
-import { motion, AnimatePresence } from "framer-motion";
+import { motion } from "framer-motion";
+import useApi from "../hooks/useApi";
+import { fetchCategories, fetchCourses, fetchPublicStats, fetchRecommendations } from "../api/catalog";
+import useAuth from "../hooks/useAuth";
+import useLocale from "../hooks/useLocale";
+import { fetchFeaturedReviews } from "../api/reviews";
+import cn from "../utils/cn";
+import { formatNumber } from "../utils/format";
+import LoadError from "../components/LoadError";
+import Stars from "../components/Stars";
+import PricingPreview from "../components/PricingPreview";
+import { TOPIC_CHIPS, searchHref, suggestionHref } from "../utils/search";
+import SearchAutocomplete from "../components/SearchAutocomplete";
+import CourseCard from "../components/CourseCard";
 
 /* ===========
    Demo Data
    =========== */
+// The stats band; figures come from GET /stats/public, labels are `stats.${id}` messages
 const STATS = [
-  { id: "learners", label: "Learners", value: 1200000, suffix: "+", icon: Users },
-  { id: "courses", label: "Courses", value: 8400, suffix: "+", icon: BookOpen },
-  { id: "instructors", label: "Instructors", value: 2300, suffix: "+", icon: Users },
-  { id: "countries", label: "Countries", value: 90, suffix: "+", icon: Globe },
+  { id: "learners", icon: Users },
+  { id: "courses", icon: BookOpen },
+  { id: "instructors", icon: Users },
+  { id: "countries", icon: Globe },
 ];
 
+// Title and description are the `features.${id}.*` messages
+
 const FEATURES = [
   {
     id: "adaptive",
-    title: "Adaptive Learning",
-    description: "Personalized paths that adjust to your pace and mastery.",
     icon: Zap,
   },
   {
     id: "cohorts",
-    title: "Mentor-led Cohorts",
-    description: "Live projects, peer reviews, and mentor feedback.",
     icon: Users,
   },
   {
     id: "offline",
-    title: "Offline Access",
-    description: "Download lessons and learn without internet.",
     icon: Globe,
+    link: "/downloads",
   },
   {
     id: "secure",
-    title: "Secure Certificates",
-    description: "Verified credentials that you can share with employers.",
     icon: Award,
+    link: "/verify",
   },
   {
     id: "ai",
-    title: "AI Recommendations",
-    description: "Smart course suggestions & tailored practice.",
     icon: Star,
   },
   {
     id: "community",
-    title: "Global Community",
-    description: "Study groups and career events across timezones.",
     icon: Users,
-  },
-];
-
-const CATEGORIES = ["Data Science", "Web Dev", "AI/ML", "Cloud", "Product", "Design", "Finance"];
-
-const COURSES = [
-  {
-    id: "c1",
-    title: "Full-Stack MERN Mastery",
-    instructor: "Priya K.",
-    rating: 4.8,
-    duration: "32h",
-    price: "Free",
-    thumbnailColor: "bg-gradient-to-tr from-indigo-500 to-violet-500",
-  },
-  {
-    id: "c2",
-    title: "Machine Learning A → Z",
-    instructor: "Rohan M.",
-    rating: 4.7,
-    duration: "28h",
-    price: "$39/mo",
-    thumbnailColor: "bg-gradient-to-tr from-emerald-400 to-cyan-400",
-  },
-  {
-    id: "c3",
-    title: "Product Management Essentials",
-    instructor: "Sana L.",
-    rating: 4.6,
-    duration: "12h",
-    price: "Free",
-    thumbnailColor: "bg-gradient-to-tr from-sky-400 to-indigo-400",
-  },
-  {
-    id: "c4",
-    title: "Cloud Architect Bootcamp",
-    instructor: "Arjun S.",
-    rating: 4.9,
-    duration: "40h",
-    price: "$59/mo",
-    thumbnailColor: "bg-gradient-to-tr from-violet-500 to-pink-500",
-  },
-  {
-    id: "c5",
-    title: "Data Engineering Basics",
-    instructor: "Nisha R.",
-    rating: 4.5,
-    duration: "18h",
-    price: "$19",
-    thumbnailColor: "bg-gradient-to-tr from-indigo-500 to-cyan-500",
+    link: "/community",
   },
 ];
 
-/* ===========
-   Utilities
-   =========== */
-
-/** Simple classNames helper */
-function cn(...parts) {
-  return parts.filter(Boolean).join(" ");
-}
-
 /* ===========
    Hooks
    =========== */
 
-/**
- * useTheme - class-strategy dark mode hook
- * - respects prefers-color-scheme on first load
- * - persists to localStorage key 'edusphar-theme'
- */
-function useTheme() {
-  const key = "edusphar-theme";
-
-  const getInitial = () => {
-    try {
-      if (typeof window === "undefined") return "light";
-      const stored = window.localStorage?.getItem?.(key);
-      if (stored === "dark" || stored === "light") return stored;
-      if (window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches) {
-        return "dark";
-      }
-    } catch (e) {
-      // fallback
-    }
-    return "light";
-  };
-
-  const [theme, setTheme] = useState(getInitial);
-
-  useEffect(() => {
-    if (typeof document !== "undefined") {
-      const root = document.documentElement;
-      if (theme === "dark") {
-        root.classList.add("dark");
-      } else {
-        root.classList.remove("dark");
-      }
-    }
-    try {
-      if (typeof window !== "undefined" && window.localStorage) {
-        window.localStorage.setItem(key, theme);
-      }
-    } catch (e) {
-      // ignore
-    }
-  }, [theme]);
-
-  const toggle = () => setTheme((t) => (t === "dark" ? "light" : "dark"));
-
-  return { theme, toggle, setTheme };
-}
-
-/**
- * useScrollHeader - returns a boolean whether header should be shrunk
- * Shrinks after scrolling Y pixels with debounce
- */
-function useScrollHeader(threshold = 56) {
-  const [shrunk, setShrunk] = useState(false);
-  useEffect(() => {
-    if (typeof window === "undefined") return undefined;
-    let rafId = null;
-    let lastY = window.scrollY || 0;
-
-    const onScroll = () => {
-      lastY = window.scrollY || 0;
-      if (rafId) cancelAnimationFrame(rafId);
-      rafId = requestAnimationFrame(() => {
-        setShrunk(lastY > threshold);
-      });
-    };
-
-    window.addEventListener("scroll", onScroll, { passive: true });
-    return () => {
-      window.removeEventListener("scroll", onScroll);
-      if (rafId) cancelAnimationFrame(rafId);
-    };
-  }, [threshold]);
-  return shrunk;
-}
-
 /**
  * useRafCounter - animates number from 0 to target using requestAnimationFrame
  * returns display value formatted (simple)
@@ -272,242 +142,28 @@ function useRafCounter(target, duration = 1000) {
   return val;
 }
 
+/** Animated count, or a dash until the figure is known */
+function StatValue({ value }) {
+  const shown = useRafCounter(value ?? 0, 1400);
+  return value === null || value === undefined ? "—" : formatNumber(shown);
+}
+
 /* ===========
    Subcomponents
    =========== */
 
-/** AnnouncementBar with dismiss persistence */
-function AnnouncementBar() {
-  const storageKey = "edusphar-announce-dismissed";
-  const getInitial = () => {
-    try {
-      if (typeof window === "undefined") return false;
-      return window.localStorage?.getItem?.(storageKey) === "1";
-    } catch {
-      return false;
-    }
-  };
-
-  const [dismissed, setDismissed] = useState(getInitial);
-
-  // persist only when changed and in browser
-  useEffect(() => {
-    try {
-      if (typeof window !== "undefined" && window.localStorage) {
-        window.localStorage.setItem(storageKey, dismissed ? "1" : "0");
-      }
-    } catch {
-      // ignore
-    }
-  }, [dismissed]);
-
-  if (dismissed) return null;
-
-  return (
-    <div
-      role="region"
-      aria-label="Announcement"
-      className="w-full bg-indigo-50 dark:bg-indigo-900/40 text-indigo-800 dark:text-indigo-100"
-    >
-      <div className="container mx-auto max-w-7xl px-4 py-2 flex items-center justify-between gap-4">
-        <p className="text-sm">
-          <strong className="font-semibold">Get 2 months free on EduSphar Pro</strong>{" "}
-          <span className="opacity-80">
-            — Use code <span className="font-mono">EDU24</span>
-          </span>
-        </p>
-        <div className="flex items-center gap-3">
-          <a
-            href="#pricing"
-            className="text-sm rounded-md px-3 py-1.5 bg-indigo-600 text-white hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-          >
-            Claim offer
-          </a>
-          <button
-            aria-label="Dismiss announcement"
-            onClick={() => setDismissed(true)}
-            className="text-sm text-indigo-700 dark:text-indigo-200 hover:underline focus:outline-none"
-          >
-            Dismiss
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-}
-
-/** Header with nav, theme toggle, mobile sheet */
-function Header({ onSignUp }) {
-  const { theme, toggle } = useTheme();
-  const shrunk = useScrollHeader(48);
-  const [mobileOpen, setMobileOpen] = useState(false);
-  const sheetRef = useRef(null);
-
-  // Focus trap for mobile sheet
-  useEffect(() => {
-    if (!mobileOpen) return;
-    const prev = document.activeElement;
-    const focusable = sheetRef.current?.querySelectorAll(
-      'a,button,input,select,textarea,[tabindex]:not([tabindex="-1"])'
-    );
-    const first = focusable?.[0];
-    first?.focus();
-    const onKey = (e) => {
-      if (e.key === "Escape") setMobileOpen(false);
-      if (e.key === "Tab" && focusable && focusable.length > 0) {
-        // trap
-        const arr = Array.from(focusable);
-        const idx = arr.indexOf(document.activeElement);
-        if (e.shiftKey && idx === 0) {
-          e.preventDefault();
-          arr[arr.length - 1].focus();
-        } else if (!e.shiftKey && idx === arr.length - 1) {
-          e.preventDefault();
-          arr[0].focus();
-        }
-      }
-    };
-    document.addEventListener("keydown", onKey);
-    return () => {
-      document.removeEventListener("keydown", onKey);
-      prev?.focus();
-    };
-  }, [mobileOpen]);
-
-  return (
-    <header
-      className={cn(
-        "sticky top-0 z-40 transition-all",
-        "backdrop-blur-sm bg-white/60 dark:bg-slate-900/60",
-        shrunk ? "py-2 shadow-md" : "py-4"
-      )}
-    >
-      <div className="container mx-auto max-w-7xl px-4 flex items-center justify-between">
-        <div className="flex items-center gap-4">
-          <a href="#" className="flex items-center gap-3">
-            <div className="rounded-2xl p-2 bg-gradient-to-tr from-indigo-600 to-violet-600 text-white shadow-md">
-              <svg width="20" height="20" viewBox="0 0 24 24" aria-hidden focusable="false">
-                <rect x="2" y="4" width="8" height="16" rx="2" />
-                <rect x="14" y="6" width="8" height="12" rx="2" />
-              </svg>
-            </div>
-            <span className="font-semibold text-lg tracking-tight text-slate-900 dark:text-white">
-              EduSphar
-            </span>
-          </a>
-          <nav className="hidden md:flex items-center gap-3" aria-label="Primary">
-            <a href="#courses" className="text-sm px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">
-              Courses
-            </a>
-            <a href="#programs" className="text-sm px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">
-              Programs
-            </a>
-            <a href="#pricing" className="text-sm px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">
-              Pricing
-            </a>
-            <a href="#about" className="text-sm px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">
-              About
-            </a>
-          </nav>
-        </div>
-
-        <div className="flex items-center gap-3">
-          <button
-            aria-label="Toggle theme"
-            onClick={toggle}
-            className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-          >
-            {theme === "dark" ? <Sun size={18} /> : <Moon size={18} />}
-            <span className="sr-only">Toggle theme</span>
-          </button>
-
-          <button
-            onClick={() => onSignUp?.()}
-            className="hidden md:inline-flex items-center gap-2 rounded-2xl bg-indigo-600 px-4 py-2 text-white text-sm font-medium shadow hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 active:scale-95"
-          >
-            Sign up free
-          </button>
-
-          {/* Mobile menu button */}
-          <button
-            aria-label="Open menu"
-            aria-expanded={mobileOpen}
-            onClick={() => setMobileOpen(true)}
-            className="md:hidden p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
-          >
-            <Menu size={20} />
-          </button>
-        </div>
-      </div>
-
-      {/* Mobile sheet */}
-      <AnimatePresence>
-        {mobileOpen && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            className="fixed inset-0 z-50"
-            aria-hidden={!mobileOpen}
-          >
-            <div
-              role="dialog"
-              aria-modal="true"
-              className="absolute inset-0 bg-black/30"
-              onClick={() => setMobileOpen(false)}
-            />
-            <motion.aside
-              ref={sheetRef}
-              initial={{ x: "100%" }}
-              animate={{ x: 0 }}
-              exit={{ x: "100%" }}
-              transition={{ type: "spring", stiffness: 300, damping: 30 }}
-              className="absolute right-0 top-0 h-full w-[86vw] max-w-xs bg-white dark:bg-slate-900 p-6 shadow-xl"
-            >
-              <div className="flex items-center justify-between">
-                <div className="flex items-center gap-2">
-                  <div className="rounded-xl p-2 bg-gradient-to-tr from-indigo-600 to-violet-600 text-white">
-                    <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden>
-                      <rect x="2" y="4" width="8" height="16" rx="2" />
-                      <rect x="14" y="6" width="8" height="12" rx="2" />
-                    </svg>
-                  </div>
-                  <div className="font-semibold text-slate-900 dark:text-white">EduSphar</div>
-                </div>
-                <button
-                  aria-label="Close menu"
-                  onClick={() => setMobileOpen(false)}
-                  className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none"
-                >
-                  <X size={18} />
-                </button>
-              </div>
-
-              <nav className="mt-6 flex flex-col gap-2" aria-label="Mobile primary">
-                <a href="#courses" className="px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">Courses</a>
-                <a href="#programs" className="px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">Programs</a>
-                <a href="#pricing" className="px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">Pricing</a>
-                <a href="#about" className="px-3 py-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800">About</a>
-              </nav>
-
-              <div className="mt-6">
-                <button className="w-full rounded-2xl bg-indigo-600 px-4 py-2 text-white">Sign up free</button>
-              </div>
-            </motion.aside>
-          </motion.div>
-        )}
-      </AnimatePresence>
-    </header>
-  );
-}
-
-/** Hero section */
-function Hero() {
-  const learnersVal = useRafCounter(STATS[0].value, 1400);
-  const coursesVal = useRafCounter(STATS[1].value, 1400);
+/**
+ * Hero section. `stats` is null while loading (figures show as dashes);
+ * the figures row is left out when the stats API is unavailable.
+ */
+function Hero({ stats, statsError }) {
+  const navigate = useNavigate();
+  const { t } = useLocale();
 
-  const chips = ["React", "Node.js", "Machine Learning", "Product Design"];
   const [q, setQ] = useState("");
+  const [topics, setTopics] = useState([]);
+  const toggleTopic = (topic) =>
+    setTopics((prev) => (prev.includes(topic) ? prev.filter((x) => x !== topic) : [...prev, topic]));
 
   return (
     <section
@@ -524,15 +180,16 @@ function Hero() {
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-8 items-center">
           <div className="lg:col-span-7">
             <span className="inline-flex items-center gap-2 rounded-full bg-indigo-100/60 dark:bg-indigo-800/40 px-3 py-1 text-sm text-indigo-700 dark:text-indigo-100">
-              <Star size={14} /> Trusted by learners worldwide
+              <Star size={14} /> {t("hero.badge")}
             </span>
 
             <h1 id="hero-heading" className="mt-6 text-4xl sm:text-5xl font-extrabold leading-tight tracking-tight text-slate-900 dark:text-white">
-              Learn ahead. <span className="bg-clip-text text-transparent bg-gradient-to-r from-indigo-600 to-violet-600">Grow faster.</span>
+              {t("hero.titleStart")}{" "}
+              <span className="bg-clip-text text-transparent bg-gradient-to-r from-indigo-600 to-violet-600">{t("hero.titleEnd")}</span>
             </h1>
 
             <p className="mt-4 text-lg text-slate-700 dark:text-slate-300 max-w-2xl">
-              Advanced, mentor-led courses with industry projects, adaptive paths, and verified certificates—built for serious learners and career changers.
+              {t("hero.lead")}
             </p>
 
             <div className="mt-6 flex flex-col sm:flex-row gap-3">
@@ -540,54 +197,59 @@ function Hero() {
                 href="#courses"
                 className="inline-flex items-center gap-3 rounded-2xl bg-indigo-600 px-5 py-3 text-white font-medium shadow hover:bg-indigo-700 active:scale-95 focus:outline-none focus:ring-2 focus:ring-indigo-500"
               >
-                Start learning
+                {t("hero.start")}
               </a>
 
-              <a
-                href="#"
+              <Link
+                to="/demo"
                 className="inline-flex items-center gap-2 rounded-2xl border border-slate-200 dark:border-slate-700 px-4 py-3 text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500"
               >
-                <Play size={16} /> Watch demo
-              </a>
+                <Play size={16} /> {t("hero.demo")}
+              </Link>
             </div>
 
             {/* Search */}
             <form
               onSubmit={(e) => {
                 e.preventDefault();
-                // TODO: hook to search
-                alert(`Search: ${q || "popular topics"}`);
+                navigate(searchHref({ q: q.trim(), topics }));
               }}
               className="mt-6"
             >
-              <label htmlFor="hero-search" className="sr-only">Search courses</label>
+              <label htmlFor="hero-search" className="sr-only">{t("hero.searchLabel")}</label>
               <div className="flex items-center gap-2 bg-white dark:bg-slate-800 rounded-xl p-2 shadow-sm border border-slate-100 dark:border-slate-800">
-                <div className="pl-3">
+                <div className="ps-3">
                   <SearchIcon size={18} className="text-slate-400" />
                 </div>
-                <input
+                <SearchAutocomplete
                   id="hero-search"
                   value={q}
-                  onChange={(e) => setQ(e.target.value)}
-                  className="flex-1 bg-transparent outline-none px-3 py-2 text-sm text-slate-800 dark:text-slate-200"
-                  placeholder="Search courses, e.g., 'React performance'..."
-                  aria-label="Search courses"
+                  onChange={setQ}
+                  onPick={(s) => navigate(suggestionHref(s))}
+                  className="w-full bg-transparent outline-none px-3 py-2 text-sm text-slate-800 dark:text-slate-200"
+                  placeholder={t("hero.searchPlaceholder")}
                 />
                 <button
                   type="submit"
-                  className="ml-2 rounded-lg bg-indigo-600 px-3 py-2 text-white text-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 active:scale-95"
+                  className="ms-2 rounded-lg bg-indigo-600 px-3 py-2 text-white text-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 active:scale-95"
                 >
-                  Search
+                  {t("hero.search")}
                 </button>
               </div>
 
               <div className="mt-3 flex flex-wrap gap-2">
-                {chips.map((c) => (
+                {TOPIC_CHIPS.map((c) => (
                   <button
                     key={c}
                     type="button"
-                    onClick={() => setQ(c)}
-                    className="text-xs px-3 py-1.5 rounded-full bg-slate-100 dark:bg-slate-800 text-slate-800 dark:text-slate-200 hover:shadow-sm"
+                    onClick={() => toggleTopic(c)}
+                    aria-pressed={topics.includes(c)}
+                    className={cn(
+                      "text-xs px-3 py-1.5 rounded-full hover:shadow-sm",
+                      topics.includes(c)
+                        ? "bg-indigo-600 text-white"
+                        : "bg-slate-100 dark:bg-slate-800 text-slate-800 dark:text-slate-200"
+                    )}
                   >
                     {c}
                   </button>
@@ -596,47 +258,49 @@ function Hero() {
             </form>
 
             {/* Social proof / stats */}
-            <div className="mt-8 grid grid-cols-2 sm:grid-cols-4 gap-4">
-              <div className="flex items-center gap-3">
-                <div className="rounded-lg p-2 bg-indigo-50 dark:bg-indigo-900/30">
-                  <Star size={18} className="text-indigo-600 dark:text-indigo-300" />
-                </div>
-                <div>
-                  <div className="text-sm text-slate-500 dark:text-slate-300">Rating</div>
-                  <div className="font-semibold text-slate-900 dark:text-white">4.8 / 5</div>
+            {!statsError && (
+              <div className="mt-8 grid grid-cols-2 sm:grid-cols-4 gap-4">
+                <div className="flex items-center gap-3">
+                  <div className="rounded-lg p-2 bg-indigo-50 dark:bg-indigo-900/30">
+                    <Star size={18} className="text-indigo-600 dark:text-indigo-300" />
+                  </div>
+                  <div>
+                    <div className="text-sm text-slate-500 dark:text-slate-300">{t("stats.rating")}</div>
+                    <div className="font-semibold text-slate-900 dark:text-white">{t("stats.ratingValue", { rating: stats?.averageRating ?? "—" })}</div>
+                  </div>
                 </div>
-              </div>
 
-              <div className="flex items-center gap-3">
-                <div className="rounded-lg p-2 bg-emerald-50 dark:bg-emerald-900/20">
-                  <Users size={18} className="text-emerald-600 dark:text-emerald-300" />
-                </div>
-                <div>
-                  <div className="text-sm text-slate-500 dark:text-slate-300">Learners</div>
-                  <div className="font-semibold text-slate-900 dark:text-white">{learnersVal.toLocaleString()}+</div>
+                <div className="flex items-center gap-3">
+                  <div className="rounded-lg p-2 bg-emerald-50 dark:bg-emerald-900/20">
+                    <Users size={18} className="text-emerald-600 dark:text-emerald-300" />
+                  </div>
+                  <div>
+                    <div className="text-sm text-slate-500 dark:text-slate-300">{t("stats.learners")}</div>
+                    <div className="font-semibold text-slate-900 dark:text-white"><StatValue value={stats?.learners} /></div>
+                  </div>
                 </div>
-              </div>
 
-              <div className="flex items-center gap-3">
-                <div className="rounded-lg p-2 bg-sky-50 dark:bg-sky-900/20">
-                  <BookOpen size={18} className="text-sky-500 dark:text-sky-300" />
-                </div>
-                <div>
-                  <div className="text-sm text-slate-500 dark:text-slate-300">Courses</div>
-                  <div className="font-semibold text-slate-900 dark:text-white">{coursesVal.toLocaleString()}+</div>
+                <div className="flex items-center gap-3">
+                  <div className="rounded-lg p-2 bg-sky-50 dark:bg-sky-900/20">
+                    <BookOpen size={18} className="text-sky-500 dark:text-sky-300" />
+                  </div>
+                  <div>
+                    <div className="text-sm text-slate-500 dark:text-slate-300">{t("stats.courses")}</div>
+                    <div className="font-semibold text-slate-900 dark:text-white"><StatValue value={stats?.courses} /></div>
+                  </div>
                 </div>
-              </div>
 
-              <div className="flex items-center gap-3">
-                <div className="rounded-lg p-2 bg-slate-100 dark:bg-slate-800">
-                  <Globe size={18} />
-                </div>
-                <div>
-                  <div className="text-sm text-slate-500 dark:text-slate-300">Countries</div>
-                  <div className="font-semibold text-slate-900 dark:text-white">90+</div>
+                <div className="flex items-center gap-3">
+                  <div className="rounded-lg p-2 bg-slate-100 dark:bg-slate-800">
+                    <Globe size={18} />
+                  </div>
+                  <div>
+                    <div className="text-sm text-slate-500 dark:text-slate-300">{t("stats.countries")}</div>
+                    <div className="font-semibold text-slate-900 dark:text-white"><StatValue value={stats?.countries} /></div>
+                  </div>
                 </div>
               </div>
-            </div>
+            )}
           </div>
 
           {/* Right hero decorative / illustration */}
@@ -667,10 +331,10 @@ function Hero() {
               </svg>
 
               {/* floating small card */}
-              <div className="absolute left-6 bottom-6 rounded-xl bg-white/90 dark:bg-slate-800/80 p-4 shadow-lg border border-slate-100 dark:border-slate-800 w-[260px]">
+              <div className="absolute start-6 bottom-6 rounded-xl bg-white/90 dark:bg-slate-800/80 p-4 shadow-lg border border-slate-100 dark:border-slate-800 w-[260px]">
                 <div className="flex items-center justify-between">
                   <div>
-                    <div className="text-xs text-slate-500">Featured</div>
+                    <div className="text-xs text-slate-500">{t("hero.featured")}</div>
                     <div className="font-semibold text-slate-900 dark:text-white">MERN Mastery</div>
                     <div className="text-xs text-slate-500">by Priya K.</div>
                   </div>
@@ -687,15 +351,46 @@ function Hero() {
   );
 }
 
+/** Platform-wide counts; left out when the stats API is unavailable */
+function StatsBand({ stats, statsError }) {
+  const { t } = useLocale();
+  if (statsError) return null;
+  return (
+    <section id="stats" className="py-10" aria-label={t("stats.heading")}>
+      <div className="container mx-auto max-w-7xl px-4">
+        <dl className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {STATS.map((s) => (
+            <div
+              key={s.id}
+              className="flex items-center gap-4 rounded-2xl border border-slate-100 dark:border-slate-800 bg-white dark:bg-slate-900 p-5"
+            >
+              <div className="rounded-xl p-3 bg-indigo-50 dark:bg-indigo-800/30">
+                <s.icon size={20} className="text-indigo-600 dark:text-indigo-300" />
+              </div>
+              <div>
+                <dt className="text-sm text-slate-500 dark:text-slate-300">{t(`stats.${s.id}`)}</dt>
+                <dd className="text-2xl font-bold text-slate-900 dark:text-white">
+                  <StatValue value={stats?.[s.id]} />
+                </dd>
+              </div>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </section>
+  );
+}
+
 /** Feature grid */
 function Features() {
+  const { t } = useLocale();
   return (
     <section id="features" className="py-12">
       <div className="container mx-auto max-w-7xl px-4">
         <div className="text-center">
-          <h2 className="text-xl font-semibold text-indigo-600">Features</h2>
+          <h2 className="text-xl font-semibold text-indigo-600">{t("features.heading")}</h2>
           <p className="mt-2 text-slate-700 dark:text-slate-300 max-w-2xl mx-auto">
-            Everything you need to learn, practice, and get hired—intelligently shaped for outcomes.
+            {t("features.lead")}
           </p>
         </div>
 
@@ -711,8 +406,13 @@ function Features() {
                   <f.icon size={20} className="text-indigo-600 dark:text-indigo-300" />
                 </div>
                 <div>
-                  <h3 className="text-lg font-semibold text-slate-900 dark:text-white">{f.title}</h3>
-                  <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">{f.description}</p>
+                  <h3 className="text-lg font-semibold text-slate-900 dark:text-white">{t(`features.${f.id}.title`)}</h3>
+                  <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">{t(`features.${f.id}.description`)}</p>
+                  {f.link && (
+                    <Link to={f.link} className="mt-2 inline-block text-sm text-indigo-600 hover:underline">
+                      {t(`features.${f.id}.link`)} <span className="inline-block rtl:-scale-x-100">→</span>
+                    </Link>
+                  )}
                 </div>
               </div>
               <div className="absolute -inset-px rounded-2xl opacity-0 group-hover:opacity-100 pointer-events-none transition-opacity" />
@@ -724,22 +424,29 @@ function Features() {
   );
 }
 
-/** Categories chips */
-function Categories() {
-  const [selected, setSelected] = useState(null);
+/** Categories chips - selecting one filters the courses carousel */
+function Categories({ selected, onSelect }) {
+  const { t } = useLocale();
+  const { data: categories, error, loading, reload } = useApi(fetchCategories);
   return (
     <section id="categories" className="py-10 bg-slate-50 dark:bg-slate-900/40">
       <div className="container mx-auto max-w-7xl px-4">
-        <h3 className="text-lg font-semibold text-slate-900 dark:text-white">Popular Categories</h3>
-        <p className="text-sm text-slate-600 dark:text-slate-300 mt-1">Jump into curated learning paths</p>
-
-        <div className="mt-4 flex flex-wrap gap-3">
-          {CATEGORIES.map((c) => {
-            const active = selected === c;
+        <h3 className="text-lg font-semibold text-slate-900 dark:text-white">{t("categories.heading")}</h3>
+        <p className="text-sm text-slate-600 dark:text-slate-300 mt-1">{t("categories.lead")}</p>
+
+        <div className="mt-4 flex flex-wrap gap-3" aria-busy={loading}>
+          {loading &&
+            !categories &&
+            Array.from({ length: 6 }, (_, i) => (
+              <div key={i} className="h-9 w-24 rounded-full bg-slate-200/70 dark:bg-slate-800 animate-pulse" />
+            ))}
+          {error && <LoadError error={error} onRetry={reload} />}
+          {categories?.map((c) => {
+            const active = selected === c.slug;
             return (
               <button
-                key={c}
-                onClick={() => setSelected(active ? null : c)}
+                key={c.id}
+                onClick={() => onSelect(active ? null : c.slug)}
                 className={cn(
                   "px-4 py-2 rounded-full text-sm transition-shadow focus:outline-none",
                   active
@@ -748,7 +455,7 @@ function Categories() {
                 )}
                 aria-pressed={active}
               >
-                {c}
+                {c.name}
               </button>
             );
           })}
@@ -758,29 +465,48 @@ function Categories() {
   );
 }
 
-/** Courses carousel - pointer drag + snap */
-function CoursesCarousel() {
+const CAROUSEL_MODES = {
+  popular: {
+    id: "courses",
+    titleKey: "courses.popular",
+    load: (params) => fetchCourses({ sort: "popular", ...params }),
+  },
+  // ranked by the learner's enrollments, wishlist and similar learners
+  recommended: {
+    id: "recommended",
+    titleKey: "courses.recommended",
+    load: fetchRecommendations,
+  },
+};
+
+/** Courses carousel - pointer drag + snap. mode: "popular" | "recommended" */
+function CoursesCarousel({ category, mode = "popular" }) {
   const scrollerRef = useRef(null);
+  const { t } = useLocale();
+  const { id, titleKey, load } = CAROUSEL_MODES[mode];
+  const loadCourses = useCallback(() => load({ limit: 12, category: category || undefined }), [load, category]);
+  const { data, error, loading, reload } = useApi(loadCourses);
+  const courses = data?.items;
 
   function scrollBy(offset) {
     scrollerRef.current?.scrollBy({ left: offset, behavior: "smooth" });
   }
 
   return (
-    <section id="courses" className="py-12">
+    <section id={id} className="py-12">
       <div className="container mx-auto max-w-7xl px-4">
         <div className="flex items-center justify-between">
-          <h3 className="text-lg font-semibold text-slate-900 dark:text-white">Popular Courses</h3>
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-white">{t(titleKey)}</h3>
           <div className="flex items-center gap-2">
             <button
-              aria-label="Scroll left"
+              aria-label={t("courses.scrollLeft")}
               onClick={() => scrollBy(-320)}
               className="p-2 rounded-md bg-white dark:bg-slate-800 border border-slate-100 dark:border-slate-700 hover:shadow focus:outline-none"
             >
               <ChevronLeft size={18} />
             </button>
             <button
-              aria-label="Scroll right"
+              aria-label={t("courses.scrollRight")}
               onClick={() => scrollBy(320)}
               className="p-2 rounded-md bg-white dark:bg-slate-800 border border-slate-100 dark:border-slate-700 hover:shadow focus:outline-none"
             >
@@ -793,36 +519,19 @@ function CoursesCarousel() {
           ref={scrollerRef}
           className="mt-6 flex gap-4 overflow-x-auto snap-x snap-mandatory touch-pan-x pb-3"
           // hide scrollbar with utility in your CSS if desired
+          aria-busy={loading}
         >
-          {COURSES.map((c) => (
-            <article
-              key={c.id}
-              className="snap-start min-w-[260px] max-w-[320px] bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800 rounded-2xl p-4 shadow-sm hover:shadow-lg transition-transform active:scale-[0.99]"
-            >
-              <div className={cn("rounded-xl h-36 w-full overflow-hidden", c.thumbnailColor)} />
-              <h4 className="mt-3 font-semibold text-slate-900 dark:text-white">{c.title}</h4>
-              <div className="mt-1 text-sm text-slate-500 dark:text-slate-300">{c.instructor}</div>
-
-              <div className="mt-3 flex items-center justify-between text-sm text-slate-600 dark:text-slate-300">
-                <div className="flex items-center gap-2">
-                  <Star size={14} className="text-amber-400" /> {c.rating}
-                </div>
-                <div>{c.duration}</div>
-              </div>
-
-              <div className="mt-4 flex items-center justify-between gap-2">
-                <div className="text-sm font-semibold text-slate-900 dark:text-white">{c.price}</div>
-                <div className="flex items-center gap-2">
-                  <button
-                    aria-label={`Save ${c.title} to wishlist`}
-                    className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800 focus:outline-none"
-                  >
-                    <Heart size={16} />
-                  </button>
-                  <button className="rounded-lg bg-indigo-600 px-3 py-2 text-white text-sm">Start</button>
-                </div>
-              </div>
-            </article>
+          {loading &&
+            !courses &&
+            Array.from({ length: 4 }, (_, i) => (
+              <div key={i} className="snap-start min-w-[260px] h-72 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />
+            ))}
+          {error && <LoadError error={error} onRetry={reload} />}
+          {courses?.length === 0 && (
+            <p className="text-sm text-slate-600 dark:text-slate-300">{t("courses.emptyCategory")}</p>
+          )}
+          {courses?.map((c) => (
+            <CourseCard key={c.id} course={c} className="snap-start min-w-[260px] max-w-[320px]" />
           ))}
         </div>
       </div>
@@ -832,10 +541,12 @@ function CoursesCarousel() {
 
 /** How it works - 3 steps */
 function HowItWorks() {
+  const { t } = useLocale();
+  // title, description and link text are the `how.${id}.*` messages
   const steps = [
-    { icon: BookOpen, title: "Choose a path", desc: "Pick role-based tracks and curated courses." },
-    { icon: Zap, title: "Learn with projects", desc: "Hands-on projects, mentor reviews and quizzes." },
-    { icon: Award, title: "Earn certificates", desc: "Verified badges you can share with employers." },
+    { id: "path", icon: BookOpen },
+    { id: "projects", icon: Zap },
+    { id: "certificates", icon: Award, href: "/verify" },
   ];
 
   return (
@@ -843,19 +554,26 @@ function HowItWorks() {
       <div className="container mx-auto max-w-7xl px-4"> 
       
         <div className="text-center">
-          <h3 className="text-lg font-semibold text-indigo-600">How EduSphar Works</h3>
-          <p className="mt-2 text-slate-700 dark:text-slate-300">A simple path from learning to outcomes.</p>
+          <h3 className="text-lg font-semibold text-indigo-600">{t("how.heading")}</h3>
+          <p className="mt-2 text-slate-700 dark:text-slate-300">{t("how.lead")}</p>
         </div>
 
         <div className="mt-8 grid grid-cols-1 sm:grid-cols-3 gap-6">
           {steps.map((s, i) => (
-            <motion.div key={s.title} initial={{ opacity: 0, y: 12 }} whileInView={{ opacity: 1, y: 0 }} viewport={{ once: true }} className="rounded-2xl p-6 bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800 shadow-sm">
+            <motion.div key={s.id} initial={{ opacity: 0, y: 12 }} whileInView={{ opacity: 1, y: 0 }} viewport={{ once: true }} className="rounded-2xl p-6 bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800 shadow-sm">
               <div className="rounded-lg p-3 bg-indigo-50 dark:bg-indigo-800/30 w-12 h-12 flex items-center justify-center">
                 <s.icon size={20} className="text-indigo-600 dark:text-indigo-300" />
               </div>
-              <h4 className="mt-3 font-semibold text-slate-900 dark:text-white">{s.title}</h4>
-              <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">{s.desc}</p>
-              <div className="mt-4 text-sm text-indigo-600">Step {i + 1}</div>
+              <h4 className="mt-3 font-semibold text-slate-900 dark:text-white">{t(`how.${s.id}.title`)}</h4>
+              <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">{t(`how.${s.id}.description`)}</p>
+              <div className="mt-4 text-sm text-indigo-600">
+                {t("how.step", { number: i + 1 })}
+                {s.href && (
+                  <Link to={s.href} className="ms-3 hover:underline">
+                    {t(`how.${s.id}.link`)} <span className="inline-block rtl:-scale-x-100">→</span>
+                  </Link>
+                )}
+              </div>
             </motion.div>
           ))}
         </div>
@@ -864,105 +582,40 @@ function HowItWorks() {
   );
 }
 
-/** Testimonials */
+/** Testimonials: course reviews picked by admins (GET /reviews/featured) */
 function Testimonials() {
-  return (
-    <section id="testimonials" className="py-12 bg-slate-50 dark:bg-slate-900/40">
-      <div className="container mx-auto max-w-7xl px-4">
-        <h3 className="text-lg font-semibold text-slate-900 dark:text-white">What learners say</h3>
-
-        <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-6">
-          <motion.div initial={{ opacity: 0, y: 8 }} whileInView={{ opacity: 1, y: 0 }} className="p-6 rounded-2xl border border-indigo-100 dark:border-indigo-800 bg-white dark:bg-slate-900">
-            <p className="text-slate-800 dark:text-slate-200">“EduSphar’s mentor feedback cut my job search time in half—highly practical!”</p>
-            <footer className="mt-4 text-sm text-slate-600 dark:text-slate-300">— Riya K., Data Analyst</footer>
-          </motion.div>
+  const { t } = useLocale();
+  const { data: reviews, error } = useApi(fetchFeaturedReviews);
 
-          <motion.div initial={{ opacity: 0, y: 8 }} whileInView={{ opacity: 1, y: 0 }} className="p-6 rounded-2xl bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800">
-            <p className="text-slate-800 dark:text-slate-200">“The adaptive path helped me move from basics to advanced without overwhelm.”</p>
-            <div className="mt-4 text-sm text-slate-600 dark:text-slate-300">— Ankit P., Software Engineer</div>
-          </motion.div>
+  // nothing to quote yet (or the feed is down): leave the section out
+  if (error || !reviews?.length) return null;
 
-          <motion.div initial={{ opacity: 0, y: 8 }} whileInView={{ opacity: 1, y: 0 }} className="p-6 rounded-2xl bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800">
-            <p className="text-slate-800 dark:text-slate-200">“Loved the project-based learning and the global community events.”</p>
-            <div className="mt-4 text-sm text-slate-600 dark:text-slate-300">— Meera S., Product Manager</div>
-          </motion.div>
-        </div>
-      </div>
-    </section>
-  );
-}
-
-/** Pricing preview */
-function PricingPreview() {
-  const [monthly, setMonthly] = useState(true);
   return (
-    <section id="pricing" className="py-12">
+    <section id="testimonials" className="py-12 bg-slate-50 dark:bg-slate-900/40">
       <div className="container mx-auto max-w-7xl px-4">
-        <div className="text-center">
-          <h3 className="text-lg font-semibold text-indigo-600">Pricing</h3>
-          <p className="mt-2 text-slate-700 dark:text-slate-300">Flexible plans for individuals and teams.</p>
-        </div>
-
-        <div className="mt-6 flex items-center justify-center gap-3">
-          <button onClick={() => setMonthly(true)} className={cn("px-4 py-1 rounded-full", monthly ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800")}>Monthly</button>
-          <button onClick={() => setMonthly(false)} className={cn("px-4 py-1 rounded-full", !monthly ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800")}>Yearly</button>
-        </div>
-
-        <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-6">
-          <div className="rounded-2xl border p-6 bg-white dark:bg-slate-900 border-slate-100 dark:border-slate-800 shadow-sm">
-            <div className="flex items-center justify-between">
-              <div>
-                <h4 className="font-semibold">Free</h4>
-                <p className="text-sm text-slate-500">Start learning for free</p>
-              </div>
-              <div className="text-indigo-600 font-bold text-lg">Free</div>
-            </div>
-            <ul className="mt-4 space-y-2 text-sm text-slate-600 dark:text-slate-300">
-              <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> Access to basic courses</li>
-              <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> Community access</li>
-            </ul>
-            <div className="mt-6">
-              <button className="w-full rounded-lg bg-indigo-600 px-4 py-2 text-white">Get started</button>
-            </div>
-          </div>
-
-          <div className="rounded-2xl border p-6 bg-white dark:bg-slate-900 border-slate-100 dark:border-slate-800 shadow-lg">
-            <div className="flex items-center justify-between">
-              <div>
-                <h4 className="font-semibold">Pro</h4>
-                <p className="text-sm text-slate-500">Best for individuals</p>
-              </div>
-              <div className="text-indigo-600 font-bold text-lg">
-                {monthly ? "$19/mo" : "$190/yr"}
-                <div className="text-xs text-slate-500">Billed {monthly ? "monthly" : "yearly"}</div>
-              </div>
-            </div>
-            <ul className="mt-4 space-y-2 text-sm text-slate-600 dark:text-slate-300">
-              <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> Full course catalog</li>
-              <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> Mentor sessions</li>
-              <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> Certificates</li>
-            </ul>
-            <div className="mt-6">
-              <button className="w-full rounded-lg bg-indigo-600 px-4 py-2 text-white">Choose Pro</button>
-            </div>
-          </div>
+        <h3 className="text-lg font-semibold text-slate-900 dark:text-white">{t("testimonials.heading")}</h3>
 
-          <div className="rounded-2xl border p-6 bg-white dark:bg-slate-900 border-slate-100 dark:border-slate-800 shadow-sm">
-            <div className="flex items-center justify-between">
-              <div>
-                <h4 className="font-semibold">Teams</h4>
-                <p className="text-sm text-slate-500">For companies & bootcamps</p>
-              </div>
-              <div className="text-indigo-600 font-bold text-lg">{monthly ? "$99/mo" : "$990/yr"}</div>
-            </div>
-            <ul className="mt-4 space-y-2 text-sm text-slate-600 dark:text-slate-300">
-              <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> Team management</li>
-              <li className="flex items-center gap-2"><Check size={14} className="text-emerald-500" /> Dedicated support</li>
-            </ul>
-            <div className="mt-6">
-              <button className="w-full rounded-lg bg-indigo-600 px-4 py-2 text-white">Contact sales</button>
-            </div>
-          </div>
+        <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+          {reviews.map((r) => (
+            <motion.figure
+              key={r.id}
+              initial={{ opacity: 0, y: 8 }}
+              whileInView={{ opacity: 1, y: 0 }}
+              className="p-6 rounded-2xl bg-white dark:bg-slate-900 border border-slate-100 dark:border-slate-800"
+            >
+              <Stars value={r.rating} />
+              <blockquote className="mt-3 text-slate-800 dark:text-slate-200">“{r.comment}”</blockquote>
+              <figcaption className="mt-4 text-sm text-slate-600 dark:text-slate-300">
+                — {r.user?.name ?? t("testimonials.anonymous")}
+                {r.user?.headline && `, ${r.user.headline}`}
+                {r.course && (
+                  <Link to={`/courses/${r.course.slug}`} className="block text-indigo-600 dark:text-indigo-300 hover:underline">
+                    {r.course.title}
+                  </Link>
+                )}
+              </figcaption>
+            </motion.figure>
+          ))}
         </div>
       </div>
     </section>
@@ -971,128 +624,44 @@ function PricingPreview() {
 
 /** Final CTA */
 function FinalCTA() {
+  const { t } = useLocale();
   return (
     <section className="py-12 bg-gradient-to-r from-indigo-600 to-violet-600 text-white">
       <div className="container mx-auto max-w-7xl px-4 flex flex-col sm:flex-row items-center justify-between gap-6">
         <div>
-          <h3 className="text-2xl font-bold">Ready to upskill with EduSphar?</h3>
-          <p className="mt-1 opacity-90">Start your learning journey today—projects, mentors, and career support.</p>
+          <h3 className="text-2xl font-bold">{t("cta.heading")}</h3>
+          <p className="mt-1 opacity-90">{t("cta.lead")}</p>
         </div>
         <div className="flex items-center gap-3">
-          <button className="rounded-2xl bg-white text-indigo-700 px-5 py-3 font-semibold">Start learning free</button>
-          <a href="#courses" className="underline">Explore courses</a>
+          <button className="rounded-2xl bg-white text-indigo-700 px-5 py-3 font-semibold">{t("cta.start")}</button>
+          <a href="#courses" className="underline">{t("cta.explore")}</a>
         </div>
       </div>
     </section>
   );
 }
 
-/** Footer */
-function Footer() {
-  return (
-    <footer className="py-10 bg-white dark:bg-slate-900 border-t border-slate-100 dark:border-slate-800">
-      <div className="container mx-auto max-w-7xl px-4 grid grid-cols-1 md:grid-cols-4 gap-6">
-        <div>
-          <div className="flex items-center gap-3">
-            <div className="rounded-2xl p-2 bg-gradient-to-tr from-indigo-600 to-violet-600 text-white">
-              <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden>
-                <rect x="2" y="4" width="8" height="16" rx="2" />
-                <rect x="14" y="6" width="8" height="12" rx="2" />
-              </svg>
-            </div>
-            <div>
-              <div className="font-semibold text-slate-900 dark:text-white">EduSphar</div>
-              <div className="text-sm text-slate-600 dark:text-slate-300">Learn ahead. Grow faster.</div>
-            </div>
-          </div>
-
-          <form className="mt-4 flex items-center gap-2" onSubmit={(e) => { e.preventDefault(); alert("Subscribed! (demo)"); }}>
-            <label htmlFor="footer-email" className="sr-only">Email</label>
-            <input id="footer-email" type="email" required placeholder="Your email" className="rounded-lg px-3 py-2 border border-slate-200 dark:border-slate-800 bg-transparent text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
-            <button className="rounded-lg bg-indigo-600 px-3 py-2 text-white">Subscribe</button>
-          </form>
-        </div>
-
-        <nav aria-label="Footer product" className="text-sm text-slate-600 dark:text-slate-300">
-          <h4 className="font-semibold text-slate-900 dark:text-white">Product</h4>
-          <ul className="mt-3 space-y-2">
-            <li><a href="#features" className="hover:underline">Features</a></li>
-            <li><a href="#pricing" className="hover:underline">Pricing</a></li>
-            <li><a href="#courses" className="hover:underline">Courses</a></li>
-          </ul>
-        </nav>
-
-        <nav aria-label="Footer company" className="text-sm text-slate-600 dark:text-slate-300">
-          <h4 className="font-semibold text-slate-900 dark:text-white">Company</h4>
-          <ul className="mt-3 space-y-2">
-            <li><a href="#about" className="hover:underline">About</a></li>
-            <li><a href="#careers" className="hover:underline">Careers</a></li>
-            <li><a href="#contact" className="hover:underline">Contact</a></li>
-          </ul>
-        </nav>
-
-        <div className="text-sm text-slate-600 dark:text-slate-300">
-          <h4 className="font-semibold text-slate-900 dark:text-white">Legal</h4>
-          <ul className="mt-3 space-y-2">
-            <li><a href="#terms" className="hover:underline">Terms</a></li>
-            <li><a href="#privacy" className="hover:underline">Privacy</a></li>
-          </ul>
-
-          <div className="mt-6 flex items-center gap-3">
-            <a href="#" className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"><Twitter size={18} /></a>
-            <a href="#" className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"><Github size={18} /></a>
-            <a href="#" className="p-2 rounded-md hover:bg-slate-100 dark:hover:bg-slate-800"><Linkedin size={18} /></a>
-          </div>
-        </div>
-      </div>
-
-      <div className="mt-8 border-t border-slate-100 dark:border-slate-800 pt-6 text-center text-sm text-slate-600 dark:text-slate-300">
-        © {new Date().getFullYear()} EduSphar. All rights reserved.
-      </div>
-    </footer>
-  );
-}
-
 /* ===========
    Main Export
    =========== */
 
 export default function EduSpharLanding() {
-  const { theme, toggle } = useTheme(); // expose toggle if needed
-  // header sign-up placeholder
-  const onSignUp = () => alert("Sign up flow (demo)");
+  const [category, setCategory] = useState(null);
+  const { user } = useAuth();
+  const { data: stats, error: statsError } = useApi(fetchPublicStats);
 
   return (
-    <div className={cn("min-h-screen bg-white dark:bg-slate-900 text-slate-900 dark:text-slate-100 antialiased")}>
-      {/* skip to content */}
-      <a href="#hero" className="sr-only focus:not-sr-only focus:absolute focus:top-4 focus:left-4 focus:bg-indigo-600 focus:text-white px-3 py-2 rounded">Skip to content</a>
-
-      <AnnouncementBar />
-      <Header onSignUp={onSignUp} />
-      <main>
-        <Hero />
-        <Features />
-        <Categories />
-        <CoursesCarousel />
-        <HowItWorks />
-        <Testimonials />
-        <PricingPreview />
-        <FinalCTA />
-      </main>
-
-      <Footer />
-
-      {/* small floating theme toggle for mobile/quick access */}
-      <div className="fixed right-4 bottom-6 z-50">
-        <button
-          aria-label="Toggle theme"
-          onClick={toggle}
-          className="rounded-full p-3 bg-white dark:bg-slate-800 shadow-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
-        >
-          {theme === "dark" ? <Sun size={18} /> : <Moon size={18} />}
-        </button>
-      </div>
-    </div>
+    <>
+      <Hero stats={stats} statsError={statsError} />
+      <StatsBand stats={stats} statsError={statsError} />
+      <Features />
+      <Categories selected={category} onSelect={setCategory} />
+      {user && <CoursesCarousel mode="recommended" category={category} />}
+      <CoursesCarousel category={category} />
+      <HowItWorks />
+      <Testimonials />
+      <PricingPreview />
+      <FinalCTA />
+    </>
   );
 }
-
@@ -0,0 +1,56 @@
+/**
+ * InfoPage.jsx
+ *
+ * Static company / legal pages linked from the header and footer.
+ */
+import React from "react";
+import { Link } from "react-router";
+
+const PAGES = {
+  about: {
+    title: "About EduSphar",
+    body: [
+      "EduSphar is a smart e-learning platform built for Smart India Hackathon 2025.",
+      "We combine mentor-led cohorts, adaptive learning paths and verified certificates so that learners anywhere — including low-bandwidth and rural areas — can build job-ready skills.",
+    ],
+  },
+  careers: {
+    title: "Careers",
+    body: [
+      "We’re a small team of educators and engineers. There are no open roles right now, but we’re always happy to hear from mentors and instructors who want to teach on EduSphar.",
+    ],
+  },
+  contact: {
+    title: "Contact",
+    body: ["Questions about courses, billing or partnerships? Write to support@edusphar.dev and we’ll get back to you within two working days."],
+  },
+  terms: {
+    title: "Terms of Service",
+    body: [
+      "By creating an account you agree to use EduSphar for lawful learning purposes, to keep your credentials private, and not to redistribute paid course material.",
+      "Course content remains the property of its instructors. Certificates may be revoked if they were obtained dishonestly.",
+    ],
+  },
+  privacy: {
+    title: "Privacy Policy",
+    body: [
+      "We store the account details you give us (name, email, password hash) and your learning activity (enrollments, progress, quiz attempts) to run the service.",
+      "We do not sell personal data. You can ask us to export or delete your data at any time.",
+    ],
+  },
+};
+
+export default function InfoPage({ page }) {
+  const content = PAGES[page];
+  return (
+    <article className="container mx-auto max-w-3xl px-4 py-16">
+      <h1 className="text-3xl font-bold text-slate-900 dark:text-white">{content.title}</h1>
+      <div className="mt-6 space-y-4 text-slate-700 dark:text-slate-300">
+        {content.body.map((p) => (
+          <p key={p}>{p}</p>
+        ))}
+      </div>
+      <Link to="/" className="mt-10 inline-block text-indigo-600 hover:underline">← Back to home</Link>
+    </article>
+  );
+}
@@ -0,0 +1,617 @@
+/**
+ * InstructorStudio.jsx
+ *
+ * /studio — instructor workspace (course:write permission): the
+ * instructor's courses in every state, each opening in the course editor
+ * (CourseEditor.jsx), plus the cohorts the instructor mentors — rosters and
+ * waitlists, scheduling new cohorts, offering one-to-one slots and the
+ * week's calendar.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate } from "react-router";
+import { Pencil, Plus, Trash2 } from "lucide-react";
+import CohortCalendar from "../components/CohortCalendar";
+import LoadError from "../components/LoadError";
+import StatusBadge from "../components/studio/StatusBadge";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import { createCourse, fetchMyCourses } from "../api/authoring";
+import { createCohort, createSlot, fetchCohort, fetchMyCohorts, updateCohort } from "../api/cohorts";
+import { createProject, deleteProject, fetchCourseProjects } from "../api/projects";
+import { errorMessage } from "../api/client";
+import { can } from "../utils/permissions";
+import { formatDate, formatPrice } from "../utils/format";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const DAY = 24 * 60 * 60 * 1000;
+const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+// the browser's own zone first, then every zone it knows
+const TIME_ZONES = [localZone, ...(Intl.supportedValuesOf?.("timeZone") ?? ["UTC"]).filter((z) => z !== localZone)];
+
+/** Seated learners, then the waitlist in order */
+function Roster({ cohortId }) {
+  const load = useCallback(() => fetchCohort(cohortId), [cohortId]);
+  const { data, error, reload } = useApi(load);
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (!data) return <div className="h-10 rounded-lg bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  if (!data.members?.length) return <p className="text-sm text-slate-500">Nobody has joined yet.</p>;
+
+  return (
+    <ol className="space-y-1 text-sm">
+      {data.members.map((m) => (
+        <li key={m.id} className="flex justify-between gap-4">
+          <span>
+            {m.user.name} <span className="text-slate-500">· {m.user.email}</span>
+          </span>
+          <span className={m.status === "enrolled" ? "text-emerald-600" : "text-amber-600"}>
+            {m.status === "enrolled" ? "Seated" : "Waitlisted"}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/** Schedules a cohort with weekly live sessions starting at the first one */
+function NewCohortForm({ courses, onCreated }) {
+  const [form, setForm] = useState({
+    course: courses[0]?.id ?? "",
+    title: "",
+    firstSession: "",
+    weeks: 6,
+    sessionMinutes: 60,
+    capacity: 25,
+    timezone: localZone,
+    meetingUrl: "",
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    const first = new Date(form.firstSession);
+    const weeks = Number(form.weeks);
+    try {
+      await createCohort({
+        course: form.course,
+        title: form.title,
+        startsAt: first.toISOString(),
+        endsAt: new Date(first.getTime() + weeks * 7 * DAY).toISOString(),
+        timezone: form.timezone,
+        capacity: Number(form.capacity),
+        sessions: Array.from({ length: weeks }, (_, week) => {
+          const startsAt = new Date(first.getTime() + week * 7 * DAY);
+          return {
+            title: week === 0 ? "Kick-off" : `Week ${week + 1} live session`,
+            startsAt: startsAt.toISOString(),
+            endsAt: new Date(startsAt.getTime() + Number(form.sessionMinutes) * 60 * 1000).toISOString(),
+            meetingUrl: form.meetingUrl || undefined,
+          };
+        }),
+      });
+      onCreated();
+    } catch (err) {
+      setError(errorMessage(err, "Could not create the cohort"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <label className="block text-sm">
+        Course
+        <select value={form.course} onChange={update("course")} required className={inputClass}>
+          {courses.map((c) => (
+            <option key={c.id} value={c.id}>{c.title}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Cohort name
+        <input value={form.title} onChange={update("title")} required maxLength={120} placeholder="e.g. March evening cohort" className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        First live session (your local time)
+        <input type="datetime-local" value={form.firstSession} onChange={update("firstSession")} required className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Time zone shown to learners
+        <select value={form.timezone} onChange={update("timezone")} className={inputClass}>
+          {TIME_ZONES.map((z) => (
+            <option key={z} value={z}>{z}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Weekly sessions
+        <input type="number" min={1} max={52} value={form.weeks} onChange={update("weeks")} required className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Session length (minutes)
+        <input type="number" min={15} max={480} step={15} value={form.sessionMinutes} onChange={update("sessionMinutes")} required className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Seats
+        <input type="number" min={1} max={10000} value={form.capacity} onChange={update("capacity")} required className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Meeting link (optional)
+        <input type="url" value={form.meetingUrl} onChange={update("meetingUrl")} placeholder="https://" className={inputClass} />
+      </label>
+      {error && <p role="alert" className="sm:col-span-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="sm:col-span-2">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Creating…" : "Create cohort"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/** Offers a one-to-one slot to the mentor's cohorts (or just one of them) */
+function AvailabilityForm({ cohorts, onCreated }) {
+  const [form, setForm] = useState({ startsAt: "", minutes: 30, cohort: "", meetingUrl: "" });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    const startsAt = new Date(form.startsAt);
+    try {
+      await createSlot({
+        startsAt: startsAt.toISOString(),
+        endsAt: new Date(startsAt.getTime() + Number(form.minutes) * 60 * 1000).toISOString(),
+        cohort: form.cohort || undefined,
+        meetingUrl: form.meetingUrl || undefined,
+      });
+      setForm((f) => ({ ...f, startsAt: "" }));
+      onCreated();
+    } catch (err) {
+      setError(errorMessage(err, "Could not add the slot"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-3 flex flex-wrap items-end gap-4">
+      <label className="block text-sm">
+        Starts (your local time)
+        <input type="datetime-local" value={form.startsAt} onChange={update("startsAt")} required className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Length
+        <select value={form.minutes} onChange={update("minutes")} className={inputClass}>
+          {[30, 45, 60, 90].map((m) => (
+            <option key={m} value={m}>{m} min</option>
+          ))}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Open to
+        <select value={form.cohort} onChange={update("cohort")} className={inputClass}>
+          <option value="">All my cohorts</option>
+          {cohorts.map((c) => (
+            <option key={c.id} value={c.id}>{c.title}</option>
+          ))}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Meeting link (optional)
+        <input type="url" value={form.meetingUrl} onChange={update("meetingUrl")} placeholder="https://" className={inputClass} />
+      </label>
+      <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+        {saving ? "Adding…" : "Add slot"}
+      </button>
+      {error && <p role="alert" className="w-full text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </form>
+  );
+}
+
+function MentorCohorts({ courses }) {
+  const { data, error, reload } = useApi(fetchMyCohorts);
+  const [creating, setCreating] = useState(false);
+  const [open, setOpen] = useState(null);
+  const [changes, setChanges] = useState(0);
+  const [statusError, setStatusError] = useState("");
+
+  const changed = useCallback(() => {
+    setChanges((n) => n + 1);
+    reload();
+  }, [reload]);
+
+  async function setStatus(cohortId, status) {
+    setStatusError("");
+    try {
+      await updateCohort(cohortId, { status });
+      changed();
+    } catch (err) {
+      setStatusError(errorMessage(err, "Could not update the cohort"));
+    }
+  }
+
+  return (
+    <section className="mt-12" aria-labelledby="mentoring-heading">
+      <div className="flex items-center justify-between gap-4">
+        <h2 id="mentoring-heading" className="text-lg font-semibold">Cohorts you mentor</h2>
+        {courses.length > 0 && (
+          <button
+            onClick={() => setCreating((v) => !v)}
+            className="inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm"
+          >
+            <Plus size={14} aria-hidden /> New cohort
+          </button>
+        )}
+      </div>
+      {creating && (
+        <NewCohortForm
+          courses={courses}
+          onCreated={() => {
+            setCreating(false);
+            changed();
+          }}
+        />
+      )}
+
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {statusError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{statusError}</p>}
+      {data?.mentoring.length === 0 && (
+        <p className="mt-3 text-sm text-slate-600 dark:text-slate-300">No upcoming cohorts. Create one for any of your courses.</p>
+      )}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800">
+        {data?.mentoring.map((c) => (
+          <li key={c.id} className="py-3">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <div className="font-medium">
+                  {c.title}
+                  {c.status === "cancelled" && <span className="ml-2 text-xs text-amber-600">Cancelled</span>}
+                </div>
+                <div className="text-sm text-slate-500">
+                  {c.course?.title} · {formatDate(c.startsAt, c.timezone)} – {formatDate(c.endsAt, c.timezone)} · {c.timezone}
+                </div>
+              </div>
+              <div className="flex items-center gap-4 text-sm">
+                <span className="text-slate-500">
+                  {c.seatsTaken}/{c.capacity} seats{c.waitlisted > 0 && ` · ${c.waitlisted} waiting`}
+                </span>
+                <Link to={`/cohorts/${c.id}`} className="text-indigo-600 hover:underline">
+                  Chat
+                </Link>
+                <button onClick={() => setOpen(open === c.id ? null : c.id)} className="text-indigo-600 hover:underline">
+                  {open === c.id ? "Hide roster" : "Roster"}
+                </button>
+                <button
+                  onClick={() => setStatus(c.id, c.status === "cancelled" ? "scheduled" : "cancelled")}
+                  className="text-slate-500 hover:underline"
+                >
+                  {c.status === "cancelled" ? "Reinstate" : "Cancel"}
+                </button>
+              </div>
+            </div>
+            {open === c.id && (
+              <div className="mt-3 rounded-xl bg-slate-50 dark:bg-slate-800/50 p-3">
+                <Roster cohortId={c.id} />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <h3 className="mt-8 font-semibold">One-to-one availability</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-300">Learners with a seat in your cohorts can book these.</p>
+      <AvailabilityForm cohorts={data?.mentoring.filter((c) => c.status === "scheduled") ?? []} onCreated={changed} />
+
+      <div className="mt-6 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+        <CohortCalendar reloadKey={changes} onChange={reload} />
+      </div>
+    </section>
+  );
+}
+
+const EMPTY_CRITERION = { title: "", description: "", maxPoints: 10 };
+
+/** A project brief with its rubric, review mode and resubmission rules */
+function NewProjectForm({ courseId, onCreated }) {
+  const [form, setForm] = useState({
+    title: "",
+    instructions: "",
+    reviewMode: "mentor",
+    peerReviewers: 2,
+    fileTypes: ".zip, .pdf",
+    maxFiles: 5,
+    dueAt: "",
+    maxResubmissions: 2,
+    resubmitDays: 7,
+    passingScore: 60,
+  });
+  const [rubric, setRubric] = useState([{ ...EMPTY_CRITERION }]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  const updateCriterion = (i, field) => (e) =>
+    setRubric((rows) => rows.map((r, j) => (j === i ? { ...r, [field]: e.target.value } : r)));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      await createProject({
+        ...form,
+        course: courseId,
+        peerReviewers: Number(form.peerReviewers),
+        fileTypes: form.fileTypes
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map((t) => (t.startsWith(".") ? t : `.${t}`)),
+        maxFiles: Number(form.maxFiles),
+        dueAt: form.dueAt ? new Date(form.dueAt).toISOString() : undefined,
+        maxResubmissions: Number(form.maxResubmissions),
+        resubmitDays: Number(form.resubmitDays),
+        passingScore: Number(form.passingScore),
+        rubric: rubric.map((r) => ({ ...r, maxPoints: Number(r.maxPoints) })),
+      });
+      onCreated();
+    } catch (err) {
+      setError(errorMessage(err, "Could not create the project"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <label className="block text-sm sm:col-span-2">
+        Title
+        <input value={form.title} onChange={update("title")} required maxLength={120} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Brief
+        <textarea value={form.instructions} onChange={update("instructions")} rows={4} className={inputClass} />
+      </label>
+
+      <fieldset className="sm:col-span-2 text-sm">
+        <legend className="font-medium">Rubric</legend>
+        {rubric.map((r, i) => (
+          <div key={i} className="mt-2 grid grid-cols-[1fr_1fr_5rem_auto] items-end gap-2">
+            <input value={r.title} onChange={updateCriterion(i, "title")} required placeholder="Criterion" aria-label="Criterion" className={inputClass} />
+            <input value={r.description} onChange={updateCriterion(i, "description")} placeholder="What earns full marks" aria-label="Description" className={inputClass} />
+            <input type="number" min={1} max={100} value={r.maxPoints} onChange={updateCriterion(i, "maxPoints")} required aria-label="Points" className={inputClass} />
+            <button
+              type="button"
+              onClick={() => setRubric((rows) => rows.filter((_, j) => j !== i))}
+              disabled={rubric.length === 1}
+              aria-label="Remove criterion"
+              className="mb-1 p-1.5 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-40"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+        <button type="button" onClick={() => setRubric((rows) => [...rows, { ...EMPTY_CRITERION }])} className="mt-2 text-indigo-600 hover:underline">
+          Add criterion
+        </button>
+      </fieldset>
+
+      <label className="block text-sm">
+        Reviewed by
+        <select value={form.reviewMode} onChange={update("reviewMode")} className={inputClass}>
+          <option value="mentor">The learner’s mentor</option>
+          <option value="peer">Random fellow learners</option>
+        </select>
+      </label>
+      {form.reviewMode === "peer" && (
+        <label className="block text-sm">
+          Peer reviews per submission
+          <input type="number" min={1} max={5} value={form.peerReviewers} onChange={update("peerReviewers")} className={inputClass} />
+        </label>
+      )}
+      <label className="block text-sm">
+        Allowed file types (blank for any)
+        <input value={form.fileTypes} onChange={update("fileTypes")} placeholder=".zip, .pdf" className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Files per submission
+        <input type="number" min={0} max={20} value={form.maxFiles} onChange={update("maxFiles")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Due (optional)
+        <input type="datetime-local" value={form.dueAt} onChange={update("dueAt")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Pass mark (%)
+        <input type="number" min={0} max={100} value={form.passingScore} onChange={update("passingScore")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Resubmissions after a failing grade
+        <input type="number" min={0} max={10} value={form.maxResubmissions} onChange={update("maxResubmissions")} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Days to resubmit
+        <input type="number" min={1} max={90} value={form.resubmitDays} onChange={update("resubmitDays")} className={inputClass} />
+      </label>
+
+      {error && <p role="alert" className="sm:col-span-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="sm:col-span-2">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {saving ? "Creating…" : "Create project"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/** Projects of one of the instructor's courses, and adding new ones */
+function CourseProjects({ courses }) {
+  const [courseId, setCourseId] = useState(courses[0]?.id ?? "");
+  const [creating, setCreating] = useState(false);
+  const load = useCallback(() => (courseId ? fetchCourseProjects(courseId) : Promise.resolve([])), [courseId]);
+  const { data, error, reload } = useApi(load);
+  const [deleteError, setDeleteError] = useState("");
+
+  async function remove(id) {
+    setDeleteError("");
+    try {
+      await deleteProject(id);
+      reload();
+    } catch (err) {
+      setDeleteError(errorMessage(err, "Could not delete the project"));
+    }
+  }
+
+  if (!courses.length) return null;
+
+  return (
+    <section className="mt-12" aria-labelledby="projects-heading">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 id="projects-heading" className="text-lg font-semibold">Projects</h2>
+        <div className="flex items-center gap-3">
+          <select
+            value={courseId}
+            onChange={(e) => setCourseId(e.target.value)}
+            aria-label="Course"
+            className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-1.5 text-sm"
+          >
+            {courses.map((c) => (
+              <option key={c.id} value={c.id}>{c.title}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setCreating((v) => !v)}
+            className="inline-flex items-center gap-1 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm"
+          >
+            <Plus size={14} aria-hidden /> New project
+          </button>
+        </div>
+      </div>
+      {creating && (
+        <NewProjectForm
+          key={courseId}
+          courseId={courseId}
+          onCreated={() => {
+            setCreating(false);
+            reload();
+          }}
+        />
+      )}
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {deleteError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{deleteError}</p>}
+      {data?.length === 0 && <p className="mt-3 text-sm text-slate-600 dark:text-slate-300">No projects in this course yet.</p>}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800">
+        {data?.map((a) => (
+          <li key={a.id} className="py-3 flex flex-wrap items-center justify-between gap-4">
+            <Link to={`/projects/${a.id}`} className="font-medium hover:underline">{a.title}</Link>
+            <span className="flex items-center gap-4 text-sm text-slate-500">
+              {a.reviewMode === "peer" ? `${a.peerReviewers} peer reviews` : "Mentor review"}
+              {a.dueAt && ` · due ${formatDate(a.dueAt)}`}
+              <button onClick={() => remove(a.id)} className="hover:underline">Delete</button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+/** Starts a draft course and opens it in the editor */
+function NewCourseForm() {
+  const navigate = useNavigate();
+  const [title, setTitle] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+    try {
+      const course = await createCourse({ title });
+      navigate(`/studio/courses/${course.id}`);
+    } catch (err) {
+      setError(errorMessage(err, "Could not create the course"));
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-4 flex flex-wrap items-end gap-3 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <label className="block flex-1 min-w-60 text-sm">
+        Course title
+        <input value={title} onChange={(e) => setTitle(e.target.value)} required maxLength={120} autoFocus className={inputClass} />
+      </label>
+      <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+        {saving ? "Creating…" : "Create draft"}
+      </button>
+      {error && <p role="alert" className="w-full text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </form>
+  );
+}
+
+export default function InstructorStudio() {
+  const { user } = useAuth();
+  const { data: courses, error, loading, reload } = useApi(fetchMyCourses);
+  const [creating, setCreating] = useState(false);
+  const published = courses?.filter((c) => c.status === "published") ?? [];
+
+  return (
+    <div className="container mx-auto max-w-7xl px-4 py-10">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Instructor studio</h1>
+          <p className="mt-1 text-slate-600 dark:text-slate-300">Your courses, drafts included.</p>
+        </div>
+        <button
+          onClick={() => setCreating((v) => !v)}
+          className="inline-flex items-center gap-1 rounded-lg bg-indigo-600 px-3 py-2 text-sm text-white"
+        >
+          <Plus size={14} aria-hidden /> New course
+        </button>
+      </div>
+      {creating && <NewCourseForm />}
+
+      <div className="mt-6" aria-busy={loading}>
+        {error && <LoadError error={error} onRetry={reload} />}
+        {courses?.length === 0 && (
+          <p className="text-sm text-slate-600 dark:text-slate-300">You haven’t created any courses yet.</p>
+        )}
+        <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+          {courses?.map((c) => (
+            <li key={c.id} className="py-3 flex flex-wrap items-center justify-between gap-4">
+              <span className="flex items-center gap-3">
+                {c.status === "published" ? (
+                  <Link to={`/courses/${c.slug}`} className="font-medium hover:underline">{c.title}</Link>
+                ) : (
+                  <span className="font-medium">{c.title}</span>
+                )}
+                <StatusBadge status={c.status} />
+              </span>
+              <span className="flex items-center gap-4 text-sm text-slate-500">
+                {c.enrollmentCount} learners · {formatPrice(c)}
+                <Link to={`/studio/courses/${c.id}`} className="inline-flex items-center gap-1 text-indigo-600 hover:underline">
+                  <Pencil size={14} aria-hidden /> Edit
+                </Link>
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <CourseProjects key={courses?.[0]?.id} courses={courses ?? []} />
+      {can(user, "cohort:manage") && <MentorCohorts courses={published} />}
+    </div>
+  );
+}
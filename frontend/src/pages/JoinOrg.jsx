@@ -0,0 +1,104 @@
+/**
+ * JoinOrg.jsx
+ *
+ * /join/:token — where an organization invite email lands. Shows which
+ * organization invited which address; signed-in users with that address
+ * accept and go to the organization, everyone else is asked to sign in or
+ * create an account with it first.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router";
+import { Building2 } from "lucide-react";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import { acceptInvite, fetchInvite } from "../api/organizations";
+import { errorMessage } from "../api/client";
+
+const STATUS_MESSAGES = {
+  accepted: "This invite has already been used.",
+  expired: "This invite has expired. Ask your organization’s admin to send a new one.",
+};
+
+export default function JoinOrg() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user, openAuth } = useAuth();
+  const load = useCallback(() => fetchInvite(token), [token]);
+  const { data: invite, error, loading, reload } = useApi(load);
+  const [busy, setBusy] = useState(false);
+  const [joinError, setJoinError] = useState("");
+
+  async function onAccept() {
+    setBusy(true);
+    setJoinError("");
+    try {
+      await acceptInvite(token);
+      navigate(`/orgs/${invite.org.id}`);
+    } catch (err) {
+      setJoinError(errorMessage(err, "Could not accept the invite"));
+      setBusy(false);
+    }
+  }
+
+  let body;
+  if (error?.response?.status === 404) {
+    body = <p className="mt-3 text-slate-600 dark:text-slate-300">This invite link is no longer valid.</p>;
+  } else if (error) {
+    body = <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>;
+  } else if (loading || !invite) {
+    body = <div className="mt-4 h-24 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  } else if (STATUS_MESSAGES[invite.status]) {
+    body = (
+      <>
+        <p className="mt-3 text-slate-600 dark:text-slate-300">{STATUS_MESSAGES[invite.status]}</p>
+        {user && (
+          <Link to="/dashboard" className="mt-6 inline-block text-indigo-600 hover:underline">Go to your dashboard</Link>
+        )}
+      </>
+    );
+  } else {
+    const wrongAccount = user && user.email?.toLowerCase() !== invite.email;
+    body = (
+      <>
+        <p className="mt-3 text-slate-600 dark:text-slate-300">
+          You’ve been given a seat in <span className="font-semibold">{invite.org.name}</span> for{" "}
+          <span className="font-medium">{invite.email}</span>.
+        </p>
+        {!user && (
+          <div className="mt-6 flex justify-center gap-3">
+            <button onClick={() => openAuth("signin")} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white">
+              Sign in to join
+            </button>
+            <button onClick={() => openAuth("signup")} className="rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2 text-sm">
+              Create an account
+            </button>
+          </div>
+        )}
+        {wrongAccount && (
+          <p className="mt-4 rounded-xl bg-amber-50 dark:bg-amber-900/30 p-3 text-sm">
+            You’re signed in as {user.email}. Sign in as {invite.email} to accept this invite.
+          </p>
+        )}
+        {user && !wrongAccount && (
+          <button
+            onClick={onAccept}
+            disabled={busy}
+            className="mt-6 rounded-lg bg-indigo-600 px-5 py-2.5 text-white font-medium hover:bg-indigo-700 disabled:opacity-60"
+          >
+            {busy ? "Joining…" : `Join ${invite.org.name}`}
+          </button>
+        )}
+        {joinError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{joinError}</p>}
+      </>
+    );
+  }
+
+  return (
+    <section className="container mx-auto max-w-lg px-4 py-20 text-center">
+      <Building2 size={40} className="mx-auto text-indigo-600" aria-hidden />
+      <h1 className="mt-4 text-2xl font-bold text-slate-900 dark:text-white">Join your team on EduSphar</h1>
+      {body}
+    </section>
+  );
+}
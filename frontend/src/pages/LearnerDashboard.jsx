@@ -0,0 +1,533 @@
+/**
+ * LearnerDashboard.jsx
+ *
+ * /dashboard — signed-in learner home: where to pick up, course progress and
+ * time spent, streaks and quiz trends, upcoming cohort sessions, then
+ * cohorts, reviews, certificates and the wishlist.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router";
+import { ArrowRight, Award, Building2, CalendarClock, ClipboardCheck, Compass, Download, PlayCircle, Users } from "lucide-react";
+import CohortCalendar from "../components/CohortCalendar";
+import CourseCard from "../components/CourseCard";
+import LearningActivity from "../components/LearningActivity";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useWishlist from "../hooks/useWishlist";
+import { fetchNextStep } from "../api/learning";
+import { fetchMyCourseStats } from "../api/analytics";
+import { fetchWishlist } from "../api/wishlist";
+import { downloadCertificatePdf, fetchMyCertificates } from "../api/certificates";
+import { bookSlot, fetchBookableSlots, fetchCalendar, fetchMyCohorts, leaveCohort } from "../api/cohorts";
+import { fetchMyReviews } from "../api/projects";
+import { fetchMyOrgs } from "../api/organizations";
+import { errorMessage } from "../api/client";
+import { dashboardsFor } from "../utils/permissions";
+import { formatDate, formatDateTime, formatDuration } from "../utils/format";
+
+const STEP_LABELS = {
+  review: { badge: "Brush up", action: "Review lesson" },
+  practice: { badge: "Practice", action: "Retake quiz" },
+  prerequisite: { badge: "Prerequisite", action: "Start lesson" },
+  skip_ahead: { badge: "Skip ahead", action: "Jump ahead" },
+  next: { badge: "Up next", action: "Start lesson" },
+};
+
+// The adaptive engine's pick across all active courses, with its reason
+function NextStep() {
+  const { data: step, error } = useApi(fetchNextStep);
+
+  // nothing to recommend, or the engine is unavailable: the course list still works
+  if (!step || error) return null;
+  const labels = STEP_LABELS[step.type] ?? STEP_LABELS.next;
+
+  return (
+    <section
+      className="mt-8 rounded-2xl bg-indigo-50 dark:bg-indigo-950/40 border border-indigo-100 dark:border-indigo-900 p-6"
+      aria-labelledby="next-step-heading"
+    >
+      <div className="flex items-center gap-2 text-sm font-medium text-indigo-700 dark:text-indigo-300">
+        <Compass size={16} aria-hidden />
+        <h2 id="next-step-heading">Recommended next step</h2>
+        <span className="rounded-full bg-white dark:bg-slate-900 px-2 py-0.5 text-xs">{labels.badge}</span>
+      </div>
+      <p className="mt-3 text-lg font-semibold">
+        {step.lesson.title}
+        <span className="font-normal text-slate-500"> · {step.course.title}</span>
+      </p>
+      <p className="mt-1 text-sm text-slate-700 dark:text-slate-300">
+        <span className="font-medium">Why: </span>
+        {step.reason}
+      </p>
+      <Link
+        to={`/learn/${step.course.slug}/${step.lesson.id}`}
+        className="mt-4 inline-flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white hover:bg-indigo-700"
+      >
+        {labels.action} <ArrowRight size={14} aria-hidden />
+      </Link>
+    </section>
+  );
+}
+
+// Seconds into a video as "12:05"
+function formatPosition(seconds) {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function ProgressBar({ percent }) {
+  return (
+    <div
+      role="progressbar"
+      aria-valuenow={percent}
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-label="Course progress"
+      className="h-2 rounded-full bg-slate-100 dark:bg-slate-800"
+    >
+      <div className="h-2 rounded-full bg-indigo-600" style={{ width: `${percent}%` }} />
+    </div>
+  );
+}
+
+// The last lesson of the most recently studied unfinished courses
+function ContinueLearning({ courses }) {
+  const resumable = courses.filter((c) => c.resume && c.status !== "completed").slice(0, 3);
+  if (!resumable.length) return null;
+
+  return (
+    <section className="mt-8" aria-labelledby="continue-heading">
+      <h2 id="continue-heading" className="text-lg font-semibold">Continue where you left off</h2>
+      <ul className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {resumable.map(({ course, resume, percent }) => (
+          <li key={course.id}>
+            <Link
+              to={`/learn/${course.slug}/${resume.lesson.id}`}
+              className="flex h-full items-start gap-3 rounded-2xl border border-slate-100 dark:border-slate-800 p-4 hover:shadow"
+            >
+              <PlayCircle size={28} className="shrink-0 text-indigo-600" aria-hidden />
+              <div className="min-w-0 flex-1">
+                <div className="truncate font-semibold">{resume.lesson.title}</div>
+                <div className="truncate text-sm text-slate-500">{course.title}</div>
+                <div className="mt-1 text-xs text-slate-500">
+                  {resume.lesson.type === "video" && resume.position > 0 && !resume.completed
+                    ? `Resume at ${formatPosition(resume.position)}${
+                        resume.duration ? ` of ${formatPosition(resume.duration)}` : ""
+                      }`
+                    : `${percent}% of the course done`}
+                </div>
+              </div>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function MyCourses() {
+  const { data, error, loading, reload } = useApi(fetchMyCourseStats);
+
+  if (error) return <div className="mt-8"><LoadError error={error} onRetry={reload} /></div>;
+  if (loading && !data) {
+    return <div className="mt-8 h-32 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  }
+
+  if (!data.length) {
+    return (
+      <section className="mt-8 rounded-2xl border border-dashed border-slate-200 dark:border-slate-700 p-8 text-center">
+        <h2 className="font-semibold">No courses yet</h2>
+        <p className="mt-1 text-sm text-slate-600 dark:text-slate-300">
+          Enroll in a course and it will show up here.
+        </p>
+        <Link to="/courses" className="mt-4 inline-block rounded-lg bg-indigo-600 px-4 py-2 text-white text-sm">
+          Browse courses
+        </Link>
+      </section>
+    );
+  }
+
+  return (
+    <>
+      <ContinueLearning courses={data} />
+      <section className="mt-8" aria-labelledby="my-courses-heading">
+        <h2 id="my-courses-heading" className="text-lg font-semibold">My courses</h2>
+        <ul className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {data.map((c) => (
+            <li key={c.enrollment} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+              <Link to={`/courses/${c.course.slug}`} className="font-semibold hover:underline">{c.course.title}</Link>
+              <div className="mt-1 text-sm text-slate-500">
+                {c.course.instructor?.name} · {formatDuration(c.course.durationMinutes)}
+              </div>
+              <div className="mt-3">
+                <ProgressBar percent={c.percent} />
+              </div>
+              <div className="mt-2 flex flex-wrap justify-between gap-2 text-xs text-slate-500">
+                {c.status === "completed" ? (
+                  <span className="font-medium text-emerald-600">Completed</span>
+                ) : (
+                  <span>
+                    {c.percent}% · {c.completedCount} of {c.lessonCount} lessons
+                  </span>
+                )}
+                <span>{formatDuration(c.seconds / 60)} spent</span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </>
+  );
+}
+
+// The learner's next few sessions over the coming two weeks
+function UpcomingSessions() {
+  const load = useCallback(() => {
+    const now = new Date();
+    return fetchCalendar(now.toISOString(), new Date(now.getTime() + 14 * 86400000).toISOString());
+  }, []);
+  const { data, error, reload } = useApi(load);
+  const upcoming =
+    data
+      ?.filter((e) => e.kind !== "open_slot" && !e.cancelled && new Date(e.endsAt) > new Date())
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+      .slice(0, 3) ?? [];
+
+  if (!upcoming.length && !error) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="upcoming-heading">
+      <h2 id="upcoming-heading" className="text-lg font-semibold">Upcoming sessions</h2>
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800">
+        {upcoming.map((e) => (
+          <li key={e.id} className="flex items-center gap-3 px-4 py-3 text-sm">
+            <CalendarClock size={18} className="shrink-0 text-indigo-600" aria-hidden />
+            <span className="flex-1 min-w-0">
+              <span className="font-medium">{e.title}</span>
+              {e.course && <span className="ml-2 text-slate-500">{e.course.title}</span>}
+            </span>
+            <span className="text-slate-600 dark:text-slate-300">{formatDateTime(e.startsAt)}</span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// Open one-to-one slots from the mentors of the learner's cohorts
+function BookMentor({ reloadKey, onBooked }) {
+  const { data, error, reload } = useApi(fetchBookableSlots);
+  const [note, setNote] = useState("");
+  const [booking, setBooking] = useState(null);
+  const [bookError, setBookError] = useState("");
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  async function book(slotId) {
+    setBooking(slotId);
+    setBookError("");
+    try {
+      await bookSlot(slotId, note.trim() || undefined);
+      setNote("");
+      onBooked();
+    } catch (err) {
+      setBookError(errorMessage(err, "Could not book this slot"));
+    } finally {
+      setBooking(null);
+      reload();
+    }
+  }
+
+  if (error) return <div className="mt-6"><LoadError error={error} onRetry={reload} /></div>;
+  if (!data?.length) return null;
+
+  return (
+    <div className="mt-6">
+      <h3 className="font-semibold">Book a mentor session</h3>
+      <label className="mt-2 block text-sm">
+        <span className="text-slate-500">What would you like to discuss? (optional)</span>
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          rows={2}
+          maxLength={1000}
+          className="mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm"
+        />
+      </label>
+      {bookError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{bookError}</p>}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800">
+        {data.map((s) => (
+          <li key={s.id} className="flex flex-wrap items-center gap-3 px-4 py-3 text-sm">
+            <span className="font-medium">{s.mentor?.name}</span>
+            <span className="text-slate-600 dark:text-slate-300">
+              {formatDateTime(s.startsAt)} · {Math.round((new Date(s.endsAt) - new Date(s.startsAt)) / 60000)} min
+            </span>
+            {s.cohort && <span className="text-xs text-slate-500">{s.cohort.title}</span>}
+            <button
+              onClick={() => book(s.id)}
+              disabled={booking !== null}
+              className="ml-auto rounded-lg bg-indigo-600 px-3 py-1.5 text-white disabled:opacity-60"
+            >
+              {booking === s.id ? "Booking…" : "Book"}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Cohorts the learner is in (or waiting for), their week and mentor booking
+function MySchedule() {
+  const { data, error, reload } = useApi(fetchMyCohorts);
+  const [changes, setChanges] = useState(0);
+  const [leaveError, setLeaveError] = useState("");
+  const changed = useCallback(() => setChanges((n) => n + 1), []);
+
+  async function leave(cohortId) {
+    setLeaveError("");
+    try {
+      await leaveCohort(cohortId);
+      reload();
+      changed();
+    } catch (err) {
+      setLeaveError(errorMessage(err, "Could not leave the cohort"));
+    }
+  }
+
+  if (error) return <div className="mt-10"><LoadError error={error} onRetry={reload} /></div>;
+  // only for people with cohorts to show
+  if (!data || (!data.memberships.length && !data.mentoring.length)) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="schedule-heading">
+      <h2 id="schedule-heading" className="text-lg font-semibold">My cohorts &amp; schedule</h2>
+      {leaveError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{leaveError}</p>}
+      {data.memberships.length > 0 && (
+        <ul className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {data.memberships.map((c) => (
+            <li key={c.id} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+              <div className="flex items-start gap-3">
+                <Users size={20} className="shrink-0 text-indigo-600" aria-hidden />
+                <div className="min-w-0">
+                  {c.membership?.status === "enrolled" && c.status !== "cancelled" ? (
+                    <Link to={`/cohorts/${c.id}`} className="font-semibold hover:underline">{c.title}</Link>
+                  ) : (
+                    <div className="font-semibold">{c.title}</div>
+                  )}
+                  {c.course && (
+                    <Link to={`/courses/${c.course.slug}`} className="text-sm text-slate-600 dark:text-slate-300 hover:underline">
+                      {c.course.title}
+                    </Link>
+                  )}
+                  <div className="mt-1 text-xs text-slate-500">
+                    {formatDate(c.startsAt, c.timezone)} – {formatDate(c.endsAt, c.timezone)} · {c.timezone}
+                    {c.mentor && ` · mentor ${c.mentor.name}`}
+                  </div>
+                </div>
+              </div>
+              <div className="mt-3 flex items-center justify-between text-sm">
+                {c.status === "cancelled" ? (
+                  <span className="text-amber-600">Cancelled</span>
+                ) : c.membership?.status === "waitlisted" ? (
+                  <span className="text-amber-600">Waitlist · #{c.membership.waitlistPosition}</span>
+                ) : (
+                  <span className="text-emerald-600">You have a seat</span>
+                )}
+                <button onClick={() => leave(c.id)} className="text-slate-500 hover:underline">
+                  Leave
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-4 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+        <CohortCalendar reloadKey={changes} onChange={changed} />
+      </div>
+      <BookMentor reloadKey={changes} onBooked={changed} />
+    </section>
+  );
+}
+
+/** Project reviews assigned to the learner (as a peer or a mentor) that are still open */
+function ReviewsToDo() {
+  const { data, error, reload } = useApi(fetchMyReviews);
+  const open = data?.filter((r) => r.status === "assigned") ?? [];
+
+  if (!open.length && !error) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="reviews-todo-heading">
+      <h2 id="reviews-todo-heading" className="text-lg font-semibold">Reviews to do</h2>
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800">
+        {open.map((r) => (
+          <li key={r.id} className="flex items-center gap-3 px-4 py-3 text-sm">
+            <ClipboardCheck size={18} className="shrink-0 text-indigo-600" aria-hidden />
+            <span className="flex-1 min-w-0">
+              <span className="font-medium">{r.assignment.title}</span>
+              {r.course && <span className="ml-2 text-slate-500">{r.course.title}</span>}
+            </span>
+            <span className="text-slate-500">{r.role === "peer" ? "Peer review" : "Mentor review"}</span>
+            <Link to={`/reviews/${r.id}`} className="inline-flex items-center gap-1 text-indigo-600 hover:underline">
+              Review <ArrowRight size={14} aria-hidden />
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// Teams organizations the learner has a seat in
+function MyOrganizations() {
+  const { data, error, reload } = useApi(fetchMyOrgs);
+
+  if (!data?.length && !error) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="organizations-heading">
+      <h2 id="organizations-heading" className="text-lg font-semibold">My organizations</h2>
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      <ul className="mt-3 flex flex-wrap gap-3">
+        {data?.map(({ org, role }) => (
+          <li key={org.id}>
+            <Link
+              to={`/orgs/${org.id}`}
+              className="flex items-center gap-2 rounded-xl border border-slate-100 dark:border-slate-800 px-4 py-3 text-sm hover:shadow"
+            >
+              <Building2 size={16} className="text-indigo-600" aria-hidden />
+              <span className="font-medium">{org.name}</span>
+              <span className="text-xs text-slate-500">{role === "admin" ? "Admin" : "Assigned courses"}</span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function MyCertificates() {
+  const { data, error, reload } = useApi(fetchMyCertificates);
+  const [downloadError, setDownloadError] = useState("");
+
+  if (!data?.length && !error) return null;
+
+  return (
+    <section className="mt-10" aria-labelledby="certificates-heading">
+      <h2 id="certificates-heading" className="text-lg font-semibold">Certificates</h2>
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      {downloadError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{downloadError}</p>}
+      <ul className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {data?.map((c) => (
+          <li key={c.certId} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+            <div className="flex items-start gap-3">
+              <Award size={20} className="shrink-0 text-indigo-600" aria-hidden />
+              <div className="min-w-0">
+                <div className="font-semibold">{c.courseTitle}</div>
+                <div className="text-xs text-slate-500 font-mono">{c.certId}</div>
+                {c.revokedAt && <div className="mt-1 text-xs text-amber-600">Revoked</div>}
+              </div>
+            </div>
+            <div className="mt-3 flex items-center gap-4 text-sm">
+              <button
+                onClick={() =>
+                  downloadCertificatePdf(c.certId).catch((err) =>
+                    setDownloadError(errorMessage(err, "Could not download the certificate"))
+                  )
+                }
+                className="inline-flex items-center gap-1 text-indigo-600 hover:underline"
+              >
+                <Download size={14} /> PDF
+              </button>
+              <Link to={`/verify/${c.certId}`} className="text-indigo-600 hover:underline">
+                Verification page
+              </Link>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+function MyWishlist() {
+  const wishlist = useWishlist();
+  const { data, error, reload } = useApi(fetchWishlist);
+
+  // refetch once a sign-in merge lands so merged courses show up too
+  const { syncs } = wishlist;
+  useEffect(() => {
+    if (syncs) reload();
+  }, [syncs, reload]);
+  // un-hearting a card here removes it straight away
+  const items = data?.filter((i) => wishlist.has(i.course.id)) ?? [];
+
+  return (
+    <section className="mt-10" aria-labelledby="wishlist-heading">
+      <h2 id="wishlist-heading" className="text-lg font-semibold">My wishlist</h2>
+      {wishlist.notMerged > 0 && (
+        <p role="status" className="mt-2 text-sm text-amber-600">
+          {wishlist.notMerged === 1
+            ? "1 course you saved before signing in is no longer available, so it wasn’t added."
+            : `${wishlist.notMerged} courses you saved before signing in are no longer available, so they weren’t added.`}
+        </p>
+      )}
+      {error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      {data && !items.length && (
+        <p className="mt-2 text-sm text-slate-600 dark:text-slate-300">
+          Tap the heart on any course to save it for later.
+        </p>
+      )}
+      <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {items.map((i) => <CourseCard key={i.course.id} course={i.course} />)}
+      </div>
+    </section>
+  );
+}
+
+export default function LearnerDashboard() {
+  const { user } = useAuth();
+  const others = dashboardsFor(user).filter((d) => d.id !== "learner");
+
+  return (
+    <div className="container mx-auto max-w-7xl px-4 py-10">
+      <h1 className="text-2xl font-bold text-slate-900 dark:text-white">
+        Welcome back, {user.name.split(" ")[0]}
+      </h1>
+      <p className="mt-1 text-slate-600 dark:text-slate-300">Here’s your learning at a glance.</p>
+
+      <NextStep />
+      <MyCourses />
+      <LearningActivity />
+      <UpcomingSessions />
+      <MyOrganizations />
+      <MySchedule />
+      <ReviewsToDo />
+      <MyCertificates />
+      <MyWishlist />
+
+      {others.length > 0 && (
+        <section className="mt-8">
+          <h2 className="text-sm font-semibold text-slate-500 uppercase tracking-wide">Other workspaces</h2>
+          <div className="mt-3 flex flex-wrap gap-3">
+            {others.map((d) => (
+              <Link
+                key={d.id}
+                to={d.href}
+                className="flex items-center gap-2 rounded-xl border border-slate-100 dark:border-slate-800 px-4 py-3 text-sm hover:shadow"
+              >
+                <d.icon size={16} className="text-indigo-600" /> {d.label}
+              </Link>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,432 @@
+/**
+ * LessonPage.jsx
+ *
+ * /learn/:slug/:lessonId — lesson content with the course syllabus alongside.
+ * Preview lessons are open to everyone; the rest need an active enrollment
+ * (the API answers 401/403 and we point the visitor at the course page).
+ * Enrolled learners' progress is saved as they watch, so they resume where
+ * they left off, and completed lessons are ticked in the syllabus. Quiz
+ * lessons are run by QuizRunner.
+ *
+ * Enrolled learners can download a lesson for offline use (api/offline.js).
+ * With no connection the page falls back to the downloaded copy, and
+ * progress made meanwhile is queued until it can be synced.
+ *
+ * ?preview=1 is the studio's "preview as learner": the course's editors see
+ * the lessons as learners would, with nothing recorded.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router";
+import {
+  Award,
+  CheckCircle2,
+  ChevronLeft,
+  ChevronRight,
+  CloudOff,
+  Download,
+  Eye,
+  FileText,
+  HelpCircle,
+  Paperclip,
+  PlayCircle,
+} from "lucide-react";
+import DiscussionBoard from "../components/DiscussionBoard";
+import LessonContent from "../components/LessonContent";
+import LoadError from "../components/LoadError";
+import QuizRunner, { OfflineQuiz } from "../components/QuizRunner";
+import VideoPlayer from "../components/VideoPlayer";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useOffline from "../hooks/useOffline";
+import { downloadLessonAttachment } from "../api/authoring";
+import { fetchCourse } from "../api/catalog";
+import { fetchCourseProgress, fetchLesson, mediaUrl, saveProgress } from "../api/learning";
+import { isNetworkError, loadOfflineCourse, loadOfflineLesson } from "../api/offline";
+import { errorMessage } from "../api/client";
+import cn from "../utils/cn";
+import { formatBytes, formatDuration } from "../utils/format";
+import NotFound from "./NotFound";
+
+const LESSON_ICONS = { video: PlayCircle, text: FileText, quiz: HelpCircle };
+
+// Falls back to `offlineLoad()` when `request` fails for lack of a connection
+async function withOfflineCopy(request, offlineLoad) {
+  try {
+    return await request();
+  } catch (err) {
+    if (!isNetworkError(err)) throw err;
+    const saved = await offlineLoad().catch(() => null);
+    if (!saved) throw err;
+    return saved;
+  }
+}
+
+/** VideoPlayer over a downloaded video and captions ({ video, captions } blobs) */
+function OfflineVideo({ files, ...props }) {
+  const [urls, setUrls] = useState(null);
+  useEffect(() => {
+    const next = {
+      video: URL.createObjectURL(files.video),
+      captions: files.captions.map((c) => ({ lang: c.lang, label: c.label, src: URL.createObjectURL(c.blob) })),
+    };
+    setUrls(next);
+    return () => {
+      URL.revokeObjectURL(next.video);
+      next.captions.forEach((c) => URL.revokeObjectURL(c.src));
+    };
+  }, [files]);
+  if (!urls) return null;
+  return <VideoPlayer src={urls.video} captions={urls.captions} {...props} />;
+}
+
+function LessonBody({ data, preview, onProgress, onComplete, onQuizPassed, onQuizSaved, completed }) {
+  const { lesson, media, progress, quiz, offline } = data;
+
+  if (lesson.type === "quiz") {
+    if (!quiz) return <p className="text-slate-600 dark:text-slate-300">This quiz isn’t ready yet.</p>;
+    if (preview) {
+      return <p className="text-slate-600 dark:text-slate-300">Learners take this quiz here. Quizzes can’t be attempted in preview.</p>;
+    }
+    if (!onComplete) return <p className="text-slate-600 dark:text-slate-300">Sign in to take this quiz.</p>;
+    if (offline) return <OfflineQuiz offline={offline} onSave={onQuizSaved} />;
+    // the server marks the lesson complete when an attempt passes
+    return <QuizRunner quizId={quiz} onLessonCompleted={onQuizPassed} />;
+  }
+
+  if (lesson.type === "video") {
+    if (offline?.video) {
+      return (
+        <OfflineVideo
+          files={offline}
+          startAt={progress?.completed ? 0 : progress?.position}
+          onProgress={onProgress}
+          title={lesson.title}
+        />
+      );
+    }
+    const src = media ? mediaUrl(media.video) : lesson.videoUrl;
+    if (!src) {
+      return (
+        <div className="w-full aspect-video rounded-2xl bg-slate-900 text-slate-300 flex items-center justify-center">
+          Video coming soon
+        </div>
+      );
+    }
+    return (
+      <VideoPlayer
+        src={src}
+        captions={media?.captions.map((c) => ({ ...c, src: mediaUrl(c.src) }))}
+        startAt={progress?.completed ? 0 : progress?.position}
+        onProgress={onProgress}
+        title={lesson.title}
+      />
+    );
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-6 text-slate-700 dark:text-slate-300">
+      <LessonContent lesson={lesson} />
+      {onComplete && (
+        <button
+          onClick={onComplete}
+          disabled={completed}
+          className="mt-6 inline-flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:bg-emerald-600"
+        >
+          <CheckCircle2 size={16} /> {completed ? "Completed" : "Mark as complete"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/** Handouts, slides and other files the instructor attached to the lesson */
+function Attachments({ courseId, lesson }) {
+  const [error, setError] = useState("");
+
+  async function download(attachment) {
+    setError("");
+    try {
+      await downloadLessonAttachment(courseId, lesson.id, attachment);
+    } catch (err) {
+      setError(errorMessage(err, "Could not download the file"));
+    }
+  }
+
+  return (
+    <div className="mt-6">
+      <h2 className="text-sm font-semibold uppercase tracking-wide text-slate-500">Resources</h2>
+      <ul className="mt-2 flex flex-wrap gap-2">
+        {lesson.attachments.map((a) => (
+          <li key={a.id}>
+            <button
+              onClick={() => download(a)}
+              className="inline-flex items-center gap-2 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm hover:bg-slate-50 dark:hover:bg-slate-800"
+            >
+              <Paperclip size={14} aria-hidden /> {a.name}
+              <span className="text-xs text-slate-500">{formatBytes(a.size)}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {error && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+export default function LessonPage() {
+  const { slug, lessonId } = useParams();
+  const { user, openAuth } = useAuth();
+  const offline = useOffline();
+  const userId = user?.id;
+  const [searchParams] = useSearchParams();
+  const preview = searchParams.get("preview") === "1";
+  const lessonLink = (id) => `/learn/${slug}/${id}${preview ? "?preview=1" : ""}`;
+
+  const loadCourse = useCallback(
+    () => withOfflineCopy(() => fetchCourse(slug), () => loadOfflineCourse(slug)),
+    [slug]
+  );
+  const outline = useApi(loadCourse);
+  const course = outline.data?.course;
+
+  // refetch after sign-in so a 401 turns into the lesson (or a 403)
+  const loadLesson = useCallback(
+    () =>
+      course
+        ? withOfflineCopy(() => fetchLesson(course.id, lessonId), () => loadOfflineLesson(lessonId, userId))
+        : Promise.resolve(null),
+    [course, lessonId, userId]
+  );
+  const { data, error, reload } = useApi(loadLesson);
+
+  // and after an offline sync, so the copy on screen catches up with the server
+  const { syncs } = offline;
+  useEffect(() => {
+    if (syncs) reload();
+  }, [syncs, reload]);
+  const lesson = data?.lesson;
+
+  // ids of completed lessons, for the syllabus ticks
+  const [completed, setCompleted] = useState(() => new Set());
+  // certificate ID, once finishing a lesson completes the course
+  const [earned, setEarned] = useState(null);
+  // progress loaded, so the learner is enrolled and may download lessons
+  const [enrolled, setEnrolled] = useState(false);
+  const courseId = course?.id;
+  useEffect(() => {
+    setCompleted(new Set());
+    setEnrolled(false);
+    if (!courseId || !user) return;
+    fetchCourseProgress(courseId)
+      .then((p) => {
+        setCompleted(new Set(p.items.filter((i) => i.completed).map((i) => i.lesson)));
+        setEnrolled(true);
+      })
+      .catch(() => {
+        // not enrolled (previewing), or offline — nothing to show
+      });
+  }, [courseId, user, syncs]);
+
+  const [downloading, setDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState("");
+  useEffect(() => setDownloadError(""), [lessonId]);
+
+  async function download() {
+    setDownloading(true);
+    setDownloadError("");
+    try {
+      await offline.download(course, outline.data.modules, lessonId);
+    } catch (err) {
+      setDownloadError(errorMessage(err, "Could not download this lesson"));
+    } finally {
+      setDownloading(false);
+    }
+  }
+
+  // takes the lesson id explicitly: a player reports one last time while
+  // unmounting, after the URL has already moved on to the next lesson
+  const { downloaded, queueProgress } = offline;
+  const report = useCallback(
+    (id, body) => {
+      if (!user || preview) return;
+      saveProgress(id, body)
+        .then(({ progress, certificate }) => {
+          if (progress.completed) setCompleted((s) => new Set(s).add(id));
+          if (certificate) setEarned(certificate);
+        })
+        .catch((err) => {
+          // previews by non-enrolled users aren't tracked; a learner's
+          // progress made offline is kept until it can be synced
+          if (!isNetworkError(err) || !(enrolled || downloaded.has(id))) return;
+          queueProgress(id, body)
+            .then(() => body.completed && setCompleted((s) => new Set(s).add(id)))
+            .catch(() => {});
+        });
+    },
+    [user, preview, enrolled, downloaded, queueProgress]
+  );
+
+  if (outline.error?.response?.status === 404 || error?.response?.status === 404) return <NotFound />;
+
+  if (outline.error) {
+    return (
+      <div className="container mx-auto max-w-6xl px-4 py-10">
+        <LoadError error={outline.error} onRetry={outline.reload} />
+      </div>
+    );
+  }
+
+  const lessons = outline.data?.modules.flatMap((m) => m.lessons) ?? [];
+  const index = lessons.findIndex((l) => l.id === lessonId);
+  const prev = lessons[index - 1];
+  const next = index >= 0 ? lessons[index + 1] : undefined;
+  const locked = [401, 403].includes(error?.response?.status);
+
+  return (
+    <div className="container mx-auto max-w-7xl px-4 py-8 grid grid-cols-1 lg:grid-cols-4 gap-8">
+      <aside className="lg:order-2" aria-label="Course contents">
+        {course && (
+          <Link to={`/courses/${course.slug}`} className="font-semibold hover:underline">{course.title}</Link>
+        )}
+        <ol className="mt-4 space-y-4">
+          {outline.data?.modules.map((m) => (
+            <li key={m.id}>
+              <div className="text-xs font-semibold uppercase tracking-wide text-slate-500">{m.title}</div>
+              <ul className="mt-1">
+                {m.lessons.map((l) => {
+                  const Icon = LESSON_ICONS[l.type] || PlayCircle;
+                  return (
+                    <li key={l.id}>
+                      <Link
+                        to={lessonLink(l.id)}
+                        aria-current={l.id === lessonId ? "page" : undefined}
+                        className={cn(
+                          "flex items-center gap-2 rounded-lg px-2 py-1.5 text-sm",
+                          l.id === lessonId
+                            ? "bg-indigo-50 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300"
+                            : "text-slate-700 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800"
+                        )}
+                      >
+                        {completed.has(l.id) ? (
+                          <CheckCircle2 size={14} className="shrink-0 text-emerald-600" aria-label="Completed" />
+                        ) : (
+                          <Icon size={14} className="shrink-0" />
+                        )}
+                        <span className="flex-1 truncate">{l.title}</span>
+                        <span className="text-xs text-slate-400">{formatDuration(l.durationMinutes)}</span>
+                      </Link>
+                    </li>
+                  );
+                })}
+              </ul>
+            </li>
+          ))}
+        </ol>
+      </aside>
+
+      <section className="lg:col-span-3 lg:order-1">
+        {preview && course && (
+          <div role="status" className="mb-6 flex flex-wrap items-center gap-3 rounded-2xl bg-amber-50 dark:bg-amber-900/30 p-4 text-sm">
+            <Eye size={18} className="text-amber-600" aria-hidden />
+            <span className="flex-1">Previewing as a learner — progress and quiz attempts aren’t recorded.</span>
+            <Link to={`/studio/courses/${course.id}`} className="text-indigo-600 hover:underline">Back to the editor</Link>
+          </div>
+        )}
+        {earned && (
+          <div role="status" className="mb-6 flex flex-wrap items-center gap-3 rounded-2xl bg-emerald-50 dark:bg-emerald-900/30 p-4">
+            <Award size={20} className="text-emerald-600" aria-hidden />
+            <span className="flex-1">Course complete — you’ve earned a certificate!</span>
+            <Link to={`/verify/${earned}`} className="text-sm text-indigo-600 hover:underline">View certificate</Link>
+            <Link to="/dashboard" className="text-sm text-indigo-600 hover:underline">Download from your dashboard</Link>
+          </div>
+        )}
+        {locked ? (
+          <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-10 text-center">
+            <p className="text-slate-700 dark:text-slate-300">{errorMessage(error)}</p>
+            <div className="mt-4 flex justify-center gap-4">
+              {error.response.status === 401 && (
+                <button onClick={() => openAuth("signin")} className="rounded-lg bg-indigo-600 px-4 py-2 text-white">
+                  Sign in
+                </button>
+              )}
+              <Link to={`/courses/${slug}`} className="rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2">
+                View course
+              </Link>
+            </div>
+          </div>
+        ) : error ? (
+          <LoadError error={error} onRetry={reload} />
+        ) : lesson ? (
+          <>
+            <LessonBody
+              key={lesson.id}
+              data={data}
+              preview={preview}
+              onProgress={({ position, duration }) => report(lesson.id, { position, duration })}
+              onComplete={user && !preview ? () => report(lesson.id, { completed: true }) : undefined}
+              onQuizPassed={(res) => {
+                setCompleted((s) => new Set(s).add(lesson.id));
+                if (res.certificate) setEarned(res.certificate);
+              }}
+              onQuizSaved={(attemptId, answers) => offline.queueQuiz(lesson.id, attemptId, answers)}
+              completed={completed.has(lesson.id)}
+            />
+            <div className="mt-6 flex flex-wrap items-start justify-between gap-4">
+              <h1 className="text-2xl font-bold text-slate-900 dark:text-white">{lesson.title}</h1>
+              {data.offline ? (
+                <span className="inline-flex items-center gap-1.5 rounded-full bg-slate-100 dark:bg-slate-800 px-3 py-1 text-xs text-slate-600 dark:text-slate-300">
+                  <CloudOff size={14} aria-hidden /> Offline copy
+                </span>
+              ) : (
+                enrolled &&
+                offline.supported &&
+                (offline.downloaded.has(lesson.id) ? (
+                  <span className="text-sm text-slate-600 dark:text-slate-300">
+                    Available offline ·{" "}
+                    <button onClick={() => offline.remove(lesson.id).catch(() => {})} className="text-indigo-600 hover:underline">
+                      Remove
+                    </button>
+                  </span>
+                ) : (
+                  <button
+                    onClick={download}
+                    disabled={downloading}
+                    className="inline-flex items-center gap-2 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm disabled:opacity-60"
+                  >
+                    <Download size={16} aria-hidden /> {downloading ? "Downloading…" : "Download for offline"}
+                  </button>
+                ))
+              )}
+            </div>
+            {downloadError && (
+              <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{downloadError}</p>
+            )}
+            {lesson.type === "video" && lesson.content && (
+              <LessonContent lesson={lesson} className="mt-4 text-slate-700 dark:text-slate-300" />
+            )}
+            {lesson.attachments?.length > 0 && !data.offline && <Attachments courseId={course.id} lesson={lesson} />}
+          </>
+        ) : (
+          <div className="w-full aspect-video rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" aria-busy="true" />
+        )}
+
+        <nav className="mt-8 flex justify-between" aria-label="Lesson navigation">
+          {prev ? (
+            <Link to={lessonLink(prev.id)} className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:underline">
+              <ChevronLeft size={16} /> {prev.title}
+            </Link>
+          ) : <span />}
+          {next && (
+            <Link to={lessonLink(next.id)} className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:underline">
+              {next.title} <ChevronRight size={16} />
+            </Link>
+          )}
+        </nav>
+
+        {lesson && !data.offline && (
+          <DiscussionBoard course={course.id} lesson={lesson.id} title="Lesson discussion" />
+        )}
+      </section>
+    </div>
+  );
+}
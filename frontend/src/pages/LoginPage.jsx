@@ -0,0 +1,37 @@
+/**
+ * LoginPage.jsx
+ *
+ * /login — full-page sign in / sign up. Protected routes send visitors here
+ * with ?next=<path>, and they are returned there afterwards.
+ */
+import React, { useState } from "react";
+import { Navigate, useNavigate, useSearchParams } from "react-router";
+import AuthForm from "../components/AuthForm";
+import useAuth from "../hooks/useAuth";
+
+// only allow same-site paths as redirect targets
+function safeNext(value) {
+  return value && value.startsWith("/") && !value.startsWith("//") ? value : "/dashboard";
+}
+
+export default function LoginPage() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const [mode, setMode] = useState(params.get("mode") === "signup" ? "signup" : "signin");
+  const next = safeNext(params.get("next"));
+
+  if (user) return <Navigate to={next} replace />;
+
+  return (
+    <section className="container mx-auto max-w-sm px-4 py-16">
+      <h1 className="text-2xl font-bold text-slate-900 dark:text-white">
+        {mode === "signup" ? "Create your account" : "Sign in to EduSphar"}
+      </h1>
+      <p className="mt-1 mb-6 text-sm text-slate-600 dark:text-slate-300">
+        {mode === "signup" ? "Start learning for free." : "Pick up where you left off."}
+      </p>
+      <AuthForm mode={mode} onModeChange={setMode} onSuccess={() => navigate(next, { replace: true })} />
+    </section>
+  );
+}
@@ -0,0 +1,19 @@
+import React from "react";
+import { Link } from "react-router";
+
+/** 404 for unknown routes and missing resources */
+export default function NotFound() {
+  return (
+    <section className="container mx-auto max-w-3xl px-4 py-24 text-center">
+      <p className="text-sm font-semibold text-indigo-600">404</p>
+      <h1 className="mt-2 text-3xl font-bold text-slate-900 dark:text-white">Page not found</h1>
+      <p className="mt-3 text-slate-600 dark:text-slate-300">
+        The page you’re looking for doesn’t exist or has moved.
+      </p>
+      <div className="mt-6 flex items-center justify-center gap-4">
+        <Link to="/" className="rounded-lg bg-indigo-600 px-4 py-2 text-white">Go home</Link>
+        <Link to="/courses" className="text-indigo-600 hover:underline">Browse courses</Link>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,831 @@
+/**
+ * OrgDashboard.jsx
+ *
+ * /orgs/:orgId — a Teams organization. Admins see seat usage and manage
+ * people (bulk invites from pasted emails or a CSV file, pending invites,
+ * roles and teams), teams, course assignments with due dates, and the
+ * progress report. Members see the courses assigned to them and how far
+ * along they are.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router";
+import { Building2, Copy, Upload, Users } from "lucide-react";
+import LoadError from "../components/LoadError";
+import SearchAutocomplete from "../components/SearchAutocomplete";
+import useApi from "../hooks/useApi";
+import {
+  assignCourse,
+  createTeam,
+  deleteOrgAssignment,
+  deleteTeam,
+  fetchMyOrgProgress,
+  fetchOrg,
+  fetchOrgAssignments,
+  fetchOrgInvites,
+  fetchOrgMembers,
+  fetchOrgReport,
+  inviteToOrg,
+  removeOrgMember,
+  renameTeam,
+  resendOrgInvite,
+  revokeOrgInvite,
+  updateOrg,
+  updateOrgMember,
+} from "../api/organizations";
+import { errorMessage } from "../api/client";
+import { formatDate } from "../utils/format";
+import cn from "../utils/cn";
+import NotFound from "./NotFound";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const TABS = [
+  { id: "progress", label: "Progress" },
+  { id: "people", label: "People" },
+  { id: "assignments", label: "Assignments" },
+  { id: "teams", label: "Teams" },
+];
+
+const PROGRESS_STATUS = {
+  completed: { label: "Completed", className: "text-emerald-600" },
+  in_progress: { label: "In progress", className: "text-indigo-600" },
+  overdue: { label: "Overdue", className: "text-red-600 dark:text-red-400" },
+  not_started: { label: "Not started", className: "text-slate-500" },
+};
+
+function CopyLink({ link }) {
+  const [copied, setCopied] = useState(false);
+
+  function onCopy() {
+    navigator.clipboard?.writeText(link).then(
+      () => setCopied(true),
+      () => window.prompt("Copy the invite link", link)
+    );
+  }
+
+  return (
+    <button onClick={onCopy} className="inline-flex items-center gap-1 text-xs text-indigo-600 hover:underline">
+      <Copy size={12} aria-hidden /> {copied ? "Copied" : "Copy link"}
+    </button>
+  );
+}
+
+function SeatMeter({ seats }) {
+  const full = seats.used >= seats.limit;
+  return (
+    <div className="min-w-48">
+      <div className="flex justify-between text-sm">
+        <span className="text-slate-600 dark:text-slate-300">Seats</span>
+        <span className={cn("font-medium", full && "text-amber-600")}>
+          {seats.used} / {seats.limit}
+        </span>
+      </div>
+      <div className="mt-1 h-2 rounded-full bg-slate-100 dark:bg-slate-800" aria-hidden>
+        <div
+          className={cn("h-2 rounded-full", full ? "bg-amber-500" : "bg-indigo-600")}
+          style={{ width: `${seats.limit ? Math.min(100, (seats.used / seats.limit) * 100) : 100}%` }}
+        />
+      </div>
+      <p className="mt-1 text-xs text-slate-500">
+        {seats.members} members · {seats.invites} pending invites
+      </p>
+    </div>
+  );
+}
+
+/* People */
+
+function InviteForm({ org, teams, seats, onInvited }) {
+  const [mode, setMode] = useState("emails");
+  const [text, setText] = useState("");
+  const [role, setRole] = useState("member");
+  const [team, setTeam] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+
+  async function onFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setMode("csv");
+    setText(await file.text());
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setResult(null);
+    try {
+      const body = mode === "csv"
+        ? { csv: text }
+        : { emails: text.split(/[\s,;]+/).filter(Boolean) };
+      const data = await inviteToOrg(org.id, { ...body, role, teams: team ? [team] : [] });
+      setResult(data);
+      if (data.created.length) setText("");
+      onInvited();
+    } catch (err) {
+      setError(errorMessage(err, "Could not send the invites"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <h3 className="font-semibold">Invite people</h3>
+      <p className="mt-1 text-xs text-slate-500">
+        {Math.max(0, seats.limit - seats.used)} seats free. Each invite holds a seat until it’s accepted, revoked or expires.
+      </p>
+      <div className="mt-3 flex gap-2 text-sm" role="group" aria-label="Invite format">
+        {[["emails", "Email addresses"], ["csv", "CSV"]].map(([id, label]) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => setMode(id)}
+            aria-pressed={mode === id}
+            className={cn("rounded-full px-3 py-1", mode === id ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800")}
+          >
+            {label}
+          </button>
+        ))}
+        <label className="ml-auto inline-flex cursor-pointer items-center gap-1 text-indigo-600 hover:underline">
+          <Upload size={14} aria-hidden /> Upload CSV
+          <input type="file" accept=".csv,text/csv,text/plain" onChange={onFile} className="sr-only" />
+        </label>
+      </div>
+      <label className="mt-3 block text-sm">
+        <span className="text-slate-500">
+          {mode === "csv"
+            ? "One person per row: email, role (admin or member), teams separated by “;”. New team names are created."
+            : "Separate addresses with commas, spaces or new lines."}
+        </span>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={5}
+          required
+          placeholder={mode === "csv" ? "email,role,team\nasha@example.com,member,Data" : "asha@example.com, ravi@example.com"}
+          className={cn(inputClass, "font-mono")}
+        />
+      </label>
+      <div className="mt-3 grid gap-3 sm:grid-cols-2">
+        <label className="block text-sm">
+          Role{mode === "csv" && " (when the row has none)"}
+          <select value={role} onChange={(e) => setRole(e.target.value)} className={inputClass}>
+            <option value="member">Member</option>
+            <option value="admin">Admin</option>
+          </select>
+        </label>
+        <label className="block text-sm">
+          Team{mode === "csv" && " (when the row has none)"}
+          <select value={team} onChange={(e) => setTeam(e.target.value)} className={inputClass}>
+            <option value="">No team</option>
+            {teams.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+        </label>
+      </div>
+      {error && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <button type="submit" disabled={busy} className="mt-4 rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+        {busy ? "Sending…" : "Send invites"}
+      </button>
+
+      {result && (
+        <div className="mt-4 space-y-3 text-sm">
+          {result.created.length > 0 && (
+            <div>
+              <p className="text-emerald-600">Invited {result.created.length} {result.created.length === 1 ? "person" : "people"}.</p>
+              <ul className="mt-1 space-y-1">
+                {result.created.map(({ invite, link }) => (
+                  <li key={invite.id} className="flex items-center gap-3">
+                    <span className="flex-1 truncate">{invite.email}</span>
+                    <CopyLink link={link} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {result.skipped.length > 0 && (
+            <div>
+              <p className="text-amber-600">Skipped {result.skipped.length}:</p>
+              <ul className="mt-1 space-y-1 text-slate-600 dark:text-slate-300">
+                {result.skipped.map((s, i) => (
+                  <li key={i}>
+                    {s.email || "(blank)"} — {s.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
+
+function PendingInvites({ org, reloadKey, onChange }) {
+  const load = useCallback(() => fetchOrgInvites(org.id), [org.id]);
+  const { data, error, reload } = useApi(load);
+  const [links, setLinks] = useState({});
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  async function act(run) {
+    setActionError("");
+    try {
+      await run();
+      reload();
+      onChange();
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    }
+  }
+
+  const resend = (invite) =>
+    act(async () => {
+      const { link } = await resendOrgInvite(org.id, invite.id);
+      setLinks((l) => ({ ...l, [invite.id]: link }));
+    });
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (!data?.length) return null;
+
+  const now = new Date();
+  return (
+    <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <h3 className="font-semibold">Pending invites</h3>
+      {actionError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      <ul className="mt-2 divide-y divide-slate-100 dark:divide-slate-800 text-sm">
+        {data.map((invite) => {
+          const expired = new Date(invite.expiresAt) <= now;
+          return (
+            <li key={invite.id} className="flex flex-wrap items-center gap-3 py-2">
+              <span className="flex-1 min-w-0">
+                <span className="font-medium">{invite.email}</span>
+                <span className="ml-2 text-xs text-slate-500 capitalize">{invite.role}</span>
+                {invite.teams.map((t) => (
+                  <span key={t.id} className="ml-2 rounded-full bg-slate-100 dark:bg-slate-800 px-2 py-0.5 text-xs">{t.name}</span>
+                ))}
+              </span>
+              <span className={cn("text-xs", expired ? "text-amber-600" : "text-slate-500")}>
+                {expired ? "Expired" : `Expires ${formatDate(invite.expiresAt)}`}
+              </span>
+              {links[invite.id] && <CopyLink link={links[invite.id]} />}
+              <button onClick={() => resend(invite)} className="text-xs text-indigo-600 hover:underline">
+                Resend
+              </button>
+              <button
+                onClick={() => act(() => revokeOrgInvite(org.id, invite.id))}
+                className="text-xs text-red-600 dark:text-red-400 hover:underline"
+              >
+                Revoke
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+function MemberList({ org, teams, reloadKey, onChange }) {
+  const load = useCallback(() => fetchOrgMembers(org.id), [org.id]);
+  const { data, error, reload } = useApi(load);
+  const [busy, setBusy] = useState(null);
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  async function act(memberId, run) {
+    setBusy(memberId);
+    setActionError("");
+    try {
+      await run();
+      reload();
+      onChange();
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  const toggleTeam = (m, teamId) => {
+    const current = m.teams.map(String);
+    const next = current.includes(teamId) ? current.filter((t) => t !== teamId) : [...current, teamId];
+    act(m.id, () => updateOrgMember(org.id, m.id, { teams: next }));
+  };
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+
+  return (
+    <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <h3 className="font-semibold">Members</h3>
+      {actionError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      <ul className="mt-2 divide-y divide-slate-100 dark:divide-slate-800 text-sm">
+        {data?.map((m) => {
+          const isOwner = m.user?.id === org.owner;
+          return (
+            <li key={m.id} className="py-3">
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="flex-1 min-w-0">
+                  <span className="font-medium">{m.user?.name}</span>
+                  <span className="ml-2 text-slate-500">{m.user?.email}</span>
+                  {isOwner && <span className="ml-2 text-xs text-indigo-600">Owner</span>}
+                </span>
+                <select
+                  value={m.role}
+                  onChange={(e) => act(m.id, () => updateOrgMember(org.id, m.id, { role: e.target.value }))}
+                  disabled={isOwner || busy === m.id}
+                  aria-label={`Role for ${m.user?.name}`}
+                  className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1 text-xs"
+                >
+                  <option value="member">Member</option>
+                  <option value="admin">Admin</option>
+                </select>
+                {!isOwner && (
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Remove ${m.user?.name} from ${org.name}? Their seat becomes free.`)) {
+                        act(m.id, () => removeOrgMember(org.id, m.id));
+                      }
+                    }}
+                    disabled={busy === m.id}
+                    className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-60"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              {teams.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2" role="group" aria-label={`Teams for ${m.user?.name}`}>
+                  {teams.map((t) => {
+                    const on = m.teams.map(String).includes(t.id);
+                    return (
+                      <button
+                        key={t.id}
+                        onClick={() => toggleTeam(m, t.id)}
+                        disabled={busy === m.id}
+                        aria-pressed={on}
+                        className={cn(
+                          "rounded-full px-2 py-0.5 text-xs",
+                          on ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300"
+                        )}
+                      >
+                        {t.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+/* Teams */
+
+function TeamsPanel({ org, teams, onChange }) {
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+
+  async function act(run) {
+    setError("");
+    try {
+      await run();
+      onChange();
+    } catch (err) {
+      setError(errorMessage(err, "That didn’t work"));
+    }
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    await act(async () => {
+      await createTeam(org.id, name.trim());
+      setName("");
+    });
+  }
+
+  function onRename(team) {
+    const next = window.prompt("Team name", team.name);
+    if (next?.trim() && next.trim() !== team.name) act(() => renameTeam(org.id, team.id, next.trim()));
+  }
+
+  function onDelete(team) {
+    if (window.confirm(`Delete ${team.name}? Its course assignments are removed too; members keep their seats.`)) {
+      act(() => deleteTeam(org.id, team.id));
+    }
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <form onSubmit={onSubmit} className="flex gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          required
+          maxLength={60}
+          placeholder="New team name"
+          aria-label="New team name"
+          className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm"
+        />
+        <button type="submit" className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white">Add team</button>
+      </form>
+      {error && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      {!teams.length && <p className="mt-3 text-sm text-slate-500">No teams yet. Teams let you assign courses to a group of members.</p>}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800 text-sm">
+        {teams.map((t) => (
+          <li key={t.id} className="flex items-center gap-3 py-2">
+            <Users size={16} className="text-indigo-600" aria-hidden />
+            <span className="flex-1 font-medium">{t.name}</span>
+            <button onClick={() => onRename(t)} className="text-xs text-indigo-600 hover:underline">Rename</button>
+            <button onClick={() => onDelete(t)} className="text-xs text-red-600 dark:text-red-400 hover:underline">Delete</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/* Assignments */
+
+function AssignCourseForm({ org, teams, onAssigned }) {
+  const [query, setQuery] = useState("");
+  const [course, setCourse] = useState(null);
+  const [team, setTeam] = useState("");
+  const [dueAt, setDueAt] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    if (!course) {
+      setError("Pick a course from the suggestions");
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      await assignCourse(org.id, {
+        course: course.slug,
+        team: team || undefined,
+        // due at the end of the chosen day, in the admin's time zone
+        dueAt: new Date(`${dueAt}T23:59:59`).toISOString(),
+        note: note.trim() || undefined,
+      });
+      setQuery("");
+      setCourse(null);
+      setNote("");
+      onAssigned();
+    } catch (err) {
+      setError(errorMessage(err, "Could not assign the course"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="grid gap-3 sm:grid-cols-2 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <h3 className="font-semibold sm:col-span-2">Assign a course</h3>
+      <div className="block text-sm sm:col-span-2">
+        <label htmlFor="assign-course">Course</label>
+        <SearchAutocomplete
+          id="assign-course"
+          value={query}
+          onChange={(value) => {
+            setQuery(value);
+            setCourse(null);
+          }}
+          onPick={(s) => {
+            if (s.type !== "course") return;
+            setQuery(s.label);
+            setCourse(s);
+          }}
+          placeholder="Search the catalog"
+          className={inputClass}
+        />
+      </div>
+      <label className="block text-sm">
+        Assign to
+        <select value={team} onChange={(e) => setTeam(e.target.value)} className={inputClass}>
+          <option value="">Everyone in {org.name}</option>
+          {teams.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+      </label>
+      <label className="block text-sm">
+        Due
+        <input type="date" value={dueAt} onChange={(e) => setDueAt(e.target.value)} required className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Note (optional)
+        <input value={note} onChange={(e) => setNote(e.target.value)} maxLength={500} className={inputClass} />
+      </label>
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400 sm:col-span-2">{error}</p>}
+      <div className="sm:col-span-2">
+        <button type="submit" disabled={busy} className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60">
+          {busy ? "Assigning…" : "Assign"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function AssignmentList({ org, reloadKey, onChange }) {
+  const load = useCallback(() => fetchOrgAssignments(org.id), [org.id]);
+  const { data, error, reload } = useApi(load);
+  const [actionError, setActionError] = useState("");
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  async function onDelete(assignment) {
+    if (!window.confirm(`Stop assigning “${assignment.course?.title}”?`)) return;
+    setActionError("");
+    try {
+      await deleteOrgAssignment(org.id, assignment.id);
+      reload();
+      onChange();
+    } catch (err) {
+      setActionError(errorMessage(err, "Could not remove the assignment"));
+    }
+  }
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (data && !data.length) return <p className="text-sm text-slate-500">No courses assigned yet.</p>;
+
+  return (
+    <>
+      {actionError && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      <ul className="divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800 text-sm">
+        {data?.map((a) => (
+          <li key={a.id} className="flex flex-wrap items-center gap-3 px-4 py-3">
+            <span className="flex-1 min-w-0">
+              {a.course ? (
+                <Link to={`/courses/${a.course.slug}`} className="font-medium hover:underline">{a.course.title}</Link>
+              ) : (
+                <span className="text-slate-500">Course no longer available</span>
+              )}
+              <span className="ml-2 text-slate-500">{a.team ? a.team.name : "Everyone"}</span>
+              {a.note && <span className="block text-xs text-slate-500">{a.note}</span>}
+            </span>
+            <span className="text-slate-600 dark:text-slate-300">Due {formatDate(a.dueAt)}</span>
+            <button onClick={() => onDelete(a)} className="text-xs text-red-600 dark:text-red-400 hover:underline">
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+/* Progress */
+
+function ProgressCell({ progress }) {
+  if (!progress) return <span className="text-slate-300 dark:text-slate-600">—</span>;
+  const status = PROGRESS_STATUS[progress.status];
+  return (
+    <span className={status.className}>
+      {progress.percent}%<span className="sr-only"> · {status.label}</span>
+      {progress.status === "overdue" && <span className="ml-1 text-xs">overdue</span>}
+    </span>
+  );
+}
+
+function ProgressReport({ org, teams, reloadKey }) {
+  const [team, setTeam] = useState("");
+  const load = useCallback(() => fetchOrgReport(org.id, { team: team || undefined }), [org.id, team]);
+  const { data, error, loading, reload } = useApi(load);
+
+  useEffect(() => {
+    if (reloadKey) reload();
+  }, [reloadKey, reload]);
+
+  return (
+    <div>
+      {teams.length > 0 && (
+        <label className="block max-w-xs text-sm">
+          Team
+          <select value={team} onChange={(e) => setTeam(e.target.value)} className={inputClass}>
+            <option value="">Everyone</option>
+            {teams.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+        </label>
+      )}
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {loading && !data && <div className="mt-4 h-40 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />}
+      {data && !data.assignments.length && (
+        <p className="mt-4 text-sm text-slate-500">Assign a course to start tracking progress.</p>
+      )}
+      {data?.assignments.length > 0 && (
+        <>
+          <ul className="mt-4 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+            {data.assignments.map((a) => (
+              <li key={a.id} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4 text-sm">
+                <div className="font-medium">{a.course.title}</div>
+                <div className="text-xs text-slate-500">
+                  {a.team ? a.team.name : "Everyone"} · due {formatDate(a.dueAt)}
+                </div>
+                <div className="mt-2 flex gap-4">
+                  <span className="text-emerald-600">{a.summary.completed}/{a.summary.assigned} done</span>
+                  {a.summary.overdue > 0 && <span className="text-red-600 dark:text-red-400">{a.summary.overdue} overdue</span>}
+                </div>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-6 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th scope="col" className="py-2 pr-4 font-medium">Member</th>
+                  {data.assignments.map((a) => (
+                    <th key={a.id} scope="col" className="py-2 pr-4 font-medium">{a.course.title}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                {data.members.map(({ member, courses }) => (
+                  <tr key={member.id}>
+                    <th scope="row" className="py-2 pr-4 text-left font-medium">{member.user?.name}</th>
+                    {data.assignments.map((a) => (
+                      <td key={a.id} className="py-2 pr-4">
+                        <ProgressCell progress={courses.find((c) => c.assignment === a.id)} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/** A member's view: the courses assigned to them */
+function MyAssignments({ org }) {
+  const load = useCallback(() => fetchMyOrgProgress(org.id), [org.id]);
+  const { data, error, loading, reload } = useApi(load);
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (loading && !data) return <div className="h-32 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+  if (!data.assignments.length) {
+    return <p className="text-sm text-slate-500">Nothing assigned to you yet. Your admins will add courses here.</p>;
+  }
+
+  return (
+    <ul className="grid gap-4 sm:grid-cols-2">
+      {data.assignments.map((a) => {
+        const progress = data.courses.find((c) => c.assignment === a.id);
+        const status = PROGRESS_STATUS[progress.status];
+        return (
+          <li key={a.id} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+            <Link to={`/courses/${a.course.slug}`} className="font-semibold hover:underline">{a.course.title}</Link>
+            <div className="mt-1 text-sm text-slate-500">Due {formatDate(a.dueAt)}</div>
+            {a.note && <p className="mt-2 text-sm text-slate-600 dark:text-slate-300">{a.note}</p>}
+            <div className="mt-3 h-2 rounded-full bg-slate-100 dark:bg-slate-800" aria-hidden>
+              <div className="h-2 rounded-full bg-indigo-600" style={{ width: `${progress.percent}%` }} />
+            </div>
+            <div className={cn("mt-1 text-xs", status.className)}>
+              {status.label} · {progress.percent}%
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default function OrgDashboard() {
+  const { orgId } = useParams();
+  const navigate = useNavigate();
+  const load = useCallback(() => fetchOrg(orgId), [orgId]);
+  const { data, error, loading, reload } = useApi(load);
+  const [tab, setTab] = useState("progress");
+  const [changes, setChanges] = useState(0);
+  const [actionError, setActionError] = useState("");
+  const changed = useCallback(() => {
+    setChanges((n) => n + 1);
+    reload();
+  }, [reload]);
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error && !data) {
+    return (
+      <div className="container mx-auto px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (loading && !data) {
+    return <div className="container mx-auto max-w-6xl px-4 py-10 h-96 animate-pulse" />;
+  }
+
+  const { org, membership, teams, seats } = data;
+  const isAdmin = membership.role === "admin";
+
+  function onRename() {
+    const name = window.prompt("Organization name", org.name);
+    if (!name?.trim() || name.trim() === org.name) return;
+    updateOrg(org.id, { name: name.trim() }).then(reload, (err) =>
+      setActionError(errorMessage(err, "Could not rename the organization"))
+    );
+  }
+
+  async function onLeave() {
+    if (!window.confirm(`Leave ${org.name}? You’ll lose access to its assigned courses.`)) return;
+    try {
+      await removeOrgMember(org.id, membership.id);
+      navigate("/dashboard");
+    } catch (err) {
+      setActionError(errorMessage(err, "Could not leave the organization"));
+    }
+  }
+
+  return (
+    <div className="container mx-auto max-w-6xl px-4 py-10">
+      <div className="flex flex-wrap items-start justify-between gap-6">
+        <div>
+          <h1 className="flex items-center gap-2 text-3xl font-bold text-slate-900 dark:text-white">
+            <Building2 size={26} className="text-indigo-600" aria-hidden /> {org.name}
+          </h1>
+          <div className="mt-2 flex gap-4 text-sm">
+            {isAdmin && <button onClick={onRename} className="text-indigo-600 hover:underline">Rename</button>}
+            {membership.user !== org.owner && (
+              <button onClick={onLeave} className="text-red-600 dark:text-red-400 hover:underline">Leave organization</button>
+            )}
+          </div>
+          {actionError && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+        </div>
+        {isAdmin && <SeatMeter seats={seats} />}
+      </div>
+      {isAdmin && seats.limit === 0 && (
+        <p className="mt-4 rounded-xl bg-amber-50 dark:bg-amber-900/30 p-3 text-sm">
+          The owner’s Teams plan isn’t active, so no new people can join.
+          {membership.user === org.owner && (
+            <> <Link to="/billing" className="text-indigo-600 hover:underline">Manage billing</Link></>
+          )}
+        </p>
+      )}
+
+      {!isAdmin ? (
+        <section className="mt-8" aria-labelledby="my-assignments-heading">
+          <h2 id="my-assignments-heading" className="text-lg font-semibold">Assigned to you</h2>
+          <div className="mt-3">
+            <MyAssignments org={org} />
+          </div>
+        </section>
+      ) : (
+        <>
+          <div className="mt-8 flex gap-2 border-b border-slate-100 dark:border-slate-800" role="tablist">
+            {TABS.map((t) => (
+              <button
+                key={t.id}
+                role="tab"
+                aria-selected={tab === t.id}
+                onClick={() => setTab(t.id)}
+                className={cn(
+                  "-mb-px border-b-2 px-3 py-2 text-sm",
+                  tab === t.id ? "border-indigo-600 text-indigo-600 font-medium" : "border-transparent text-slate-500"
+                )}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+          <div className="mt-6 space-y-6" role="tabpanel">
+            {tab === "progress" && <ProgressReport org={org} teams={teams} reloadKey={changes} />}
+            {tab === "people" && (
+              <>
+                <InviteForm org={org} teams={teams} seats={seats} onInvited={changed} />
+                <PendingInvites org={org} reloadKey={changes} onChange={changed} />
+                <MemberList org={org} teams={teams} reloadKey={changes} onChange={changed} />
+              </>
+            )}
+            {tab === "assignments" && (
+              <>
+                <AssignCourseForm org={org} teams={teams} onAssigned={changed} />
+                <AssignmentList org={org} reloadKey={changes} onChange={changed} />
+              </>
+            )}
+            {tab === "teams" && <TeamsPanel org={org} teams={teams} onChange={changed} />}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
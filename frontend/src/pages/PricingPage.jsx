@@ -0,0 +1,11 @@
+import React from "react";
+import PricingPreview from "../components/PricingPreview";
+
+/** /pricing */
+export default function PricingPage() {
+  return (
+    <div className="py-6">
+      <PricingPreview />
+    </div>
+  );
+}
@@ -0,0 +1,447 @@
+/**
+ * ProjectPage.jsx
+ *
+ * /projects/:assignmentId — a course project: the brief and rubric, the
+ * learner's draft (file uploads, repository link, notes), their attempts
+ * with grades and reviewer feedback, and resubmission when a failed attempt
+ * allows it. Instructors also get the list of handed-in work to review.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router";
+import { Download, FileArchive, Github, MessageSquare, Trash2, Upload } from "lucide-react";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import {
+  downloadSubmissionFile,
+  fetchProject,
+  fetchProjectSubmissions,
+  fetchSubmission,
+  removeSubmissionFile,
+  startMentorReview,
+  startSubmission,
+  submitSubmission,
+  updateSubmission,
+  uploadSubmissionFile,
+} from "../api/projects";
+import { errorMessage } from "../api/client";
+import { formatBytes, formatDate, formatDateTime } from "../utils/format";
+import NotFound from "./NotFound";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const STATUS_LABELS = { draft: "Draft", submitted: "In review", graded: "Graded" };
+
+function GradeBadge({ grade }) {
+  return (
+    <span className={`font-semibold ${grade.passed ? "text-emerald-600" : "text-red-600 dark:text-red-400"}`}>
+      {grade.percent}% · {grade.points}/{grade.maxPoints} · {grade.passed ? "Passed" : "Not passed"}
+    </span>
+  );
+}
+
+function Rubric({ assignment }) {
+  return (
+    <table className="mt-3 w-full text-sm">
+      <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+        {assignment.rubric.map((c) => (
+          <tr key={c.id}>
+            <td className="py-2 pr-4 align-top">
+              <div className="font-medium">{c.title}</div>
+              {c.description && <div className="text-slate-600 dark:text-slate-300">{c.description}</div>}
+            </td>
+            <td className="py-2 text-right align-top text-slate-500 whitespace-nowrap">{c.maxPoints} pts</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td className="pt-2 text-slate-500">Pass mark {assignment.passingScore}%</td>
+          <td className="pt-2 text-right font-medium whitespace-nowrap">{assignment.maxPoints} pts</td>
+        </tr>
+      </tfoot>
+    </table>
+  );
+}
+
+/** Inline comments grouped by file, then by path and line */
+function InlineComments({ comments, files }) {
+  if (!comments.length) return null;
+  const fileName = (id) => files.find((f) => f.id === id)?.name ?? "General";
+  const groups = Object.entries(
+    comments.reduce((acc, c) => {
+      const key = c.file ? fileName(c.file) : "General";
+      (acc[key] ||= []).push(c);
+      return acc;
+    }, {})
+  );
+  return (
+    <div className="mt-3 space-y-3">
+      {groups.map(([name, items]) => (
+        <div key={name}>
+          <div className="text-xs font-semibold uppercase tracking-wide text-slate-500">{name}</div>
+          <ul className="mt-1 space-y-1">
+            {items
+              .slice()
+              .sort((a, b) => (a.path ?? "").localeCompare(b.path ?? "") || (a.line ?? 0) - (b.line ?? 0))
+              .map((c, i) => (
+                <li key={i} className="flex gap-2 text-sm">
+                  <MessageSquare size={14} className="mt-0.5 shrink-0 text-slate-400" aria-hidden />
+                  <span>
+                    {(c.path || c.line) && (
+                      <code className="mr-1 text-xs text-slate-500">
+                        {c.path}
+                        {c.line ? `:${c.line}` : ""}
+                      </code>
+                    )}
+                    {c.body}
+                  </span>
+                </li>
+              ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/** One attempt: its files, grade and (on demand) the reviewers' feedback */
+function Attempt({ submission, assignment }) {
+  const [open, setOpen] = useState(false);
+  const load = useCallback(
+    () => (open ? fetchSubmission(submission.id) : Promise.resolve(null)),
+    [open, submission.id]
+  );
+  const { data, error, reload } = useApi(load);
+  const criterion = (id) => assignment.rubric.find((c) => c.id === id);
+
+  return (
+    <li className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className="font-medium">
+          Attempt {submission.attempt}
+          {submission.submittedAt && (
+            <span className="ml-2 font-normal text-slate-500">submitted {formatDateTime(submission.submittedAt)}</span>
+          )}
+        </span>
+        {submission.status === "graded" ? <GradeBadge grade={submission.grade} /> : STATUS_LABELS[submission.status]}
+      </div>
+      <FileList submission={submission} />
+      {submission.status === "graded" && (
+        <button onClick={() => setOpen((o) => !o)} className="mt-3 text-sm text-indigo-600 hover:underline">
+          {open ? "Hide feedback" : "Show feedback"}
+        </button>
+      )}
+      {open && error && <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>}
+      {open &&
+        data?.reviews.map((r) => (
+          <div key={r.id} className="mt-4 border-t border-slate-100 dark:border-slate-800 pt-3">
+            <div className="text-sm font-semibold">
+              {r.reviewerName} <span className="font-normal text-slate-500">· {r.role === "mentor" ? "mentor" : "peer"}</span>
+            </div>
+            <ul className="mt-2 space-y-1 text-sm">
+              {r.scores.map((s) => (
+                <li key={s.criterion}>
+                  <span className="font-medium">{criterion(s.criterion)?.title ?? "Criterion"}</span>: {s.points}/
+                  {criterion(s.criterion)?.maxPoints}
+                  {s.comment && <span className="text-slate-600 dark:text-slate-300"> — {s.comment}</span>}
+                </li>
+              ))}
+            </ul>
+            {r.summary && <p className="mt-2 text-sm whitespace-pre-line">{r.summary}</p>}
+            <InlineComments comments={r.comments} files={submission.files} />
+          </div>
+        ))}
+    </li>
+  );
+}
+
+function FileList({ submission, onRemove }) {
+  const [error, setError] = useState("");
+  if (!submission.files.length && !submission.repositoryUrl) return null;
+  return (
+    <div className="mt-2 text-sm">
+      <ul className="space-y-1">
+        {submission.files.map((f) => (
+          <li key={f.id} className="flex items-center gap-2">
+            <FileArchive size={14} className="shrink-0 text-slate-500" aria-hidden />
+            <span className="flex-1 truncate">{f.name}</span>
+            <span className="text-xs text-slate-500">{formatBytes(f.size)}</span>
+            <button
+              onClick={() => downloadSubmissionFile(submission.id, f).catch((err) => setError(errorMessage(err)))}
+              aria-label={`Download ${f.name}`}
+              className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800"
+            >
+              <Download size={14} />
+            </button>
+            {onRemove && (
+              <button
+                onClick={() => onRemove(f)}
+                aria-label={`Remove ${f.name}`}
+                className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {submission.repositoryUrl && (
+        <a
+          href={submission.repositoryUrl}
+          target="_blank"
+          rel="noreferrer"
+          className="mt-1 inline-flex items-center gap-1 text-indigo-600 hover:underline"
+        >
+          <Github size={14} aria-hidden /> {submission.repositoryUrl}
+        </a>
+      )}
+      {error && <p role="alert" className="mt-1 text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+/** The open draft: uploads, repository link, notes and hand-in */
+function Draft({ draft, assignment, onChange }) {
+  const [form, setForm] = useState({ repositoryUrl: draft.repositoryUrl ?? "", notes: draft.notes ?? "" });
+  const [progress, setProgress] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      onChange();
+    } catch (err) {
+      setError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(false);
+      setProgress(null);
+    }
+  }
+
+  const saveDetails = () => updateSubmission(draft.id, { repositoryUrl: form.repositoryUrl || undefined, notes: form.notes });
+
+  async function onFiles(e) {
+    const files = [...e.target.files];
+    e.target.value = "";
+    await run(async () => {
+      for (const file of files) {
+        setProgress({ name: file.name, done: 0 });
+        await uploadSubmissionFile(draft.id, file, (done) => setProgress({ name: file.name, done }));
+      }
+    });
+  }
+
+  return (
+    <div className="rounded-2xl border border-indigo-100 dark:border-indigo-900 p-4">
+      <h3 className="font-semibold">Attempt {draft.attempt} · draft</h3>
+      <FileList submission={draft} onRemove={(f) => run(() => removeSubmissionFile(draft.id, f.id))} />
+
+      {draft.files.length < assignment.maxFiles && (
+        <label className="mt-3 inline-flex cursor-pointer items-center gap-2 rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5 text-sm">
+          <Upload size={14} aria-hidden /> Upload files
+          <input
+            type="file"
+            multiple
+            accept={assignment.fileTypes.join(",") || undefined}
+            onChange={onFiles}
+            disabled={busy}
+            className="sr-only"
+          />
+        </label>
+      )}
+      <p className="mt-1 text-xs text-slate-500">
+        Up to {assignment.maxFiles} files
+        {assignment.fileTypes.length > 0 && ` (${assignment.fileTypes.join(", ")})`} — archives of your project folder
+        are fine.
+      </p>
+      {progress && (
+        <p className="mt-1 text-xs text-slate-500" aria-live="polite">
+          Uploading {progress.name}… {Math.round(progress.done * 100)}%
+        </p>
+      )}
+
+      <label className="mt-4 block text-sm">
+        Repository link (optional)
+        <input
+          type="url"
+          value={form.repositoryUrl}
+          onChange={update("repositoryUrl")}
+          placeholder="https://github.com/you/project"
+          className={inputClass}
+        />
+      </label>
+      <label className="mt-3 block text-sm">
+        Notes for your reviewers
+        <textarea value={form.notes} onChange={update("notes")} rows={3} className={inputClass} />
+      </label>
+
+      {error && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="mt-4 flex gap-3">
+        <button
+          onClick={() => run(saveDetails)}
+          disabled={busy}
+          className="rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2 text-sm disabled:opacity-60"
+        >
+          Save draft
+        </button>
+        <button
+          onClick={() =>
+            run(async () => {
+              await saveDetails();
+              await submitSubmission(draft.id);
+            })
+          }
+          disabled={busy}
+          className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60"
+        >
+          {busy ? "Working…" : "Submit for review"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/** Handed-in work for the course's instructors, with a way into reviewing it */
+function InstructorSubmissions({ assignmentId }) {
+  const navigate = useNavigate();
+  const load = useCallback(() => fetchProjectSubmissions(assignmentId), [assignmentId]);
+  const { data, error, reload } = useApi(load);
+  const [actionError, setActionError] = useState("");
+
+  async function review(submissionId) {
+    setActionError("");
+    try {
+      const r = await startMentorReview(submissionId);
+      navigate(`/reviews/${r.id}`);
+    } catch (err) {
+      setActionError(errorMessage(err, "Could not open the review"));
+    }
+  }
+
+  return (
+    <section className="mt-10" aria-labelledby="submissions-heading">
+      <h2 id="submissions-heading" className="text-xl font-semibold">Submissions</h2>
+      {error && <div className="mt-4"><LoadError error={error} onRetry={reload} /></div>}
+      {actionError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      {data?.length === 0 && <p className="mt-3 text-sm text-slate-500">Nothing handed in yet.</p>}
+      <ul className="mt-4 divide-y divide-slate-100 dark:divide-slate-800 rounded-2xl border border-slate-100 dark:border-slate-800">
+        {data?.map((s) => (
+          <li key={s.id} className="flex flex-wrap items-center gap-3 px-4 py-3 text-sm">
+            <span className="flex-1">
+              <span className="font-medium">{s.user?.name ?? "Former learner"}</span>
+              <span className="ml-2 text-slate-500">attempt {s.attempt} · {formatDate(s.submittedAt)}</span>
+            </span>
+            <span className="text-slate-500">
+              {s.reviews.filter((r) => r.status === "completed").length}/{s.reviews.length} reviews
+            </span>
+            {s.status === "graded" ? <GradeBadge grade={s.grade} /> : <span>{STATUS_LABELS[s.status]}</span>}
+            <button onClick={() => review(s.id)} className="text-indigo-600 hover:underline">
+              Review
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default function ProjectPage() {
+  const { assignmentId } = useParams();
+  const load = useCallback(() => fetchProject(assignmentId), [assignmentId]);
+  const { data, error, loading, reload } = useApi(load);
+  const [startError, setStartError] = useState("");
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error && !data) {
+    return (
+      <div className="container mx-auto px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (loading && !data) {
+    return <div className="container mx-auto max-w-4xl px-4 py-10 h-96 animate-pulse" />;
+  }
+
+  const { assignment, course, canEdit, attempts = [], rules, grade } = data;
+  const draft = attempts.find((s) => s.status === "draft");
+  const handedIn = attempts.filter((s) => s.status !== "draft");
+
+  async function start() {
+    setStartError("");
+    try {
+      await startSubmission(assignment.id);
+      reload();
+    } catch (err) {
+      setStartError(errorMessage(err, "Could not start a submission"));
+    }
+  }
+
+  return (
+    <div className="container mx-auto max-w-4xl px-4 py-10">
+      <Link to={`/courses/${course.slug}`} className="text-sm text-indigo-600 hover:underline">
+        {course.title}
+      </Link>
+      <h1 className="mt-1 text-2xl font-bold text-slate-900 dark:text-white">{assignment.title}</h1>
+      <p className="mt-1 text-sm text-slate-500">
+        {assignment.reviewMode === "peer"
+          ? `Reviewed by ${assignment.peerReviewers} fellow learners`
+          : "Reviewed by your mentor"}
+        {assignment.dueAt && ` · due ${formatDateTime(assignment.dueAt)}`}
+        {` · ${assignment.maxResubmissions} ${assignment.maxResubmissions === 1 ? "resubmission" : "resubmissions"} allowed within ${assignment.resubmitDays} days of a failing grade`}
+      </p>
+
+      {assignment.instructions && (
+        <p className="mt-6 whitespace-pre-line text-slate-700 dark:text-slate-300">{assignment.instructions}</p>
+      )}
+
+      <section className="mt-8" aria-labelledby="rubric-heading">
+        <h2 id="rubric-heading" className="text-xl font-semibold">Rubric</h2>
+        <Rubric assignment={assignment} />
+      </section>
+
+      {rules && (
+        <section className="mt-10" aria-labelledby="work-heading">
+          <h2 id="work-heading" className="text-xl font-semibold">Your work</h2>
+          {grade && (
+            <p className="mt-2 text-sm">
+              Final grade (your best attempt): <GradeBadge grade={grade} />
+            </p>
+          )}
+          <div className="mt-4">
+            {draft ? (
+              <>
+                {!rules.canSubmit && <p className="mb-3 text-sm text-amber-600">{rules.reason}</p>}
+                <Draft key={draft.id} draft={draft} assignment={assignment} onChange={reload} />
+              </>
+            ) : rules.canSubmit ? (
+              <div className="text-sm">
+                <button onClick={start} className="rounded-lg bg-indigo-600 px-4 py-2 text-white">
+                  {handedIn.length ? "Start a resubmission" : "Start your submission"}
+                </button>
+                {rules.closesAt && <span className="ml-3 text-slate-500">Open until {formatDateTime(rules.closesAt)}</span>}
+              </div>
+            ) : (
+              <p className="text-sm text-slate-600 dark:text-slate-300">{rules.reason}</p>
+            )}
+            {startError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{startError}</p>}
+          </div>
+          {handedIn.length > 0 && (
+            <ul className="mt-6 space-y-4">
+              {handedIn.map((s) => (
+                <Attempt key={s.id} submission={s} assignment={assignment} />
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      {canEdit && <InstructorSubmissions assignmentId={assignment.id} />}
+    </div>
+  );
+}
@@ -0,0 +1,379 @@
+/**
+ * ReviewPage.jsx
+ *
+ * /reviews/:reviewId — scoring a project submission against its rubric.
+ * Reviewers download the files (small text files open inline, where a click
+ * on a line number pins a comment to it), score every criterion, add a
+ * summary and complete the review. Peers never see whose work it is.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useParams } from "react-router";
+import { Download, FileArchive, Github, MessageSquare, Trash2 } from "lucide-react";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import { completeReview, downloadSubmissionFile, fetchReview, fetchSubmissionFile, saveReview } from "../api/projects";
+import { errorMessage } from "../api/client";
+import { formatBytes, formatDateTime } from "../utils/format";
+import NotFound from "./NotFound";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+// files small and plain enough to read in the page
+const TEXT_FILE = /\.(txt|md|js|jsx|ts|tsx|py|java|c|cpp|h|cs|go|rb|php|html|css|json|xml|yml|yaml|sql|sh|csv)$/i;
+const MAX_INLINE_BYTES = 200 * 1024;
+
+/** A text file with line numbers; clicking one starts a comment on that line */
+function FileViewer({ submissionId, file, comments, onComment, readOnly }) {
+  const load = useCallback(
+    () => fetchSubmissionFile(submissionId, file.id).then((blob) => blob.text()),
+    [submissionId, file.id]
+  );
+  const { data, error, reload } = useApi(load);
+  const [line, setLine] = useState(null);
+  const [body, setBody] = useState("");
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (data == null) return <div className="h-24 rounded-xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+
+  const onLine = (n) => comments.filter((c) => c.file === file.id && c.line === n);
+
+  return (
+    <div className="overflow-x-auto rounded-xl border border-slate-100 dark:border-slate-800 font-mono text-xs">
+      {data.split("\n").map((text, i) => {
+        const n = i + 1;
+        return (
+          <div key={n}>
+            <div className="flex">
+              <button
+                onClick={() => !readOnly && setLine(line === n ? null : n)}
+                aria-label={`Comment on line ${n}`}
+                className="w-12 shrink-0 select-none pr-2 text-right text-slate-400 hover:text-indigo-600"
+              >
+                {n}
+              </button>
+              <pre className="whitespace-pre pl-2">{text || " "}</pre>
+            </div>
+            {onLine(n).map((c, j) => (
+              <div key={j} className="ml-12 flex gap-2 bg-amber-50 dark:bg-amber-900/30 px-2 py-1 font-sans">
+                <MessageSquare size={12} className="mt-0.5 shrink-0" aria-hidden /> {c.body}
+              </div>
+            ))}
+            {line === n && (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (!body.trim()) return;
+                  onComment({ file: file.id, line: n, body: body.trim() });
+                  setBody("");
+                  setLine(null);
+                }}
+                className="ml-12 flex gap-2 p-2 font-sans"
+              >
+                <input
+                  autoFocus
+                  value={body}
+                  onChange={(e) => setBody(e.target.value)}
+                  placeholder={`Comment on line ${n}`}
+                  className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1 text-sm"
+                />
+                <button type="submit" className="rounded-lg bg-indigo-600 px-3 py-1 text-sm text-white">
+                  Add
+                </button>
+              </form>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/** A comment on a file as a whole, or on a path (and line) inside an archive */
+function FileCommentForm({ files, onComment }) {
+  const [form, setForm] = useState({ file: "", path: "", line: "", body: "" });
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!form.body.trim()) return;
+        onComment({
+          file: form.file || undefined,
+          path: form.path.trim() || undefined,
+          line: Number(form.line) || undefined,
+          body: form.body.trim(),
+        });
+        setForm((f) => ({ ...f, path: "", line: "", body: "" }));
+      }}
+      className="mt-3 grid gap-2 sm:grid-cols-[1fr_1fr_5rem] text-sm"
+    >
+      <select value={form.file} onChange={update("file")} className={inputClass} aria-label="File">
+        <option value="">General</option>
+        {files.map((f) => (
+          <option key={f.id} value={f.id}>{f.name}</option>
+        ))}
+      </select>
+      <input value={form.path} onChange={update("path")} placeholder="Path inside the archive" className={inputClass} />
+      <input type="number" min="1" value={form.line} onChange={update("line")} placeholder="Line" className={inputClass} />
+      <textarea
+        value={form.body}
+        onChange={update("body")}
+        rows={2}
+        placeholder="Comment"
+        className={`${inputClass} sm:col-span-3`}
+      />
+      <button type="submit" className="justify-self-start rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1.5">
+        Add comment
+      </button>
+    </form>
+  );
+}
+
+function ReviewForm({ review, submission, assignment }) {
+  const [scores, setScores] = useState(() =>
+    Object.fromEntries(review.scores.map((s) => [s.criterion, { points: String(s.points), comment: s.comment ?? "" }]))
+  );
+  const [summary, setSummary] = useState(review.summary ?? "");
+  const [comments, setComments] = useState(review.comments);
+  const [status, setStatus] = useState(review.status);
+  const [viewing, setViewing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // peers can't change anything once the grade is in; mentors can revise theirs
+  const readOnly = review.role === "peer" && submission.status === "graded";
+  const setScore = (id, field) => (e) =>
+    setScores((s) => ({ ...s, [id]: { points: "", comment: "", ...s[id], [field]: e.target.value } }));
+  const total = assignment.rubric.reduce((sum, c) => sum + (Number(scores[c.id]?.points) || 0), 0);
+
+  async function save(complete) {
+    setBusy(true);
+    setMessage(null);
+    const body = {
+      scores: Object.entries(scores)
+        .filter(([, s]) => s.points !== "")
+        .map(([criterion, s]) => ({ criterion, points: Number(s.points), comment: s.comment || undefined })),
+      summary,
+      comments,
+    };
+    try {
+      const saved = await (complete ? completeReview : saveReview)(review.id, body);
+      setStatus(saved.status);
+      setMessage({ ok: true, text: complete ? "Review completed — thank you!" : "Saved" });
+    } catch (err) {
+      setMessage({ ok: false, text: errorMessage(err, "Could not save the review") });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const fileName = (id) => submission.files.find((f) => f.id === id)?.name;
+
+  return (
+    <>
+      <section className="mt-8" aria-labelledby="work-heading">
+        <h2 id="work-heading" className="text-xl font-semibold">The work</h2>
+        {submission.notes && (
+          <p className="mt-2 whitespace-pre-line rounded-xl bg-slate-50 dark:bg-slate-800/50 p-3 text-sm">{submission.notes}</p>
+        )}
+        {submission.repositoryUrl && (
+          <a
+            href={submission.repositoryUrl}
+            target="_blank"
+            rel="noreferrer"
+            className="mt-3 inline-flex items-center gap-1 text-sm text-indigo-600 hover:underline"
+          >
+            <Github size={14} aria-hidden /> {submission.repositoryUrl}
+          </a>
+        )}
+        <ul className="mt-3 space-y-2 text-sm">
+          {submission.files.map((f) => {
+            const inline = TEXT_FILE.test(f.name) && f.size <= MAX_INLINE_BYTES;
+            return (
+              <li key={f.id}>
+                <div className="flex items-center gap-2">
+                  <FileArchive size={14} className="shrink-0 text-slate-500" aria-hidden />
+                  <span className="flex-1 truncate">{f.name}</span>
+                  <span className="text-xs text-slate-500">{formatBytes(f.size)}</span>
+                  {inline && (
+                    <button onClick={() => setViewing(viewing === f.id ? null : f.id)} className="text-indigo-600 hover:underline">
+                      {viewing === f.id ? "Close" : "View"}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => downloadSubmissionFile(submission.id, f).catch(() => {})}
+                    aria-label={`Download ${f.name}`}
+                    className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800"
+                  >
+                    <Download size={14} />
+                  </button>
+                </div>
+                {viewing === f.id && (
+                  <div className="mt-2">
+                    <FileViewer
+                      submissionId={submission.id}
+                      file={f}
+                      comments={comments}
+                      readOnly={readOnly}
+                      onComment={(c) => setComments((list) => [...list, c])}
+                    />
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </section>
+
+      <section className="mt-8" aria-labelledby="comments-heading">
+        <h2 id="comments-heading" className="text-xl font-semibold">Comments</h2>
+        {comments.length === 0 && <p className="mt-2 text-sm text-slate-500">No comments yet.</p>}
+        <ul className="mt-2 space-y-1 text-sm">
+          {comments.map((c, i) => (
+            <li key={i} className="flex items-start gap-2">
+              <MessageSquare size={14} className="mt-0.5 shrink-0 text-slate-400" aria-hidden />
+              <span className="flex-1">
+                <code className="mr-1 text-xs text-slate-500">
+                  {c.file ? fileName(c.file) : "General"}
+                  {c.path && ` › ${c.path}`}
+                  {c.line ? `:${c.line}` : ""}
+                </code>
+                {c.body}
+              </span>
+              {!readOnly && (
+                <button
+                  onClick={() => setComments((list) => list.filter((_, j) => j !== i))}
+                  aria-label="Remove comment"
+                  className="p-1 rounded-md text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800"
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {!readOnly && <FileCommentForm files={submission.files} onComment={(c) => setComments((list) => [...list, c])} />}
+      </section>
+
+      <section className="mt-8" aria-labelledby="scores-heading">
+        <h2 id="scores-heading" className="text-xl font-semibold">
+          Scores <span className="ml-2 text-base font-normal text-slate-500">{total}/{assignment.maxPoints}</span>
+        </h2>
+        <ul className="mt-3 space-y-4">
+          {assignment.rubric.map((c) => (
+            <li key={c.id} className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4 text-sm">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <div className="font-medium">{c.title}</div>
+                  {c.description && <div className="text-slate-600 dark:text-slate-300">{c.description}</div>}
+                </div>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    max={c.maxPoints}
+                    step="0.5"
+                    value={scores[c.id]?.points ?? ""}
+                    onChange={setScore(c.id, "points")}
+                    disabled={readOnly}
+                    className="w-20 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1"
+                    aria-label={`Points for ${c.title}`}
+                  />
+                  / {c.maxPoints}
+                </label>
+              </div>
+              <input
+                value={scores[c.id]?.comment ?? ""}
+                onChange={setScore(c.id, "comment")}
+                disabled={readOnly}
+                placeholder="Why this score? (optional)"
+                className={inputClass}
+              />
+            </li>
+          ))}
+        </ul>
+        <label className="mt-4 block text-sm">
+          Summary
+          <textarea
+            value={summary}
+            onChange={(e) => setSummary(e.target.value)}
+            disabled={readOnly}
+            rows={4}
+            placeholder="What works well, and what would make it better"
+            className={inputClass}
+          />
+        </label>
+      </section>
+
+      {message && (
+        <p role={message.ok ? "status" : "alert"} className={`mt-4 text-sm ${message.ok ? "text-emerald-600" : "text-red-600 dark:text-red-400"}`}>
+          {message.text}
+        </p>
+      )}
+      {readOnly ? (
+        <p className="mt-6 text-sm text-slate-500">This submission has been graded; your review can no longer change.</p>
+      ) : (
+        <div className="mt-6 flex gap-3">
+          {status !== "completed" && (
+            <button
+              onClick={() => save(false)}
+              disabled={busy}
+              className="rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2 text-sm disabled:opacity-60"
+            >
+              Save draft
+            </button>
+          )}
+          <button
+            onClick={() => save(true)}
+            disabled={busy}
+            className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-60"
+          >
+            {busy ? "Saving…" : status === "completed" ? "Update review" : "Complete review"}
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default function ReviewPage() {
+  const { reviewId } = useParams();
+  const load = useCallback(() => fetchReview(reviewId), [reviewId]);
+  const { data, error, loading, reload } = useApi(load);
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error && !data) {
+    return (
+      <div className="container mx-auto px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (loading && !data) {
+    return <div className="container mx-auto max-w-4xl px-4 py-10 h-96 animate-pulse" />;
+  }
+
+  const { review, submission, assignment, course } = data;
+
+  return (
+    <div className="container mx-auto max-w-4xl px-4 py-10">
+      <Link to={`/courses/${course.slug}`} className="text-sm text-indigo-600 hover:underline">
+        {course.title}
+      </Link>
+      <h1 className="mt-1 text-2xl font-bold text-slate-900 dark:text-white">Review: {assignment.title}</h1>
+      <p className="mt-1 text-sm text-slate-500">
+        {review.role === "mentor" && submission.user ? `${submission.user.name}, attempt ${submission.attempt}` : `Attempt ${submission.attempt}`}
+        {submission.submittedAt && ` · submitted ${formatDateTime(submission.submittedAt)}`}
+        {review.role === "peer" && " · the author stays anonymous, and so do you"}
+      </p>
+      {assignment.instructions && (
+        <details className="mt-4 text-sm">
+          <summary className="cursor-pointer text-indigo-600">The brief</summary>
+          <p className="mt-2 whitespace-pre-line text-slate-700 dark:text-slate-300">{assignment.instructions}</p>
+        </details>
+      )}
+      <ReviewForm key={review.id} review={review} submission={submission} assignment={assignment} />
+    </div>
+  );
+}
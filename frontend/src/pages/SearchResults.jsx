@@ -0,0 +1,229 @@
+/**
+ * SearchResults.jsx
+ *
+ * /search — course results with topic chips, facet filters, sort and paging.
+ * All of it is read from and written to the URL (see utils/search.js), so the
+ * back button and shared links restore the exact same view.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router";
+import { Search as SearchIcon, X } from "lucide-react";
+import CourseCard from "../components/CourseCard";
+import Pagination from "../components/Pagination";
+import SearchAutocomplete from "../components/SearchAutocomplete";
+import useApi from "../hooks/useApi";
+import { searchCourses } from "../api/search";
+import { errorMessage } from "../api/client";
+import cn from "../utils/cn";
+import {
+  FACET_KEYS,
+  TOPIC_CHIPS,
+  parseSearchParams,
+  suggestionHref,
+  toApiParams,
+  toSearchParams,
+} from "../utils/search";
+
+const FACET_TITLES = { category: "Category", level: "Level", duration: "Duration", price: "Price" };
+
+const SORT_OPTIONS = [
+  { value: "", label: "Most relevant" },
+  { value: "popular", label: "Most popular" },
+  { value: "rating", label: "Highest rated" },
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: low to high" },
+  { value: "price_desc", label: "Price: high to low" },
+];
+
+function FacetGroup({ name, options = [], selected, onToggle }) {
+  if (!options.length) return null;
+  return (
+    <fieldset className="py-4 border-b border-slate-100 dark:border-slate-800">
+      <legend className="text-sm font-semibold text-slate-900 dark:text-white">{FACET_TITLES[name]}</legend>
+      <div className="mt-2 space-y-1.5">
+        {options.map((o) => {
+          const checked = selected.includes(o.value);
+          return (
+            <label
+              key={o.value}
+              className={cn(
+                "flex items-center gap-2 text-sm",
+                !checked && o.count === 0 ? "text-slate-400" : "text-slate-700 dark:text-slate-200"
+              )}
+            >
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={!checked && o.count === 0}
+                onChange={() => onToggle(name, o.value)}
+                className="rounded accent-indigo-600"
+              />
+              <span className="flex-1">{o.label}</span>
+              <span className="text-xs text-slate-400">{o.count}</span>
+            </label>
+          );
+        })}
+      </div>
+    </fieldset>
+  );
+}
+
+export default function SearchResults() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const state = parseSearchParams(searchParams);
+  const apiKey = toSearchParams(state).toString();
+  const [draft, setDraft] = useState(state.q);
+
+  // keep the input in sync when the URL changes (back/forward)
+  useEffect(() => setDraft(state.q), [state.q]);
+
+  const load = useCallback(
+    () => searchCourses(toApiParams(parseSearchParams(new URLSearchParams(apiKey)))),
+    [apiKey]
+  );
+  const { data, error, loading, reload } = useApi(load);
+
+  function update(patch) {
+    // any change other than paging starts again from page 1
+    setSearchParams(toSearchParams({ ...state, page: 1, ...patch }));
+  }
+
+  const toggleIn = (list, value) =>
+    list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+  const chips = [...new Set([...TOPIC_CHIPS, ...state.topics])];
+  const activeFacetCount = FACET_KEYS.reduce((n, k) => n + state[k].length, 0);
+
+  return (
+    <div className="container mx-auto max-w-7xl px-4 py-6">
+      <form
+        role="search"
+        onSubmit={(e) => {
+          e.preventDefault();
+          update({ q: draft.trim() });
+        }}
+        className="flex items-center gap-2 bg-white dark:bg-slate-800 rounded-xl p-1.5 border border-slate-100 dark:border-slate-700"
+      >
+        <SearchIcon size={18} className="ml-2 text-slate-400" />
+        <label htmlFor="results-search" className="sr-only">Search courses</label>
+        <SearchAutocomplete
+          id="results-search"
+          value={draft}
+          onChange={setDraft}
+          onPick={(s) => navigate(suggestionHref(s))}
+          className="w-full bg-transparent outline-none px-2 py-1.5 text-sm"
+          placeholder="Search courses"
+        />
+        <button type="submit" className="rounded-lg bg-indigo-600 px-3 py-1.5 text-white text-sm hover:bg-indigo-700">
+          Search
+        </button>
+      </form>
+
+      <div className="mt-6">
+        <div className="flex flex-wrap gap-2" aria-label="Topics">
+          {chips.map((t) => {
+            const on = state.topics.includes(t);
+            return (
+              <button
+                key={t}
+                onClick={() => update({ topics: toggleIn(state.topics, t) })}
+                aria-pressed={on}
+                className={cn(
+                  "inline-flex items-center gap-1 text-xs px-3 py-1.5 rounded-full",
+                  on ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800 text-slate-800 dark:text-slate-200"
+                )}
+              >
+                {t} {on && <X size={12} aria-hidden />}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="mt-6 grid grid-cols-1 lg:grid-cols-4 gap-8">
+          <aside aria-label="Filters">
+            <div className="flex items-center justify-between">
+              <h2 className="font-semibold">Filters</h2>
+              {activeFacetCount > 0 && (
+                <button
+                  onClick={() => update(Object.fromEntries(FACET_KEYS.map((k) => [k, []])))}
+                  className="text-sm text-indigo-600 hover:underline"
+                >
+                  Clear all
+                </button>
+              )}
+            </div>
+            {FACET_KEYS.map((k) => (
+              <FacetGroup
+                key={k}
+                name={k}
+                options={data?.facets?.[k]}
+                selected={state[k]}
+                onToggle={(name, value) => update({ [name]: toggleIn(state[name], value) })}
+              />
+            ))}
+          </aside>
+
+          <section className="lg:col-span-3" aria-busy={loading} aria-live="polite">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="text-sm text-slate-600 dark:text-slate-300">
+                {data && (
+                  <>
+                    {data.total.toLocaleString()} result{data.total === 1 ? "" : "s"}
+                    {data.query && <> for <strong className="text-slate-900 dark:text-white">“{data.query}”</strong></>}
+                  </>
+                )}
+                {data?.correctedQuery && (
+                  <div className="mt-1">
+                    Showing results for <em>{data.correctedQuery}</em>
+                  </div>
+                )}
+              </div>
+              <label className="text-sm flex items-center gap-2">
+                Sort by
+                <select
+                  value={state.sort}
+                  onChange={(e) => update({ sort: e.target.value })}
+                  className="rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1.5"
+                >
+                  {SORT_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {error && (
+              <div role="alert" className="mt-6 text-sm text-red-600 dark:text-red-400">
+                {errorMessage(error, "Search is unavailable right now.")}{" "}
+                <button onClick={reload} className="underline">Try again</button>
+              </div>
+            )}
+
+            <div className={cn("mt-6 grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-4", loading && "opacity-60")}>
+              {loading && !data &&
+                Array.from({ length: 6 }, (_, i) => (
+                  <div key={i} className="h-72 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />
+                ))}
+              {data?.items.map((c) => <CourseCard key={c.id} course={c} />)}
+            </div>
+
+            {data && data.total === 0 && (
+              <p className="mt-6 text-slate-600 dark:text-slate-300">
+                No courses match. Try fewer filters or a broader search.
+              </p>
+            )}
+
+            {data && (
+              <Pagination
+                page={data.page}
+                pages={data.pages}
+                onPage={(p) => setSearchParams(toSearchParams({ ...state, page: p }))}
+              />
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,387 @@
+/**
+ * StudyGroupPage.jsx
+ *
+ * /groups/:groupId — a study group: what it's about, joining or leaving
+ * (private groups take a request), its members and the group's discussion
+ * board. Moderators approve requests and manage roles; the owner can edit,
+ * hand over or delete the group.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router";
+import { Globe, Lock, Users } from "lucide-react";
+import DiscussionBoard from "../components/DiscussionBoard";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useReloadOnSignIn from "../hooks/useReloadOnSignIn";
+import {
+  deleteGroup,
+  fetchGroup,
+  fetchGroupMembers,
+  joinGroup,
+  leaveGroup,
+  removeGroupMember,
+  updateGroup,
+  updateGroupMember,
+} from "../api/groups";
+import { errorMessage } from "../api/client";
+import { formatDate } from "../utils/format";
+import NotFound from "./NotFound";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+
+const ROLE_LABELS = { owner: "Owner", moderator: "Moderator", member: "Member" };
+
+function EditGroupForm({ group, onDone }) {
+  const [form, setForm] = useState({
+    name: group.name,
+    description: group.description ?? "",
+    visibility: group.visibility,
+    tags: group.tags.join(", "),
+    maxMembers: group.maxMembers,
+  });
+  const [error, setError] = useState("");
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setError("");
+    try {
+      await updateGroup(group.id, {
+        ...form,
+        tags: form.tags.split(",").map((t) => t.trim()).filter(Boolean),
+        maxMembers: Number(form.maxMembers),
+      });
+      onDone();
+    } catch (err) {
+      setError(errorMessage(err, "Could not save the group"));
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-4 grid gap-3 sm:grid-cols-2 rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+      <label className="block text-sm sm:col-span-2">
+        Name
+        <input value={form.name} onChange={update("name")} required maxLength={80} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Description
+        <textarea value={form.description} onChange={update("description")} rows={3} maxLength={2000} className={inputClass} />
+      </label>
+      <label className="block text-sm">
+        Who can join
+        <select value={form.visibility} onChange={update("visibility")} className={inputClass}>
+          <option value="public">Anyone</option>
+          <option value="private">Approved members only</option>
+        </select>
+      </label>
+      <label className="block text-sm">
+        Member limit
+        <input type="number" min={2} max={500} value={form.maxMembers} onChange={update("maxMembers")} className={inputClass} />
+      </label>
+      <label className="block text-sm sm:col-span-2">
+        Tags (comma separated)
+        <input value={form.tags} onChange={update("tags")} className={inputClass} />
+      </label>
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400 sm:col-span-2">{error}</p>}
+      <div className="flex gap-3 sm:col-span-2">
+        <button type="submit" className="rounded-lg bg-indigo-600 px-4 py-2 text-sm text-white">Save</button>
+        <button type="button" onClick={onDone} className="rounded-lg px-4 py-2 text-sm text-slate-600 dark:text-slate-300">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function Members({ group, membership, canModerate, onChanged }) {
+  const load = useCallback(() => fetchGroupMembers(group.id), [group.id]);
+  const { data, error, reload } = useApi(load);
+  const [busy, setBusy] = useState(null);
+  const [actionError, setActionError] = useState("");
+  const isOwner = membership?.role === "owner";
+
+  async function act(userId, run) {
+    setBusy(userId);
+    setActionError("");
+    try {
+      await run();
+      reload();
+      onChanged();
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  if (error?.response?.status === 403) {
+    return <p className="mt-3 text-sm text-slate-500">Join the group to see who’s in it.</p>;
+  }
+  if (error) return <div className="mt-3"><LoadError error={error} onRetry={reload} /></div>;
+
+  const pending = data?.filter((m) => m.status === "pending") ?? [];
+  const active = data?.filter((m) => m.status === "active") ?? [];
+
+  return (
+    <>
+      {actionError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      {pending.length > 0 && (
+        <div className="mt-3 rounded-xl bg-amber-50 dark:bg-amber-900/30 p-3 text-sm">
+          <h3 className="font-medium">Join requests</h3>
+          <ul className="mt-2 space-y-2">
+            {pending.map((m) => (
+              <li key={m.id} className="flex flex-wrap items-center gap-3">
+                <span className="flex-1">{m.user.name}</span>
+                <button
+                  onClick={() => act(m.user.id, () => updateGroupMember(group.id, m.user.id, { status: "active" }))}
+                  disabled={busy === m.user.id}
+                  className="text-indigo-600 hover:underline disabled:opacity-60"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => act(m.user.id, () => removeGroupMember(group.id, m.user.id))}
+                  disabled={busy === m.user.id}
+                  className="text-slate-600 dark:text-slate-300 hover:underline disabled:opacity-60"
+                >
+                  Decline
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <ul className="mt-3 divide-y divide-slate-100 dark:divide-slate-800 text-sm">
+        {active.map((m) => (
+          <li key={m.id} className="flex flex-wrap items-center gap-3 py-2">
+            {m.user.avatarUrl ? (
+              <img src={m.user.avatarUrl} alt="" className="h-8 w-8 rounded-full object-cover" />
+            ) : (
+              <div className="h-8 w-8 rounded-full bg-gradient-to-tr from-indigo-600 to-violet-600" aria-hidden />
+            )}
+            <span className="flex-1">
+              <span className="font-medium">{m.user.name}</span>
+              {m.user.headline && <span className="ml-2 text-slate-500">{m.user.headline}</span>}
+            </span>
+            <span className="text-xs text-slate-500">{ROLE_LABELS[m.role]}</span>
+            {canModerate && m.role !== "owner" && (
+              <>
+                <button
+                  onClick={() =>
+                    act(m.user.id, () =>
+                      updateGroupMember(group.id, m.user.id, { role: m.role === "moderator" ? "member" : "moderator" })
+                    )
+                  }
+                  disabled={busy === m.user.id}
+                  className="text-xs text-indigo-600 hover:underline disabled:opacity-60"
+                >
+                  {m.role === "moderator" ? "Make member" : "Make moderator"}
+                </button>
+                {isOwner && (
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Hand ${group.name} over to ${m.user.name}?`)) {
+                        act(m.user.id, () => updateGroupMember(group.id, m.user.id, { role: "owner" }));
+                      }
+                    }}
+                    disabled={busy === m.user.id}
+                    className="text-xs text-indigo-600 hover:underline disabled:opacity-60"
+                  >
+                    Make owner
+                  </button>
+                )}
+                <button
+                  onClick={() => act(m.user.id, () => removeGroupMember(group.id, m.user.id))}
+                  disabled={busy === m.user.id}
+                  className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-60"
+                >
+                  Remove
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
+export default function StudyGroupPage() {
+  const { groupId } = useParams();
+  const navigate = useNavigate();
+  const { user, openAuth } = useAuth();
+  const load = useCallback(() => fetchGroup(groupId), [groupId]);
+  const { data, error, loading, reload } = useApi(load);
+  // refetch after sign-in so the viewer's membership shows
+  useReloadOnSignIn(reload);
+  const [editing, setEditing] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error && !data) {
+    return (
+      <div className="container mx-auto px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (loading && !data) {
+    return <div className="container mx-auto max-w-6xl px-4 py-10 h-96 animate-pulse" />;
+  }
+
+  const { group, membership, canModerate } = data;
+  const active = membership?.status === "active";
+  const isOwner = membership?.role === "owner";
+  const canRead = group.visibility === "public" || active || canModerate;
+  const full = group.memberCount >= group.maxMembers;
+
+  async function run(action) {
+    setBusy(true);
+    setActionError("");
+    try {
+      await action();
+    } catch (err) {
+      setActionError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const onJoin = () => {
+    if (!user) {
+      openAuth("signin");
+      return;
+    }
+    run(async () => {
+      await joinGroup(group.id);
+      reload();
+    });
+  };
+
+  const onLeave = () =>
+    run(async () => {
+      await leaveGroup(group.id);
+      reload();
+    });
+
+  const onDelete = () => {
+    if (!window.confirm(`Delete ${group.name} and its discussions? This can’t be undone.`)) return;
+    run(async () => {
+      await deleteGroup(group.id);
+      navigate("/community");
+    });
+  };
+
+  return (
+    <div className="container mx-auto max-w-6xl px-4 py-10 grid grid-cols-1 lg:grid-cols-3 gap-10">
+      <div className="lg:col-span-2">
+        <nav className="text-sm text-slate-500" aria-label="Breadcrumb">
+          <Link to="/community" className="hover:underline">Community</Link>
+          {group.course && (
+            <>
+              {" / "}
+              <Link to={`/courses/${group.course.slug}/discussions`} className="hover:underline">{group.course.title}</Link>
+            </>
+          )}
+        </nav>
+        <h1 className="mt-3 flex items-center gap-2 text-3xl font-bold text-slate-900 dark:text-white">
+          {group.name}
+          {group.visibility === "private" ? (
+            <Lock size={18} className="text-slate-400" aria-label="Private" />
+          ) : (
+            <Globe size={18} className="text-slate-400" aria-label="Public" />
+          )}
+        </h1>
+        <div className="mt-2 flex flex-wrap gap-2 text-sm text-slate-500">
+          <span>{group.timezone}</span>
+          <span>· started {formatDate(group.createdAt)}</span>
+          {group.tags.map((t) => (
+            <span key={t} className="rounded-full bg-slate-100 dark:bg-slate-800 px-2 py-0.5 text-xs">#{t}</span>
+          ))}
+        </div>
+
+        {editing ? (
+          <EditGroupForm
+            group={group}
+            onDone={() => {
+              setEditing(false);
+              reload();
+            }}
+          />
+        ) : (
+          group.description && (
+            <p className="mt-4 whitespace-pre-line text-slate-700 dark:text-slate-300">{group.description}</p>
+          )
+        )}
+
+        {canRead ? (
+          <DiscussionBoard group={group.id} title="Group discussions" />
+        ) : (
+          <p className="mt-10 rounded-2xl border border-slate-100 dark:border-slate-800 p-6 text-sm text-slate-600 dark:text-slate-300">
+            This group is private — its discussions are for members only.
+          </p>
+        )}
+      </div>
+
+      <aside>
+        <div className="rounded-2xl border border-slate-100 dark:border-slate-800 p-4">
+          <div className="flex items-center gap-2 font-semibold">
+            <Users size={16} aria-hidden /> {group.memberCount} / {group.maxMembers} members
+          </div>
+
+          <div className="mt-4 space-y-2 text-sm">
+            {!membership && (
+              <button
+                onClick={onJoin}
+                disabled={busy || full}
+                className="w-full rounded-lg bg-indigo-600 px-4 py-2 text-white disabled:opacity-60"
+              >
+                {full ? "Group is full" : group.visibility === "private" ? "Ask to join" : "Join group"}
+              </button>
+            )}
+            {membership?.status === "pending" && (
+              <>
+                <p className="text-slate-600 dark:text-slate-300">Your request is waiting for a moderator.</p>
+                <button onClick={onLeave} disabled={busy} className="text-slate-600 dark:text-slate-300 hover:underline">
+                  Withdraw request
+                </button>
+              </>
+            )}
+            {active && !isOwner && (
+              <button onClick={onLeave} disabled={busy} className="text-red-600 dark:text-red-400 hover:underline">
+                Leave group
+              </button>
+            )}
+            {isOwner && (
+              <p className="text-xs text-slate-500">You own this group. Make someone else the owner before you leave.</p>
+            )}
+            {canModerate && !editing && (
+              <button onClick={() => setEditing(true)} className="block text-indigo-600 hover:underline">
+                Edit group
+              </button>
+            )}
+            {(isOwner || (canModerate && !membership)) && (
+              <button onClick={onDelete} disabled={busy} className="block text-red-600 dark:text-red-400 hover:underline">
+                Delete group
+              </button>
+            )}
+            {actionError && <p role="alert" className="text-red-600 dark:text-red-400">{actionError}</p>}
+          </div>
+
+          <h2 className="mt-6 font-semibold">Members</h2>
+          {/* what the list shows depends on the viewer's standing: refetch when it changes */}
+          <Members
+            key={`${membership?.status}-${canModerate}`}
+            group={group}
+            membership={membership}
+            canModerate={canModerate}
+            onChanged={reload}
+          />
+        </div>
+      </aside>
+    </div>
+  );
+}
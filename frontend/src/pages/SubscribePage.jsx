@@ -0,0 +1,205 @@
+/**
+ * SubscribePage.jsx
+ *
+ * /subscribe/:planCode?cycle=monthly|yearly — buys a plan, or switches the
+ * current subscription to it. New subscribers enter a card (saved for
+ * renewals) and start with the plan's free trial when they haven't had one;
+ * subscribers see a quote first: upgrades are charged today minus the unused
+ * part of the current period, downgrades wait for the renewal.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, Navigate, useNavigate, useParams, useSearchParams } from "react-router";
+import { Lock } from "lucide-react";
+import CardFields from "../components/CardFields";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import { changePlan, fetchPlans, fetchSubscription, quotePlanChange, subscribe } from "../api/billing";
+import { errorMessage } from "../api/client";
+import { formatDate, formatMoney } from "../utils/format";
+import cn from "../utils/cn";
+import NotFound from "./NotFound";
+
+const CYCLES = ["monthly", "yearly"];
+
+const EMPTY_CARD = { cardNumber: "", expiry: "", cvc: "" };
+
+/** Invoice-style lines of a plan-change quote */
+function QuoteLines({ quote, currency }) {
+  return (
+    <dl className="mt-4 space-y-1 text-sm">
+      {quote.lines.map((line, i) => (
+        <div key={i} className="flex justify-between gap-4">
+          <dt className="text-slate-600 dark:text-slate-300">{line.description}</dt>
+          <dd>{formatMoney(line.amount, currency)}</dd>
+        </div>
+      ))}
+      <div className="flex justify-between gap-4 border-t border-slate-100 dark:border-slate-800 pt-2 font-semibold">
+        <dt>Due today</dt>
+        <dd>{formatMoney(quote.total, currency)}</dd>
+      </div>
+    </dl>
+  );
+}
+
+/** Switching an existing subscription: quote, then confirm */
+function ChangePlan({ plan, cycle, subscription, onDone }) {
+  const load = useCallback(() => quotePlanChange(plan.code, cycle), [plan.code, cycle]);
+  const { data: quote, error, loading } = useApi(load);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  async function onConfirm() {
+    setBusy(true);
+    setActionError("");
+    try {
+      await changePlan(plan.code, cycle);
+      onDone();
+    } catch (err) {
+      setActionError(errorMessage(err, "Could not change your plan"));
+      setBusy(false);
+    }
+  }
+
+  if (error) return <div className="mt-6"><LoadError error={error} /></div>;
+  if (loading || !quote) return <div className="mt-6 h-32 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" />;
+
+  let summary = `You’ll move to ${plan.name} (${cycle}) on ${formatDate(quote.effectiveAt)}, when your current period ends. Nothing is charged today.`;
+  if (plan.isFree) summary = `Your ${subscription.plan.name} plan will end on ${formatDate(quote.effectiveAt)}.`;
+  else if (subscription.status === "trialing") summary = `You’ll switch to ${plan.name} (${cycle}) now and keep your free trial.`;
+  else if (quote.immediate) summary = `You’ll switch to ${plan.name} (${cycle}) now; a new period starts today.`;
+
+  return (
+    <div className="mt-6 rounded-2xl border border-slate-100 dark:border-slate-800 p-5">
+      <p className="text-sm text-slate-600 dark:text-slate-300">{summary}</p>
+      {quote.lines.length > 0 && <QuoteLines quote={quote} currency={plan.currency} />}
+      {quote.credit > 0 && (
+        <p className="mt-2 text-xs text-slate-500">
+          {formatMoney(quote.credit, plan.currency)} of credit stays on your account for later invoices.
+        </p>
+      )}
+      {actionError && <p role="alert" className="mt-3 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+      <button
+        onClick={onConfirm}
+        disabled={busy}
+        className="mt-5 w-full rounded-lg bg-indigo-600 px-4 py-2.5 text-white font-medium hover:bg-indigo-700 disabled:opacity-60"
+      >
+        {busy ? "Processing…" : quote.total > 0 ? `Pay ${formatMoney(quote.total, plan.currency)} and switch` : "Confirm change"}
+      </button>
+    </div>
+  );
+}
+
+/** First subscription: card form */
+function NewSubscription({ plan, cycle, onDone }) {
+  const [card, setCard] = useState(EMPTY_CARD);
+  const [busy, setBusy] = useState(false);
+  const [payError, setPayError] = useState("");
+  const price = formatMoney(plan.prices[cycle], plan.currency);
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setPayError("");
+    try {
+      await subscribe(plan.code, cycle, card);
+      onDone();
+    } catch (err) {
+      setPayError(errorMessage(err, "Payment failed"));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="mt-6 space-y-4">
+      <CardFields value={card} onChange={setCard} />
+      {plan.trialDays > 0 && (
+        <p className="text-sm text-slate-600 dark:text-slate-300">
+          New to {plan.name}? Your first {plan.trialDays} days are free — we’ll charge {price} when the trial ends
+          unless you cancel.
+        </p>
+      )}
+      {payError && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{payError}</p>}
+      <button
+        type="submit"
+        disabled={busy}
+        className="w-full inline-flex items-center justify-center gap-2 rounded-lg bg-indigo-600 px-4 py-2.5 text-white font-medium hover:bg-indigo-700 disabled:opacity-60"
+      >
+        <Lock size={16} /> {busy ? "Processing…" : `Subscribe to ${plan.name}`}
+      </button>
+      <p className="text-xs text-center text-slate-500">
+        Test mode: use 4000 0000 0000 0002 to simulate a declined card.
+      </p>
+    </form>
+  );
+}
+
+export default function SubscribePage() {
+  const { planCode } = useParams();
+  const [params, setParams] = useSearchParams();
+  const navigate = useNavigate();
+  const cycle = CYCLES.includes(params.get("cycle")) ? params.get("cycle") : "monthly";
+  const { data: plans, error, reload } = useApi(fetchPlans);
+  const { data: subscription, error: subscriptionError, loading } = useApi(fetchSubscription);
+
+  const plan = plans?.find((p) => p.code === planCode);
+  if (plans && !plan) return <NotFound />;
+  if (plan?.isFree && !subscription && !loading) return <Navigate to="/pricing" replace />;
+
+  const onDone = () => navigate("/billing");
+
+  return (
+    <div className="container mx-auto max-w-xl px-4 py-12">
+      <Link to="/pricing" className="text-sm text-indigo-600 hover:underline">All plans</Link>
+      <h1 className="mt-3 text-2xl font-bold text-slate-900 dark:text-white">
+        {subscription ? "Change plan" : "Subscribe"}
+      </h1>
+
+      {(error || subscriptionError) && (
+        <div className="mt-6">
+          <LoadError error={error || subscriptionError} onRetry={error ? reload : undefined} />
+        </div>
+      )}
+
+      {plan && (
+        <div className="mt-6 rounded-2xl border border-slate-100 dark:border-slate-800 p-5">
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <div className="font-semibold">{plan.name}</div>
+              <div className="text-sm text-slate-500">{plan.tagline}</div>
+            </div>
+            {!plan.isFree && (
+              <div className="text-xl font-bold">
+                {formatMoney(plan.prices[cycle], plan.currency)}
+                <span className="text-sm font-normal text-slate-500">/{cycle === "monthly" ? "mo" : "yr"}</span>
+              </div>
+            )}
+          </div>
+          {!plan.isFree && (
+            <div className="mt-4 flex gap-2" role="group" aria-label="Billing cycle">
+              {CYCLES.map((c) => (
+                <button
+                  key={c}
+                  onClick={() => setParams({ cycle: c }, { replace: true })}
+                  aria-pressed={cycle === c}
+                  className={cn(
+                    "px-3 py-1 rounded-full text-sm capitalize",
+                    cycle === c ? "bg-indigo-600 text-white" : "bg-slate-100 dark:bg-slate-800"
+                  )}
+                >
+                  {c}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {plan && !loading && !subscriptionError &&
+        (subscription ? (
+          <ChangePlan plan={plan} cycle={cycle} subscription={subscription} onDone={onDone} />
+        ) : (
+          <NewSubscription plan={plan} cycle={cycle} onDone={onDone} />
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,463 @@
+/**
+ * ThreadPage.jsx
+ *
+ * /discussions/:threadId — one thread with its replies (nested one level),
+ * upvotes, accepted answers for questions, editing, reporting and, for the
+ * board's moderators, pin / lock / hide / ban.
+ */
+import React, { useCallback, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router";
+import { ArrowBigUp, Ban, CheckCircle2, EyeOff, Flag, Lock, Pencil, Pin, Reply, Trash2 } from "lucide-react";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import useReloadOnSignIn from "../hooks/useReloadOnSignIn";
+import {
+  acceptAnswer,
+  banUser,
+  createPost,
+  deletePost,
+  deleteThread,
+  fetchThread,
+  reportContent,
+  setHidden,
+  updatePost,
+  updateThread,
+  vote,
+} from "../api/forums";
+import { errorMessage } from "../api/client";
+import { formatRelative } from "../utils/format";
+import NotFound from "./NotFound";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm";
+const linkButton = "inline-flex items-center gap-1 hover:underline disabled:opacity-60";
+
+function VoteButton({ kind, item, canVote, onError }) {
+  const { user, openAuth } = useAuth();
+  const [state, setState] = useState({ score: item.score, voted: item.voted });
+  const own = user && item.author?.id === user.id;
+
+  async function toggle() {
+    if (!user) {
+      openAuth("signin");
+      return;
+    }
+    try {
+      setState(await vote(kind, item.id, !state.voted));
+    } catch (err) {
+      onError(errorMessage(err, "Could not record your vote"));
+    }
+  }
+
+  return (
+    <button
+      onClick={toggle}
+      disabled={own || (user && !canVote)}
+      aria-pressed={state.voted}
+      aria-label={state.voted ? "Remove upvote" : "Upvote"}
+      className={`flex w-10 shrink-0 flex-col items-center text-sm disabled:cursor-default ${
+        state.voted ? "text-indigo-600" : "text-slate-500 hover:text-indigo-600"
+      }`}
+    >
+      <ArrowBigUp size={22} fill={state.voted ? "currentColor" : "none"} aria-hidden />
+      {state.score}
+    </button>
+  );
+}
+
+function TextForm({ initial = "", label, submitLabel, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  return (
+    <form
+      onSubmit={async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError("");
+        try {
+          await onSubmit(body);
+          setBody("");
+        } catch (err) {
+          setError(errorMessage(err, "Could not save"));
+        } finally {
+          setSaving(false);
+        }
+      }}
+      className="mt-2"
+    >
+      <label className="block text-sm">
+        <span className="sr-only">{label}</span>
+        <textarea value={body} onChange={(e) => setBody(e.target.value)} required rows={3} maxLength={10000} placeholder={label} className={inputClass} />
+      </label>
+      {error && <p role="alert" className="mt-1 text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="mt-2 flex gap-3 text-sm">
+        <button type="submit" disabled={saving} className="rounded-lg bg-indigo-600 px-3 py-1.5 text-white disabled:opacity-60">
+          {saving ? "Saving…" : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-slate-600 dark:text-slate-300">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+/** Report / hide / ban / edit / delete links under a thread or reply */
+function ItemActions({ kind, item, board, onEdit, onDelete, onChanged, onError }) {
+  const { user } = useAuth();
+  const [reporting, setReporting] = useState(false);
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const own = user && item.author?.id === user.id;
+
+  async function run(action) {
+    setBusy(true);
+    try {
+      await action();
+      onChanged();
+    } catch (err) {
+      onError(errorMessage(err, "That didn’t work"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="mt-2 text-xs text-slate-500">
+      <div className="flex flex-wrap gap-4">
+        {own && onEdit && (
+          <button onClick={onEdit} className={linkButton}>
+            <Pencil size={12} aria-hidden /> Edit
+          </button>
+        )}
+        {(own || board.canModerate) && onDelete && (
+          <button onClick={() => run(onDelete)} disabled={busy} className={linkButton}>
+            <Trash2 size={12} aria-hidden /> Delete
+          </button>
+        )}
+        {!own && (
+          <button onClick={() => setReporting((v) => !v)} className={linkButton}>
+            <Flag size={12} aria-hidden /> Report
+          </button>
+        )}
+        {board.canModerate && (
+          <button
+            onClick={() => run(() => setHidden(kind, item.id, !item.hiddenAt, "Hidden by a moderator"))}
+            disabled={busy}
+            className={linkButton}
+          >
+            <EyeOff size={12} aria-hidden /> {item.hiddenAt ? "Unhide" : "Hide"}
+          </button>
+        )}
+        {board.canModerate && !own && item.author && (
+          <button
+            onClick={() =>
+              run(() =>
+                banUser({
+                  user: item.author.id,
+                  course: board.course?.id,
+                  group: board.group?.id,
+                  reason: "Breaking the board’s rules",
+                  days: 7,
+                })
+              )
+            }
+            disabled={busy}
+            className={linkButton}
+          >
+            <Ban size={12} aria-hidden /> Ban 7 days
+          </button>
+        )}
+      </div>
+      {reporting && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(async () => {
+              await reportContent(kind, item.id, reason);
+              setReporting(false);
+              setReason("");
+            });
+          }}
+          className="mt-2 flex gap-2"
+        >
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            required
+            maxLength={500}
+            placeholder="What’s wrong with it?"
+            aria-label="Reason for reporting"
+            className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-2 py-1 text-sm"
+          />
+          <button type="submit" disabled={busy} className="rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-1 text-sm">
+            Send report
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+function Byline({ item }) {
+  return (
+    <div className="text-xs text-slate-500">
+      <span className="font-medium text-slate-700 dark:text-slate-200">{item.author?.name ?? "Hidden"}</span>
+      {item.author?.role === "instructor" && <span className="ml-1 text-indigo-600">Instructor</span>}
+      {` · ${formatRelative(item.createdAt)}`}
+      {item.editedAt && " · edited"}
+      {item.hiddenAt && <span className="ml-1 text-amber-600">· hidden{item.hiddenReason && `: ${item.hiddenReason}`}</span>}
+    </div>
+  );
+}
+
+function PostItem({ post, replies = [], thread, board, canAccept, onChanged, onError }) {
+  const [editing, setEditing] = useState(false);
+  const [replying, setReplying] = useState(false);
+  const accepted = thread.acceptedPost === post.id;
+
+  return (
+    <li className={`rounded-2xl border p-4 ${accepted ? "border-emerald-300 dark:border-emerald-700" : "border-slate-100 dark:border-slate-800"}`}>
+      <div className="flex gap-3">
+        <VoteButton kind="post" item={post} canVote={board.canPost} onError={onError} />
+        <div className="min-w-0 flex-1">
+          <Byline item={post} />
+          {accepted && (
+            <div className="mt-1 inline-flex items-center gap-1 text-xs font-medium text-emerald-600">
+              <CheckCircle2 size={14} aria-hidden /> Accepted answer
+            </div>
+          )}
+          {editing ? (
+            <TextForm
+              initial={post.body}
+              label="Edit your reply"
+              submitLabel="Save"
+              onSubmit={async (body) => {
+                await updatePost(post.id, body);
+                setEditing(false);
+                onChanged();
+              }}
+              onCancel={() => setEditing(false)}
+            />
+          ) : (
+            <p className="mt-2 whitespace-pre-line text-sm">
+              {post.body ?? <em className="text-slate-500">Hidden by a moderator</em>}
+            </p>
+          )}
+          <div className="flex flex-wrap items-start gap-4">
+            {canAccept && !post.parent && post.body != null && (
+              <button
+                onClick={() => acceptAnswer(thread.id, accepted ? null : post.id).then(onChanged, (err) => onError(errorMessage(err)))}
+                className="mt-2 inline-flex items-center gap-1 text-xs text-emerald-600 hover:underline"
+              >
+                <CheckCircle2 size={12} aria-hidden /> {accepted ? "Unaccept" : "Accept answer"}
+              </button>
+            )}
+            {board.canPost && (!thread.locked || board.canModerate) && (
+              <button onClick={() => setReplying((v) => !v)} className="mt-2 inline-flex items-center gap-1 text-xs text-slate-500 hover:underline">
+                <Reply size={12} aria-hidden /> Reply
+              </button>
+            )}
+            <ItemActions
+              kind="post"
+              item={post}
+              board={board}
+              onEdit={thread.locked && !board.canModerate ? undefined : () => setEditing(true)}
+              onDelete={() => deletePost(post.id)}
+              onChanged={onChanged}
+              onError={onError}
+            />
+          </div>
+          {replying && (
+            <TextForm
+              label={`Reply to ${post.author?.name ?? "this reply"}`}
+              submitLabel="Reply"
+              onSubmit={async (body) => {
+                await createPost(thread.id, { body, parent: post.id });
+                setReplying(false);
+                onChanged();
+              }}
+              onCancel={() => setReplying(false)}
+            />
+          )}
+          {replies.length > 0 && (
+            <ul className="mt-3 space-y-3 border-l-2 border-slate-100 dark:border-slate-800 pl-4">
+              {replies.map((r) => (
+                <PostItem key={r.id} post={r} thread={thread} board={board} onChanged={onChanged} onError={onError} />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+}
+
+export default function ThreadPage() {
+  const { threadId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const load = useCallback(() => fetchThread(threadId), [threadId]);
+  const { data, error, loading, reload } = useApi(load);
+  // refetch after sign-in so votes and posting rights show
+  useReloadOnSignIn(reload);
+  const [editing, setEditing] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  if (error?.response?.status === 404) return <NotFound />;
+  if (error && !data) {
+    return (
+      <div className="container mx-auto px-4 py-10">
+        <LoadError error={error} onRetry={reload} />
+      </div>
+    );
+  }
+  if (loading && !data) {
+    return <div className="container mx-auto max-w-4xl px-4 py-10 h-96 animate-pulse" />;
+  }
+
+  const { thread, posts, board } = data;
+  const boardPath = board.group ? `/groups/${board.group.id}` : `/courses/${board.course.slug}/discussions`;
+  const boardName = board.group ? board.group.name : board.course.title;
+  const canAccept = thread.kind === "question" && user && (thread.author?.id === user.id || board.canModerate);
+  const topLevel = posts.filter((p) => !p.parent);
+  // the accepted answer leads, then the rest in order
+  topLevel.sort((a, b) => (b.id === thread.acceptedPost) - (a.id === thread.acceptedPost));
+  const repliesTo = (id) => posts.filter((p) => p.parent === id);
+
+  return (
+    <div className="container mx-auto max-w-4xl px-4 py-10">
+      <Link to={boardPath} className="text-sm text-indigo-600 hover:underline">
+        {boardName} discussions
+      </Link>
+      {thread.lesson && <span className="ml-2 text-sm text-slate-500">· {thread.lesson.title}</span>}
+
+      <article className="mt-3 flex gap-3">
+        <VoteButton kind="thread" item={thread} canVote={board.canPost} onError={setActionError} />
+        <div className="min-w-0 flex-1">
+          <h1 className="flex flex-wrap items-center gap-2 text-2xl font-bold text-slate-900 dark:text-white">
+            {thread.pinned && <Pin size={18} className="text-indigo-600" aria-label="Pinned" />}
+            {thread.locked && <Lock size={18} className="text-slate-500" aria-label="Locked" />}
+            {thread.title}
+          </h1>
+          <Byline item={thread} />
+          {editing ? (
+            <EditThread
+              thread={thread}
+              onDone={() => {
+                setEditing(false);
+                reload();
+              }}
+            />
+          ) : (
+            <p className="mt-3 whitespace-pre-line text-slate-700 dark:text-slate-300">
+              {thread.body ?? <em className="text-slate-500">Hidden by a moderator</em>}
+            </p>
+          )}
+          <div className="flex flex-wrap items-start gap-4">
+            {board.canModerate && (
+              <div className="mt-2 flex gap-4 text-xs text-slate-500">
+                <button onClick={() => updateThread(thread.id, { pinned: !thread.pinned }).then(reload, (err) => setActionError(errorMessage(err)))} className={linkButton}>
+                  <Pin size={12} aria-hidden /> {thread.pinned ? "Unpin" : "Pin"}
+                </button>
+                <button onClick={() => updateThread(thread.id, { locked: !thread.locked }).then(reload, (err) => setActionError(errorMessage(err)))} className={linkButton}>
+                  <Lock size={12} aria-hidden /> {thread.locked ? "Unlock" : "Lock"}
+                </button>
+              </div>
+            )}
+            <ItemActions
+              kind="thread"
+              item={thread}
+              board={board}
+              onEdit={thread.locked && !board.canModerate ? undefined : () => setEditing(true)}
+              onDelete={async () => {
+                await deleteThread(thread.id);
+                navigate(boardPath);
+              }}
+              onChanged={reload}
+              onError={setActionError}
+            />
+          </div>
+        </div>
+      </article>
+
+      {actionError && <p role="alert" className="mt-4 text-sm text-red-600 dark:text-red-400">{actionError}</p>}
+
+      <section className="mt-8" aria-labelledby="replies-heading">
+        <h2 id="replies-heading" className="text-lg font-semibold">
+          {thread.replyCount} {thread.replyCount === 1 ? "reply" : "replies"}
+        </h2>
+        <ul className="mt-3 space-y-4">
+          {topLevel.map((p) => (
+            <PostItem
+              key={p.id}
+              post={p}
+              replies={repliesTo(p.id)}
+              thread={thread}
+              board={board}
+              canAccept={canAccept}
+              onChanged={reload}
+              onError={setActionError}
+            />
+          ))}
+        </ul>
+
+        {thread.locked && !board.canModerate ? (
+          <p className="mt-6 text-sm text-slate-500">This thread is locked.</p>
+        ) : board.canPost ? (
+          <div className="mt-6">
+            <TextForm
+              label={thread.kind === "question" ? "Your answer" : "Your reply"}
+              submitLabel="Post reply"
+              onSubmit={async (body) => {
+                await createPost(thread.id, { body });
+                reload();
+              }}
+            />
+          </div>
+        ) : (
+          user && (
+            <p className="mt-6 text-sm text-slate-500">
+              {board.ban
+                ? "You’ve been banned from posting here."
+                : board.group
+                  ? "Join the group to reply."
+                  : "Enroll in the course to reply."}
+            </p>
+          )
+        )}
+      </section>
+    </div>
+  );
+}
+
+function EditThread({ thread, onDone }) {
+  const [form, setForm] = useState({ title: thread.title, body: thread.body ?? "" });
+  const [error, setError] = useState("");
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        updateThread(thread.id, form).then(onDone, (err) => setError(errorMessage(err, "Could not save")));
+      }}
+      className="mt-3 space-y-2"
+    >
+      <input value={form.title} onChange={update("title")} required maxLength={160} aria-label="Title" className={inputClass} />
+      <textarea value={form.body} onChange={update("body")} required rows={5} aria-label="Details" className={inputClass} />
+      {error && <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex gap-3 text-sm">
+        <button type="submit" className="rounded-lg bg-indigo-600 px-3 py-1.5 text-white">Save</button>
+        <button type="button" onClick={onDone} className="text-slate-600 dark:text-slate-300">Cancel</button>
+      </div>
+    </form>
+  );
+}
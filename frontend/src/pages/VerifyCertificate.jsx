@@ -0,0 +1,215 @@
+/**
+ * VerifyCertificate.jsx
+ *
+ * /verify and /verify/:certId — public certificate check for employers.
+ * Shows whether the ID belongs to an authentic, unrevoked certificate and
+ * who it was issued to. Admins can revoke or restore from here.
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router";
+import { Award, ShieldAlert, ShieldCheck, ShieldX } from "lucide-react";
+import LoadError from "../components/LoadError";
+import useApi from "../hooks/useApi";
+import useAuth from "../hooks/useAuth";
+import { restoreCertificate, revokeCertificate, verifyCertificate } from "../api/certificates";
+import { errorMessage } from "../api/client";
+import { can } from "../utils/permissions";
+
+const STATUS = {
+  valid: {
+    icon: ShieldCheck,
+    title: "Valid certificate",
+    tone: "border-emerald-200 bg-emerald-50 dark:border-emerald-800 dark:bg-emerald-900/30",
+    iconClass: "text-emerald-600",
+  },
+  revoked: {
+    icon: ShieldAlert,
+    title: "This certificate has been revoked",
+    tone: "border-amber-200 bg-amber-50 dark:border-amber-800 dark:bg-amber-900/30",
+    iconClass: "text-amber-600",
+  },
+  invalid: {
+    icon: ShieldX,
+    title: "This certificate could not be verified",
+    tone: "border-red-200 bg-red-50 dark:border-red-800 dark:bg-red-900/30",
+    iconClass: "text-red-600",
+  },
+  not_found: {
+    icon: ShieldX,
+    title: "No certificate with this ID",
+    tone: "border-slate-200 bg-slate-50 dark:border-slate-700 dark:bg-slate-800/50",
+    iconClass: "text-slate-500",
+  },
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+
+function AdminActions({ certificate, onChange }) {
+  const [reason, setReason] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      setReason("");
+      onChange();
+    } catch (err) {
+      setError(errorMessage(err, "Could not update the certificate"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mt-6 border-t border-slate-200 dark:border-slate-700 pt-4">
+      <h2 className="text-sm font-semibold text-slate-500 uppercase tracking-wide">Admin</h2>
+      {certificate.revokedAt ? (
+        <button
+          onClick={() => run(() => restoreCertificate(certificate.certId))}
+          disabled={busy}
+          className="mt-3 rounded-lg border border-slate-200 dark:border-slate-700 px-4 py-2 text-sm"
+        >
+          Restore certificate
+        </button>
+      ) : (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(() => revokeCertificate(certificate.certId, reason));
+          }}
+          className="mt-3 flex flex-col sm:flex-row gap-2"
+        >
+          <label htmlFor="revoke-reason" className="sr-only">Reason for revoking</label>
+          <input
+            id="revoke-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            required
+            placeholder="Reason for revoking"
+            className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="rounded-lg bg-red-600 px-4 py-2 text-sm text-white hover:bg-red-700 disabled:opacity-60"
+          >
+            Revoke
+          </button>
+        </form>
+      )}
+      {error && <p role="alert" className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+function Result({ certId }) {
+  const { user } = useAuth();
+  const load = useCallback(() => verifyCertificate(certId), [certId]);
+  const { data, error, loading, reload } = useApi(load);
+
+  if (error) return <LoadError error={error} onRetry={reload} />;
+  if (loading && !data) {
+    return <div className="h-40 rounded-2xl bg-slate-100 dark:bg-slate-800 animate-pulse" aria-busy="true" />;
+  }
+
+  const { status, certificate: cert } = data;
+  const s = STATUS[status] || STATUS.invalid;
+
+  return (
+    <section className={`rounded-2xl border p-6 ${s.tone}`} aria-live="polite">
+      <div className="flex items-center gap-3">
+        <s.icon size={28} className={s.iconClass} aria-hidden />
+        <h2 className="text-xl font-semibold">{s.title}</h2>
+      </div>
+
+      {cert && (
+        <dl className="mt-5 grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-slate-500">Awarded to</dt>
+            <dd className="font-semibold text-base">{cert.recipientName}</dd>
+          </div>
+          <div>
+            <dt className="text-slate-500">Course</dt>
+            <dd className="font-semibold text-base">{cert.courseTitle}</dd>
+          </div>
+          {cert.instructorName && (
+            <div>
+              <dt className="text-slate-500">Instructor</dt>
+              <dd>{cert.instructorName}</dd>
+            </div>
+          )}
+          <div>
+            <dt className="text-slate-500">Issued</dt>
+            <dd>{formatDate(cert.issuedAt)}</dd>
+          </div>
+          <div>
+            <dt className="text-slate-500">Certificate ID</dt>
+            <dd className="font-mono">{cert.certId}</dd>
+          </div>
+          {cert.revokedAt && (
+            <div>
+              <dt className="text-slate-500">Revoked</dt>
+              <dd>
+                {formatDate(cert.revokedAt)}
+                {cert.revokedReason && ` — ${cert.revokedReason}`}
+              </dd>
+            </div>
+          )}
+        </dl>
+      )}
+
+      {cert && can(user, "certificate:manage") && <AdminActions certificate={cert} onChange={reload} />}
+    </section>
+  );
+}
+
+export default function VerifyCertificate() {
+  const { certId } = useParams();
+  const navigate = useNavigate();
+  const [draft, setDraft] = useState(certId ?? "");
+
+  useEffect(() => setDraft(certId ?? ""), [certId]);
+
+  return (
+    <div className="container mx-auto max-w-2xl px-4 py-12">
+      <div className="flex items-center gap-3">
+        <Award size={28} className="text-indigo-600" aria-hidden />
+        <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Verify a certificate</h1>
+      </div>
+      <p className="mt-2 text-slate-600 dark:text-slate-300">
+        Enter the ID printed at the bottom of an EduSphar certificate, e.g. ES-7K2M-Q9XD-4HRT.
+      </p>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          const id = draft.trim().toUpperCase();
+          if (id) navigate(`/verify/${encodeURIComponent(id)}`);
+        }}
+        className="mt-6 flex gap-2"
+      >
+        <label htmlFor="cert-id" className="sr-only">Certificate ID</label>
+        <input
+          id="cert-id"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Certificate ID"
+          className="flex-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent px-3 py-2 font-mono uppercase"
+        />
+        <button type="submit" className="rounded-lg bg-indigo-600 px-4 py-2 text-white hover:bg-indigo-700">
+          Verify
+        </button>
+      </form>
+
+      {certId && (
+        <div className="mt-8">
+          <Result certId={certId} />
+        </div>
+      )}
+    </div>
+  );
+}
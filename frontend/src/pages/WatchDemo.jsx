@@ -0,0 +1,52 @@
+/**
+ * WatchDemo.jsx
+ *
+ * /demo — target of the hero "Watch demo" button. Opens the first free
+ * preview lesson of the most popular course that has one.
+ */
+import React, { useEffect, useState } from "react";
+import { Link, Navigate } from "react-router";
+import { fetchCourse, fetchCourses } from "../api/catalog";
+
+// How many of the top courses to look through for a preview lesson
+const CANDIDATES = 5;
+
+async function findDemoLesson() {
+  const { items } = await fetchCourses({ sort: "popular", limit: CANDIDATES });
+  for (const c of items) {
+    const { modules } = await fetchCourse(c.slug);
+    const preview = modules.flatMap((m) => m.lessons).find((l) => l.isPreview);
+    if (preview) return `/learn/${c.slug}/${preview.id}`;
+  }
+  return null;
+}
+
+export default function WatchDemo() {
+  // undefined while looking, null when there's nothing to show
+  const [target, setTarget] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+    findDemoLesson()
+      .catch(() => null)
+      .then((path) => !cancelled && setTarget(path));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (target) return <Navigate to={target} replace />;
+
+  return (
+    <section className="container mx-auto max-w-3xl px-4 py-24 text-center" aria-busy={target === undefined}>
+      {target === undefined ? (
+        <p className="text-slate-600 dark:text-slate-300">Loading the demo…</p>
+      ) : (
+        <>
+          <p className="text-slate-600 dark:text-slate-300">The demo isn’t available right now.</p>
+          <Link to="/courses" className="mt-4 inline-block text-indigo-600 hover:underline">Browse courses</Link>
+        </>
+      )}
+    </section>
+  );
+}
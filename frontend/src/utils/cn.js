@@ -0,0 +1,4 @@
+/** Simple classNames helper */
+export default function cn(...parts) {
+  return parts.filter(Boolean).join(" ");
+}
@@ -0,0 +1,94 @@
+/**
+ * format.js
+ *
+ * Display helpers for API values (prices, durations, counts, sizes, dates).
+ * Numbers and dates follow the interface language picked in the header
+ * (set by context/LocaleProvider.jsx); until then, the browser's.
+ */
+
+let displayLocale;
+
+/**
+ * Sets the language the helpers format for. Keeps the browser's regional
+ * variant when it speaks that language ("en-IN" for "en"), so dates and
+ * digit grouping look the way the viewer is used to.
+ */
+export function setDisplayLocale(code) {
+  const regional = typeof navigator === "undefined" ? [] : navigator.languages ?? [];
+  displayLocale = regional.find((tag) => tag.split("-")[0].toLowerCase() === code) ?? code;
+}
+
+/** 1234567 -> "1,234,567" ("12,34,567" in Indian locales) */
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(displayLocale, options).format(value);
+}
+
+/** (19, "USD") -> "$19", (12.5, "USD") -> "$12.50" */
+export function formatMoney(amount, currency = "USD") {
+  return new Intl.NumberFormat(displayLocale, {
+    style: "currency",
+    currency,
+    maximumFractionDigits: amount % 1 === 0 ? 0 : 2,
+  }).format(amount);
+}
+
+/** { price, currency, billing } -> "Free" | "$19" | "$39/mo" */
+export function formatPrice(course) {
+  if (!course || !course.price) return "Free";
+  const amount = formatMoney(course.price, course.currency || "USD");
+  return course.billing === "monthly" ? `${amount}/mo` : amount;
+}
+
+/** 1920 -> "32h", 45 -> "45m", 90 -> "1h 30m" */
+export function formatDuration(minutes = 0) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  if (!h) return `${m}m`;
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+/** 1536 -> "1.5 KB", 52428800 -> "50 MB" */
+export function formatBytes(bytes = 0) {
+  const units = ["B", "KB", "MB", "GB"];
+  let n = bytes;
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i += 1;
+  }
+  return `${n >= 10 || i === 0 ? Math.round(n) : n.toFixed(1)} ${units[i]}`;
+}
+
+/** "3 Mar 2026", in `timeZone` when given (else the viewer's) */
+export function formatDate(date, timeZone) {
+  return new Date(date).toLocaleDateString(displayLocale, { day: "numeric", month: "short", year: "numeric", timeZone });
+}
+
+/** "Tue, 3 Mar, 18:30", in `timeZone` when given (else the viewer's) */
+export function formatDateTime(date, timeZone) {
+  return new Date(date).toLocaleString(displayLocale, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone,
+  });
+}
+
+/** "18:30" */
+export function formatTime(date) {
+  return new Date(date).toLocaleTimeString(displayLocale, { hour: "2-digit", minute: "2-digit" });
+}
+
+/** "now", "5 minutes ago", "3 days ago"; older than a month shows the date */
+export function formatRelative(date) {
+  const seconds = Math.round((new Date(date).getTime() - Date.now()) / 1000);
+  const abs = Math.abs(seconds);
+  if (abs >= 30 * 86400) return formatDate(date);
+  const rtf = new Intl.RelativeTimeFormat(displayLocale, { numeric: "auto" });
+  if (abs < 60) return rtf.format(0, "second");
+  if (abs < 3600) return rtf.format(Math.round(seconds / 60), "minute");
+  if (abs < 86400) return rtf.format(Math.round(seconds / 3600), "hour");
+  return rtf.format(Math.round(seconds / 86400), "day");
+}
@@ -0,0 +1,62 @@
+/**
+ * offlineDb.js
+ *
+ * Promise wrapper over the 'edusphar-offline' IndexedDB database, which
+ * holds downloaded lessons and changes waiting to be synced:
+ *  - courses  { slug, course, modules, savedAt }: the outline, for the syllabus
+ *  - lessons  { id, courseSlug, data, attempt, pendingQuiz, savedAt, bytes }
+ *             data is the GET lesson response; attempt a reserved quiz attempt
+ *  - media    { key, blob }: "<lessonId>:video" and "<lessonId>:captions:<lang>"
+ *  - outbox   { id, type: "progress" | "quiz", ...payload, queuedAt }
+ * See api/offline.js for how they're used.
+ */
+const DB_NAME = "edusphar-offline";
+const DB_VERSION = 1;
+
+let opening = null;
+
+function openDb() {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("courses", { keyPath: "slug" });
+        db.createObjectStore("lessons", { keyPath: "id" }).createIndex("courseSlug", "courseSlug");
+        db.createObjectStore("media", { keyPath: "key" });
+        db.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        opening = null;
+        reject(req.error);
+      };
+    });
+  }
+  return opening;
+}
+
+// Runs one request against `store`, resolving with its result once the
+// transaction has committed (so a resolved write is durable).
+async function run(store, mode, op) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = op(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const offlineSupported = () => typeof window !== "undefined" && "indexedDB" in window;
+
+export const getItem = (store, key) => run(store, "readonly", (s) => s.get(key));
+export const getAllItems = (store) => run(store, "readonly", (s) => s.getAll());
+export const getByIndex = (store, index, value) => run(store, "readonly", (s) => s.index(index).getAll(value));
+export const putItem = (store, value) => run(store, "readwrite", (s) => s.put(value));
+export const deleteItem = (store, key) => run(store, "readwrite", (s) => s.delete(key));
+
+/** Deletes every key starting with `prefix` (e.g. all media of one lesson) */
+export const deleteByPrefix = (store, prefix) =>
+  run(store, "readwrite", (s) => s.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
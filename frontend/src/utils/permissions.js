@@ -0,0 +1,43 @@
+/**
+ * permissions.js
+ *
+ * Client-side mirror of backend/utils/permissions.js. Only used to decide
+ * what to show — the API enforces the same rules on every request.
+ */
+import { BookOpen, MessageSquareWarning, PenTool, Shield } from "lucide-react";
+
+export const PERMISSIONS = {
+  "course:write": ["instructor", "admin"],
+  // run cohorts and offer mentor sessions
+  "cohort:manage": ["instructor", "admin"],
+  // hide posts, handle reports and ban users on every discussion board
+  "forum:moderate": ["admin"],
+  // hide reported course reviews and pick the landing page testimonials
+  "review:moderate": ["admin"],
+  "user:read": ["admin"],
+  "user:manage": ["admin"],
+  "certificate:manage": ["admin"],
+};
+
+export function can(user, permission) {
+  return Boolean(user && PERMISSIONS[permission]?.includes(user.role));
+}
+
+/** Dashboards, each visible to the listed roles */
+export const DASHBOARDS = [
+  { id: "learner", label: "My learning", href: "/dashboard", icon: BookOpen, roles: ["learner", "instructor", "admin", "institution_manager"] },
+  { id: "studio", label: "Instructor studio", href: "/studio", icon: PenTool, roles: ["instructor", "admin"] },
+  { id: "users", label: "User management", href: "/admin/users", icon: Shield, roles: ["admin"] },
+  { id: "reviews", label: "Course reviews", href: "/admin/reviews", icon: MessageSquareWarning, roles: ["admin"] },
+];
+
+export function dashboardsFor(user) {
+  return user ? DASHBOARDS.filter((d) => d.roles.includes(user.role)) : [];
+}
+
+export const ROLE_LABELS = {
+  learner: "Learner",
+  instructor: "Instructor",
+  admin: "Admin",
+  institution_manager: "Institution manager",
+};
@@ -0,0 +1,63 @@
+/**
+ * search.js
+ *
+ * Search state <-> URL. Everything the results page shows (query, topic chips,
+ * facets, sort, page) lives in the query string so results can be shared and
+ * survive a refresh.
+ *
+ *   /search?q=hooks&topic=React&topic=Node.js&category=web-dev&level=beginner&price=free
+ */
+
+export const SEARCH_PATH = "/search";
+
+// Facet params hold comma-separated values
+export const FACET_KEYS = ["category", "level", "duration", "price"];
+
+export const TOPIC_CHIPS = ["React", "Node.js", "Machine Learning", "Product Design"];
+
+export function parseSearchParams(searchParams) {
+  const state = {
+    q: searchParams.get("q") || "",
+    topics: searchParams.getAll("topic"),
+    sort: searchParams.get("sort") || "",
+    page: Math.max(1, parseInt(searchParams.get("page"), 10) || 1),
+  };
+  for (const key of FACET_KEYS) {
+    state[key] = (searchParams.get(key) || "").split(",").filter(Boolean);
+  }
+  return state;
+}
+
+export function toSearchParams(state) {
+  const params = new URLSearchParams();
+  if (state.q) params.set("q", state.q);
+  for (const t of state.topics || []) params.append("topic", t);
+  for (const key of FACET_KEYS) {
+    if (state[key]?.length) params.set(key, state[key].join(","));
+  }
+  if (state.sort) params.set("sort", state.sort);
+  if (state.page > 1) params.set("page", String(state.page));
+  return params;
+}
+
+export function searchHref(state) {
+  const qs = toSearchParams(state).toString();
+  return qs ? `${SEARCH_PATH}?${qs}` : SEARCH_PATH;
+}
+
+/** Params for GET /api/search */
+export function toApiParams(state) {
+  const params = { q: state.q || undefined, topic: state.topics, sort: state.sort || undefined, page: state.page };
+  for (const key of FACET_KEYS) {
+    if (state[key]?.length) params[key] = state[key].join(",");
+  }
+  return params;
+}
+
+/** Where picking an autocomplete suggestion leads */
+export function suggestionHref(s) {
+  if (s.type === "category") return searchHref({ category: [s.slug] });
+  if (s.type === "topic") return searchHref({ topics: [s.label] });
+  if (s.type === "course" && s.slug) return `/courses/${s.slug}`;
+  return searchHref({ q: s.label });
+}
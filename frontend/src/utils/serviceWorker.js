@@ -0,0 +1,15 @@
+/**
+ * serviceWorker.js
+ *
+ * Registers public/sw.js, which caches the app shell so the site (and any
+ * lessons downloaded for offline use) opens without a connection.
+ * Production builds only: in development it would cache Vite's dev modules.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {
+      // no offline support; the site works as before
+    });
+  });
+}
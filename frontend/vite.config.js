@@ -5,4 +5,7 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(),tailwindcss(),],
+  // 'spa' makes both `vite` and `vite preview` answer unknown paths with
+  // index.html, so client-side routes like /courses/:slug survive a refresh.
+  appType: 'spa',
 })